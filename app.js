@@ -46,6 +46,20 @@ const draftRoutes = require('./routes/draftRoutes');
 const sentRoutes = require('./routes/sentRoutes');
 const trashRoutes = require('./routes/trashRoutes');
 const inventoryRoutes = require('./routes/inventoryRoutes');
+const warehouseRoutes = require('./routes/warehouseRoutes');
+const supplierRoutes = require('./routes/supplierRoutes');
+const purchaseOrderRoutes = require('./routes/purchaseOrderRoutes');
+const carrierAccountRoutes = require('./routes/carrierAccountRoutes');
+const fulfillmentBatchRoutes = require('./routes/fulfillmentBatchRoutes');
+const taxRoutes = require('./routes/taxRoutes');
+const creditNoteRoutes = require('./routes/creditNoteRoutes');
+const recurringInvoiceRoutes = require('./routes/recurringInvoiceRoutes');
+const invoicePaymentRoutes = require('./routes/invoicePaymentRoutes');
+const numberingSequenceRoutes = require('./routes/numberingSequenceRoutes');
+const publicDocumentRoutes = require('./routes/publicDocumentRoutes');
+const paymentGatewayEventRoutes = require('./routes/paymentGatewayEventRoutes');
+const planEntitlementRoutes = require('./routes/planEntitlementRoutes');
+const couponRoutes = require('./routes/couponRoutes');
 const orderRoutes = require('./routes/orderRoutes');
 //const paymentMethodRoutes = require('./routes/paymentMethodRoutes');
 const productRoutes = require('./routes/productRoutes');
@@ -222,7 +236,13 @@ app.use((req, res, next) => {
   
   next();
 });
-app.use(bodyParser.json({ limit: '10mb' })); // Adjust the limit as needed
+app.use(bodyParser.json({
+  limit: '10mb', // Adjust the limit as needed
+  // Payment gateways and Shopify sign the body as sent, so their webhooks keep it for signature checks
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook/') || req.originalUrl.startsWith('/api/webhooks/shopify/')) req.rawBody = buf;
+  }
+}));
 app.use(bodyParser.urlencoded({ limit: '10mb', extended: true })); 
 app.use(morgan('dev')); 
 
@@ -339,6 +359,17 @@ app.use('/api/sent', sentRoutes);
 app.use('/api/trash', trashRoutes);
 app.use('/api/receivers', receiverRoutes);
 app.use('/api/inventory', inventoryRoutes);
+app.use('/api/warehouses', warehouseRoutes);
+app.use('/api/suppliers', supplierRoutes);
+app.use('/api/purchase-orders', purchaseOrderRoutes);
+app.use('/api/carrier-accounts', carrierAccountRoutes);
+app.use('/api/fulfillment-batches', fulfillmentBatchRoutes);
+app.use('/api/tax', taxRoutes);
+app.use('/api/credit-notes', creditNoteRoutes);
+app.use('/api/recurring-invoices', recurringInvoiceRoutes);
+app.use('/api/invoice-payments', invoicePaymentRoutes);
+app.use('/api/numbering-sequences', numberingSequenceRoutes);
+app.use('/api/public', publicDocumentRoutes);
 app.use('/api/orders', orderRoutes);
 app.use('/api/websites', websiteRoutes);
 app.use('/api/website/templates', templateRoutes);
@@ -363,6 +394,9 @@ app.use('/api/support', supportRoutes);
 console.log('Mounted supportRoutes');
 app.use('/api/payment-gateways', paymentGatewayKeyRoutes);
 console.log('Mounted paymentGatewayKeyRoutes');
+app.use('/api/payment-gateway-events', paymentGatewayEventRoutes);
+app.use('/api/entitlements', planEntitlementRoutes);
+app.use('/api/coupons', couponRoutes);
 app.use('/api/chat-integrations', chatIntegrationRoutes);
 app.use('/api/campaigns', campaignRoutes);
 app.use('/api/dashboard', dashboardRoutes);
@@ -409,6 +443,16 @@ app.use('/api/shipping-labels', shippingLabelRoutes);
 //Start the cron job for receiver emails
 receiverEvent.scheduleEmailSync();
 
+// Poll carriers for tracking of labels still on their way
+require('./helper/trackingHelper').scheduleTrackingSync();
+
+// Generate recurring invoices and send payment reminders
+require('./helper/recurringInvoiceHelper').scheduleRecurringInvoices();
+require('./helper/dunningHelper').scheduleDunningReminders();
+
+// Charge subscription renewals and retry failed ones
+require('./helper/subscriptionBillingHelper').scheduleSubscriptionRenewals();
+
 // Initialize Exchange Rate Sync Service
 const rateSyncService = require('./services/rateSyncService');
 rateSyncService.initialize()
@@ -419,6 +463,13 @@ rateSyncService.initialize()
     console.error('❌ Failed to initialize Exchange Rate Sync Service:', error);
   });
 
+// Initialize Store Sync Queue (products, orders, customers)
+const syncQueueService = require('./services/syncQueueService');
+syncQueueService.initialize()
+  .catch((error) => {
+    console.error('❌ Failed to initialize Sync Queue Service:', error);
+  });
+
 // Start the server
 const PORT = process.env.PORT || 8800;
 app.listen(PORT, async () => {
@@ -200,6 +200,20 @@ const receiptTemplateVariables = {
       category: 'financial',
       required: true,
       fallback: 'USD'
+    },
+    couponCode: { 
+      fieldPath: 'payment.couponCode', 
+      displayName: 'Coupon Code',
+      category: 'financial',
+      required: false,
+      fallback: ''
+    },
+    discountAmount: { 
+      fieldPath: 'payment.discountAmount', 
+      displayName: 'Discount Amount',
+      category: 'financial',
+      required: false,
+      fallback: 0
     }
   },
 
@@ -0,0 +1,364 @@
+const fs = require('fs');
+const BankAccount = require('../models/BankAccount');
+const BankTransaction = require('../models/BankTransaction');
+const BankStatementImport = require('../models/BankStatementImport');
+const { importBankStatement } = require('../helper/bankStatementImportHelper');
+const {
+  REVIEW_STATUSES,
+  autoMatchTransactions,
+  matchTransaction,
+  unmatchTransaction,
+  excludeTransaction,
+  getReconciliationReport
+} = require('../helper/bankReconciliationHelper');
+const { BadRequestError, NotFoundError } = require('../utils/errors');
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Admin Bank Reconciliation
+ *     description: Bank statement import, matching to journal lines and payments, and reconciled balances
+ */
+
+const findBankAccount = async (id) => {
+  const account = await BankAccount.findById(id);
+  if (!account) throw new NotFoundError('bank account not found');
+  return account;
+};
+
+// Multipart fields arrive as strings
+const parseJsonField = (value, name) => {
+  if (!value || typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (err) {
+    throw new BadRequestError(`${name} must be JSON`);
+  }
+};
+
+const isTrue = (value) => value === true || value === 'true';
+
+/**
+ * @swagger
+ * /api/admin/accounting/bank-accounts/{id}/statements/import:
+ *   post:
+ *     summary: Import a CSV or OFX bank statement
+ *     description: >
+ *       Lines already imported are skipped as duplicates (matched on the OFX transaction id, or on
+ *       date, amount, description and reference). New lines are matched to posted journal lines on
+ *       the account's ledger account and to successful payments; the rest go to the review queue.
+ *       Without a column mapping, the mapping saved on the account or the common header names are used.
+ *     tags: [Admin Bank Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             required: [statement]
+ *             properties:
+ *               statement: { type: string, format: binary }
+ *               format: { type: string, enum: [csv, ofx], description: Detected from the file when left out }
+ *               columns: { type: string, description: 'JSON mapping of date, description, reference, amount or debit/credit, type, balance to CSV headers', example: '{"date":"Value Date","debit":"Withdrawals","credit":"Lodgements","description":"Narration"}' }
+ *               dateFormat: { type: string, example: DD/MM/YYYY }
+ *               delimiter: { type: string, example: ',' }
+ *               saveMapping: { type: boolean, description: Keep the CSV mapping for this account's next import }
+ *               dryRun: { type: boolean, description: Read the file and show the lines and duplicates without importing }
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [content]
+ *             properties:
+ *               content: { type: string, description: File content }
+ *               fileName: { type: string }
+ *               format: { type: string, enum: [csv, ofx] }
+ *               columns: { type: object }
+ *               dateFormat: { type: string }
+ *               delimiter: { type: string }
+ *               saveMapping: { type: boolean }
+ *               dryRun: { type: boolean }
+ *     responses:
+ *       201: { description: Imported; counts of imported, duplicate, unreadable, reconciled, suggested and unmatched lines }
+ *       200: { description: Dry run preview }
+ *       400: { description: Unreadable file, missing columns or a currency that differs from the account }
+ *       404: { description: Bank account not found }
+ */
+exports.importStatement = async (req, res, next) => {
+  const file = req.files?.statement;
+  try {
+    const account = await findBankAccount(req.params.id);
+
+    let content = req.body.content;
+    let fileName = req.body.fileName;
+    if (file) {
+      content = file.tempFilePath ? await fs.promises.readFile(file.tempFilePath, 'utf8') : file.data.toString('utf8');
+      fileName = file.name;
+    }
+    if (!content) throw new BadRequestError('statement file or content required');
+
+    const dryRun = isTrue(req.body.dryRun);
+    const result = await importBankStatement(account, {
+      content,
+      fileName,
+      format: req.body.format,
+      columns: parseJsonField(req.body.columns, 'columns'),
+      dateFormat: req.body.dateFormat,
+      delimiter: req.body.delimiter,
+      saveMapping: isTrue(req.body.saveMapping),
+      dryRun
+    }, req.user?._id);
+
+    res.status(dryRun ? 200 : 201).json({ success: true, dryRun, ...result });
+  } catch (err) {
+    next(err);
+  } finally {
+    if (file?.tempFilePath) fs.promises.unlink(file.tempFilePath).catch(() => {});
+  }
+};
+
+/**
+ * @swagger
+ * /api/admin/accounting/bank-accounts/{id}/statements:
+ *   get:
+ *     summary: List statement imports for an account, newest first
+ *     tags: [Admin Bank Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: OK }
+ */
+exports.listStatementImports = async (req, res, next) => {
+  try {
+    const imports = await BankStatementImport.find({ bankAccount: req.params.id })
+      .populate('importedBy', 'fullName email')
+      .sort({ createdAt: -1 });
+    res.status(200).json({ success: true, imports });
+  } catch (err) { next(err); }
+};
+
+/**
+ * @swagger
+ * /api/admin/accounting/bank-accounts/{id}/reconciliation/auto-match:
+ *   post:
+ *     summary: Match the account's review queue again
+ *     description: Run after posting journal entries or confirming payments that queued lines are waiting for.
+ *     tags: [Admin Bank Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               windowDays: { type: integer, description: Days either side of the bank date to look (default 3) }
+ *     responses:
+ *       200: { description: Counts of reconciled, suggested and unreconciled lines }
+ */
+exports.autoMatch = async (req, res, next) => {
+  try {
+    const account = await findBankAccount(req.params.id);
+    const windowDays = req.body?.windowDays !== undefined ? Number(req.body.windowDays) : undefined;
+    if (windowDays !== undefined && !(windowDays >= 0 && windowDays <= 31)) throw new BadRequestError('windowDays must be from 0 to 31');
+    const result = await autoMatchTransactions(account, undefined, { windowDays });
+    res.status(200).json({ success: true, result });
+  } catch (err) { next(err); }
+};
+
+/**
+ * @swagger
+ * /api/admin/accounting/bank-accounts/{id}/reconciliation/queue:
+ *   get:
+ *     summary: Bank lines waiting for review, with suggested matches
+ *     tags: [Admin Bank Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: status
+ *         schema: { type: string, enum: [unreconciled, suggested] }
+ *       - in: query
+ *         name: page
+ *         schema: { type: integer, default: 1 }
+ *       - in: query
+ *         name: limit
+ *         schema: { type: integer, default: 50 }
+ *     responses:
+ *       200: { description: OK }
+ */
+exports.getReviewQueue = async (req, res, next) => {
+  try {
+    const { status, page = 1, limit = 50 } = req.query;
+    if (status && !REVIEW_STATUSES.includes(status)) throw new BadRequestError(`status must be one of: ${REVIEW_STATUSES.join(', ')}`);
+    const filter = {
+      bankAccount: req.params.id,
+      reconciliationStatus: status ? status : { $in: [...REVIEW_STATUSES, null] }
+    };
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [items, total] = await Promise.all([
+      BankTransaction.find(filter)
+        .populate('suggestions.journalEntry', 'date description source lines')
+        .populate('suggestions.payment', 'reference amount currency gateway verifiedAt createdAt user')
+        .sort({ date: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      BankTransaction.countDocuments(filter)
+    ]);
+    res.status(200).json({
+      success: true,
+      transactions: items,
+      pagination: { page: parseInt(page), limit: parseInt(limit), total, pages: Math.ceil(total / parseInt(limit)) }
+    });
+  } catch (err) { next(err); }
+};
+
+/**
+ * @swagger
+ * /api/admin/accounting/bank-accounts/{id}/reconciliation/report:
+ *   get:
+ *     summary: Reconciled-balance report
+ *     description: >
+ *       Opening balance plus reconciled lines, the lines still in review, excluded lines, a check of
+ *       the imported lines against the latest statement closing balance, and the ledger account's
+ *       balance with the journal lines not yet seen on the bank statement.
+ *     tags: [Admin Bank Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: asOf
+ *         schema: { type: string, format: date }
+ *     responses:
+ *       200: { description: OK }
+ */
+exports.getReconciliationReport = async (req, res, next) => {
+  try {
+    const account = await findBankAccount(req.params.id);
+    let asOf = new Date();
+    if (req.query.asOf) {
+      asOf = new Date(req.query.asOf);
+      if (isNaN(asOf)) throw new BadRequestError('asOf must be a date');
+      // A date without a time covers the whole day
+      if (/^\d{4}-\d{2}-\d{2}$/.test(req.query.asOf)) asOf.setUTCHours(23, 59, 59, 999);
+    }
+    const report = await getReconciliationReport(account, asOf);
+    res.status(200).json({ success: true, report });
+  } catch (err) { next(err); }
+};
+
+/**
+ * @swagger
+ * /api/admin/accounting/bank-transactions/{transactionId}/match:
+ *   post:
+ *     summary: Reconcile a bank line to a journal line or payment
+ *     tags: [Admin Bank Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: transactionId
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [kind]
+ *             properties:
+ *               kind: { type: string, enum: [journal_line, payment] }
+ *               journalEntry: { type: string }
+ *               journalLine: { type: string, description: Line _id within the journal entry }
+ *               payment: { type: string }
+ *     responses:
+ *       200: { description: Reconciled }
+ *       400: { description: Amount, direction or ledger account does not match }
+ *       404: { description: Transaction, journal line or payment not found }
+ *       409: { description: Already reconciled }
+ */
+exports.matchTransaction = async (req, res, next) => {
+  try {
+    const transaction = await matchTransaction(req.params.transactionId, req.body || {}, req.user?._id);
+    res.status(200).json({ success: true, transaction });
+  } catch (err) { next(err); }
+};
+
+/**
+ * @swagger
+ * /api/admin/accounting/bank-transactions/{transactionId}/unmatch:
+ *   post:
+ *     summary: Send a reconciled or excluded bank line back to the review queue
+ *     tags: [Admin Bank Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: transactionId
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: Back in review }
+ */
+exports.unmatchTransaction = async (req, res, next) => {
+  try {
+    const transaction = await unmatchTransaction(req.params.transactionId);
+    res.status(200).json({ success: true, transaction });
+  } catch (err) { next(err); }
+};
+
+/**
+ * @swagger
+ * /api/admin/accounting/bank-transactions/{transactionId}/exclude:
+ *   post:
+ *     summary: Leave a bank line out of reconciliation
+ *     tags: [Admin Bank Reconciliation]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: transactionId
+ *         required: true
+ *         schema: { type: string }
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason: { type: string, example: Duplicate line on the statement }
+ *     responses:
+ *       200: { description: Excluded }
+ */
+exports.excludeTransaction = async (req, res, next) => {
+  try {
+    const transaction = await excludeTransaction(req.params.transactionId, req.body?.reason);
+    res.status(200).json({ success: true, transaction });
+  } catch (err) { next(err); }
+};
@@ -55,6 +55,8 @@ exports.listBankAccounts = async (req, res, next) => {
  *               currency: { type: string }
  *               accountNumber: { type: string }
  *               accountType: { type: string }
+ *               ledgerAccount: { type: string, description: Chart of accounts entry for this bank account; statement lines are matched to its journal lines }
+ *               openingBalance: { type: number, description: Balance before the first imported statement line }
  *     responses:
  *       201: { description: Created }
  */
@@ -134,12 +136,17 @@ exports.deleteBankAccount = async (req, res, next) => {
  *         name: id
  *         required: true
  *         schema: { type: string }
+ *       - in: query
+ *         name: reconciliationStatus
+ *         schema: { type: string, enum: [unreconciled, suggested, reconciled, excluded] }
  *     responses:
  *       200: { description: OK }
  */
 exports.listBankTransactions = async (req, res, next) => {
   try {
-    const items = await BankTransaction.find({ bankAccount: req.params.id }).sort({ date: -1 });
+    const q = { bankAccount: req.params.id };
+    if (req.query.reconciliationStatus) q.reconciliationStatus = req.query.reconciliationStatus;
+    const items = await BankTransaction.find(q).sort({ date: -1 });
     res.status(200).json({ success: true, transactions: items });
   } catch (err) { next(err); }
 };
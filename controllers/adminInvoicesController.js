@@ -1,7 +1,6 @@
 const Invoice = require('../models/Invoice');
-const JournalEntry = require('../models/JournalEntry');
 const { BadRequestError, NotFoundError } = require('../utils/errors');
-const Account = require('../models/Account').Account;
+const { recordInvoicePayment } = require('../helper/invoicePaymentHelper');
 
 /**
  * @swagger
@@ -53,7 +52,8 @@ exports.listInvoices = async (req, res, next) => {
  * @swagger
  * /api/admin/accounting/invoices/{id}/mark-paid:
  *   post:
- *     summary: Mark invoice paid and create a journal entry
+ *     summary: Mark invoice paid by recording a payment and journal entry for its outstanding balance
+ *     description: The balance is the total less credit notes and payments already recorded.
  *     tags: [Admin Invoices]
  *     security:
  *       - bearerAuth: []
@@ -73,42 +73,35 @@ exports.listInvoices = async (req, res, next) => {
  *               debitAccountId: { type: string, description: Account to debit (e.g., Cash/Bank) }
  *               creditAccountId: { type: string, description: Account to credit (e.g., Accounts Receivable) }
  *               description: { type: string }
+ *               method: { type: string, enum: [bank_transfer, cash, card, cheque, mobile_money, paystack, flutterwave, squad, other], default: other }
+ *               reference: { type: string }
+ *               paymentDate: { type: string, format: date-time }
  *     responses:
  *       200: { description: Invoice marked paid }
  */
 exports.markInvoicePaid = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { debitAccountId, creditAccountId, description } = req.body;
+    const { debitAccountId, creditAccountId, description, method = 'other', reference, paymentDate } = req.body;
     if (!debitAccountId || !creditAccountId) throw new BadRequestError('debitAccountId and creditAccountId required');
-    const [invoice, debitAcc, creditAcc] = await Promise.all([
-      Invoice.findById(id),
-      Account.findById(debitAccountId),
-      Account.findById(creditAccountId)
-    ]);
+    const invoice = await Invoice.findById(id);
     if (!invoice) throw new NotFoundError('invoice not found');
-    if (!debitAcc || !creditAcc) throw new BadRequestError('invalid account provided');
-    // Update invoice status
-    invoice.status = 'paid';
-    invoice.paidDate = new Date();
-    await invoice.save();
-    // Create balanced journal entry
-    const amount = Number(invoice.totalAmount || 0);
-    const entry = new JournalEntry({
-      date: new Date(),
+    // Amount still owed after credit notes and earlier payments
+    const amount = invoice.getBalanceDue();
+    if (amount <= 0) throw new BadRequestError('invoice has no outstanding balance');
+    // Record the balance as a payment, which settles the invoice and posts the journal entry
+    const { payment, invoices, journalEntry } = await recordInvoicePayment(invoice.organizationId, {
+      amount,
       currency: invoice.currency || 'USD',
-      status: 'posted',
-      source: 'invoice_payment',
-      description: description || `Payment for invoice ${invoice.invoiceNumber}`,
-      lines: [
-        { account: debitAcc._id, debit: amount, credit: 0, description: `Invoice ${invoice.invoiceNumber} payment` },
-        { account: creditAcc._id, debit: 0, credit: amount, description: `Invoice ${invoice.invoiceNumber} payment` }
-      ],
-      createdBy: req.user?._id
-    });
-    if (!entry.validateBalance()) throw new BadRequestError('journal not balanced');
-    await entry.save();
-    res.status(200).json({ success: true, invoice, journalEntry: entry });
+      method,
+      reference,
+      paymentDate,
+      invoiceId: invoice._id,
+      depositAccountId: debitAccountId,
+      receivableAccountId: creditAccountId,
+      description: description || `Payment for invoice ${invoice.invoiceNumber}`
+    }, req.user?._id);
+    res.status(200).json({ success: true, invoice: invoices[0], payment, journalEntry });
   } catch (err) { next(err); }
 };
 
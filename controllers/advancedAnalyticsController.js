@@ -1,6 +1,7 @@
 const Order = require('../models/order');
 const Customer = require('../models/customers');
 const Inventory = require('../models/inventory');
+const ProductVariation = require('../models/productVariation');
 const currencyUtils = require('../utils/currencyUtils');
 const mongoose = require('mongoose');
 
@@ -1085,6 +1086,9 @@ exports.geographicDistribution = async (req, res) => {
  *                         type: number
  *                         description: Current stock quantity
  *                         example: 5
+ *                       isVariation:
+ *                         type: boolean
+ *                         description: Present for variations of variable products (name includes the attribute options)
  *       400:
  *         description: Bad request - Missing required parameters
  *       401:
@@ -1107,12 +1111,29 @@ exports.geographicDistribution = async (req, res) => {
 exports.lowStock = async (req, res) => {
   try {
     const { organizationId, threshold = 10 } = req.query;
+    // Variable products hold their stock on the variations, so those are listed instead
     const products = await Inventory.find({
       organizationId,
+      type: { $ne: 'variable' },
       stock_quantity: { $lte: Number(threshold) },
       status: 'publish'
     }).select('name stock_quantity');
-    res.json({ success: true, data: products });
+    const variations = await ProductVariation.find({
+      organizationId,
+      manage_stock: true,
+      stock_quantity: { $lte: Number(threshold) },
+      status: 'publish'
+    }).select('parentId sku attributes stock_quantity').populate('parentId', 'name');
+
+    const variationItems = variations.map(variation => ({
+      _id: variation._id,
+      parentId: variation.parentId?._id,
+      name: [variation.parentId?.name, ...variation.attributes.map(attribute => attribute.option)].filter(Boolean).join(' - '),
+      sku: variation.sku,
+      stock_quantity: variation.stock_quantity,
+      isVariation: true
+    }));
+    res.json({ success: true, data: [...products, ...variationItems] });
   } catch (error) {
     res.status(500).json({ success: false, error: error.message });
   }
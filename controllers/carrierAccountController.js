@@ -0,0 +1,140 @@
+const mongoose = require('mongoose');
+const CarrierAccount = require('../models/carrierAccount');
+const ShippingLabel = require('../models/shippingLabel');
+const { getSupportedCarrierProviders } = require('../services/carrierAdapterRegistry');
+const { createAuditLog } = require('../helpers/auditLogHelper');
+
+const CARRIER_ACCOUNT_FIELDS = ['name', 'provider', 'apiKey', 'isActive'];
+
+const pickCarrierAccountFields = (body) => CARRIER_ACCOUNT_FIELDS.reduce((data, field) => {
+  if (body[field] !== undefined) data[field] = body[field];
+  return data;
+}, {});
+
+const findOrgCarrierAccount = async (organizationId, carrierAccountId) => {
+  if (!mongoose.Types.ObjectId.isValid(carrierAccountId)) return null;
+  return CarrierAccount.findOne({ _id: carrierAccountId, organizationId });
+};
+
+// The stub needs no key; every real provider does
+const validateCarrierAccount = (data) => {
+  if (!getSupportedCarrierProviders().includes(data.provider)) {
+    return `provider must be one of: ${getSupportedCarrierProviders().join(', ')}`;
+  }
+  if (data.provider !== 'stub' && !data.apiKey) return 'apiKey is required for this provider';
+  return null;
+};
+
+exports.createCarrierAccount = async (req, res) => {
+  try {
+    const organizationId = req.user.organization;
+    const data = pickCarrierAccountFields(req.body);
+    if (!data.name) {
+      return res.status(400).json({ success: false, message: 'Carrier account name is required' });
+    }
+    const accountError = validateCarrierAccount(data);
+    if (accountError) return res.status(400).json({ success: false, message: accountError });
+
+    const account = await CarrierAccount.create({ ...data, organizationId, userId: req.user._id });
+
+    await createAuditLog({
+      action: 'create_carrier_account',
+      user: req.user._id,
+      resource: 'CarrierAccount',
+      resourceId: account._id,
+      details: { name: account.name, provider: account.provider },
+      organization: organizationId
+    });
+
+    const created = account.toObject();
+    delete created.apiKey;
+    res.status(201).json({ success: true, message: 'Carrier account created successfully', data: created });
+  } catch (error) {
+    console.error('Error creating carrier account:', error);
+    res.status(500).json({ success: false, message: 'Error creating carrier account', error: error.message });
+  }
+};
+
+exports.getCarrierAccounts = async (req, res) => {
+  try {
+    const filter = { organizationId: req.user.organization };
+    if (req.query.includeInactive !== 'true') filter.isActive = true;
+
+    const accounts = await CarrierAccount.find(filter).sort({ name: 1 });
+    res.json({ success: true, data: accounts, count: accounts.length, providers: getSupportedCarrierProviders() });
+  } catch (error) {
+    console.error('Error fetching carrier accounts:', error);
+    res.status(500).json({ success: false, message: 'Error fetching carrier accounts', error: error.message });
+  }
+};
+
+exports.updateCarrierAccount = async (req, res) => {
+  try {
+    const account = await findOrgCarrierAccount(req.user.organization, req.params.carrierAccountId);
+    if (!account) {
+      return res.status(404).json({ success: false, message: 'Carrier account not found' });
+    }
+
+    const data = pickCarrierAccountFields(req.body);
+    if (data.provider && data.provider !== account.provider) {
+      return res.status(400).json({ success: false, message: 'The provider of a carrier account cannot be changed' });
+    }
+    if (data.apiKey === '') delete data.apiKey;
+
+    account.set(data);
+    await account.save();
+
+    await createAuditLog({
+      action: 'update_carrier_account',
+      user: req.user._id,
+      resource: 'CarrierAccount',
+      resourceId: account._id,
+      details: { changes: Object.keys(data) },
+      organization: req.user.organization
+    });
+
+    const updated = account.toObject();
+    delete updated.apiKey;
+    res.json({ success: true, message: 'Carrier account updated successfully', data: updated });
+  } catch (error) {
+    console.error('Error updating carrier account:', error);
+    res.status(500).json({ success: false, message: 'Error updating carrier account', error: error.message });
+  }
+};
+
+// Accounts that bought labels are deactivated instead, so those labels can still be voided
+exports.deleteCarrierAccount = async (req, res) => {
+  try {
+    const account = await findOrgCarrierAccount(req.user.organization, req.params.carrierAccountId);
+    if (!account) {
+      return res.status(404).json({ success: false, message: 'Carrier account not found' });
+    }
+
+    const hasLabels = await ShippingLabel.exists({ carrierAccountId: account._id });
+    if (hasLabels) {
+      account.isActive = false;
+      await account.save();
+    } else {
+      await account.deleteOne();
+    }
+
+    await createAuditLog({
+      action: hasLabels ? 'deactivate_carrier_account' : 'delete_carrier_account',
+      user: req.user._id,
+      resource: 'CarrierAccount',
+      resourceId: account._id,
+      details: { name: account.name, provider: account.provider },
+      organization: req.user.organization
+    });
+
+    res.json({
+      success: true,
+      message: hasLabels
+        ? 'Carrier account has shipping labels, so it was deactivated instead of deleted'
+        : 'Carrier account deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting carrier account:', error);
+    res.status(500).json({ success: false, message: 'Error deleting carrier account', error: error.message });
+  }
+};
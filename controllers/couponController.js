@@ -0,0 +1,177 @@
+const mongoose = require('mongoose');
+const Coupon = require('../models/coupon');
+const { applyCouponToCheckout } = require('../helper/couponHelper');
+const logEvent = require('../helper/logEvent');
+
+const COUPON_FIELDS = [
+  'code', 'name', 'discountType', 'value', 'currency', 'duration', 'durationInMonths',
+  'applicablePlans', 'maxRedemptions', 'maxRedemptionsPerUser', 'startsAt', 'expiresAt', 'isActive'
+];
+
+const pickCouponFields = (body) => COUPON_FIELDS.reduce((data, field) => {
+  if (body[field] !== undefined) data[field] = body[field];
+  return data;
+}, {});
+
+const sendError = (res, error, message) => {
+  console.error(`${message}:`, error);
+  const statusCode = error.statusCode
+    || (error.name === 'ValidationError' || error.name === 'CastError' ? 400 : error.code === 11000 ? 409 : 500);
+  const errorMessage = error.code === 11000 ? 'A coupon with this code already exists' : error.message;
+  res.status(statusCode).json({ success: false, message: statusCode === 500 ? message : errorMessage, error: error.message });
+};
+
+exports.getCoupons = async (req, res) => {
+  try {
+    const { isActive, search, planId, page = 1, limit = 20 } = req.query;
+    const filter = {};
+    if (isActive !== undefined) filter.isActive = isActive === 'true';
+    if (search) filter.code = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+    if (planId) filter.$or = [{ applicablePlans: planId }, { applicablePlans: { $size: 0 } }];
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [coupons, total] = await Promise.all([
+      Coupon.find(filter).populate('applicablePlans', 'name price currency').sort({ createdAt: -1 }).skip(skip).limit(parseInt(limit)),
+      Coupon.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: coupons,
+      pagination: { page: parseInt(page), limit: parseInt(limit), total, pages: Math.ceil(total / parseInt(limit)) }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching coupons');
+  }
+};
+
+exports.getCoupon = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid coupon ID' });
+    }
+    const coupon = await Coupon.findById(req.params.id).populate('applicablePlans', 'name price currency');
+    if (!coupon) return res.status(404).json({ success: false, message: 'Coupon not found' });
+    res.json({ success: true, data: coupon });
+  } catch (error) {
+    sendError(res, error, 'Error fetching coupon');
+  }
+};
+
+exports.createCoupon = async (req, res) => {
+  try {
+    const coupon = await Coupon.create({ ...pickCouponFields(req.body), createdBy: req.user._id });
+
+    await logEvent({
+      action: 'create_coupon',
+      user: req.user._id,
+      resource: 'Coupon',
+      resourceId: coupon._id,
+      details: { code: coupon.code, discountType: coupon.discountType, value: coupon.value, duration: coupon.duration }
+    });
+
+    res.status(201).json({ success: true, message: 'Coupon created', data: coupon });
+  } catch (error) {
+    sendError(res, error, 'Error creating coupon');
+  }
+};
+
+// Subscriptions keep a copy of the terms they were bought with, so edits only affect new checkouts
+exports.updateCoupon = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid coupon ID' });
+    }
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) return res.status(404).json({ success: false, message: 'Coupon not found' });
+
+    const updates = pickCouponFields(req.body);
+    if (updates.code && coupon.timesRedeemed > 0 && updates.code.toUpperCase() !== coupon.code) {
+      return res.status(400).json({ success: false, message: 'The code of a coupon that has been redeemed cannot be changed' });
+    }
+    coupon.set(updates);
+    await coupon.save();
+
+    await logEvent({
+      action: 'update_coupon',
+      user: req.user._id,
+      resource: 'Coupon',
+      resourceId: coupon._id,
+      details: { code: coupon.code, fields: Object.keys(updates) }
+    });
+
+    res.json({ success: true, message: 'Coupon updated', data: coupon });
+  } catch (error) {
+    sendError(res, error, 'Error updating coupon');
+  }
+};
+
+// Redeemed coupons are deactivated rather than deleted so payments and receipts keep their reference
+exports.deleteCoupon = async (req, res) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ success: false, message: 'Invalid coupon ID' });
+    }
+    const coupon = await Coupon.findById(req.params.id);
+    if (!coupon) return res.status(404).json({ success: false, message: 'Coupon not found' });
+
+    const deactivated = coupon.timesRedeemed > 0;
+    if (deactivated) {
+      coupon.isActive = false;
+      await coupon.save();
+    } else {
+      await coupon.deleteOne();
+    }
+
+    await logEvent({
+      action: deactivated ? 'deactivate_coupon' : 'delete_coupon',
+      user: req.user._id,
+      resource: 'Coupon',
+      resourceId: coupon._id,
+      details: { code: coupon.code, timesRedeemed: coupon.timesRedeemed }
+    });
+
+    res.json({
+      success: true,
+      message: deactivated ? 'Coupon has been redeemed, so it was deactivated instead of deleted' : 'Coupon deleted',
+      data: deactivated ? coupon : undefined
+    });
+  } catch (error) {
+    sendError(res, error, 'Error deleting coupon');
+  }
+};
+
+// Preview a code on a checkout without redeeming it
+exports.validateCoupon = async (req, res) => {
+  try {
+    const { code, planId, amount, currency } = req.body;
+    if (!code || !planId || amount === undefined || !currency) {
+      return res.status(400).json({ success: false, message: 'Missing required fields: code, planId, amount, currency' });
+    }
+
+    const { coupon, originalAmount, discountAmount, amount: total } = await applyCouponToCheckout(code, {
+      planId,
+      currency,
+      userId: req.user._id,
+      amount
+    });
+
+    res.json({
+      success: true,
+      data: {
+        code: coupon.code,
+        name: coupon.name,
+        discountType: coupon.discountType,
+        value: coupon.value,
+        currency: coupon.currency,
+        duration: coupon.duration,
+        durationInMonths: coupon.durationInMonths,
+        originalAmount,
+        discountAmount,
+        amount: total
+      }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error validating coupon');
+  }
+};
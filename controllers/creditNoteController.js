@@ -0,0 +1,181 @@
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const CreditNote = require('../models/creditNote');
+const Invoice = require('../models/Invoice');
+const Organization = require('../models/organization');
+const { issueCreditNote, voidCreditNote, renderCreditNotePDF, emailCreditNote } = require('../helper/creditNoteHelper');
+const { createAuditLog } = require('../helpers/auditLogHelper');
+
+const findOrgCreditNote = async (organizationId, creditNoteId) => {
+  if (!mongoose.Types.ObjectId.isValid(creditNoteId)) return null;
+  return CreditNote.findOne({ _id: creditNoteId, organizationId });
+};
+
+const sendError = (res, error, message) => {
+  console.error(`${message}:`, error);
+  const statusCode = error.statusCode || (error.name === 'ValidationError' ? 400 : 500);
+  res.status(statusCode).json({ success: false, message: statusCode === 500 ? message : error.message, error: error.message });
+};
+
+exports.createCreditNote = async (req, res) => {
+  try {
+    const organizationId = req.user.organization;
+    const { invoiceId, items, reason } = req.body;
+    if (!invoiceId || !mongoose.Types.ObjectId.isValid(invoiceId)) {
+      return res.status(400).json({ success: false, message: 'A valid invoiceId is required' });
+    }
+    if (items !== undefined && !Array.isArray(items)) {
+      return res.status(400).json({ success: false, message: 'items must be an array' });
+    }
+
+    const [invoice, organization] = await Promise.all([
+      Invoice.findOne({ _id: invoiceId, organizationId }),
+      Organization.findById(organizationId).select('name taxSettings')
+    ]);
+    if (!invoice) {
+      return res.status(404).json({ success: false, message: 'Invoice not found' });
+    }
+
+    const { creditNote, invoice: updatedInvoice } = await issueCreditNote(invoice, organization, {
+      items,
+      reason,
+      userId: req.user._id
+    });
+
+    await createAuditLog({
+      action: 'create_credit_note',
+      user: req.user._id,
+      resource: 'CreditNote',
+      resourceId: creditNote._id,
+      details: {
+        creditNoteNumber: creditNote.creditNoteNumber,
+        invoiceNumber: invoice.invoiceNumber,
+        totalAmount: creditNote.totalAmount,
+        invoiceBalanceDue: updatedInvoice.balanceDue
+      },
+      organization: organizationId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Credit note issued successfully',
+      data: { creditNote, invoice: updatedInvoice }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error issuing credit note');
+  }
+};
+
+exports.getCreditNotes = async (req, res) => {
+  try {
+    const { invoiceId, customerId, status, page = 1, limit = 20 } = req.query;
+    const filter = { organizationId: req.user.organization };
+    if (invoiceId) filter.invoiceId = invoiceId;
+    if (customerId) filter.customerId = customerId;
+    if (status) filter.status = status;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [creditNotes, total] = await Promise.all([
+      CreditNote.find(filter).sort({ createdAt: -1 }).skip(skip).limit(parseInt(limit)),
+      CreditNote.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: creditNotes,
+      pagination: { page: parseInt(page), limit: parseInt(limit), total, pages: Math.ceil(total / parseInt(limit)) }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching credit notes');
+  }
+};
+
+exports.getCreditNote = async (req, res) => {
+  try {
+    const creditNote = await findOrgCreditNote(req.user.organization, req.params.creditNoteId);
+    if (!creditNote) {
+      return res.status(404).json({ success: false, message: 'Credit note not found' });
+    }
+    await creditNote.populate('invoiceId', 'invoiceNumber status totalAmount creditedAmount balanceDue');
+    res.json({ success: true, data: creditNote });
+  } catch (error) {
+    sendError(res, error, 'Error fetching credit note');
+  }
+};
+
+exports.downloadCreditNote = async (req, res) => {
+  try {
+    const creditNote = await findOrgCreditNote(req.user.organization, req.params.creditNoteId);
+    if (!creditNote) {
+      return res.status(404).json({ success: false, message: 'Credit note not found' });
+    }
+    const organization = await Organization.findById(req.user.organization).select('name address email');
+
+    const doc = new PDFDocument({ size: 'A4', margin: 50 });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="credit-note-${creditNote.creditNoteNumber}.pdf"`);
+    doc.pipe(res);
+    renderCreditNotePDF(doc, creditNote, organization);
+    doc.end();
+  } catch (error) {
+    sendError(res, error, 'Error generating credit note PDF');
+  }
+};
+
+exports.sendCreditNoteEmail = async (req, res) => {
+  try {
+    const creditNote = await findOrgCreditNote(req.user.organization, req.params.creditNoteId);
+    if (!creditNote) {
+      return res.status(404).json({ success: false, message: 'Credit note not found' });
+    }
+    const organization = await Organization.findById(req.user.organization).select('name address email');
+
+    await emailCreditNote(creditNote, organization, { recipientEmail: req.body.recipientEmail, userId: req.user._id });
+
+    await createAuditLog({
+      action: 'email_credit_note',
+      user: req.user._id,
+      resource: 'CreditNote',
+      resourceId: creditNote._id,
+      details: {
+        creditNoteNumber: creditNote.creditNoteNumber,
+        recipientEmail: req.body.recipientEmail || creditNote.customerEmail
+      },
+      organization: req.user.organization
+    });
+
+    res.json({ success: true, message: 'Credit note sent successfully', data: creditNote });
+  } catch (error) {
+    sendError(res, error, 'Error emailing credit note');
+  }
+};
+
+// Credit notes are never deleted; voiding keeps the number in the sequence and restores the invoice balance
+exports.voidCreditNote = async (req, res) => {
+  try {
+    const creditNote = await findOrgCreditNote(req.user.organization, req.params.creditNoteId);
+    if (!creditNote) {
+      return res.status(404).json({ success: false, message: 'Credit note not found' });
+    }
+    const invoice = await Invoice.findOne({ _id: creditNote.invoiceId, organizationId: req.user.organization });
+
+    const result = await voidCreditNote(creditNote, invoice, { reason: req.body.reason, userId: req.user._id });
+
+    await createAuditLog({
+      action: 'void_credit_note',
+      user: req.user._id,
+      resource: 'CreditNote',
+      resourceId: creditNote._id,
+      details: {
+        creditNoteNumber: creditNote.creditNoteNumber,
+        invoiceNumber: creditNote.invoiceNumber,
+        reason: req.body.reason || null
+      },
+      organization: req.user.organization
+    });
+
+    res.json({ success: true, message: 'Credit note voided successfully', data: result });
+  } catch (error) {
+    sendError(res, error, 'Error voiding credit note');
+  }
+};
@@ -1,9 +1,9 @@
 const Customer = require('../models/customers'); // Adjust the path as per your project structure
-const { Worker } = require('worker_threads');
-const path = require('path');
 const Store = require('../models/store');
 const Organization = require('../models/organization');
-const WooCommerceService = require('../services/wooCommerceService.js');
+const { getCommerceAdapter } = require('../services/commerceAdapterRegistry');
+const { getSyncWatermark } = require('../helper/syncWatermarkHelper');
+const syncQueueService = require('../services/syncQueueService');
 const logEvent = require('../helper/logEvent');
 const cloudinary = require('cloudinary').v2;
 const { notifyCustomerRegistered, notifyCustomerUpdated } = require('../helpers/notificationHelper');
@@ -47,9 +47,13 @@ const { notifyCustomerRegistered, notifyCustomerUpdated } = require('../helpers/
  *                 format: ObjectId
  *                 description: User ID who initiated the sync
  *                 example: "507f1f77bcf86cd799439011"
+ *               fullResync:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Ignore the last sync watermark and pull every record again
  *     responses:
- *       200:
- *         description: Customer synchronization started in the background
+ *       202:
+ *         description: Customer sync job queued
  *         content:
  *           application/json:
  *             schema:
@@ -57,7 +61,24 @@ const { notifyCustomerRegistered, notifyCustomerUpdated } = require('../helpers/
  *               properties:
  *                 message:
  *                   type: string
- *                   example: "Customer synchronization started in the background"
+ *                   example: "Customer synchronization queued"
+ *                 syncJobId:
+ *                   type: string
+ *                   description: Track the job under /api/stores/{storeId}/sync-jobs/{syncJobId}
+ *                 status:
+ *                   type: string
+ *                   enum: [queued, active, retrying]
+ *                 progress:
+ *                   type: number
+ *                 mode:
+ *                   type: string
+ *                   enum: [incremental, full]
+ *                 modifiedAfter:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *       200:
+ *         description: A customer sync job for this store is already queued or running; that job is returned
  *       404:
  *         description: Store or organization not found
  *         content:
@@ -82,7 +103,7 @@ const { notifyCustomerRegistered, notifyCustomerUpdated } = require('../helpers/
 exports.syncCustomers = async (req, res) => {
   try {
     const { storeId, organizationId } = req.params;
-    const { userId } = req.body;
+    const { userId, fullResync = false } = req.body;
 
     const store = await Store.findById(storeId);
     if (!store) return res.status(404).json({ error: 'Store not found' });
@@ -90,38 +111,26 @@ exports.syncCustomers = async (req, res) => {
     const organization = await Organization.findById(organizationId);
     if (!organization) return res.status(404).json({ error: 'Organization not found' });
 
-    // Extract only serializable properties from the store document
-    const storeData = {
-      _id: store._id,
-      name: store.name,
-      url: store.url,
-      apiKey: store.apiKey,
-      secretKey: store.secretKey,
-      platformType: store.platformType,
-      isActive: store.isActive
-    };
-
-    const worker = new Worker(path.resolve(__dirname, '../helper/syncCustomerWorker.js'), {
-      workerData: { storeId, store: storeData, organizationId, userId },
-    });
-
-    worker.on('message', (message) => {
-      if (message.status === 'success') {
-        console.log(message.message);
-      } else if (message.status === 'error') {
-        console.error(`Error in worker thread: ${message.message}`);
-      }
+    // Watermark the queued job will start from (a full resync clears it when queued)
+    const modifiedAfter = getSyncWatermark(store, 'customers', fullResync);
+    const { syncJob, created } = await syncQueueService.enqueue({
+      store,
+      resource: 'customers',
+      organizationId,
+      userId,
+      fullResync
     });
 
-    worker.on('error', (error) => {
-      console.error(`Worker thread error: ${error.message}`);
+    res.status(created ? 202 : 200).json({
+      message: created
+        ? 'Customer synchronization queued'
+        : 'Customer synchronization is already in progress',
+      syncJobId: syncJob._id,
+      status: syncJob.status,
+      progress: syncJob.progress,
+      mode: modifiedAfter ? 'incremental' : 'full',
+      modifiedAfter
     });
-
-    worker.on('exit', (code) => {
-      if (code !== 0) console.error(`Worker stopped with exit code ${code}`);
-    });
-
-    res.json({ message: 'Customer synchronization started in the background' });
   } catch (error) {
     console.error('Error in syncCustomers:', error.message);
     res.status(500).json({ error: error.message });
@@ -427,8 +436,8 @@ exports.createCustomer = async (req, res) => {
             syncStatus = 'failed';
             syncError = 'Store not found for WooCommerce sync';
           } else {
-            // Create WooCommerce service instance
-            const wooCommerceService = new WooCommerceService(store);
+            // Resolve the commerce adapter for the store's platform
+            const commerceAdapter = getCommerceAdapter(store);
 
             // Prepare customer data for WooCommerce
             const customerData = {
@@ -455,7 +464,7 @@ exports.createCustomer = async (req, res) => {
             };
 
             // Create customer in WooCommerce
-            const wooCommerceResult = await wooCommerceService.createCustomer(customerData);
+            const wooCommerceResult = await commerceAdapter.createCustomer(customerData);
             
             if (wooCommerceResult.success) {
               wooCommerceId = wooCommerceResult.data.id;
@@ -1000,8 +1009,8 @@ exports.createCustomer = async (req, res) => {
             });
           }
 
-          // Create WooCommerce service instance
-          const wooCommerceService = new WooCommerceService(store);
+          // Resolve the commerce adapter for the store's platform
+          const commerceAdapter = getCommerceAdapter(store);
 
           // Prepare customer data for WooCommerce (merge current data with updates)
           const customerData = {
@@ -1013,13 +1022,13 @@ exports.createCustomer = async (req, res) => {
 
           // If customer already exists in WooCommerce, update it
           if (currentCustomer.wooCommerceId) {
-            wooCommerceResult = await wooCommerceService.updateCustomer(
+            wooCommerceResult = await commerceAdapter.updateCustomer(
               currentCustomer.wooCommerceId, 
               customerData
             );
           } else {
             // If customer doesn't exist in WooCommerce, create it
-            wooCommerceResult = await wooCommerceService.createCustomer(customerData);
+            wooCommerceResult = await commerceAdapter.createCustomer(customerData);
           }
           
           if (wooCommerceResult.success) {
@@ -1220,11 +1229,11 @@ exports.createCustomer = async (req, res) => {
             });
           }
 
-          // Create WooCommerce service instance
-          const wooCommerceService = new WooCommerceService(store);
+          // Resolve the commerce adapter for the store's platform
+          const commerceAdapter = getCommerceAdapter(store);
 
           // Delete customer from WooCommerce
-          const wooCommerceResult = await wooCommerceService.deleteCustomer(customerToDelete.wooCommerceId);
+          const wooCommerceResult = await commerceAdapter.deleteCustomer(customerToDelete.wooCommerceId);
           
           if (wooCommerceResult.success) {
             wooCommerceSync = {
@@ -1385,13 +1394,12 @@ exports.createCustomer = async (req, res) => {
       if (syncToWooCommerce && store) {
         console.log(`🔄 Starting WooCommerce deletion for ${customers.length} customers`);
         
-        const WooCommerceService = require('../services/wooCommerceService');
-        const wooCommerceService = new WooCommerceService(store);
+        const commerceAdapter = getCommerceAdapter(store);
 
         for (const customer of customers) {
           if (customer.wooCommerceId) {
             try {
-              const wooCommerceResult = await wooCommerceService.deleteCustomer(customer.wooCommerceId);
+              const wooCommerceResult = await commerceAdapter.deleteCustomer(customer.wooCommerceId);
               
               if (wooCommerceResult.success) {
                 wooCommerceSyncResults.synced++;
@@ -1577,8 +1585,8 @@ exports.createCustomer = async (req, res) => {
         });
       }
 
-      // Create WooCommerce service instance
-      const wooCommerceService = new WooCommerceService(store);
+      // Resolve the commerce adapter for the store's platform
+      const commerceAdapter = getCommerceAdapter(store);
 
       let wooCommerceResult;
       let syncAction = '';
@@ -1588,11 +1596,11 @@ exports.createCustomer = async (req, res) => {
 
       // If customer already exists in WooCommerce, update it
       if (customer.wooCommerceId) {
-        wooCommerceResult = await wooCommerceService.updateCustomer(customer.wooCommerceId, customerData);
+        wooCommerceResult = await commerceAdapter.updateCustomer(customer.wooCommerceId, customerData);
         syncAction = 'updated';
       } else {
         // If customer doesn't exist in WooCommerce, create it
-        wooCommerceResult = await wooCommerceService.createCustomer(customerData);
+        wooCommerceResult = await commerceAdapter.createCustomer(customerData);
         syncAction = 'created';
       }
 
@@ -0,0 +1,205 @@
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const FulfillmentBatch = require('../models/fulfillmentBatch');
+const Order = require('../models/order');
+const Store = require('../models/store');
+const { createAuditLog } = require('../helpers/auditLogHelper');
+const {
+  createFulfillmentBatch,
+  packFulfillmentBatch,
+  renderPickListPDF,
+  renderPackingSlipsPDF
+} = require('../helper/fulfillmentHelper');
+
+const findOrgBatch = async (organizationId, batchId) => {
+  if (!mongoose.Types.ObjectId.isValid(batchId)) return null;
+  return FulfillmentBatch.findOne({ _id: batchId, organizationId });
+};
+
+const sendError = (res, error, message) => {
+  const statusCode = error.statusCode || 500;
+  res.status(statusCode).json({
+    success: false,
+    message: statusCode === 500 ? message : error.message,
+    error: error.message
+  });
+};
+
+exports.createFulfillmentBatch = async (req, res) => {
+  try {
+    const { orderIds, storeIds, limit, warehouseId, notes } = req.body;
+    const batch = await createFulfillmentBatch(req.user.organization, {
+      orderIds,
+      storeIds,
+      limit,
+      warehouseId,
+      notes,
+      userId: req.user._id
+    });
+
+    await createAuditLog({
+      action: 'create_fulfillment_batch',
+      user: req.user._id,
+      resource: 'FulfillmentBatch',
+      resourceId: batch._id,
+      details: { batchNumber: batch.batchNumber, orders: batch.orders.length, units: batch.totalUnits },
+      organization: req.user.organization
+    });
+
+    res.status(201).json({ success: true, message: 'Fulfillment batch created successfully', data: batch });
+  } catch (error) {
+    console.error('Error creating fulfillment batch:', error);
+    sendError(res, error, 'Error creating fulfillment batch');
+  }
+};
+
+exports.getFulfillmentBatches = async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+    const filter = { organizationId: req.user.organization };
+    if (req.query.status) filter.status = req.query.status;
+
+    const [batches, total] = await Promise.all([
+      FulfillmentBatch.find(filter)
+        .select('-pickList')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      FulfillmentBatch.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: batches,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('Error fetching fulfillment batches:', error);
+    sendError(res, error, 'Error fetching fulfillment batches');
+  }
+};
+
+exports.getFulfillmentBatchById = async (req, res) => {
+  try {
+    const batch = await findOrgBatch(req.user.organization, req.params.batchId);
+    if (!batch) {
+      return res.status(404).json({ success: false, message: 'Fulfillment batch not found' });
+    }
+
+    res.json({ success: true, data: batch });
+  } catch (error) {
+    console.error('Error fetching fulfillment batch:', error);
+    sendError(res, error, 'Error fetching fulfillment batch');
+  }
+};
+
+exports.downloadPickList = async (req, res) => {
+  try {
+    const batch = await findOrgBatch(req.user.organization, req.params.batchId);
+    if (!batch) {
+      return res.status(404).json({ success: false, message: 'Fulfillment batch not found' });
+    }
+
+    const doc = new PDFDocument({ size: 'A4', margin: 40 });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="pick-list-${batch.batchNumber}.pdf"`);
+    doc.pipe(res);
+    renderPickListPDF(doc, batch);
+    doc.end();
+  } catch (error) {
+    console.error('Error generating pick list:', error);
+    sendError(res, error, 'Error generating pick list');
+  }
+};
+
+exports.downloadPackingSlips = async (req, res) => {
+  try {
+    const batch = await findOrgBatch(req.user.organization, req.params.batchId);
+    if (!batch) {
+      return res.status(404).json({ success: false, message: 'Fulfillment batch not found' });
+    }
+
+    const [orders, stores] = await Promise.all([
+      Order.find({ _id: { $in: batch.orders.map(entry => entry.orderId) } }),
+      Store.find({ _id: { $in: batch.orders.map(entry => entry.storeId).filter(Boolean) } }).select('name')
+    ]);
+    const storeNames = new Map(stores.map(store => [String(store._id), store.name]));
+
+    const doc = new PDFDocument({ size: 'A4', margin: 40 });
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Disposition', `attachment; filename="packing-slips-${batch.batchNumber}.pdf"`);
+    doc.pipe(res);
+    renderPackingSlipsPDF(doc, batch, orders, storeNames);
+    doc.end();
+  } catch (error) {
+    console.error('Error generating packing slips:', error);
+    sendError(res, error, 'Error generating packing slips');
+  }
+};
+
+// Every order still processing is stamped packed, and with orderStatus completed also completed in its store
+exports.packFulfillmentBatch = async (req, res) => {
+  try {
+    const batch = await findOrgBatch(req.user.organization, req.params.batchId);
+    if (!batch) {
+      return res.status(404).json({ success: false, message: 'Fulfillment batch not found' });
+    }
+
+    const orderStatus = req.body?.orderStatus || 'packed';
+    const { updated, skipped } = await packFulfillmentBatch(batch, { orderStatus, userId: req.user._id });
+
+    await createAuditLog({
+      action: 'pack_fulfillment_batch',
+      user: req.user._id,
+      resource: 'FulfillmentBatch',
+      resourceId: batch._id,
+      details: { batchNumber: batch.batchNumber, orderStatus, updated, skipped },
+      organization: req.user.organization
+    });
+
+    res.json({
+      success: true,
+      message: skipped.length > 0
+        ? `Batch packed; ${skipped.length} order(s) were no longer processing and were left unchanged`
+        : 'Batch packed',
+      data: batch,
+      updated,
+      skipped
+    });
+  } catch (error) {
+    console.error('Error packing fulfillment batch:', error);
+    sendError(res, error, 'Error packing fulfillment batch');
+  }
+};
+
+// Releases the orders so they can be batched again
+exports.cancelFulfillmentBatch = async (req, res) => {
+  try {
+    const batch = await findOrgBatch(req.user.organization, req.params.batchId);
+    if (!batch) {
+      return res.status(404).json({ success: false, message: 'Fulfillment batch not found' });
+    }
+    if (batch.status !== 'open') {
+      return res.status(409).json({ success: false, message: `Fulfillment batch is already ${batch.status}` });
+    }
+
+    batch.status = 'cancelled';
+    batch.cancelledAt = new Date();
+    await batch.save();
+
+    await createAuditLog({
+      action: 'cancel_fulfillment_batch',
+      user: req.user._id,
+      resource: 'FulfillmentBatch',
+      resourceId: batch._id,
+      details: { batchNumber: batch.batchNumber, orders: batch.orders.length },
+      organization: req.user.organization
+    });
+
+    res.json({ success: true, message: 'Fulfillment batch cancelled', data: batch });
+  } catch (error) {
+    console.error('Error cancelling fulfillment batch:', error);
+    sendError(res, error, 'Error cancelling fulfillment batch');
+  }
+};
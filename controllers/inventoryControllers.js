@@ -2,13 +2,19 @@ const Inventory = require('../models/inventory');
 const Store = require('../models/store');
 const Organization = require('../models/organization');
 const mongoose = require('mongoose');
-const { Worker } = require('worker_threads');
-const path = require('path');
 const cloudinary = require('cloudinary').v2;
 const { createAuditLog } = require('../helpers/auditLogHelper');
 const { createProductInWooCommerce } = require('../helper/wooCommerceCreateHelper');
 const { updateWooCommerceProduct } = require('../helper/wooCommerceUpdateHelper');
+const { getCommerceAdapter } = require('../services/commerceAdapterRegistry');
+const { getSyncWatermark } = require('../helper/syncWatermarkHelper');
+const syncQueueService = require('../services/syncQueueService');
 const { notifyProductCreated, notifyLowInventory, notifyOutOfStock } = require('../helpers/notificationHelper');
+const ProductVariation = require('../models/productVariation');
+const { LOW_STOCK_THRESHOLD, lowStockVariationFilter } = require('../helper/productVariationHelper');
+const StockLevel = require('../models/stockLevel');
+const { usesStockLocations, locationStockFilter } = require('../helper/warehouseStockHelper');
+const { recordStockChange, getStockHistory, getQuantityAsOf } = require('../helper/stockLedgerHelper');
 
 /**
  * @swagger
@@ -378,7 +384,7 @@ const { notifyProductCreated, notifyLowInventory, notifyOutOfStock } = require('
 exports.syncProducts = async (req, res) => {
   try {
     const { storeId, organizationId } = req.params;
-    const { userId } = req.body;
+    const { userId, fullResync = false } = req.body;
 
     const store = await Store.findById(storeId);
     if (!store) return res.status(404).json({ error: 'Store not found' });
@@ -386,40 +392,26 @@ exports.syncProducts = async (req, res) => {
     const organization = await Organization.findById(organizationId);
     if (!organization) return res.status(404).json({ error: 'Organization not found' });
 
-    // Extract only serializable properties from the store document
-    const storeData = {
-      _id: store._id,
-      name: store.name,
-      url: store.url,
-      apiKey: store.apiKey,
-      secretKey: store.secretKey,
-      platformType: store.platformType,
-      isActive: store.isActive
-    };
-
-    const worker = new Worker(path.resolve(__dirname, '../helper/syncProductWorker.js'), {
-      workerData: { storeId, store: storeData, organizationId, userId },
-    });
-
-    console.log('Worker Path:', path.resolve(__dirname, '../helper/syncProductWorker.js'));
-
-    worker.on('message', (message) => {
-      if (message.status === 'success') {
-        console.log(message.message);
-      } else if (message.status === 'error') {
-        console.error(`Error in worker thread: ${message.message}`);
-      }
-    });
-
-    worker.on('error', (error) => {
-      console.error(`Worker thread error: ${error.message}`);
+    // Watermark the queued job will start from (a full resync clears it when queued)
+    const modifiedAfter = getSyncWatermark(store, 'products', fullResync);
+    const { syncJob, created } = await syncQueueService.enqueue({
+      store,
+      resource: 'products',
+      organizationId,
+      userId,
+      fullResync
     });
 
-    worker.on('exit', (code) => {
-      if (code !== 0) console.error(`Worker stopped with exit code ${code}`);
+    res.status(created ? 202 : 200).json({
+      message: created
+        ? 'Product synchronization queued'
+        : 'Product synchronization is already in progress',
+      syncJobId: syncJob._id,
+      status: syncJob.status,
+      progress: syncJob.progress,
+      mode: modifiedAfter ? 'incremental' : 'full',
+      modifiedAfter
     });
-
-    res.json({ message: 'Product synchronization started in the background' });
   } catch (error) {
     console.error('Error in syncProducts:', error.message);
     res.status(500).json({ error: error.message });
@@ -1091,6 +1083,15 @@ exports.createProduct = async (req, res) => {
     const savedProduct = await newProduct.save();
     console.log('✅ Product saved to database with ID:', savedProduct._id);
 
+    await recordStockChange({
+      product: savedProduct,
+      previousQuantity: 0,
+      newQuantity: savedProduct.stock_quantity,
+      source: 'manual',
+      userId,
+      note: 'Opening stock'
+    });
+
     // ✅ AUDIT LOG: Product Created
     await createAuditLog({
       action: 'Product Created',
@@ -2078,6 +2079,17 @@ exports.updateProduct = async (req, res) => {
       });
     }
 
+    // Stores fed by warehouses get their quantity from location stock
+    if (sanitizedData.stock_quantity !== undefined && existingProduct.storeId) {
+      const productStore = await Store.findById(existingProduct.storeId).select('stockLocations');
+      if (usesStockLocations(productStore)) {
+        return res.status(400).json({
+          success: false,
+          message: "Stock for this store is tracked per warehouse. Adjust it at a location instead."
+        });
+      }
+    }
+
     let wooCommerceSync = null;
 
     // If sync to WooCommerce is requested
@@ -2158,6 +2170,17 @@ exports.updateProduct = async (req, res) => {
       { new: true, runValidators: true } // return the updated product and run validators
     );
 
+    if (sanitizedData.stock_quantity !== undefined) {
+      await recordStockChange({
+        product: updatedProduct,
+        previousQuantity: existingProduct.stock_quantity,
+        newQuantity: updatedProduct.stock_quantity,
+        source: 'manual',
+        userId: req.user?._id,
+        note: req.body.stockNote
+      });
+    }
+
     // ✅ AUDIT LOG: Product Updated
     await createAuditLog({
       action: 'Product Updated',
@@ -2453,6 +2476,8 @@ exports.deleteProduct = async (req, res) => {
 
     // Delete from local database
     const deletedProduct = await Inventory.findByIdAndDelete(productId);
+    await ProductVariation.deleteMany({ parentId: productId });
+    await StockLevel.deleteMany({ productId });
     
     res.status(200).json({ 
       success: true, 
@@ -2560,6 +2585,8 @@ exports.deleteAllProductsByStore = async (req, res) => {
     });
 
     const result = await Inventory.deleteMany({ storeId });
+    await ProductVariation.deleteMany({ storeId });
+    await StockLevel.deleteMany({ productId: { $in: productsToDelete.map(product => product._id) } });
     res.status(200).json({ success: true, message: "All products deleted successfully" });
   } catch (error) {
     console.error(error);
@@ -2644,6 +2671,11 @@ exports.getTotalProducts = async (req, res) => {
  *           format: ObjectId
  *         description: Organization ID
  *         example: "507f1f77bcf86cd799439011"
+ *       - in: query
+ *         name: locationId
+ *         schema:
+ *           type: string
+ *         description: Only count stock held at this warehouse
  *     responses:
  *       200:
  *         description: In-stock items count retrieved successfully
@@ -2679,6 +2711,12 @@ exports.getTotalProducts = async (req, res) => {
 exports.getInStockItems = async (req, res) => {
   try {
     const { organizationId } = req.params;
+    const { locationId } = req.query;
+    if (locationId) {
+      const count = await StockLevel.countDocuments(locationStockFilter(organizationId, locationId, { $gt: 0 }));
+      return res.status(200).json({ success: true, count, locationId });
+    }
+
     const count = await Inventory.countDocuments({ 
       organizationId,
       stock_status: "instock" 
@@ -2706,6 +2744,17 @@ exports.getInStockItems = async (req, res) => {
  *           format: ObjectId
  *         description: Organization ID
  *         example: "507f1f77bcf86cd799439011"
+ *       - in: query
+ *         name: threshold
+ *         schema:
+ *           type: number
+ *           default: 10
+ *         description: Stock at or below this (and above zero) counts as low
+ *       - in: query
+ *         name: locationId
+ *         schema:
+ *           type: string
+ *         description: Only count stock held at this warehouse
  *     responses:
  *       200:
  *         description: Low-stock items count retrieved successfully
@@ -2719,8 +2768,14 @@ exports.getInStockItems = async (req, res) => {
  *                   example: true
  *                 count:
  *                   type: number
- *                   description: Number of low-stock items
+ *                   description: Number of low-stock items (simple products plus variations)
  *                   example: 15
+ *                 products:
+ *                   type: number
+ *                   description: Low-stock products that have no variations
+ *                 variations:
+ *                   type: number
+ *                   description: Low-stock variations of variable products
  *       401:
  *         description: Unauthorized - Invalid or missing JWT token
  *       500:
@@ -2741,11 +2796,25 @@ exports.getInStockItems = async (req, res) => {
 exports.getLowStockItems = async (req, res) => {
   try {
     const { organizationId } = req.params;
-    const count = await Inventory.countDocuments({ 
+    const threshold = parseInt(req.query.threshold, 10) || LOW_STOCK_THRESHOLD;
+    const { locationId } = req.query;
+
+    // Location stock is tracked per product, so there are no variation counts to add
+    if (locationId) {
+      const products = await StockLevel.countDocuments(
+        locationStockFilter(organizationId, locationId, { $gt: 0, $lte: threshold })
+      );
+      return res.status(200).json({ success: true, count: products, products, variations: 0, locationId });
+    }
+
+    // Variable products are counted per variation, since that is where their stock lives
+    const products = await Inventory.countDocuments({
       organizationId,
-      stock_status: "low-stock" 
+      type: { $ne: 'variable' },
+      stock_quantity: { $gt: 0, $lte: threshold }
     });
-    res.status(200).json({ success: true, count });
+    const variations = await ProductVariation.countDocuments(lowStockVariationFilter(organizationId, threshold));
+    res.status(200).json({ success: true, count: products + variations, products, variations });
   } catch (error) {
     res.status(500).json({ success: false, message: "Failed to get low-stock items" });
   }
@@ -2949,6 +3018,11 @@ exports.getStoreCount = async (req, res) => {
  *           format: ObjectId
  *         description: Organization ID
  *         example: "507f1f77bcf86cd799439011"
+ *       - in: query
+ *         name: locationId
+ *         schema:
+ *           type: string
+ *         description: Only count stock held at this warehouse
  *     responses:
  *       200:
  *         description: Total inventory value retrieved successfully
@@ -2984,6 +3058,17 @@ exports.getStoreCount = async (req, res) => {
 exports.getTotalInventoryValue = async (req, res) => {
   try {
     const { organizationId } = req.params;
+    const { locationId } = req.query;
+    if (locationId) {
+      const levels = await StockLevel.find(locationStockFilter(organizationId, locationId, { $gt: 0 }), { productId: 1, quantity: 1 })
+        .populate('productId', 'price');
+      const totalValue = levels.reduce((sum, level) => {
+        const price = parseFloat(level.productId?.price) || 0;
+        return sum + (price * level.quantity);
+      }, 0);
+      return res.status(200).json({ success: true, totalValue, locationId });
+    }
+
     const products = await Inventory.find({ organizationId }, { price: 1, stock_quantity: 1 });
     const totalValue = products.reduce((sum, product) => {
       const price = parseFloat(product.price) || 0;
@@ -3329,16 +3414,17 @@ exports.syncProductToWooCommerce = async (req, res) => {
     let wooCommerceResult;
     let syncAction = '';
 
-    // Prepare product data for WooCommerce
+    // Prepare product data for the store's platform
     const productData = product.toObject();
+    const commerceAdapter = getCommerceAdapter(store);
 
-    // If product already exists in WooCommerce, update it
+    // If product already exists in the store, update it
     if (product.wooCommerceId) {
-      wooCommerceResult = await updateWooCommerceProduct(store, existingProduct.wooCommerceId, productData);
+      wooCommerceResult = await commerceAdapter.updateProduct(product.wooCommerceId, productData);
       syncAction = 'updated';
     } else {
-      // If product doesn't exist in WooCommerce, create it
-      wooCommerceResult = await createProductInWooCommerce(store, productData);
+      // If product doesn't exist in the store, create it
+      wooCommerceResult = await commerceAdapter.createProduct(productData);
       syncAction = 'created';
     }
 
@@ -3418,4 +3504,64 @@ exports.syncProductToWooCommerce = async (req, res) => {
       error: error.message 
     });
   }
-};
\ No newline at end of file
+};
+// Loads a product the caller's organization owns, or sends the error response
+const findOrganizationProduct = async (req, res) => {
+  const { productId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(productId)) {
+    res.status(400).json({ success: false, message: "Invalid product ID" });
+    return null;
+  }
+
+  const product = await Inventory.findById(productId);
+  if (!product) {
+    res.status(404).json({ success: false, message: "Product not found" });
+    return null;
+  }
+  if (product.organizationId.toString() !== req.user.organization.toString()) {
+    res.status(403).json({ success: false, message: "You can only view products from your organization" });
+    return null;
+  }
+  return product;
+};
+
+// Stock ledger of a product: every recorded change with its source, user, delta and balance
+exports.getProductStockHistory = async (req, res) => {
+  try {
+    const product = await findOrganizationProduct(req, res);
+    if (!product) return;
+
+    const { from, to, source, warehouseId } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const movements = await getStockHistory(product._id, { from, to, source, warehouseId: warehouseId || null, limit });
+
+    res.status(200).json({
+      success: true,
+      product: { _id: product._id, name: product.name, sku: product.sku, stock_quantity: product.stock_quantity },
+      data: movements,
+      count: movements.length
+    });
+  } catch (error) {
+    console.error('Error fetching stock history:', error);
+    res.status(500).json({ success: false, message: "Failed to get stock history", error: error.message });
+  }
+};
+
+// Rebuild a product's stock quantity as of a date from the ledger
+exports.getProductStockAsOf = async (req, res) => {
+  try {
+    const product = await findOrganizationProduct(req, res);
+    if (!product) return;
+
+    const date = req.query.date ? new Date(req.query.date) : new Date();
+    if (Number.isNaN(date.getTime())) {
+      return res.status(400).json({ success: false, message: "date must be a valid date" });
+    }
+
+    const result = await getQuantityAsOf(product, date);
+    res.status(200).json({ success: true, productId: product._id, data: result });
+  } catch (error) {
+    console.error('Error rebuilding stock quantity:', error);
+    res.status(500).json({ success: false, message: "Failed to rebuild stock quantity", error: error.message });
+  }
+};
@@ -0,0 +1,163 @@
+const mongoose = require('mongoose');
+const Store = require('../models/store');
+const InventoryReconciliation = require('../models/inventoryReconciliation');
+const { createAuditLog } = require('../helpers/auditLogHelper');
+const { isSupportedPlatform } = require('../services/commerceAdapterRegistry');
+const { FIELDS, DIRECTIONS, runReconciliation, applyReconciliation } = require('../helper/inventoryReconciliationHelper');
+
+const findStoreReconciliation = async (storeId, reconciliationId) => {
+  if (!mongoose.Types.ObjectId.isValid(reconciliationId)) return null;
+  return InventoryReconciliation.findOne({ _id: reconciliationId, storeId });
+};
+
+// Returns an error message, or null when the directions are usable
+const validateDirections = (directions, overrides) => {
+  for (const [field, direction] of Object.entries(directions)) {
+    if (!FIELDS.includes(field)) return `Unknown field: ${field}. Use one of: ${FIELDS.join(', ')}`;
+    if (!DIRECTIONS.includes(direction)) return `Direction for ${field} must be push or pull`;
+  }
+  for (const override of overrides) {
+    if (!override.itemId || !FIELDS.includes(override.field) || !DIRECTIONS.includes(override.direction)) {
+      return 'Each override needs itemId, field and a push or pull direction';
+    }
+  }
+  return null;
+};
+
+// Compare local inventory with the live store and save the diff report
+exports.createReconciliation = async (req, res) => {
+  try {
+    const { storeId } = req.params;
+
+    const store = await Store.findById(storeId);
+    if (!store) {
+      return res.status(404).json({ success: false, message: 'Store not found' });
+    }
+    if (!isSupportedPlatform(store.platformType)) {
+      return res.status(400).json({ success: false, message: `Reconciliation is not supported for ${store.platformType} stores` });
+    }
+
+    const reconciliation = await runReconciliation(store, req.user?._id);
+
+    await createAuditLog({
+      action: 'run_inventory_reconciliation',
+      user: req.user?._id,
+      resource: 'InventoryReconciliation',
+      resourceId: reconciliation._id,
+      details: { storeId, summary: reconciliation.summary },
+      organization: store.organizationId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Inventory reconciliation completed',
+      data: reconciliation
+    });
+  } catch (error) {
+    console.error('Error running inventory reconciliation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error running inventory reconciliation',
+      error: error.message
+    });
+  }
+};
+
+// Past reconciliations for a store, newest first (items omitted)
+exports.getReconciliations = async (req, res) => {
+  try {
+    const { storeId } = req.params;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    const reconciliations = await InventoryReconciliation.find({ storeId })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .select('-items');
+
+    res.json({ success: true, data: reconciliations, count: reconciliations.length });
+  } catch (error) {
+    console.error('Error fetching inventory reconciliations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching inventory reconciliations',
+      error: error.message
+    });
+  }
+};
+
+exports.getReconciliationById = async (req, res) => {
+  try {
+    const { storeId, reconciliationId } = req.params;
+
+    const reconciliation = await findStoreReconciliation(storeId, reconciliationId);
+    if (!reconciliation) {
+      return res.status(404).json({ success: false, message: 'Reconciliation not found' });
+    }
+
+    res.json({ success: true, data: reconciliation });
+  } catch (error) {
+    console.error('Error fetching inventory reconciliation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching inventory reconciliation',
+      error: error.message
+    });
+  }
+};
+
+// Fix the differences in a report, pushing or pulling each field as requested
+exports.applyReconciliation = async (req, res) => {
+  try {
+    const { storeId, reconciliationId } = req.params;
+    const { directions = {}, overrides = [] } = req.body;
+
+    const validationError = validateDirections(directions, overrides);
+    if (validationError) {
+      return res.status(400).json({ success: false, message: validationError });
+    }
+    if (Object.keys(directions).length === 0 && overrides.length === 0) {
+      return res.status(400).json({ success: false, message: 'Provide a direction for at least one field' });
+    }
+
+    const store = await Store.findById(storeId);
+    if (!store) {
+      return res.status(404).json({ success: false, message: 'Store not found' });
+    }
+
+    const reconciliation = await findStoreReconciliation(storeId, reconciliationId);
+    if (!reconciliation) {
+      return res.status(404).json({ success: false, message: 'Reconciliation not found' });
+    }
+    if (reconciliation.status === 'failed') {
+      return res.status(400).json({ success: false, message: 'This reconciliation failed and has no report to apply' });
+    }
+
+    const counts = await applyReconciliation(reconciliation, store, directions, overrides, req.user?._id);
+
+    await createAuditLog({
+      action: 'apply_inventory_reconciliation',
+      user: req.user?._id,
+      resource: 'InventoryReconciliation',
+      resourceId: reconciliation._id,
+      details: { storeId, directions, overrides, ...counts },
+      organization: store.organizationId,
+      severity: counts.failed > 0 ? 'warning' : 'info'
+    });
+
+    res.json({
+      success: counts.failed === 0,
+      message: counts.failed === 0
+        ? 'Reconciliation fixes applied'
+        : `${counts.failed} field(s) could not be fixed`,
+      result: counts,
+      data: reconciliation
+    });
+  } catch (error) {
+    console.error('Error applying inventory reconciliation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error applying inventory reconciliation',
+      error: error.message
+    });
+  }
+};
@@ -11,6 +11,11 @@ const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
 const templateMergerService = require('../services/templateMergerService');
+const { computeInvoiceTaxes } = require('../helper/taxHelper');
+const { renderInvoicePDF, sendInvoiceEmail } = require('../helper/invoiceDocumentHelper');
+
+// Order meta keys that store plugins commonly save the customer's VAT number under
+const VAT_NUMBER_META_KEYS = ['_billing_vat_number', 'billing_vat_number', '_vat_number', 'vat_number', '_billing_eu_vat_number'];
 
 /**
  * @swagger
@@ -85,12 +90,48 @@ const templateMergerService = require('../services/templateMergerService');
  *         taxAmount:
  *           type: number
  *           description: Tax amount
+ *         taxBreakdown:
+ *           type: array
+ *           description: One row per tax rate charged (tax engine)
+ *           items:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               country:
+ *                 type: string
+ *               state:
+ *                 type: string
+ *               rate:
+ *                 type: number
+ *               compound:
+ *                 type: boolean
+ *               taxableAmount:
+ *                 type: number
+ *               taxAmount:
+ *                 type: number
+ *         pricesIncludeTax:
+ *           type: boolean
+ *           description: Item prices include tax; the subtotal is then net of tax
+ *         reverseCharge:
+ *           type: boolean
+ *           description: EU/UK VAT reverse charge applied; no VAT is charged
+ *         customerVatNumber:
+ *           type: string
  *         discountAmount:
  *           type: number
  *           description: Discount amount
  *         totalAmount:
  *           type: number
  *           description: Total amount
+ *         creditedAmount:
+ *           type: number
+ *           description: Sum of the issued credit notes against the invoice
+ *           readOnly: true
+ *         balanceDue:
+ *           type: number
+ *           description: Amount still owed after credit notes
+ *           readOnly: true
  *         currency:
  *           type: string
  *           enum: [USD, EUR, GBP, CAD, AUD, JPY, NGN]
@@ -114,7 +155,7 @@ const templateMergerService = require('../services/templateMergerService');
  *           description: Invoice template ID
  *         status:
  *           type: string
- *           enum: [draft, sent, paid, overdue, cancelled]
+ *           enum: [draft, sent, partially_paid, paid, overpaid, overdue, cancelled]
  *           description: Invoice status
  *         createdAt:
  *           type: string
@@ -153,7 +194,6 @@ const templateMergerService = require('../services/templateMergerService');
  *               - customerName
  *               - customerEmail
  *               - items
- *               - totalAmount
  *             properties:
  *               customerId:
  *                 type: string
@@ -214,7 +254,7 @@ const templateMergerService = require('../services/templateMergerService');
  *                 example: 59.98
  *               taxAmount:
  *                 type: number
- *                 description: Tax amount
+ *                 description: Tax amount (computed from the organization's tax rates when the tax engine is enabled)
  *                 example: 5.99
  *               discountAmount:
  *                 type: number
@@ -222,8 +262,15 @@ const templateMergerService = require('../services/templateMergerService');
  *                 example: 0
  *               totalAmount:
  *                 type: number
- *                 description: Total amount
+ *                 description: Total amount; required unless the tax engine is enabled, and checked against the computed total when given
  *                 example: 65.97
+ *               customerVatNumber:
+ *                 type: string
+ *                 description: Customer VAT number; a valid EU/UK number from another country than the organization's reverse charges the VAT
+ *                 example: "DE123456789"
+ *               pricesIncludeTax:
+ *                 type: boolean
+ *                 description: Override the organization's tax-inclusive pricing setting for this invoice
  *               currency:
  *                 type: string
  *                 enum: [USD, EUR, GBP, CAD, AUD, JPY, NGN]
@@ -328,7 +375,9 @@ exports.createInvoice = async (req, res) => {
       dueDate,
       notes,
       terms,
-      type
+      type,
+      customerVatNumber,
+      pricesIncludeTax
     } = req.body;
 
     // Handle logo upload if provided
@@ -381,7 +430,7 @@ exports.createInvoice = async (req, res) => {
     }
 
     // Validate required fields (storeId is now optional - will use organization default)
-    const requiredFields = ['customerId', 'organizationId', 'userId', 'customerName', 'customerEmail', 'items', 'totalAmount'];
+    const requiredFields = ['customerId', 'organizationId', 'userId', 'customerName', 'customerEmail', 'items'];
     const missingFields = requiredFields.filter(field => !req.body[field]);
     
     if (missingFields.length > 0) {
@@ -433,6 +482,15 @@ exports.createInvoice = async (req, res) => {
       return res.status(404).json({ success: false, message: 'Organization not found' });
     }
 
+    // Without the tax engine the caller supplies the tax and the total
+    const useTaxEngine = Boolean(organization.taxSettings?.enabled);
+    if (!useTaxEngine && !totalAmount) {
+      return res.status(400).json({ 
+        success: false, 
+        message: 'Missing required fields: totalAmount' 
+      });
+    }
+
     // Get organization's default store (first active store)
     const defaultStore = await Store.findOne({ 
       organizationId: organizationId, 
@@ -485,9 +543,6 @@ exports.createInvoice = async (req, res) => {
       // Continue without merged company info if there's an error
     }
 
-    // Generate invoice number
-    const invoiceNumber = await Invoice.generateInvoiceNumber(organizationId);
-
     // Process items to ensure correct structure
     const processedItems = items.map(item => ({
       name: item.name,
@@ -495,12 +550,24 @@ exports.createInvoice = async (req, res) => {
       quantity: Number(item.quantity),
       unitPrice: Number(item.unitPrice),
       totalPrice: Number(item.quantity) * Number(item.unitPrice),
-      taxRate: Number(item.taxRate) || 0
+      taxRate: Number(item.taxRate) || 0,
+      taxClass: item.taxClass || 'standard'
     }));
 
+    // Compute taxes from the customer's jurisdiction through the tax engine
+    let taxFields = null;
+    if (useTaxEngine) {
+      taxFields = await computeInvoiceTaxes(organization, {
+        items: processedItems,
+        discountAmount: Number(discountAmount) || 0,
+        address: customerAddress || {},
+        customerVatNumber,
+        pricesIncludeTax
+      });
+    }
+
     // Create new invoice using organization defaults
     const newInvoice = new Invoice({
-      invoiceNumber,
       customerId,
       storeId: defaultStore._id, // Use organization's default store
       organizationId,
@@ -508,11 +575,18 @@ exports.createInvoice = async (req, res) => {
       customerName,
       customerEmail,
       customerAddress,
-      items: processedItems,
+      items: taxFields ? taxFields.items : processedItems,
       subtotal: subtotal || 0,
-      taxAmount: taxAmount || 0,
+      taxAmount: taxFields ? taxFields.taxAmount : (taxAmount || 0),
       discountAmount: discountAmount || 0,
-      totalAmount,
+      totalAmount: totalAmount || 0,
+      ...(taxFields && {
+        taxBreakdown: taxFields.taxBreakdown,
+        pricesIncludeTax: taxFields.pricesIncludeTax,
+        reverseCharge: taxFields.reverseCharge,
+        customerVatNumber: taxFields.customerVatNumber,
+        taxNote: taxFields.taxNote
+      }),
       currency: (currency || 'USD').toUpperCase(),
       dueDate: dueDate || new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days from now
       notes,
@@ -533,7 +607,7 @@ exports.createInvoice = async (req, res) => {
 
     // Validate calculated total matches provided total
     const calculatedTotal = newInvoice.subtotal + newInvoice.taxAmount - newInvoice.discountAmount;
-    if (Math.abs(calculatedTotal - totalAmount) > 0.01) {
+    if (totalAmount && Math.abs(calculatedTotal - totalAmount) > 0.01) {
       return res.status(400).json({
         success: false,
         message: `Total amount mismatch. Calculated: ${calculatedTotal}, Provided: ${totalAmount}`
@@ -581,7 +655,7 @@ exports.createInvoice = async (req, res) => {
 
   } catch (error) {
     console.error('Error creating invoice:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Error creating invoice',
       error: error.message
@@ -610,7 +684,7 @@ exports.createInvoice = async (req, res) => {
  *         name: status
  *         schema:
  *           type: string
- *           enum: [draft, sent, paid, overdue, cancelled]
+ *           enum: [draft, sent, partially_paid, paid, overpaid, overdue, cancelled]
  *         description: Filter by invoice status
  *         example: "paid"
  *       - in: query
@@ -996,7 +1070,7 @@ exports.getInvoiceById = async (req, res) => {
  *                 example: "Net 30"
  *               status:
  *                 type: string
- *                 enum: [draft, sent, paid, overdue, cancelled]
+ *                 enum: [draft, sent, partially_paid, paid, overpaid, overdue, cancelled]
  *                 description: Invoice status
  *                 example: "sent"
  *     responses:
@@ -1059,7 +1133,9 @@ exports.updateInvoice = async (req, res) => {
       });
     }
 
-    const updateData = { ...req.body, updatedBy: userId };
+    // Payments and credit notes maintain these; they are never edited directly
+    const { amountPaid, creditedAmount, balanceDue, ...changes } = req.body;
+    const updateData = { ...changes, updatedBy: userId };
 
     const invoice = await Invoice.findOneAndUpdate(
       { _id: id, organizationId },
@@ -1074,11 +1150,14 @@ exports.updateInvoice = async (req, res) => {
       });
     }
 
-    // Recalculate totals if items changed
+    // Recalculate totals if items changed, then refresh the balance and payment status
     if (req.body.items) {
       invoice.calculateTotals();
-      await invoice.save();
     }
+    if (invoice.amountPaid > 0) {
+      invoice.updatePaymentStatus(invoice.paidDate || new Date());
+    }
+    await invoice.save();
 
     // Create audit log
     await logEvent({
@@ -1318,28 +1397,7 @@ exports.downloadInvoice = async (req, res) => {
     
     doc.pipe(res);
     
-    // Add content to PDF
-    doc.fontSize(20).text('INVOICE', { align: 'center' });
-    doc.moveDown();
-    doc.fontSize(12).text(`Invoice Number: ${invoice.invoiceNumber}`);
-    doc.text(`Date: ${invoice.issueDate.toLocaleDateString()}`);
-    doc.text(`Due Date: ${invoice.dueDate.toLocaleDateString()}`);
-    doc.moveDown();
-    doc.text(`Customer: ${invoice.customerName}`);
-    doc.text(`Email: ${invoice.customerEmail}`);
-    doc.moveDown();
-    
-    // Add items table
-    doc.text('Items:', { underline: true });
-    invoice.items.forEach(item => {
-      doc.text(`${item.name} - Qty: ${item.quantity} - Price: $${item.unitPrice} - Total: $${item.totalPrice}`);
-    });
-    doc.moveDown();
-    doc.text(`Subtotal: $${invoice.subtotal}`);
-    doc.text(`Tax: $${invoice.taxAmount}`);
-    doc.text(`Discount: $${invoice.discountAmount}`);
-    doc.text(`Total: $${invoice.totalAmount}`, { underline: true });
-    
+    renderInvoicePDF(doc, invoice);
     doc.end();
 
   } catch (error) {
@@ -1440,6 +1498,8 @@ exports.downloadInvoice = async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: "Invoice not found"
+ *       502:
+ *         description: The email provider rejected the message; the failed attempt is recorded on the invoice
  *       500:
  *         description: Server error
  *         content:
@@ -1471,16 +1531,16 @@ exports.emailInvoice = async (req, res) => {
       });
     }
 
-    // Update email status
-    invoice.emailSent = true;
-    invoice.emailSentDate = new Date();
-    invoice.emailRecipients.push({
-      email: recipientEmail || invoice.customerEmail,
-      sentAt: new Date(),
-      status: 'sent'
-    });
-    invoice.updatedBy = userId;
-    await invoice.save();
+    // Send with the PDF attached; the attempt is recorded on the invoice either way
+    const organization = await Organization.findById(organizationId).select('name email');
+    const emailResult = await sendInvoiceEmail(invoice, organization, { recipientEmail, userId });
+    if (!emailResult.success) {
+      return res.status(502).json({
+        success: false,
+        message: 'Error emailing invoice',
+        error: emailResult.error
+      });
+    }
 
     // Create audit log
     await logEvent({
@@ -1687,12 +1747,8 @@ exports.bulkGenerateInvoices = async (req, res) => {
 
     for (const order of orders) {
       try {
-        // Generate invoice number
-        const invoiceNumber = await Invoice.generateInvoiceNumber(organizationId);
-
         // Create invoice from order
         const newInvoice = new Invoice({
-          invoiceNumber,
           customerId: order.customerId,
           storeId: order.storeId,
           organizationId,
@@ -1757,7 +1813,7 @@ exports.bulkGenerateInvoices = async (req, res) => {
  *         name: status
  *         schema:
  *           type: string
- *           enum: [draft, sent, paid, overdue, cancelled]
+ *           enum: [draft, sent, partially_paid, paid, overpaid, overdue, cancelled]
  *         description: Filter by invoice status
  *       - in: query
  *         name: startDate
@@ -1887,7 +1943,7 @@ exports.getInvoicesByStore = async (req, res) => {
           totalInvoices: { $sum: 1 },
           totalAmount: { $sum: '$totalAmount' },
           paidInvoices: {
-            $sum: { $cond: [{ $eq: ['$status', 'paid'] }, 1, 0] }
+            $sum: { $cond: [{ $in: ['$status', ['paid', 'overpaid']] }, 1, 0] }
           },
           overdueInvoices: {
             $sum: { $cond: [{ $eq: ['$status', 'overdue'] }, 1, 0] }
@@ -1965,6 +2021,10 @@ exports.getInvoicesByStore = async (req, res) => {
  *               userId:
  *                 type: string
  *                 description: User ID
+ *               customerVatNumber:
+ *                 type: string
+ *                 description: Customer VAT number; defaults to a VAT number saved on the order
+ *     description: With the organization's tax engine enabled, taxes are computed from the shipping (or billing) address with the order's discount and shipping included; otherwise the store's taxes are copied.
  *     responses:
  *       201:
  *         description: Invoice generated successfully
@@ -1977,7 +2037,7 @@ exports.getInvoicesByStore = async (req, res) => {
  */
 exports.generateOrderInvoice = async (req, res) => {
   try {
-    const { orderId, organizationId, userId } = req.body;
+    const { orderId, organizationId, userId, customerVatNumber } = req.body;
 
     if (!orderId || !organizationId || !userId) {
       return res.status(400).json({
@@ -2036,12 +2096,42 @@ exports.generateOrderInvoice = async (req, res) => {
       // Continue without merged company info if there's an error
     }
 
-    // Generate invoice number
-    const invoiceNumber = await Invoice.generateInvoiceNumber(organizationId);
+    // Tax engine: line subtotals before the discount, shipping as its own line, taxed where the order ships
+    let taxFields = null;
+    if (organization.taxSettings?.enabled) {
+      const shippingTotal = parseFloat(order.shipping_total || 0);
+      const engineItems = (order.line_items || []).map(item => ({
+        name: item.name,
+        description: item.meta_data?.find(m => m.key === 'description')?.value || '',
+        quantity: item.quantity,
+        unitPrice: item.quantity ? parseFloat(item.subtotal) / item.quantity : parseFloat(item.price),
+        totalPrice: parseFloat(item.subtotal),
+        taxClass: 'standard'
+      }));
+      if (shippingTotal > 0) {
+        engineItems.push({
+          name: `Shipping${order.shipping_lines?.[0]?.method_title ? `: ${order.shipping_lines[0].method_title}` : ''}`,
+          quantity: 1,
+          unitPrice: shippingTotal,
+          totalPrice: shippingTotal,
+          shipping: true
+        });
+      }
+
+      const taxAddress = order.shipping?.country ? order.shipping : (order.billing || {});
+      const orderVatNumber = order.meta_data?.find(m => VAT_NUMBER_META_KEYS.includes(m.key) && m.value)?.value;
+      taxFields = await computeInvoiceTaxes(organization, {
+        items: engineItems,
+        discountAmount: parseFloat(order.discount_total || 0),
+        address: { country: taxAddress.country, state: taxAddress.state },
+        customerVatNumber: customerVatNumber || orderVatNumber,
+        pricesIncludeTax: false
+      });
+      taxFields.items = taxFields.items.map(({ shipping, ...item }) => item);
+    }
 
     // Create invoice from order using organization defaults
     const newInvoice = new Invoice({
-      invoiceNumber,
       customerId: order.customerId,
       storeId: defaultStore._id, // Use organization's default store
       organizationId,
@@ -2067,6 +2157,15 @@ exports.generateOrderInvoice = async (req, res) => {
       taxAmount: parseFloat(order.total_tax || 0),
       discountAmount: parseFloat(order.discount_total || 0),
       totalAmount: parseFloat(order.total),
+      ...(taxFields && {
+        items: taxFields.items,
+        taxAmount: taxFields.taxAmount,
+        taxBreakdown: taxFields.taxBreakdown,
+        pricesIncludeTax: taxFields.pricesIncludeTax,
+        reverseCharge: taxFields.reverseCharge,
+        customerVatNumber: taxFields.customerVatNumber,
+        taxNote: taxFields.taxNote
+      }),
       currency: order.currency || 'USD',
       dueDate: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000), // 30 days from now
       notes: order.customer_note || '',
@@ -2104,10 +2203,185 @@ exports.generateOrderInvoice = async (req, res) => {
 
   } catch (error) {
     console.error('Error generating order invoice:', error);
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
       success: false,
       message: 'Error generating order invoice',
       error: error.message
     });
   }
-}; 
\ No newline at end of file
+}; 
+/**
+ * @swagger
+ * /api/invoices/dunning/settings:
+ *   get:
+ *     summary: Get the organization's payment reminder settings
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Dunning settings
+ *   put:
+ *     summary: Update the organization's payment reminder settings
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               enabled:
+ *                 type: boolean
+ *               daysBefore:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Days before the due date to send a reminder
+ *                 example: [3]
+ *               daysAfter:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *                 description: Days after the due date to send a reminder
+ *                 example: [1, 7, 14]
+ *     responses:
+ *       200:
+ *         description: Dunning settings updated
+ *       400:
+ *         description: Days must be whole numbers from 0 to 365
+ */
+exports.getDunningSettings = async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.user.organization).select('dunningSettings');
+    if (!organization) {
+      return res.status(404).json({ success: false, message: 'Organization not found' });
+    }
+    res.status(200).json({ success: true, settings: organization.dunningSettings });
+  } catch (error) {
+    console.error('Error fetching dunning settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error fetching dunning settings',
+      error: error.message
+    });
+  }
+};
+
+exports.updateDunningSettings = async (req, res) => {
+  try {
+    const { enabled, daysBefore, daysAfter } = req.body;
+    const isDayList = (days) => Array.isArray(days) && days.every(day => Number.isInteger(day) && day >= 0 && day <= 365);
+    if ((daysBefore !== undefined && !isDayList(daysBefore)) || (daysAfter !== undefined && !isDayList(daysAfter))) {
+      return res.status(400).json({
+        success: false,
+        message: 'daysBefore and daysAfter must be lists of whole days from 0 to 365'
+      });
+    }
+
+    const organization = await Organization.findById(req.user.organization);
+    if (!organization) {
+      return res.status(404).json({ success: false, message: 'Organization not found' });
+    }
+
+    if (enabled !== undefined) organization.set('dunningSettings.enabled', Boolean(enabled));
+    if (daysBefore !== undefined) organization.set('dunningSettings.daysBefore', [...new Set(daysBefore)].sort((a, b) => b - a));
+    if (daysAfter !== undefined) organization.set('dunningSettings.daysAfter', [...new Set(daysAfter)].sort((a, b) => a - b));
+    await organization.save();
+
+    await logEvent({
+      action: 'dunning_settings_updated',
+      user: req.user._id,
+      resource: 'Organization',
+      resourceId: organization._id,
+      details: { dunningSettings: organization.dunningSettings },
+      organization: organization._id
+    });
+
+    res.status(200).json({
+      success: true,
+      message: 'Dunning settings updated successfully',
+      settings: organization.dunningSettings
+    });
+  } catch (error) {
+    console.error('Error updating dunning settings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating dunning settings',
+      error: error.message
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/invoices/{id}/dunning:
+ *   patch:
+ *     summary: Pause or resume payment reminders for one invoice
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invoice ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [paused]
+ *             properties:
+ *               paused:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Reminder state and the reminders sent so far
+ *       404:
+ *         description: Invoice not found
+ */
+exports.updateInvoiceDunning = async (req, res) => {
+  try {
+    const { paused } = req.body;
+    if (typeof paused !== 'boolean') {
+      return res.status(400).json({ success: false, message: 'paused must be true or false' });
+    }
+
+    const invoice = await Invoice.findOne({ _id: req.params.id, organizationId: req.user.organization });
+    if (!invoice) {
+      return res.status(404).json({ success: false, message: 'Invoice not found' });
+    }
+
+    invoice.dunning.paused = paused;
+    invoice.updatedBy = req.user._id;
+    await invoice.save();
+
+    await logEvent({
+      action: paused ? 'invoice_dunning_paused' : 'invoice_dunning_resumed',
+      user: req.user._id,
+      resource: 'Invoice',
+      resourceId: invoice._id,
+      details: { invoiceNumber: invoice.invoiceNumber },
+      organization: req.user.organization
+    });
+
+    res.status(200).json({
+      success: true,
+      message: paused ? 'Payment reminders paused' : 'Payment reminders resumed',
+      dunning: invoice.dunning
+    });
+  } catch (error) {
+    console.error('Error updating invoice reminders:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Error updating invoice reminders',
+      error: error.message
+    });
+  }
+};
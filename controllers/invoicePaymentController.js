@@ -0,0 +1,200 @@
+const mongoose = require('mongoose');
+const InvoicePayment = require('../models/invoicePayment');
+const {
+  recordInvoicePayment,
+  allocateInvoicePayment,
+  voidInvoicePayment,
+  buildAgingReport
+} = require('../helper/invoicePaymentHelper');
+const { createAuditLog } = require('../helpers/auditLogHelper');
+
+const PAYMENT_FIELDS = [
+  'amount', 'currency', 'method', 'paymentDate', 'reference', 'notes', 'customerId',
+  'allocations', 'invoiceId', 'invoiceIds', 'depositAccountId', 'receivableAccountId', 'description'
+];
+const ALLOCATION_FIELDS = ['allocations', 'invoiceId', 'invoiceIds'];
+
+const pickFields = (body, fields) => fields.reduce((data, field) => {
+  if (body[field] !== undefined) data[field] = body[field];
+  return data;
+}, {});
+
+const findOrgPayment = async (organizationId, paymentId) => {
+  if (!mongoose.Types.ObjectId.isValid(paymentId)) return null;
+  return InvoicePayment.findOne({ _id: paymentId, organizationId });
+};
+
+const sendError = (res, error, message) => {
+  console.error(`${message}:`, error);
+  const statusCode = error.statusCode || (error.name === 'ValidationError' ? 400 : 500);
+  res.status(statusCode).json({ success: false, message: statusCode === 500 ? message : error.message, error: error.message });
+};
+
+const summarizeInvoices = (invoices) => invoices.map(invoice => ({
+  invoiceNumber: invoice.invoiceNumber,
+  status: invoice.status,
+  balanceDue: invoice.balanceDue
+}));
+
+exports.recordPayment = async (req, res) => {
+  try {
+    const organizationId = req.user.organization;
+    const { payment, invoices, journalEntry } = await recordInvoicePayment(
+      organizationId,
+      pickFields(req.body, PAYMENT_FIELDS),
+      req.user._id
+    );
+
+    await createAuditLog({
+      action: 'record_invoice_payment',
+      user: req.user._id,
+      resource: 'InvoicePayment',
+      resourceId: payment._id,
+      details: {
+        amount: payment.amount,
+        currency: payment.currency,
+        method: payment.method,
+        reference: payment.reference,
+        unallocatedAmount: payment.unallocatedAmount,
+        invoices: summarizeInvoices(invoices)
+      },
+      organization: organizationId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment recorded successfully',
+      data: { payment, invoices, journalEntry }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error recording payment');
+  }
+};
+
+exports.getPayments = async (req, res) => {
+  try {
+    const { invoiceId, customerId, method, status, unallocated, startDate, endDate, page = 1, limit = 20 } = req.query;
+    const filter = { organizationId: req.user.organization };
+    if (invoiceId) filter['allocations.invoiceId'] = invoiceId;
+    if (customerId) filter.customerId = customerId;
+    if (method) filter.method = method;
+    if (status) filter.status = status;
+    if (unallocated === 'true') filter.unallocatedAmount = { $gt: 0 };
+    if (startDate || endDate) {
+      filter.paymentDate = {};
+      if (startDate) filter.paymentDate.$gte = new Date(startDate);
+      if (endDate) filter.paymentDate.$lte = new Date(endDate);
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [payments, total] = await Promise.all([
+      InvoicePayment.find(filter).sort({ paymentDate: -1 }).skip(skip).limit(parseInt(limit)),
+      InvoicePayment.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: payments,
+      pagination: { page: parseInt(page), limit: parseInt(limit), total, pages: Math.ceil(total / parseInt(limit)) }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching payments');
+  }
+};
+
+exports.getPayment = async (req, res) => {
+  try {
+    const payment = await findOrgPayment(req.user.organization, req.params.paymentId);
+    if (!payment) {
+      return res.status(404).json({ success: false, message: 'Payment not found' });
+    }
+    res.json({ success: true, data: payment });
+  } catch (error) {
+    sendError(res, error, 'Error fetching payment');
+  }
+};
+
+exports.allocatePayment = async (req, res) => {
+  try {
+    const organizationId = req.user.organization;
+    const payment = await findOrgPayment(organizationId, req.params.paymentId);
+    if (!payment) {
+      return res.status(404).json({ success: false, message: 'Payment not found' });
+    }
+
+    const { invoices } = await allocateInvoicePayment(payment, pickFields(req.body, ALLOCATION_FIELDS), req.user._id);
+
+    await createAuditLog({
+      action: 'allocate_invoice_payment',
+      user: req.user._id,
+      resource: 'InvoicePayment',
+      resourceId: payment._id,
+      details: {
+        unallocatedAmount: payment.unallocatedAmount,
+        invoices: summarizeInvoices(invoices)
+      },
+      organization: organizationId
+    });
+
+    res.json({
+      success: true,
+      message: 'Payment allocated successfully',
+      data: { payment, invoices }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error allocating payment');
+  }
+};
+
+exports.voidPayment = async (req, res) => {
+  try {
+    const organizationId = req.user.organization;
+    const payment = await findOrgPayment(organizationId, req.params.paymentId);
+    if (!payment) {
+      return res.status(404).json({ success: false, message: 'Payment not found' });
+    }
+
+    const { invoices, journalEntry } = await voidInvoicePayment(payment, { reason: req.body.reason, userId: req.user._id });
+
+    await createAuditLog({
+      action: 'void_invoice_payment',
+      user: req.user._id,
+      resource: 'InvoicePayment',
+      resourceId: payment._id,
+      details: {
+        amount: payment.amount,
+        reason: payment.voidReason,
+        invoices: summarizeInvoices(invoices)
+      },
+      organization: organizationId
+    });
+
+    res.json({
+      success: true,
+      message: 'Payment voided successfully',
+      data: { payment, invoices, journalEntry }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error voiding payment');
+  }
+};
+
+exports.getAgingReport = async (req, res) => {
+  try {
+    const { asOf, basis, customerId, currency, includeInvoices } = req.query;
+    if (customerId && !mongoose.Types.ObjectId.isValid(customerId)) {
+      return res.status(400).json({ success: false, message: 'Invalid customerId' });
+    }
+
+    const report = await buildAgingReport(req.user.organization, {
+      asOf,
+      basis,
+      customerId,
+      currency,
+      includeInvoices: includeInvoices === 'true'
+    });
+    res.json({ success: true, data: report });
+  } catch (error) {
+    sendError(res, error, 'Error building aging report');
+  }
+};
@@ -0,0 +1,84 @@
+const NumberingSequence = require('../models/numberingSequence');
+const { getSequenceSettings, previewNextNumber } = require('../helper/numberingSequenceHelper');
+const { createAuditLog } = require('../helpers/auditLogHelper');
+
+const SEQUENCE_FIELDS = ['prefix', 'suffix', 'padding', 'resetYearly'];
+const YEAR_TOKEN = /\{YY(YY)?\}/;
+
+const pickSequenceFields = (body) => SEQUENCE_FIELDS.reduce((data, field) => {
+  if (body[field] !== undefined) data[field] = body[field];
+  return data;
+}, {});
+
+const sendError = (res, error, message) => {
+  console.error(`${message}:`, error);
+  const statusCode = error.statusCode || (error.name === 'ValidationError' ? 400 : 500);
+  res.status(statusCode).json({ success: false, message: statusCode === 500 ? message : error.message, error: error.message });
+};
+
+const describeSequence = async (organizationId, documentType) => ({
+  ...await getSequenceSettings(organizationId, documentType),
+  nextNumber: await previewNextNumber(organizationId, documentType)
+});
+
+exports.getNumberingSequences = async (req, res) => {
+  try {
+    const organizationId = req.user.organization;
+    const sequences = [];
+    for (const documentType of NumberingSequence.DOCUMENT_TYPES) {
+      sequences.push(await describeSequence(organizationId, documentType));
+    }
+    res.json({ success: true, data: sequences });
+  } catch (error) {
+    sendError(res, error, 'Error fetching numbering sequences');
+  }
+};
+
+exports.updateNumberingSequence = async (req, res) => {
+  try {
+    const organizationId = req.user.organization;
+    const { documentType } = req.params;
+    if (!NumberingSequence.DOCUMENT_TYPES.includes(documentType)) {
+      return res.status(400).json({ success: false, message: `documentType must be one of: ${NumberingSequence.DOCUMENT_TYPES.join(', ')}` });
+    }
+
+    const settings = { ...await getSequenceSettings(organizationId, documentType), ...pickSequenceFields(req.body) };
+    if (!Number.isInteger(Number(settings.padding)) || settings.padding < 1 || settings.padding > 12) {
+      return res.status(400).json({ success: false, message: 'padding must be a whole number from 1 to 12' });
+    }
+    if (!`${settings.prefix}${settings.suffix}`.trim()) {
+      return res.status(400).json({ success: false, message: 'A prefix or suffix is required' });
+    }
+    // Without the year in the number, a yearly reset would reissue last year's numbers
+    if (settings.resetYearly && !YEAR_TOKEN.test(`${settings.prefix}${settings.suffix}`)) {
+      return res.status(400).json({ success: false, message: 'A yearly reset needs {YYYY} or {YY} in the prefix or suffix' });
+    }
+
+    await NumberingSequence.findOneAndUpdate(
+      { organizationId, documentType },
+      {
+        prefix: settings.prefix,
+        suffix: settings.suffix,
+        padding: Number(settings.padding),
+        resetYearly: Boolean(settings.resetYearly),
+        updatedBy: req.user._id
+      },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+
+    const sequence = await describeSequence(organizationId, documentType);
+
+    await createAuditLog({
+      action: 'update_numbering_sequence',
+      user: req.user._id,
+      resource: 'NumberingSequence',
+      resourceId: organizationId,
+      details: { documentType, changes: pickSequenceFields(req.body), nextNumber: sequence.nextNumber },
+      organization: organizationId
+    });
+
+    res.json({ success: true, message: 'Numbering sequence updated successfully', data: sequence });
+  } catch (error) {
+    sendError(res, error, 'Error updating numbering sequence');
+  }
+};
@@ -1,15 +1,17 @@
-const { Worker } = require('worker_threads');
-const path = require('path');
 const Store = require('../models/store');
 const Organization = require('../models/organization');
 const Order = require('../models/order');
+const Refund = require('../models/refund');
 const mongoose = require('mongoose');
 const logEvent = require('../helper/logEvent');
-const WooCommerceService = require('../services/wooCommerceService.js');
+const { getCommerceAdapter, isSupportedPlatform } = require('../services/commerceAdapterRegistry');
+const { getSyncWatermark } = require('../helper/syncWatermarkHelper');
+const syncQueueService = require('../services/syncQueueService');
 const currencyUtils = require('../utils/currencyUtils');
 const { createAuditLog, logCRUDOperation, logStatusChange } = require('../helpers/auditLogHelper');
 const { notifyOrderCreated, notifyOrderStatusUpdated, notifyOrderCancelled } = require('../helpers/notificationHelper');
 const { orderNotificationHelper } = require('../helpers/orderNotificationHelper');
+const { createOrderRefund, getRefundSummary } = require('../helper/refundHelper');
 
 // Utility function to find order by WooCommerce ID (checks both wooCommerceId and number fields)
 const findOrderByWooCommerceId = async (wooCommerceId, storeId = null) => {
@@ -75,9 +77,13 @@ const calculateOrderTotal = (lineItems, totalTax = 0, shippingTotal = 0, discoun
  *                 format: ObjectId
  *                 description: User ID initiating the sync
  *                 example: "507f1f77bcf86cd799439011"
+ *               fullResync:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Ignore the last sync watermark and pull every record again
  *     responses:
- *       200:
- *         description: Order synchronization started in the background
+ *       202:
+ *         description: Order sync job queued
  *         content:
  *           application/json:
  *             schema:
@@ -85,7 +91,24 @@ const calculateOrderTotal = (lineItems, totalTax = 0, shippingTotal = 0, discoun
  *               properties:
  *                 message:
  *                   type: string
- *                   example: "Order synchronization started in the background"
+ *                   example: "Order synchronization queued"
+ *                 syncJobId:
+ *                   type: string
+ *                   description: Track the job under /api/stores/{storeId}/sync-jobs/{syncJobId}
+ *                 status:
+ *                   type: string
+ *                   enum: [queued, active, retrying]
+ *                 progress:
+ *                   type: number
+ *                 mode:
+ *                   type: string
+ *                   enum: [incremental, full]
+ *                 modifiedAfter:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *       200:
+ *         description: An order sync job for this store is already queued or running; that job is returned
  *       404:
  *         description: Store or organization not found
  *         content:
@@ -110,7 +133,7 @@ const calculateOrderTotal = (lineItems, totalTax = 0, shippingTotal = 0, discoun
 exports.syncOrders = async (req, res) => {
   try {
     const { storeId, organizationId } = req.params;
-    const { userId } = req.body;
+    const { userId, fullResync = false } = req.body;
 
     const store = await Store.findById(storeId);
     if (!store) return res.status(404).json({ error: 'Store not found' });
@@ -118,38 +141,30 @@ exports.syncOrders = async (req, res) => {
     const organization = await Organization.findById(organizationId);
     if (!organization) return res.status(404).json({ error: 'Organization not found' });
 
-    // Extract only serializable properties from the store document
-    const storeData = {
-      _id: store._id,
-      name: store.name,
-      url: store.url,
-      apiKey: store.apiKey,
-      secretKey: store.secretKey,
-      platformType: store.platformType,
-      isActive: store.isActive
-    };
-
-    const worker = new Worker(path.resolve(__dirname, '../helper/syncOrderWorker.js'), {
-      workerData: { storeId, store: storeData, organizationId, userId },
-    });
-
-    worker.on('message', (message) => {
-      if (message.status === 'success') {
-        console.log(message.message);
-      } else if (message.status === 'error') {
-        console.error(`Error in worker thread: ${message.message}`);
-      }
-    });
+    if (!isSupportedPlatform(store.platformType)) {
+      return res.status(400).json({ error: `Order sync is not supported for ${store.platformType} stores` });
+    }
 
-    worker.on('error', (error) => {
-      console.error(`Worker thread error: ${error.message}`);
+    // Watermark the queued job will start from (a full resync clears it when queued)
+    const modifiedAfter = getSyncWatermark(store, 'orders', fullResync);
+    const { syncJob, created } = await syncQueueService.enqueue({
+      store,
+      resource: 'orders',
+      organizationId,
+      userId,
+      fullResync
     });
 
-    worker.on('exit', (code) => {
-      if (code !== 0) console.error(`Worker stopped with exit code ${code}`);
+    res.status(created ? 202 : 200).json({
+      message: created
+        ? 'Order synchronization queued'
+        : 'Order synchronization is already in progress',
+      syncJobId: syncJob._id,
+      status: syncJob.status,
+      progress: syncJob.progress,
+      mode: modifiedAfter ? 'incremental' : 'full',
+      modifiedAfter
     });
-
-    res.json({ message: 'Order synchronization started in the background' });
   } catch (error) {
     console.error('Error in syncOrders:', error.message);
     res.status(500).json({ error: error.message });
@@ -521,8 +536,8 @@ exports.createOrder = async (req, res) => {
           });
         }
 
-        // Create WooCommerce service instance
-        const wooCommerceService = new WooCommerceService(store);
+        // Resolve the commerce adapter for the store's platform
+        const commerceAdapter = getCommerceAdapter(store);
 
         // Prepare order data for WooCommerce
         const orderData = {
@@ -544,7 +559,7 @@ exports.createOrder = async (req, res) => {
         };
 
         // Create order in WooCommerce
-        const wooCommerceResult = await wooCommerceService.createOrder(orderData);
+        const wooCommerceResult = await commerceAdapter.createOrder(orderData);
         
         if (wooCommerceResult.success) {
           wooCommerceId = wooCommerceResult.data.id;
@@ -1307,13 +1322,12 @@ exports.deleteAllOrdersByStore = async (req, res) => {
     if (syncToWooCommerce && store) {
       console.log(`🔄 Starting WooCommerce deletion for ${orders.length} orders`);
       
-      const WooCommerceService = require('../services/wooCommerceService');
-      const wooCommerceService = new WooCommerceService(store);
+      const commerceAdapter = getCommerceAdapter(store);
 
       for (const order of orders) {
         if (order.wooCommerceId) {
           try {
-            const wooCommerceResult = await wooCommerceService.deleteOrder(order.wooCommerceId);
+            const wooCommerceResult = await commerceAdapter.deleteOrder(order.wooCommerceId);
             
             if (wooCommerceResult.success) {
               wooCommerceSyncResults.synced++;
@@ -1780,8 +1794,8 @@ exports.updateOrder = async (req, res) => {
           });
         }
 
-        // Create WooCommerce service instance
-        const wooCommerceService = new WooCommerceService(store);
+        // Resolve the commerce adapter for the store's platform
+        const commerceAdapter = getCommerceAdapter(store);
 
         // Prepare order data for WooCommerce (merge current data with updates)
         const orderData = {
@@ -1793,13 +1807,13 @@ exports.updateOrder = async (req, res) => {
 
         // If order already exists in WooCommerce, update it
         if (currentOrder.wooCommerceId) {
-          wooCommerceResult = await wooCommerceService.updateOrder(
+          wooCommerceResult = await commerceAdapter.updateOrder(
             currentOrder.wooCommerceId, 
             orderData
           );
         } else {
           // If order doesn't exist in WooCommerce, create it
-          wooCommerceResult = await wooCommerceService.createOrder(orderData);
+          wooCommerceResult = await commerceAdapter.createOrder(orderData);
         }
         
         if (wooCommerceResult.success) {
@@ -2041,11 +2055,11 @@ exports.deleteOrder = async (req, res) => {
           });
         }
 
-        // Create WooCommerce service instance
-        const wooCommerceService = new WooCommerceService(store);
+        // Resolve the commerce adapter for the store's platform
+        const commerceAdapter = getCommerceAdapter(store);
 
         // Delete order from WooCommerce
-        const wooCommerceResult = await wooCommerceService.deleteOrder(orderToDelete.wooCommerceId);
+        const wooCommerceResult = await commerceAdapter.deleteOrder(orderToDelete.wooCommerceId);
         
         if (wooCommerceResult.success) {
           wooCommerceSync = {
@@ -3198,33 +3212,173 @@ exports.cancelOrder = async (req, res) => {
   }
 };
 
-// In refundOrder (after refunding the order)
+/**
+ * @swagger
+ * /api/orders/refund/{orderId}:
+ *   post:
+ *     summary: Refund an order in full or in part
+ *     description: |
+ *       Records a refund with line item quantities and shipping and tax portions and creates it
+ *       in the store through the order refunds API. Amounts are in the store's currency. Line
+ *       amounts default to unit price and tax times quantity; with no lines, shipping or amount
+ *       the whole remaining balance is refunded. The order becomes `refunded` once nothing is left.
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: ObjectId
+ *         description: Order ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               lineItems:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [lineItemId, quantity]
+ *                   properties:
+ *                     lineItemId:
+ *                       type: string
+ *                       description: Local line item _id or the store's line item ID
+ *                     quantity:
+ *                       type: integer
+ *                       example: 1
+ *                     amount:
+ *                       type: number
+ *                       description: Line amount excluding tax
+ *                     taxAmount:
+ *                       type: number
+ *               shippingAmount:
+ *                 type: number
+ *                 example: 5
+ *               shippingTaxAmount:
+ *                 type: number
+ *               refundAmount:
+ *                 type: number
+ *                 description: Total to refund; must cover the lines, shipping and tax
+ *               reason:
+ *                 type: string
+ *                 example: "Damaged in transit"
+ *               restock:
+ *                 type: boolean
+ *                 default: false
+ *               restockWarehouseId:
+ *                 type: string
+ *                 description: Warehouse to restock for stores fed from stock locations (defaults to the first)
+ *               refundPayment:
+ *                 type: boolean
+ *                 default: false
+ *                 description: Also return the money through the store's payment gateway
+ *     responses:
+ *       201:
+ *         description: Refund created
+ *       400:
+ *         description: Refund exceeds what is left to refund on the order or a line
+ *       404:
+ *         description: Order not found
+ *       502:
+ *         description: The store rejected the refund
+ */
 exports.refundOrder = async (req, res) => {
-  const { orderId, refundAmount, reason } = req.body;
+  const orderId = req.params.orderId || req.body.orderId;
+  const { refundAmount, reason, lineItems, shippingAmount, shippingTaxAmount, restock, restockWarehouseId, refundPayment, taxRateId } = req.body;
   try {
-    const order = await Order.findById(orderId);
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({ success: false, message: "Invalid order ID" });
+    }
+    const order = await Order.findOne({ _id: orderId, organizationId: req.user.organization });
     if (!order) {
       return res.status(404).json({ success: false, message: "Order not found" });
     }
 
-    order.status = 'refunded';
-    order.refund_amount = refundAmount;
-    order.refund_reason = reason;
-    await order.save();
+    const refund = await createOrderRefund(order, {
+      amount: refundAmount,
+      reason,
+      lineItems,
+      shippingAmount,
+      shippingTaxAmount,
+      restock,
+      restockWarehouseId,
+      refundPayment,
+      taxRateId
+    }, { userId: req.user._id });
+
+    if (refund.syncStatus === 'failed') {
+      return res.status(502).json({
+        success: false,
+        message: "The store rejected the refund",
+        error: refund.syncError,
+        refund
+      });
+    }
 
     await logEvent({
       action: 'refund_order',
       user: req.user._id,
       resource: 'Order',
       resourceId: order._id,
-      details: { refundAmount, reason },
+      details: { refundId: refund._id, refundAmount: refund.amount, reason: refund.reason, restock: refund.restock },
       organization: req.user.organization
     });
 
-    res.status(200).json({ success: true, order: order });
+    res.status(201).json({ success: true, refund, order: order });
+  } catch (error) {
+    console.error(error);
+    res.status(error.statusCode || 500).json({
+      success: false,
+      message: error.statusCode ? error.message : "Failed to refund order"
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /api/orders/refunds/{orderId}:
+ *   get:
+ *     summary: List an order's refunds with what is still refundable
+ *     tags: [Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: ObjectId
+ *         description: Order ID
+ *     responses:
+ *       200:
+ *         description: Refunds (newest first) and per-line refunded and remaining quantities
+ *       404:
+ *         description: Order not found
+ */
+exports.getOrderRefunds = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(orderId)) {
+      return res.status(400).json({ success: false, message: "Invalid order ID" });
+    }
+    const order = await Order.findOne({ _id: orderId, organizationId: req.user.organization });
+    if (!order) {
+      return res.status(404).json({ success: false, message: "Order not found" });
+    }
+
+    const refunds = await Refund.find({ orderId: order._id }).sort({ createdAt: -1 });
+    const summary = await getRefundSummary(order);
+
+    res.status(200).json({ success: true, data: refunds, summary });
   } catch (error) {
     console.error(error);
-    res.status(500).json({ success: false, message: "Failed to refund order" });
+    res.status(500).json({ success: false, message: "Failed to fetch order refunds" });
   }
 };
 
@@ -3449,7 +3603,7 @@ exports.getOrderWithShippingLabel = async (req, res) => {
     
     // Get shipping label if exists
     const ShippingLabel = require('../models/shippingLabel');
-    const shippingLabel = await ShippingLabel.findOne({ orderId });
+    const shippingLabel = await ShippingLabel.findOne({ orderId, status: { $ne: 'voided' } }).sort({ createdAt: -1 });
     
     res.json({
       success: true,
@@ -21,9 +21,11 @@
  *               gateway: { type: string }
  *               amount: { type: number }
  *               currency: { type: string }
+ *               couponCode: { type: string, description: Promotional code taken off the amount }
  *     responses:
- *       200: { description: Payment reference }
- *       400: { description: Missing fields }
+ *       200: { description: Payment reference and the amount to charge after any discount }
+ *       400: { description: Missing fields or the coupon cannot be used on this payment }
+ *       404: { description: Coupon not found }
  *       500: { description: Server error }
  *
  * /api/payments/upload-proof:
@@ -79,25 +81,39 @@ const cloudinary = require('cloudinary').v2;
 const PaymentGatewayKey = require('../models/paymentGatewayKey');
 const axios = require('axios');
 const logEvent = require('../helper/logEvent');
+const { receiveGatewayEvent } = require('../helper/gatewayWebhookHelper');
+const { applyCouponToCheckout, recordCouponRedemption } = require('../helper/couponHelper');
 
 // POST /api/payments/initiate
-// Body: { userId, planId, gateway, amount, currency }
+// Body: { userId, planId, gateway, amount, currency, couponCode }
 exports.initiatePayment = async (req, res) => {
   try {
-    const { userId, planId, gateway, amount, currency } = req.body;
+    const { userId, planId, gateway, amount, currency, couponCode } = req.body;
     console.log(req.body);
     if (!userId || !planId || !gateway || !amount || !currency) {
       return res.status(400).json({ message: 'Missing required fields' });
     }
+    // Apply the coupon, if any, to the amount being charged; it is redeemed once the payment is confirmed
+    let checkout = { amount, discountAmount: 0 };
+    if (couponCode) {
+      try {
+        checkout = await applyCouponToCheckout(couponCode, { planId, currency, userId, amount });
+      } catch (couponError) {
+        return res.status(couponError.statusCode || 400).json({ message: couponError.message });
+      }
+    }
     const reference = uuidv4();
     const payment = await Payment.create({
-      userId,
-      planId,
+      user: userId,
+      plan: planId,
       gateway,
-      amount,
+      amount: checkout.amount,
       currency,
       reference,
       status: 'pending',
+      coupon: checkout.coupon?._id,
+      couponCode: checkout.coupon?.code,
+      discountAmount: checkout.discountAmount,
     });
     await logEvent({
       action: 'initiate_payment',
@@ -107,7 +123,13 @@ exports.initiatePayment = async (req, res) => {
       details: { ...payment.toObject() },
       organization: req.user.organization
     });
-    return res.json({ reference, paymentId: payment._id });
+    return res.json({
+      reference,
+      paymentId: payment._id,
+      amount: payment.amount,
+      discountAmount: payment.discountAmount,
+      couponCode: payment.couponCode
+    });
   } catch (err) {
     return res.status(500).json({ message: 'Server error', error: err.message });
   }
@@ -424,6 +446,7 @@ exports.verifyPayment = async (req, res) => {
     if (amount) payment.amount = amount;
     payment.verifiedAt = new Date();
     await payment.save();
+    await recordCouponRedemption(payment);
 
     // Find and activate the subscription
     const subscription = await Subscription.findById(payment.subscription);
@@ -472,7 +495,14 @@ exports.verifyPayment = async (req, res) => {
  *   post:
  *     tags: [Payments]
  *     summary: Flutterwave payment webhook
- *     description: Handles Flutterwave payment webhook notifications
+ *     description: Handles Flutterwave payment webhook notifications. The signature is checked and every call is stored as a gateway event; an event already received is not processed again.
+ *     parameters:
+ *       - in: header
+ *         name: verif-hash
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Secret hash set on the Flutterwave dashboard (stored as the key's webhookSecret)
  *     requestBody:
  *       required: true
  *       content:
@@ -503,53 +533,18 @@ exports.verifyPayment = async (req, res) => {
  *                     example: "successful"
  *     responses:
  *       200:
- *         description: Webhook processed successfully
+ *         description: Webhook processed, ignored or already received
  *       400:
  *         description: Invalid webhook data
+ *       401:
+ *         description: Missing or invalid signature
  *       500:
- *         description: Server error
+ *         description: Processing failed; the gateway will retry
  */
 exports.handleFlutterwaveWebhook = async (req, res) => {
   try {
-    const { event, data } = req.body;
-    
-    if (event === 'charge.completed' && data.status === 'successful') {
-      // Find payment by reference
-      const payment = await Payment.findOne({ reference: data.tx_ref }).populate('subscription');
-      
-      if (payment && payment.status === 'pending') {
-        // Update payment status
-        payment.status = 'success';
-        payment.paymentData = data;
-        payment.verifiedAt = new Date();
-        await payment.save();
-
-        // Activate subscription
-        if (payment.subscription) {
-          const subscription = payment.subscription;
-          subscription.status = 'active';
-          subscription.isActive = true;
-          subscription.activatedAt = new Date();
-          await subscription.save();
-        }
-
-        // Log the event
-        await logEvent({
-          action: 'flutterwave_payment_success',
-          user: payment.user,
-          resource: 'Payment',
-          resourceId: payment._id,
-          details: { 
-            tx_ref: data.tx_ref,
-            amount: data.amount,
-            currency: data.currency
-          },
-          organization: req.user?.organization
-        });
-      }
-    }
-
-    res.status(200).json({ status: 'success' });
+    const { statusCode, body } = await receiveGatewayEvent('flutterwave', req);
+    res.status(statusCode).json(body);
   } catch (err) {
     console.error('Flutterwave webhook error:', err);
     res.status(500).json({ status: 'error', message: err.message });
@@ -562,7 +557,14 @@ exports.handleFlutterwaveWebhook = async (req, res) => {
  *   post:
  *     tags: [Payments]
  *     summary: Paystack payment webhook
- *     description: Handles Paystack payment webhook notifications
+ *     description: Handles Paystack payment webhook notifications. The signature is checked and every call is stored as a gateway event; an event already received is not processed again.
+ *     parameters:
+ *       - in: header
+ *         name: x-paystack-signature
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: HMAC SHA512 of the raw body with the Paystack secret key
  *     requestBody:
  *       required: true
  *       content:
@@ -593,53 +595,18 @@ exports.handleFlutterwaveWebhook = async (req, res) => {
  *                     example: "success"
  *     responses:
  *       200:
- *         description: Webhook processed successfully
+ *         description: Webhook processed, ignored or already received
  *       400:
  *         description: Invalid webhook data
+ *       401:
+ *         description: Missing or invalid signature
  *       500:
- *         description: Server error
+ *         description: Processing failed; the gateway will retry
  */
 exports.handlePaystackWebhook = async (req, res) => {
   try {
-    const { event, data } = req.body;
-    
-    if (event === 'charge.success' && data.status === 'success') {
-      // Find payment by reference
-      const payment = await Payment.findOne({ reference: data.reference }).populate('subscription');
-      
-      if (payment && payment.status === 'pending') {
-        // Update payment status
-        payment.status = 'success';
-        payment.paymentData = data;
-        payment.verifiedAt = new Date();
-        await payment.save();
-
-        // Activate subscription
-        if (payment.subscription) {
-          const subscription = payment.subscription;
-          subscription.status = 'active';
-          subscription.isActive = true;
-          subscription.activatedAt = new Date();
-          await subscription.save();
-        }
-
-        // Log the event
-        await logEvent({
-          action: 'paystack_payment_success',
-          user: payment.user,
-          resource: 'Payment',
-          resourceId: payment._id,
-          details: { 
-            reference: data.reference,
-            amount: data.amount,
-            currency: data.currency
-          },
-          organization: req.user?.organization
-        });
-      }
-    }
-
-    res.status(200).json({ status: 'success' });
+    const { statusCode, body } = await receiveGatewayEvent('paystack', req);
+    res.status(statusCode).json(body);
   } catch (err) {
     console.error('Paystack webhook error:', err);
     res.status(500).json({ status: 'error', message: err.message });
@@ -652,7 +619,14 @@ exports.handlePaystackWebhook = async (req, res) => {
  *   post:
  *     tags: [Payments]
  *     summary: Squad payment webhook
- *     description: Handles Squad payment webhook notifications
+ *     description: Handles Squad payment webhook notifications. The signature is checked and every call is stored as a gateway event; an event already received is not processed again.
+ *     parameters:
+ *       - in: header
+ *         name: x-squad-encrypted-body
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: HMAC SHA512 of the raw body with the Squad secret key
  *     requestBody:
  *       required: true
  *       content:
@@ -680,53 +654,18 @@ exports.handlePaystackWebhook = async (req, res) => {
  *                     example: "success"
  *     responses:
  *       200:
- *         description: Webhook processed successfully
+ *         description: Webhook processed, ignored or already received
  *       400:
  *         description: Invalid webhook data
+ *       401:
+ *         description: Missing or invalid signature
  *       500:
- *         description: Server error
+ *         description: Processing failed; the gateway will retry
  */
 exports.handleSquadWebhook = async (req, res) => {
   try {
-    const { event, data } = req.body;
-    
-    if (event === 'payment.completed' && data.status === 'success') {
-      // Find payment by reference
-      const payment = await Payment.findOne({ reference: data.transaction_ref }).populate('subscription');
-      
-      if (payment && payment.status === 'pending') {
-        // Update payment status
-        payment.status = 'success';
-        payment.paymentData = data;
-        payment.verifiedAt = new Date();
-        await payment.save();
-
-        // Activate subscription
-        if (payment.subscription) {
-          const subscription = payment.subscription;
-          subscription.status = 'active';
-          subscription.isActive = true;
-          subscription.activatedAt = new Date();
-          await subscription.save();
-        }
-
-        // Log the event
-        await logEvent({
-          action: 'squad_payment_success',
-          user: payment.user,
-          resource: 'Payment',
-          resourceId: payment._id,
-          details: { 
-            transaction_ref: data.transaction_ref,
-            amount: data.amount,
-            currency: data.currency
-          },
-          organization: req.user?.organization
-        });
-      }
-    }
-
-    res.status(200).json({ status: 'success' });
+    const { statusCode, body } = await receiveGatewayEvent('squad', req);
+    res.status(statusCode).json(body);
   } catch (err) {
     console.error('Squad webhook error:', err);
     res.status(500).json({ status: 'error', message: err.message });
@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+const PaymentGatewayEvent = require('../models/paymentGatewayEvent');
+const { replayGatewayEvent } = require('../helper/gatewayWebhookHelper');
+const logEvent = require('../helper/logEvent');
+
+const sendError = (res, error, message) => {
+  console.error(`${message}:`, error);
+  const statusCode = error.statusCode || (error.name === 'ValidationError' ? 400 : 500);
+  res.status(statusCode).json({ success: false, message: statusCode === 500 ? message : error.message, error: error.message });
+};
+
+exports.getGatewayEvents = async (req, res) => {
+  try {
+    const { gateway, status, eventType, reference, verified, startDate, endDate, page = 1, limit = 20 } = req.query;
+    const filter = {};
+    if (gateway) filter.gateway = gateway;
+    if (status) filter.status = status;
+    if (eventType) filter.eventType = eventType;
+    if (reference) filter.reference = reference;
+    if (verified !== undefined) filter.verified = verified === 'true';
+    if (startDate || endDate) {
+      filter.createdAt = {};
+      if (startDate) filter.createdAt.$gte = new Date(startDate);
+      if (endDate) filter.createdAt.$lte = new Date(endDate);
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [events, total] = await Promise.all([
+      PaymentGatewayEvent.find(filter).select('-rawBody').sort({ createdAt: -1 }).skip(skip).limit(parseInt(limit)),
+      PaymentGatewayEvent.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: events,
+      pagination: { page: parseInt(page), limit: parseInt(limit), total, pages: Math.ceil(total / parseInt(limit)) }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching gateway events');
+  }
+};
+
+exports.getGatewayEvent = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    const event = mongoose.Types.ObjectId.isValid(eventId) ? await PaymentGatewayEvent.findById(eventId) : null;
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'Gateway event not found' });
+    }
+
+    res.json({ success: true, data: { ...event.toObject(), payload: event.getPayload() } });
+  } catch (error) {
+    sendError(res, error, 'Error fetching gateway event');
+  }
+};
+
+exports.replayGatewayEvent = async (req, res) => {
+  try {
+    const { eventId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(eventId)) {
+      return res.status(404).json({ success: false, message: 'Gateway event not found' });
+    }
+    const force = req.body?.force === true || req.query.force === 'true';
+
+    const event = await replayGatewayEvent(eventId, { userId: req.user._id, force });
+
+    await logEvent({
+      action: 'replay_gateway_event',
+      user: req.user._id,
+      resource: 'PaymentGatewayEvent',
+      resourceId: event._id,
+      details: { gateway: event.gateway, eventId: event.eventId, status: event.status, outcome: event.outcome },
+      organization: req.user.organization
+    });
+
+    const failed = event.status === 'failed';
+    res.status(failed ? 500 : 200).json({
+      success: !failed,
+      message: failed ? 'Gateway event replay failed' : 'Gateway event replayed successfully',
+      error: event.errorMessage,
+      data: event
+    });
+  } catch (error) {
+    sendError(res, error, 'Error replaying gateway event');
+  }
+};
@@ -28,6 +28,7 @@
  *               logoUrl: { type: string }
  *               publicKey: { type: string }
  *               secretKey: { type: string }
+ *               webhookSecret: { type: string, description: "Flutterwave secret hash, checked against the verif-hash webhook header" }
  *               isActive: { type: boolean }
  *     responses:
  *       201: { description: Created }
@@ -63,6 +64,7 @@
  *             properties:
  *               publicKey: { type: string }
  *               secretKey: { type: string }
+ *               webhookSecret: { type: string }
  *               isActive: { type: boolean }
  *     responses:
  *       200: { description: Updated }
@@ -117,6 +119,7 @@ exports.createKey = async (req, res) => {
       logoUrl,
       publicKey,
       secretKey,
+      webhookSecret,
       isActive
     } = req.body;
     const key = new PaymentGatewayKey({
@@ -126,6 +129,7 @@ exports.createKey = async (req, res) => {
       logoUrl,
       publicKey,
       secretKey,
+      webhookSecret,
       isActive
     });
     await key.save();
@@ -139,10 +143,10 @@ exports.createKey = async (req, res) => {
 exports.updateKey = async (req, res) => {
   try {
     const { type } = req.params;
-    const { publicKey, secretKey, isActive } = req.body;
+    const { publicKey, secretKey, webhookSecret, isActive } = req.body;
     const key = await PaymentGatewayKey.findOneAndUpdate(
       { type },
-      { publicKey, secretKey, isActive, updatedAt: Date.now() },
+      { publicKey, secretKey, webhookSecret, isActive, updatedAt: Date.now() },
       { new: true }
     );
     if (!key) return res.status(404).json({ message: 'Key not found' });
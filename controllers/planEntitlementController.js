@@ -0,0 +1,22 @@
+const { getOrganizationUsage } = require('../helper/planEntitlementHelper');
+
+const sendError = (res, error, message) => {
+  console.error(`${message}:`, error);
+  const statusCode = error.statusCode || (error.name === 'ValidationError' ? 400 : 500);
+  res.status(statusCode).json({ success: false, message: statusCode === 500 ? message : error.message, error: error.message });
+};
+
+exports.getUsage = async (req, res) => {
+  try {
+    // Super admins can look at any organization
+    const organizationId = (req.userRoleName === 'super-admin' && req.query.organizationId) || req.user.organization;
+    if (!organizationId) {
+      return res.status(400).json({ success: false, message: 'Organization is required' });
+    }
+
+    const usage = await getOrganizationUsage(organizationId);
+    res.json({ success: true, data: usage });
+  } catch (error) {
+    sendError(res, error, 'Error fetching plan usage');
+  }
+};
@@ -0,0 +1,242 @@
+const mongoose = require('mongoose');
+const Inventory = require('../models/inventory');
+const ProductVariation = require('../models/productVariation');
+const Store = require('../models/store');
+const { createAuditLog } = require('../helpers/auditLogHelper');
+const { getCommerceAdapter } = require('../services/commerceAdapterRegistry');
+const { pullProductVariations, pushProductVariation } = require('../helper/productVariationHelper');
+
+// Fields a client may set on a variation
+const EDITABLE_FIELDS = [
+  'sku', 'description', 'status', 'menu_order', 'price', 'regular_price', 'sale_price',
+  'manage_stock', 'stock_quantity', 'stock_status', 'backorders', 'attributes',
+  'weight', 'dimensions', 'image'
+];
+
+const pickEditable = (body) => EDITABLE_FIELDS.reduce((data, field) => {
+  if (body[field] !== undefined) data[field] = body[field];
+  return data;
+}, {});
+
+// Load the parent product and check it belongs to the caller's organization
+const findParentProduct = async (req, res) => {
+  const { productId } = req.params;
+  if (!mongoose.Types.ObjectId.isValid(productId)) {
+    res.status(400).json({ success: false, message: 'Invalid product ID' });
+    return null;
+  }
+
+  const parent = await Inventory.findById(productId);
+  if (!parent) {
+    res.status(404).json({ success: false, message: 'Product not found' });
+    return null;
+  }
+  if (req.user?.organization && parent.organizationId.toString() !== req.user.organization.toString()) {
+    res.status(403).json({ success: false, message: 'You can only manage products from your organization' });
+    return null;
+  }
+  return parent;
+};
+
+const getStoreAdapter = async (parent) => {
+  const store = await Store.findById(parent.storeId);
+  if (!store) {
+    throw new Error('Store not found for product');
+  }
+  return getCommerceAdapter(store);
+};
+
+// Keep stock_status in line with the quantity when stock is managed
+const applyStockStatus = (variation) => {
+  if (variation.manage_stock && variation.stock_quantity != null && variation.backorders === 'no') {
+    variation.stock_status = variation.stock_quantity > 0 ? 'instock' : 'outofstock';
+  }
+};
+
+exports.getProductVariations = async (req, res) => {
+  try {
+    const parent = await findParentProduct(req, res);
+    if (!parent) return;
+
+    const variations = await ProductVariation.find({ parentId: parent._id }).sort({ menu_order: 1, createdAt: 1 });
+    res.json({ success: true, data: variations, count: variations.length });
+  } catch (error) {
+    console.error('Error fetching product variations:', error);
+    res.status(500).json({ success: false, message: 'Error fetching product variations', error: error.message });
+  }
+};
+
+exports.createProductVariation = async (req, res) => {
+  try {
+    const parent = await findParentProduct(req, res);
+    if (!parent) return;
+
+    const { syncToWooCommerce = false } = req.body;
+    const data = pickEditable(req.body);
+    if (!Array.isArray(data.attributes) || data.attributes.length === 0) {
+      return res.status(400).json({ success: false, message: 'A variation needs at least one attribute option' });
+    }
+
+    const variation = new ProductVariation({
+      ...data,
+      parentId: parent._id,
+      storeId: parent.storeId,
+      organizationId: parent.organizationId,
+      userId: req.user?._id,
+      currency: parent.originalCurrency || parent.currency || null,
+      parentWooCommerceId: parent.wooCommerceId,
+      syncStatus: syncToWooCommerce ? 'pending' : 'not_synced'
+    });
+    applyStockStatus(variation);
+    await variation.save();
+
+    // A product with variations is a variable product
+    if (parent.type !== 'variable') {
+      parent.type = 'variable';
+      await parent.save();
+    }
+
+    let syncResult = null;
+    if (syncToWooCommerce) {
+      syncResult = await pushProductVariation(await getStoreAdapter(parent), variation, parent);
+    }
+
+    await createAuditLog({
+      action: 'create_product_variation',
+      user: req.user?._id,
+      resource: 'ProductVariation',
+      resourceId: variation._id,
+      details: { parentId: parent._id, sku: variation.sku, attributes: variation.attributes, syncToWooCommerce },
+      organization: parent.organizationId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Variation created successfully',
+      data: variation,
+      wooCommerceSync: syncResult ? { synced: syncResult.success, error: variation.syncError } : null
+    });
+  } catch (error) {
+    console.error('Error creating product variation:', error);
+    res.status(500).json({ success: false, message: 'Error creating product variation', error: error.message });
+  }
+};
+
+exports.updateProductVariation = async (req, res) => {
+  try {
+    const parent = await findParentProduct(req, res);
+    if (!parent) return;
+
+    const variation = await ProductVariation.findOne({ _id: req.params.variationId, parentId: parent._id });
+    if (!variation) {
+      return res.status(404).json({ success: false, message: 'Variation not found' });
+    }
+
+    const { syncToWooCommerce = false } = req.body;
+    variation.set(pickEditable(req.body));
+    variation.date_modified = new Date();
+    if (syncToWooCommerce) variation.syncStatus = 'pending';
+    applyStockStatus(variation);
+    await variation.save();
+
+    let syncResult = null;
+    if (syncToWooCommerce) {
+      syncResult = await pushProductVariation(await getStoreAdapter(parent), variation, parent);
+    }
+
+    await createAuditLog({
+      action: 'update_product_variation',
+      user: req.user?._id,
+      resource: 'ProductVariation',
+      resourceId: variation._id,
+      details: { parentId: parent._id, sku: variation.sku, changes: Object.keys(pickEditable(req.body)), syncToWooCommerce },
+      organization: parent.organizationId
+    });
+
+    res.json({
+      success: true,
+      message: 'Variation updated successfully',
+      data: variation,
+      wooCommerceSync: syncResult ? { synced: syncResult.success, error: variation.syncError } : null
+    });
+  } catch (error) {
+    console.error('Error updating product variation:', error);
+    res.status(500).json({ success: false, message: 'Error updating product variation', error: error.message });
+  }
+};
+
+exports.deleteProductVariation = async (req, res) => {
+  try {
+    const parent = await findParentProduct(req, res);
+    if (!parent) return;
+
+    const { syncToWooCommerce = false } = req.body || {};
+    const variation = await ProductVariation.findOne({ _id: req.params.variationId, parentId: parent._id });
+    if (!variation) {
+      return res.status(404).json({ success: false, message: 'Variation not found' });
+    }
+
+    if (syncToWooCommerce && variation.wooCommerceId && parent.wooCommerceId) {
+      const adapter = await getStoreAdapter(parent);
+      const result = await adapter.deleteProductVariation(parent.wooCommerceId, variation.wooCommerceId);
+      if (!result.success && result.statusCode !== 404) {
+        return res.status(502).json({
+          success: false,
+          message: 'Failed to delete variation in the store',
+          error: result.error
+        });
+      }
+    }
+
+    await variation.deleteOne();
+
+    await createAuditLog({
+      action: 'delete_product_variation',
+      user: req.user?._id,
+      resource: 'ProductVariation',
+      resourceId: variation._id,
+      details: { parentId: parent._id, sku: variation.sku, syncToWooCommerce },
+      organization: parent.organizationId
+    });
+
+    res.json({ success: true, message: 'Variation deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting product variation:', error);
+    res.status(500).json({ success: false, message: 'Error deleting product variation', error: error.message });
+  }
+};
+
+// Pull the variations from the store, or push local changes that are not synced yet
+exports.syncProductVariations = async (req, res) => {
+  try {
+    const parent = await findParentProduct(req, res);
+    if (!parent) return;
+
+    const { direction = 'pull' } = req.body || {};
+    if (!['pull', 'push'].includes(direction)) {
+      return res.status(400).json({ success: false, message: 'direction must be pull or push' });
+    }
+    if (!parent.wooCommerceId) {
+      return res.status(400).json({ success: false, message: 'Product has not been synced to the store yet' });
+    }
+
+    const adapter = await getStoreAdapter(parent);
+    let result;
+    if (direction === 'pull') {
+      result = await pullProductVariations(adapter, parent);
+    } else {
+      const pending = await ProductVariation.find({ parentId: parent._id, syncStatus: { $ne: 'synced' } });
+      result = { pushed: 0, failed: 0 };
+      for (const variation of pending) {
+        const pushResult = await pushProductVariation(adapter, variation, parent);
+        result[pushResult.success ? 'pushed' : 'failed']++;
+      }
+    }
+
+    const variations = await ProductVariation.find({ parentId: parent._id }).sort({ menu_order: 1, createdAt: 1 });
+    res.json({ success: true, direction, result, data: variations });
+  } catch (error) {
+    console.error('Error syncing product variations:', error);
+    res.status(500).json({ success: false, message: 'Error syncing product variations', error: error.message });
+  }
+};
@@ -0,0 +1,189 @@
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const Invoice = require('../models/Invoice');
+const Receipt = require('../models/Receipt');
+const Organization = require('../models/organization');
+const {
+  createPublicLink,
+  findLinkedDocument,
+  revokePublicLinks,
+  recordInvoiceView,
+  publicPageUrl,
+  renderInvoicePage,
+  renderReceiptPage,
+  renderMessagePage
+} = require('../helper/publicLinkHelper');
+const { getCheckoutGateways, startInvoiceCheckout, completeInvoiceCheckout } = require('../helper/invoiceCheckoutHelper');
+const { renderInvoicePDF, renderReceiptPDF } = require('../helper/invoiceDocumentHelper');
+const { createAuditLog } = require('../helpers/auditLogHelper');
+
+const LINKED_MODELS = { invoice: Invoice, receipt: Receipt };
+// Invoices customers may see; drafts are not issued yet
+const SHAREABLE_INVOICE_STATUSES = ['sent', 'partially_paid', 'paid', 'overpaid', 'overdue', 'cancelled'];
+
+const findOrgDocument = async (kind, organizationId, id) => {
+  if (!mongoose.Types.ObjectId.isValid(id)) return null;
+  return LINKED_MODELS[kind].findOne({ _id: id, organizationId });
+};
+
+const sendError = (res, error, message) => {
+  console.error(`${message}:`, error);
+  const statusCode = error.statusCode || (error.name === 'ValidationError' ? 400 : 500);
+  res.status(statusCode).json({ success: false, message: statusCode === 500 ? message : error.message, error: error.message });
+};
+
+// Public pages answer in HTML; anything unexpected gets a generic page
+const sendPageError = (res, error, message) => {
+  const statusCode = error.statusCode || 500;
+  if (statusCode === 500) console.error(`${message}:`, error);
+  const title = statusCode === 410 ? 'Link expired' : statusCode === 404 ? 'Link not found' : 'Something went wrong';
+  res.status(statusCode).send(renderMessagePage(title, statusCode === 500 ? 'Please try again later.' : error.message));
+};
+
+const sendPDF = (res, filename, render) => {
+  const doc = new PDFDocument();
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+  doc.pipe(res);
+  render(doc);
+  doc.end();
+};
+
+// ==================== SHARE LINKS (authenticated) ====================
+
+const createShareLink = (kind) => async (req, res) => {
+  try {
+    const organizationId = req.user.organization;
+    const document = await findOrgDocument(kind, organizationId, req.params.id);
+    if (!document) {
+      return res.status(404).json({ success: false, message: `${kind === 'invoice' ? 'Invoice' : 'Receipt'} not found` });
+    }
+    if (kind === 'invoice' && !SHAREABLE_INVOICE_STATUSES.includes(document.status)) {
+      return res.status(409).json({ success: false, message: 'Draft invoices cannot be shared' });
+    }
+
+    const link = createPublicLink(kind, document, { expiresInDays: req.body.expiresInDays });
+
+    await createAuditLog({
+      action: `share_${kind}_link`,
+      user: req.user._id,
+      resource: kind === 'invoice' ? 'Invoice' : 'Receipt',
+      resourceId: document._id,
+      details: { expiresAt: link.expiresAt },
+      organization: organizationId
+    });
+
+    res.status(201).json({ success: true, message: 'Share link created successfully', data: { url: link.url, expiresAt: link.expiresAt } });
+  } catch (error) {
+    sendError(res, error, 'Error creating share link');
+  }
+};
+
+const revokeShareLinks = (kind) => async (req, res) => {
+  try {
+    const organizationId = req.user.organization;
+    const document = await findOrgDocument(kind, organizationId, req.params.id);
+    if (!document) {
+      return res.status(404).json({ success: false, message: `${kind === 'invoice' ? 'Invoice' : 'Receipt'} not found` });
+    }
+
+    await revokePublicLinks(document);
+
+    await createAuditLog({
+      action: `revoke_${kind}_links`,
+      user: req.user._id,
+      resource: kind === 'invoice' ? 'Invoice' : 'Receipt',
+      resourceId: document._id,
+      details: { publicLinkVersion: document.publicLinkVersion },
+      organization: organizationId
+    });
+
+    res.json({ success: true, message: 'Share links revoked successfully' });
+  } catch (error) {
+    sendError(res, error, 'Error revoking share links');
+  }
+};
+
+exports.createInvoiceShareLink = createShareLink('invoice');
+exports.revokeInvoiceShareLinks = revokeShareLinks('invoice');
+exports.createReceiptShareLink = createShareLink('receipt');
+exports.revokeReceiptShareLinks = revokeShareLinks('receipt');
+
+// ==================== PUBLIC PAGES ====================
+
+exports.viewInvoice = async (req, res) => {
+  try {
+    const { token } = req.params;
+    let invoice = await findLinkedDocument('invoice', token);
+
+    // Back from a gateway: settle the checkout now rather than wait for its webhook
+    let checkout;
+    if (req.query.checkout) {
+      checkout = invoice.checkouts.find(entry => entry.reference === req.query.checkout);
+      if (checkout?.status === 'pending' && await completeInvoiceCheckout(checkout.gateway, checkout.reference)) {
+        invoice = await Invoice.findById(invoice._id);
+        checkout = invoice.checkouts.find(entry => entry.reference === req.query.checkout);
+      }
+    } else {
+      await recordInvoiceView(invoice, req);
+    }
+
+    const [organization, gateways] = await Promise.all([
+      Organization.findById(invoice.organizationId).select('name'),
+      getCheckoutGateways()
+    ]);
+    res.set('Cache-Control', 'no-store').send(renderInvoicePage(invoice, { token, organization, gateways, checkout }));
+  } catch (error) {
+    sendPageError(res, error, 'Error showing public invoice');
+  }
+};
+
+exports.downloadInvoice = async (req, res) => {
+  try {
+    const invoice = await findLinkedDocument('invoice', req.params.token);
+    sendPDF(res, `invoice-${invoice.invoiceNumber}.pdf`, doc => renderInvoicePDF(doc, invoice));
+  } catch (error) {
+    sendPageError(res, error, 'Error downloading public invoice');
+  }
+};
+
+// Accepts the page's form post (redirects to the gateway) or JSON (returns the checkout URL)
+exports.startInvoiceCheckout = async (req, res) => {
+  const fromForm = req.is('application/x-www-form-urlencoded');
+  try {
+    const { token } = req.params;
+    const invoice = await findLinkedDocument('invoice', token);
+    const { checkoutUrl, reference } = await startInvoiceCheckout(invoice, {
+      gateway: req.body.gateway,
+      amount: req.body.amount,
+      email: req.body.email,
+      returnUrl: publicPageUrl('invoice', token)
+    });
+
+    if (fromForm) return res.redirect(303, checkoutUrl);
+    res.status(201).json({ success: true, data: { checkoutUrl, reference } });
+  } catch (error) {
+    if (fromForm) return sendPageError(res, error, 'Error starting invoice checkout');
+    sendError(res, error, 'Error starting invoice checkout');
+  }
+};
+
+exports.viewReceipt = async (req, res) => {
+  try {
+    const { token } = req.params;
+    const receipt = await findLinkedDocument('receipt', token);
+    const organization = await Organization.findById(receipt.organizationId).select('name');
+    res.set('Cache-Control', 'no-store').send(renderReceiptPage(receipt, { token, organization }));
+  } catch (error) {
+    sendPageError(res, error, 'Error showing public receipt');
+  }
+};
+
+exports.downloadReceipt = async (req, res) => {
+  try {
+    const receipt = await findLinkedDocument('receipt', req.params.token);
+    sendPDF(res, `receipt-${receipt.receiptNumber}.pdf`, doc => renderReceiptPDF(doc, receipt));
+  } catch (error) {
+    sendPageError(res, error, 'Error downloading public receipt');
+  }
+};
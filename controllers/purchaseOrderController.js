@@ -0,0 +1,342 @@
+const mongoose = require('mongoose');
+const PurchaseOrder = require('../models/purchaseOrder');
+const Supplier = require('../models/supplier');
+const Inventory = require('../models/inventory');
+const Warehouse = require('../models/warehouse');
+const { createAuditLog } = require('../helpers/auditLogHelper');
+const { suggestReorders, receivePurchaseOrder } = require('../helper/purchaseOrderHelper');
+const { LOW_STOCK_THRESHOLD } = require('../helper/productVariationHelper');
+const { BadRequestError } = require('../utils/errors');
+
+const findOrgPurchaseOrder = async (organizationId, purchaseOrderId) => {
+  if (!mongoose.Types.ObjectId.isValid(purchaseOrderId)) return null;
+  return PurchaseOrder.findOne({ _id: purchaseOrderId, organizationId });
+};
+
+const sendError = (res, error, message) => {
+  const statusCode = error.statusCode || 500;
+  res.status(statusCode).json({
+    success: false,
+    message: statusCode === 500 ? message : error.message,
+    error: error.message
+  });
+};
+
+/**
+ * Turn requested lines into purchase order lines. Unit cost defaults to the
+ * supplier's listed cost for the product.
+ * @param {string} organizationId - Organization ID
+ * @param {Object} supplier - Supplier document
+ * @param {Array} lineItems - [{ productId, quantity, unitCost }]
+ * @returns {Array} PurchaseOrder line items
+ */
+const buildLineItems = async (organizationId, supplier, lineItems) => {
+  if (!Array.isArray(lineItems) || lineItems.length === 0) {
+    throw new BadRequestError('A purchase order needs at least one line item');
+  }
+
+  const products = await Inventory.find({
+    _id: { $in: lineItems.map(item => item.productId).filter(id => mongoose.Types.ObjectId.isValid(id)) },
+    organizationId
+  }).select('name sku');
+  const productsById = new Map(products.map(product => [String(product._id), product]));
+  const listings = new Map(supplier.products.map(entry => [String(entry.productId), entry]));
+
+  return lineItems.map(item => {
+    const product = productsById.get(String(item.productId));
+    if (!product) {
+      throw new BadRequestError(`Product ${item.productId} not found`);
+    }
+    const listing = listings.get(String(item.productId));
+    const quantity = Number(item.quantity);
+    const unitCost = item.unitCost !== undefined ? Number(item.unitCost) : listing?.unitCost;
+    if (!Number.isInteger(quantity) || quantity <= 0) {
+      throw new BadRequestError(`Quantity for ${product.sku} must be a positive whole number`);
+    }
+    if (unitCost == null || Number.isNaN(unitCost) || unitCost < 0) {
+      throw new BadRequestError(`Unit cost for ${product.sku} is required`);
+    }
+
+    return {
+      productId: product._id,
+      sku: product.sku,
+      name: product.name,
+      supplierSku: listing?.supplierSku || null,
+      quantityOrdered: quantity,
+      unitCost
+    };
+  });
+};
+
+const validateWarehouse = async (organizationId, warehouseId) => {
+  if (!warehouseId) return null;
+  const warehouse = mongoose.Types.ObjectId.isValid(warehouseId)
+    ? await Warehouse.findOne({ _id: warehouseId, organizationId, isActive: true })
+    : null;
+  if (!warehouse) {
+    throw new BadRequestError('Warehouse not found');
+  }
+  return warehouse._id;
+};
+
+exports.createPurchaseOrder = async (req, res) => {
+  try {
+    const organizationId = req.user.organization;
+    const { supplierId, lineItems, landedCosts = [], allocationMethod, warehouseId, currency, expectedAt, notes } = req.body;
+
+    const supplier = mongoose.Types.ObjectId.isValid(supplierId)
+      ? await Supplier.findOne({ _id: supplierId, organizationId, isActive: true })
+      : null;
+    if (!supplier) {
+      return res.status(404).json({ success: false, message: 'Supplier not found' });
+    }
+
+    const purchaseOrder = new PurchaseOrder({
+      organizationId,
+      userId: req.user._id,
+      supplierId: supplier._id,
+      currency: currency || supplier.currency,
+      warehouseId: await validateWarehouse(organizationId, warehouseId),
+      lineItems: await buildLineItems(organizationId, supplier, lineItems),
+      landedCosts,
+      allocationMethod,
+      expectedAt: expectedAt || (supplier.leadTimeDays ? new Date(Date.now() + supplier.leadTimeDays * 24 * 60 * 60 * 1000) : null),
+      notes
+    });
+    purchaseOrder.calculateTotals();
+    await purchaseOrder.save();
+
+    await createAuditLog({
+      action: 'create_purchase_order',
+      user: req.user._id,
+      resource: 'PurchaseOrder',
+      resourceId: purchaseOrder._id,
+      details: { poNumber: purchaseOrder.poNumber, supplier: supplier.name, lines: purchaseOrder.lineItems.length, total: purchaseOrder.total },
+      organization: organizationId
+    });
+
+    res.status(201).json({ success: true, message: 'Purchase order created successfully', data: purchaseOrder });
+  } catch (error) {
+    console.error('Error creating purchase order:', error);
+    sendError(res, error, 'Error creating purchase order');
+  }
+};
+
+exports.getPurchaseOrders = async (req, res) => {
+  try {
+    const { status, supplierId, productId } = req.query;
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    const filter = { organizationId: req.user.organization };
+    if (status) filter.status = status;
+    if (supplierId) filter.supplierId = supplierId;
+    if (productId) filter['lineItems.productId'] = productId;
+
+    const [purchaseOrders, total] = await Promise.all([
+      PurchaseOrder.find(filter)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-receipts')
+        .populate('supplierId', 'name'),
+      PurchaseOrder.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: purchaseOrders,
+      pagination: { page, limit, total, pages: Math.ceil(total / limit) }
+    });
+  } catch (error) {
+    console.error('Error fetching purchase orders:', error);
+    sendError(res, error, 'Error fetching purchase orders');
+  }
+};
+
+exports.getPurchaseOrderById = async (req, res) => {
+  try {
+    const purchaseOrder = await findOrgPurchaseOrder(req.user.organization, req.params.purchaseOrderId);
+    if (!purchaseOrder) {
+      return res.status(404).json({ success: false, message: 'Purchase order not found' });
+    }
+
+    await purchaseOrder.populate([
+      { path: 'supplierId', select: 'name email phone currency leadTimeDays' },
+      { path: 'warehouseId', select: 'name code' },
+      { path: 'receipts.warehouseId', select: 'name code' }
+    ]);
+    res.json({ success: true, data: purchaseOrder });
+  } catch (error) {
+    console.error('Error fetching purchase order:', error);
+    sendError(res, error, 'Error fetching purchase order');
+  }
+};
+
+// Lines can change while the order is a draft; landed costs until the first receipt
+exports.updatePurchaseOrder = async (req, res) => {
+  try {
+    const purchaseOrder = await findOrgPurchaseOrder(req.user.organization, req.params.purchaseOrderId);
+    if (!purchaseOrder) {
+      return res.status(404).json({ success: false, message: 'Purchase order not found' });
+    }
+
+    const { lineItems, landedCosts, allocationMethod, warehouseId, expectedAt, notes } = req.body;
+    const isDraft = purchaseOrder.status === 'draft';
+    const hasReceipts = purchaseOrder.receipts.length > 0;
+
+    if (lineItems !== undefined) {
+      if (!isDraft) {
+        return res.status(409).json({ success: false, message: 'Line items can only change while the purchase order is a draft' });
+      }
+      const supplier = await Supplier.findById(purchaseOrder.supplierId);
+      purchaseOrder.lineItems = await buildLineItems(req.user.organization, supplier, lineItems);
+    }
+    if (landedCosts !== undefined || allocationMethod !== undefined) {
+      if (hasReceipts || ['received', 'cancelled'].includes(purchaseOrder.status)) {
+        return res.status(409).json({ success: false, message: 'Landed costs cannot change after stock has been received' });
+      }
+      if (landedCosts !== undefined) purchaseOrder.landedCosts = landedCosts;
+      if (allocationMethod !== undefined) purchaseOrder.allocationMethod = allocationMethod;
+    }
+    if (warehouseId !== undefined) purchaseOrder.warehouseId = await validateWarehouse(req.user.organization, warehouseId);
+    if (expectedAt !== undefined) purchaseOrder.expectedAt = expectedAt;
+    if (notes !== undefined) purchaseOrder.notes = notes;
+
+    purchaseOrder.calculateTotals();
+    await purchaseOrder.save();
+
+    res.json({ success: true, message: 'Purchase order updated successfully', data: purchaseOrder });
+  } catch (error) {
+    console.error('Error updating purchase order:', error);
+    sendError(res, error, 'Error updating purchase order');
+  }
+};
+
+// Mark a draft as sent to the supplier; its quantities now count as on order
+exports.markPurchaseOrderOrdered = async (req, res) => {
+  try {
+    const purchaseOrder = await findOrgPurchaseOrder(req.user.organization, req.params.purchaseOrderId);
+    if (!purchaseOrder) {
+      return res.status(404).json({ success: false, message: 'Purchase order not found' });
+    }
+    if (purchaseOrder.status !== 'draft') {
+      return res.status(409).json({ success: false, message: `Purchase order is already ${purchaseOrder.status}` });
+    }
+
+    purchaseOrder.status = 'ordered';
+    purchaseOrder.orderedAt = new Date();
+    await purchaseOrder.save();
+
+    await createAuditLog({
+      action: 'order_purchase_order',
+      user: req.user._id,
+      resource: 'PurchaseOrder',
+      resourceId: purchaseOrder._id,
+      details: { poNumber: purchaseOrder.poNumber, total: purchaseOrder.total },
+      organization: req.user.organization
+    });
+
+    res.json({ success: true, message: 'Purchase order marked as ordered', data: purchaseOrder });
+  } catch (error) {
+    console.error('Error ordering purchase order:', error);
+    sendError(res, error, 'Error ordering purchase order');
+  }
+};
+
+exports.receivePurchaseOrder = async (req, res) => {
+  try {
+    const found = await findOrgPurchaseOrder(req.user.organization, req.params.purchaseOrderId);
+    if (!found) {
+      return res.status(404).json({ success: false, message: 'Purchase order not found' });
+    }
+
+    const { lines, warehouseId, note, syncToWooCommerce = false } = req.body;
+    const { purchaseOrder, receipt, products } = await receivePurchaseOrder(found, lines, {
+      warehouseId: await validateWarehouse(req.user.organization, warehouseId),
+      userId: req.user._id,
+      note,
+      syncToWooCommerce
+    });
+
+    await createAuditLog({
+      action: 'receive_purchase_order',
+      user: req.user._id,
+      resource: 'PurchaseOrder',
+      resourceId: purchaseOrder._id,
+      details: { poNumber: purchaseOrder.poNumber, status: purchaseOrder.status, received: products.map(({ sku, received }) => ({ sku, received })) },
+      organization: req.user.organization
+    });
+
+    res.json({
+      success: true,
+      message: purchaseOrder.status === 'received' ? 'Purchase order fully received' : 'Stock received',
+      data: purchaseOrder,
+      receipt,
+      products
+    });
+  } catch (error) {
+    console.error('Error receiving purchase order:', error);
+    sendError(res, error, 'Error receiving purchase order');
+  }
+};
+
+// Cancels whatever has not been received; received stock stays
+exports.cancelPurchaseOrder = async (req, res) => {
+  try {
+    const purchaseOrder = await findOrgPurchaseOrder(req.user.organization, req.params.purchaseOrderId);
+    if (!purchaseOrder) {
+      return res.status(404).json({ success: false, message: 'Purchase order not found' });
+    }
+    if (['received', 'cancelled'].includes(purchaseOrder.status)) {
+      return res.status(409).json({ success: false, message: `Purchase order is already ${purchaseOrder.status}` });
+    }
+
+    purchaseOrder.status = 'cancelled';
+    purchaseOrder.cancelledAt = new Date();
+    if (req.body?.reason) {
+      purchaseOrder.notes = [purchaseOrder.notes, `Cancelled: ${req.body.reason}`].filter(Boolean).join('\n');
+    }
+    await purchaseOrder.save();
+
+    await createAuditLog({
+      action: 'cancel_purchase_order',
+      user: req.user._id,
+      resource: 'PurchaseOrder',
+      resourceId: purchaseOrder._id,
+      details: { poNumber: purchaseOrder.poNumber, reason: req.body?.reason, receipts: purchaseOrder.receipts.length },
+      organization: req.user.organization
+    });
+
+    res.json({ success: true, message: 'Purchase order cancelled', data: purchaseOrder });
+  } catch (error) {
+    console.error('Error cancelling purchase order:', error);
+    sendError(res, error, 'Error cancelling purchase order');
+  }
+};
+
+// What to buy next, from recent sales, current stock and stock already on order
+exports.getSuggestedReorders = async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+    const coverDays = Math.min(Math.max(parseInt(req.query.coverDays, 10) || 30, 0), 365);
+    const threshold = parseInt(req.query.threshold, 10) || LOW_STOCK_THRESHOLD;
+
+    const suggestions = await suggestReorders(req.user.organization, {
+      days,
+      coverDays,
+      threshold,
+      supplierId: req.query.supplierId
+    });
+
+    res.json({
+      success: true,
+      parameters: { days, coverDays, threshold },
+      data: suggestions,
+      count: suggestions.reduce((sum, group) => sum + group.items.length, 0)
+    });
+  } catch (error) {
+    console.error('Error building reorder suggestions:', error);
+    sendError(res, error, 'Error building reorder suggestions');
+  }
+};
@@ -13,6 +13,8 @@ const PDFDocument = require('pdfkit');
 const fs = require('fs');
 const path = require('path');
 const templateMergerService = require('../services/templateMergerService');
+const { createOrderRefund, getOrderTotal } = require('../helper/refundHelper');
+const { roundMoney } = require('../utils/moneyUtils');
 
 /**
  * @swagger
@@ -1331,12 +1333,8 @@ exports.createReceipt = async (req, res) => {
       // Continue without merged company info if there's an error
     }
 
-    // Generate receipt number
-    const receiptNumber = await Receipt.generateReceiptNumber(organizationId);
-
     // Create new receipt using organization defaults
     const newReceipt = new Receipt({
-      receiptNumber,
       customerId,
       storeId: defaultStore._id, // Use organization's default store
       organizationId,
@@ -1906,12 +1904,8 @@ exports.bulkGenerateReceipts = async (req, res) => {
 
     for (const order of orders) {
       try {
-        // Generate receipt number
-        const receiptNumber = await Receipt.generateReceiptNumber(organizationId);
-
         // Create receipt from order
         const newReceipt = new Receipt({
-          receiptNumber,
           customerId: order.customerId,
           storeId: order.storeId,
           organizationId,
@@ -2023,15 +2017,12 @@ exports.generateOrderReceipt = async (req, res) => {
       // Continue without merged company info if there's an error
     }
 
-    // Generate receipt number
-    const receiptNumber = await Receipt.generateReceiptNumber(organizationId);
-
     // Create receipt from order using organization defaults
     const newReceipt = new Receipt({
-      receiptNumber,
       customerId: order.customerId,
       storeId: defaultStore._id, // Use organization's default store
       organizationId,
+      orderId: order._id,
       userId,
       customerName: order.billing?.first_name || 'Customer',
       customerEmail: order.billing?.email || 'customer@example.com',
@@ -2131,12 +2122,12 @@ exports.generateSubscriptionReceipt = async (req, res) => {
     // Get template (default or random)
     const template = await getTemplateForScenario('subscription_payment', organizationId);
 
-    // Generate receipt number
-    const receiptNumber = await Receipt.generateReceiptNumber(organizationId);
+    // The plan line shows the price before any coupon; the coupon is the receipt's discount
+    const discountAmount = payment.discountAmount || 0;
+    const listPrice = payment.amount + discountAmount;
 
     // Create receipt from subscription
     const newReceipt = new Receipt({
-      receiptNumber,
       organizationId,
       userId,
       subscriptionId,
@@ -2145,19 +2136,22 @@ exports.generateSubscriptionReceipt = async (req, res) => {
         name: subscription.plan?.name || 'Subscription Plan',
         description: subscription.plan?.description || '',
         quantity: 1,
-        unitPrice: payment.amount,
-        totalPrice: payment.amount,
+        unitPrice: listPrice,
+        totalPrice: listPrice,
         taxRate: 0
       }],
-      subtotal: payment.amount,
+      subtotal: listPrice,
       taxAmount: 0,
-      discountAmount: 0,
+      discountAmount,
+      couponCode: payment.couponCode,
       totalAmount: payment.amount,
       currency: payment.currency || 'USD',
       paymentMethod: payment.gateway || 'Credit Card',
       transactionId: payment.reference,
       transactionDate: payment.createdAt || new Date(),
-      description: `Subscription payment for ${subscription.billingInterval} plan`,
+      description: payment.couponCode
+        ? `Subscription payment for ${subscription.billingInterval} plan with coupon ${payment.couponCode}`
+        : `Subscription payment for ${subscription.billingInterval} plan`,
       type: 'subscription',
       scenario: 'subscription_payment',
       templateId: template._id,
@@ -2178,7 +2172,8 @@ exports.generateSubscriptionReceipt = async (req, res) => {
         receiptNumber: savedReceipt.receiptNumber,
         subscriptionId: subscription._id,
         paymentId: payment._id,
-        totalAmount: savedReceipt.totalAmount
+        totalAmount: savedReceipt.totalAmount,
+        couponCode: payment.couponCode
       },
       organization: organizationId
     });
@@ -2528,7 +2523,7 @@ async function generateSubscriptionReceiptPDF(doc, receipt) {
   // Totals
   doc.text(`Subtotal: $${receipt.subtotal}`);
   doc.text(`Tax: $${receipt.taxAmount}`);
-  doc.text(`Discount: $${receipt.discountAmount}`);
+  doc.text(receipt.couponCode ? `Discount (${receipt.couponCode}): $${receipt.discountAmount}` : `Discount: $${receipt.discountAmount}`);
   doc.text(`Total: $${receipt.totalAmount}`, { underline: true });
   doc.moveDown();
   doc.text('Thank you for your subscription!', { align: 'center' });
@@ -2885,17 +2880,10 @@ exports.createReceipt = async (req, res) => {
 
 
 
-    // Generate receipt number
-
-    const receiptNumber = await Receipt.generateReceiptNumber(organizationId);
-
-
-
     // Create new receipt
 
     const newReceipt = new Receipt({
 
-      receiptNumber,
 
       customerId,
 
@@ -4005,17 +3993,10 @@ exports.bulkGenerateReceipts = async (req, res) => {
 
       try {
 
-        // Generate receipt number
-
-        const receiptNumber = await Receipt.generateReceiptNumber(organizationId);
-
-
-
         // Create receipt from order
 
         const newReceipt = new Receipt({
 
-          receiptNumber,
 
           customerId: order.customerId,
 
@@ -4387,17 +4368,10 @@ exports.createReceipt = async (req, res) => {
 
 
 
-    // Generate receipt number
-
-    const receiptNumber = await Receipt.generateReceiptNumber(organizationId);
-
-
-
     // Create new receipt
 
     const newReceipt = new Receipt({
 
-      receiptNumber,
 
       customerId,
 
@@ -5507,17 +5481,10 @@ exports.bulkGenerateReceipts = async (req, res) => {
 
       try {
 
-        // Generate receipt number
-
-        const receiptNumber = await Receipt.generateReceiptNumber(organizationId);
-
-
-
         // Create receipt from order
 
         const newReceipt = new Receipt({
 
-          receiptNumber,
 
           customerId: order.customerId,
 
@@ -5889,17 +5856,10 @@ exports.createReceipt = async (req, res) => {
 
 
 
-    // Generate receipt number
-
-    const receiptNumber = await Receipt.generateReceiptNumber(organizationId);
-
-
-
     // Create new receipt
 
     const newReceipt = new Receipt({
 
-      receiptNumber,
 
       customerId,
 
@@ -6833,7 +6793,7 @@ exports.processRefund = async (req, res) => {
 
     const organizationId = req.user.organization;
 
-    const { refundAmount, refundReason } = req.body;
+    const { refundAmount, refundReason, lineItems, shippingAmount, restock, restockWarehouseId, refundPayment } = req.body;
 
 
 
@@ -6883,19 +6843,75 @@ exports.processRefund = async (req, res) => {
 
 
 
-    // Update receipt with refund information
+    const Order = require('../models/order');
 
-    receipt.status = 'refunded';
+    const order = receipt.orderId ? await Order.findOne({ _id: receipt.orderId, organizationId }) : null;
 
-    receipt.refundAmount = refundAmount || receipt.totalAmount;
+    let refund = null;
 
-    receipt.refundDate = new Date();
+    let refundedReceipt = receipt;
 
-    receipt.refundReason = refundReason;
+    if (order) {
 
-    receipt.updatedBy = userId;
+      // Refund the order through the store; the receipt takes the same share of its own total
 
-    await receipt.save();
+      // (receipt and order amounts can be in different currencies)
+
+      const share = refundAmount && receipt.totalAmount ? Number(refundAmount) / receipt.totalAmount : null;
+
+      refund = await createOrderRefund(order, {
+
+        amount: share !== null ? roundMoney(getOrderTotal(order) * share) : undefined,
+
+        reason: refundReason,
+
+        lineItems,
+
+        shippingAmount,
+
+        restock,
+
+        restockWarehouseId,
+
+        refundPayment
+
+      }, { userId, receiptId: receipt._id });
+
+      if (refund.syncStatus === 'failed') {
+
+        return res.status(502).json({
+
+          success: false,
+
+          message: 'The store rejected the refund',
+
+          error: refund.syncError,
+
+          refund
+
+        });
+
+      }
+
+      refundedReceipt = await Receipt.findById(receipt._id);
+
+    } else {
+
+      // Update receipt with refund information
+
+      receipt.status = 'refunded';
+
+      receipt.refundAmount = refundAmount || receipt.totalAmount;
+
+      receipt.refundDate = new Date();
+
+      receipt.refundReason = refundReason;
+
+      receipt.updatedBy = userId;
+
+      await receipt.save();
+
+    }
 
 
 
@@ -6915,9 +6931,11 @@ exports.processRefund = async (req, res) => {
 
         receiptNumber: receipt.receiptNumber,
 
-        refundAmount: receipt.refundAmount,
+        refundAmount: refundedReceipt.refundAmount,
 
-        refundReason: receipt.refundReason
+        refundReason: refundedReceipt.refundReason,
+
+        refundId: refund?._id
 
       },
 
@@ -6933,7 +6951,9 @@ exports.processRefund = async (req, res) => {
 
       message: 'Refund processed successfully',
 
-      receipt
+      receipt: refundedReceipt,
+
+      refund
 
     });
 
@@ -6943,11 +6963,11 @@ exports.processRefund = async (req, res) => {
 
     console.error('Error processing refund:', error);
 
-    res.status(500).json({
+    res.status(error.statusCode || 500).json({
 
       success: false,
 
-      message: 'Error processing refund',
+      message: error.statusCode ? error.message : 'Error processing refund',
 
       error: error.message
 
@@ -7009,17 +7029,10 @@ exports.bulkGenerateReceipts = async (req, res) => {
 
       try {
 
-        // Generate receipt number
-
-        const receiptNumber = await Receipt.generateReceiptNumber(organizationId);
-
-
-
         // Create receipt from order
 
         const newReceipt = new Receipt({
 
-          receiptNumber,
 
           customerId: order.customerId,
 
@@ -0,0 +1,265 @@
+const mongoose = require('mongoose');
+const RecurringInvoice = require('../models/recurringInvoice');
+const Invoice = require('../models/Invoice');
+const Customer = require('../models/customers');
+const { computeNextRunAt, isScheduleFinished, generateScheduledInvoice } = require('../helper/recurringInvoiceHelper');
+const { createAuditLog } = require('../helpers/auditLogHelper');
+
+const RECURRING_INVOICE_FIELDS = [
+  'name', 'customerId', 'customerName', 'customerEmail', 'customerAddress', 'customerVatNumber',
+  'items', 'taxAmount', 'discountAmount', 'pricesIncludeTax', 'currency', 'notes', 'terms',
+  'paymentTermsDays', 'frequency', 'interval', 'startDate', 'endDate', 'maxOccurrences', 'autoSend'
+];
+// Changing any of these moves the next run
+const CADENCE_FIELDS = ['frequency', 'interval', 'startDate'];
+
+const pickRecurringInvoiceFields = (body) => RECURRING_INVOICE_FIELDS.reduce((data, field) => {
+  if (body[field] !== undefined) data[field] = body[field];
+  return data;
+}, {});
+
+const findOrgRecurringInvoice = async (organizationId, recurringInvoiceId) => {
+  if (!mongoose.Types.ObjectId.isValid(recurringInvoiceId)) return null;
+  return RecurringInvoice.findOne({ _id: recurringInvoiceId, organizationId });
+};
+
+const sendError = (res, error, message) => {
+  console.error(`${message}:`, error);
+  const statusCode = error.statusCode || (error.name === 'ValidationError' ? 400 : 500);
+  res.status(statusCode).json({ success: false, message: statusCode === 500 ? message : error.message, error: error.message });
+};
+
+const validateItems = (items) => {
+  if (!Array.isArray(items) || items.length === 0) return 'Items must be a non-empty array';
+  const incomplete = items.findIndex(item => !item.name || !item.quantity || item.unitPrice === undefined);
+  return incomplete === -1 ? null : `Item ${incomplete + 1} is missing required fields: name, quantity, or unitPrice`;
+};
+
+// The first run is the start date, or the next run after now on the same cadence when the start date has passed
+const firstRunFrom = (schedule, now = new Date()) => {
+  let run = new Date(schedule.startDate);
+  while (run < now) run = computeNextRunAt(schedule, run);
+  return run;
+};
+
+exports.createRecurringInvoice = async (req, res) => {
+  try {
+    const organizationId = req.user.organization;
+    const data = pickRecurringInvoiceFields(req.body);
+
+    const missing = ['name', 'customerId', 'frequency', 'items'].filter(field => !data[field]);
+    if (missing.length > 0) {
+      return res.status(400).json({ success: false, message: `Missing required fields: ${missing.join(', ')}` });
+    }
+    const itemsError = validateItems(data.items);
+    if (itemsError) return res.status(400).json({ success: false, message: itemsError });
+    if (!mongoose.Types.ObjectId.isValid(data.customerId)) {
+      return res.status(400).json({ success: false, message: 'Invalid customerId' });
+    }
+
+    const customer = await Customer.findOne({ _id: data.customerId, organizationId });
+    if (!customer) {
+      return res.status(404).json({ success: false, message: 'Customer not found' });
+    }
+
+    const schedule = new RecurringInvoice({
+      ...data,
+      customerName: data.customerName || `${customer.first_name || ''} ${customer.last_name || ''}`.trim() || customer.billing?.company,
+      customerEmail: data.customerEmail || customer.email || customer.billing?.email,
+      customerAddress: data.customerAddress || {
+        street: customer.billing?.address_1,
+        city: customer.billing?.city,
+        state: customer.billing?.state,
+        zipCode: customer.billing?.postcode,
+        country: customer.billing?.country
+      },
+      startDate: data.startDate ? new Date(data.startDate) : new Date(),
+      organizationId,
+      userId: req.user._id
+    });
+    schedule.anchorDay = schedule.startDate.getDate();
+    schedule.nextRunAt = firstRunFrom(schedule);
+    await schedule.save();
+
+    await createAuditLog({
+      action: 'create_recurring_invoice',
+      user: req.user._id,
+      resource: 'RecurringInvoice',
+      resourceId: schedule._id,
+      details: { name: schedule.name, frequency: schedule.frequency, interval: schedule.interval, nextRunAt: schedule.nextRunAt },
+      organization: organizationId
+    });
+
+    res.status(201).json({ success: true, message: 'Recurring invoice created successfully', data: schedule });
+  } catch (error) {
+    sendError(res, error, 'Error creating recurring invoice');
+  }
+};
+
+exports.getRecurringInvoices = async (req, res) => {
+  try {
+    const { status, customerId, page = 1, limit = 20 } = req.query;
+    const filter = { organizationId: req.user.organization };
+    if (status) filter.status = status;
+    if (customerId) filter.customerId = customerId;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [schedules, total] = await Promise.all([
+      RecurringInvoice.find(filter).sort({ nextRunAt: 1 }).skip(skip).limit(parseInt(limit)),
+      RecurringInvoice.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: schedules,
+      pagination: { page: parseInt(page), limit: parseInt(limit), total, pages: Math.ceil(total / parseInt(limit)) }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error fetching recurring invoices');
+  }
+};
+
+exports.getRecurringInvoice = async (req, res) => {
+  try {
+    const schedule = await findOrgRecurringInvoice(req.user.organization, req.params.recurringInvoiceId);
+    if (!schedule) {
+      return res.status(404).json({ success: false, message: 'Recurring invoice not found' });
+    }
+
+    const invoices = await Invoice.find({ recurringInvoiceId: schedule._id })
+      .select('invoiceNumber status issueDate dueDate totalAmount balanceDue currency emailSent')
+      .sort({ issueDate: -1 })
+      .limit(50);
+
+    res.json({ success: true, data: { ...schedule.toObject(), invoices } });
+  } catch (error) {
+    sendError(res, error, 'Error fetching recurring invoice');
+  }
+};
+
+exports.updateRecurringInvoice = async (req, res) => {
+  try {
+    const schedule = await findOrgRecurringInvoice(req.user.organization, req.params.recurringInvoiceId);
+    if (!schedule) {
+      return res.status(404).json({ success: false, message: 'Recurring invoice not found' });
+    }
+    if (['completed', 'cancelled'].includes(schedule.status)) {
+      return res.status(409).json({ success: false, message: `A ${schedule.status} recurring invoice cannot be changed` });
+    }
+
+    const data = pickRecurringInvoiceFields(req.body);
+    if (data.items !== undefined) {
+      const itemsError = validateItems(data.items);
+      if (itemsError) return res.status(400).json({ success: false, message: itemsError });
+    }
+    if (data.customerId && String(data.customerId) !== String(schedule.customerId)) {
+      return res.status(400).json({ success: false, message: 'The customer of a recurring invoice cannot be changed' });
+    }
+
+    schedule.set(data);
+    if (CADENCE_FIELDS.some(field => data[field] !== undefined)) {
+      if (data.startDate) schedule.anchorDay = schedule.startDate.getDate();
+      schedule.nextRunAt = firstRunFrom(schedule);
+    }
+    await schedule.save();
+
+    await createAuditLog({
+      action: 'update_recurring_invoice',
+      user: req.user._id,
+      resource: 'RecurringInvoice',
+      resourceId: schedule._id,
+      details: { changes: Object.keys(data), nextRunAt: schedule.nextRunAt },
+      organization: req.user.organization
+    });
+
+    res.json({ success: true, message: 'Recurring invoice updated successfully', data: schedule });
+  } catch (error) {
+    sendError(res, error, 'Error updating recurring invoice');
+  }
+};
+
+// Pause, resume or cancel; resuming picks the cadence up from now and clears earlier failures
+const STATUS_TRANSITIONS = {
+  pause: { from: ['active'], to: 'paused' },
+  resume: { from: ['paused'], to: 'active' },
+  cancel: { from: ['active', 'paused'], to: 'cancelled' }
+};
+
+const changeStatus = (action) => async (req, res) => {
+  try {
+    const schedule = await findOrgRecurringInvoice(req.user.organization, req.params.recurringInvoiceId);
+    if (!schedule) {
+      return res.status(404).json({ success: false, message: 'Recurring invoice not found' });
+    }
+
+    const transition = STATUS_TRANSITIONS[action];
+    if (!transition.from.includes(schedule.status)) {
+      return res.status(409).json({ success: false, message: `A ${schedule.status} recurring invoice cannot be ${transition.to}` });
+    }
+
+    schedule.status = transition.to;
+    if (action === 'resume') {
+      schedule.failureCount = 0;
+      schedule.lastError = null;
+      let run = schedule.nextRunAt;
+      while (run < new Date()) run = computeNextRunAt(schedule, run);
+      schedule.nextRunAt = run;
+      if (isScheduleFinished(schedule)) schedule.status = 'completed';
+    }
+    await schedule.save();
+
+    await createAuditLog({
+      action: `${action}_recurring_invoice`,
+      user: req.user._id,
+      resource: 'RecurringInvoice',
+      resourceId: schedule._id,
+      details: { name: schedule.name, status: schedule.status },
+      organization: req.user.organization
+    });
+
+    res.json({ success: true, message: `Recurring invoice ${schedule.status}`, data: schedule });
+  } catch (error) {
+    sendError(res, error, 'Error updating recurring invoice');
+  }
+};
+
+exports.pauseRecurringInvoice = changeStatus('pause');
+exports.resumeRecurringInvoice = changeStatus('resume');
+exports.cancelRecurringInvoice = changeStatus('cancel');
+
+// Generates an extra invoice now; the regular cadence is left as it is
+exports.runRecurringInvoiceNow = async (req, res) => {
+  try {
+    const schedule = await findOrgRecurringInvoice(req.user.organization, req.params.recurringInvoiceId);
+    if (!schedule) {
+      return res.status(404).json({ success: false, message: 'Recurring invoice not found' });
+    }
+    if (schedule.status !== 'active' && schedule.status !== 'paused') {
+      return res.status(409).json({ success: false, message: `A ${schedule.status} recurring invoice cannot be run` });
+    }
+
+    const { invoice, emailed, emailError } = await generateScheduledInvoice(schedule);
+    schedule.occurrences += 1;
+    schedule.lastRunAt = new Date();
+    schedule.lastInvoiceId = invoice._id;
+    if (isScheduleFinished(schedule)) schedule.status = 'completed';
+    await schedule.save();
+
+    await createAuditLog({
+      action: 'run_recurring_invoice',
+      user: req.user._id,
+      resource: 'RecurringInvoice',
+      resourceId: schedule._id,
+      details: { invoiceNumber: invoice.invoiceNumber, emailed },
+      organization: req.user.organization
+    });
+
+    res.status(201).json({
+      success: true,
+      message: emailError ? `Invoice generated but not emailed: ${emailError}` : 'Invoice generated successfully',
+      data: { invoice, emailed, schedule }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error running recurring invoice');
+  }
+};
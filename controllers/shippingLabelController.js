@@ -5,6 +5,15 @@ const Store = require('../models/store');
 const { createAuditLog } = require('../helpers/auditLogHelper');
 const logEvent = require('../helper/logEvent');
 const PDFDocument = require('pdfkit');
+const {
+  buildShipment,
+  quoteRates,
+  findActiveLabel,
+  purchaseOrderLabel,
+  voidShippingLabel,
+  getShipFromAddress
+} = require('../helper/shippingHelper');
+const { refreshLabelTracking, handleTrackingWebhook, setLabelStatusManually } = require('../helper/trackingHelper');
 
 /**
  * @swagger
@@ -62,8 +71,19 @@ const PDFDocument = require('pdfkit');
  *               description: Package information
  *         status:
  *           type: string
- *           enum: [generated, printed, shipped, delivered]
+ *           enum: [pending, created, printed, shipped, delivered, cancelled, voided]
  *           description: Shipping label status
+ *         provider:
+ *           type: string
+ *           enum: [easypost, shippo, stub]
+ *           description: Shipping provider the label was bought through
+ *         shippingCost:
+ *           type: number
+ *           description: Postage paid
+ *         refundStatus:
+ *           type: string
+ *           enum: [submitted, refunded, rejected]
+ *           description: Postage refund of a voided label
  *         createdAt:
  *           type: string
  *           format: date-time
@@ -98,18 +118,28 @@ const PDFDocument = require('pdfkit');
  *           schema:
  *             type: object
  *             properties:
+ *               carrierAccountId:
+ *                 type: string
+ *                 description: Carrier account to buy from (all active accounts are quoted when omitted)
+ *               shipmentId:
+ *                 type: string
+ *                 description: Shipment ID from a rate quote (required with rateId)
+ *               rateId:
+ *                 type: string
+ *                 description: Quoted rate to buy; without it the cheapest matching rate is bought
  *               carrier:
  *                 type: string
- *                 default: USPS
- *                 description: Shipping carrier
+ *                 description: Only consider rates from this carrier
  *                 example: "USPS"
  *               serviceType:
  *                 type: string
- *                 default: Priority
- *                 description: Shipping service type
+ *                 description: Only consider rates for this service
  *                 example: "Priority"
+ *               parcel:
+ *                 type: object
+ *                 description: Weight (oz) and dimensions (in) overriding the ones worked out from the order
  *     responses:
- *       200:
+ *       201:
  *         description: Shipping label generated successfully
  *         content:
  *           application/json:
@@ -125,7 +155,7 @@ const PDFDocument = require('pdfkit');
  *                 shippingLabel:
  *                   $ref: '#/components/schemas/ShippingLabel'
  *       400:
- *         description: Bad request - Shipping label already exists
+ *         description: Bad request - Shipping label already exists, no ship-from address or no matching rate
  *         content:
  *           application/json:
  *             schema:
@@ -151,23 +181,20 @@ const PDFDocument = require('pdfkit');
  *       500:
  *         description: Server error
  */
-// Generate shipping label for an order
+// Generate shipping label for an order by buying it from a carrier
 exports.generateShippingLabel = async (req, res) => {
   try {
     const { orderId } = req.params;
-    const { carrier = 'USPS', serviceType = 'Priority' } = req.body;
+    const { carrier, serviceType, carrierAccountId, shipmentId, rateId, parcel } = req.body;
     
-    // Get order with customer and store data
-    const order = await Order.findById(orderId)
-      .populate('customerId')
-      .populate('storeId');
+    const order = await Order.findOne({ _id: orderId, organizationId: req.user.organization });
     
     if (!order) {
       return res.status(404).json({ error: 'Order not found' });
     }
     
     // Check if shipping label already exists
-    const existingLabel = await ShippingLabel.findOne({ orderId });
+    const existingLabel = await findActiveLabel(orderId);
     if (existingLabel) {
       return res.status(400).json({ 
         error: 'Shipping label already exists for this order',
@@ -175,76 +202,33 @@ exports.generateShippingLabel = async (req, res) => {
       });
     }
     
-    // Generate tracking number
-    const trackingNumber = `TRK${Date.now().toString().slice(-8)}`;
-    
-    // Get store information for from address
     const store = await Store.findById(order.storeId);
-    
-    // Create shipping label
-    const shippingLabel = new ShippingLabel({
-      orderId,
-      organizationId: order.organizationId,
-      storeId: order.storeId,
-      trackingNumber,
-      carrier,
-      serviceType,
-      labelData: {
-        fromAddress: {
-          name: store ? store.name : 'Store',
-          company: store ? store.name : 'Store',
-          address1: "123 Store Street",
-          city: "Store City",
-          state: "CA",
-          postalCode: "90210",
-          country: "United States",
-          phone: "+1 (555) 000-0000",
-        },
-        toAddress: {
-          name: `${order.shipping.first_name || ''} ${order.shipping.last_name || ''}`.trim(),
-          company: order.shipping.company || '',
-          address1: order.shipping.address_1 || '',
-          address2: order.shipping.address_2 || '',
-          city: order.shipping.city || '',
-          state: order.shipping.state || '',
-          postalCode: order.shipping.postcode || '',
-          country: order.shipping.country || '',
-          phone: order.shipping.phone || '',
-        },
-        packageDetails: {
-          weight: 16, // Default 1 pound
-          dimensions: {
-            length: 12,
-            width: 8,
-            height: 6,
-          },
-        },
-      },
+    const shippingLabel = await purchaseOrderLabel(order, store, {
+      carrier, serviceType, carrierAccountId, shipmentId, rateId, parcel
     });
     
-    await shippingLabel.save();
-    
     // Create audit log
     await createAuditLog({
       action: 'CREATE',
-      entity: 'ShippingLabel',
-      entityId: shippingLabel._id,
-      userId: req.user.id,
-      organizationId: order.organizationId,
+      resource: 'ShippingLabel',
+      resourceId: shippingLabel._id,
+      user: req.user.id,
+      organization: order.organizationId,
       details: {
         orderId,
-        trackingNumber,
-        carrier,
-        serviceType,
+        trackingNumber: shippingLabel.trackingNumber,
+        carrier: shippingLabel.carrier,
+        serviceType: shippingLabel.serviceType,
+        shippingCost: shippingLabel.shippingCost,
       },
     });
     
     // Log event
     await logEvent('shipping_label_created', {
       orderId,
-      trackingNumber,
-      carrier,
-      serviceType,
+      trackingNumber: shippingLabel.trackingNumber,
+      carrier: shippingLabel.carrier,
+      serviceType: shippingLabel.serviceType,
       userId: req.user.id,
       organizationId: order.organizationId,
     });
@@ -257,7 +241,80 @@ exports.generateShippingLabel = async (req, res) => {
     
   } catch (error) {
     console.error('Error generating shipping label:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+};
+
+/**
+ * @swagger
+ * /api/shipping-labels/rates/{orderId}:
+ *   post:
+ *     summary: Compare carrier rates for an order
+ *     description: Quotes the order's parcel from the store's ship-from address with every active carrier account, cheapest first. Buy one by passing its carrierAccountId, shipmentId and rateId to the generate endpoint.
+ *     tags: [Shipping Labels]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: orderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: ObjectId
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               carrierAccountId:
+ *                 type: string
+ *               parcel:
+ *                 type: object
+ *                 properties:
+ *                   weight:
+ *                     type: number
+ *                     description: Ounces
+ *                   length:
+ *                     type: number
+ *                     description: Inches
+ *                   width:
+ *                     type: number
+ *                   height:
+ *                     type: number
+ *     responses:
+ *       200:
+ *         description: Rates with carrier, service, amount, currency and estimated days, plus any accounts that failed to quote
+ *       400:
+ *         description: No ship-from address or no active carrier account
+ *       404:
+ *         description: Order not found
+ */
+exports.getShippingRates = async (req, res) => {
+  try {
+    const { orderId } = req.params;
+    const { carrierAccountId, parcel } = req.body || {};
+    
+    const order = await Order.findOne({ _id: orderId, organizationId: req.user.organization });
+    if (!order) {
+      return res.status(404).json({ error: 'Order not found' });
+    }
+    
+    const store = await Store.findById(order.storeId);
+    const shipment = await buildShipment(order, store, parcel);
+    const { rates, errors } = await quoteRates(order.organizationId, shipment, { carrierAccountId });
+    
+    res.json({
+      success: true,
+      data: rates,
+      errors,
+      shipment: { fromAddress: shipment.fromAddress, toAddress: shipment.toAddress, parcel: shipment.parcel },
+    });
+    
+  } catch (error) {
+    console.error('Error quoting shipping rates:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 };
 
@@ -266,7 +323,8 @@ exports.getShippingLabelByOrder = async (req, res) => {
   try {
     const { orderId } = req.params;
     
-    const shippingLabel = await ShippingLabel.findOne({ orderId })
+    const shippingLabel = await ShippingLabel.findOne({ orderId, status: { $ne: 'voided' } })
+      .sort({ createdAt: -1 })
       .populate('orderId')
       .populate('storeId');
     
@@ -326,6 +384,7 @@ exports.generateShippingLabelPDF = async (req, res) => {
     const { labelId } = req.params;
     
     const shippingLabel = await ShippingLabel.findById(labelId)
+      .select('+labelFile')
       .populate('orderId')
       .populate('storeId');
     
@@ -333,6 +392,13 @@ exports.generateShippingLabelPDF = async (req, res) => {
       return res.status(404).json({ error: 'Shipping label not found' });
     }
     
+    // Labels bought from a carrier are served as the carrier issued them
+    if (shippingLabel.labelFile && shippingLabel.labelFile.length > 0) {
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="shipping-label-${shippingLabel.trackingNumber}.pdf"`);
+      return res.send(shippingLabel.labelFile);
+    }
+    
     // Create PDF document
     const doc = new PDFDocument({
       size: 'A4',
@@ -414,23 +480,32 @@ exports.updateShippingLabelStatus = async (req, res) => {
     const { labelId } = req.params;
     const { status } = req.body;
     
-    const shippingLabel = await ShippingLabel.findByIdAndUpdate(
-      labelId,
-      { status, updatedAt: new Date() },
-      { new: true }
-    );
+    const settableStatuses = ShippingLabel.schema.path('status').enumValues.filter(value => value !== 'pending');
+    if (!settableStatuses.includes(status)) {
+      return res.status(400).json({ error: `status must be one of: ${settableStatuses.join(', ')}` });
+    }
+    
+    const shippingLabel = await ShippingLabel.findById(labelId);
     
     if (!shippingLabel) {
       return res.status(404).json({ error: 'Shipping label not found' });
     }
     
+    if (status === 'voided') {
+      // Voiding asks the carrier for the postage back
+      await voidShippingLabel(shippingLabel);
+    } else {
+      // Shipped and delivered go on the tracking timeline and notify the customer
+      await setLabelStatusManually(shippingLabel, status);
+    }
+    
     // Create audit log
     await createAuditLog({
       action: 'UPDATE',
-      entity: 'ShippingLabel',
-      entityId: shippingLabel._id,
-      userId: req.user.id,
-      organizationId: shippingLabel.organizationId,
+      resource: 'ShippingLabel',
+      resourceId: shippingLabel._id,
+      user: req.user.id,
+      organization: shippingLabel.organizationId,
       details: { status },
     });
     
@@ -450,14 +525,130 @@ exports.updateShippingLabelStatus = async (req, res) => {
     
   } catch (error) {
     console.error('Error updating shipping label:', error);
-    res.status(500).json({ error: error.message });
+    res.status(error.statusCode || 500).json({ error: error.message });
   }
 };
 
-// Bulk generate shipping labels
+/**
+ * @swagger
+ * /api/shipping-labels/{labelId}/tracking:
+ *   get:
+ *     summary: Get a label's tracking timeline
+ *     description: Carrier events oldest first, each with the status, description, location, time and whether it was polled, pushed by webhook or set by hand.
+ *     tags: [Shipping Labels]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: labelId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: ObjectId
+ *       - in: query
+ *         name: refresh
+ *         schema:
+ *           type: boolean
+ *         description: Ask the carrier for new events first
+ *     responses:
+ *       200:
+ *         description: Tracking timeline
+ *       404:
+ *         description: Shipping label not found
+ *       502:
+ *         description: The carrier could not be reached
+ */
+exports.getShippingLabelTracking = async (req, res) => {
+  try {
+    const { labelId } = req.params;
+    
+    let shippingLabel = await ShippingLabel.findOne({ _id: labelId, organizationId: req.user.organization });
+    if (!shippingLabel) {
+      return res.status(404).json({ error: 'Shipping label not found' });
+    }
+    
+    let added = 0;
+    if (req.query.refresh === 'true') {
+      ({ label: shippingLabel, added } = await refreshLabelTracking(shippingLabel));
+    }
+    
+    res.json({
+      success: true,
+      data: {
+        labelId: shippingLabel._id,
+        orderId: shippingLabel.orderId,
+        trackingNumber: shippingLabel.trackingNumber,
+        trackingUrl: shippingLabel.trackingUrl,
+        carrier: shippingLabel.carrier,
+        serviceType: shippingLabel.serviceType,
+        status: shippingLabel.status,
+        trackingStatus: shippingLabel.trackingStatus,
+        estimatedDelivery: shippingLabel.estimatedDelivery,
+        shippedAt: shippingLabel.shippedAt,
+        deliveredAt: shippingLabel.deliveredAt,
+        lastTrackedAt: shippingLabel.lastTrackedAt,
+        events: shippingLabel.trackingEvents,
+      },
+      added,
+    });
+    
+  } catch (error) {
+    console.error('Error getting shipping label tracking:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+};
+
+/**
+ * @swagger
+ * /api/webhooks/carriers/{webhookToken}/tracking:
+ *   post:
+ *     summary: Receive tracking updates pushed by a shipping provider
+ *     description: |
+ *       The URL to register with the provider is shown on each carrier account (webhookToken).
+ *       EasyPost `tracker.updated` events, Shippo `track_updated` webhooks and stub feed
+ *       payloads are accepted; anything else is acknowledged and ignored.
+ *     tags: [Shipping Labels]
+ *     parameters:
+ *       - in: path
+ *         name: webhookToken
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tracking recorded or payload ignored
+ *       404:
+ *         description: Unknown webhook token or tracking number
+ */
+exports.handleCarrierTrackingWebhook = async (req, res) => {
+  try {
+    const result = await handleTrackingWebhook(req.params.webhookToken, req.body);
+    
+    if (result.ignored) {
+      return res.json({ success: true, message: 'Not a tracking update, ignored' });
+    }
+    
+    await logEvent('shipping_label_tracking_received', {
+      labelId: result.label._id,
+      trackingNumber: result.label.trackingNumber,
+      status: result.label.status,
+      trackingStatus: result.label.trackingStatus,
+      added: result.added,
+      organizationId: result.label.organizationId,
+    });
+    
+    res.json({ success: true, message: 'Tracking recorded', added: result.added });
+    
+  } catch (error) {
+    console.error('Error handling carrier tracking webhook:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+};
+
+// Bulk generate shipping labels, buying the cheapest matching rate for each order
 exports.bulkGenerateShippingLabels = async (req, res) => {
   try {
-    const { orderIds, carrier = 'USPS', serviceType = 'Priority' } = req.body;
+    const { orderIds, carrier, serviceType, carrierAccountId } = req.body;
     const { organizationId } = req.params;
     
     if (!orderIds || !Array.isArray(orderIds) || orderIds.length === 0) {
@@ -475,62 +666,24 @@ exports.bulkGenerateShippingLabels = async (req, res) => {
         }
         
         // Check if label already exists
-        const existingLabel = await ShippingLabel.findOne({ orderId });
+        const existingLabel = await findActiveLabel(orderId);
         if (existingLabel) {
           results.push({ orderId, success: false, error: 'Shipping label already exists' });
           continue;
         }
         
-        // Get store information
         const store = await Store.findById(order.storeId);
-        
-        // Generate tracking number
-        const trackingNumber = `TRK${Date.now().toString().slice(-8)}`;
-        
-        // Create shipping label
-        const shippingLabel = new ShippingLabel({
+        const shippingLabel = await purchaseOrderLabel(order, store, { carrier, serviceType, carrierAccountId });
+        results.push({
           orderId,
-          organizationId,
-          storeId: order.storeId,
-          trackingNumber,
-          carrier,
-          serviceType,
-          labelData: {
-            fromAddress: {
-              name: store ? store.name : 'Store',
-              company: store ? store.name : 'Store',
-              address1: "123 Store Street",
-              city: "Store City",
-              state: "CA",
-              postalCode: "90210",
-              country: "United States",
-              phone: "+1 (555) 000-0000",
-            },
-            toAddress: {
-              name: `${order.shipping.first_name || ''} ${order.shipping.last_name || ''}`.trim(),
-              company: order.shipping.company || '',
-              address1: order.shipping.address_1 || '',
-              address2: order.shipping.address_2 || '',
-              city: order.shipping.city || '',
-              state: order.shipping.state || '',
-              postalCode: order.shipping.postcode || '',
-              country: order.shipping.country || '',
-              phone: order.shipping.phone || '',
-            },
-            packageDetails: {
-              weight: 16,
-              dimensions: {
-                length: 12,
-                width: 8,
-                height: 6,
-              },
-            },
-          },
+          success: true,
+          labelId: shippingLabel._id,
+          trackingNumber: shippingLabel.trackingNumber,
+          carrier: shippingLabel.carrier,
+          serviceType: shippingLabel.serviceType,
+          shippingCost: shippingLabel.shippingCost,
         });
         
-        await shippingLabel.save();
-        results.push({ orderId, success: true, labelId: shippingLabel._id, trackingNumber });
-        
       } catch (error) {
         results.push({ orderId, success: false, error: error.message });
       }
@@ -557,6 +710,203 @@ exports.bulkGenerateShippingLabels = async (req, res) => {
   }
 };
 
+/**
+ * @swagger
+ * /api/shipping-labels/{labelId}/void:
+ *   post:
+ *     summary: Void an unused shipping label and request a postage refund
+ *     tags: [Shipping Labels]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: labelId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: ObjectId
+ *     responses:
+ *       200:
+ *         description: Label voided; refundStatus is submitted or refunded
+ *       404:
+ *         description: Shipping label not found
+ *       409:
+ *         description: Label already voided, already shipped, or the carrier refused the refund
+ *       502:
+ *         description: The carrier could not be reached
+ */
+exports.voidShippingLabel = async (req, res) => {
+  try {
+    const { labelId } = req.params;
+    
+    const shippingLabel = await ShippingLabel.findOne({ _id: labelId, organizationId: req.user.organization });
+    if (!shippingLabel) {
+      return res.status(404).json({ error: 'Shipping label not found' });
+    }
+    
+    await voidShippingLabel(shippingLabel);
+    
+    // Create audit log
+    await createAuditLog({
+      action: 'UPDATE',
+      resource: 'ShippingLabel',
+      resourceId: shippingLabel._id,
+      user: req.user.id,
+      organization: shippingLabel.organizationId,
+      details: { status: 'voided', trackingNumber: shippingLabel.trackingNumber, refundStatus: shippingLabel.refundStatus },
+    });
+    
+    res.json({
+      success: true,
+      message: 'Shipping label voided',
+      data: shippingLabel,
+    });
+    
+  } catch (error) {
+    console.error('Error voiding shipping label:', error);
+    res.status(error.statusCode || 500).json({ error: error.message });
+  }
+};
+
+/**
+ * @swagger
+ * /api/shipping-labels/stores/{storeId}/settings:
+ *   get:
+ *     summary: Get a store's ship-from address, measurement units and default parcel
+ *     tags: [Shipping Labels]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: storeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: ObjectId
+ *     responses:
+ *       200:
+ *         description: Store shipping settings
+ *       404:
+ *         description: Store not found
+ *   put:
+ *     summary: Set a store's ship-from address, measurement units and default parcel
+ *     tags: [Shipping Labels]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: storeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: ObjectId
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               shipFromAddress:
+ *                 type: object
+ *                 properties:
+ *                   name:
+ *                     type: string
+ *                   company:
+ *                     type: string
+ *                   address1:
+ *                     type: string
+ *                   address2:
+ *                     type: string
+ *                   city:
+ *                     type: string
+ *                   state:
+ *                     type: string
+ *                   postalCode:
+ *                     type: string
+ *                   country:
+ *                     type: string
+ *                     description: ISO country code
+ *                     example: "US"
+ *                   phone:
+ *                     type: string
+ *                   email:
+ *                     type: string
+ *               weightUnit:
+ *                 type: string
+ *                 enum: [oz, lbs, g, kg]
+ *                 description: Unit of the store's product weights
+ *               dimensionUnit:
+ *                 type: string
+ *                 enum: [in, cm, mm, m]
+ *                 description: Unit of the store's product dimensions
+ *               defaultParcel:
+ *                 type: object
+ *                 description: Weight (oz) and dimensions (in) used when products have none
+ *     responses:
+ *       200:
+ *         description: Settings saved
+ *       400:
+ *         description: Ship-from address is incomplete
+ *       404:
+ *         description: Store not found
+ */
+exports.getStoreShippingSettings = async (req, res) => {
+  try {
+    const store = await Store.findOne({ _id: req.params.storeId, organizationId: req.user.organization });
+    if (!store) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+    
+    res.json({ success: true, data: store.shippingSettings });
+    
+  } catch (error) {
+    console.error('Error getting store shipping settings:', error);
+    res.status(500).json({ error: error.message });
+  }
+};
+
+exports.updateStoreShippingSettings = async (req, res) => {
+  try {
+    const { shipFromAddress, weightUnit, dimensionUnit, defaultParcel } = req.body;
+    
+    const store = await Store.findOne({ _id: req.params.storeId, organizationId: req.user.organization });
+    if (!store) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+    
+    if (shipFromAddress) {
+      store.shippingSettings.shipFromAddress = shipFromAddress;
+      // Fails with a 400 when a required field is missing
+      getShipFromAddress(store);
+    }
+    if (weightUnit) store.shippingSettings.weightUnit = weightUnit;
+    if (dimensionUnit) store.shippingSettings.dimensionUnit = dimensionUnit;
+    if (defaultParcel) store.shippingSettings.defaultParcel = { ...store.shippingSettings.defaultParcel.toObject(), ...defaultParcel };
+    await store.save();
+    
+    // Create audit log
+    await createAuditLog({
+      action: 'UPDATE',
+      resource: 'Store',
+      resourceId: store._id,
+      user: req.user.id,
+      organization: store.organizationId,
+      details: { shippingSettings: Object.keys(req.body) },
+    });
+    
+    res.json({
+      success: true,
+      message: 'Store shipping settings updated',
+      data: store.shippingSettings,
+    });
+    
+  } catch (error) {
+    console.error('Error updating store shipping settings:', error);
+    res.status(error.statusCode || (error.name === 'ValidationError' ? 400 : 500)).json({ error: error.message });
+  }
+};
+
 // Get shipping label by ID
 exports.getShippingLabelById = async (req, res) => {
   try {
@@ -595,10 +945,10 @@ exports.deleteShippingLabel = async (req, res) => {
     // Create audit log
     await createAuditLog({
       action: 'DELETE',
-      entity: 'ShippingLabel',
-      entityId: labelId,
-      userId: req.user.id,
-      organizationId: shippingLabel.organizationId,
+      resource: 'ShippingLabel',
+      resourceId: labelId,
+      user: req.user.id,
+      organization: shippingLabel.organizationId,
       details: { trackingNumber: shippingLabel.trackingNumber },
     });
     
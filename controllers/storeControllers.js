@@ -3,12 +3,18 @@ const Organization = require("../models/organization"); // Import the Organizati
 const User = require("../models/users"); // Import the User model if needed
 const cloudinary = require('cloudinary').v2;
 const { createDefaultWebhooks, validateStoreForWebhooks } = require('../services/webhookAutoCreationService');
-const { Worker } = require('worker_threads');
-const path = require('path');
 const StoreErrorHandler = require('../services/storeErrorHandler');
 const { createAuditLog } = require('../helpers/auditLogHelper');
 const { createAndSendNotification } = require('../services/notificationService');
 
+const { isSupportedPlatform, getSupportedPlatforms } = require('../services/commerceAdapterRegistry');
+const { SYNC_RESOURCES, resetSyncWatermarks } = require('../helper/syncWatermarkHelper');
+const syncQueueService = require('../services/syncQueueService');
+const SyncJob = require('../models/syncJob');
+
+// Platforms whose webhooks can be registered automatically (see webhookAutoCreationService)
+const WEBHOOK_PLATFORMS = ['woocommerce', 'shopify'];
+
 // Store error notifications for user feedback
 const storeErrorNotification = async (storeId, operation, errorMessage, organizationId, userId) => {
   try {
@@ -85,307 +91,70 @@ const storeErrorNotification = async (storeId, operation, errorMessage, organiza
   }
 };
 
-// Synchronize products with WooCommerce API
-exports.syncProducts = async (storeId, organizationId, userId) => {
-  return new Promise(async (resolve, reject) => {
-    try {
-      console.log(`🔄 Starting product sync for store: ${storeId}`);
-
-      const store = await Store.findById(storeId);
-      if (!store) {
-        console.error('❌ Store not found for product sync');
-        reject(new Error('Store not found for product sync'));
-        return;
-      }
-
-      const organization = await Organization.findById(organizationId);
-      if (!organization) {
-        console.error('❌ Organization not found for product sync');
-        reject(new Error('Organization not found for product sync'));
-        return;
-      }
-
-      // Extract only serializable properties from the store document
-      const storeData = {
-        _id: store._id,
-        name: store.name,
-        url: store.url,
-        apiKey: store.apiKey,
-        secretKey: store.secretKey,
-        platformType: store.platformType,
-        isActive: store.isActive
-      };
-
-      const worker = new Worker(path.resolve(__dirname, '../helper/syncProductWorker.js'), {
-        workerData: { storeId, store: storeData, organizationId, userId },
-      });
-
-      console.log('Worker Path:', path.resolve(__dirname, '../helper/syncProductWorker.js'));
-
-      worker.on('message', (message) => {
-        if (message.status === 'success') {
-          console.log(`✅ Product sync completed: ${message.message}`);
-          // Notify success for product sync
-          createAndSendNotification({
-            userId,
-            organization: organizationId,
-            type: 'system',
-            subject: `WooCommerce Product Sync Succeeded - ${store.name}`,
-            body: `Product sync completed successfully for ${store.name} at ${new Date().toISOString()}.`
-          }).catch(() => {});
-          resolve(message);
-        } else if (message.status === 'error') {
-          console.error(`❌ Product sync error: ${message.message}`);
-          console.error(`📋 Error Type: ${message.errorType}`);
-          console.error(`💡 Suggestions: ${message.suggestions?.join(', ')}`);
-          
-          // Store error information in the database for user notification
-          storeErrorNotification(storeId, 'product_sync', message, organizationId, userId);
-          // Notify failure for product sync
-          createAndSendNotification({
-            userId,
-            organization: organizationId,
-            type: 'system',
-            subject: `WooCommerce Product Sync Failed - ${store.name}`,
-            body: `Product sync failed for ${store.name}. Error: ${message.message}. Type: ${message.errorType}`
-          }).catch(() => {});
-          reject(new Error(message.message));
-        }
-      });
-
-      worker.on('error', (error) => {
-        console.error(`❌ Product sync worker error: ${error.message}`);
-        reject(error);
-      });
-
-      worker.on('exit', (code) => {
-        if (code !== 0) {
-          console.error(`❌ Product sync worker stopped with exit code ${code}`);
-          reject(new Error(`Worker exited with code ${code}`));
-        } else {
-          console.log('✅ Product sync worker completed successfully');
-          resolve({ status: 'completed' });
-        }
-      });
-
-    } catch (error) {
-      console.error('❌ Error in syncProducts:', error.message);
-      reject(error);
-    }
-  });
-};
-
-exports.syncCustomers = async (storeId, organizationId, userId) => {
-  return new Promise(async (resolve, reject) => {
-    try {
-      console.log(`🔄 Starting customer sync for store: ${storeId}`);
-
-      const store = await Store.findById(storeId);
-      if (!store) {
-        console.error('❌ Store not found for customer sync');
-        reject(new Error('Store not found for customer sync'));
-        return;
-      }
-
-      const organization = await Organization.findById(organizationId);
-      if (!organization) {
-        console.error('❌ Organization not found for customer sync');
-        reject(new Error('Organization not found for customer sync'));
-        return;
-      }
-
-      // Extract only serializable properties from the store document
-      const storeData = {
-        _id: store._id,
-        name: store.name,
-        url: store.url,
-        apiKey: store.apiKey,
-        secretKey: store.secretKey,
-        platformType: store.platformType,
-        isActive: store.isActive
-      };
+// Queue a sync for one resource and wait for the job to finish, notifying the user either way.
+// The job itself (retries, progress, dead letters) lives in syncQueueService.
+const runQueuedSync = async (resource, storeId, organizationId, userId, { fullResync = false } = {}) => {
+  const label = { products: 'Product', customers: 'Customer', orders: 'Order' }[resource];
+  console.log(`🔄 Starting ${label.toLowerCase()} sync for store: ${storeId}`);
 
-      const worker = new Worker(path.resolve(__dirname, '../helper/syncCustomerWorker.js'), {
-        workerData: { storeId, store: storeData, organizationId, userId },
-      });
-
-      worker.on('message', (message) => {
-        if (message.status === 'success') {
-          console.log(`✅ Customer sync completed: ${message.message}`);
-          // Notify success for customer sync
-          createAndSendNotification({
-            userId,
-            organization: organizationId,
-            type: 'system',
-            subject: `WooCommerce Customer Sync Succeeded - ${store.name}`,
-            body: `Customer sync completed successfully for ${store.name} at ${new Date().toISOString()}.`
-          }).catch(() => {});
-          resolve(message);
-        } else if (message.status === 'error') {
-          console.error(`❌ Customer sync error: ${message.message}`);
-          console.error(`📋 Error Type: ${message.errorType}`);
-          console.error(`💡 Suggestions: ${message.suggestions?.join(', ')}`);
-          
-          // Store error information in the database for user notification
-          storeErrorNotification(storeId, 'customer_sync', message, organizationId, userId);
-          // Notify failure for customer sync
-          createAndSendNotification({
-            userId,
-            organization: organizationId,
-            type: 'system',
-            subject: `WooCommerce Customer Sync Failed - ${store.name}`,
-            body: `Customer sync failed for ${store.name}. Error: ${message.message}. Type: ${message.errorType}`
-          }).catch(() => {});
-          reject(new Error(message.message));
-        }
-      });
+  const store = await Store.findById(storeId);
+  if (!store) {
+    console.error(`❌ Store not found for ${label.toLowerCase()} sync`);
+    throw new Error(`Store not found for ${label.toLowerCase()} sync`);
+  }
 
-      worker.on('error', (error) => {
-        console.error(`❌ Customer sync worker error: ${error.message}`);
-        console.error(`❌ Customer sync worker stack: ${error.stack}`);
-        
-        // Store error notification for user feedback
-        storeErrorNotification(storeId, 'customer_sync_worker_error', {
-          message: error.message,
-          errorType: 'worker_thread_error',
-          suggestions: ['Check worker thread implementation', 'Verify database connections'],
-          technicalDetails: error.stack,
-          severity: 'error'
-        }, organizationId, userId);
-        reject(error);
-      });
+  const organization = await Organization.findById(organizationId);
+  if (!organization) {
+    console.error(`❌ Organization not found for ${label.toLowerCase()} sync`);
+    throw new Error(`Organization not found for ${label.toLowerCase()} sync`);
+  }
 
-      worker.on('exit', (code) => {
-        if (code !== 0) {
-          console.error(`❌ Customer sync worker stopped with exit code ${code}`);
-          
-          // Store error notification for user feedback
-          storeErrorNotification(storeId, 'customer_sync_worker_exit', {
-            message: `Worker exited with code ${code}`,
-            errorType: 'worker_thread_exit',
-            suggestions: ['Check worker thread logs', 'Verify API credentials'],
-            technicalDetails: `Exit code: ${code}`,
-            severity: 'error'
-          }, organizationId, userId);
-          reject(new Error(`Worker exited with code ${code}`));
-        } else {
-          console.log('✅ Customer sync worker completed successfully');
-          resolve({ status: 'completed' });
-        }
-      });
+  const { syncJob } = await syncQueueService.enqueue({ store, resource, organizationId, userId, fullResync });
+  console.log(`📥 ${label} sync queued as job ${syncJob._id}`);
 
-    } catch (error) {
-      console.error('❌ Error in syncCustomers:', error.message);
-      reject(error);
-    }
-  });
+  try {
+    const summary = await syncQueueService.waitForCompletion(syncJob);
+    console.log(`✅ ${label} sync completed:`, summary);
+    // Notify success for the sync
+    createAndSendNotification({
+      userId,
+      organization: organizationId,
+      type: 'system',
+      subject: `WooCommerce ${label} Sync Succeeded - ${store.name}`,
+      body: `${label} sync completed successfully for ${store.name} at ${new Date().toISOString()}.`
+    }).catch(() => {});
+    return { status: 'success', syncJobId: syncJob._id, data: summary };
+  } catch (error) {
+    const failedJob = await SyncJob.findById(syncJob._id).select('errorType suggestions');
+    console.error(`❌ ${label} sync error: ${error.message}`);
+    console.error(`📋 Error Type: ${failedJob?.errorType}`);
+
+    // Store error information in the database for user notification
+    storeErrorNotification(storeId, `${label.toLowerCase()}_sync`, {
+      message: error.message,
+      errorType: failedJob?.errorType,
+      suggestions: failedJob?.suggestions?.length ? failedJob.suggestions : undefined,
+      technicalDetails: `Sync job ${syncJob._id}`,
+      severity: 'error'
+    }, organizationId, userId);
+    // Notify failure for the sync
+    createAndSendNotification({
+      userId,
+      organization: organizationId,
+      type: 'system',
+      subject: `WooCommerce ${label} Sync Failed - ${store.name}`,
+      body: `${label} sync failed for ${store.name}. Error: ${error.message}. Type: ${failedJob?.errorType}`
+    }).catch(() => {});
+    throw error;
+  }
 };
 
-exports.syncOrders = async (storeId, organizationId, userId) => {
-  return new Promise(async (resolve, reject) => {
-    try {
-      console.log(`🔄 Starting order sync for store: ${storeId}`);
-
-      const store = await Store.findById(storeId);
-      if (!store) {
-        console.error('❌ Store not found for order sync');
-        reject(new Error('Store not found for order sync'));
-        return;
-      }
-
-      const organization = await Organization.findById(organizationId);
-      if (!organization) {
-        console.error('❌ Organization not found for order sync');
-        reject(new Error('Organization not found for order sync'));
-        return;
-      }
-
-      // Extract only serializable properties from the store document
-      const storeData = {
-        _id: store._id,
-        name: store.name,
-        url: store.url,
-        apiKey: store.apiKey,
-        secretKey: store.secretKey,
-        platformType: store.platformType,
-        isActive: store.isActive
-      };
-
-      const worker = new Worker(path.resolve(__dirname, '../helper/syncOrderWorker.js'), {
-        workerData: { storeId, store: storeData, organizationId, userId },
-      });
-
-      worker.on('message', (message) => {
-        if (message.status === 'success') {
-          console.log(`✅ Order sync completed: ${message.message}`);
-          // Notify success for order sync
-          createAndSendNotification({
-            userId,
-            organization: organizationId,
-            type: 'system',
-            subject: `WooCommerce Order Sync Succeeded - ${store.name}`,
-            body: `Order sync completed successfully for ${store.name} at ${new Date().toISOString()}.`
-          }).catch(() => {});
-          resolve(message);
-        } else if (message.status === 'error') {
-          console.error(`❌ Order sync error: ${message.message}`);
-          console.error(`📋 Error Type: ${message.errorType}`);
-          console.error(`💡 Suggestions: ${message.suggestions?.join(', ')}`);
-          
-          // Store error information in the database for user notification
-          storeErrorNotification(storeId, 'order_sync', message, organizationId, userId);
-          // Notify failure for order sync
-          createAndSendNotification({
-            userId,
-            organization: organizationId,
-            type: 'system',
-            subject: `WooCommerce Order Sync Failed - ${store.name}`,
-            body: `Order sync failed for ${store.name}. Error: ${message.message}. Type: ${message.errorType}`
-          }).catch(() => {});
-          reject(new Error(message.message));
-        }
-      });
-
-      worker.on('error', (error) => {
-        console.error(`❌ Order sync worker error: ${error.message}`);
-        console.error(`❌ Order sync worker stack: ${error.stack}`);
-        
-        // Store error notification for user feedback
-        storeErrorNotification(storeId, 'order_sync_worker_error', {
-          message: error.message,
-          errorType: 'worker_thread_error',
-          suggestions: ['Check worker thread implementation', 'Verify database connections'],
-          technicalDetails: error.stack,
-          severity: 'error'
-        }, organizationId, userId);
-        reject(error);
-      });
+// Synchronize products with the store platform
+exports.syncProducts = (storeId, organizationId, userId, options) => runQueuedSync('products', storeId, organizationId, userId, options);
 
-      worker.on('exit', (code) => {
-        if (code !== 0) {
-          console.error(`❌ Order sync worker stopped with exit code ${code}`);
-          
-          // Store error notification for user feedback
-          storeErrorNotification(storeId, 'order_sync_worker_exit', {
-            message: `Worker exited with code ${code}`,
-            errorType: 'worker_thread_exit',
-            suggestions: ['Check worker thread logs', 'Verify API credentials'],
-            technicalDetails: `Exit code: ${code}`,
-            severity: 'error'
-          }, organizationId, userId);
-          reject(new Error(`Worker exited with code ${code}`));
-        } else {
-          console.log('✅ Order sync worker completed successfully');
-          resolve({ status: 'completed' });
-        }
-      });
+exports.syncCustomers = (storeId, organizationId, userId, options) => runQueuedSync('customers', storeId, organizationId, userId, options);
 
-    } catch (error) {
-      console.error('❌ Error in syncOrders:', error.message);
-      reject(error);
-    }
-  });
-};
+exports.syncOrders = (storeId, organizationId, userId, options) => runQueuedSync('orders', storeId, organizationId, userId, options);
 
 // Category sync function (different pattern - uses helper function)
 exports.syncCategoriesWithWooCommerce = async (storeId, organizationId, userId) => {
@@ -586,8 +355,8 @@ exports.createStore = async (req, res) => {
     // Initialize webhook creation results
     let webhookResults = null;
     
-    // Create webhooks automatically if requested and store is WooCommerce
-    if (createWebhooks && platformType === 'woocommerce' && url && apiKey && secretKey) {
+    // Create webhooks automatically if requested and store platform is supported
+    if (createWebhooks && WEBHOOK_PLATFORMS.includes(platformType) && url && apiKey && secretKey) {
       try {
         // Validate store for webhook creation
         const validation = validateStoreForWebhooks(savedStore);
@@ -616,8 +385,8 @@ exports.createStore = async (req, res) => {
       }
     }
 
-    // Auto-sync data if store is WooCommerce and has valid credentials
-    if (platformType === 'woocommerce' && url && apiKey && secretKey) {
+    // Auto-sync data if store platform is supported and has valid credentials
+    if (isSupportedPlatform(platformType) && url && apiKey && secretKey) {
       console.log(`🚀 Starting auto-sync for new store: ${savedStore.name}`);
       
       // Trigger syncs asynchronously (don't block the response)
@@ -654,7 +423,7 @@ exports.createStore = async (req, res) => {
       message: 'Store created successfully', 
       store: savedStore,
       webhookCreation: webhookResults,
-      autoSync: platformType === 'woocommerce' && url && apiKey && secretKey ? {
+      autoSync: isSupportedPlatform(platformType) && url && apiKey && secretKey ? {
         initiated: true,
         syncs: ['categories', 'products', 'customers', 'orders'],
         estimatedTime: '2-3 minutes'
@@ -1039,7 +808,7 @@ exports.getStoresByUser = async (req, res) => {
  * @swagger
  * /api/stores/sync/{storeId}:
  *   patch:
- *     summary: Sync store with WooCommerce
+ *     summary: Sync store with its commerce platform
  *     tags: [Stores]
  *     security:
  *       - bearerAuth: []
@@ -1052,6 +821,13 @@ exports.getStoresByUser = async (req, res) => {
  *           format: ObjectId
  *         description: Store ID
  *         example: "507f1f77bcf86cd799439011"
+ *       - in: query
+ *         name: fullResync
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Reset the product, order and customer watermarks and pull every record again
  *     responses:
  *       200:
  *         description: Store synced with WooCommerce successfully
@@ -1116,17 +892,23 @@ exports.syncStoreWithWooCommerce = async (req, res) => {
     }
 
     if (
-      store.platformType !== 'woocommerce' ||
+      !isSupportedPlatform(store.platformType) ||
       !store.url ||
       !store.apiKey ||
       !store.secretKey
     ) {
       return res.status(400).json({
         success: false,
-        message: 'Store is not configured for WooCommerce sync (platform/credentials missing)'
+        message: `Store is not configured for sync (supported platforms: ${getSupportedPlatforms().join(', ')}; credentials required)`
       });
     }
 
+    // Incremental by default; a full resync clears every watermark first
+    const fullResync = req.body?.fullResync === true || req.query.fullResync === 'true';
+    if (fullResync) {
+      await resetSyncWatermarks(storeId);
+    }
+
     // Notify sync started
     createAndSendNotification({
       userId,
@@ -1162,19 +944,19 @@ exports.syncStoreWithWooCommerce = async (req, res) => {
         console.log('✅ Category sync completed');
         
         console.log('🔄 Starting product sync...');
-        await exports.syncProducts(storeId, organizationId, userId);
+        await exports.syncProducts(storeId, organizationId, userId, { fullResync });
         syncStatus.products = 'completed';
         await Store.findByIdAndUpdate(storeId, { syncStatus });
         console.log('✅ Product sync completed');
         
         console.log('🔄 Starting customer sync...');
-        await exports.syncCustomers(storeId, organizationId, userId);
+        await exports.syncCustomers(storeId, organizationId, userId, { fullResync });
         syncStatus.customers = 'completed';
         await Store.findByIdAndUpdate(storeId, { syncStatus });
         console.log('✅ Customer sync completed');
         
         console.log('🔄 Starting order sync...');
-        await exports.syncOrders(storeId, organizationId, userId);
+        await exports.syncOrders(storeId, organizationId, userId, { fullResync });
         syncStatus.orders = 'completed';
         await Store.findByIdAndUpdate(storeId, { syncStatus });
         console.log('✅ Order sync completed');
@@ -1202,6 +984,7 @@ exports.syncStoreWithWooCommerce = async (req, res) => {
     return res.status(200).json({
       success: true,
       message: 'Store sync started (categories, products, customers, orders)',
+      mode: fullResync ? 'full' : 'incremental',
       store: {
         _id: store._id,
         name: store.name,
@@ -1573,6 +1356,33 @@ exports.getStoreErrorNotifications = async (req, res) => {
  *                     orders:
  *                       type: string
  *                       example: "pending"
+ *                 jobs:
+ *                   type: object
+ *                   description: Latest sync job for products, customers and orders (null when never synced)
+ *                   additionalProperties:
+ *                     type: object
+ *                     nullable: true
+ *                     properties:
+ *                       syncJobId:
+ *                         type: string
+ *                       status:
+ *                         type: string
+ *                         enum: [queued, active, retrying, completed, failed, cancelled]
+ *                       progress:
+ *                         type: number
+ *                         example: 42
+ *                       attemptsMade:
+ *                         type: number
+ *                       maxAttempts:
+ *                         type: number
+ *                       nextRetryAt:
+ *                         type: string
+ *                         format: date-time
+ *                       deadLetterCount:
+ *                         type: number
+ *                       error:
+ *                         type: string
+ *                         nullable: true
  *       404:
  *         description: Store not found
  */
@@ -1580,14 +1390,49 @@ exports.getSyncStatus = async (req, res) => {
   try {
     const { storeId } = req.params;
     
-    const store = await Store.findById(storeId).select('syncStatus lastSyncDate name');
+    const store = await Store.findById(storeId).select('syncStatus lastSyncDate name syncWatermarks');
     if (!store) {
       return res.status(404).json({ success: false, message: "Store not found" });
     }
+
+    // Latest job per resource - categories are not queued and keep the stored status
+    const syncStatus = { categories: store.syncStatus?.categories || 'not_started' };
+    const jobs = {};
+    for (const resource of SYNC_RESOURCES) {
+      const job = await SyncJob.findOne({ storeId, resource })
+        .sort({ createdAt: -1 })
+        .select('-deadLetters');
+
+      if (!job) {
+        syncStatus[resource] = store.syncStatus?.[resource] || 'not_started';
+        jobs[resource] = null;
+        continue;
+      }
+
+      syncStatus[resource] = SyncJob.OPEN_STATUSES.includes(job.status)
+        ? 'pending'
+        : job.status === 'completed' ? 'completed' : 'failed';
+      jobs[resource] = {
+        syncJobId: job._id,
+        status: job.status,
+        progress: job.progress,
+        attemptsMade: job.attemptsMade,
+        maxAttempts: job.maxAttempts,
+        nextRetryAt: job.nextRetryAt,
+        summary: job.summary,
+        deadLetterCount: job.summary?.failed || 0,
+        error: job.errorMessage || null,
+        errorType: job.errorType || null,
+        startedAt: job.startedAt,
+        finishedAt: job.finishedAt,
+        watermark: store.syncWatermarks?.[resource] || null
+      };
+    }
     
     res.status(200).json({
       success: true,
-      syncStatus: store.syncStatus,
+      syncStatus,
+      jobs,
       lastSyncDate: store.lastSyncDate,
       storeName: store.name
     });
@@ -40,6 +40,11 @@
  *   put:
  *     tags: [Subscriptions]
  *     summary: Update subscription
+ *     description: >
+ *       Switching plan or billing interval credits the unused part of the current period and
+ *       charges the new plan for the rest of it (or for a full new period when the interval
+ *       changes). The difference goes to the account balance; an amount owed is charged to the
+ *       saved card straight away, or added to the next renewal.
  *     parameters:
  *       - in: path
  *         name: id
@@ -51,8 +56,13 @@
  *         application/json:
  *           schema:
  *             type: object
+ *             properties:
+ *               plan: { type: string }
+ *               billingInterval: { type: string, enum: [monthly, quarterly, yearly] }
+ *               prorate: { type: boolean, default: true }
+ *               autoRenew: { type: boolean }
  *     responses:
- *       200: { description: Updated }
+ *       200: { description: Updated, with the proration and any payment charged for it }
  *       404: { description: Not found }
  *       400: { description: Validation error }
  *   delete:
@@ -103,6 +113,41 @@
  *       404: { description: Not found }
  *       400: { description: Validation error }
  *
+ * /api/subscriptions/{id}/proration:
+ *   get:
+ *     tags: [Subscriptions]
+ *     summary: Preview the credit and charge of switching plan or billing interval
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *       - in: query
+ *         name: plan
+ *         schema: { type: string }
+ *       - in: query
+ *         name: billingInterval
+ *         schema: { type: string, enum: [monthly, quarterly, yearly] }
+ *     responses:
+ *       200: { description: "credit, charge, net, unusedFraction, new period and balanceAfter" }
+ *       400: { description: Nothing to switch or plans in different currencies }
+ *       404: { description: Subscription or plan not found }
+ *
+ * /api/subscriptions/{id}/retry-renewal:
+ *   post:
+ *     tags: [Subscriptions]
+ *     summary: Charge a past-due renewal now
+ *     description: Renewals are charged automatically on the renewal date and failed charges are retried until the grace period ends; this retries immediately.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema: { type: string }
+ *     responses:
+ *       200: { description: "Attempt made; status is renewed, pending, past_due or expired" }
+ *       404: { description: Not found }
+ *       409: { description: Not past due, or already being charged }
+ *
  * /api/subscriptions/{id}/cancel:
  *   post:
  *     tags: [Subscriptions]
@@ -121,6 +166,8 @@ const Subscription = require('../models/subscriptions');
 const Payment = require('../models/payment');
 const SubscriptionPlan = require('../models/subscriptionPlans');
 const logEvent = require('../helper/logEvent');
+const { changeSubscriptionPlan, previewPlanChange, renewSubscription } = require('../helper/subscriptionBillingHelper');
+const { applyCouponToCheckout, redeemCoupon, buildSubscriptionDiscount } = require('../helper/couponHelper');
 
 // Create a new subscription
 exports.createSubscription = async (req, res) => {
@@ -180,7 +227,10 @@ exports.getSubscriptionById = async (req, res) => {
   }
 };
 
-// Update a subscription
+// Fields kept by renewal billing, never set directly
+const BILLING_MANAGED_FIELDS = ['accountBalance', 'paymentAuthorization', 'renewalAttempts', 'nextRenewalAttemptAt', 'lastRenewalAttemptAt', 'lastRenewalError', 'gracePeriodEndsAt', 'discount'];
+
+// Update a subscription; switching plan or billing interval is prorated unless prorate is false
 exports.updateSubscription = async (req, res) => {
   try {
     const userId = req.user?._id;
@@ -193,11 +243,28 @@ exports.updateSubscription = async (req, res) => {
       });
     }
 
-    const subscription = await Subscription.findByIdAndUpdate(req.params.id, req.body, { new: true });
+    let subscription = await Subscription.findById(req.params.id);
     if (!subscription) return res.status(404).json({ 
       success: false, 
       error: 'Subscription not found' 
     });
+
+    const { plan, billingInterval, prorate, ...changes } = req.body;
+    BILLING_MANAGED_FIELDS.forEach(field => delete changes[field]);
+
+    let proration = null;
+    let prorationPayment = null;
+    const planChanged = plan && String(plan) !== String(subscription.plan);
+    const intervalChanged = billingInterval && billingInterval !== subscription.billingInterval;
+    if (planChanged || intervalChanged) {
+      const result = await changeSubscriptionPlan(subscription, { planId: plan, billingInterval, prorate: prorate !== false }, userId);
+      proration = result.proration;
+      prorationPayment = result.payment;
+    }
+
+    if (Object.keys(changes).length > 0) {
+      subscription = await Subscription.findByIdAndUpdate(req.params.id, changes, { new: true });
+    }
     
     await logEvent({
       action: 'update_subscription',
@@ -211,17 +278,65 @@ exports.updateSubscription = async (req, res) => {
     res.json({
       success: true,
       message: 'Subscription updated successfully',
-      subscription
+      subscription,
+      proration,
+      prorationPayment
     });
   } catch (err) {
     console.error('Error updating subscription:', err);
-    res.status(400).json({ 
+    res.status(err.statusCode || 400).json({ 
       success: false, 
       error: err.message 
     });
   }
 };
 
+// Preview what switching plan or billing interval would credit or charge
+exports.previewProration = async (req, res) => {
+  try {
+    const subscription = await Subscription.findById(req.params.id);
+    if (!subscription) return res.status(404).json({ success: false, error: 'Subscription not found' });
+
+    const { plan, billingInterval } = req.query;
+    if (!plan && !billingInterval) {
+      return res.status(400).json({ success: false, error: 'plan or billingInterval is required' });
+    }
+
+    const proration = await previewPlanChange(subscription, { planId: plan, billingInterval });
+    res.json({ success: true, proration });
+  } catch (err) {
+    console.error('Error previewing proration:', err);
+    res.status(err.statusCode || 400).json({ success: false, error: err.message });
+  }
+};
+
+// Charge a past-due renewal now instead of waiting for the next retry, e.g. after a new card was saved
+exports.retryRenewal = async (req, res) => {
+  try {
+    const subscription = await Subscription.findById(req.params.id);
+    if (!subscription) return res.status(404).json({ success: false, error: 'Subscription not found' });
+    if (subscription.status !== 'past_due') {
+      return res.status(409).json({ success: false, error: 'Only past-due subscriptions can be retried' });
+    }
+
+    const result = await renewSubscription(subscription, { force: true });
+    if (!result) {
+      return res.status(409).json({ success: false, error: 'The renewal is already being charged' });
+    }
+
+    res.json({
+      success: result.status === 'renewed',
+      message: result.status === 'renewed' ? 'Subscription renewed successfully' : `Renewal not completed: ${result.status}`,
+      status: result.status,
+      payment: result.payment,
+      subscription: await Subscription.findById(subscription._id)
+    });
+  } catch (err) {
+    console.error('Error retrying subscription renewal:', err);
+    res.status(err.statusCode || 500).json({ success: false, error: err.message });
+  }
+};
+
 // Delete a subscription
 exports.deleteSubscription = async (req, res) => {
   try {
@@ -366,9 +481,15 @@ exports.cancelSubscription = async (req, res) => {
  *                 enum: [flutterwave, paystack, squad, bank]
  *                 description: Selected payment method
  *                 example: "flutterwave"
+ *               couponCode:
+ *                 type: string
+ *                 description: >
+ *                   Promotional code. The payment amount is reduced by the discount; repeating and
+ *                   forever codes also apply to renewals. A checkout discounted to 0 is activated at once.
+ *                 example: "LAUNCH20"
  *     responses:
  *       201:
- *         description: Subscription and payment created successfully
+ *         description: Subscription and payment created successfully. payment.amount is the amount to charge
  *         content:
  *           application/json:
  *             schema:
@@ -397,6 +518,10 @@ exports.cancelSubscription = async (req, res) => {
  *                   message:
  *                     type: string
  *                     example: "Validation error"
+ *       404:
+ *         description: Plan or coupon not found
+ *       409:
+ *         description: The coupon was fully redeemed during a checkout with nothing left to pay
  *       500:
  *         description: Server error
  */
@@ -404,7 +529,7 @@ exports.createSubscriptionWithPayment = async (req, res) => {
   try {
     const userId = req.user?._id;
     const organizationId = req.user?.organization;
-    const { planId, billingCycle, amount, currency, paymentMethod } = req.body;
+    const { planId, billingCycle, amount, currency, paymentMethod, couponCode } = req.body;
 
     if (!userId) {
       return res.status(401).json({ 
@@ -442,6 +567,23 @@ exports.createSubscriptionWithPayment = async (req, res) => {
       });
     }
 
+    // Apply the coupon, if any, to the amount being charged
+    let checkout = { amount, discountAmount: 0 };
+    if (couponCode) {
+      try {
+        checkout = await applyCouponToCheckout(couponCode, { planId, currency, userId, amount });
+        // A checkout with nothing to pay is confirmed now; others redeem the coupon once paid
+        if (checkout.amount === 0) await redeemCoupon(checkout.coupon);
+      } catch (couponError) {
+        return res.status(couponError.statusCode || 400).json({
+          success: false,
+          message: couponError.message
+        });
+      }
+    }
+    // Nothing to pay after the discount: no gateway checkout is needed
+    const fullyDiscounted = Boolean(checkout.coupon) && checkout.amount === 0;
+
     // Calculate subscription dates
     const startDate = new Date();
     const endDate = new Date();
@@ -462,9 +604,10 @@ exports.createSubscriptionWithPayment = async (req, res) => {
       currency: currency,
       startDate: startDate,
       endDate: endDate,
-      status: 'pending', // Will be updated to 'active' when payment is successful
-      isActive: false,
-      paymentMethod: paymentMethod || 'unknown'
+      status: fullyDiscounted ? 'active' : 'pending', // Will be updated to 'active' when payment is successful
+      isActive: fullyDiscounted,
+      paymentMethod: paymentMethod || 'unknown',
+      discount: checkout.coupon ? buildSubscriptionDiscount(checkout.coupon, startDate) : undefined
     });
 
     await subscription.save();
@@ -478,10 +621,14 @@ exports.createSubscriptionWithPayment = async (req, res) => {
       subscription: subscription._id,
       plan: planId,
       gateway: paymentMethod || 'unknown',
-      amount: amount,
+      amount: checkout.amount,
       currency: currency,
-      status: 'pending',
-      reference: paymentReference
+      status: fullyDiscounted ? 'success' : 'pending',
+      reference: paymentReference,
+      coupon: checkout.coupon?._id,
+      couponCode: checkout.coupon?.code,
+      discountAmount: checkout.discountAmount,
+      verifiedAt: fullyDiscounted ? new Date() : undefined
     });
 
     await payment.save();
@@ -499,10 +646,12 @@ exports.createSubscriptionWithPayment = async (req, res) => {
       details: { 
         planId: planId,
         billingCycle: billingCycle,
-        amount: amount,
+        amount: payment.amount,
         currency: currency,
         paymentMethod: paymentMethod,
-        paymentId: payment._id
+        paymentId: payment._id,
+        couponCode: payment.couponCode,
+        discountAmount: payment.discountAmount
       },
       organization: organizationId
     });
@@ -516,12 +665,16 @@ exports.createSubscriptionWithPayment = async (req, res) => {
         billingInterval: subscription.billingInterval,
         startDate: subscription.startDate,
         endDate: subscription.endDate,
-        plan: plan
+        plan: plan,
+        discount: subscription.discount?.code ? subscription.discount : undefined
       },
       payment: {
         _id: payment._id,
         reference: payment.reference,
         amount: payment.amount,
+        originalAmount: checkout.originalAmount ?? payment.amount,
+        discountAmount: payment.discountAmount,
+        couponCode: payment.couponCode,
         currency: payment.currency,
         status: payment.status,
         gateway: payment.gateway
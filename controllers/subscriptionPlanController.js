@@ -14,6 +14,18 @@
  *         application/json:
  *           schema:
  *             type: object
+ *             properties:
+ *               entitlements:
+ *                 type: object
+ *                 description: Limits enforced in the API; leave a limit out for unlimited
+ *                 properties:
+ *                   stores: { type: integer, example: 3 }
+ *                   users: { type: integer, example: 10 }
+ *                   monthlyEmails: { type: integer, description: Campaign emails per calendar month, example: 5000 }
+ *                   modules:
+ *                     type: array
+ *                     description: Included modules; leave out to include all
+ *                     items: { type: string, enum: [hr, affiliates] }
  *     responses:
  *       201: { description: Created }
  *       400: { description: Validation error }
@@ -51,6 +63,18 @@
  *         application/json:
  *           schema:
  *             type: object
+ *             properties:
+ *               entitlements:
+ *                 type: object
+ *                 description: Limits enforced in the API; leave a limit out for unlimited
+ *                 properties:
+ *                   stores: { type: integer, example: 3 }
+ *                   users: { type: integer, example: 10 }
+ *                   monthlyEmails: { type: integer, description: Campaign emails per calendar month, example: 5000 }
+ *                   modules:
+ *                     type: array
+ *                     description: Included modules; leave out to include all
+ *                     items: { type: string, enum: [hr, affiliates] }
  *     responses:
  *       200: { description: Updated }
  *       404: { description: Not found }
@@ -105,7 +129,7 @@ exports.getPlanById = async (req, res) => {
 // Update a plan
 exports.updatePlan = async (req, res) => {
   try {
-    const plan = await SubscriptionPlan.findByIdAndUpdate(req.params.id, req.body, { new: true });
+    const plan = await SubscriptionPlan.findByIdAndUpdate(req.params.id, req.body, { new: true, runValidators: true });
     if (!plan) return res.status(404).json({ error: 'Plan not found' });
     res.json(plan);
   } catch (err) {
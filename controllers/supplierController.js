@@ -0,0 +1,159 @@
+const mongoose = require('mongoose');
+const Supplier = require('../models/supplier');
+const Inventory = require('../models/inventory');
+const PurchaseOrder = require('../models/purchaseOrder');
+const { createAuditLog } = require('../helpers/auditLogHelper');
+
+const SUPPLIER_FIELDS = [
+  'name', 'contactName', 'email', 'phone', 'address', 'currency',
+  'leadTimeDays', 'paymentTerms', 'products', 'notes', 'isActive'
+];
+
+const pickSupplierFields = (body) => SUPPLIER_FIELDS.reduce((data, field) => {
+  if (body[field] !== undefined) data[field] = body[field];
+  return data;
+}, {});
+
+const findOrgSupplier = async (organizationId, supplierId) => {
+  if (!mongoose.Types.ObjectId.isValid(supplierId)) return null;
+  return Supplier.findOne({ _id: supplierId, organizationId });
+};
+
+// Returns an error message when a listed product is not in the organization's inventory
+const validateSupplierProducts = async (organizationId, products) => {
+  if (!Array.isArray(products)) return 'products must be an array';
+  const ids = products.map(entry => entry.productId);
+  if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) return 'Each supplier product needs a valid productId';
+  const found = await Inventory.countDocuments({ _id: { $in: ids }, organizationId });
+  return found === new Set(ids.map(String)).size ? null : 'One or more products were not found';
+};
+
+exports.createSupplier = async (req, res) => {
+  try {
+    const organizationId = req.user.organization;
+    const data = pickSupplierFields(req.body);
+    if (!data.name) {
+      return res.status(400).json({ success: false, message: 'Supplier name is required' });
+    }
+    if (data.products) {
+      const productError = await validateSupplierProducts(organizationId, data.products);
+      if (productError) return res.status(400).json({ success: false, message: productError });
+    }
+
+    const supplier = await Supplier.create({ ...data, organizationId, userId: req.user._id });
+
+    await createAuditLog({
+      action: 'create_supplier',
+      user: req.user._id,
+      resource: 'Supplier',
+      resourceId: supplier._id,
+      details: { name: supplier.name, products: supplier.products.length },
+      organization: organizationId
+    });
+
+    res.status(201).json({ success: true, message: 'Supplier created successfully', data: supplier });
+  } catch (error) {
+    console.error('Error creating supplier:', error);
+    res.status(500).json({ success: false, message: 'Error creating supplier', error: error.message });
+  }
+};
+
+exports.getSuppliers = async (req, res) => {
+  try {
+    const { search, productId, includeInactive } = req.query;
+    const filter = { organizationId: req.user.organization };
+    if (includeInactive !== 'true') filter.isActive = true;
+    if (productId) filter['products.productId'] = productId;
+    if (search) filter.name = { $regex: search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+
+    const suppliers = await Supplier.find(filter).sort({ name: 1 });
+    res.json({ success: true, data: suppliers, count: suppliers.length });
+  } catch (error) {
+    console.error('Error fetching suppliers:', error);
+    res.status(500).json({ success: false, message: 'Error fetching suppliers', error: error.message });
+  }
+};
+
+exports.getSupplierById = async (req, res) => {
+  try {
+    const supplier = await findOrgSupplier(req.user.organization, req.params.supplierId);
+    if (!supplier) {
+      return res.status(404).json({ success: false, message: 'Supplier not found' });
+    }
+
+    await supplier.populate('products.productId', 'name sku stock_quantity average_cost');
+    res.json({ success: true, data: supplier });
+  } catch (error) {
+    console.error('Error fetching supplier:', error);
+    res.status(500).json({ success: false, message: 'Error fetching supplier', error: error.message });
+  }
+};
+
+exports.updateSupplier = async (req, res) => {
+  try {
+    const supplier = await findOrgSupplier(req.user.organization, req.params.supplierId);
+    if (!supplier) {
+      return res.status(404).json({ success: false, message: 'Supplier not found' });
+    }
+
+    const data = pickSupplierFields(req.body);
+    if (data.products) {
+      const productError = await validateSupplierProducts(req.user.organization, data.products);
+      if (productError) return res.status(400).json({ success: false, message: productError });
+    }
+
+    supplier.set(data);
+    await supplier.save();
+
+    await createAuditLog({
+      action: 'update_supplier',
+      user: req.user._id,
+      resource: 'Supplier',
+      resourceId: supplier._id,
+      details: { changes: Object.keys(data) },
+      organization: req.user.organization
+    });
+
+    res.json({ success: true, message: 'Supplier updated successfully', data: supplier });
+  } catch (error) {
+    console.error('Error updating supplier:', error);
+    res.status(500).json({ success: false, message: 'Error updating supplier', error: error.message });
+  }
+};
+
+// Suppliers with purchase orders are deactivated instead, so the orders keep their supplier
+exports.deleteSupplier = async (req, res) => {
+  try {
+    const supplier = await findOrgSupplier(req.user.organization, req.params.supplierId);
+    if (!supplier) {
+      return res.status(404).json({ success: false, message: 'Supplier not found' });
+    }
+
+    const hasOrders = await PurchaseOrder.exists({ supplierId: supplier._id });
+    if (hasOrders) {
+      supplier.isActive = false;
+      await supplier.save();
+    } else {
+      await supplier.deleteOne();
+    }
+
+    await createAuditLog({
+      action: hasOrders ? 'deactivate_supplier' : 'delete_supplier',
+      user: req.user._id,
+      resource: 'Supplier',
+      resourceId: supplier._id,
+      details: { name: supplier.name },
+      organization: req.user.organization
+    });
+
+    res.json({
+      success: true,
+      message: hasOrders
+        ? 'Supplier has purchase orders, so it was deactivated instead of deleted'
+        : 'Supplier deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting supplier:', error);
+    res.status(500).json({ success: false, message: 'Error deleting supplier', error: error.message });
+  }
+};
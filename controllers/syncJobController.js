@@ -0,0 +1,303 @@
+const mongoose = require('mongoose');
+const Store = require('../models/store');
+const SyncJob = require('../models/syncJob');
+const syncQueueService = require('../services/syncQueueService');
+const { SYNC_RESOURCES } = require('../helper/syncWatermarkHelper');
+
+// Find a job that belongs to the store in the route
+const findStoreSyncJob = async (storeId, jobId) => {
+  if (!mongoose.Types.ObjectId.isValid(jobId)) return null;
+  return SyncJob.findOne({ _id: jobId, storeId });
+};
+
+/**
+ * @swagger
+ * /api/stores/{storeId}/sync-jobs:
+ *   get:
+ *     summary: List sync jobs for a store
+ *     tags: [Stores]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: storeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: resource
+ *         schema:
+ *           type: string
+ *           enum: [products, orders, customers]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [queued, active, retrying, completed, failed, cancelled]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *           maximum: 100
+ *     responses:
+ *       200:
+ *         description: Sync jobs, newest first (dead letters omitted)
+ *       400:
+ *         description: Invalid resource or status filter
+ *       404:
+ *         description: Store not found
+ */
+exports.listSyncJobs = async (req, res) => {
+  try {
+    const { storeId } = req.params;
+    const { resource, status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+    const store = await Store.findById(storeId).select('_id');
+    if (!store) {
+      return res.status(404).json({ success: false, message: 'Store not found' });
+    }
+
+    const filter = { storeId };
+    if (resource) {
+      if (!SYNC_RESOURCES.includes(resource)) {
+        return res.status(400).json({ success: false, message: `resource must be one of: ${SYNC_RESOURCES.join(', ')}` });
+      }
+      filter.resource = resource;
+    }
+    if (status) {
+      if (!SyncJob.schema.path('status').enumValues.includes(status)) {
+        return res.status(400).json({ success: false, message: `Unknown sync job status: ${status}` });
+      }
+      filter.status = status;
+    }
+
+    const jobs = await SyncJob.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .select('-deadLetters');
+
+    res.status(200).json({
+      success: true,
+      jobs,
+      count: jobs.length
+    });
+  } catch (error) {
+    console.error('Error listing sync jobs:', error);
+    res.status(500).json({ success: false, message: 'Failed to list sync jobs' });
+  }
+};
+
+/**
+ * @swagger
+ * /api/stores/{storeId}/sync-jobs/dead-letters:
+ *   get:
+ *     summary: Records that failed to import in the latest finished sync of each resource
+ *     tags: [Stores]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: storeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: resource
+ *         schema:
+ *           type: string
+ *           enum: [products, orders, customers]
+ *     responses:
+ *       200:
+ *         description: Dead letters grouped by resource
+ *       404:
+ *         description: Store not found
+ */
+exports.listDeadLetters = async (req, res) => {
+  try {
+    const { storeId } = req.params;
+    const resources = req.query.resource ? [req.query.resource] : SYNC_RESOURCES;
+
+    const store = await Store.findById(storeId).select('_id');
+    if (!store) {
+      return res.status(404).json({ success: false, message: 'Store not found' });
+    }
+
+    const deadLetters = {};
+    for (const resource of resources) {
+      const job = await SyncJob.findOne({ storeId, resource, status: 'completed' })
+        .sort({ createdAt: -1 })
+        .select('deadLetters finishedAt');
+
+      deadLetters[resource] = job
+        ? { syncJobId: job._id, finishedAt: job.finishedAt, items: job.deadLetters }
+        : null;
+    }
+
+    res.status(200).json({ success: true, deadLetters });
+  } catch (error) {
+    console.error('Error listing sync dead letters:', error);
+    res.status(500).json({ success: false, message: 'Failed to list dead letters' });
+  }
+};
+
+/**
+ * @swagger
+ * /api/stores/{storeId}/sync-jobs/{jobId}:
+ *   get:
+ *     summary: Get a sync job with its dead letters and live queue state
+ *     tags: [Stores]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: storeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sync job details
+ *       404:
+ *         description: Sync job not found
+ */
+exports.getSyncJob = async (req, res) => {
+  try {
+    const { storeId, jobId } = req.params;
+
+    const job = await findStoreSyncJob(storeId, jobId);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Sync job not found' });
+    }
+
+    // The queue only keeps recent jobs, and Redis may be unreachable - the record is still useful
+    const queueState = await syncQueueService.getQueueState(job).catch(() => null);
+
+    res.status(200).json({
+      success: true,
+      job,
+      queueState
+    });
+  } catch (error) {
+    console.error('Error getting sync job:', error);
+    res.status(500).json({ success: false, message: 'Failed to get sync job' });
+  }
+};
+
+/**
+ * @swagger
+ * /api/stores/{storeId}/sync-jobs/{jobId}/retry:
+ *   post:
+ *     summary: Queue a new run of a failed, cancelled or completed sync job
+ *     description: The new job starts from the resource watermark, so records that were dead-lettered are fetched again.
+ *     tags: [Stores]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: storeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       202:
+ *         description: Retry queued
+ *       404:
+ *         description: Sync job not found
+ *       409:
+ *         description: The job, or another job for the same resource, is still queued or running
+ */
+exports.retrySyncJob = async (req, res) => {
+  try {
+    const { storeId, jobId } = req.params;
+
+    const job = await findStoreSyncJob(storeId, jobId);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Sync job not found' });
+    }
+    if (SyncJob.OPEN_STATUSES.includes(job.status)) {
+      return res.status(409).json({ success: false, message: `Sync job is still ${job.status}` });
+    }
+
+    const { syncJob, created } = await syncQueueService.retry(job, req.user?._id);
+    if (!created) {
+      return res.status(409).json({
+        success: false,
+        message: `A ${job.resource} sync is already ${syncJob.status} for this store`,
+        job: syncJob
+      });
+    }
+
+    res.status(202).json({
+      success: true,
+      message: 'Sync job queued for retry',
+      job: syncJob
+    });
+  } catch (error) {
+    console.error('Error retrying sync job:', error);
+    res.status(500).json({ success: false, message: 'Failed to retry sync job' });
+  }
+};
+
+/**
+ * @swagger
+ * /api/stores/{storeId}/sync-jobs/{jobId}/cancel:
+ *   post:
+ *     summary: Cancel a queued, retrying or running sync job
+ *     tags: [Stores]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: storeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: jobId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Sync job cancelled
+ *       404:
+ *         description: Sync job not found
+ *       409:
+ *         description: Sync job has already finished
+ */
+exports.cancelSyncJob = async (req, res) => {
+  try {
+    const { storeId, jobId } = req.params;
+
+    const job = await findStoreSyncJob(storeId, jobId);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'Sync job not found' });
+    }
+
+    const cancelled = await syncQueueService.cancel(job, req.user?._id);
+    if (!cancelled) {
+      return res.status(409).json({ success: false, message: `Sync job has already ${job.status === 'cancelled' ? 'been cancelled' : job.status}` });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Sync job cancelled',
+      job: cancelled
+    });
+  } catch (error) {
+    console.error('Error cancelling sync job:', error);
+    res.status(500).json({ success: false, message: 'Failed to cancel sync job' });
+  }
+};
@@ -0,0 +1,228 @@
+const mongoose = require('mongoose');
+const TaxRate = require('../models/taxRate');
+const Organization = require('../models/organization');
+const { normalizeCountry, validateVatNumber, checkReverseCharge, computeInvoiceTaxes } = require('../helper/taxHelper');
+const { roundMoney } = require('../utils/moneyUtils');
+const { createAuditLog } = require('../helpers/auditLogHelper');
+
+const TAX_RATE_FIELDS = ['name', 'country', 'state', 'rate', 'compound', 'priority', 'taxClass', 'appliesToShipping', 'isActive'];
+const TAX_SETTINGS_FIELDS = ['enabled', 'pricesIncludeTax', 'originCountry', 'vatNumber', 'reverseChargeEnabled'];
+
+const pickFields = (body, fields) => fields.reduce((data, field) => {
+  if (body[field] !== undefined) data[field] = body[field];
+  return data;
+}, {});
+
+const findOrgTaxRate = async (organizationId, rateId) => {
+  if (!mongoose.Types.ObjectId.isValid(rateId)) return null;
+  return TaxRate.findOne({ _id: rateId, organizationId });
+};
+
+// Countries may be given by name; an empty state means the rate applies countrywide
+const normalizeTaxRateLocation = (data) => {
+  if (data.country !== undefined) {
+    const country = normalizeCountry(data.country);
+    if (!country) return `Unknown country: ${data.country}`;
+    data.country = country;
+  }
+  if (data.state !== undefined) {
+    data.state = data.state ? String(data.state).trim().toUpperCase() : null;
+  }
+  return null;
+};
+
+const sendError = (res, error, message) => {
+  console.error(`${message}:`, error);
+  const statusCode = error.statusCode || (error.name === 'ValidationError' ? 400 : 500);
+  res.status(statusCode).json({ success: false, message: statusCode === 500 ? message : error.message, error: error.message });
+};
+
+exports.getTaxRates = async (req, res) => {
+  try {
+    const filter = { organizationId: req.user.organization };
+    if (req.query.includeInactive !== 'true') filter.isActive = true;
+    if (req.query.country) filter.country = normalizeCountry(req.query.country);
+    if (req.query.taxClass) filter.taxClass = String(req.query.taxClass).toLowerCase();
+
+    const rates = await TaxRate.find(filter).sort({ country: 1, state: 1, priority: 1, name: 1 });
+    res.json({ success: true, data: rates, count: rates.length });
+  } catch (error) {
+    sendError(res, error, 'Error fetching tax rates');
+  }
+};
+
+exports.createTaxRate = async (req, res) => {
+  try {
+    const organizationId = req.user.organization;
+    const data = pickFields(req.body, TAX_RATE_FIELDS);
+    if (!data.name || !data.country || data.rate === undefined) {
+      return res.status(400).json({ success: false, message: 'name, country and rate are required' });
+    }
+    const locationError = normalizeTaxRateLocation(data);
+    if (locationError) return res.status(400).json({ success: false, message: locationError });
+
+    const taxRate = await TaxRate.create({ ...data, organizationId, userId: req.user._id });
+
+    await createAuditLog({
+      action: 'create_tax_rate',
+      user: req.user._id,
+      resource: 'TaxRate',
+      resourceId: taxRate._id,
+      details: { name: taxRate.name, country: taxRate.country, state: taxRate.state, rate: taxRate.rate },
+      organization: organizationId
+    });
+
+    res.status(201).json({ success: true, message: 'Tax rate created successfully', data: taxRate });
+  } catch (error) {
+    sendError(res, error, 'Error creating tax rate');
+  }
+};
+
+exports.updateTaxRate = async (req, res) => {
+  try {
+    const taxRate = await findOrgTaxRate(req.user.organization, req.params.rateId);
+    if (!taxRate) {
+      return res.status(404).json({ success: false, message: 'Tax rate not found' });
+    }
+
+    const data = pickFields(req.body, TAX_RATE_FIELDS);
+    const locationError = normalizeTaxRateLocation(data);
+    if (locationError) return res.status(400).json({ success: false, message: locationError });
+
+    taxRate.set(data);
+    await taxRate.save();
+
+    await createAuditLog({
+      action: 'update_tax_rate',
+      user: req.user._id,
+      resource: 'TaxRate',
+      resourceId: taxRate._id,
+      details: { changes: Object.keys(data) },
+      organization: req.user.organization
+    });
+
+    res.json({ success: true, message: 'Tax rate updated successfully', data: taxRate });
+  } catch (error) {
+    sendError(res, error, 'Error updating tax rate');
+  }
+};
+
+// Issued invoices keep their own tax breakdown, so rates can be removed at any time
+exports.deleteTaxRate = async (req, res) => {
+  try {
+    const taxRate = await findOrgTaxRate(req.user.organization, req.params.rateId);
+    if (!taxRate) {
+      return res.status(404).json({ success: false, message: 'Tax rate not found' });
+    }
+
+    await taxRate.deleteOne();
+
+    await createAuditLog({
+      action: 'delete_tax_rate',
+      user: req.user._id,
+      resource: 'TaxRate',
+      resourceId: taxRate._id,
+      details: { name: taxRate.name, country: taxRate.country, state: taxRate.state, rate: taxRate.rate },
+      organization: req.user.organization
+    });
+
+    res.json({ success: true, message: 'Tax rate deleted successfully' });
+  } catch (error) {
+    sendError(res, error, 'Error deleting tax rate');
+  }
+};
+
+exports.getTaxSettings = async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.user.organization).select('taxSettings');
+    if (!organization) {
+      return res.status(404).json({ success: false, message: 'Organization not found' });
+    }
+    res.json({ success: true, data: organization.taxSettings });
+  } catch (error) {
+    sendError(res, error, 'Error fetching tax settings');
+  }
+};
+
+exports.updateTaxSettings = async (req, res) => {
+  try {
+    const organization = await Organization.findById(req.user.organization);
+    if (!organization) {
+      return res.status(404).json({ success: false, message: 'Organization not found' });
+    }
+
+    const data = pickFields(req.body, TAX_SETTINGS_FIELDS);
+    if (data.originCountry) {
+      const originCountry = normalizeCountry(data.originCountry);
+      if (!originCountry) {
+        return res.status(400).json({ success: false, message: `Unknown country: ${data.originCountry}` });
+      }
+      data.originCountry = originCountry;
+    }
+    if (data.vatNumber) {
+      const vat = validateVatNumber(data.vatNumber);
+      if (!vat.valid) {
+        return res.status(400).json({ success: false, message: `VAT number ${data.vatNumber} is not in a valid format` });
+      }
+      data.vatNumber = vat.vatNumber;
+    }
+
+    Object.entries(data).forEach(([field, value]) => organization.set(`taxSettings.${field}`, value));
+    await organization.save();
+
+    await createAuditLog({
+      action: 'update_tax_settings',
+      user: req.user._id,
+      resource: 'Organization',
+      resourceId: organization._id,
+      details: { changes: Object.keys(data) },
+      organization: organization._id
+    });
+
+    res.json({ success: true, message: 'Tax settings updated successfully', data: organization.taxSettings });
+  } catch (error) {
+    sendError(res, error, 'Error updating tax settings');
+  }
+};
+
+// Runs the tax engine without creating an invoice, whether or not it is enabled for invoices yet
+exports.calculateTax = async (req, res) => {
+  try {
+    const { items, discountAmount, address, customerVatNumber, pricesIncludeTax } = req.body;
+    if (!Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ success: false, message: 'items are required' });
+    }
+
+    const organization = await Organization.findById(req.user.organization).select('taxSettings');
+    if (!organization) {
+      return res.status(404).json({ success: false, message: 'Organization not found' });
+    }
+
+    const taxes = await computeInvoiceTaxes(organization, { items, discountAmount, address, customerVatNumber, pricesIncludeTax });
+    const itemsTotal = taxes.items.reduce((sum, item) => sum + (Number(item.totalPrice) || 0), 0);
+    const subtotal = taxes.pricesIncludeTax ? roundMoney(itemsTotal - taxes.taxAmount) : itemsTotal;
+    const totalAmount = roundMoney(subtotal + taxes.taxAmount - (Number(discountAmount) || 0));
+
+    res.json({ success: true, data: { ...taxes, subtotal, totalAmount } });
+  } catch (error) {
+    sendError(res, error, 'Error calculating taxes');
+  }
+};
+
+exports.validateVat = async (req, res) => {
+  try {
+    const { vatNumber } = req.body;
+    if (!vatNumber) {
+      return res.status(400).json({ success: false, message: 'vatNumber is required' });
+    }
+
+    const organization = await Organization.findById(req.user.organization).select('taxSettings');
+    const vat = checkReverseCharge(organization?.taxSettings || {}, vatNumber);
+    res.json({
+      success: true,
+      data: { valid: vat.valid, vatNumber: vat.vatNumber, country: vat.country, reverseCharge: vat.reverseCharge }
+    });
+  } catch (error) {
+    sendError(res, error, 'Error validating VAT number');
+  }
+};
@@ -0,0 +1,412 @@
+const mongoose = require('mongoose');
+const Warehouse = require('../models/warehouse');
+const Inventory = require('../models/inventory');
+const Store = require('../models/store');
+const StockLevel = require('../models/stockLevel');
+const StockMovement = require('../models/stockMovement');
+const StockTransfer = require('../models/stockTransfer');
+const { createAuditLog } = require('../helpers/auditLogHelper');
+const {
+  changeLocationStock,
+  transferStock,
+  syncProductLocationStock
+} = require('../helper/warehouseStockHelper');
+
+const WAREHOUSE_FIELDS = ['name', 'code', 'address', 'isActive'];
+
+const pickWarehouseFields = (body) => WAREHOUSE_FIELDS.reduce((data, field) => {
+  if (body[field] !== undefined) data[field] = body[field];
+  return data;
+}, {});
+
+const findOrgWarehouse = async (organizationId, warehouseId) => {
+  if (!mongoose.Types.ObjectId.isValid(warehouseId)) return null;
+  return Warehouse.findOne({ _id: warehouseId, organizationId });
+};
+
+const findOrgProduct = async (organizationId, productId) => {
+  if (!mongoose.Types.ObjectId.isValid(productId)) return null;
+  return Inventory.findOne({ _id: productId, organizationId });
+};
+
+const sendError = (res, error, message) => {
+  const statusCode = error.statusCode || (error.code === 11000 ? 409 : 500);
+  res.status(statusCode).json({
+    success: false,
+    message: statusCode === 500 ? message : error.code === 11000 ? 'A warehouse with this code already exists' : error.message,
+    error: error.message
+  });
+};
+
+exports.createWarehouse = async (req, res) => {
+  try {
+    const organizationId = req.user.organization;
+    const data = pickWarehouseFields(req.body);
+    if (!data.name || !data.code) {
+      return res.status(400).json({ success: false, message: 'Warehouse name and code are required' });
+    }
+
+    const warehouse = await Warehouse.create({ ...data, organizationId, userId: req.user._id });
+
+    await createAuditLog({
+      action: 'create_warehouse',
+      user: req.user._id,
+      resource: 'Warehouse',
+      resourceId: warehouse._id,
+      details: { name: warehouse.name, code: warehouse.code },
+      organization: organizationId
+    });
+
+    res.status(201).json({ success: true, message: 'Warehouse created successfully', data: warehouse });
+  } catch (error) {
+    console.error('Error creating warehouse:', error);
+    sendError(res, error, 'Error creating warehouse');
+  }
+};
+
+exports.getWarehouses = async (req, res) => {
+  try {
+    const filter = { organizationId: req.user.organization };
+    if (req.query.includeInactive !== 'true') filter.isActive = true;
+
+    const warehouses = await Warehouse.find(filter).sort({ name: 1 });
+
+    // Units held per warehouse, for the overview
+    const totals = await StockLevel.aggregate([
+      { $match: { warehouseId: { $in: warehouses.map(warehouse => warehouse._id) } } },
+      { $group: { _id: '$warehouseId', units: { $sum: '$quantity' }, products: { $sum: { $cond: [{ $gt: ['$quantity', 0] }, 1, 0] } } } }
+    ]);
+    const totalsById = new Map(totals.map(total => [String(total._id), total]));
+
+    const data = warehouses.map(warehouse => ({
+      ...warehouse.toObject(),
+      units: totalsById.get(String(warehouse._id))?.units || 0,
+      products: totalsById.get(String(warehouse._id))?.products || 0
+    }));
+
+    res.json({ success: true, data, count: data.length });
+  } catch (error) {
+    console.error('Error fetching warehouses:', error);
+    sendError(res, error, 'Error fetching warehouses');
+  }
+};
+
+exports.updateWarehouse = async (req, res) => {
+  try {
+    const warehouse = await findOrgWarehouse(req.user.organization, req.params.warehouseId);
+    if (!warehouse) {
+      return res.status(404).json({ success: false, message: 'Warehouse not found' });
+    }
+
+    warehouse.set(pickWarehouseFields(req.body));
+    await warehouse.save();
+
+    await createAuditLog({
+      action: 'update_warehouse',
+      user: req.user._id,
+      resource: 'Warehouse',
+      resourceId: warehouse._id,
+      details: { changes: Object.keys(pickWarehouseFields(req.body)) },
+      organization: req.user.organization
+    });
+
+    res.json({ success: true, message: 'Warehouse updated successfully', data: warehouse });
+  } catch (error) {
+    console.error('Error updating warehouse:', error);
+    sendError(res, error, 'Error updating warehouse');
+  }
+};
+
+// Only empty warehouses can be deleted; the ledger keeps its history
+exports.deleteWarehouse = async (req, res) => {
+  try {
+    const warehouse = await findOrgWarehouse(req.user.organization, req.params.warehouseId);
+    if (!warehouse) {
+      return res.status(404).json({ success: false, message: 'Warehouse not found' });
+    }
+
+    const stocked = await StockLevel.countDocuments({ warehouseId: warehouse._id, quantity: { $gt: 0 } });
+    if (stocked > 0) {
+      return res.status(409).json({
+        success: false,
+        message: `Warehouse still holds stock for ${stocked} product(s). Transfer it out first.`
+      });
+    }
+
+    await StockLevel.deleteMany({ warehouseId: warehouse._id });
+    await Store.updateMany({ stockLocations: warehouse._id }, { $pull: { stockLocations: warehouse._id } });
+    await warehouse.deleteOne();
+
+    await createAuditLog({
+      action: 'delete_warehouse',
+      user: req.user._id,
+      resource: 'Warehouse',
+      resourceId: warehouse._id,
+      details: { name: warehouse.name, code: warehouse.code },
+      organization: req.user.organization
+    });
+
+    res.json({ success: true, message: 'Warehouse deleted successfully' });
+  } catch (error) {
+    console.error('Error deleting warehouse:', error);
+    sendError(res, error, 'Error deleting warehouse');
+  }
+};
+
+// Per-warehouse quantities of one product
+exports.getProductStockLevels = async (req, res) => {
+  try {
+    const product = await findOrgProduct(req.user.organization, req.params.productId);
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+
+    const levels = await StockLevel.find({ productId: product._id })
+      .populate('warehouseId', 'name code isActive')
+      .sort({ quantity: -1 });
+    const store = await Store.findById(product.storeId).select('name stockLocations');
+
+    res.json({
+      success: true,
+      data: {
+        productId: product._id,
+        name: product.name,
+        sku: product.sku,
+        stock_quantity: product.stock_quantity,
+        storeLocations: store?.stockLocations || [],
+        levels
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching product stock levels:', error);
+    sendError(res, error, 'Error fetching product stock levels');
+  }
+};
+
+// Change a product's stock at one warehouse, by a delta or to a counted quantity
+exports.adjustProductStock = async (req, res) => {
+  try {
+    const { warehouseId, delta, quantity, bin, note, syncToWooCommerce = false } = req.body;
+
+    const product = await findOrgProduct(req.user.organization, req.params.productId);
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+    const warehouse = await findOrgWarehouse(req.user.organization, warehouseId);
+    if (!warehouse) {
+      return res.status(404).json({ success: false, message: 'Warehouse not found' });
+    }
+    if ((delta === undefined) === (quantity === undefined)) {
+      return res.status(400).json({ success: false, message: 'Provide either delta or quantity' });
+    }
+
+    let change = Number(delta);
+    if (quantity !== undefined) {
+      const current = await StockLevel.findOne({ productId: product._id, warehouseId: warehouse._id });
+      change = Number(quantity) - (current?.quantity || 0);
+    }
+
+    let level;
+    if (change === 0) {
+      level = await StockLevel.findOneAndUpdate(
+        { productId: product._id, warehouseId: warehouse._id },
+        { ...(bin !== undefined && { $set: { bin } }), $setOnInsert: { organizationId: product.organizationId } },
+        { new: true, upsert: true }
+      );
+    } else {
+      ({ level } = await changeLocationStock({
+        product, warehouseId: warehouse._id, delta: change, type: 'adjustment', userId: req.user._id, note, bin
+      }));
+    }
+
+    const sync = await syncProductLocationStock(product, {
+      syncToWooCommerce,
+      ledger: { source: 'manual', userId: req.user._id, reference: warehouse.code, note }
+    });
+
+    await createAuditLog({
+      action: 'adjust_location_stock',
+      user: req.user._id,
+      resource: 'Inventory',
+      resourceId: product._id,
+      details: { warehouse: warehouse.code, delta: change, balance: level.quantity, note, storeQuantity: sync?.quantity },
+      organization: req.user.organization
+    });
+
+    res.json({
+      success: true,
+      message: 'Stock adjusted successfully',
+      data: level,
+      stock_quantity: sync ? sync.quantity : product.stock_quantity,
+      wooCommerceSync: sync?.wooCommerceSync || null
+    });
+  } catch (error) {
+    console.error('Error adjusting location stock:', error);
+    sendError(res, error, 'Error adjusting location stock');
+  }
+};
+
+exports.createStockTransfer = async (req, res) => {
+  try {
+    const { productId, fromWarehouseId, toWarehouseId, quantity, note, syncToWooCommerce = false } = req.body;
+    const organizationId = req.user.organization;
+
+    const product = await findOrgProduct(organizationId, productId);
+    if (!product) {
+      return res.status(404).json({ success: false, message: 'Product not found' });
+    }
+    const [from, to] = await Promise.all([
+      findOrgWarehouse(organizationId, fromWarehouseId),
+      findOrgWarehouse(organizationId, toWarehouseId)
+    ]);
+    if (!from || !to) {
+      return res.status(404).json({ success: false, message: 'Warehouse not found' });
+    }
+    if (!to.isActive) {
+      return res.status(400).json({ success: false, message: 'Cannot transfer stock into an inactive warehouse' });
+    }
+
+    const transfer = await transferStock({
+      product, fromWarehouseId: from._id, toWarehouseId: to._id, quantity: Number(quantity), userId: req.user._id, note
+    });
+
+    // The store total only changes when one side is outside the store's locations
+    const sync = await syncProductLocationStock(product, {
+      syncToWooCommerce,
+      ledger: { source: 'transfer', userId: req.user._id, reference: `${from.code} → ${to.code}`, note }
+    });
+
+    await createAuditLog({
+      action: 'transfer_stock',
+      user: req.user._id,
+      resource: 'StockTransfer',
+      resourceId: transfer._id,
+      details: { productId: product._id, sku: product.sku, from: from.code, to: to.code, quantity: transfer.quantity, status: transfer.status },
+      organization: organizationId,
+      severity: transfer.status === 'failed' ? 'warning' : 'info'
+    });
+
+    res.status(transfer.status === 'failed' ? 500 : 201).json({
+      success: transfer.status !== 'failed',
+      message: transfer.status === 'failed' ? 'Transfer failed and was reversed' : 'Stock transferred successfully',
+      data: transfer,
+      stock_quantity: sync ? sync.quantity : product.stock_quantity,
+      wooCommerceSync: sync?.wooCommerceSync || null
+    });
+  } catch (error) {
+    console.error('Error transferring stock:', error);
+    sendError(res, error, 'Error transferring stock');
+  }
+};
+
+exports.getStockTransfers = async (req, res) => {
+  try {
+    const { productId, warehouseId } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const filter = { organizationId: req.user.organization };
+    if (productId) filter.productId = productId;
+    if (warehouseId) filter.$or = [{ fromWarehouseId: warehouseId }, { toWarehouseId: warehouseId }];
+
+    const transfers = await StockTransfer.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .populate('productId', 'name sku')
+      .populate('fromWarehouseId', 'name code')
+      .populate('toWarehouseId', 'name code');
+
+    res.json({ success: true, data: transfers, count: transfers.length });
+  } catch (error) {
+    console.error('Error fetching stock transfers:', error);
+    sendError(res, error, 'Error fetching stock transfers');
+  }
+};
+
+// Ledger of location stock movements, newest first
+exports.getStockMovements = async (req, res) => {
+  try {
+    const { productId, warehouseId, type } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
+    const filter = { organizationId: req.user.organization };
+    if (productId) filter.productId = productId;
+    if (warehouseId) filter.warehouseId = warehouseId;
+    if (type) filter.type = type;
+
+    const movements = await StockMovement.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .populate('warehouseId', 'name code')
+      .populate('userId', 'firstName lastName email');
+
+    res.json({ success: true, data: movements, count: movements.length });
+  } catch (error) {
+    console.error('Error fetching stock movements:', error);
+    sendError(res, error, 'Error fetching stock movements');
+  }
+};
+
+// Choose which warehouses feed a store's synced quantity, then recalculate its products
+exports.setStoreStockLocations = async (req, res) => {
+  try {
+    const { storeId } = req.params;
+    const { warehouseIds = [], syncToWooCommerce = false } = req.body;
+    const organizationId = req.user.organization;
+
+    const store = await Store.findOne({ _id: storeId, organizationId });
+    if (!store) {
+      return res.status(404).json({ success: false, message: 'Store not found' });
+    }
+
+    const warehouses = await Warehouse.find({ _id: { $in: warehouseIds }, organizationId });
+    if (warehouses.length !== new Set(warehouseIds.map(String)).size) {
+      return res.status(400).json({ success: false, message: 'One or more warehouses were not found' });
+    }
+
+    store.stockLocations = warehouses.map(warehouse => warehouse._id);
+    await store.save();
+
+    const result = { products: 0, openingBalances: 0, synced: 0, failed: 0 };
+    if (store.stockLocations.length > 0) {
+      const products = await Inventory.find({ storeId: store._id });
+      for (const product of products) {
+        // Products not stocked anywhere yet start with their current quantity at the first location
+        const quantity = parseInt(product.stock_quantity, 10) || 0;
+        if (quantity > 0 && !(await StockLevel.exists({ productId: product._id }))) {
+          await changeLocationStock({
+            product, warehouseId: store.stockLocations[0], delta: quantity, type: 'adjustment',
+            userId: req.user._id, note: 'Opening balance from store quantity'
+          });
+          result.openingBalances++;
+        }
+
+        const sync = await syncProductLocationStock(product, {
+          syncToWooCommerce,
+          store,
+          ledger: { source: 'manual', userId: req.user._id, note: 'Store quantity now comes from warehouse stock' }
+        });
+        result.products++;
+        if (sync?.wooCommerceSync) result[sync.wooCommerceSync.synced ? 'synced' : 'failed']++;
+      }
+    }
+
+    await createAuditLog({
+      action: 'set_store_stock_locations',
+      user: req.user._id,
+      resource: 'Store',
+      resourceId: store._id,
+      details: { warehouses: warehouses.map(warehouse => warehouse.code), ...result },
+      organization: organizationId
+    });
+
+    res.json({
+      success: true,
+      message: store.stockLocations.length > 0
+        ? 'Store stock now comes from the selected warehouses'
+        : 'Store no longer uses warehouse stock',
+      data: { storeId: store._id, stockLocations: store.stockLocations },
+      result
+    });
+  } catch (error) {
+    console.error('Error setting store stock locations:', error);
+    sendError(res, error, 'Error setting store stock locations');
+  }
+};
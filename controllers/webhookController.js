@@ -6,7 +6,11 @@ const Store = require('../models/store');
 const Webhook = require('../models/webhook');
 const WebhookDelivery = require('../models/webhookDelivery');
 const WooCommerceRestApi = require('@woocommerce/woocommerce-rest-api').default;
+const ShopifyService = require('../services/shopifyService');
+const { getCommerceAdapter } = require('../services/commerceAdapterRegistry');
 const logEvent = require('../helper/logEvent');
+const { usesStockLocations, applyOrderLocationStock } = require('../helper/warehouseStockHelper');
+const { recordStockChange, applyOrderStock } = require('../helper/stockLedgerHelper');
 
 // Helper function to verify webhook signature
 const verifyWebhookSignature = (payload, signature, secret) => {
@@ -20,14 +24,29 @@ const verifyWebhookSignature = (payload, signature, secret) => {
   );
 };
 
+// Store fields the webhook processors and commerce adapter need
+const buildStoreContext = (store, webhookSecret = null) => ({
+  storeId: store._id,
+  organizationId: store.organizationId,
+  userId: store.userId,
+  webhookSecret,
+  name: store.name,
+  url: store.url,
+  apiKey: store.apiKey,
+  secretKey: store.secretKey,
+  platformType: store.platformType,
+  stockLocations: store.stockLocations || []
+});
+
 // Helper function to get store by webhook URL
 const getStoreByWebhookUrl = async (webhookUrl) => {
   try {
-    // Extract webhook identifier from URL pattern: /api/webhooks/woocommerce/{webhookIdentifier}/{topic}
+    // Extract webhook identifier from URL pattern: /api/webhooks/{woocommerce|shopify}/{webhookIdentifier}/{topic}
     const urlParts = webhookUrl.split('/');
-    const webhookIdentifierIndex = urlParts.indexOf('woocommerce') + 1;
+    const platformIndex = urlParts.includes('shopify') ? urlParts.indexOf('shopify') : urlParts.indexOf('woocommerce');
+    const webhookIdentifierIndex = platformIndex + 1;
     
-    if (webhookIdentifierIndex < urlParts.length) {
+    if (platformIndex !== -1 && webhookIdentifierIndex < urlParts.length) {
       const webhookIdentifier = urlParts[webhookIdentifierIndex];
       
       // Find webhook by identifier
@@ -44,14 +63,7 @@ const getStoreByWebhookUrl = async (webhookUrl) => {
         return null;
       }
       
-      return {
-        storeId: store._id,
-        organizationId: store.organizationId,
-        userId: store.userId,
-        webhookSecret: webhook.secret,
-        name: store.name,
-        url: store.url
-      };
+      return buildStoreContext(store, webhook.secret);
     }
     
     console.error('Invalid webhook URL format:', webhookUrl);
@@ -223,27 +235,233 @@ const processProductData = async (productData, store) => {
   };
 };
 
+// Read delivery metadata from WooCommerce or Shopify headers
+const getWebhookHeaders = (req, eventType) => {
+  if (req.headers['x-shopify-topic']) {
+    const [resource, event] = eventType.split('.');
+    return {
+      platform: 'shopify',
+      signature: req.headers['x-shopify-hmac-sha256'],
+      topic: eventType,
+      resource,
+      event,
+      webhookId: req.headers['x-shopify-webhook-id'],
+      deliveryId: req.headers['x-shopify-webhook-id']
+    };
+  }
+
+  return {
+    platform: 'woocommerce',
+    signature: req.headers['x-wc-webhook-signature'],
+    topic: req.headers['x-wc-webhook-topic'],
+    resource: req.headers['x-wc-webhook-resource'],
+    event: req.headers['x-wc-webhook-event'],
+    webhookId: req.headers['x-wc-webhook-id'],
+    deliveryId: req.headers['x-wc-webhook-delivery-id']
+  };
+};
+
+// Convert a platform payload into the WooCommerce shape the processors expect
+const normalizeWebhookPayload = (payload, eventType, store) => {
+  const commerceAdapter = getCommerceAdapter(store);
+  const resource = eventType.split('.')[0];
+
+  switch (resource) {
+    case 'order':
+      return commerceAdapter.normalizeOrder(payload);
+    case 'customer':
+      return commerceAdapter.normalizeCustomer(payload);
+    case 'product':
+      return commerceAdapter.normalizeProduct(payload);
+    default:
+      return payload;
+  }
+};
+
+const WEBHOOK_PROCESSORS = {
+  order: processOrderData,
+  customer: processCustomerData,
+  product: processProductData
+};
+
+// Local models and the field holding the remote id, per webhook resource
+const WEBHOOK_TARGETS = {
+  order: { model: Order, idField: 'order_id' },
+  customer: { model: Customer, idField: 'customer_id' },
+  product: { model: Inventory, idField: 'product_Id' }
+};
+
+// Processing claims older than this are treated as crashed and may be taken over
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+// Delivery id + resource id + modification date. Null when the platform sent no delivery id.
+const getIdempotencyKey = (deliveryId, payload) => {
+  if (!deliveryId) return null;
+  const modified = payload.date_modified_gmt || payload.date_modified || '';
+  return `${deliveryId}:${payload.id ?? ''}:${modified}`;
+};
+
+/**
+ * Apply one normalized webhook event to the database. Created and updated events
+ * upsert on the remote id, so applying the same payload twice leaves one record.
+ * @param {string} eventType - e.g. order.updated
+ * @param {Object} payload - WooCommerce-shaped payload
+ * @param {Object} store - Store context from buildStoreContext
+ * @returns {Object|null} Affected document
+ */
+const applyWebhookEvent = async (eventType, payload, store) => {
+  const [resource, event] = eventType.split('.');
+  const target = WEBHOOK_TARGETS[resource];
+  if (!target) {
+    throw new Error(`Unsupported webhook event: ${eventType}`);
+  }
+
+  // Deletion payloads only carry the id
+  if (event === 'deleted') {
+    return target.model.findOneAndDelete({ [target.idField]: payload.id.toString(), storeId: store.storeId });
+  }
+
+  const processedData = await WEBHOOK_PROCESSORS[resource](payload, store);
+  const update = { $set: processedData };
+
+  // Warehouse-fed stores keep the location total; the store's number only seeds new products
+  if (resource === 'product' && usesStockLocations(store)) {
+    const { stock_quantity, stock_status, ...rest } = processedData;
+    update.$set = rest;
+    update.$setOnInsert = { stock_quantity, stock_status };
+  }
+
+  const filter = { [target.idField]: processedData[target.idField], storeId: store.storeId };
+  // State before the event, for the stock ledger
+  const previous = ['product', 'order'].includes(resource)
+    ? await target.model.findOne(filter).select('stock_quantity status')
+    : null;
+
+  const saved = await target.model.findOneAndUpdate(filter, update, { new: true, upsert: true });
+
+  if (resource === 'product') {
+    await recordStockChange({
+      product: saved,
+      previousQuantity: previous ? previous.stock_quantity : 0,
+      newQuantity: saved.stock_quantity,
+      source: 'webhook',
+      reference: eventType
+    });
+  } else if (resource === 'order' && usesStockLocations(store)) {
+    // Warehouse-fed stores take the sale off their locations and push the new totals
+    await applyOrderLocationStock(saved, previous ? previous.status : null, store);
+  } else if (resource === 'order') {
+    await applyOrderStock(saved, previous ? previous.status : null, getCommerceAdapter(store));
+  }
+
+  return saved;
+};
+
+/**
+ * Whether the local record was modified after the payload, i.e. a later webhook or
+ * sync has already superseded it
+ * @param {string} eventType - e.g. order.updated
+ * @param {Object} payload - WooCommerce-shaped payload
+ * @param {Object} store - Store context from buildStoreContext
+ * @returns {boolean}
+ */
+const isOlderThanLocal = async (eventType, payload, store) => {
+  const [resource, event] = eventType.split('.');
+  const target = WEBHOOK_TARGETS[resource];
+  const payloadModified = new Date(payload.date_modified);
+  if (!target || event === 'deleted' || payload.id == null || isNaN(payloadModified.getTime())) {
+    return false;
+  }
+
+  const local = await target.model
+    .findOne({ [target.idField]: payload.id.toString(), storeId: store.storeId })
+    .select('date_modified');
+  return !!local?.date_modified && local.date_modified > payloadModified;
+};
+
+/**
+ * Claim a delivery before processing it. Returns null when the same idempotency
+ * key already succeeded or is being processed by another request.
+ * @param {Object} fields - WebhookDelivery fields
+ * @returns {Object|null} WebhookDelivery in processing state
+ */
+const claimWebhookDelivery = async (fields) => {
+  if (!fields.idempotencyKey) {
+    return WebhookDelivery.create({ ...fields, status: 'processing' });
+  }
+
+  try {
+    return await WebhookDelivery.findOneAndUpdate(
+      {
+        storeId: fields.storeId,
+        idempotencyKey: fields.idempotencyKey,
+        $or: [
+          { status: { $in: ['failed', 'pending'] } },
+          { status: 'processing', updatedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } }
+        ]
+      },
+      { $set: { ...fields, status: 'processing', errorMessage: null } },
+      { new: true, upsert: true, setDefaultsOnInsert: true }
+    );
+  } catch (error) {
+    // The unique index rejects the upsert when a successful or in-flight record holds the key
+    if (error.code === 11000) {
+      await WebhookDelivery.updateOne(
+        { storeId: fields.storeId, idempotencyKey: fields.idempotencyKey },
+        { $inc: { duplicateCount: 1 }, $set: { lastDuplicateAt: new Date() } }
+      );
+      return null;
+    }
+    throw error;
+  }
+};
+
+const markDeliveryFailed = (delivery, error, duration) => WebhookDelivery.updateOne(
+  { _id: delivery._id },
+  {
+    $set: {
+      status: 'failed',
+      responseCode: 500,
+      responseMessage: error.message,
+      responseBody: { error: error.message },
+      errorMessage: error.message,
+      duration,
+      processedAt: new Date()
+    }
+  }
+);
+
 // Generic webhook handler
-const handleWebhook = async (req, res, eventType, processData) => {
+const handleWebhook = async (req, res, eventType) => {
+  let store = null;
+  let headers = {};
+  let delivery = null;
   try {
-    const webhookSignature = req.headers['x-wc-webhook-signature'];
-    const webhookTopic = req.headers['x-wc-webhook-topic'];
-    const webhookResource = req.headers['x-wc-webhook-resource'];
-    const webhookEvent = req.headers['x-wc-webhook-event'];
-    const webhookId = req.headers['x-wc-webhook-id'];
-    const webhookDeliveryId = req.headers['x-wc-webhook-delivery-id'];
+    headers = getWebhookHeaders(req, eventType);
+    const webhookSignature = headers.signature;
+    const webhookTopic = headers.topic;
+    const webhookResource = headers.resource;
+    const webhookEvent = headers.event;
     
     console.log(`Received webhook: ${webhookTopic} for ${webhookResource} (${webhookEvent})`);
     
     // Get store from webhook URL or headers
-    const store = await getStoreByWebhookUrl(req.originalUrl);
+    store = await getStoreByWebhookUrl(req.originalUrl);
     if (!store) {
       console.error('Store not found for webhook URL:', req.originalUrl);
       return res.status(404).json({ error: 'Store not found' });
     }
     
     // Verify webhook signature if secret is configured
-    if (store.webhookSecret && webhookSignature) {
+    if (store.platformType === 'shopify') {
+      // Shopify always signs deliveries, so an unsigned request is rejected outright. The HMAC
+      // covers the bytes Shopify sent; re-serialising req.body would not reproduce them
+      const isValid = Boolean(req.rawBody) && ShopifyService.verifyWebhookSignature(req.rawBody, webhookSignature, store.webhookSecret);
+      if (!isValid) {
+        console.error('Invalid Shopify webhook signature');
+        return res.status(401).json({ error: 'Invalid signature' });
+      }
+    } else if (store.webhookSecret && webhookSignature) {
       const rawBody = JSON.stringify(req.body);
       const isValid = verifyWebhookSignature(rawBody, webhookSignature, store.webhookSecret);
       if (!isValid) {
@@ -252,77 +470,31 @@ const handleWebhook = async (req, res, eventType, processData) => {
       }
     }
     
-    // Process the webhook data
-    const processedData = await processData(req.body, store);
-    
-    // Update database based on event type
-    let result;
-    switch (eventType) {
-      case 'order.created':
-        result = await Order.create(processedData);
-        break;
-      case 'order.updated':
-        result = await Order.findOneAndUpdate(
-          { order_id: processedData.order_id, storeId: store.storeId },
-          { $set: processedData },
-          { new: true, upsert: true }
-        );
-        break;
-      case 'order.deleted':
-        result = await Order.findOneAndDelete(
-          { order_id: processedData.order_id, storeId: store.storeId }
-        );
-        break;
-      case 'customer.created':
-        result = await Customer.create(processedData);
-        break;
-      case 'customer.updated':
-        result = await Customer.findOneAndUpdate(
-          { customer_id: processedData.customer_id, storeId: store.storeId },
-          { $set: processedData },
-          { new: true, upsert: true }
-        );
-        break;
-      case 'customer.deleted':
-        result = await Customer.findOneAndDelete(
-          { customer_id: processedData.customer_id, storeId: store.storeId }
-        );
-        break;
-      case 'product.created':
-        result = await Inventory.create(processedData);
-        break;
-      case 'product.updated':
-        result = await Inventory.findOneAndUpdate(
-          { product_Id: processedData.product_Id, storeId: store.storeId },
-          { $set: processedData },
-          { new: true, upsert: true }
-        );
-        break;
-      case 'product.deleted':
-        result = await Inventory.findOneAndDelete(
-          { product_Id: processedData.product_Id, storeId: store.storeId }
-        );
-        break;
-    }
-    
-    // Log webhook delivery
-    await WebhookDelivery.create({
-      webhookId,
-      deliveryId: webhookDeliveryId,
-      topic: webhookTopic,
-      resource: webhookResource,
-      event: webhookEvent,
-      status: 'success',
-      responseCode: 200,
-      responseMessage: 'OK',
+    const payload = normalizeWebhookPayload(req.body, eventType, store);
+    delivery = await claimWebhookDelivery({
+      webhookId: headers.webhookId,
+      deliveryId: headers.deliveryId,
+      topic: webhookTopic || eventType,
+      resource: webhookResource || eventType.split('.')[0],
+      event: webhookEvent || eventType.split('.')[1],
+      eventType,
+      idempotencyKey: getIdempotencyKey(headers.deliveryId, payload),
+      remoteResourceId: payload.id != null ? payload.id.toString() : null,
+      remoteModifiedAt: payload.date_modified_gmt || payload.date_modified || null,
       requestHeaders: req.headers,
       requestBody: req.body,
-      responseHeaders: {},
-      responseBody: { success: true },
-      duration: Date.now() - req.startTime,
       storeId: store.storeId,
       organizationId: store.organizationId
     });
+
+    if (!delivery) {
+      console.log(`Skipping duplicate webhook delivery ${headers.deliveryId} (${eventType})`);
+      return res.status(200).json({ success: true, duplicate: true, message: 'Delivery already processed' });
+    }
+
+    const result = await applyWebhookEvent(eventType, payload, store);
+
+    await delivery.markAsSuccess(200, 'OK', {}, { success: true }, Date.now() - req.startTime);
     
     // Log event
     await logEvent({
@@ -343,14 +515,17 @@ const handleWebhook = async (req, res, eventType, processData) => {
   } catch (error) {
     console.error('Webhook processing error:', error);
     
-    // Log failed delivery
-    if (req.headers['x-wc-webhook-id']) {
+    // Log failed delivery so it can be replayed
+    if (delivery) {
+      await markDeliveryFailed(delivery, error, Date.now() - req.startTime).catch(() => {});
+    } else if (headers.webhookId) {
       await WebhookDelivery.create({
-        webhookId: req.headers['x-wc-webhook-id'],
-        deliveryId: req.headers['x-wc-webhook-delivery-id'],
-        topic: req.headers['x-wc-webhook-topic'],
-        resource: req.headers['x-wc-webhook-resource'],
-        event: req.headers['x-wc-webhook-event'],
+        webhookId: headers.webhookId,
+        deliveryId: headers.deliveryId,
+        topic: headers.topic,
+        resource: headers.resource,
+        event: headers.event,
+        eventType,
         status: 'failed',
         responseCode: 500,
         responseMessage: error.message,
@@ -358,62 +533,116 @@ const handleWebhook = async (req, res, eventType, processData) => {
         requestBody: req.body,
         responseHeaders: {},
         responseBody: { error: error.message },
+        errorMessage: error.message,
         duration: Date.now() - req.startTime,
         storeId: store ? store.storeId : null,
         organizationId: store ? store.organizationId : null
-      });
+      }).catch(() => {});
     }
     
     res.status(500).json({ error: 'Webhook processing failed', message: error.message });
   }
 };
 
+/**
+ * Re-process the stored payload of a delivery and record the outcome on it. A payload
+ * older than the local record is skipped unless allowStale is set, and the delivery is left as it was.
+ * @param {Object} delivery - WebhookDelivery document
+ * @param {string} userId - User replaying the delivery
+ * @param {Object} [options]
+ * @param {boolean} [options.allowStale] - Apply the payload even if the local record is newer
+ * @returns {Object} { success, skipped, error }
+ */
+const replayDelivery = async (delivery, userId, { allowStale = false } = {}) => {
+  const startTime = Date.now();
+  const eventType = delivery.eventType || delivery.topic;
+  let skipped = false;
+
+  try {
+    const storeDoc = await Store.findById(delivery.storeId);
+    if (!storeDoc) {
+      throw new Error('Store not found for delivery');
+    }
+    const store = buildStoreContext(storeDoc);
+
+    const payload = normalizeWebhookPayload(delivery.requestBody, eventType, store);
+    if (!allowStale && await isOlderThanLocal(eventType, payload, store)) {
+      skipped = true;
+      return { success: false, skipped, error: 'Stored payload is older than the local record' };
+    }
+    await applyWebhookEvent(eventType, payload, store);
+
+    delivery.status = 'success';
+    delivery.responseCode = 200;
+    delivery.responseMessage = 'OK (replayed)';
+    delivery.responseBody = { success: true };
+    delivery.errorMessage = null;
+    return { success: true };
+  } catch (error) {
+    delivery.status = 'failed';
+    delivery.responseCode = 500;
+    delivery.responseMessage = error.message;
+    delivery.responseBody = { error: error.message };
+    delivery.errorMessage = error.message;
+    return { success: false, error: error.message };
+  } finally {
+    if (!skipped) {
+      delivery.duration = Date.now() - startTime;
+      delivery.processedAt = new Date();
+      delivery.replayCount += 1;
+      delivery.lastReplayedAt = new Date();
+      delivery.lastReplayedBy = userId;
+      await delivery.save();
+    }
+  }
+};
+
 // Order webhook handlers
 exports.handleOrderCreated = async (req, res) => {
   req.startTime = Date.now();
-  await handleWebhook(req, res, 'order.created', processOrderData);
+  await handleWebhook(req, res, 'order.created');
 };
 
 exports.handleOrderUpdated = async (req, res) => {
   req.startTime = Date.now();
-  await handleWebhook(req, res, 'order.updated', processOrderData);
+  await handleWebhook(req, res, 'order.updated');
 };
 
 exports.handleOrderDeleted = async (req, res) => {
   req.startTime = Date.now();
-  await handleWebhook(req, res, 'order.deleted', processOrderData);
+  await handleWebhook(req, res, 'order.deleted');
 };
 
 // Customer webhook handlers
 exports.handleCustomerCreated = async (req, res) => {
   req.startTime = Date.now();
-  await handleWebhook(req, res, 'customer.created', processCustomerData);
+  await handleWebhook(req, res, 'customer.created');
 };
 
 exports.handleCustomerUpdated = async (req, res) => {
   req.startTime = Date.now();
-  await handleWebhook(req, res, 'customer.updated', processCustomerData);
+  await handleWebhook(req, res, 'customer.updated');
 };
 
 exports.handleCustomerDeleted = async (req, res) => {
   req.startTime = Date.now();
-  await handleWebhook(req, res, 'customer.deleted', processCustomerData);
+  await handleWebhook(req, res, 'customer.deleted');
 };
 
 // Product webhook handlers
 exports.handleProductCreated = async (req, res) => {
   req.startTime = Date.now();
-  await handleWebhook(req, res, 'product.created', processProductData);
+  await handleWebhook(req, res, 'product.created');
 };
 
 exports.handleProductUpdated = async (req, res) => {
   req.startTime = Date.now();
-  await handleWebhook(req, res, 'product.updated', processProductData);
+  await handleWebhook(req, res, 'product.updated');
 };
 
 exports.handleProductDeleted = async (req, res) => {
   req.startTime = Date.now();
-  await handleWebhook(req, res, 'product.deleted', processProductData);
+  await handleWebhook(req, res, 'product.deleted');
 };
 
 // Webhook management functions
@@ -1117,6 +1346,113 @@ exports.getWebhookDelivery = async (req, res) => {
   }
 };
 
+// Deliveries cannot be replayed while another request is processing them
+const REPLAYABLE_STATUSES = ['failed', 'pending', 'success'];
+const MAX_BULK_REPLAY = 500;
+
+exports.replayWebhookDelivery = async (req, res) => {
+  try {
+    const force = req.body?.force === true || req.query.force === 'true';
+
+    const storeIds = await Store.find({ organizationId: req.user.organization }).distinct('_id');
+    const delivery = await WebhookDelivery.findOne({ _id: req.params.deliveryRecordId, storeId: { $in: storeIds } });
+    if (!delivery) {
+      return res.status(404).json({ error: 'Delivery not found' });
+    }
+    if (!delivery.storeId || !delivery.requestBody) {
+      return res.status(400).json({ error: 'Delivery has no stored store or payload to replay' });
+    }
+    if (delivery.status === 'processing') {
+      return res.status(409).json({ error: 'Delivery is being processed' });
+    }
+    // Applying twice is safe, but a successful delivery is only replayed on request
+    if (delivery.status === 'success' && !force) {
+      return res.status(409).json({ error: 'Delivery already succeeded. Pass force=true to replay it anyway' });
+    }
+
+    const result = await replayDelivery(delivery, req.user._id, { allowStale: force });
+    if (result.skipped) {
+      return res.status(409).json({ error: `${result.error}. Pass force=true to replay it anyway`, delivery });
+    }
+
+    res.status(result.success ? 200 : 500).json({
+      success: result.success,
+      message: result.success ? 'Delivery replayed successfully' : 'Delivery replay failed',
+      error: result.error,
+      delivery
+    });
+  } catch (error) {
+    console.error('Error replaying webhook delivery:', error);
+    res.status(500).json({ error: 'Failed to replay webhook delivery', message: error.message });
+  }
+};
+
+// Replay every delivery of a store received in a time range, oldest first
+exports.bulkReplayWebhookDeliveries = async (req, res) => {
+  try {
+    const { storeId, from, to, eventType, force = false } = req.body;
+    const statuses = force ? REPLAYABLE_STATUSES : ['failed', 'pending'];
+    const limit = Math.min(parseInt(req.body.limit, 10) || 100, MAX_BULK_REPLAY);
+
+    const fromDate = new Date(from);
+    const toDate = to ? new Date(to) : new Date();
+    if (!storeId || !from || isNaN(fromDate.getTime()) || isNaN(toDate.getTime())) {
+      return res.status(400).json({ error: 'storeId and a valid from date are required' });
+    }
+    if (fromDate > toDate) {
+      return res.status(400).json({ error: 'from must be before to' });
+    }
+
+    const store = await Store.findOne({ _id: storeId, organizationId: req.user.organization }).select('_id');
+    if (!store) {
+      return res.status(404).json({ error: 'Store not found' });
+    }
+
+    const filter = {
+      storeId,
+      status: { $in: statuses },
+      createdAt: { $gte: fromDate, $lte: toDate },
+      requestBody: { $exists: true }
+    };
+    if (eventType) {
+      filter.$or = [{ eventType }, { topic: eventType }];
+    }
+
+    const deliveries = await WebhookDelivery.find(filter)
+      .sort({ createdAt: 1 })
+      .limit(limit);
+
+    const results = [];
+    for (const delivery of deliveries) {
+      const result = await replayDelivery(delivery, req.user._id, { allowStale: force });
+      results.push({
+        id: delivery._id,
+        deliveryId: delivery.deliveryId,
+        eventType: delivery.eventType || delivery.topic,
+        success: result.success,
+        skipped: !!result.skipped,
+        error: result.error
+      });
+    }
+
+    const replayed = results.filter(result => result.success).length;
+    const skipped = results.filter(result => result.skipped).length;
+    res.json({
+      success: true,
+      message: `Replayed ${replayed} of ${results.length} deliveries${skipped ? `, skipped ${skipped} older than the local record` : ''}`,
+      total: results.length,
+      replayed,
+      skipped,
+      failed: results.length - replayed - skipped,
+      hasMore: deliveries.length === limit,
+      results
+    });
+  } catch (error) {
+    console.error('Error bulk replaying webhook deliveries:', error);
+    res.status(500).json({ error: 'Failed to replay webhook deliveries', message: error.message });
+  }
+};
+
 /**
  * @swagger
  * /api/webhooks/{webhookId}/test:
@@ -0,0 +1,404 @@
+const mongoose = require('mongoose');
+const BankTransaction = require('../models/BankTransaction');
+const BankStatementImport = require('../models/BankStatementImport');
+const JournalEntry = require('../models/JournalEntry');
+const Payment = require('../models/payment');
+const { BadRequestError, ConflictError, NotFoundError } = require('../utils/errors');
+const { roundMoney } = require('../utils/moneyUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Journal entries the accounting reports count as booked
+const POSTED_STATUSES = ['posted', 'auto'];
+// Lines waiting in the review queue
+const REVIEW_STATUSES = ['unreconciled', 'suggested'];
+// Days either side of the bank date a journal line or payment may be dated
+const MATCH_WINDOW_DAYS = Number(process.env.BANK_MATCH_WINDOW_DAYS) || 3;
+// How far ahead the best candidate must score to be matched without review
+const AUTO_MATCH_MARGIN = 20;
+const MAX_SUGGESTIONS = 5;
+const AMOUNT_TOLERANCE = 0.005;
+
+const amountRange = (amount) => ({ $gte: amount - AMOUNT_TOLERANCE, $lte: amount + AMOUNT_TOLERANCE });
+
+const sameAmount = (a, b) => Math.abs((a || 0) - (b || 0)) <= AMOUNT_TOLERANCE;
+
+// References worth comparing: at least 4 letters or digits
+const significantReference = (value) => {
+  const text = String(value || '').trim().toLowerCase();
+  return text.replace(/[^a-z0-9]/g, '').length >= 4 ? text : null;
+};
+
+// Does either side quote the other's reference?
+const referencesMatch = (transaction, candidate) => {
+  const bankText = `${transaction.reference || ''} ${transaction.description || ''}`.toLowerCase();
+  const candidateText = candidate.text.toLowerCase();
+  const bankReference = significantReference(transaction.reference);
+  const candidateReference = significantReference(candidate.reference);
+  return Boolean(
+    (bankReference && candidateText.includes(bankReference)) ||
+    (candidateReference && bankText.includes(candidateReference))
+  );
+};
+
+// Journal lines and payments already reconciled to another bank line
+const findMatchedIds = async (transactionId, candidates) => {
+  const lineIds = candidates.filter(c => c.kind === 'journal_line').map(c => c.journalLine);
+  const paymentIds = candidates.filter(c => c.kind === 'payment').map(c => c.payment);
+  if (!lineIds.length && !paymentIds.length) return new Set();
+  const matched = await BankTransaction.find({
+    _id: { $ne: transactionId },
+    reconciliationStatus: 'reconciled',
+    $or: [{ 'match.journalLine': { $in: lineIds } }, { 'match.payment': { $in: paymentIds } }]
+  }).select('match');
+  return new Set(matched.map(tx => String(tx.match.journalLine || tx.match.payment)));
+};
+
+const candidateKey = (candidate) => String(candidate.journalLine || candidate.payment);
+
+/**
+ * Journal lines and payments a bank line could be: same amount on the right side, dated within the
+ * window, not reconciled to another bank line. Scored on date distance and reference.
+ * @param {Object} bankAccount - BankAccount; its ledgerAccount is where journal lines are looked for
+ * @param {Object} transaction - BankTransaction
+ * @param {Object} [options] - windowDays; claimed, keys already taken in this run
+ * @returns {Object[]} Candidates, best first
+ */
+const findMatchCandidates = async (bankAccount, transaction, { windowDays = MATCH_WINDOW_DAYS, claimed = new Set() } = {}) => {
+  const from = new Date(transaction.date.getTime() - windowDays * DAY_MS);
+  const to = new Date(transaction.date.getTime() + (windowDays + 1) * DAY_MS);
+  const candidates = [];
+
+  if (bankAccount.ledgerAccount) {
+    // Money in debits the bank's ledger account, money out credits it
+    const side = transaction.type === 'credit' ? 'debit' : 'credit';
+    const entries = await JournalEntry.find({
+      status: { $in: POSTED_STATUSES },
+      currency: bankAccount.currency,
+      date: { $gte: from, $lt: to },
+      lines: { $elemMatch: { account: bankAccount.ledgerAccount, [side]: amountRange(transaction.amount) } }
+    });
+    for (const entry of entries) {
+      for (const line of entry.lines) {
+        if (!line.account.equals(bankAccount.ledgerAccount) || !sameAmount(line[side], transaction.amount)) continue;
+        candidates.push({
+          kind: 'journal_line',
+          journalEntry: entry._id,
+          journalLine: line._id,
+          date: entry.date,
+          text: `${entry.description || ''} ${line.description || ''}`
+        });
+      }
+    }
+  }
+
+  // Gateway and bank transfer payments are money in
+  if (transaction.type === 'credit') {
+    const payments = await Payment.find({
+      status: 'success',
+      currency: bankAccount.currency,
+      amount: amountRange(transaction.amount),
+      $or: [{ verifiedAt: { $gte: from, $lt: to } }, { verifiedAt: null, createdAt: { $gte: from, $lt: to } }]
+    });
+    for (const payment of payments) {
+      candidates.push({
+        kind: 'payment',
+        payment: payment._id,
+        date: payment.verifiedAt || payment.createdAt,
+        reference: payment.reference,
+        text: payment.reference
+      });
+    }
+  }
+
+  const matchedIds = await findMatchedIds(transaction._id, candidates);
+  return candidates
+    .filter(candidate => !matchedIds.has(candidateKey(candidate)) && !claimed.has(candidateKey(candidate)))
+    .map(candidate => {
+      const days = Math.round(Math.abs(candidate.date - transaction.date) / DAY_MS);
+      const reasons = ['amount', days === 0 ? 'same day' : `${days} day${days === 1 ? '' : 's'} apart`];
+      let score = 50 + Math.round(30 * (1 - days / (windowDays + 1)));
+      if (referencesMatch(transaction, candidate)) {
+        score += 40;
+        reasons.push('reference');
+      }
+      return {
+        kind: candidate.kind,
+        journalEntry: candidate.journalEntry,
+        journalLine: candidate.journalLine,
+        payment: candidate.payment,
+        score,
+        reasons
+      };
+    })
+    .sort((a, b) => b.score - a.score);
+};
+
+// Match when there is one candidate, or the best quotes the reference and clearly beats the rest
+const pickAutoMatch = (candidates) => {
+  const [best, second] = candidates;
+  if (!best) return null;
+  if (!second) return best;
+  return best.reasons.includes('reference') && best.score - second.score >= AUTO_MATCH_MARGIN ? best : null;
+};
+
+/**
+ * Try to match bank lines in the review queue. Confident matches are reconciled; lines with
+ * several possible matches get suggestions; the rest stay unreconciled.
+ * @param {Object} bankAccount - BankAccount
+ * @param {Object[]} [transactions] - Lines to match; defaults to the account's review queue
+ * @param {Object} [options] - windowDays
+ * @returns {Object} { reconciled, suggested, unreconciled }
+ */
+const autoMatchTransactions = async (bankAccount, transactions, { windowDays = MATCH_WINDOW_DAYS } = {}) => {
+  const queue = transactions || await BankTransaction.find({
+    bankAccount: bankAccount._id,
+    // Transactions entered before reconciliation existed have no status
+    reconciliationStatus: { $in: [...REVIEW_STATUSES, null] }
+  });
+  const counts = { reconciled: 0, suggested: 0, unreconciled: 0 };
+  const claimed = new Set();
+
+  for (const transaction of [...queue].sort((a, b) => a.date - b.date)) {
+    if (transaction.reconciliationStatus && !REVIEW_STATUSES.includes(transaction.reconciliationStatus)) continue;
+
+    const candidates = await findMatchCandidates(bankAccount, transaction, { windowDays, claimed });
+    const match = pickAutoMatch(candidates);
+    let update;
+    if (match) {
+      claimed.add(candidateKey(match));
+      update = {
+        reconciliationStatus: 'reconciled',
+        match: {
+          kind: match.kind,
+          journalEntry: match.journalEntry,
+          journalLine: match.journalLine,
+          payment: match.payment,
+          score: match.score,
+          matchedBy: 'auto',
+          matchedAt: new Date()
+        },
+        suggestions: []
+      };
+    } else {
+      update = {
+        reconciliationStatus: candidates.length ? 'suggested' : 'unreconciled',
+        suggestions: candidates.slice(0, MAX_SUGGESTIONS)
+      };
+    }
+
+    // Skip lines someone reconciled or excluded while this ran
+    const saved = await BankTransaction.updateOne(
+      { _id: transaction._id, reconciliationStatus: { $in: [...REVIEW_STATUSES, null] } },
+      { $set: update }
+    );
+    if (saved.matchedCount) counts[update.reconciliationStatus] += 1;
+  }
+  return counts;
+};
+
+const findReviewableTransaction = async (transactionId) => {
+  if (!mongoose.Types.ObjectId.isValid(transactionId)) throw new BadRequestError('invalid transaction id');
+  const transaction = await BankTransaction.findById(transactionId).populate('bankAccount');
+  if (!transaction) throw new NotFoundError('bank transaction not found');
+  return transaction;
+};
+
+/**
+ * Reconcile a bank line to a journal line or payment chosen by hand, e.g. one of its suggestions
+ * @param {string} transactionId - BankTransaction ID
+ * @param {Object} target - { kind: 'journal_line', journalEntry, journalLine } or { kind: 'payment', payment }
+ * @param {string} userId - User reconciling
+ * @returns {Object} The reconciled transaction
+ */
+const matchTransaction = async (transactionId, target, userId) => {
+  const transaction = await findReviewableTransaction(transactionId);
+  const bankAccount = transaction.bankAccount;
+  if (transaction.reconciliationStatus === 'reconciled') throw new ConflictError('transaction is already reconciled; unmatch it first');
+
+  let match;
+  if (target.kind === 'journal_line') {
+    if (!bankAccount.ledgerAccount) throw new BadRequestError('link the bank account to a ledger account first');
+    const entry = await JournalEntry.findOne({ _id: target.journalEntry, status: { $in: POSTED_STATUSES } });
+    const line = entry?.lines.id(target.journalLine);
+    if (!line) throw new NotFoundError('posted journal line not found');
+    const side = transaction.type === 'credit' ? 'debit' : 'credit';
+    if (!line.account.equals(bankAccount.ledgerAccount)) throw new BadRequestError('journal line is not on the bank account\'s ledger account');
+    if (!sameAmount(line[side], transaction.amount)) {
+      throw new BadRequestError(`journal line ${side} of ${line[side] || 0} does not equal the bank ${transaction.type} of ${transaction.amount}`);
+    }
+    match = { kind: 'journal_line', journalEntry: entry._id, journalLine: line._id };
+  } else if (target.kind === 'payment') {
+    if (transaction.type !== 'credit') throw new BadRequestError('payments can only be matched to money in');
+    const payment = await Payment.findOne({ _id: target.payment, status: 'success' });
+    if (!payment) throw new NotFoundError('successful payment not found');
+    if (!sameAmount(payment.amount, transaction.amount)) {
+      throw new BadRequestError(`payment of ${payment.amount} does not equal the bank credit of ${transaction.amount}`);
+    }
+    match = { kind: 'payment', payment: payment._id };
+  } else {
+    throw new BadRequestError('kind must be journal_line or payment');
+  }
+
+  const taken = await findMatchedIds(transaction._id, [match]);
+  if (taken.size) throw new ConflictError('that journal line or payment is already reconciled to another bank transaction');
+
+  transaction.reconciliationStatus = 'reconciled';
+  transaction.match = { ...match, matchedBy: 'manual', matchedAt: new Date(), reconciledBy: userId };
+  transaction.suggestions = [];
+  transaction.excludedReason = undefined;
+  await transaction.save();
+  return transaction;
+};
+
+/**
+ * Send a reconciled or excluded bank line back to the review queue
+ * @param {string} transactionId - BankTransaction ID
+ * @returns {Object} The transaction
+ */
+const unmatchTransaction = async (transactionId) => {
+  const transaction = await findReviewableTransaction(transactionId);
+  if (REVIEW_STATUSES.includes(transaction.reconciliationStatus || 'unreconciled')) {
+    throw new BadRequestError('transaction is not reconciled or excluded');
+  }
+  transaction.reconciliationStatus = 'unreconciled';
+  transaction.match = undefined;
+  transaction.suggestions = [];
+  transaction.excludedReason = undefined;
+  await transaction.save();
+  return transaction;
+};
+
+/**
+ * Leave a bank line out of reconciliation, e.g. a duplicate on the statement
+ * @param {string} transactionId - BankTransaction ID
+ * @param {string} reason
+ * @returns {Object} The transaction
+ */
+const excludeTransaction = async (transactionId, reason) => {
+  const transaction = await findReviewableTransaction(transactionId);
+  if (transaction.reconciliationStatus === 'reconciled') throw new ConflictError('transaction is reconciled; unmatch it first');
+  transaction.reconciliationStatus = 'excluded';
+  transaction.excludedReason = reason || '';
+  transaction.suggestions = [];
+  await transaction.save();
+  return transaction;
+};
+
+// Money in and out of an account's bank lines up to a date, per reconciliation status
+const sumTransactionsByStatus = async (bankAccountId, asOf) => {
+  const rows = await BankTransaction.aggregate([
+    { $match: { bankAccount: new mongoose.Types.ObjectId(String(bankAccountId)), date: { $lte: asOf } } },
+    { $group: {
+        _id: { $ifNull: ['$reconciliationStatus', 'unreconciled'] },
+        count: { $sum: 1 },
+        credits: { $sum: { $cond: [{ $eq: ['$type', 'credit'] }, '$amount', 0] } },
+        debits: { $sum: { $cond: [{ $eq: ['$type', 'debit'] }, '$amount', 0] } }
+      }
+    }
+  ]);
+  const totals = {};
+  for (const status of BankTransaction.RECONCILIATION_STATUSES) {
+    const row = rows.find(r => r._id === status) || { count: 0, credits: 0, debits: 0 };
+    totals[status] = { count: row.count, credits: roundMoney(row.credits), debits: roundMoney(row.debits), net: roundMoney(row.credits - row.debits) };
+  }
+  return totals;
+};
+
+const combineTotals = (...totals) => {
+  const combined = totals.reduce((sum, t) => ({ count: sum.count + t.count, credits: sum.credits + t.credits, debits: sum.debits + t.debits }), { count: 0, credits: 0, debits: 0 });
+  return { count: combined.count, credits: roundMoney(combined.credits), debits: roundMoney(combined.debits), net: roundMoney(combined.credits - combined.debits) };
+};
+
+/**
+ * Reconciled-balance report for a bank account as of a date: the balance of its reconciled lines,
+ * what is still in the review queue, how the imported lines compare with the statement's closing
+ * balance, and the ledger account's journal lines no bank line accounts for yet
+ * @param {Object} bankAccount - BankAccount
+ * @param {Date} asOf
+ * @returns {Object} Report
+ */
+const getReconciliationReport = async (bankAccount, asOf = new Date()) => {
+  const openingBalance = bankAccount.openingBalance || 0;
+  const totals = await sumTransactionsByStatus(bankAccount._id, asOf);
+  const inQueue = combineTotals(totals.unreconciled, totals.suggested);
+  const onStatement = combineTotals(totals.reconciled, totals.unreconciled, totals.suggested);
+
+  // Compare the lines imported up to the latest statement with its printed closing balance
+  const statement = await BankStatementImport.findOne({
+    bankAccount: bankAccount._id,
+    closingBalance: { $ne: null },
+    closingBalanceDate: { $lte: asOf }
+  }).sort({ closingBalanceDate: -1, createdAt: -1 });
+  let statementCheck = null;
+  if (statement) {
+    const atStatement = await sumTransactionsByStatus(bankAccount._id, new Date(statement.closingBalanceDate.getTime() + DAY_MS - 1));
+    const computed = roundMoney(openingBalance + combineTotals(atStatement.reconciled, atStatement.unreconciled, atStatement.suggested).net);
+    statementCheck = {
+      statementImport: statement._id,
+      date: statement.closingBalanceDate,
+      closingBalance: statement.closingBalance,
+      computedBalance: computed,
+      // Not zero when lines are missing from the imports or the opening balance is wrong
+      difference: roundMoney(statement.closingBalance - computed)
+    };
+  }
+
+  let ledger = null;
+  if (bankAccount.ledgerAccount) {
+    const reconciledLines = await BankTransaction.find({
+      bankAccount: bankAccount._id,
+      reconciliationStatus: 'reconciled',
+      'match.journalLine': { $ne: null }
+    }).distinct('match.journalLine');
+    const [row] = await JournalEntry.aggregate([
+      { $match: { status: { $in: POSTED_STATUSES }, date: { $lte: asOf } } },
+      { $unwind: '$lines' },
+      { $match: { 'lines.account': bankAccount.ledgerAccount } },
+      { $group: {
+          _id: null,
+          debit: { $sum: { $ifNull: ['$lines.debit', 0] } },
+          credit: { $sum: { $ifNull: ['$lines.credit', 0] } },
+          outstandingCount: { $sum: { $cond: [{ $in: ['$lines._id', reconciledLines] }, 0, 1] } },
+          outstandingDebit: { $sum: { $cond: [{ $in: ['$lines._id', reconciledLines] }, 0, { $ifNull: ['$lines.debit', 0] }] } },
+          outstandingCredit: { $sum: { $cond: [{ $in: ['$lines._id', reconciledLines] }, 0, { $ifNull: ['$lines.credit', 0] }] } }
+        }
+      }
+    ]);
+    const sums = row || { debit: 0, credit: 0, outstandingCount: 0, outstandingDebit: 0, outstandingCredit: 0 };
+    ledger = {
+      account: bankAccount.ledgerAccount,
+      balance: roundMoney(sums.debit - sums.credit),
+      // Booked but not yet seen on the bank statement
+      outstanding: {
+        count: sums.outstandingCount,
+        debits: roundMoney(sums.outstandingDebit),
+        credits: roundMoney(sums.outstandingCredit),
+        net: roundMoney(sums.outstandingDebit - sums.outstandingCredit)
+      }
+    };
+  }
+
+  return {
+    bankAccount: { _id: bankAccount._id, name: bankAccount.name, bankName: bankAccount.bankName, currency: bankAccount.currency },
+    asOf,
+    openingBalance,
+    reconciledBalance: roundMoney(openingBalance + totals.reconciled.net),
+    bankBalance: roundMoney(openingBalance + onStatement.net),
+    reconciled: totals.reconciled,
+    unreconciled: inQueue,
+    excluded: totals.excluded,
+    statement: statementCheck,
+    ledger
+  };
+};
+
+module.exports = {
+  MATCH_WINDOW_DAYS,
+  REVIEW_STATUSES,
+  findMatchCandidates,
+  autoMatchTransactions,
+  matchTransaction,
+  unmatchTransaction,
+  excludeTransaction,
+  getReconciliationReport
+};
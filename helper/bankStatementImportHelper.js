@@ -0,0 +1,410 @@
+const crypto = require('crypto');
+const { Readable } = require('stream');
+const csvParser = require('csv-parser');
+const moment = require('moment');
+const BankTransaction = require('../models/BankTransaction');
+const BankStatementImport = require('../models/BankStatementImport');
+const { autoMatchTransactions } = require('./bankReconciliationHelper');
+const { BadRequestError } = require('../utils/errors');
+const { roundMoney } = require('../utils/moneyUtils');
+
+const STATEMENT_FORMATS = ['csv', 'ofx'];
+
+// Day first before month first: statements from Nigerian and UK banks use DD/MM. Pass dateFormat for US files.
+const DEFAULT_DATE_FORMATS = [
+  'YYYY-MM-DD', 'YYYY-MM-DDTHH:mm:ss', 'YYYY-MM-DD HH:mm:ss', 'YYYY/MM/DD',
+  'DD/MM/YYYY', 'DD-MM-YYYY', 'DD.MM.YYYY', 'DD/MM/YY', 'DD MMM YYYY', 'DD-MMM-YYYY', 'DD-MMM-YY', 'D MMM YYYY',
+  'MM/DD/YYYY'
+];
+
+// Header names banks commonly use for each field, matched when no column mapping is given
+const COLUMN_ALIASES = {
+  date: ['date', 'transaction date', 'trans date', 'txn date', 'posting date', 'posted date', 'value date', 'booking date'],
+  description: ['description', 'narration', 'narrative', 'details', 'transaction details', 'particulars', 'remarks', 'memo', 'payee'],
+  reference: ['reference', 'ref', 'ref no', 'ref. no', 'reference number', 'transaction reference', 'transaction id', 'cheque no', 'check number'],
+  amount: ['amount', 'transaction amount', 'value'],
+  debit: ['debit', 'debits', 'debit amount', 'withdrawal', 'withdrawals', 'money out', 'paid out', 'dr'],
+  credit: ['credit', 'credits', 'credit amount', 'deposit', 'deposits', 'lodgement', 'lodgements', 'money in', 'paid in', 'cr'],
+  type: ['type', 'dr/cr', 'cr/dr', 'debit/credit', 'transaction type'],
+  balance: ['balance', 'running balance', 'closing balance', 'available balance', 'ledger balance']
+};
+const MAPPABLE_COLUMNS = Object.keys(COLUMN_ALIASES);
+
+// Lines shown in a dry-run preview
+const PREVIEW_LINES = 200;
+
+const normalizeHeader = (header) => String(header || '').replace(/^\uFEFF/, '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+const normalizeText = (value) => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Read a statement amount: thousands separators, currency symbols, (brackets) or a trailing minus
+ * for negatives, and CR/DR suffixes
+ * @param {string|number} value
+ * @returns {number} Signed amount, or NaN when it is not a number
+ */
+const parseAmount = (value) => {
+  if (typeof value === 'number') return value;
+  let text = String(value || '').trim().toUpperCase();
+  if (!text) return NaN;
+  let sign = 1;
+  if (/^\(.*\)$/.test(text)) { sign = -1; text = text.slice(1, -1); }
+  if (/DR$/.test(text)) { sign = -1; text = text.slice(0, -2); }
+  if (/CR$/.test(text)) text = text.slice(0, -2);
+  if (/-$/.test(text.trim())) { sign = -1; text = text.trim().slice(0, -1); }
+  text = text.replace(/[^0-9.-]/g, '');
+  if (!text || !/^-?\d*\.?\d+$/.test(text)) return NaN;
+  return sign * parseFloat(text);
+};
+
+/**
+ * Read a statement date as a UTC calendar date
+ * @param {string} value
+ * @param {string} [dateFormat] - moment format the file uses; the common formats are tried without one
+ * @returns {Date|null}
+ */
+const parseStatementDate = (value, dateFormat) => {
+  const text = String(value || '').trim();
+  if (!text) return null;
+  const parsed = moment.utc(text, dateFormat ? [dateFormat] : DEFAULT_DATE_FORMATS, true);
+  return parsed.isValid() ? parsed.startOf('day').toDate() : null;
+};
+
+const detectDelimiter = (content) => {
+  const firstLine = content.split(/\r?\n/, 1)[0] || '';
+  const counts = [',', ';', '\t', '|'].map(delimiter => ({ delimiter, count: firstLine.split(delimiter).length - 1 }));
+  return counts.sort((a, b) => b.count - a.count)[0].count > 0 ? counts[0].delimiter : ',';
+};
+
+/**
+ * Work out the file format from its name and content
+ * @param {string} fileName
+ * @param {string} content
+ * @returns {string} 'csv' or 'ofx'
+ */
+const detectStatementFormat = (fileName, content) => {
+  if (/\.(ofx|qfx)$/i.test(fileName || '')) return 'ofx';
+  if (/<OFX>/i.test(content.slice(0, 2000)) || /^\s*OFXHEADER:/i.test(content)) return 'ofx';
+  return 'csv';
+};
+
+const readCsv = (content, delimiter) => new Promise((resolve, reject) => {
+  const rows = [];
+  let headers = [];
+  Readable.from([content])
+    .pipe(csvParser({ separator: delimiter, mapHeaders: ({ header }) => String(header).replace(/^\uFEFF/, '').trim() }))
+    .on('headers', (parsedHeaders) => { headers = parsedHeaders; })
+    .on('data', (row) => rows.push(row))
+    .on('error', reject)
+    .on('end', () => resolve({ headers, rows }));
+});
+
+/**
+ * Map statement fields to CSV headers: the given mapping, else headers that match the common names
+ * @param {string[]} headers - CSV headers
+ * @param {Object} [columns] - { date, description, reference, amount | debit/credit, type, balance } to header names
+ * @returns {Object} Mapping to the headers as they appear in the file
+ * @throws {BadRequestError} When a mapped column is missing or there is no date or amount column
+ */
+const resolveColumnMapping = (headers, columns) => {
+  const byNormalized = new Map(headers.map(header => [normalizeHeader(header), header]));
+  const mapping = {};
+
+  if (columns && Object.keys(columns).length) {
+    for (const [field, header] of Object.entries(columns)) {
+      if (!MAPPABLE_COLUMNS.includes(field)) throw new BadRequestError(`Unknown column mapping field ${field}. Use: ${MAPPABLE_COLUMNS.join(', ')}`);
+      if (!header) continue;
+      const found = byNormalized.get(normalizeHeader(header));
+      if (!found) throw new BadRequestError(`Column "${header}" mapped to ${field} is not in the file. Columns: ${headers.join(', ')}`);
+      mapping[field] = found;
+    }
+  } else {
+    for (const field of MAPPABLE_COLUMNS) {
+      const alias = COLUMN_ALIASES[field].find(name => byNormalized.has(name));
+      if (alias) mapping[field] = byNormalized.get(alias);
+    }
+  }
+
+  if (!mapping.date) throw new BadRequestError(`No date column found. Map one of: ${headers.join(', ')}`);
+  if (!mapping.amount && !mapping.debit && !mapping.credit) {
+    throw new BadRequestError(`No amount column found. Map amount, or debit and credit, to one of: ${headers.join(', ')}`);
+  }
+  return mapping;
+};
+
+const typeFromColumn = (value) => {
+  const text = normalizeText(value);
+  if (/^(d|dr|debit|withdrawal|out)/.test(text)) return 'debit';
+  if (/^(c|cr|credit|deposit|in)/.test(text)) return 'credit';
+  return null;
+};
+
+/**
+ * Read the lines of a CSV statement
+ * @param {string} content - File content
+ * @param {Object} options - columns (mapping), dateFormat, delimiter
+ * @returns {Object} { lines, errors, columns, delimiter, closingBalance, closingBalanceDate }
+ */
+const parseCsvStatement = async (content, { columns, dateFormat, delimiter } = {}) => {
+  const separator = delimiter || detectDelimiter(content);
+  const { headers, rows } = await readCsv(content, separator);
+  if (!headers.length) throw new BadRequestError('The file has no header row');
+  const mapping = resolveColumnMapping(headers, columns);
+
+  const lines = [];
+  const errors = [];
+  rows.forEach((row, index) => {
+    const line = index + 2; // after the header row
+    if (Object.values(row).every(value => !String(value || '').trim())) return;
+
+    const date = parseStatementDate(row[mapping.date], dateFormat);
+    if (!date) {
+      errors.push({ line, message: `Cannot read date "${row[mapping.date] || ''}"${dateFormat ? ` as ${dateFormat}` : ''}` });
+      return;
+    }
+
+    let signed;
+    if (mapping.amount) {
+      signed = parseAmount(row[mapping.amount]);
+      const columnType = mapping.type ? typeFromColumn(row[mapping.type]) : null;
+      if (columnType && !Number.isNaN(signed)) signed = columnType === 'debit' ? -Math.abs(signed) : Math.abs(signed);
+    } else {
+      const debit = mapping.debit ? parseAmount(row[mapping.debit]) : NaN;
+      const credit = mapping.credit ? parseAmount(row[mapping.credit]) : NaN;
+      if (!Number.isNaN(credit) && credit !== 0) signed = Math.abs(credit);
+      else if (!Number.isNaN(debit) && debit !== 0) signed = -Math.abs(debit);
+      else signed = NaN;
+    }
+    if (Number.isNaN(signed) || signed === 0) {
+      errors.push({ line, message: 'No amount on the line' });
+      return;
+    }
+
+    const balance = mapping.balance ? parseAmount(row[mapping.balance]) : NaN;
+    lines.push({
+      line,
+      date,
+      amount: roundMoney(Math.abs(signed)),
+      type: signed < 0 ? 'debit' : 'credit',
+      description: mapping.description ? String(row[mapping.description] || '').trim() : '',
+      reference: mapping.reference ? String(row[mapping.reference] || '').trim() : '',
+      statementBalance: Number.isNaN(balance) ? undefined : roundMoney(balance)
+    });
+  });
+
+  // The running balance on the latest line is the closing balance
+  const latest = [...lines].reverse().reduce((last, line) => (!last || line.date > last.date ? line : last), null);
+  return {
+    lines,
+    errors,
+    columns: mapping,
+    delimiter: separator,
+    closingBalance: latest?.statementBalance,
+    closingBalanceDate: latest?.statementBalance !== undefined ? latest.date : undefined
+  };
+};
+
+// OFX dates are YYYYMMDD, optionally followed by the time and a time zone
+const parseOfxDate = (value) => {
+  const match = /^(\d{8})/.exec(String(value || '').trim());
+  return match ? moment.utc(match[1], 'YYYYMMDD', true).toDate() : null;
+};
+
+// Value of a tag in OFX 1.x (SGML, closing tags optional) or 2.x (XML)
+const ofxTag = (block, tag) => {
+  const match = new RegExp(`<${tag}>([^<\\r\\n]*)`, 'i').exec(block);
+  return match ? match[1].trim() : undefined;
+};
+
+/**
+ * Read the transactions, statement period and closing balance of an OFX or QFX statement
+ * @param {string} content - File content
+ * @returns {Object} { lines, errors, currency, statementStart, statementEnd, closingBalance, closingBalanceDate }
+ */
+const parseOfxStatement = (content) => {
+  if (!/<OFX>/i.test(content)) throw new BadRequestError('The file is not an OFX statement');
+
+  const lines = [];
+  const errors = [];
+  const blocks = content.match(/<STMTTRN>[\s\S]*?<\/STMTTRN>/gi) || [];
+  blocks.forEach((block, index) => {
+    const line = index + 1;
+    const date = parseOfxDate(ofxTag(block, 'DTPOSTED'));
+    const signed = parseAmount(ofxTag(block, 'TRNAMT'));
+    if (!date) {
+      errors.push({ line, message: 'Transaction has no DTPOSTED date' });
+      return;
+    }
+    if (Number.isNaN(signed) || signed === 0) {
+      errors.push({ line, message: 'Transaction has no TRNAMT amount' });
+      return;
+    }
+    const name = ofxTag(block, 'NAME') || ofxTag(block, 'PAYEE') || '';
+    const memo = ofxTag(block, 'MEMO') || '';
+    lines.push({
+      line,
+      date,
+      amount: roundMoney(Math.abs(signed)),
+      type: signed < 0 ? 'debit' : 'credit',
+      description: [name, memo].filter(Boolean).filter((text, i, all) => all.indexOf(text) === i).join(' - '),
+      reference: ofxTag(block, 'CHECKNUM') || ofxTag(block, 'REFNUM') || '',
+      externalId: ofxTag(block, 'FITID')
+    });
+  });
+
+  const ledgerBalance = (/<LEDGERBAL>[\s\S]*?(<\/LEDGERBAL>|$)/i.exec(content) || [])[0] || '';
+  const closingBalance = parseAmount(ofxTag(ledgerBalance, 'BALAMT'));
+  return {
+    lines,
+    errors,
+    currency: ofxTag(content, 'CURDEF'),
+    statementStart: parseOfxDate(ofxTag(content, 'DTSTART')) || undefined,
+    statementEnd: parseOfxDate(ofxTag(content, 'DTEND')) || undefined,
+    closingBalance: Number.isNaN(closingBalance) ? undefined : roundMoney(closingBalance),
+    closingBalanceDate: parseOfxDate(ofxTag(ledgerBalance, 'DTASOF')) || undefined
+  };
+};
+
+/**
+ * Give each line a fingerprint that is the same every time the statement is imported: the bank's
+ * transaction id when it has one, else date, direction, amount, description and reference. Identical
+ * lines in one file are numbered so they stay separate transactions.
+ * @param {Object[]} lines - Parsed statement lines
+ * @returns {Object[]} The lines with fingerprint set
+ */
+const fingerprintLines = (lines) => {
+  const seen = new Map();
+  return lines.map(line => {
+    const key = line.externalId
+      ? `fitid:${line.externalId}`
+      : crypto.createHash('sha256').update([
+        moment.utc(line.date).format('YYYY-MM-DD'),
+        line.type,
+        line.amount.toFixed(2),
+        normalizeText(line.description),
+        normalizeText(line.reference)
+      ].join('|')).digest('hex');
+    const occurrence = (seen.get(key) || 0) + 1;
+    seen.set(key, occurrence);
+    return { ...line, fingerprint: `${key}:${occurrence}` };
+  });
+};
+
+/**
+ * Import a CSV or OFX statement into a bank account. Lines already imported are skipped, new ones
+ * are saved as import transactions and auto-matched to journal lines and payments.
+ * @param {Object} bankAccount - BankAccount
+ * @param {Object} input - content, fileName, format, columns, dateFormat, delimiter,
+ *   saveMapping (keep the CSV mapping on the account), dryRun (parse and report without saving)
+ * @param {string} userId - User importing
+ * @returns {Object} { statementImport, preview } - preview only on a dry run
+ */
+const importBankStatement = async (bankAccount, input, userId) => {
+  const content = String(input.content || '');
+  if (!content.trim()) throw new BadRequestError('The statement file is empty');
+  const format = input.format || detectStatementFormat(input.fileName, content);
+  if (!STATEMENT_FORMATS.includes(format)) throw new BadRequestError(`format must be one of: ${STATEMENT_FORMATS.join(', ')}`);
+
+  const saved = bankAccount.statementMapping || {};
+  const parsed = format === 'ofx'
+    ? parseOfxStatement(content)
+    : await parseCsvStatement(content, {
+      columns: input.columns || saved.columns,
+      dateFormat: input.dateFormat || saved.dateFormat,
+      delimiter: input.delimiter || saved.delimiter
+    });
+  if (parsed.currency && bankAccount.currency && parsed.currency.toUpperCase() !== bankAccount.currency.toUpperCase()) {
+    throw new BadRequestError(`The statement is in ${parsed.currency}, the bank account in ${bankAccount.currency}`);
+  }
+
+  const lines = fingerprintLines(parsed.lines);
+  const existing = await BankTransaction.find({
+    bankAccount: bankAccount._id,
+    fingerprint: { $in: lines.map(line => line.fingerprint) }
+  }).select('fingerprint');
+  const existingFingerprints = new Set(existing.map(tx => tx.fingerprint));
+  const newLines = lines.filter(line => !existingFingerprints.has(line.fingerprint));
+  const dates = lines.map(line => line.date.getTime());
+
+  const summary = {
+    bankAccount: bankAccount._id,
+    format,
+    fileName: input.fileName || '',
+    columns: parsed.columns,
+    dateFormat: format === 'csv' ? input.dateFormat || saved.dateFormat : undefined,
+    statementStart: parsed.statementStart || (dates.length ? new Date(Math.min(...dates)) : undefined),
+    statementEnd: parsed.statementEnd || (dates.length ? new Date(Math.max(...dates)) : undefined),
+    closingBalance: parsed.closingBalance,
+    closingBalanceDate: parsed.closingBalanceDate,
+    totalLines: lines.length + parsed.errors.length,
+    importedCount: newLines.length,
+    duplicateCount: lines.length - newLines.length,
+    errorCount: parsed.errors.length,
+    lineErrors: parsed.errors,
+    importedBy: userId
+  };
+
+  if (input.dryRun) {
+    return {
+      statementImport: summary,
+      preview: lines.slice(0, PREVIEW_LINES).map(line => ({
+        ...line,
+        fingerprint: undefined,
+        duplicate: existingFingerprints.has(line.fingerprint)
+      }))
+    };
+  }
+
+  const statementImport = await BankStatementImport.create(summary);
+
+  let inserted = [];
+  try {
+    inserted = await BankTransaction.insertMany(newLines.map(line => ({
+      bankAccount: bankAccount._id,
+      date: line.date,
+      amount: line.amount,
+      type: line.type,
+      description: line.description,
+      currency: bankAccount.currency,
+      reference: line.reference,
+      source: 'import',
+      statementImport: statementImport._id,
+      externalId: line.externalId,
+      fingerprint: line.fingerprint,
+      statementBalance: line.statementBalance,
+      createdBy: userId
+    })), { ordered: false });
+  } catch (error) {
+    // Lines another import of the same statement saved first are duplicates
+    if (!error.writeErrors || error.writeErrors.some(writeError => (writeError.code ?? writeError.err?.code) !== 11000)) throw error;
+    inserted = error.insertedDocs || [];
+  }
+
+  const matched = await autoMatchTransactions(bankAccount, inserted);
+  statementImport.importedCount = inserted.length;
+  statementImport.duplicateCount = lines.length - inserted.length;
+  statementImport.reconciledCount = matched.reconciled;
+  statementImport.suggestedCount = matched.suggested;
+  statementImport.unmatchedCount = matched.unreconciled;
+  await statementImport.save();
+
+  if (format === 'csv' && input.saveMapping) {
+    bankAccount.statementMapping = { columns: parsed.columns, dateFormat: input.dateFormat, delimiter: parsed.delimiter };
+    await bankAccount.save();
+  }
+
+  return { statementImport };
+};
+
+module.exports = {
+  STATEMENT_FORMATS,
+  COLUMN_ALIASES,
+  parseAmount,
+  parseStatementDate,
+  detectStatementFormat,
+  resolveColumnMapping,
+  parseCsvStatement,
+  parseOfxStatement,
+  fingerprintLines,
+  importBankStatement
+};
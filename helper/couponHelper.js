@@ -0,0 +1,153 @@
+const Coupon = require('../models/coupon');
+const Payment = require('../models/payment');
+const { BadRequestError, ConflictError, NotFoundError } = require('../utils/errors');
+const { roundMoney } = require('../utils/moneyUtils');
+
+const normalizeCode = (code) => String(code || '').trim().toUpperCase();
+
+// Times a user has used a coupon, counted on the paid checkout payments it was applied to (not renewals)
+const countUserRedemptions = (couponId, userId) =>
+  Payment.countDocuments({ user: userId, coupon: couponId, purpose: 'subscription', status: 'success' });
+
+/**
+ * Find a coupon by code and check it can be used on this checkout
+ * @param {string} code - Code as entered
+ * @param {Object} checkout - { planId, currency, userId, now }
+ * @returns {Object} Coupon
+ * @throws {NotFoundError|BadRequestError} When the code does not exist or cannot be used
+ */
+const findApplicableCoupon = async (code, { planId, currency, userId, now = new Date() } = {}) => {
+  const coupon = await Coupon.findOne({ code: normalizeCode(code) });
+  if (!coupon || !coupon.isActive) throw new NotFoundError(`Coupon ${normalizeCode(code)} is not valid`);
+  if (coupon.startsAt && coupon.startsAt > now) throw new BadRequestError(`Coupon ${coupon.code} is not active yet`);
+  if (coupon.expiresAt && coupon.expiresAt <= now) throw new BadRequestError(`Coupon ${coupon.code} has expired`);
+  if (coupon.maxRedemptions && coupon.timesRedeemed >= coupon.maxRedemptions) {
+    throw new BadRequestError(`Coupon ${coupon.code} has been fully redeemed`);
+  }
+  if (coupon.applicablePlans.length && !coupon.applicablePlans.some(id => id.equals(planId))) {
+    throw new BadRequestError(`Coupon ${coupon.code} cannot be used on this plan`);
+  }
+  if (coupon.discountType === 'fixed' && currency && coupon.currency !== currency) {
+    throw new BadRequestError(`Coupon ${coupon.code} can only be used on ${coupon.currency} payments`);
+  }
+  if (coupon.maxRedemptionsPerUser && userId) {
+    const used = await countUserRedemptions(coupon._id, userId);
+    if (used >= coupon.maxRedemptionsPerUser) {
+      throw new BadRequestError(`You have already used coupon ${coupon.code}`);
+    }
+  }
+  return coupon;
+};
+
+/**
+ * Amount a coupon takes off a price; never more than the price
+ * @param {Object} coupon - Coupon or a subscription's discount
+ * @param {number} amount - Price before the discount
+ * @returns {number} Discount
+ */
+const calculateDiscount = (coupon, amount) => {
+  const discount = coupon.discountType === 'percentage' ? amount * coupon.value / 100 : coupon.value;
+  return roundMoney(Math.min(Math.max(discount, 0), amount));
+};
+
+/**
+ * Count a checkout with nothing left to pay against the coupon's redemption limit. The check
+ * and the increment are one update so concurrent checkouts cannot use more than maxRedemptions.
+ * Checkouts that go to a gateway are counted by recordCouponRedemption once they are paid.
+ * @param {Object} coupon - Coupon from findApplicableCoupon
+ * @returns {Object} The updated coupon
+ * @throws {ConflictError} When the last redemption was taken in the meantime
+ */
+const redeemCoupon = async (coupon) => {
+  const filter = { _id: coupon._id, isActive: true };
+  if (coupon.maxRedemptions) filter.timesRedeemed = { $lt: coupon.maxRedemptions };
+  const redeemed = await Coupon.findOneAndUpdate(filter, { $inc: { timesRedeemed: 1 } }, { new: true });
+  if (!redeemed) throw new ConflictError(`Coupon ${coupon.code} has been fully redeemed`);
+  return redeemed;
+};
+
+/**
+ * Count a paid checkout against its coupon, when the payment is confirmed, so abandoned and
+ * failed checkouts use up no redemptions. The customer has already paid the discounted price,
+ * so a payment confirmed after the last redemption was taken still counts. Failures are
+ * logged, not thrown, so they cannot undo the confirmation.
+ * @param {Object} payment - Payment just marked successful
+ * @returns {boolean} Whether a redemption was recorded
+ */
+const recordCouponRedemption = async (payment) => {
+  if (!payment.coupon || payment.purpose !== 'subscription') return false;
+  try {
+    await Coupon.updateOne({ _id: payment.coupon }, { $inc: { timesRedeemed: 1 } });
+    return true;
+  } catch (error) {
+    console.error(`Error recording redemption of coupon ${payment.couponCode} for payment ${payment._id}:`, error.message);
+    return false;
+  }
+};
+
+/**
+ * The discount a subscription keeps for its renewals, copied from the coupon so later edits
+ * to the coupon do not change what was promised at checkout
+ * @param {Object} coupon - Coupon
+ * @param {Date} startDate - When the subscription's first paid period starts
+ * @returns {Object} Value for subscription.discount
+ */
+const buildSubscriptionDiscount = (coupon, startDate = new Date()) => {
+  let endsAt;
+  if (coupon.duration === 'repeating') {
+    endsAt = new Date(startDate);
+    endsAt.setMonth(endsAt.getMonth() + coupon.durationInMonths);
+  }
+  return {
+    coupon: coupon._id,
+    code: coupon.code,
+    discountType: coupon.discountType,
+    value: coupon.value,
+    currency: coupon.currency,
+    duration: coupon.duration,
+    durationInMonths: coupon.durationInMonths,
+    appliedAt: new Date(),
+    endsAt
+  };
+};
+
+/**
+ * Apply a coupon code to a subscription checkout
+ * @param {string} code - Code as entered
+ * @param {Object} checkout - { planId, currency, userId, amount }
+ * @returns {Object} { coupon, originalAmount, discountAmount, amount }
+ */
+const applyCouponToCheckout = async (code, { planId, currency, userId, amount }) => {
+  const coupon = await findApplicableCoupon(code, { planId, currency, userId });
+  const originalAmount = roundMoney(Number(amount));
+  const discountAmount = calculateDiscount(coupon, originalAmount);
+  return { coupon, originalAmount, discountAmount, amount: roundMoney(originalAmount - discountAmount) };
+};
+
+/**
+ * Discount on a renewal of a subscription that was bought with a coupon: once coupons only
+ * covered the first payment, repeating ones cover periods starting before their end date
+ * @param {Object} subscription - Subscription
+ * @param {number} price - Period price
+ * @param {Date} periodStart - Start of the period being charged
+ * @param {string} currency - Currency of the charge
+ * @returns {number} Discount
+ */
+const getRenewalDiscount = (subscription, price, periodStart, currency) => {
+  const discount = subscription.discount;
+  if (!discount?.code || discount.duration === 'once') return 0;
+  if (discount.duration === 'repeating' && (!discount.endsAt || periodStart >= discount.endsAt)) return 0;
+  if (discount.discountType === 'fixed' && discount.currency !== currency) return 0;
+  return calculateDiscount(discount, price);
+};
+
+module.exports = {
+  normalizeCode,
+  findApplicableCoupon,
+  calculateDiscount,
+  redeemCoupon,
+  recordCouponRedemption,
+  buildSubscriptionDiscount,
+  applyCouponToCheckout,
+  getRenewalDiscount
+};
@@ -0,0 +1,369 @@
+const PDFDocument = require('pdfkit');
+const CreditNote = require('../models/creditNote');
+const Invoice = require('../models/Invoice');
+const SendGridService = require('../services/sendGridService');
+const { AppError, BadRequestError, ConflictError } = require('../utils/errors');
+const { roundMoney } = require('../utils/moneyUtils');
+const { escapeHtml } = require('../utils/htmlUtils');
+
+// Drafts can still be edited and cancelled invoices are owed nothing
+const CREDITABLE_INVOICE_STATUSES = ['sent', 'overdue', 'partially_paid', 'paid', 'overpaid'];
+const PAGE_MARGIN = 50;
+
+/**
+ * Amount already credited per invoice line by issued credit notes
+ * @param {string} invoiceId - Invoice ID
+ * @returns {Map} invoiceItemId -> credited totalPrice
+ */
+const getCreditedAmounts = async (invoiceId) => {
+  const notes = await CreditNote.find({ invoiceId, status: 'issued' }).select('items');
+  const credited = new Map();
+  notes.forEach(note => note.items.forEach(item => {
+    const key = String(item.invoiceItemId);
+    credited.set(key, roundMoney((credited.get(key) || 0) + item.totalPrice));
+  }));
+  return credited;
+};
+
+/**
+ * Turn a credit request into credit note lines. Each request names an invoice line and
+ * either a quantity or an amount; tax and the invoice discount are credited in proportion.
+ * An empty request credits whatever is left on every line.
+ * @param {Object} invoice - Invoice document
+ * @param {Array} requested - [{ itemId, quantity } | { itemId, amount }]
+ * @param {Map} credited - Amount already credited per invoice line
+ * @returns {Array} Credit note lines
+ */
+const buildCreditLines = (invoice, requested, credited) => {
+  const itemsTotal = invoice.items.reduce((sum, item) => sum + item.totalPrice, 0);
+  // Tax engine invoices carry tax per line; older invoices only have an invoice-level tax
+  const perLineTax = invoice.items.some(item => item.taxAmount > 0);
+  const remainingOn = (item) => roundMoney(item.totalPrice - (credited.get(String(item._id)) || 0));
+
+  const requests = requested?.length > 0
+    ? requested
+    : invoice.items.filter(item => remainingOn(item) > 0).map(item => ({ itemId: item._id, amount: remainingOn(item), full: true }));
+  if (requests.length === 0) {
+    throw new ConflictError('Every line of this invoice has already been credited');
+  }
+
+  const seen = new Set();
+  return requests.map(request => {
+    const item = invoice.items.id(request.itemId);
+    if (!item) {
+      throw new BadRequestError(`Invoice has no line ${request.itemId}`);
+    }
+    if (seen.has(String(item._id))) {
+      throw new BadRequestError(`Line "${item.name}" is listed more than once`);
+    }
+    seen.add(String(item._id));
+
+    const byQuantity = request.amount === undefined;
+    const quantity = Number(request.quantity);
+    const amount = byQuantity ? roundMoney(item.totalPrice * quantity / item.quantity) : roundMoney(Number(request.amount));
+    if (!(amount > 0) || (byQuantity && !(quantity > 0))) {
+      throw new BadRequestError(`Credit for "${item.name}" needs a positive quantity or amount`);
+    }
+
+    const remaining = remainingOn(item);
+    if (amount > remaining + 0.005) {
+      throw new BadRequestError(`Only ${remaining.toFixed(2)} of "${item.name}" is left to credit`);
+    }
+
+    const share = item.totalPrice ? amount / item.totalPrice : 0;
+    const taxAmount = perLineTax
+      ? roundMoney((item.taxAmount || 0) * share)
+      : roundMoney(itemsTotal ? (invoice.taxAmount || 0) * amount / itemsTotal : 0);
+
+    return {
+      invoiceItemId: item._id,
+      name: item.name,
+      description: byQuantity || request.full ? item.description : `Price adjustment${item.description ? `: ${item.description}` : ''}`,
+      quantity: byQuantity ? quantity : (request.full ? roundMoney(item.quantity * share) : 1),
+      unitPrice: byQuantity || request.full ? item.unitPrice : amount,
+      totalPrice: amount,
+      taxRate: item.taxRate || 0,
+      taxAmount,
+      discountAmount: roundMoney(itemsTotal ? (invoice.discountAmount || 0) * amount / itemsTotal : 0)
+    };
+  });
+};
+
+/**
+ * Issue a credit note against an invoice and take it off the invoice's balance. A note
+ * that credits every line of an unpaid invoice in full cancels it; on an invoice with
+ * payments the status follows the new amount owed (a credit after payment leaves it overpaid).
+ * @param {Object} invoice - Invoice document
+ * @param {Object} organization - The invoice's Organization
+ * @param {Object} options - items, reason, userId
+ * @returns {Object} { creditNote, invoice }
+ */
+const issueCreditNote = async (invoice, organization, { items, reason, userId }) => {
+  if (!CREDITABLE_INVOICE_STATUSES.includes(invoice.status)) {
+    throw new ConflictError(invoice.status === 'draft'
+      ? 'Draft invoices are edited, not credited'
+      : `A ${invoice.status} invoice cannot be credited`);
+  }
+  if (!reason || !String(reason).trim()) {
+    throw new BadRequestError('A reason is required for a credit note');
+  }
+
+  const credited = await getCreditedAmounts(invoice._id);
+  const lines = buildCreditLines(invoice, items, credited);
+
+  const linesTotal = roundMoney(lines.reduce((sum, line) => sum + line.totalPrice, 0));
+  const taxAmount = roundMoney(lines.reduce((sum, line) => sum + line.taxAmount, 0));
+  const discountAmount = roundMoney(lines.reduce((sum, line) => sum + line.discountAmount, 0));
+  let subtotal = invoice.pricesIncludeTax ? roundMoney(linesTotal - taxAmount) : linesTotal;
+  let totalAmount = roundMoney(subtotal + taxAmount - discountAmount);
+
+  const creditable = roundMoney(invoice.totalAmount - (invoice.creditedAmount || 0));
+  const fullyCredited = invoice.items.every(item =>
+    roundMoney(item.totalPrice - (credited.get(String(item._id)) || 0) -
+      (lines.find(line => String(line.invoiceItemId) === String(item._id))?.totalPrice || 0)) <= 0);
+  if (fullyCredited) {
+    // The last credit takes whatever rounding left on the invoice
+    subtotal = roundMoney(subtotal + creditable - totalAmount);
+    totalAmount = creditable;
+  }
+  if (totalAmount > creditable + 0.01) {
+    throw new BadRequestError(`Credit of ${totalAmount.toFixed(2)} exceeds the ${creditable.toFixed(2)} left to credit on this invoice`);
+  }
+
+  // Take the credit off the invoice before the note exists, guarded on what is still creditable,
+  // so a concurrent note that read the same balance fails here instead of over-crediting
+  const reserved = await Invoice.findOneAndUpdate(
+    {
+      _id: invoice._id,
+      status: { $in: CREDITABLE_INVOICE_STATUSES },
+      $expr: { $lte: [{ $add: [{ $ifNull: ['$creditedAmount', 0] }, totalAmount] }, { $add: ['$totalAmount', 0.01] }] }
+    },
+    { $inc: { creditedAmount: totalAmount } },
+    { new: true }
+  );
+  if (!reserved) {
+    throw new ConflictError('The invoice was credited or changed meanwhile; reload it and try again');
+  }
+
+  let creditNote;
+  try {
+    creditNote = await CreditNote.create({
+      invoiceId: invoice._id,
+      invoiceNumber: invoice.invoiceNumber,
+      organizationId: invoice.organizationId,
+      customerId: invoice.customerId?._id || invoice.customerId,
+      customerName: invoice.customerName,
+      customerEmail: invoice.customerEmail,
+      reason: String(reason).trim(),
+      items: lines,
+      pricesIncludeTax: Boolean(invoice.pricesIncludeTax),
+      subtotal,
+      taxAmount,
+      discountAmount,
+      totalAmount,
+      currency: invoice.currency,
+      vatNumber: organization?.taxSettings?.vatNumber || null,
+      taxNote: invoice.taxNote || null,
+      invoiceStatusBefore: fullyCredited && !(invoice.amountPaid > 0) && invoice.status !== 'paid' ? invoice.status : null,
+      createdBy: userId
+    });
+  } catch (error) {
+    await Invoice.updateOne({ _id: invoice._id }, { $inc: { creditedAmount: -totalAmount } });
+    throw error;
+  }
+
+  // Already stored by the guarded update; saving it again could overwrite a concurrent change
+  invoice.creditedAmount = roundMoney(reserved.creditedAmount);
+  invoice.unmarkModified('creditedAmount');
+  if (creditNote.invoiceStatusBefore) {
+    invoice.status = 'cancelled';
+  } else if (invoice.amountPaid > 0) {
+    invoice.updatePaymentStatus();
+  }
+  invoice.updatedBy = userId;
+  await invoice.save();
+
+  return { creditNote, invoice };
+};
+
+/**
+ * Void an issued credit note and put its amount back on the invoice. The void is claimed
+ * atomically, so the amount goes back once however many requests void the note.
+ * @param {Object} creditNote - CreditNote document
+ * @param {Object} invoice - The credited Invoice
+ * @param {Object} options - reason, userId
+ * @returns {Object} { creditNote, invoice }
+ */
+const voidCreditNote = async (creditNote, invoice, { reason, userId }) => {
+  const voided = await CreditNote.findOneAndUpdate(
+    { _id: creditNote._id, status: 'issued' },
+    { $set: { status: 'void', voidedAt: new Date(), voidReason: reason || null, updatedBy: userId } },
+    { new: true }
+  );
+  if (!voided) {
+    throw new ConflictError('Credit note has already been voided');
+  }
+  creditNote = voided;
+
+  if (invoice) {
+    const released = await Invoice.findByIdAndUpdate(invoice._id, { $inc: { creditedAmount: -creditNote.totalAmount } }, { new: true });
+    invoice.creditedAmount = Math.max(roundMoney(released ? released.creditedAmount : (invoice.creditedAmount || 0) - creditNote.totalAmount), 0);
+    invoice.unmarkModified('creditedAmount');
+    if (creditNote.invoiceStatusBefore && invoice.status === 'cancelled') {
+      invoice.status = creditNote.invoiceStatusBefore;
+    } else if (invoice.amountPaid > 0) {
+      invoice.updatePaymentStatus();
+    }
+    invoice.updatedBy = userId;
+    await invoice.save();
+  }
+
+  return { creditNote, invoice };
+};
+
+const formatMoney = (amount, currency) => `${currency} ${Number(amount || 0).toFixed(2)}`;
+
+/**
+ * Draw a credit note: supplier and customer, the invoice it credits, the credited lines and totals
+ * @param {PDFDocument} doc - pdfkit document
+ * @param {Object} creditNote - CreditNote document
+ * @param {Object} organization - Issuing Organization
+ */
+const renderCreditNotePDF = (doc, creditNote, organization) => {
+  const currency = creditNote.currency;
+  const address = organization?.address || {};
+
+  doc.fontSize(20).font('Helvetica-Bold').text(creditNote.status === 'void' ? 'CREDIT NOTE (VOID)' : 'CREDIT NOTE', { align: 'center' });
+  doc.moveDown();
+
+  doc.fontSize(10).font('Helvetica-Bold').text(organization?.name || '');
+  doc.font('Helvetica');
+  [address.street, [address.city, address.state, address.postalCode].filter(Boolean).join(', '), address.country, organization?.email]
+    .filter(Boolean)
+    .forEach(line => doc.text(line));
+  if (creditNote.vatNumber) doc.text(`VAT Number: ${creditNote.vatNumber}`);
+  doc.moveDown();
+
+  doc.fontSize(12).text(`Credit Note Number: ${creditNote.creditNoteNumber}`);
+  doc.text(`Date: ${new Date(creditNote.issueDate).toLocaleDateString()}`);
+  doc.text(`Credits Invoice: ${creditNote.invoiceNumber}`);
+  doc.moveDown();
+  doc.text(`Customer: ${creditNote.customerName || '-'}`);
+  if (creditNote.customerEmail) doc.text(`Email: ${creditNote.customerEmail}`);
+  doc.moveDown();
+  doc.text(`Reason: ${creditNote.reason}`);
+  doc.moveDown();
+
+  const columns = [
+    { label: 'Item', x: PAGE_MARGIN, width: 220 },
+    { label: 'Qty', x: 275, width: 50 },
+    { label: 'Unit Price', x: 330, width: 90 },
+    { label: 'Amount', x: 425, width: 110 }
+  ];
+  doc.fontSize(10).font('Helvetica-Bold');
+  let y = doc.y;
+  columns.forEach(column => doc.text(column.label, column.x, y, { width: column.width }));
+  doc.moveTo(PAGE_MARGIN, doc.y + 2).lineTo(doc.page.width - PAGE_MARGIN, doc.y + 2).stroke();
+  doc.moveDown(0.5).font('Helvetica');
+
+  creditNote.items.forEach(item => {
+    const label = item.description ? `${item.name}\n${item.description}` : item.name;
+    const height = doc.heightOfString(label, { width: columns[0].width }) + 4;
+    if (doc.y + height > doc.page.height - PAGE_MARGIN) doc.addPage();
+    y = doc.y;
+    doc.text(label, columns[0].x, y, { width: columns[0].width });
+    doc.text(String(item.quantity), columns[1].x, y, { width: columns[1].width });
+    doc.text(formatMoney(item.unitPrice, currency), columns[2].x, y, { width: columns[2].width });
+    doc.text(formatMoney(item.totalPrice, currency), columns[3].x, y, { width: columns[3].width });
+    doc.y = y + height;
+  });
+
+  doc.x = PAGE_MARGIN;
+  doc.moveDown();
+  doc.text(`Subtotal: ${formatMoney(creditNote.subtotal, currency)}`, { align: 'right' });
+  doc.text(`Tax: ${formatMoney(creditNote.taxAmount, currency)}`, { align: 'right' });
+  if (creditNote.discountAmount) doc.text(`Discount: -${formatMoney(creditNote.discountAmount, currency)}`, { align: 'right' });
+  doc.font('Helvetica-Bold').text(`Total Credited: ${formatMoney(creditNote.totalAmount, currency)}`, { align: 'right' });
+  doc.font('Helvetica');
+  if (creditNote.pricesIncludeTax) doc.text('Prices include tax.', { align: 'right' });
+  if (creditNote.taxNote) {
+    doc.moveDown();
+    doc.text(creditNote.taxNote, PAGE_MARGIN);
+  }
+};
+
+// Render the credit note to a buffer for email attachments
+const creditNotePDFBuffer = (creditNote, organization) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: PAGE_MARGIN });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+  renderCreditNotePDF(doc, creditNote, organization);
+  doc.end();
+});
+
+/**
+ * Email the credit note to the customer (or another recipient) with the PDF attached
+ * @param {Object} creditNote - CreditNote document
+ * @param {Object} organization - Issuing Organization
+ * @param {Object} options - recipientEmail, userId
+ * @returns {Object} The updated credit note
+ */
+const emailCreditNote = async (creditNote, organization, { recipientEmail, userId }) => {
+  const to = recipientEmail || creditNote.customerEmail;
+  if (!to) {
+    throw new BadRequestError('The credit note has no customer email; give a recipientEmail');
+  }
+
+  const pdf = await creditNotePDFBuffer(creditNote, organization);
+  const senderName = organization?.name || 'Us';
+  const amount = formatMoney(creditNote.totalAmount, creditNote.currency);
+  const result = await SendGridService.sendEmail({
+    to,
+    subject: `Credit note ${creditNote.creditNoteNumber} for invoice ${creditNote.invoiceNumber}`,
+    html: `
+      <p>Hello ${escapeHtml(creditNote.customerName)},</p>
+      <p>${escapeHtml(senderName)} has issued credit note <strong>${escapeHtml(creditNote.creditNoteNumber)}</strong> for
+      <strong>${escapeHtml(amount)}</strong> against invoice ${escapeHtml(creditNote.invoiceNumber)}.</p>
+      <p>Reason: ${escapeHtml(creditNote.reason)}</p>
+      <p>The credit note is attached.</p>
+    `,
+    replyTo: organization?.email || undefined,
+    attachments: [{
+      content: pdf.toString('base64'),
+      filename: `credit-note-${creditNote.creditNoteNumber}.pdf`,
+      type: 'application/pdf'
+    }],
+    userId,
+    organizationId: creditNote.organizationId
+  });
+
+  creditNote.emailRecipients.push({
+    email: to,
+    sentAt: new Date(),
+    status: result.success ? 'sent' : 'failed',
+    error: result.success ? undefined : result.error
+  });
+  if (result.success) {
+    creditNote.emailSent = true;
+    creditNote.emailSentDate = new Date();
+  }
+  creditNote.updatedBy = userId;
+  await creditNote.save();
+
+  if (!result.success) {
+    throw new AppError(`Credit note email failed: ${result.error}`, 502);
+  }
+  return creditNote;
+};
+
+module.exports = {
+  CREDITABLE_INVOICE_STATUSES,
+  getCreditedAmounts,
+  buildCreditLines,
+  issueCreditNote,
+  voidCreditNote,
+  renderCreditNotePDF,
+  emailCreditNote
+};
@@ -0,0 +1,187 @@
+const cron = require('node-cron');
+const Invoice = require('../models/Invoice');
+const Organization = require('../models/organization');
+const { onlineLink, sendInvoiceEmail } = require('./invoiceDocumentHelper');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Only invoices the customer has been sent and still owes on get reminders
+const DUNNING_INVOICE_STATUSES = ['sent', 'overdue', 'partially_paid'];
+
+const startOfDay = (date) => {
+  const day = new Date(date);
+  day.setHours(0, 0, 0, 0);
+  return day;
+};
+
+const daysBetween = (from, to) => Math.round((startOfDay(to) - startOfDay(from)) / DAY_MS);
+
+// Reminder offsets from the due date, earliest first: -3 is three days before, 7 a week after
+const getReminderOffsets = (settings = {}) => [...new Set([
+  ...(settings.daysBefore || []).map(days => -Math.abs(days)),
+  ...(settings.daysAfter || []).map(days => Math.abs(days))
+])].sort((a, b) => a - b);
+
+/**
+ * Which reminder an invoice is due for today. When several have come due (the job did not
+ * run, or the invoice was issued late) only the latest is sent and the others are skipped;
+ * reminders that fall before the invoice was issued are skipped too.
+ * @param {Object} invoice - Invoice document
+ * @param {Array} offsets - Reminder offsets from getReminderOffsets
+ * @param {Date} now
+ * @returns {Object|null} { offsetDays, skipped: [offsets] }
+ */
+const findDueReminder = (invoice, offsets, now) => {
+  const daysFromDue = daysBetween(invoice.dueDate, now);
+  const handled = new Set((invoice.dunning?.remindersSent || []).map(reminder => reminder.offsetDays));
+  const issuedDaysFromDue = daysBetween(invoice.dueDate, invoice.emailSentDate || invoice.issueDate || invoice.createdAt);
+
+  const pending = offsets.filter(offset => offset <= daysFromDue && !handled.has(offset));
+  if (pending.length === 0) return null;
+
+  const offsetDays = pending[pending.length - 1];
+  const skipped = pending.slice(0, -1);
+  if (offsetDays < issuedDaysFromDue) {
+    return { offsetDays: null, skipped: pending };
+  }
+  return { offsetDays, skipped };
+};
+
+const formatAmount = (invoice) => `${invoice.currency} ${invoice.getBalanceDue().toFixed(2)}`;
+
+const buildReminderEmail = (invoice, organization, daysFromDue) => {
+  const dueDate = invoice.dueDate.toLocaleDateString();
+  let subject;
+  let lead;
+  if (daysFromDue < 0) {
+    const days = Math.abs(daysFromDue);
+    subject = `Reminder: invoice ${invoice.invoiceNumber} is due in ${days} day${days === 1 ? '' : 's'}`;
+    lead = `This is a friendly reminder that invoice <strong>${invoice.invoiceNumber}</strong> for <strong>${formatAmount(invoice)}</strong> is due on ${dueDate}.`;
+  } else if (daysFromDue === 0) {
+    subject = `Invoice ${invoice.invoiceNumber} is due today`;
+    lead = `Invoice <strong>${invoice.invoiceNumber}</strong> for <strong>${formatAmount(invoice)}</strong> is due today.`;
+  } else {
+    subject = `Overdue: invoice ${invoice.invoiceNumber} was due ${daysFromDue} day${daysFromDue === 1 ? '' : 's'} ago`;
+    lead = `Our records show that invoice <strong>${invoice.invoiceNumber}</strong> for <strong>${formatAmount(invoice)}</strong> was due on ${dueDate} and is still unpaid.`;
+  }
+
+  return {
+    subject,
+    html: `
+      <p>Hello ${invoice.customerName || ''},</p>
+      <p>${lead}</p>
+      <p>The invoice is attached. If you have already paid, please disregard this message.</p>
+      ${onlineLink(invoice)}
+      <p>${organization?.name || ''}</p>
+    `
+  };
+};
+
+/**
+ * Send today's reminder for one invoice, marking it overdue once past its due date
+ * @param {Object} invoice - Invoice document
+ * @param {Object} organization - Organization with dunningSettings
+ * @param {Date} [now]
+ * @returns {string|null} 'sent', 'failed' or null when no reminder was due
+ */
+const processInvoiceDunning = async (invoice, organization, now = new Date()) => {
+  if (!DUNNING_INVOICE_STATUSES.includes(invoice.status) || invoice.dunning?.paused || invoice.getBalanceDue() <= 0) {
+    return null;
+  }
+
+  if (invoice.status === 'sent' && startOfDay(invoice.dueDate) < startOfDay(now)) {
+    invoice.status = 'overdue';
+  }
+
+  const due = findDueReminder(invoice, getReminderOffsets(organization.dunningSettings), now);
+  if (!due) {
+    if (invoice.isModified()) await invoice.save();
+    return null;
+  }
+
+  due.skipped.forEach(offsetDays => invoice.dunning.remindersSent.push({ offsetDays, status: 'skipped' }));
+  if (due.offsetDays === null) {
+    await invoice.save();
+    return null;
+  }
+
+  const email = buildReminderEmail(invoice, organization, daysBetween(invoice.dueDate, now));
+  const result = await sendInvoiceEmail(invoice, organization, email);
+  invoice.dunning.remindersSent.push({
+    offsetDays: due.offsetDays,
+    sentAt: new Date(),
+    status: result.success ? 'sent' : 'failed',
+    error: result.success ? undefined : result.error
+  });
+  await invoice.save();
+  return result.success ? 'sent' : 'failed';
+};
+
+/**
+ * Send the reminders due today for every organization with dunning enabled. Paid and
+ * cancelled invoices are never picked up, so a sequence stops as soon as the invoice is paid.
+ * @param {Date} [now]
+ * @returns {Object} { checked, sent, failed }
+ */
+const sendDunningReminders = async (now = new Date()) => {
+  const organizations = await Organization.find({ 'dunningSettings.enabled': true }).select('name email dunningSettings');
+  const summary = { checked: 0, sent: 0, failed: 0 };
+
+  for (const organization of organizations) {
+    const offsets = getReminderOffsets(organization.dunningSettings);
+    if (offsets.length === 0) continue;
+
+    const invoices = await Invoice.find({
+      organizationId: organization._id,
+      status: { $in: DUNNING_INVOICE_STATUSES },
+      'dunning.paused': { $ne: true },
+      dueDate: { $lt: new Date(startOfDay(now).getTime() + (1 - offsets[0]) * DAY_MS) }
+    });
+
+    for (const invoice of invoices) {
+      summary.checked += 1;
+      try {
+        const outcome = await processInvoiceDunning(invoice, organization, now);
+        if (outcome === 'sent') summary.sent += 1;
+        if (outcome === 'failed') summary.failed += 1;
+      } catch (error) {
+        summary.failed += 1;
+        console.error(`❌ Dunning reminder failed for invoice ${invoice.invoiceNumber}:`, error.message);
+      }
+    }
+  }
+  return summary;
+};
+
+// Flag to prevent overlapping runs
+let isSendingReminders = false;
+
+// Send payment reminders once a day at 9 AM
+const scheduleDunningReminders = () => {
+  cron.schedule('0 9 * * *', async () => {
+    if (isSendingReminders) {
+      console.log('⏰ Dunning run already in progress, skipping...');
+      return;
+    }
+
+    isSendingReminders = true;
+    try {
+      const summary = await sendDunningReminders();
+      if (summary.checked > 0) {
+        console.log(`⏰ Dunning: ${summary.checked} invoices checked, ${summary.sent} reminders sent, ${summary.failed} failed`);
+      }
+    } catch (error) {
+      console.error('❌ Error in dunning run:', error.message);
+    } finally {
+      isSendingReminders = false;
+    }
+  });
+};
+
+module.exports = {
+  DUNNING_INVOICE_STATUSES,
+  getReminderOffsets,
+  findDueReminder,
+  processInvoiceDunning,
+  sendDunningReminders,
+  scheduleDunningReminders
+};
@@ -0,0 +1,380 @@
+const mongoose = require('mongoose');
+const Order = require('../models/order');
+const Store = require('../models/store');
+const Inventory = require('../models/inventory');
+const Warehouse = require('../models/warehouse');
+const StockLevel = require('../models/stockLevel');
+const FulfillmentBatch = require('../models/fulfillmentBatch');
+const { getCommerceAdapter } = require('../services/commerceAdapterRegistry');
+const { orderNotificationHelper } = require('../helpers/orderNotificationHelper');
+const { BadRequestError, ConflictError } = require('../utils/errors');
+
+const DEFAULT_BATCH_SIZE = 50;
+// What packing a batch does to its orders: `packed` only stamps them, `completed` also completes them
+const PACKED_ORDER_STATUSES = ['packed', 'completed'];
+
+const PAGE_MARGIN = 40;
+
+/**
+ * Processing orders for a new batch, oldest first. Orders already packed or in an open batch are left out;
+ * when orderIds are given, any that cannot be batched is an error.
+ * @param {string} organizationId - Organization ID
+ * @param {Object} [options] - orderIds, storeIds, limit
+ * @returns {Array} Order documents
+ */
+const selectBatchOrders = async (organizationId, { orderIds, storeIds, limit = DEFAULT_BATCH_SIZE } = {}) => {
+  const filter = { organizationId, status: 'processing', packedAt: null };
+  if (Array.isArray(orderIds) && orderIds.length > 0) {
+    if (orderIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      throw new BadRequestError('orderIds must be valid order IDs');
+    }
+    filter._id = { $in: orderIds };
+  }
+  if (Array.isArray(storeIds) && storeIds.length > 0) {
+    if (storeIds.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+      throw new BadRequestError('storeIds must be valid store IDs');
+    }
+    filter.storeId = { $in: storeIds };
+  }
+
+  const openBatches = await FulfillmentBatch.find({ organizationId, status: 'open' }).select('orders.orderId');
+  const batched = openBatches.flatMap(batch => batch.orders.map(entry => entry.orderId));
+  if (batched.length > 0) {
+    filter._id = { ...(filter._id || {}), $nin: batched };
+  }
+
+  const orders = await Order.find(filter)
+    .sort({ date_created: 1, createdAt: 1 })
+    .limit(filter._id?.$in ? orderIds.length : Math.min(Math.max(parseInt(limit, 10) || DEFAULT_BATCH_SIZE, 1), 500));
+
+  if (filter._id?.$in && orders.length !== new Set(orderIds.map(String)).size) {
+    const found = new Set(orders.map(order => String(order._id)));
+    const missing = orderIds.filter(id => !found.has(String(id)));
+    throw new BadRequestError(`Orders not found, not processing or already in an open batch: ${missing.join(', ')}`);
+  }
+  if (orders.length === 0) {
+    throw new BadRequestError('No processing orders to batch');
+  }
+  return orders;
+};
+
+/**
+ * Consolidated pick list: every unit in the orders grouped by SKU and bin. Products are picked
+ * from the batch's warehouse, or else from the store location holding the most of them.
+ * @param {Array} orders - Order documents
+ * @param {Object} [options] - warehouseId
+ * @returns {Array} Pick list lines sorted by warehouse, bin and SKU
+ */
+const buildPickList = async (orders, { warehouseId = null } = {}) => {
+  const lineItems = orders.flatMap(order => (order.line_items || []).map(item => ({ order, item })));
+  const productIds = [...new Set(lineItems.map(({ item }) => item.inventoryId).filter(Boolean).map(String))];
+  const storeIds = [...new Set(orders.map(order => order.storeId).filter(Boolean).map(String))];
+
+  const [products, stores] = await Promise.all([
+    Inventory.find({ _id: { $in: productIds } }).select('sku name'),
+    Store.find({ _id: { $in: storeIds } }).select('stockLocations')
+  ]);
+  const productsById = new Map(products.map(product => [String(product._id), product]));
+  const locationsByStore = new Map(stores.map(store => [String(store._id), (store.stockLocations || []).map(String)]));
+
+  const warehouseIds = warehouseId
+    ? [String(warehouseId)]
+    : [...new Set(stores.flatMap(store => (store.stockLocations || []).map(String)))];
+  const [levels, warehouses] = await Promise.all([
+    StockLevel.find({ productId: { $in: productIds }, warehouseId: { $in: warehouseIds } }),
+    Warehouse.find({ _id: { $in: warehouseIds } }).select('code')
+  ]);
+  const codes = new Map(warehouses.map(warehouse => [String(warehouse._id), warehouse.code]));
+
+  // Where to pick a product for an order: the batch warehouse, or the store's fullest location
+  const pickLocation = (productId, storeId) => {
+    const candidates = levels.filter(level => String(level.productId) === productId && (
+      warehouseId ? true : (locationsByStore.get(String(storeId)) || []).includes(String(level.warehouseId))
+    ));
+    if (candidates.length === 0) {
+      return { warehouseId: warehouseId || null, bin: null };
+    }
+    const best = candidates.reduce((most, level) => (level.quantity > most.quantity ? level : most));
+    return { warehouseId: best.warehouseId, bin: best.bin };
+  };
+
+  const lines = new Map();
+  lineItems.forEach(({ order, item }) => {
+    const productId = item.inventoryId ? String(item.inventoryId) : null;
+    const product = productId && productsById.get(productId);
+    const location = product ? pickLocation(productId, order.storeId) : { warehouseId: warehouseId || null, bin: null };
+    const key = `${productId || item.name}|${location.warehouseId || ''}|${location.bin || ''}`;
+
+    if (!lines.has(key)) {
+      lines.set(key, {
+        productId: product ? product._id : null,
+        sku: product?.sku || null,
+        name: product?.name || item.name,
+        warehouseId: location.warehouseId,
+        warehouseCode: location.warehouseId ? codes.get(String(location.warehouseId)) || null : null,
+        bin: location.bin || null,
+        quantity: 0,
+        orders: []
+      });
+    }
+    const line = lines.get(key);
+    line.quantity += item.quantity;
+    line.orders.push({ orderId: order._id, number: order.number || null, quantity: item.quantity });
+  });
+
+  // Walk the floor in order: warehouse, then bin (unbinned last), then SKU
+  const sortKey = (value) => (value == null ? '\uffff' : String(value));
+  return [...lines.values()].sort((a, b) =>
+    sortKey(a.warehouseCode).localeCompare(sortKey(b.warehouseCode)) ||
+    sortKey(a.bin).localeCompare(sortKey(b.bin), undefined, { numeric: true }) ||
+    sortKey(a.sku).localeCompare(sortKey(b.sku)));
+};
+
+/**
+ * Batch the selected orders and build their pick list
+ * @param {string} organizationId - Organization ID
+ * @param {Object} options - orderIds, storeIds, limit, warehouseId, notes, userId
+ * @returns {Object} Saved FulfillmentBatch
+ */
+const createFulfillmentBatch = async (organizationId, { orderIds, storeIds, limit, warehouseId = null, notes = null, userId } = {}) => {
+  if (warehouseId) {
+    const warehouse = mongoose.Types.ObjectId.isValid(warehouseId)
+      ? await Warehouse.findOne({ _id: warehouseId, organizationId, isActive: true })
+      : null;
+    if (!warehouse) {
+      throw new BadRequestError('Warehouse not found');
+    }
+  }
+
+  const orders = await selectBatchOrders(organizationId, { orderIds, storeIds, limit });
+  const pickList = await buildPickList(orders, { warehouseId });
+
+  return await FulfillmentBatch.create({
+    organizationId,
+    userId,
+    warehouseId,
+    orders: orders.map(order => ({
+      orderId: order._id,
+      storeId: order.storeId,
+      number: order.number || null,
+      previousStatus: order.status
+    })),
+    pickList,
+    totalUnits: pickList.reduce((sum, line) => sum + line.quantity, 0),
+    notes
+  });
+};
+
+// Complete a packed order in the store as well, and tell the customer
+const completePackedOrder = async (order, stores) => {
+  if (order.wooCommerceId && order.storeId) {
+    const storeKey = String(order.storeId);
+    if (!stores.has(storeKey)) stores.set(storeKey, await Store.findById(order.storeId));
+    const store = stores.get(storeKey);
+
+    try {
+      const result = store ? await getCommerceAdapter(store).updateOrder(order.wooCommerceId, order.toObject()) : null;
+      if (result?.success) {
+        order.syncStatus = 'synced';
+        order.syncError = null;
+        order.lastWooCommerceSync = new Date();
+      } else if (result) {
+        order.syncStatus = 'failed';
+        order.syncError = result.error?.message || String(result.error || 'Store sync failed');
+      }
+    } catch (error) {
+      order.syncStatus = 'failed';
+      order.syncError = error.message;
+    }
+    await order.save();
+  }
+
+  await orderNotificationHelper.notifyOrderStatusUpdated(order, 'processing', 'completed');
+};
+
+/**
+ * Mark a batch packed and stamp each of its orders that is still processing as packed. With
+ * orderStatus `completed` those orders are also completed, in the store too, and the customer
+ * is told. Each order is claimed on its own, so orders changed since batching or packed by
+ * another request are left alone and reported.
+ * @param {Object} batch - FulfillmentBatch document
+ * @param {Object} [options] - orderStatus (packed or completed), userId
+ * @returns {Object} { updated, skipped (order IDs) }
+ */
+const packFulfillmentBatch = async (batch, { orderStatus = 'packed', userId } = {}) => {
+  if (batch.status !== 'open') {
+    throw new ConflictError(`Fulfillment batch is already ${batch.status}`);
+  }
+  if (!PACKED_ORDER_STATUSES.includes(orderStatus)) {
+    throw new BadRequestError(`orderStatus must be one of: ${PACKED_ORDER_STATUSES.join(', ')}`);
+  }
+
+  const now = new Date();
+  const complete = orderStatus === 'completed';
+  const stores = new Map();
+  const packed = new Set();
+
+  for (const { orderId } of batch.orders) {
+    const order = await Order.findOneAndUpdate(
+      { _id: orderId, organizationId: batch.organizationId, status: 'processing', packedAt: null },
+      { $set: {
+        packedAt: now,
+        fulfillmentBatchId: batch._id,
+        ...(complete ? { status: 'completed', date_completed: now, date_modified: now } : {})
+      } },
+      { new: true }
+    );
+    if (!order) continue;
+    packed.add(String(orderId));
+
+    if (complete) {
+      try {
+        await completePackedOrder(order, stores);
+      } catch (error) {
+        console.error(`❌ Could not finish completing order ${order._id} from batch ${batch.batchNumber}:`, error.message);
+      }
+    }
+  }
+
+  batch.status = 'packed';
+  batch.packedAt = now;
+  batch.packedBy = userId || null;
+  await batch.save();
+
+  return {
+    updated: packed.size,
+    skipped: batch.orders.map(entry => entry.orderId).filter(id => !packed.has(String(id)))
+  };
+};
+
+// New page once the next row would run off this one
+const ensureSpace = (doc, height, onNewPage) => {
+  if (doc.y + height > doc.page.height - PAGE_MARGIN) {
+    doc.addPage();
+    if (onNewPage) onNewPage();
+  }
+};
+
+/**
+ * Draw the batch's pick list: one row per SKU and bin with the orders it goes to
+ * @param {PDFDocument} doc - pdfkit document
+ * @param {Object} batch - FulfillmentBatch document
+ */
+const renderPickListPDF = (doc, batch) => {
+  const columns = [
+    { label: 'Location', x: PAGE_MARGIN, width: 80 },
+    { label: 'SKU', x: 125, width: 90 },
+    { label: 'Product', x: 220, width: 170 },
+    { label: 'Qty', x: 395, width: 35 },
+    { label: 'Orders', x: 435, width: 120 }
+  ];
+  const drawHeader = () => {
+    doc.fontSize(9).font('Helvetica-Bold');
+    const y = doc.y;
+    columns.forEach(column => doc.text(column.label, column.x, y, { width: column.width }));
+    doc.moveTo(PAGE_MARGIN, doc.y + 2).lineTo(doc.page.width - PAGE_MARGIN, doc.y + 2).stroke();
+    doc.moveDown(0.5).font('Helvetica');
+  };
+
+  doc.fontSize(18).font('Helvetica-Bold').text(`PICK LIST ${batch.batchNumber}`, PAGE_MARGIN, PAGE_MARGIN);
+  doc.fontSize(10).font('Helvetica')
+    .text(`Created: ${batch.createdAt ? batch.createdAt.toLocaleString() : new Date().toLocaleString()}`)
+    .text(`Orders: ${batch.orders.length}    Units: ${batch.totalUnits}`);
+  doc.moveDown();
+  drawHeader();
+
+  batch.pickList.forEach(line => {
+    const location = [line.warehouseCode, line.bin].filter(Boolean).join(' / ') || '-';
+    const orders = line.orders.map(entry => `#${entry.number || entry.orderId} x${entry.quantity}`).join(', ');
+    const height = Math.max(
+      doc.heightOfString(line.name, { width: columns[2].width }),
+      doc.heightOfString(orders, { width: columns[4].width })
+    ) + 6;
+    ensureSpace(doc, height, drawHeader);
+
+    const y = doc.y;
+    doc.fontSize(9);
+    doc.text(location, columns[0].x, y, { width: columns[0].width });
+    doc.text(line.sku || '-', columns[1].x, y, { width: columns[1].width });
+    doc.text(line.name, columns[2].x, y, { width: columns[2].width });
+    doc.text(String(line.quantity), columns[3].x, y, { width: columns[3].width });
+    doc.text(orders, columns[4].x, y, { width: columns[4].width });
+    doc.y = y + height;
+    doc.x = PAGE_MARGIN;
+  });
+};
+
+const formatAddress = (address = {}) => [
+  `${address.first_name || ''} ${address.last_name || ''}`.trim(),
+  address.company,
+  address.address_1,
+  address.address_2,
+  [address.city, address.state, address.postcode].filter(Boolean).join(', '),
+  address.country
+].filter(Boolean).join('\n');
+
+/**
+ * Draw one packing slip page per order, in batch order
+ * @param {PDFDocument} doc - pdfkit document
+ * @param {Object} batch - FulfillmentBatch document
+ * @param {Array} orders - The batch's Order documents
+ * @param {Map} storeNames - Store name by store ID
+ */
+const renderPackingSlipsPDF = (doc, batch, orders, storeNames = new Map()) => {
+  const ordersById = new Map(orders.map(order => [String(order._id), order]));
+  const skus = new Map(batch.pickList.filter(line => line.productId).map(line => [String(line.productId), line.sku]));
+  const entries = batch.orders.map(entry => ordersById.get(String(entry.orderId))).filter(Boolean);
+
+  entries.forEach((order, index) => {
+    if (index > 0) doc.addPage();
+    const drawItemHeader = () => {
+      doc.fontSize(10).font('Helvetica-Bold');
+      const y = doc.y;
+      doc.text('SKU', PAGE_MARGIN, y, { width: 110 });
+      doc.text('Item', 155, y, { width: 300 });
+      doc.text('Qty', 470, y, { width: 60, align: 'right' });
+      doc.moveTo(PAGE_MARGIN, doc.y + 2).lineTo(doc.page.width - PAGE_MARGIN, doc.y + 2).stroke();
+      doc.moveDown(0.5).font('Helvetica');
+    };
+
+    doc.fontSize(18).font('Helvetica-Bold').text('PACKING SLIP', PAGE_MARGIN, PAGE_MARGIN);
+    doc.fontSize(10).font('Helvetica')
+      .text(storeNames.get(String(order.storeId)) || '')
+      .text(`Order: #${order.number || order._id}`)
+      .text(`Order date: ${order.date_created ? new Date(order.date_created).toLocaleDateString() : '-'}`)
+      .text(`Batch: ${batch.batchNumber}`);
+    doc.moveDown();
+
+    doc.font('Helvetica-Bold').text('Ship to:').font('Helvetica');
+    doc.text(formatAddress(order.shipping?.address_1 ? order.shipping : order.billing) || '-');
+    doc.moveDown();
+    drawItemHeader();
+
+    (order.line_items || []).forEach(item => {
+      const height = doc.heightOfString(item.name, { width: 300 }) + 4;
+      ensureSpace(doc, height, drawItemHeader);
+      const y = doc.y;
+      doc.fontSize(10);
+      doc.text((item.inventoryId && skus.get(String(item.inventoryId))) || '-', PAGE_MARGIN, y, { width: 110 });
+      doc.text(item.name, 155, y, { width: 300 });
+      doc.text(String(item.quantity), 470, y, { width: 60, align: 'right' });
+      doc.y = y + height;
+      doc.x = PAGE_MARGIN;
+    });
+
+    if (order.customer_note) {
+      doc.moveDown();
+      doc.font('Helvetica-Bold').text('Note:', PAGE_MARGIN).font('Helvetica').text(order.customer_note);
+    }
+  });
+};
+
+module.exports = {
+  PACKED_ORDER_STATUSES,
+  selectBatchOrders,
+  buildPickList,
+  createFulfillmentBatch,
+  packFulfillmentBatch,
+  renderPickListPDF,
+  renderPackingSlipsPDF
+};
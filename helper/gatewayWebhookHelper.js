@@ -0,0 +1,275 @@
+const crypto = require('crypto');
+const Payment = require('../models/payment');
+const PaymentGatewayKey = require('../models/paymentGatewayKey');
+const PaymentGatewayEvent = require('../models/paymentGatewayEvent');
+const logEvent = require('./logEvent');
+const { completeInvoiceCheckout } = require('./invoiceCheckoutHelper');
+const { applyBillingPayment, rememberPaymentAuthorization } = require('./subscriptionBillingHelper');
+const { recordCouponRedemption } = require('./couponHelper');
+const { BadRequestError, ConflictError, NotFoundError } = require('../utils/errors');
+
+const WEBHOOK_GATEWAYS = ['paystack', 'flutterwave', 'squad'];
+
+// Request headers kept with each event; signature headers are left out (Flutterwave's is the secret itself)
+const STORED_HEADERS = ['content-type', 'user-agent', 'x-forwarded-for'];
+
+const hmacSha512 = (secret, rawBody) => crypto.createHmac('sha512', secret).update(rawBody, 'utf8').digest('hex');
+
+const safeEqual = (received, expected) => {
+  const a = Buffer.from(String(received));
+  const b = Buffer.from(String(expected));
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+};
+
+// How each gateway signs its webhooks, checked against the keys in PaymentGatewayKey
+const GATEWAY_SIGNATURES = {
+  // HMAC SHA512 of the body with the secret key, hex
+  paystack: {
+    header: 'x-paystack-signature',
+    matches: (key, rawBody, signature) => safeEqual(signature, hmacSha512(key.secretKey, rawBody))
+  },
+  // The secret hash set on the Flutterwave dashboard, sent back as is
+  flutterwave: {
+    header: 'verif-hash',
+    matches: (key, rawBody, signature) => Boolean(key.webhookSecret) && safeEqual(signature, key.webhookSecret)
+  },
+  // HMAC SHA512 of the body with the secret key, upper-case hex
+  squad: {
+    header: 'x-squad-encrypted-body',
+    matches: (key, rawBody, signature) => safeEqual(String(signature).toUpperCase(), hmacSha512(key.secretKey, rawBody).toUpperCase())
+  }
+};
+
+// Where each gateway puts the event type, transaction id and our reference, and which event means paid
+const GATEWAY_EVENTS = {
+  paystack: {
+    describe: ({ event, data = {} }) => ({ eventType: event, transactionId: data.id, reference: data.reference, data }),
+    isPaid: ({ eventType, data }) => eventType === 'charge.success' && data.status === 'success',
+    referenceField: 'reference'
+  },
+  flutterwave: {
+    describe: ({ event, data = {} }) => ({ eventType: event, transactionId: data.id, reference: data.tx_ref, data }),
+    isPaid: ({ eventType, data }) => eventType === 'charge.completed' && data.status === 'successful',
+    referenceField: 'tx_ref'
+  },
+  squad: {
+    describe: ({ event, data = {} }) => ({ eventType: event, transactionId: data.transaction_id, reference: data.transaction_ref, data }),
+    isPaid: ({ eventType, data }) => eventType === 'payment.completed' && data.status === 'success',
+    referenceField: 'transaction_ref'
+  }
+};
+
+/**
+ * Check a webhook's signature header with the gateway's keys
+ * @param {string} gateway - 'paystack', 'flutterwave' or 'squad'
+ * @param {Object|null} key - PaymentGatewayKey for the gateway
+ * @param {string} rawBody - Body exactly as received
+ * @param {Object} headers - Request headers (lower-case names)
+ * @returns {Object} { verified, reason }
+ */
+const verifyGatewaySignature = (gateway, key, rawBody, headers = {}) => {
+  const { header, matches } = GATEWAY_SIGNATURES[gateway];
+  const signature = headers[header];
+  if (!key) return { verified: false, reason: `No ${gateway} keys are configured` };
+  if (!signature) return { verified: false, reason: `Missing ${header} header` };
+  if (!matches(key, rawBody, signature)) return { verified: false, reason: `Invalid ${header} signature` };
+  return { verified: true };
+};
+
+/**
+ * Identify a webhook: its type, our payment reference and an id that is the same on every
+ * redelivery (event type + gateway transaction id, or a hash of the body when there is none)
+ * @param {string} gateway - Gateway type
+ * @param {Object} payload - Parsed body
+ * @param {string} rawBody - Body exactly as received
+ * @returns {Object} { eventId, eventType, reference }
+ */
+const describeGatewayEvent = (gateway, payload, rawBody) => {
+  const { eventType, transactionId, reference } = GATEWAY_EVENTS[gateway].describe(payload || {});
+  const id = transactionId ?? reference;
+  const eventId = id !== undefined && id !== null
+    ? `${eventType || 'event'}:${id}`
+    : `sha256:${crypto.createHash('sha256').update(rawBody || '').digest('hex')}`;
+  return { eventId, eventType, reference };
+};
+
+// Mark a pending subscription payment paid and activate its subscription, or start the period a renewal paid for
+const confirmSubscriptionPayment = async (gateway, payment, data) => {
+  payment.status = 'success';
+  payment.paymentData = data;
+  payment.verifiedAt = new Date();
+  await payment.save();
+  await recordCouponRedemption(payment);
+
+  if (payment.subscription) {
+    const subscription = payment.subscription;
+    if (payment.purpose === 'renewal' || payment.purpose === 'proration') {
+      applyBillingPayment(subscription, payment);
+    } else {
+      subscription.status = 'active';
+      subscription.isActive = true;
+      subscription.activatedAt = new Date();
+    }
+    // Signed webhooks are the only place a card authorization is taken from
+    rememberPaymentAuthorization(subscription, gateway, data);
+    await subscription.save();
+  }
+
+  await logEvent({
+    action: `${gateway}_payment_success`,
+    user: payment.user,
+    resource: 'Payment',
+    resourceId: payment._id,
+    details: {
+      [GATEWAY_EVENTS[gateway].referenceField]: data[GATEWAY_EVENTS[gateway].referenceField],
+      amount: data.amount,
+      currency: data.currency
+    }
+  });
+};
+
+/**
+ * Apply a verified gateway event: confirm the subscription payment it is for, or settle the
+ * invoice checkout it is for. Safe to run again on the same event.
+ * @param {string} gateway - Gateway type
+ * @param {Object} payload - Parsed body
+ * @returns {Object} { status: 'processed'|'ignored', outcome }
+ */
+const processGatewayEvent = async (gateway, payload) => {
+  const described = GATEWAY_EVENTS[gateway].describe(payload || {});
+  if (!GATEWAY_EVENTS[gateway].isPaid(described)) {
+    return { status: 'ignored', outcome: `unhandled_event:${described.eventType || 'unknown'}` };
+  }
+
+  const payment = await Payment.findOne({ reference: described.reference }).populate('subscription');
+  if (payment) {
+    if (payment.status !== 'pending') return { status: 'ignored', outcome: 'subscription_payment_already_settled' };
+    await confirmSubscriptionPayment(gateway, payment, described.data);
+    return { status: 'processed', outcome: 'subscription_payment_confirmed' };
+  }
+
+  // Not a subscription payment: settle it if it is an invoice checkout from the public invoice page
+  const invoicePayment = await completeInvoiceCheckout(gateway, described.reference);
+  if (invoicePayment) return { status: 'processed', outcome: 'invoice_checkout_settled' };
+
+  return { status: 'ignored', outcome: 'no_matching_payment' };
+};
+
+// Process a stored event and record the outcome on it
+const runGatewayEvent = async (event) => {
+  try {
+    const payload = event.getPayload();
+    if (!payload) throw new Error('Stored body is not valid JSON');
+    const result = await processGatewayEvent(event.gateway, payload);
+    event.status = result.status;
+    event.outcome = result.outcome;
+    event.errorMessage = undefined;
+  } catch (error) {
+    console.error(`❌ ${event.gateway} event ${event.eventId} failed:`, error.message);
+    event.status = 'failed';
+    event.outcome = undefined;
+    event.errorMessage = error.message;
+  } finally {
+    event.processedAt = new Date();
+    await event.save();
+  }
+  return event;
+};
+
+/**
+ * Receive a gateway webhook: verify its signature, store it, and process it unless the same
+ * event was already received. Redeliveries of an event whose processing failed are retried.
+ * @param {string} gateway - 'paystack', 'flutterwave' or 'squad'
+ * @param {Object} req - Express request; rawBody is set by the JSON body parser
+ * @returns {Object} { statusCode, body, event } to answer the gateway with
+ */
+const receiveGatewayEvent = async (gateway, req) => {
+  const rawBody = req.rawBody ? req.rawBody.toString('utf8') : '';
+  const headers = Object.fromEntries(STORED_HEADERS.filter(name => req.headers[name]).map(name => [name, req.headers[name]]));
+
+  let payload = null;
+  try {
+    payload = JSON.parse(rawBody);
+  } catch (error) {
+    // Stored below as rejected
+  }
+
+  const key = await PaymentGatewayKey.findOne({ type: gateway });
+  const { verified, reason } = payload
+    ? verifyGatewaySignature(gateway, key, rawBody, req.headers)
+    : { verified: false, reason: 'Body is not valid JSON' };
+  const { eventId, eventType, reference } = describeGatewayEvent(gateway, payload, rawBody);
+  const record = { gateway, eventId, eventType, reference, rawBody, headers };
+
+  if (!verified) {
+    console.warn(`⚠️ Rejected ${gateway} webhook ${eventId}: ${reason}`);
+    const event = await PaymentGatewayEvent.create({ ...record, verified: false, status: 'rejected', errorMessage: reason });
+    return { statusCode: payload ? 401 : 400, body: { status: 'error', message: reason }, event };
+  }
+
+  let event;
+  try {
+    event = await PaymentGatewayEvent.create({ ...record, verified: true, status: 'processing', attempts: 1 });
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+
+    const now = new Date();
+    event = await PaymentGatewayEvent.findOneAndUpdate(
+      { gateway, eventId, verified: true, status: 'failed' },
+      { $set: { status: 'processing', lastDuplicateAt: now }, $inc: { attempts: 1, duplicateCount: 1 } },
+      { new: true }
+    );
+    if (!event) {
+      await PaymentGatewayEvent.updateOne(
+        { gateway, eventId, verified: true },
+        { $set: { lastDuplicateAt: now }, $inc: { duplicateCount: 1 } }
+      );
+      return { statusCode: 200, body: { status: 'success', duplicate: true } };
+    }
+  }
+
+  await runGatewayEvent(event);
+  if (event.status === 'failed') {
+    // The gateway retries failed deliveries
+    return { statusCode: 500, body: { status: 'error', message: event.errorMessage }, event };
+  }
+  return { statusCode: 200, body: { status: 'success' }, event };
+};
+
+/**
+ * Process a stored event again, e.g. after fixing what made it fail
+ * @param {string} eventId - PaymentGatewayEvent id
+ * @param {Object} options - userId replaying it; force to replay an event that already succeeded
+ * @returns {Object} The event with the new outcome
+ */
+const replayGatewayEvent = async (eventId, { userId, force = false } = {}) => {
+  const event = await PaymentGatewayEvent.findById(eventId);
+  if (!event) throw new NotFoundError('Gateway event not found');
+  if (!event.verified) throw new BadRequestError('Events that failed signature verification cannot be replayed');
+  if (event.status === 'processing') throw new ConflictError('Event is being processed');
+  if (['processed', 'ignored'].includes(event.status) && !force) {
+    throw new ConflictError(`Event already ${event.status}. Pass force=true to replay it anyway`);
+  }
+
+  // Claim it so a redelivery arriving now does not process it at the same time
+  const claimed = await PaymentGatewayEvent.findOneAndUpdate(
+    { _id: event._id, status: event.status },
+    {
+      $set: { status: 'processing', lastReplayedAt: new Date(), lastReplayedBy: userId },
+      $inc: { attempts: 1, replayCount: 1 }
+    },
+    { new: true }
+  );
+  if (!claimed) throw new ConflictError('Event is being processed');
+
+  return runGatewayEvent(claimed);
+};
+
+module.exports = {
+  WEBHOOK_GATEWAYS,
+  verifyGatewaySignature,
+  describeGatewayEvent,
+  processGatewayEvent,
+  receiveGatewayEvent,
+  replayGatewayEvent
+};
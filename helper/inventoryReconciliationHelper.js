@@ -0,0 +1,311 @@
+const Inventory = require('../models/inventory');
+const InventoryReconciliation = require('../models/inventoryReconciliation');
+const { getCommerceAdapter } = require('../services/commerceAdapterRegistry');
+const currencyUtils = require('../utils/currencyUtils');
+const { recordStockChange } = require('./stockLedgerHelper');
+
+const FIELDS = InventoryReconciliation.FIELDS;
+const DIRECTIONS = ['push', 'pull'];
+
+const roundPrice = (value) => Math.round((parseFloat(value) || 0) * 100) / 100;
+
+// Compare the way the product sync stores values (null stock becomes 0, empty SKU becomes 'N/A')
+const normalizeField = (field, value) => {
+  switch (field) {
+    case 'stock_quantity':
+      return parseInt(value, 10) || 0;
+    case 'price':
+      return roundPrice(value);
+    case 'sku':
+      return value && value !== 'N/A' ? String(value).trim() : '';
+    default:
+      return value ? String(value) : '';
+  }
+};
+
+/**
+ * Local price in the store's currency. The product sync converts prices to the
+ * user's display currency and keeps the store value in originalPrice.
+ * @param {Object} product - Inventory document
+ * @returns {number} Price comparable with the remote product
+ */
+const getLocalStorePrice = (product) => {
+  const converted = product.originalCurrency && product.currency && product.originalCurrency !== product.currency;
+  return converted && product.originalPrice != null ? product.originalPrice : product.price;
+};
+
+const getLocalValue = (product, field) => normalizeField(field, field === 'price' ? getLocalStorePrice(product) : product[field]);
+
+const diffProduct = (product, remoteProduct) => FIELDS
+  .map(field => ({
+    field,
+    local: getLocalValue(product, field),
+    remote: normalizeField(field, remoteProduct[field])
+  }))
+  .filter(diff => diff.local !== diff.remote);
+
+/**
+ * Compare every local product of a store with the live store catalogue and save the report
+ * @param {Object} store - Store document
+ * @param {string} userId - User running the reconciliation
+ * @returns {Object} Saved InventoryReconciliation
+ */
+const runReconciliation = async (store, userId) => {
+  const reconciliation = new InventoryReconciliation({
+    storeId: store._id,
+    organizationId: store.organizationId,
+    userId,
+    platformType: store.platformType
+  });
+
+  let remoteProducts;
+  try {
+    remoteProducts = await getCommerceAdapter(store).getAllProducts();
+  } catch (error) {
+    reconciliation.status = 'failed';
+    reconciliation.errorMessage = error.message;
+    await reconciliation.save();
+    throw error;
+  }
+
+  const localProducts = await Inventory.find({ storeId: store._id })
+    .select('name sku price originalPrice originalCurrency currency stock_quantity status wooCommerceId product_Id');
+
+  const remoteById = new Map(remoteProducts.map(product => [Number(product.id), product]));
+  const remoteBySku = new Map(remoteProducts.filter(product => product.sku).map(product => [product.sku, product]));
+  const matchedRemoteIds = new Set();
+  const summary = reconciliation.summary;
+
+  summary.localProducts = localProducts.length;
+  summary.remoteProducts = remoteProducts.length;
+
+  for (const product of localProducts) {
+    const remoteId = Number(product.wooCommerceId || product.product_Id) || null;
+    const remoteProduct = (remoteId && remoteById.get(remoteId)) ||
+      (!remoteId && product.sku && product.sku !== 'N/A' ? remoteBySku.get(product.sku) : null);
+
+    if (!remoteProduct) {
+      summary.missingRemote++;
+      reconciliation.items.push({
+        inventoryId: product._id,
+        remoteId,
+        name: product.name,
+        sku: product.sku,
+        issue: 'missing_remote'
+      });
+      continue;
+    }
+
+    matchedRemoteIds.add(Number(remoteProduct.id));
+    const fields = diffProduct(product, remoteProduct);
+    if (fields.length === 0) {
+      summary.matched++;
+      continue;
+    }
+
+    summary.mismatched++;
+    summary.fieldDiffs += fields.length;
+    reconciliation.items.push({
+      inventoryId: product._id,
+      remoteId: Number(remoteProduct.id),
+      name: product.name,
+      sku: product.sku,
+      issue: 'mismatch',
+      fields
+    });
+  }
+
+  remoteProducts
+    .filter(product => !matchedRemoteIds.has(Number(product.id)))
+    .forEach(product => {
+      summary.missingLocal++;
+      reconciliation.items.push({
+        remoteId: Number(product.id),
+        name: product.name,
+        sku: product.sku,
+        issue: 'missing_local'
+      });
+    });
+
+  await reconciliation.save();
+  return reconciliation;
+};
+
+// Copy remote values into the local inventory record
+const pullFields = async (product, diffs, userId) => {
+  const update = {};
+  for (const diff of diffs) {
+    if (diff.field === 'price') {
+      const converted = product.originalCurrency && product.currency && product.originalCurrency !== product.currency;
+      update.originalPrice = diff.remote;
+      update.price = converted
+        ? await currencyUtils.convertCurrency(diff.remote, product.originalCurrency, product.currency, product.organizationId)
+        : diff.remote;
+    } else if (diff.field === 'sku') {
+      update.sku = diff.remote || 'N/A';
+    } else {
+      update[diff.field] = diff.remote;
+    }
+  }
+
+  await Inventory.findByIdAndUpdate(product._id, { $set: update }, { runValidators: true });
+
+  if (update.stock_quantity !== undefined) {
+    await recordStockChange({
+      product,
+      previousQuantity: product.stock_quantity,
+      newQuantity: update.stock_quantity,
+      source: 'reconciliation',
+      userId
+    });
+  }
+};
+
+// Send local values to the store, changing only the fields being fixed
+const pushFields = async (adapter, remoteId, diffs) => {
+  const fields = {};
+
+  for (const diff of diffs) {
+    if (diff.field === 'price') {
+      // The compared price is the active one: a running sale keeps going at the new price
+      // while it is still below the regular price, otherwise the regular price changes
+      const current = await adapter.getProduct(remoteId);
+      if (!current.success) {
+        throw new Error(current.error?.message || current.error || 'Product not found in store');
+      }
+      const { on_sale: onSale = parseFloat(current.data.sale_price) > 0 } = current.data;
+      if (onSale && diff.local < (parseFloat(current.data.regular_price) || 0)) {
+        fields.sale_price = String(diff.local);
+      } else {
+        fields.regular_price = String(diff.local);
+        fields.sale_price = '';
+      }
+    } else if (diff.field === 'stock_quantity') {
+      fields.manage_stock = true;
+      fields.stock_quantity = diff.local;
+    } else {
+      fields[diff.field] = diff.local;
+    }
+  }
+
+  const result = await adapter.updateProductFields(remoteId, fields);
+  if (!result.success) {
+    throw new Error(result.error?.message || result.error || 'Store rejected the product update');
+  }
+
+  // Some platforms ignore fields on product updates (e.g. Shopify stock), so check what stuck
+  return diffs
+    .filter(diff => normalizeField(diff.field, result.data[diff.field]) !== diff.local)
+    .map(diff => diff.field);
+};
+
+/**
+ * Apply fixes from a reconciliation report. Each field goes in the direction given
+ * for it: `push` writes the local value to the store, `pull` copies the store value locally.
+ * Stores fed from warehouse locations cannot pull stock_quantity; those fields fail.
+ * @param {Object} reconciliation - InventoryReconciliation document
+ * @param {Object} store - Store document
+ * @param {Object} directions - Default direction per field, e.g. { stock_quantity: 'pull', price: 'push' }
+ * @param {Array} overrides - Per item exceptions: [{ itemId, field, direction }]
+ * @param {string} userId - User applying the fixes
+ * @returns {Object} { applied, failed, skipped }
+ */
+const applyReconciliation = async (reconciliation, store, directions = {}, overrides = [], userId) => {
+  // Required here: warehouseStockHelper itself requires this module for pushFields
+  const { usesStockLocations } = require('./warehouseStockHelper');
+  const adapter = getCommerceAdapter(store);
+  const locationFed = usesStockLocations(store);
+  const counts = { applied: 0, failed: 0, skipped: 0 };
+
+  const directionFor = (item, field) => {
+    const override = overrides.find(entry => String(entry.itemId) === String(item._id) && entry.field === field);
+    return override ? override.direction : directions[field];
+  };
+
+  for (const item of reconciliation.items) {
+    if (item.issue !== 'mismatch') continue;
+
+    const pending = item.fields.filter(diff => diff.resolution?.status !== 'applied');
+    const pulled = pending.filter(diff => directionFor(item, diff.field) === 'pull');
+    const push = pending.filter(diff => directionFor(item, diff.field) === 'push');
+    counts.skipped += pending.length - pulled.length - push.length;
+    if (pulled.length === 0 && push.length === 0) continue;
+
+    // A location-fed store's stock is the sum of its warehouses, so a pulled quantity would
+    // disagree with them; it has to be counted at a warehouse instead
+    const conflicting = locationFed ? pulled.filter(diff => diff.field === 'stock_quantity') : [];
+    const pull = pulled.filter(diff => !conflicting.includes(diff));
+
+    const resolve = (diffs, direction, error = null) => {
+      diffs.forEach(diff => {
+        diff.resolution = {
+          direction,
+          status: error ? 'failed' : 'applied',
+          error: error || undefined,
+          appliedBy: userId,
+          appliedAt: new Date()
+        };
+        counts[error ? 'failed' : 'applied']++;
+      });
+    };
+
+    const product = await Inventory.findById(item.inventoryId);
+    if (!product) {
+      resolve([...pulled, ...push], null, 'Local product no longer exists');
+      continue;
+    }
+
+    resolve(conflicting, 'pull', 'Stock for this store comes from its warehouse locations; adjust it at a warehouse or push it instead');
+
+    if (push.length > 0) {
+      try {
+        const rejected = await pushFields(adapter, item.remoteId, push);
+        resolve(push.filter(diff => !rejected.includes(diff.field)), 'push');
+        resolve(push.filter(diff => rejected.includes(diff.field)), 'push', 'Store did not accept the new value');
+      } catch (error) {
+        resolve(push, 'push', error.message);
+      }
+    }
+
+    if (pull.length > 0) {
+      try {
+        await pullFields(product, pull, userId);
+        resolve(pull, 'pull');
+      } catch (error) {
+        resolve(pull, 'pull', error.code === 11000 ? 'Another local product already uses this SKU' : error.message);
+      }
+    }
+
+    if (item.fields.every(diff => diff.resolution?.status === 'applied')) {
+      await Inventory.findByIdAndUpdate(product._id, {
+        $set: { syncStatus: 'synced', syncError: null, lastWooCommerceSync: new Date() }
+      });
+    }
+  }
+
+  const diffs = reconciliation.items.flatMap(item => item.fields);
+  const resolved = diffs.filter(diff => diff.resolution?.status === 'applied').length;
+  if (resolved > 0) {
+    reconciliation.status = resolved === diffs.length ? 'applied' : 'partially_applied';
+  }
+
+  reconciliation.applications.push({
+    appliedBy: userId,
+    appliedAt: new Date(),
+    directions: { defaults: directions, overrides },
+    applied: counts.applied,
+    failed: counts.failed
+  });
+  await reconciliation.save();
+
+  return counts;
+};
+
+module.exports = {
+  FIELDS,
+  DIRECTIONS,
+  normalizeField,
+  pushFields,
+  runReconciliation,
+  applyReconciliation
+};
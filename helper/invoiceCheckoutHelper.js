@@ -0,0 +1,144 @@
+const { v4: uuidv4 } = require('uuid');
+const Invoice = require('../models/Invoice');
+const PaymentGatewayKey = require('../models/paymentGatewayKey');
+const { recordInvoicePayment } = require('./invoicePaymentHelper');
+const { startGatewayCheckout, verifyGatewayTransaction } = require('./paymentGatewayHelper');
+const { roundMoney } = require('../utils/moneyUtils');
+const { AppError, BadRequestError, ConflictError } = require('../utils/errors');
+
+const CHECKOUT_GATEWAYS = ['paystack', 'flutterwave', 'squad'];
+const PAYABLE_STATUSES = ['sent', 'overdue', 'partially_paid'];
+
+const FAILED_GATEWAY_STATUSES = ['failed', 'abandoned', 'cancelled', 'reversed'];
+
+/**
+ * Gateways customers can pay invoices with: the supported ones with active keys
+ * @returns {Array} Gateway types
+ */
+const getCheckoutGateways = async () => {
+  const keys = await PaymentGatewayKey.find({ type: { $in: CHECKOUT_GATEWAYS }, isActive: true }).select('type');
+  return CHECKOUT_GATEWAYS.filter(gateway => keys.some(key => key.type === gateway));
+};
+
+/**
+ * Start paying an invoice through a gateway from its public page
+ * @param {Object} invoice - Invoice document
+ * @param {Object} options - gateway, amount (default the balance due), email, returnUrl
+ * @returns {Object} { checkoutUrl, reference }
+ */
+const startInvoiceCheckout = async (invoice, { gateway, amount, email, returnUrl }) => {
+  if (!CHECKOUT_GATEWAYS.includes(gateway)) {
+    throw new BadRequestError(`gateway must be one of: ${CHECKOUT_GATEWAYS.join(', ')}`);
+  }
+  const balanceDue = invoice.getBalanceDue();
+  if (!PAYABLE_STATUSES.includes(invoice.status) || balanceDue <= 0) {
+    throw new ConflictError('This invoice has nothing to pay');
+  }
+
+  const payAmount = amount === undefined || amount === '' ? balanceDue : roundMoney(Number(amount));
+  if (!(payAmount > 0) || payAmount > balanceDue + 0.005) {
+    throw new BadRequestError(`Amount must be between 0.01 and ${balanceDue.toFixed(2)}`);
+  }
+  const payerEmail = invoice.customerEmail || email;
+  if (!payerEmail) throw new BadRequestError('email is required');
+
+  const key = await PaymentGatewayKey.findOne({ type: gateway, isActive: true });
+  if (!key) throw new BadRequestError(`${gateway} payments are not available`);
+
+  const checkout = {
+    gateway,
+    reference: `INV-${uuidv4()}`,
+    amount: payAmount,
+    currency: invoice.currency,
+    email: payerEmail
+  };
+
+  let checkoutUrl;
+  try {
+    checkoutUrl = await startGatewayCheckout(gateway, key, {
+      ...checkout,
+      name: invoice.customerName,
+      title: `Invoice ${invoice.invoiceNumber}`,
+      returnUrl: `${returnUrl}?checkout=${checkout.reference}`,
+      metadata: { invoiceId: String(invoice._id), invoiceNumber: invoice.invoiceNumber }
+    });
+  } catch (error) {
+    console.error(`❌ ${gateway} checkout failed for invoice ${invoice.invoiceNumber}:`, error.response?.data || error.message);
+  }
+  if (!checkoutUrl) throw new AppError(`Could not start the ${gateway} payment. Please try again.`, 502);
+
+  await Invoice.updateOne({ _id: invoice._id }, { $push: { checkouts: { ...checkout, checkoutUrl } } });
+  return { checkoutUrl, reference: checkout.reference };
+};
+
+/**
+ * Settle an invoice checkout once its gateway confirms it was paid: record the payment
+ * against the invoice, or on the customer's account when the invoice can no longer take it.
+ * The outcome is always fetched from the gateway, never taken from the caller, and each
+ * checkout is settled once however often it is reported.
+ * @param {string} gateway - 'paystack', 'flutterwave' or 'squad'
+ * @param {string} reference - Checkout reference sent to the gateway
+ * @returns {Object|null} The InvoicePayment, or null when the reference is not a pending
+ *   invoice checkout or the gateway has not confirmed payment
+ */
+const completeInvoiceCheckout = async (gateway, reference) => {
+  const pending = await Invoice.findOne({ checkouts: { $elemMatch: { gateway, reference, status: 'pending' } } }).select('_id');
+  if (!pending) return null;
+
+  const key = await PaymentGatewayKey.findOne({ type: gateway });
+  if (!key) return null;
+  let outcome;
+  try {
+    outcome = await verifyGatewayTransaction(gateway, key, reference);
+  } catch (error) {
+    console.error(`❌ Could not verify ${gateway} checkout ${reference}:`, error.response?.data || error.message);
+    return null;
+  }
+
+  if (!outcome.paid) {
+    if (FAILED_GATEWAY_STATUSES.includes(outcome.status)) {
+      await Invoice.updateOne(
+        { checkouts: { $elemMatch: { reference, status: 'pending' } } },
+        { $set: { 'checkouts.$.status': 'failed', 'checkouts.$.error': outcome.status } }
+      );
+    }
+    return null;
+  }
+
+  const invoice = await Invoice.findOneAndUpdate(
+    { checkouts: { $elemMatch: { gateway, reference, status: 'pending' } } },
+    { $set: { 'checkouts.$.status': 'completed', 'checkouts.$.completedAt': new Date() } },
+    { new: true }
+  );
+  if (!invoice) return null;
+
+  const checkout = invoice.checkouts.find(entry => entry.reference === reference);
+  const input = {
+    amount: roundMoney(Number(outcome.amount) || checkout.amount),
+    currency: outcome.currency || checkout.currency,
+    method: gateway,
+    reference,
+    notes: `Paid online from the invoice page (${checkout.email})`
+  };
+
+  let result;
+  try {
+    result = await recordInvoicePayment(invoice.organizationId, { ...input, invoiceId: invoice._id }, invoice.createdBy);
+  } catch (error) {
+    console.error(`❌ Could not apply ${gateway} payment ${reference} to invoice ${invoice.invoiceNumber}:`, error.message);
+    result = await recordInvoicePayment(invoice.organizationId, { ...input, customerId: invoice.customerId }, invoice.createdBy);
+  }
+
+  await Invoice.updateOne(
+    { _id: invoice._id, 'checkouts.reference': reference },
+    { $set: { 'checkouts.$.invoicePaymentId': result.payment._id } }
+  );
+  return result.payment;
+};
+
+module.exports = {
+  CHECKOUT_GATEWAYS,
+  getCheckoutGateways,
+  startInvoiceCheckout,
+  completeInvoiceCheckout
+};
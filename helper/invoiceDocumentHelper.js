@@ -0,0 +1,187 @@
+const PDFDocument = require('pdfkit');
+const SendGridService = require('../services/sendGridService');
+const { createPublicLink, publicLinksEnabled } = require('./publicLinkHelper');
+
+/**
+ * Draw an invoice: header, customer, items, totals and the tax breakdown
+ * @param {PDFDocument} doc - pdfkit document
+ * @param {Object} invoice - Invoice document
+ */
+const renderInvoicePDF = (doc, invoice) => {
+  doc.fontSize(20).text('INVOICE', { align: 'center' });
+  doc.moveDown();
+  doc.fontSize(12).text(`Invoice Number: ${invoice.invoiceNumber}`);
+  doc.text(`Date: ${invoice.issueDate.toLocaleDateString()}`);
+  doc.text(`Due Date: ${invoice.dueDate.toLocaleDateString()}`);
+  doc.moveDown();
+  doc.text(`Customer: ${invoice.customerName}`);
+  doc.text(`Email: ${invoice.customerEmail}`);
+  doc.moveDown();
+
+  // Add items table
+  doc.text('Items:', { underline: true });
+  invoice.items.forEach(item => {
+    doc.text(`${item.name} - Qty: ${item.quantity} - Price: $${item.unitPrice} - Total: $${item.totalPrice}`);
+  });
+  doc.moveDown();
+  doc.text(`Subtotal: $${invoice.subtotal}`);
+  doc.text(`Tax: $${invoice.taxAmount}`);
+  doc.text(`Discount: $${invoice.discountAmount}`);
+  doc.text(`Total: $${invoice.totalAmount}`, { underline: true });
+  if (invoice.creditedAmount > 0) {
+    doc.text(`Credited: -$${invoice.creditedAmount}`);
+  }
+  if (invoice.amountPaid > 0) {
+    doc.text(`Paid: -$${invoice.amountPaid}`);
+  }
+  if (invoice.creditedAmount > 0 || invoice.amountPaid > 0) {
+    doc.text(`Balance Due: $${invoice.getBalanceDue()}`, { underline: true });
+  }
+
+  if (invoice.pricesIncludeTax) {
+    doc.fontSize(10).text('Prices include tax.');
+  }
+
+  // Tax breakdown table
+  if (invoice.taxBreakdown?.length > 0) {
+    doc.moveDown();
+    doc.fontSize(12).text('Tax Breakdown:', { underline: true });
+    doc.fontSize(10);
+    const columns = [50, 250, 330, 430];
+    const header = doc.y + 5;
+    ['Tax', 'Rate', 'Taxable', 'Tax Amount'].forEach((title, i) => doc.text(title, columns[i], header));
+    let rowY = header + 15;
+    invoice.taxBreakdown.forEach(tax => {
+      const jurisdiction = [tax.country, tax.state].filter(Boolean).join('-');
+      doc.text(`${tax.name}${jurisdiction ? ` (${jurisdiction})` : ''}${tax.compound ? ' *' : ''}`, columns[0], rowY, { width: 190 });
+      doc.text(`${tax.rate}%`, columns[1], rowY);
+      doc.text(`$${tax.taxableAmount.toFixed(2)}`, columns[2], rowY);
+      doc.text(`$${tax.taxAmount.toFixed(2)}`, columns[3], rowY);
+      rowY += 15;
+    });
+    doc.text('', 50, rowY);
+    if (invoice.taxBreakdown.some(tax => tax.compound)) {
+      doc.text('* Compound tax, charged on the amount including the taxes above it.');
+    }
+  }
+
+  if (invoice.customerVatNumber) {
+    doc.moveDown();
+    doc.fontSize(10).text(`Customer VAT Number: ${invoice.customerVatNumber}`);
+  }
+  if (invoice.taxNote) {
+    doc.fontSize(10).text(invoice.taxNote);
+  }
+};
+
+/**
+ * Draw a receipt: header, payment details, customer, items and totals
+ * @param {PDFDocument} doc - pdfkit document
+ * @param {Object} receipt - Receipt document
+ */
+const renderReceiptPDF = (doc, receipt) => {
+  const money = (amount) => `${receipt.currency} ${Number(amount || 0).toFixed(2)}`;
+
+  doc.fontSize(20).text('RECEIPT', { align: 'center' });
+  doc.moveDown();
+  doc.fontSize(12).text(`Receipt Number: ${receipt.receiptNumber}`);
+  doc.text(`Date: ${receipt.transactionDate.toLocaleDateString()}`);
+  doc.text(`Payment Method: ${receipt.paymentMethod}`);
+  if (receipt.transactionId) {
+    doc.text(`Transaction ID: ${receipt.transactionId}`);
+  }
+  doc.moveDown();
+  doc.text(`Customer: ${receipt.customerName}`);
+  doc.text(`Email: ${receipt.customerEmail}`);
+  doc.moveDown();
+
+  doc.text('Items:', { underline: true });
+  receipt.items.forEach(item => {
+    doc.text(`${item.name} - Qty: ${item.quantity} - Price: ${money(item.unitPrice)} - Total: ${money(item.totalPrice)}`);
+  });
+  doc.moveDown();
+  doc.text(`Subtotal: ${money(receipt.subtotal)}`);
+  doc.text(`Tax: ${money(receipt.taxAmount)}`);
+  doc.text(`Discount: ${money(receipt.discountAmount)}`);
+  doc.text(`Total: ${money(receipt.totalAmount)}`, { underline: true });
+  doc.moveDown();
+  doc.text('Thank you for your purchase!', { align: 'center' });
+};
+
+// Render the invoice to a buffer for email attachments
+const invoicePDFBuffer = (invoice) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument();
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+  renderInvoicePDF(doc, invoice);
+  doc.end();
+});
+
+const formatAmount = (invoice, amount) => `${invoice.currency} ${Number(amount || 0).toFixed(2)}`;
+
+// Link to view and pay the invoice online, when public links are configured
+const onlineLink = (invoice) => (publicLinksEnabled()
+  ? `<p><a href="${createPublicLink('invoice', invoice).url}">View and pay this invoice online</a></p>`
+  : '');
+
+const defaultInvoiceEmail = (invoice, organization) => ({
+  subject: `Invoice ${invoice.invoiceNumber} from ${organization?.name || invoice.companyInfo?.name || 'us'}`,
+  html: `
+    <p>Hello ${invoice.customerName || ''},</p>
+    <p>Please find attached invoice <strong>${invoice.invoiceNumber}</strong> for
+    <strong>${formatAmount(invoice, invoice.getBalanceDue())}</strong>, due on ${invoice.dueDate.toLocaleDateString()}.</p>
+    ${invoice.notes ? `<p>${invoice.notes}</p>` : ''}
+    ${onlineLink(invoice)}
+    <p>Thank you for your business.</p>
+  `
+});
+
+/**
+ * Email an invoice with its PDF attached and record the attempt on the invoice. Callers
+ * pass their own subject and body for reminders; the default is the invoice itself.
+ * @param {Object} invoice - Invoice document
+ * @param {Object} organization - Issuing Organization (name, email)
+ * @param {Object} [options] - recipientEmail, subject, html, userId
+ * @returns {Object} { success, messageId } or { success: false, error }
+ */
+const sendInvoiceEmail = async (invoice, organization, { recipientEmail, subject, html, userId } = {}) => {
+  const to = recipientEmail || invoice.customerEmail;
+  if (!to) {
+    return { success: false, error: 'Invoice has no customer email' };
+  }
+
+  const content = defaultInvoiceEmail(invoice, organization);
+  const pdf = await invoicePDFBuffer(invoice);
+  const result = await SendGridService.sendEmail({
+    to,
+    subject: subject || content.subject,
+    html: html || content.html,
+    replyTo: organization?.email || undefined,
+    attachments: [{
+      content: pdf.toString('base64'),
+      filename: `invoice-${invoice.invoiceNumber}.pdf`,
+      type: 'application/pdf'
+    }],
+    userId,
+    organizationId: invoice.organizationId
+  });
+
+  invoice.emailRecipients.push({ email: to, sentAt: new Date(), status: result.success ? 'sent' : 'failed' });
+  if (result.success) {
+    invoice.emailSent = true;
+    invoice.emailSentDate = new Date();
+  }
+  if (userId) invoice.updatedBy = userId;
+  await invoice.save();
+
+  return result;
+};
+
+module.exports = {
+  onlineLink,
+  renderInvoicePDF,
+  renderReceiptPDF,
+  sendInvoiceEmail
+};
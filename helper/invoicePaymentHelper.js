@@ -0,0 +1,399 @@
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const InvoicePayment = require('../models/invoicePayment');
+const CreditNote = require('../models/creditNote');
+const JournalEntry = require('../models/JournalEntry');
+const { Account } = require('../models/Account');
+const { BadRequestError, ConflictError, NotFoundError } = require('../utils/errors');
+const { roundMoney } = require('../utils/moneyUtils');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Issued invoices take payments; paid ones too, so an overpayment can be recorded
+const PAYABLE_INVOICE_STATUSES = ['sent', 'overdue', 'partially_paid', 'paid', 'overpaid'];
+const AGING_BUCKETS = [
+  { label: '0-30', maxDays: 30 },
+  { label: '31-60', maxDays: 60 },
+  { label: '61-90', maxDays: 90 },
+  { label: '90+', maxDays: Infinity }
+];
+
+// Outstanding amount before this payment, ignoring the paid status of legacy invoices
+const openBalance = (invoice) =>
+  roundMoney((invoice.totalAmount || 0) - (invoice.creditedAmount || 0) - (invoice.amountPaid || 0));
+
+/**
+ * Load the organization's invoices a payment is applied to, in the order given
+ * @param {string} organizationId - Organization ID
+ * @param {Array} invoiceIds - Invoice IDs
+ * @param {string} currency - Payment currency; every invoice must be billed in it
+ * @returns {Array} Invoice documents
+ */
+const loadPayableInvoices = async (organizationId, invoiceIds, currency) => {
+  const ids = [...new Set(invoiceIds.map(String))];
+  if (ids.some(id => !mongoose.Types.ObjectId.isValid(id))) {
+    throw new BadRequestError('Invalid invoice ID');
+  }
+
+  const invoices = await Invoice.find({ _id: { $in: ids }, organizationId });
+  const byId = new Map(invoices.map(invoice => [String(invoice._id), invoice]));
+  return ids.map(id => {
+    const invoice = byId.get(id);
+    if (!invoice) throw new NotFoundError(`Invoice ${id} not found`);
+    if (!PAYABLE_INVOICE_STATUSES.includes(invoice.status)) {
+      throw new ConflictError(`Invoice ${invoice.invoiceNumber} is ${invoice.status} and cannot take payments`);
+    }
+    if (invoice.status === 'paid' && !(invoice.amountPaid > 0)) {
+      throw new ConflictError(`Invoice ${invoice.invoiceNumber} was marked paid without a recorded payment`);
+    }
+    if (invoice.currency !== currency) {
+      throw new BadRequestError(`Invoice ${invoice.invoiceNumber} is billed in ${invoice.currency}, not ${currency}`);
+    }
+    return invoice;
+  });
+};
+
+/**
+ * Work out how a payment is split across invoices:
+ * - allocations: explicit amounts per invoice (may overpay an invoice)
+ * - invoiceId: the whole amount goes to one invoice (may overpay it)
+ * - invoiceIds: oldest due first, each up to its balance; the rest stays unallocated
+ * @param {Array} invoices - Invoice documents, in the order requested
+ * @param {number} amount - Amount available to allocate
+ * @param {Object} request - { allocations } | { invoiceId } | { invoiceIds }
+ * @returns {Array} [{ invoice, amount }]
+ */
+const planAllocations = (invoices, amount, request) => {
+  const byId = new Map(invoices.map(invoice => [String(invoice._id), invoice]));
+
+  let plan;
+  if (request.allocations?.length > 0) {
+    plan = request.allocations.map(allocation => ({
+      invoice: byId.get(String(allocation.invoiceId)),
+      amount: roundMoney(Number(allocation.amount))
+    }));
+    if (plan.some(entry => !(entry.amount > 0))) {
+      throw new BadRequestError('Every allocation needs a positive amount');
+    }
+  } else if (request.invoiceId) {
+    plan = [{ invoice: invoices[0], amount: roundMoney(amount) }];
+  } else {
+    let remaining = roundMoney(amount);
+    plan = [...invoices]
+      .sort((a, b) => a.dueDate - b.dueDate)
+      .map(invoice => {
+        const share = Math.min(Math.max(openBalance(invoice), 0), remaining);
+        remaining = roundMoney(remaining - share);
+        return { invoice, amount: roundMoney(share) };
+      })
+      .filter(entry => entry.amount > 0);
+  }
+
+  const allocated = roundMoney(plan.reduce((sum, entry) => sum + entry.amount, 0));
+  if (allocated > roundMoney(amount) + 0.005) {
+    throw new BadRequestError(`Allocations of ${allocated.toFixed(2)} exceed the ${roundMoney(amount).toFixed(2)} available`);
+  }
+  return plan;
+};
+
+// Add (or with a negative amount, remove) a payment on an invoice and reset its status
+const applyToInvoice = async (invoiceId, amount, paymentDate, userId) => {
+  const invoice = await Invoice.findByIdAndUpdate(invoiceId, { $inc: { amountPaid: amount } }, { new: true });
+  if (!invoice) return null;
+  invoice.amountPaid = Math.max(roundMoney(invoice.amountPaid), 0);
+  invoice.updatePaymentStatus(paymentDate);
+  if (userId) invoice.updatedBy = userId;
+  await invoice.save();
+  return invoice;
+};
+
+const postPaymentJournal = async ({ payment, depositAccountId, receivableAccountId, userId, description, reverse = false }) => {
+  const [depositAccount, receivableAccount] = await Promise.all([
+    Account.findById(depositAccountId),
+    Account.findById(receivableAccountId)
+  ]);
+  if (!depositAccount || !receivableAccount) throw new BadRequestError('invalid account provided');
+
+  const invoiceNumbers = payment.allocations.map(allocation => allocation.invoiceNumber).join(', ') || 'on account';
+  const lineDescription = `${reverse ? 'Void of payment' : 'Payment'} ${payment.reference || payment._id} (${invoiceNumbers})`;
+  const [debitAccount, creditAccount] = reverse ? [receivableAccount, depositAccount] : [depositAccount, receivableAccount];
+  const entry = new JournalEntry({
+    date: reverse ? new Date() : payment.paymentDate,
+    currency: payment.currency,
+    status: 'posted',
+    source: reverse ? 'invoice_payment_void' : 'invoice_payment',
+    description: description || lineDescription,
+    lines: [
+      { account: debitAccount._id, debit: payment.amount, credit: 0, description: lineDescription },
+      { account: creditAccount._id, debit: 0, credit: payment.amount, description: lineDescription }
+    ],
+    createdBy: userId
+  });
+  if (!entry.validateBalance()) throw new BadRequestError('journal not balanced');
+  await entry.save();
+  return entry;
+};
+
+/**
+ * Record money received and apply it to one or more invoices of the same customer.
+ * With depositAccountId and receivableAccountId a balanced journal entry is posted too.
+ * @param {string} organizationId - Organization ID
+ * @param {Object} input - amount, currency, method, paymentDate, reference, notes, customerId,
+ *   allocations | invoiceId | invoiceIds, depositAccountId, receivableAccountId, description (journal entry)
+ * @param {string} userId - User recording the payment
+ * @returns {Object} { payment, invoices, journalEntry }
+ */
+const recordInvoicePayment = async (organizationId, input, userId) => {
+  const amount = roundMoney(Number(input.amount));
+  if (!(amount > 0)) throw new BadRequestError('amount must be greater than zero');
+  if (!input.currency) throw new BadRequestError('currency is required');
+  if (!input.method) throw new BadRequestError('method is required');
+  if (Boolean(input.depositAccountId) !== Boolean(input.receivableAccountId)) {
+    throw new BadRequestError('depositAccountId and receivableAccountId are required together');
+  }
+
+  if (input.depositAccountId) {
+    const accountCount = await Account.countDocuments({ _id: { $in: [input.depositAccountId, input.receivableAccountId] } });
+    if (accountCount < 2) throw new BadRequestError('invalid account provided');
+  }
+
+  const currency = String(input.currency).toUpperCase();
+  const invoiceIds = input.allocations?.length > 0
+    ? input.allocations.map(allocation => allocation.invoiceId)
+    : (input.invoiceId ? [input.invoiceId] : (input.invoiceIds || []));
+  const invoices = await loadPayableInvoices(organizationId, invoiceIds, currency);
+
+  const customerIds = new Set(invoices.map(invoice => String(invoice.customerId || '')).filter(Boolean));
+  if (input.customerId) customerIds.add(String(input.customerId));
+  if (customerIds.size > 1) {
+    throw new BadRequestError('A payment can only cover invoices of one customer');
+  }
+
+  const plan = planAllocations(invoices, amount, input);
+  const allocated = roundMoney(plan.reduce((sum, entry) => sum + entry.amount, 0));
+  const paymentDate = input.paymentDate ? new Date(input.paymentDate) : new Date();
+
+  const payment = await InvoicePayment.create({
+    organizationId,
+    customerId: [...customerIds][0] || null,
+    customerName: invoices[0]?.customerName || input.customerName || null,
+    amount,
+    currency,
+    method: input.method,
+    paymentDate,
+    reference: input.reference || null,
+    notes: input.notes,
+    allocations: plan.map(entry => ({ invoiceId: entry.invoice._id, invoiceNumber: entry.invoice.invoiceNumber, amount: entry.amount })),
+    unallocatedAmount: roundMoney(amount - allocated),
+    createdBy: userId
+  });
+
+  const updated = [];
+  for (const entry of plan) {
+    updated.push(await applyToInvoice(entry.invoice._id, entry.amount, paymentDate, userId));
+  }
+
+  let journalEntry = null;
+  if (input.depositAccountId) {
+    journalEntry = await postPaymentJournal({ payment, depositAccountId: input.depositAccountId, receivableAccountId: input.receivableAccountId, userId, description: input.description });
+    payment.journalEntryId = journalEntry._id;
+    await payment.save();
+  }
+
+  return { payment, invoices: updated.filter(Boolean), journalEntry };
+};
+
+/**
+ * Apply the unallocated remainder of a payment to more invoices
+ * @param {Object} payment - InvoicePayment document
+ * @param {Object} input - allocations | invoiceId | invoiceIds
+ * @param {string} userId
+ * @returns {Object} { payment, invoices }
+ */
+const allocateInvoicePayment = async (payment, input, userId) => {
+  if (payment.status === 'void') throw new ConflictError('Payment has been voided');
+  if (!(payment.unallocatedAmount > 0)) throw new ConflictError('Payment has nothing left to allocate');
+
+  const invoiceIds = input.allocations?.length > 0
+    ? input.allocations.map(allocation => allocation.invoiceId)
+    : (input.invoiceId ? [input.invoiceId] : (input.invoiceIds || []));
+  if (invoiceIds.length === 0) throw new BadRequestError('Give allocations, invoiceId or invoiceIds');
+
+  const invoices = await loadPayableInvoices(payment.organizationId, invoiceIds, payment.currency);
+  if (payment.customerId && invoices.some(invoice => invoice.customerId && String(invoice.customerId) !== String(payment.customerId))) {
+    throw new BadRequestError('A payment can only cover invoices of one customer');
+  }
+
+  const plan = planAllocations(invoices, payment.unallocatedAmount, input);
+  const allocated = roundMoney(plan.reduce((sum, entry) => sum + entry.amount, 0));
+
+  plan.forEach(entry => {
+    const existing = payment.allocations.find(allocation => String(allocation.invoiceId) === String(entry.invoice._id));
+    if (existing) {
+      existing.amount = roundMoney(existing.amount + entry.amount);
+      existing.allocatedAt = new Date();
+    } else {
+      payment.allocations.push({ invoiceId: entry.invoice._id, invoiceNumber: entry.invoice.invoiceNumber, amount: entry.amount });
+    }
+  });
+  payment.unallocatedAmount = roundMoney(payment.unallocatedAmount - allocated);
+  await payment.save();
+
+  const updated = [];
+  for (const entry of plan) {
+    updated.push(await applyToInvoice(entry.invoice._id, entry.amount, payment.paymentDate, userId));
+  }
+  return { payment, invoices: updated.filter(Boolean) };
+};
+
+/**
+ * Void a payment: take it off every invoice it was applied to and reverse its journal entry
+ * @param {Object} payment - InvoicePayment document
+ * @param {Object} options - reason, userId
+ * @returns {Object} { payment, invoices, journalEntry }
+ */
+const voidInvoicePayment = async (payment, { reason, userId }) => {
+  if (payment.status === 'void') throw new ConflictError('Payment has already been voided');
+
+  payment.status = 'void';
+  payment.voidedAt = new Date();
+  payment.voidReason = reason || null;
+  await payment.save();
+
+  const updated = [];
+  for (const allocation of payment.allocations) {
+    updated.push(await applyToInvoice(allocation.invoiceId, -allocation.amount, null, userId));
+  }
+
+  let journalEntry = null;
+  if (payment.journalEntryId) {
+    const original = await JournalEntry.findById(payment.journalEntryId);
+    if (original) {
+      const [debitLine, creditLine] = original.lines;
+      journalEntry = await postPaymentJournal({
+        payment,
+        depositAccountId: debitLine.account,
+        receivableAccountId: creditLine.account,
+        userId,
+        reverse: true
+      });
+    }
+  }
+
+  return { payment, invoices: updated.filter(Boolean), journalEntry };
+};
+
+const sumByInvoice = (rows) => new Map(rows.map(row => [String(row._id), row.total]));
+
+/**
+ * Accounts-receivable aging as of a date: what each customer still owed then, bucketed
+ * by days past the due date (or since the invoice date). Balances are rebuilt from the
+ * payments and credit notes dated on or before `asOf`, so past dates report what was owed then.
+ * Amounts are never summed across currencies.
+ * @param {string} organizationId - Organization ID
+ * @param {Object} [options] - asOf, basis ('dueDate' | 'issueDate'), customerId, currency, includeInvoices
+ * @returns {Object} { asOf, basis, buckets, customers, totals }
+ */
+const buildAgingReport = async (organizationId, { asOf, basis = 'dueDate', customerId, currency, includeInvoices = false } = {}) => {
+  const reportDate = asOf ? new Date(asOf) : new Date();
+  if (isNaN(reportDate)) throw new BadRequestError('asOf must be a date');
+  reportDate.setHours(23, 59, 59, 999);
+  if (!['dueDate', 'issueDate'].includes(basis)) throw new BadRequestError('basis must be dueDate or issueDate');
+
+  const orgId = new mongoose.Types.ObjectId(String(organizationId));
+  const filter = { organizationId: orgId, status: { $nin: ['draft', 'cancelled'] }, issueDate: { $lte: reportDate } };
+  if (customerId) filter.customerId = customerId;
+  if (currency) filter.currency = String(currency).toUpperCase();
+
+  const [invoices, paymentRows, creditRows] = await Promise.all([
+    Invoice.find(filter).select('invoiceNumber customerId customerName currency totalAmount amountPaid status paidDate issueDate dueDate'),
+    InvoicePayment.aggregate([
+      { $match: { organizationId: orgId, status: 'recorded', paymentDate: { $lte: reportDate } } },
+      { $unwind: '$allocations' },
+      { $group: { _id: '$allocations.invoiceId', total: { $sum: '$allocations.amount' } } }
+    ]),
+    CreditNote.aggregate([
+      { $match: { organizationId: orgId, status: 'issued', issueDate: { $lte: reportDate } } },
+      { $group: { _id: '$invoiceId', total: { $sum: '$totalAmount' } } }
+    ])
+  ]);
+  const paidByInvoice = sumByInvoice(paymentRows);
+  const creditedByInvoice = sumByInvoice(creditRows);
+
+  const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map(bucket => [bucket.label, 0]));
+  const customers = new Map();
+  const totals = new Map();
+
+  invoices.forEach(invoice => {
+    // Invoices marked paid before payments were recorded count as paid on their paid date
+    const legacyPaid = invoice.status === 'paid' && !(invoice.amountPaid > 0) && invoice.paidDate && invoice.paidDate <= reportDate;
+    const balance = legacyPaid ? 0 : roundMoney(invoice.totalAmount -
+      (creditedByInvoice.get(String(invoice._id)) || 0) - (paidByInvoice.get(String(invoice._id)) || 0));
+    if (balance <= 0) return;
+
+    const daysPastDue = Math.floor((reportDate - invoice.dueDate) / DAY_MS);
+    const age = Math.max(basis === 'dueDate' ? daysPastDue : Math.floor((reportDate - invoice.issueDate) / DAY_MS), 0);
+    // By due date the buckets are days overdue, so an invoice not yet due is only in notYetDue
+    const bucket = basis === 'dueDate' && daysPastDue < 0
+      ? null
+      : AGING_BUCKETS.find(candidate => age <= candidate.maxDays).label;
+
+    const customerKey = `${invoice.customerId || invoice.customerName}|${invoice.currency}`;
+    if (!customers.has(customerKey)) {
+      customers.set(customerKey, {
+        customerId: invoice.customerId || null,
+        customerName: invoice.customerName || null,
+        currency: invoice.currency,
+        ...emptyBuckets(),
+        notYetDue: 0,
+        total: 0,
+        invoiceCount: 0,
+        oldestDays: 0,
+        ...(includeInvoices && { invoices: [] })
+      });
+    }
+    if (!totals.has(invoice.currency)) {
+      totals.set(invoice.currency, { currency: invoice.currency, ...emptyBuckets(), notYetDue: 0, total: 0, invoiceCount: 0, customerCount: 0 });
+    }
+
+    [customers.get(customerKey), totals.get(invoice.currency)].forEach(row => {
+      if (bucket) row[bucket] = roundMoney(row[bucket] + balance);
+      if (daysPastDue < 0) row.notYetDue = roundMoney(row.notYetDue + balance);
+      row.total = roundMoney(row.total + balance);
+      row.invoiceCount += 1;
+    });
+    const customerRow = customers.get(customerKey);
+    customerRow.oldestDays = Math.max(customerRow.oldestDays, age);
+    if (includeInvoices) {
+      customerRow.invoices.push({
+        invoiceId: invoice._id,
+        invoiceNumber: invoice.invoiceNumber,
+        issueDate: invoice.issueDate,
+        dueDate: invoice.dueDate,
+        totalAmount: invoice.totalAmount,
+        balance,
+        age,
+        bucket: bucket || 'notYetDue'
+      });
+    }
+  });
+
+  customers.forEach(row => { totals.get(row.currency).customerCount += 1; });
+
+  return {
+    asOf: reportDate,
+    basis,
+    buckets: AGING_BUCKETS.map(bucket => bucket.label),
+    customers: [...customers.values()].sort((a, b) => b.total - a.total),
+    totals: [...totals.values()]
+  };
+};
+
+module.exports = {
+  PAYABLE_INVOICE_STATUSES,
+  AGING_BUCKETS,
+  planAllocations,
+  recordInvoicePayment,
+  allocateInvoicePayment,
+  voidInvoicePayment,
+  buildAgingReport
+};
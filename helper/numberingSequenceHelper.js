@@ -0,0 +1,186 @@
+const mongoose = require('mongoose');
+const NumberingSequence = require('../models/numberingSequence');
+const NumberingCounter = require('../models/numberingCounter');
+const { BadRequestError } = require('../utils/errors');
+
+// Default format and the collection each document type is numbered in
+const DOCUMENT_TYPE_DEFAULTS = {
+  invoice: { prefix: 'INV-{YYYY}-', model: 'Invoice', field: 'invoiceNumber' },
+  receipt: { prefix: 'REC-{YYYY}-', model: 'Receipt', field: 'receiptNumber' },
+  credit_note: { prefix: 'CN-{YYYY}-', model: 'CreditNote', field: 'creditNoteNumber' },
+  purchase_order: { prefix: 'PO-{YYYY}-', model: 'PurchaseOrder', field: 'poNumber' },
+  fulfillment_batch: { prefix: 'FB-{YYYY}-', model: 'FulfillmentBatch', field: 'batchNumber' }
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const applyYear = (template, year) => (template || '')
+  .replace(/\{YYYY\}/g, String(year))
+  .replace(/\{YY\}/g, String(year).slice(-2));
+
+/**
+ * The sequence settings an organization uses for a document type, saved or default
+ * @param {string} organizationId - Organization ID (null for platform documents)
+ * @param {string} documentType - One of NumberingSequence.DOCUMENT_TYPES
+ * @returns {Object} { documentType, prefix, suffix, padding, resetYearly }
+ */
+const getSequenceSettings = async (organizationId, documentType) => {
+  const defaults = DOCUMENT_TYPE_DEFAULTS[documentType];
+  if (!defaults) throw new BadRequestError(`Unknown document type: ${documentType}`);
+
+  const saved = organizationId
+    ? await NumberingSequence.findOne({ organizationId, documentType }).lean()
+    : null;
+  return {
+    documentType,
+    prefix: saved ? saved.prefix : defaults.prefix,
+    suffix: saved ? saved.suffix : '',
+    padding: saved ? saved.padding : 4,
+    resetYearly: saved ? saved.resetYearly : true
+  };
+};
+
+const formatDocumentNumber = (settings, sequence, year) =>
+  `${applyYear(settings.prefix, year)}${String(sequence).padStart(settings.padding, '0')}${applyYear(settings.suffix, year)}`;
+
+const periodFor = (settings, year) => (settings.resetYearly ? String(year) : 'all');
+
+const counterKey = (organizationId, documentType, period) => ({ organizationId: organizationId || null, documentType, period });
+
+// Highest number already issued in the format for the year, e.g. before the sequence existed
+const findHighestIssued = async (organizationId, settings, year) => {
+  const { model, field } = DOCUMENT_TYPE_DEFAULTS[settings.documentType];
+  const pattern = new RegExp(`^${escapeRegex(applyYear(settings.prefix, year))}(\\d+)${escapeRegex(applyYear(settings.suffix, year))}$`);
+  const existing = await mongoose.model(model)
+    .find({ organizationId: organizationId || null, [field]: pattern })
+    .select(field)
+    .lean();
+  return existing.reduce((max, doc) => {
+    const match = doc[field].match(pattern);
+    return match ? Math.max(max, parseInt(match[1], 10)) : max;
+  }, 0);
+};
+
+// Create a period's counter after the highest number already issued, so none is reissued
+const seedCounter = async (organizationId, settings, period, year) => {
+  const lastNumber = await findHighestIssued(organizationId, settings, year);
+
+  try {
+    await NumberingCounter.updateOne(
+      counterKey(organizationId, settings.documentType, period),
+      { $setOnInsert: { lastNumber, released: [] } },
+      { upsert: true }
+    );
+  } catch (error) {
+    // Another request created the counter first
+    if (error.code !== 11000) throw error;
+  }
+};
+
+/**
+ * Take the next number in a sequence. Numbers released by failed saves are reissued
+ * before the counter moves on, so the issued numbers stay consecutive.
+ * @param {string} organizationId - Organization ID (null for platform documents)
+ * @param {string} documentType - One of NumberingSequence.DOCUMENT_TYPES
+ * @param {Date} [date] - Issue date, which picks the year
+ * @returns {Object} { number, sequence, period }
+ */
+const allocateDocumentNumber = async (organizationId, documentType, date = new Date()) => {
+  const settings = await getSequenceSettings(organizationId, documentType);
+  const year = date.getFullYear();
+  const period = periodFor(settings, year);
+  const key = counterKey(organizationId, documentType, period);
+
+  const withReleased = await NumberingCounter.findOneAndUpdate(
+    { ...key, 'released.0': { $exists: true } },
+    { $pop: { released: -1 } }
+  );
+  let sequence = withReleased?.released[0];
+
+  if (sequence === undefined) {
+    let counter = await NumberingCounter.findOneAndUpdate(key, { $inc: { lastNumber: 1 } }, { new: true });
+    if (!counter) {
+      await seedCounter(organizationId, settings, period, year);
+      counter = await NumberingCounter.findOneAndUpdate(key, { $inc: { lastNumber: 1 } }, { new: true });
+    }
+    sequence = counter.lastNumber;
+  }
+
+  return { number: formatDocumentNumber(settings, sequence, year), sequence, period };
+};
+
+/**
+ * Give back a number whose document was never saved: wind the counter back when it was
+ * the last one issued, otherwise keep it to be reissued next
+ * @param {string} organizationId
+ * @param {string} documentType
+ * @param {Object} allocated - { sequence, period } from allocateDocumentNumber
+ */
+const releaseDocumentNumber = async (organizationId, documentType, { sequence, period }) => {
+  const key = counterKey(organizationId, documentType, period);
+  const rewound = await NumberingCounter.updateOne({ ...key, lastNumber: sequence }, { $inc: { lastNumber: -1 } });
+  if (rewound.modifiedCount === 0) {
+    await NumberingCounter.updateOne(key, { $push: { released: { $each: [sequence], $sort: 1 } } });
+  }
+};
+
+/**
+ * The number the next document of a type will get, without taking it
+ * @returns {string}
+ */
+const previewNextNumber = async (organizationId, documentType, date = new Date()) => {
+  const settings = await getSequenceSettings(organizationId, documentType);
+  const year = date.getFullYear();
+  const counter = await NumberingCounter.findOne(counterKey(organizationId, documentType, periodFor(settings, year))).lean();
+
+  let next;
+  if (counter) {
+    next = counter.released.length > 0 ? counter.released[0] : counter.lastNumber + 1;
+  } else {
+    next = await findHighestIssued(organizationId, settings, year) + 1;
+  }
+  return formatDocumentNumber(settings, next, year);
+};
+
+/**
+ * Schema plugin numbering new documents from their organization's sequence just before
+ * they are first saved. A number whose save fails is released for the next document.
+ * Documents created with a number already set keep it.
+ * @param {Object} schema - Mongoose schema with organizationId
+ * @param {Object} options - documentType
+ */
+const numberedDocumentPlugin = (schema, { documentType }) => {
+  const { field } = DOCUMENT_TYPE_DEFAULTS[documentType];
+
+  schema.pre('validate', async function() {
+    if (!this.isNew || this[field]) return;
+    const allocated = await allocateDocumentNumber(this.organizationId, documentType);
+    this[field] = allocated.number;
+    this.$locals.allocatedNumber = allocated;
+  });
+
+  schema.post('save', function(doc) {
+    delete doc.$locals.allocatedNumber;
+  });
+
+  schema.post('save', function(error, doc, next) {
+    const allocated = doc.$locals?.allocatedNumber;
+    if (!allocated) return next(error);
+
+    delete doc.$locals.allocatedNumber;
+    doc[field] = undefined;
+    releaseDocumentNumber(doc.organizationId, documentType, allocated)
+      .catch(releaseError => console.error(`❌ Could not release ${documentType} number ${allocated.number}:`, releaseError.message))
+      .finally(() => next(error));
+  });
+};
+
+module.exports = {
+  DOCUMENT_TYPE_DEFAULTS,
+  getSequenceSettings,
+  formatDocumentNumber,
+  allocateDocumentNumber,
+  releaseDocumentNumber,
+  previewNextNumber,
+  numberedDocumentPlugin
+};
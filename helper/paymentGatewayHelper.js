@@ -0,0 +1,152 @@
+const axios = require('axios');
+const { toMinorUnits, fromMinorUnits } = require('../utils/moneyUtils');
+
+const SQUAD_API_URL = process.env.SQUAD_API_URL || 'https://sandbox-api.squadco.com';
+
+const authHeaders = (key) => ({ Authorization: `Bearer ${key.secretKey}`, 'Content-Type': 'application/json' });
+
+// Start a hosted checkout with each gateway; every one returns the URL to send the customer to
+const GATEWAY_CHECKOUTS = {
+  paystack: async (key, checkout) => {
+    const response = await axios.post('https://api.paystack.co/transaction/initialize', {
+      email: checkout.email,
+      amount: toMinorUnits(checkout.amount),
+      currency: checkout.currency,
+      reference: checkout.reference,
+      callback_url: checkout.returnUrl,
+      metadata: checkout.metadata
+    }, { headers: authHeaders(key) });
+    return response.data?.data?.authorization_url;
+  },
+  flutterwave: async (key, checkout) => {
+    const response = await axios.post('https://api.flutterwave.com/v3/payments', {
+      tx_ref: checkout.reference,
+      amount: checkout.amount,
+      currency: checkout.currency,
+      redirect_url: checkout.returnUrl,
+      customer: { email: checkout.email, name: checkout.name },
+      customizations: { title: checkout.title },
+      meta: checkout.metadata
+    }, { headers: authHeaders(key) });
+    return response.data?.data?.link;
+  },
+  squad: async (key, checkout) => {
+    const response = await axios.post(`${SQUAD_API_URL}/payment/Initiate`, {
+      amount: toMinorUnits(checkout.amount),
+      email: checkout.email,
+      currency: checkout.currency,
+      initiate_type: 'inline',
+      transaction_ref: checkout.reference,
+      callback_url: checkout.returnUrl,
+      customer_name: checkout.name,
+      metadata: checkout.metadata
+    }, { headers: authHeaders(key) });
+    return response.data?.data?.checkout_url;
+  }
+};
+
+// Ask each gateway how a transaction ended; amounts come back in major units
+const GATEWAY_VERIFICATIONS = {
+  paystack: async (key, reference) => {
+    const response = await axios.get(`https://api.paystack.co/transaction/verify/${encodeURIComponent(reference)}`, {
+      headers: authHeaders(key)
+    });
+    const data = response.data?.data || {};
+    return { status: data.status, paid: data.status === 'success', amount: fromMinorUnits(data.amount), currency: data.currency };
+  },
+  flutterwave: async (key, reference) => {
+    const response = await axios.get('https://api.flutterwave.com/v3/transactions/verify_by_reference', {
+      params: { tx_ref: reference },
+      headers: authHeaders(key)
+    });
+    const data = response.data?.data || {};
+    return { status: data.status, paid: data.status === 'successful', amount: data.amount, currency: data.currency };
+  },
+  squad: async (key, reference) => {
+    const response = await axios.get(`${SQUAD_API_URL}/transaction/verify/${encodeURIComponent(reference)}`, {
+      headers: authHeaders(key)
+    });
+    const data = response.data?.data || {};
+    const status = String(data.transaction_status || '').toLowerCase();
+    return { status, paid: status === 'success', amount: fromMinorUnits(data.transaction_amount), currency: data.transaction_currency_id };
+  }
+};
+
+// Charge a stored authorization with each gateway; amounts are in major units
+const GATEWAY_AUTHORIZATION_CHARGES = {
+  paystack: async (key, charge) => {
+    const response = await axios.post('https://api.paystack.co/transaction/charge_authorization', {
+      authorization_code: charge.authorizationCode,
+      email: charge.email,
+      amount: toMinorUnits(charge.amount),
+      currency: charge.currency,
+      reference: charge.reference
+    }, { headers: authHeaders(key) });
+    const data = response.data?.data || {};
+    const status = data.status === 'success' ? 'success' : ['failed', 'reversed'].includes(data.status) ? 'failed' : 'pending';
+    return { status, data, message: data.gateway_response };
+  },
+  flutterwave: async (key, charge) => {
+    const response = await axios.post('https://api.flutterwave.com/v3/tokenized-charges', {
+      token: charge.authorizationCode,
+      email: charge.email,
+      amount: charge.amount,
+      currency: charge.currency,
+      tx_ref: charge.reference
+    }, { headers: authHeaders(key) });
+    const data = response.data?.data || {};
+    const status = data.status === 'successful' ? 'success' : data.status === 'failed' ? 'failed' : 'pending';
+    return { status, data, message: data.processor_response || response.data?.message };
+  },
+  squad: async (key, charge) => {
+    const response = await axios.post(`${SQUAD_API_URL}/transaction/charge_card`, {
+      amount: toMinorUnits(charge.amount),
+      token_id: charge.authorizationCode,
+      transaction_ref: charge.reference
+    }, { headers: authHeaders(key) });
+    const data = response.data?.data || {};
+    const gatewayStatus = String(data.transaction_status || '').toLowerCase();
+    const status = gatewayStatus === 'success' ? 'success' : gatewayStatus === 'failed' ? 'failed' : 'pending';
+    return { status, data, message: response.data?.message };
+  }
+};
+
+const gatewayCall = (calls, gateway) => {
+  const call = calls[gateway];
+  if (!call) throw new Error(`${gateway} is not a supported payment gateway`);
+  return call;
+};
+
+/**
+ * Start a hosted checkout
+ * @param {string} gateway - 'paystack', 'flutterwave' or 'squad'
+ * @param {Object} key - The gateway's PaymentGatewayKey
+ * @param {Object} checkout - reference, amount (major units), currency, email, name, title, returnUrl, metadata
+ * @returns {Promise<string|undefined>} URL to send the customer to
+ */
+const startGatewayCheckout = (gateway, key, checkout) => gatewayCall(GATEWAY_CHECKOUTS, gateway)(key, checkout);
+
+/**
+ * Fetch a transaction's outcome from its gateway
+ * @param {string} gateway - 'paystack', 'flutterwave' or 'squad'
+ * @param {Object} key - The gateway's PaymentGatewayKey
+ * @param {string} reference - Reference the transaction was started with
+ * @returns {Promise<Object>} { status, paid, amount (major units), currency }
+ */
+const verifyGatewayTransaction = (gateway, key, reference) => gatewayCall(GATEWAY_VERIFICATIONS, gateway)(key, reference);
+
+/**
+ * Charge a stored card authorization
+ * @param {string} gateway - 'paystack', 'flutterwave' or 'squad'
+ * @param {Object} key - The gateway's PaymentGatewayKey
+ * @param {Object} charge - authorizationCode, email, amount (major units), currency, reference
+ * @returns {Promise<Object>} { status: 'success'|'pending'|'failed', data, message }
+ */
+const chargeGatewayAuthorization = (gateway, key, charge) => gatewayCall(GATEWAY_AUTHORIZATION_CHARGES, gateway)(key, charge);
+
+module.exports = {
+  SQUAD_API_URL,
+  startGatewayCheckout,
+  verifyGatewayTransaction,
+  chargeGatewayAuthorization
+};
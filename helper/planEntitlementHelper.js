@@ -0,0 +1,170 @@
+const Organization = require('../models/organization');
+const Subscription = require('../models/subscriptions');
+const SubscriptionPlan = require('../models/subscriptionPlans');
+const Store = require('../models/store');
+const User = require('../models/users');
+const Invitation = require('../models/invitation');
+const Email = require('../models/emails');
+const { AppError } = require('../utils/errors');
+
+// Subscriptions whose plan applies; past_due keeps its plan through the grace period
+const ENTITLED_STATUSES = ['active', 'past_due'];
+
+// What an organization without a current subscription may use
+const FREE_ENTITLEMENTS = {
+  stores: 1,
+  users: 3,
+  monthlyEmails: 500,
+  modules: []
+};
+
+const startOfMonth = (now) => new Date(now.getFullYear(), now.getMonth(), 1);
+const startOfNextMonth = (now) => new Date(now.getFullYear(), now.getMonth() + 1, 1);
+
+// How much of each limit an organization is using
+const LIMIT_USAGE = {
+  stores: {
+    label: 'stores',
+    count: (organizationId) => Store.countDocuments({ organizationId })
+  },
+  // Members plus invitations that can still be accepted
+  users: {
+    label: 'users',
+    count: async (organizationId) => {
+      const [members, invitations] = await Promise.all([
+        User.countDocuments({ organization: organizationId, status: { $ne: 'inactive' } }),
+        Invitation.countDocuments({ organization: organizationId, status: 'pending', expiresAt: { $gt: new Date() } })
+      ]);
+      return members + invitations;
+    }
+  },
+  monthlyEmails: {
+    label: 'campaign emails this month',
+    count: (organizationId, now = new Date()) => Email.countDocuments({
+      organization: organizationId,
+      campaign: { $ne: null },
+      status: 'sent',
+      sentAt: { $gte: startOfMonth(now), $lt: startOfNextMonth(now) }
+    })
+  }
+};
+
+class PlanLimitError extends AppError {
+  constructor(message, details) {
+    super(message, 403);
+    this.code = 'PLAN_LIMIT_REACHED';
+    this.details = details;
+  }
+}
+
+/**
+ * The plan an organization is on and what it allows: its newest active or past-due
+ * subscription's plan, or the free entitlements without one
+ * @param {string} organizationId
+ * @returns {Object} { plan, subscription, limits: { stores, users, monthlyEmails }, modules }
+ *   where a null limit is unlimited and null modules includes every module
+ */
+const getOrganizationEntitlements = async (organizationId) => {
+  const organization = await Organization.findById(organizationId).select('subscriptions');
+  const subscription = organization?.subscriptions?.length
+    ? await Subscription.findOne({ _id: { $in: organization.subscriptions }, status: { $in: ENTITLED_STATUSES } })
+      .sort({ createdAt: -1 })
+      .populate('plan')
+    : null;
+  const plan = subscription?.plan;
+
+  if (!plan) {
+    return {
+      plan: null,
+      subscription: subscription ? { _id: subscription._id, status: subscription.status } : null,
+      limits: { stores: FREE_ENTITLEMENTS.stores, users: FREE_ENTITLEMENTS.users, monthlyEmails: FREE_ENTITLEMENTS.monthlyEmails },
+      modules: FREE_ENTITLEMENTS.modules
+    };
+  }
+
+  const entitlements = plan.entitlements || {};
+  const limitOf = (value) => (value === undefined || value === null ? null : value);
+  return {
+    plan: { _id: plan._id, name: plan.name },
+    subscription: { _id: subscription._id, status: subscription.status, isTrial: subscription.isTrial },
+    limits: {
+      stores: limitOf(entitlements.stores),
+      users: limitOf(entitlements.users),
+      monthlyEmails: limitOf(entitlements.monthlyEmails)
+    },
+    modules: entitlements.modules ? [...entitlements.modules] : null
+  };
+};
+
+/**
+ * Usage of every limit against the organization's plan
+ * @param {string} organizationId
+ * @param {Date} [now]
+ * @returns {Object} { plan, subscription, usage: { [limit]: { used, limit, remaining } }, modules, emailPeriod }
+ */
+const getOrganizationUsage = async (organizationId, now = new Date()) => {
+  const entitlements = await getOrganizationEntitlements(organizationId);
+
+  const usage = {};
+  for (const [name, { count }] of Object.entries(LIMIT_USAGE)) {
+    const used = await count(organizationId, now);
+    const limit = entitlements.limits[name];
+    usage[name] = { used, limit, remaining: limit === null ? null : Math.max(limit - used, 0) };
+  }
+
+  return {
+    plan: entitlements.plan,
+    subscription: entitlements.subscription,
+    usage,
+    modules: SubscriptionPlan.PLAN_MODULES.map(module => ({
+      module,
+      enabled: entitlements.modules === null || entitlements.modules.includes(module)
+    })),
+    emailPeriod: { start: startOfMonth(now), end: startOfNextMonth(now) }
+  };
+};
+
+/**
+ * Make sure an organization can add `requested` more of a limited resource
+ * @param {string} organizationId
+ * @param {string} limitName - 'stores', 'users' or 'monthlyEmails'
+ * @param {number} [requested=1]
+ * @throws {PlanLimitError} When the plan does not allow that many more
+ */
+const assertWithinPlanLimit = async (organizationId, limitName, requested = 1) => {
+  const { plan, limits } = await getOrganizationEntitlements(organizationId);
+  const limit = limits[limitName];
+  if (limit === null) return;
+
+  const used = await LIMIT_USAGE[limitName].count(organizationId);
+  if (used + requested > limit) {
+    const planName = plan ? `The ${plan.name} plan` : 'Without a subscription your organization';
+    throw new PlanLimitError(
+      `${planName} allows ${limit} ${LIMIT_USAGE[limitName].label}; ${used} used, ${requested} more requested. Upgrade your plan to add more.`,
+      { limit: limitName, allowed: limit, used, requested, plan }
+    );
+  }
+};
+
+/**
+ * Make sure an organization's plan includes a module
+ * @param {string} organizationId
+ * @param {string} module - One of SubscriptionPlan.PLAN_MODULES
+ * @throws {PlanLimitError} When it does not
+ */
+const assertPlanModule = async (organizationId, module) => {
+  const { plan, modules } = await getOrganizationEntitlements(organizationId);
+  if (modules === null || modules.includes(module)) return;
+
+  const planName = plan ? `The ${plan.name} plan` : 'Your organization has no subscription and';
+  throw new PlanLimitError(`${planName} does not include the ${module} module. Upgrade your plan to use it.`, { module, plan });
+};
+
+module.exports = {
+  FREE_ENTITLEMENTS,
+  PlanLimitError,
+  getOrganizationEntitlements,
+  getOrganizationUsage,
+  assertWithinPlanLimit,
+  assertPlanModule
+};
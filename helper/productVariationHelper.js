@@ -0,0 +1,126 @@
+const ProductVariation = require('../models/productVariation');
+
+// Stock at or below this (and above zero) counts as low, matching the inventory alerts
+const LOW_STOCK_THRESHOLD = 10;
+
+const toPrice = (value) => (value === '' || value == null ? null : parseFloat(value) || 0);
+
+/**
+ * Map a WooCommerce-shaped variation onto ProductVariation fields
+ * @param {Object} remoteVariation - Normalized remote variation
+ * @param {Object} parent - Parent Inventory document
+ * @returns {Object} ProductVariation fields
+ */
+const mapRemoteVariation = (remoteVariation, parent) => ({
+  parentId: parent._id,
+  storeId: parent.storeId,
+  organizationId: parent.organizationId,
+  userId: parent.userId,
+  wooCommerceId: Number(remoteVariation.id),
+  parentWooCommerceId: parent.wooCommerceId,
+  sku: remoteVariation.sku || null,
+  description: remoteVariation.description || '',
+  status: remoteVariation.status || 'publish',
+  menu_order: remoteVariation.menu_order || 0,
+  price: toPrice(remoteVariation.price),
+  regular_price: toPrice(remoteVariation.regular_price),
+  sale_price: toPrice(remoteVariation.sale_price),
+  on_sale: remoteVariation.on_sale || false,
+  currency: parent.originalCurrency || parent.currency || null,
+  manage_stock: remoteVariation.manage_stock === true,
+  stock_quantity: remoteVariation.stock_quantity ?? null,
+  stock_status: remoteVariation.stock_status || 'instock',
+  backorders: remoteVariation.backorders || 'no',
+  attributes: (remoteVariation.attributes || []).map(attribute => ({
+    id: attribute.id || 0,
+    name: attribute.name,
+    option: attribute.option
+  })),
+  weight: remoteVariation.weight || null,
+  dimensions: remoteVariation.dimensions || { length: null, width: null, height: null },
+  image: remoteVariation.image
+    ? { id: remoteVariation.image.id || null, src: remoteVariation.image.src || null, alt: remoteVariation.image.alt || null }
+    : { id: null, src: null, alt: null },
+  date_created: remoteVariation.date_created ? new Date(remoteVariation.date_created) : new Date(),
+  date_modified: remoteVariation.date_modified ? new Date(remoteVariation.date_modified) : new Date(),
+  lastWooCommerceSync: new Date(),
+  syncStatus: 'synced',
+  syncError: null
+});
+
+/**
+ * Pull every variation of a variable product from the store. Local variations whose
+ * remote counterpart is gone are removed; ones never pushed to the store are kept.
+ * @param {Object} adapter - Commerce adapter for the product's store
+ * @param {Object} parent - Parent Inventory document (must have wooCommerceId)
+ * @returns {Object} { created, updated, removed }
+ */
+const pullProductVariations = async (adapter, parent) => {
+  const remoteVariations = await adapter.getAllProductVariations(parent.wooCommerceId);
+  const counts = { created: 0, updated: 0, removed: 0 };
+
+  for (const remoteVariation of remoteVariations) {
+    const data = mapRemoteVariation(adapter.normalizeVariation(remoteVariation), parent);
+    const existing = await ProductVariation.findOneAndUpdate(
+      { parentId: parent._id, wooCommerceId: data.wooCommerceId },
+      { $set: data },
+      { upsert: true, new: false, runValidators: true }
+    );
+    counts[existing ? 'updated' : 'created']++;
+  }
+
+  const remoteIds = remoteVariations.map(variation => Number(variation.id));
+  const removed = await ProductVariation.deleteMany({
+    parentId: parent._id,
+    wooCommerceId: { $ne: null, $nin: remoteIds }
+  });
+  counts.removed = removed.deletedCount || 0;
+
+  return counts;
+};
+
+/**
+ * Create or update one variation in the store and record the sync result on it
+ * @param {Object} adapter - Commerce adapter for the product's store
+ * @param {Object} variation - ProductVariation document
+ * @param {Object} parent - Parent Inventory document
+ * @returns {Object} Adapter result ({ success, data } or { success: false, error })
+ */
+const pushProductVariation = async (adapter, variation, parent) => {
+  if (!parent.wooCommerceId) {
+    return { success: false, error: 'Parent product has not been synced to the store yet' };
+  }
+
+  const result = variation.wooCommerceId
+    ? await adapter.updateProductVariation(parent.wooCommerceId, variation.wooCommerceId, variation.toObject())
+    : await adapter.createProductVariation(parent.wooCommerceId, variation.toObject());
+
+  if (result.success) {
+    variation.wooCommerceId = Number(result.data.id);
+    variation.parentWooCommerceId = parent.wooCommerceId;
+    variation.lastWooCommerceSync = new Date();
+    variation.syncStatus = 'synced';
+    variation.syncError = null;
+  } else {
+    variation.syncStatus = 'failed';
+    variation.syncError = typeof result.error === 'string' ? result.error : result.error?.message || 'Variation sync failed';
+  }
+  await variation.save();
+
+  return result;
+};
+
+// Query for variations at or under the low-stock threshold
+const lowStockVariationFilter = (organizationId, threshold = LOW_STOCK_THRESHOLD) => ({
+  organizationId,
+  manage_stock: true,
+  stock_quantity: { $gt: 0, $lte: threshold }
+});
+
+module.exports = {
+  LOW_STOCK_THRESHOLD,
+  mapRemoteVariation,
+  pullProductVariations,
+  pushProductVariation,
+  lowStockVariationFilter
+};
@@ -0,0 +1,270 @@
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const Invoice = require('../models/Invoice');
+const Receipt = require('../models/Receipt');
+const { AppError, BadRequestError, NotFoundError } = require('../utils/errors');
+const { escapeHtml } = require('../utils/htmlUtils');
+
+const DEFAULT_LINK_DAYS = 30;
+const MAX_LINK_DAYS = 365;
+// Views kept on the invoice; older ones only count towards viewCount
+const MAX_STORED_VIEWS = 100;
+const LINK_AUDIENCE = 'public-document';
+
+const DOCUMENTS = {
+  invoice: { model: Invoice, path: 'invoices' },
+  receipt: { model: Receipt, path: 'receipts' }
+};
+
+const linkSecret = () => process.env.PUBLIC_LINK_SECRET || process.env.JWT_SECRET;
+
+// Links can only be signed once a secret is configured
+const publicLinksEnabled = () => Boolean(linkSecret());
+
+const publicBaseUrl = () => `${process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 8800}`}/api/public`;
+
+const publicPageUrl = (kind, token) => `${publicBaseUrl()}/${DOCUMENTS[kind].path}/${token}`;
+
+/**
+ * Sign a link to view an invoice or receipt without logging in
+ * @param {string} kind - 'invoice' or 'receipt'
+ * @param {Object} document - Invoice or Receipt document
+ * @param {Object} [options] - expiresInDays (default 30, at most 365)
+ * @returns {Object} { token, url, expiresAt }
+ */
+const createPublicLink = (kind, document, { expiresInDays = DEFAULT_LINK_DAYS } = {}) => {
+  if (!publicLinksEnabled()) throw new AppError('Public links are not configured', 500);
+  const days = Number(expiresInDays);
+  if (!Number.isFinite(days) || days <= 0 || days > MAX_LINK_DAYS) {
+    throw new BadRequestError(`expiresInDays must be between 1 and ${MAX_LINK_DAYS}`);
+  }
+
+  const token = jwt.sign(
+    { kind, id: String(document._id), v: document.publicLinkVersion || 0 },
+    linkSecret(),
+    { expiresIn: Math.round(days * 24 * 60 * 60), audience: LINK_AUDIENCE }
+  );
+  return { token, url: publicPageUrl(kind, token), expiresAt: new Date(Date.now() + days * 24 * 60 * 60 * 1000) };
+};
+
+/**
+ * Load the document a public link points to
+ * @param {string} kind - 'invoice' or 'receipt'
+ * @param {string} token - Signed link token
+ * @returns {Object} Invoice or Receipt document
+ * @throws {NotFoundError} for a malformed token or a missing document
+ * @throws {AppError} 410 when the link has expired or was revoked
+ */
+const findLinkedDocument = async (kind, token) => {
+  let claims;
+  try {
+    claims = jwt.verify(token, linkSecret(), { audience: LINK_AUDIENCE });
+  } catch (error) {
+    if (error.name === 'TokenExpiredError') throw new AppError('This link has expired. Please ask for a new one.', 410);
+    throw new NotFoundError('Link not found');
+  }
+  if (claims.kind !== kind || !mongoose.Types.ObjectId.isValid(claims.id)) {
+    throw new NotFoundError('Link not found');
+  }
+
+  const document = await DOCUMENTS[kind].model.findById(claims.id);
+  if (!document) throw new NotFoundError('Link not found');
+  if ((document.publicLinkVersion || 0) !== claims.v) {
+    throw new AppError('This link is no longer valid. Please ask for a new one.', 410);
+  }
+  return document;
+};
+
+/**
+ * Invalidate every public link issued for a document so far
+ * @returns {number} The new link version
+ */
+const revokePublicLinks = async (document) => {
+  document.publicLinkVersion = (document.publicLinkVersion || 0) + 1;
+  await document.save();
+  return document.publicLinkVersion;
+};
+
+/**
+ * Record that the customer opened the public invoice page
+ * @param {Object} invoice - Invoice document
+ * @param {Object} req - Express request, for the IP and user agent
+ */
+const recordInvoiceView = async (invoice, req) => {
+  const now = new Date();
+  await Invoice.updateOne(
+    { _id: invoice._id },
+    {
+      $push: { views: { $each: [{ viewedAt: now, ip: req.ip, userAgent: req.get('user-agent') }], $slice: -MAX_STORED_VIEWS } },
+      $inc: { viewCount: 1 },
+      $min: { firstViewedAt: now },
+      $set: { lastViewedAt: now }
+    }
+  );
+};
+
+const money = (currency, amount) => `${escapeHtml(currency)} ${Number(amount || 0).toFixed(2)}`;
+
+const STATUS_LABELS = {
+  draft: 'Draft',
+  sent: 'Awaiting payment',
+  partially_paid: 'Partially paid',
+  paid: 'Paid',
+  overpaid: 'Paid',
+  overdue: 'Overdue',
+  cancelled: 'Cancelled',
+  completed: 'Paid',
+  partially_refunded: 'Partially refunded',
+  refunded: 'Refunded',
+  pending: 'Pending',
+  failed: 'Failed'
+};
+
+const PAGE_STYLE = `
+  body { font-family: -apple-system, "Segoe UI", Roboto, Helvetica, Arial, sans-serif; background: #f5f6f8; color: #222; margin: 0; }
+  main { max-width: 760px; margin: 32px auto; background: #fff; padding: 32px; border-radius: 8px; box-shadow: 0 1px 3px rgba(0,0,0,.08); }
+  h1 { margin: 0 0 4px; font-size: 24px; }
+  table { width: 100%; border-collapse: collapse; margin: 16px 0; }
+  th, td { padding: 8px; border-bottom: 1px solid #eee; text-align: left; }
+  td.amount, th.amount { text-align: right; }
+  .status { display: inline-block; padding: 4px 10px; border-radius: 12px; font-size: 13px; background: #eef; }
+  .status.paid, .status.completed, .status.overpaid { background: #e3f6e8; color: #1d7a3a; }
+  .status.overdue { background: #fdecea; color: #b3261e; }
+  .notice { padding: 12px; border-radius: 6px; background: #fff8e1; margin: 16px 0; }
+  .actions { display: flex; gap: 8px; flex-wrap: wrap; align-items: center; margin-top: 16px; }
+  button, .button { padding: 10px 16px; border: 0; border-radius: 6px; background: #1f4fd8; color: #fff; font-size: 14px; cursor: pointer; text-decoration: none; }
+  .button.secondary { background: #e8ebf2; color: #222; }
+  input { padding: 9px; border: 1px solid #ccc; border-radius: 6px; }
+  .muted { color: #666; font-size: 13px; }
+`;
+
+const page = (title, body) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <meta name="robots" content="noindex">
+  <title>${escapeHtml(title)}</title>
+  <style>${PAGE_STYLE}</style>
+</head>
+<body><main>${body}</main></body>
+</html>`;
+
+const itemRows = (items, currency) => items.map(item => `
+      <tr>
+        <td>${escapeHtml(item.name)}${item.description ? `<div class="muted">${escapeHtml(item.description)}</div>` : ''}</td>
+        <td class="amount">${escapeHtml(item.quantity)}</td>
+        <td class="amount">${money(currency, item.unitPrice)}</td>
+        <td class="amount">${money(currency, item.totalPrice)}</td>
+      </tr>`).join('');
+
+const totalRow = (label, value, strong = false) =>
+  `<tr><td colspan="3" class="amount">${strong ? `<strong>${label}</strong>` : label}</td><td class="amount">${strong ? `<strong>${value}</strong>` : value}</td></tr>`;
+
+/**
+ * Hosted invoice page: status, lines, totals, PDF download and online payment
+ * @param {Object} invoice - Invoice document
+ * @param {Object} options - token, organization, gateways (active gateway types), checkout (returning from a gateway)
+ * @returns {string} HTML
+ */
+const renderInvoicePage = (invoice, { token, organization, gateways = [], checkout } = {}) => {
+  const balanceDue = invoice.getBalanceDue();
+  const payable = ['sent', 'overdue', 'partially_paid'].includes(invoice.status) && balanceDue > 0;
+  const pageUrl = publicPageUrl('invoice', token);
+  const currency = invoice.currency;
+
+  let notice = '';
+  if (checkout?.status === 'completed') {
+    notice = `<div class="notice">Thank you, your payment of ${money(checkout.currency, checkout.amount)} has been received.</div>`;
+  } else if (checkout?.status === 'pending') {
+    notice = '<div class="notice">Thank you, we are confirming your payment. This page will show it once the payment provider confirms it.</div>';
+  } else if (checkout?.status === 'failed') {
+    notice = '<div class="notice">Your payment could not be completed. Please try again.</div>';
+  }
+
+  const payForm = payable && gateways.length > 0 ? `
+    <form method="POST" action="${pageUrl}/checkout">
+      <p><strong>Pay online</strong></p>
+      <div class="actions">
+        <label>Amount (${escapeHtml(currency)}) <input name="amount" type="number" step="0.01" min="0.01" max="${balanceDue.toFixed(2)}" value="${balanceDue.toFixed(2)}"></label>
+        ${invoice.customerEmail ? '' : '<label>Email <input name="email" type="email" required></label>'}
+      </div>
+      <div class="actions">
+        ${gateways.map(gateway => `<button type="submit" name="gateway" value="${escapeHtml(gateway)}">Pay with ${escapeHtml(gateway.charAt(0).toUpperCase() + gateway.slice(1))}</button>`).join('')}
+      </div>
+    </form>` : '';
+
+  return page(`Invoice ${invoice.invoiceNumber}`, `
+    <p class="muted">${escapeHtml(organization?.name || invoice.companyInfo?.name || '')}</p>
+    <h1>Invoice ${escapeHtml(invoice.invoiceNumber)}</h1>
+    <span class="status ${escapeHtml(invoice.status)}">${STATUS_LABELS[invoice.status] || escapeHtml(invoice.status)}</span>
+    ${notice}
+    <p>
+      Billed to <strong>${escapeHtml(invoice.customerName)}</strong><br>
+      Issued ${invoice.issueDate.toLocaleDateString()} &middot; Due ${invoice.dueDate.toLocaleDateString()}
+    </p>
+    <table>
+      <thead><tr><th>Item</th><th class="amount">Qty</th><th class="amount">Price</th><th class="amount">Total</th></tr></thead>
+      <tbody>${itemRows(invoice.items, currency)}</tbody>
+      <tfoot>
+        ${totalRow('Subtotal', money(currency, invoice.subtotal))}
+        ${invoice.taxAmount ? totalRow(invoice.pricesIncludeTax ? 'Tax (included)' : 'Tax', money(currency, invoice.taxAmount)) : ''}
+        ${invoice.discountAmount ? totalRow('Discount', `-${money(currency, invoice.discountAmount)}`) : ''}
+        ${totalRow('Total', money(currency, invoice.totalAmount), true)}
+        ${invoice.creditedAmount > 0 ? totalRow('Credited', `-${money(currency, invoice.creditedAmount)}`) : ''}
+        ${invoice.amountPaid > 0 ? totalRow('Paid', `-${money(currency, invoice.amountPaid)}`) : ''}
+        ${totalRow('Balance due', money(currency, balanceDue), true)}
+      </tfoot>
+    </table>
+    ${invoice.notes ? `<p>${escapeHtml(invoice.notes)}</p>` : ''}
+    ${invoice.terms ? `<p class="muted">${escapeHtml(invoice.terms)}</p>` : ''}
+    ${payForm}
+    <div class="actions"><a class="button secondary" href="${pageUrl}/pdf">Download PDF</a></div>
+  `);
+};
+
+/**
+ * Hosted receipt page with a PDF download
+ * @returns {string} HTML
+ */
+const renderReceiptPage = (receipt, { token, organization } = {}) => {
+  const pageUrl = publicPageUrl('receipt', token);
+  const currency = receipt.currency;
+  return page(`Receipt ${receipt.receiptNumber}`, `
+    <p class="muted">${escapeHtml(organization?.name || receipt.companyInfo?.name || '')}</p>
+    <h1>Receipt ${escapeHtml(receipt.receiptNumber)}</h1>
+    <span class="status ${escapeHtml(receipt.status)}">${STATUS_LABELS[receipt.status] || escapeHtml(receipt.status)}</span>
+    <p>
+      Received from <strong>${escapeHtml(receipt.customerName)}</strong><br>
+      ${receipt.transactionDate.toLocaleDateString()} &middot; ${escapeHtml(receipt.paymentMethod)}
+      ${receipt.transactionId ? `&middot; Ref ${escapeHtml(receipt.transactionId)}` : ''}
+    </p>
+    <table>
+      <thead><tr><th>Item</th><th class="amount">Qty</th><th class="amount">Price</th><th class="amount">Total</th></tr></thead>
+      <tbody>${itemRows(receipt.items, currency)}</tbody>
+      <tfoot>
+        ${totalRow('Subtotal', money(currency, receipt.subtotal))}
+        ${receipt.taxAmount ? totalRow('Tax', money(currency, receipt.taxAmount)) : ''}
+        ${receipt.discountAmount ? totalRow('Discount', `-${money(currency, receipt.discountAmount)}`) : ''}
+        ${totalRow('Total paid', money(currency, receipt.totalAmount), true)}
+      </tfoot>
+    </table>
+    <div class="actions"><a class="button secondary" href="${pageUrl}/pdf">Download PDF</a></div>
+  `);
+};
+
+// Page shown for expired, revoked or unknown links
+const renderMessagePage = (title, message) => page(title, `<h1>${escapeHtml(title)}</h1><p>${escapeHtml(message)}</p>`);
+
+module.exports = {
+  DEFAULT_LINK_DAYS,
+  publicLinksEnabled,
+  publicPageUrl,
+  createPublicLink,
+  findLinkedDocument,
+  revokePublicLinks,
+  recordInvoiceView,
+  renderInvoicePage,
+  renderReceiptPage,
+  renderMessagePage
+};
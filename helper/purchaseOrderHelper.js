@@ -0,0 +1,356 @@
+const mongoose = require('mongoose');
+const Inventory = require('../models/inventory');
+const Order = require('../models/order');
+const Store = require('../models/store');
+const Supplier = require('../models/supplier');
+const PurchaseOrder = require('../models/purchaseOrder');
+const currencyUtils = require('../utils/currencyUtils');
+const { LOW_STOCK_THRESHOLD } = require('./productVariationHelper');
+const {
+  usesStockLocations,
+  changeLocationStock,
+  pushStoreQuantity,
+  syncProductLocationStock
+} = require('./warehouseStockHelper');
+const { SALE_STATUSES, recordStockChange } = require('./stockLedgerHelper');
+const { BadRequestError, ConflictError } = require('../utils/errors');
+const { roundMoney } = require('../utils/moneyUtils');
+// Lead time used for products no supplier lists
+const DEFAULT_LEAD_TIME_DAYS = 7;
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+/**
+ * Units sold per inventory product since a date, from order line items. Lines that
+ * were never linked to an inventory record are matched on store + remote product id.
+ * @param {string} organizationId - Organization ID
+ * @param {Date} since - Start of the window
+ * @returns {Map} inventory id string -> units sold
+ */
+const getUnitsSold = async (organizationId, since) => {
+  const rows = await Order.aggregate([
+    { $match: { organizationId: toObjectId(organizationId), status: { $in: SALE_STATUSES }, date_created: { $gte: since } } },
+    { $unwind: '$line_items' },
+    {
+      $group: {
+        _id: { storeId: '$storeId', productId: '$line_items.product_id', inventoryId: '$line_items.inventoryId' },
+        units: { $sum: '$line_items.quantity' }
+      }
+    }
+  ]);
+
+  const unitsSold = new Map();
+  const add = (inventoryId, units) => unitsSold.set(String(inventoryId), (unitsSold.get(String(inventoryId)) || 0) + units);
+
+  const unlinked = rows.filter(row => !row._id.inventoryId && row._id.productId);
+  rows.filter(row => row._id.inventoryId).forEach(row => add(row._id.inventoryId, row.units));
+
+  if (unlinked.length > 0) {
+    const products = await Inventory.find({
+      organizationId,
+      product_Id: { $in: [...new Set(unlinked.map(row => String(row._id.productId)))] }
+    }).select('_id storeId product_Id');
+    const byRemoteId = new Map(products.map(product => [`${product.storeId}:${product.product_Id}`, product._id]));
+
+    unlinked.forEach(row => {
+      const inventoryId = byRemoteId.get(`${row._id.storeId}:${row._id.productId}`);
+      if (inventoryId) add(inventoryId, row.units);
+    });
+  }
+
+  return unitsSold;
+};
+
+/**
+ * Units ordered from suppliers but not yet received, per product
+ * @param {string} organizationId - Organization ID
+ * @returns {Map} inventory id string -> units on order
+ */
+const getUnitsOnOrder = async (organizationId) => {
+  const rows = await PurchaseOrder.aggregate([
+    { $match: { organizationId: toObjectId(organizationId), status: { $in: PurchaseOrder.OPEN_STATUSES } } },
+    { $unwind: '$lineItems' },
+    {
+      $group: {
+        _id: '$lineItems.productId',
+        units: { $sum: { $max: [{ $subtract: ['$lineItems.quantityOrdered', '$lineItems.quantityReceived'] }, 0] } }
+      }
+    }
+  ]);
+  return new Map(rows.map(row => [String(row._id), row.units]));
+};
+
+// Cheapest active supplier listing per product
+const getBestSupplierOffers = async (organizationId) => {
+  const suppliers = await Supplier.find({ organizationId, isActive: true, 'products.0': { $exists: true } });
+  const offers = new Map();
+  suppliers.forEach(supplier => {
+    supplier.products.forEach(entry => {
+      const key = String(entry.productId);
+      const current = offers.get(key);
+      if (!current || (entry.unitCost ?? Infinity) < (current.entry.unitCost ?? Infinity)) {
+        offers.set(key, { supplier, entry });
+      }
+    });
+  });
+  return offers;
+};
+
+/**
+ * Products that will run low before a new order could arrive, with a quantity to buy.
+ * Reorder point is the larger of the low-stock threshold and the sales expected over the
+ * supplier's lead time; the suggestion tops stock up to cover lead time + coverDays.
+ * @param {string} organizationId - Organization ID
+ * @param {Object} [options]
+ * @param {number} [options.days] - Sales history window in days
+ * @param {number} [options.coverDays] - Days of sales an order should cover after it arrives
+ * @param {number} [options.threshold] - Low-stock threshold
+ * @param {string} [options.supplierId] - Only suggest products this supplier lists
+ * @returns {Array} Suggestions grouped by supplier
+ */
+const suggestReorders = async (organizationId, { days = 30, coverDays = 30, threshold = LOW_STOCK_THRESHOLD, supplierId } = {}) => {
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+  const [unitsSold, unitsOnOrder, offers] = await Promise.all([
+    getUnitsSold(organizationId, since),
+    getUnitsOnOrder(organizationId),
+    getBestSupplierOffers(organizationId)
+  ]);
+
+  // Variable products are stocked per variation, which purchase orders do not cover yet
+  const products = await Inventory.find({ organizationId, manage_stock: true, type: { $ne: 'variable' } })
+    .select('name sku stock_quantity storeId average_cost cost_currency');
+
+  const groups = new Map();
+  for (const product of products) {
+    const offer = offers.get(String(product._id));
+    if (supplierId && String(offer?.supplier._id) !== String(supplierId)) continue;
+
+    const stock = parseInt(product.stock_quantity, 10) || 0;
+    const sold = unitsSold.get(String(product._id)) || 0;
+    const onOrder = unitsOnOrder.get(String(product._id)) || 0;
+    const dailySales = sold / days;
+    const leadTimeDays = offer?.supplier.leadTimeDays ?? DEFAULT_LEAD_TIME_DAYS;
+
+    const reorderPoint = Math.max(threshold, Math.ceil(dailySales * leadTimeDays));
+    if (stock + onOrder > reorderPoint) continue;
+
+    const target = Math.ceil(dailySales * (leadTimeDays + coverDays)) + threshold;
+    const packSize = offer?.entry.packSize || 1;
+    let quantity = Math.max(target - stock - onOrder, offer?.entry.minOrderQuantity || 1);
+    quantity = Math.ceil(quantity / packSize) * packSize;
+
+    const unitCost = offer?.entry.unitCost ?? product.average_cost ?? null;
+    const key = offer ? String(offer.supplier._id) : 'unassigned';
+    if (!groups.has(key)) {
+      groups.set(key, {
+        supplier: offer ? { _id: offer.supplier._id, name: offer.supplier.name, currency: offer.supplier.currency, leadTimeDays } : null,
+        items: [],
+        estimatedCost: 0
+      });
+    }
+
+    const group = groups.get(key);
+    group.items.push({
+      productId: product._id,
+      name: product.name,
+      sku: product.sku,
+      supplierSku: offer?.entry.supplierSku || null,
+      stock,
+      onOrder,
+      unitsSold: sold,
+      dailySales: Math.round(dailySales * 100) / 100,
+      daysOfStockLeft: dailySales > 0 ? Math.round((stock / dailySales) * 10) / 10 : null,
+      reorderPoint,
+      suggestedQuantity: quantity,
+      unitCost
+    });
+    if (unitCost != null) {
+      group.estimatedCost = roundMoney(group.estimatedCost + unitCost * quantity);
+    }
+  }
+
+  // Most urgent first; products with no recent sales go last
+  const urgency = (item) => (item.daysOfStockLeft == null ? Infinity : item.daysOfStockLeft);
+  return [...groups.values()].map(group => ({
+    ...group,
+    items: group.items.sort((a, b) => urgency(a) - urgency(b))
+  }));
+};
+
+// Weighted average of the stock already held and the units just received
+const updateAverageCost = async (product, stockBefore, quantity, landedUnitCost, currency) => {
+  let unitCost = landedUnitCost;
+  if (product.cost_currency && currency && product.cost_currency !== currency) {
+    unitCost = await currencyUtils.convertCurrency(landedUnitCost, currency, product.cost_currency, product.organizationId);
+  }
+
+  const heldCost = product.average_cost != null ? product.average_cost * Math.max(stockBefore, 0) : 0;
+  const heldUnits = product.average_cost != null ? Math.max(stockBefore, 0) : 0;
+  const averageCost = Math.round(((heldCost + unitCost * quantity) / (heldUnits + quantity)) * 10000) / 10000;
+
+  await Inventory.findByIdAndUpdate(product._id, {
+    $set: { average_cost: averageCost, cost_currency: product.cost_currency || currency }
+  });
+};
+
+// Add received units to the product: at a warehouse for warehouse-fed stores, otherwise to stock_quantity
+const addReceivedStock = async ({ product, store, quantity, warehouseId, purchaseOrder, userId, note, syncToWooCommerce }) => {
+  const ledger = { source: 'purchase', userId, reference: purchaseOrder.poNumber, note };
+  if (usesStockLocations(store)) {
+    await changeLocationStock({
+      product, warehouseId, delta: quantity, type: 'receipt', userId, note,
+      purchaseOrderId: purchaseOrder._id, reference: purchaseOrder.poNumber
+    });
+    return syncProductLocationStock(product, { syncToWooCommerce, store, ledger });
+  }
+
+  const updated = await Inventory.findByIdAndUpdate(
+    product._id,
+    { $inc: { stock_quantity: quantity }, $set: { manage_stock: true, stock_status: 'instock' } },
+    { new: true }
+  );
+  await recordStockChange({
+    ...ledger,
+    product: updated,
+    previousQuantity: (parseInt(updated.stock_quantity, 10) || 0) - quantity,
+    newQuantity: updated.stock_quantity
+  });
+
+  let wooCommerceSync = null;
+  if (syncToWooCommerce && store) {
+    const pushed = await pushStoreQuantity(store, updated, updated.stock_quantity);
+    await Inventory.findByIdAndUpdate(product._id, { $set: pushed.fields });
+    wooCommerceSync = pushed.wooCommerceSync;
+  }
+  return { quantity: updated.stock_quantity, wooCommerceSync };
+};
+
+// Claim units on a line only if they are still outstanding in the database, so two
+// receipts of the same line cannot both book the stock
+const claimReceivedUnits = async (purchaseOrder, line, units) => {
+  const result = await PurchaseOrder.updateOne(
+    {
+      _id: purchaseOrder._id,
+      status: { $in: PurchaseOrder.OPEN_STATUSES },
+      $expr: {
+        $anyElementTrue: [{
+          $map: {
+            input: '$lineItems',
+            as: 'line',
+            in: {
+              $and: [
+                { $eq: ['$$line._id', line._id] },
+                { $lte: [{ $add: ['$$line.quantityReceived', units] }, '$$line.quantityOrdered'] }
+              ]
+            }
+          }
+        }]
+      }
+    },
+    { $inc: { 'lineItems.$[line].quantityReceived': units } },
+    { arrayFilters: [{ 'line._id': line._id }] }
+  );
+  if (!result.modifiedCount) {
+    throw new ConflictError(`${line.sku || line.name} was received or cancelled meanwhile; reload the purchase order`);
+  }
+};
+
+const releaseReceivedUnits = (purchaseOrder, line, units) => PurchaseOrder.updateOne(
+  { _id: purchaseOrder._id },
+  { $inc: { 'lineItems.$[line].quantityReceived': -units } },
+  { arrayFilters: [{ 'line._id': line._id }] }
+);
+
+/**
+ * Receive some or all of the outstanding units on a purchase order. Every line is
+ * checked before any stock moves, and each line's units are claimed atomically before
+ * its stock is added; each received line raises stock and updates the product's
+ * average landed cost.
+ * @param {Object} purchaseOrder - PurchaseOrder document
+ * @param {Array} lines - [{ lineId, quantity }]
+ * @param {Object} options - { warehouseId, userId, note, syncToWooCommerce }
+ * @returns {Object} { purchaseOrder, receipt, products } with the purchase order as saved and the new quantity per product
+ */
+const receivePurchaseOrder = async (purchaseOrder, lines, { warehouseId = null, userId, note = null, syncToWooCommerce = false } = {}) => {
+  if (!PurchaseOrder.OPEN_STATUSES.includes(purchaseOrder.status)) {
+    throw new ConflictError(`Cannot receive a purchase order that is ${purchaseOrder.status}`);
+  }
+  if (!Array.isArray(lines) || lines.length === 0) {
+    throw new BadRequestError('Provide at least one line to receive');
+  }
+
+  const receivingWarehouseId = warehouseId || purchaseOrder.warehouseId;
+  const storeCache = new Map();
+  const planned = [];
+
+  for (const { lineId, quantity } of lines) {
+    const line = purchaseOrder.lineItems.id(lineId);
+    if (!line) {
+      throw new BadRequestError(`Line ${lineId} is not on this purchase order`);
+    }
+    const units = Number(quantity);
+    const outstanding = line.quantityOrdered - line.quantityReceived;
+    if (!Number.isInteger(units) || units <= 0 || units > outstanding) {
+      throw new BadRequestError(`Quantity for ${line.sku || line.name} must be between 1 and ${outstanding}`);
+    }
+
+    const product = await Inventory.findOne({ _id: line.productId, organizationId: purchaseOrder.organizationId });
+    if (!product) {
+      throw new BadRequestError(`Product ${line.sku || line.name} no longer exists`);
+    }
+    if (!storeCache.has(String(product.storeId))) {
+      storeCache.set(String(product.storeId), await Store.findById(product.storeId));
+    }
+    const store = storeCache.get(String(product.storeId));
+    if (usesStockLocations(store) && !receivingWarehouseId) {
+      throw new BadRequestError(`Choose a warehouse to receive ${line.sku || line.name} into`);
+    }
+
+    planned.push({ line, units, product, store });
+  }
+
+  const receipt = { _id: new mongoose.Types.ObjectId(), receivedBy: userId, warehouseId: receivingWarehouseId, lines: [], note };
+  const products = [];
+  try {
+    for (const { line, units, product, store } of planned) {
+      await claimReceivedUnits(purchaseOrder, line, units);
+
+      const stockBefore = parseInt(product.stock_quantity, 10) || 0;
+      let result;
+      try {
+        result = await addReceivedStock({
+          product, store, quantity: units, warehouseId: receivingWarehouseId, purchaseOrder, userId, note, syncToWooCommerce
+        });
+      } catch (error) {
+        await releaseReceivedUnits(purchaseOrder, line, units);
+        throw error;
+      }
+      await updateAverageCost(product, stockBefore, units, line.landedUnitCost ?? line.unitCost, purchaseOrder.currency);
+
+      receipt.lines.push({ lineId: line._id, productId: product._id, quantity: units, landedUnitCost: line.landedUnitCost });
+      products.push({ productId: product._id, sku: product.sku, received: units, stock_quantity: result?.quantity, wooCommerceSync: result?.wooCommerceSync || null });
+    }
+  } finally {
+    // Record whatever was received, even if a later line failed. Quantities were already
+    // counted by the claims, so only the receipt and the status are written here
+    if (receipt.lines.length > 0) {
+      const saved = await PurchaseOrder.findByIdAndUpdate(purchaseOrder._id, { $push: { receipts: receipt } }, { new: true });
+      saved.updateReceivingStatus();
+      // Status only moves forward, so a receipt finishing late cannot undo a later one's status
+      await PurchaseOrder.updateOne(
+        { _id: saved._id, status: { $in: saved.status === 'received' ? PurchaseOrder.OPEN_STATUSES : ['ordered'] } },
+        { $set: saved.status === 'received' ? { status: saved.status, receivedAt: saved.receivedAt } : { status: saved.status } }
+      );
+      purchaseOrder = saved;
+    }
+  }
+
+  return { purchaseOrder, receipt: purchaseOrder.receipts.id(receipt._id), products };
+};
+
+module.exports = {
+  getUnitsSold,
+  getUnitsOnOrder,
+  suggestReorders,
+  receivePurchaseOrder
+};
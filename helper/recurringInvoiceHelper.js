@@ -0,0 +1,280 @@
+const cron = require('node-cron');
+const Invoice = require('../models/Invoice');
+const RecurringInvoice = require('../models/recurringInvoice');
+const Organization = require('../models/organization');
+const Store = require('../models/store');
+const logEvent = require('./logEvent');
+const { computeInvoiceTaxes } = require('./taxHelper');
+const { sendInvoiceEmail } = require('./invoiceDocumentHelper');
+const { sendNotificationToAdmins } = require('../helpers/notificationHelper');
+const templateMergerService = require('../services/templateMergerService');
+const { BadRequestError } = require('../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Schedules that keep failing are paused until someone looks at them
+const MAX_CONSECUTIVE_FAILURES = 5;
+
+// Monthly runs return to the anchor day, or the month's last day when it is shorter
+const addMonths = (date, months, anchorDay) => {
+  const next = new Date(date);
+  next.setDate(1);
+  next.setMonth(next.getMonth() + months);
+  const lastDay = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate();
+  next.setDate(Math.min(anchorDay || date.getDate(), lastDay));
+  return next;
+};
+
+/**
+ * The run after `from` on the schedule's cadence
+ * @param {Object} schedule - RecurringInvoice (frequency, interval, anchorDay)
+ * @param {Date} from - Run to count from
+ * @returns {Date} Next run
+ */
+const computeNextRunAt = (schedule, from) => {
+  const interval = schedule.interval || 1;
+  if (schedule.frequency === 'monthly') return addMonths(from, interval, schedule.anchorDay);
+  const days = schedule.frequency === 'weekly' ? 7 * interval : interval;
+  return new Date(from.getTime() + days * DAY_MS);
+};
+
+// A schedule is done once it has run its occurrences or its next run falls after the end date
+const isScheduleFinished = (schedule) =>
+  (schedule.maxOccurrences && schedule.occurrences >= schedule.maxOccurrences) ||
+  (schedule.endDate && schedule.nextRunAt > schedule.endDate);
+
+/**
+ * Create (and, with autoSend, email) one invoice from a recurring schedule's template.
+ * Once the invoice is saved nothing else throws: logging, email and notification
+ * failures are logged, and an email failure comes back as emailError.
+ * @param {Object} schedule - RecurringInvoice document
+ * @param {Object} [options]
+ * @param {Function} [options.onInvoiceSaved] - Called with the invoice as soon as it is saved
+ * @returns {Object} { invoice, emailed, emailError }
+ */
+const generateScheduledInvoice = async (schedule, { onInvoiceSaved } = {}) => {
+  const organization = await Organization.findById(schedule.organizationId);
+  if (!organization) {
+    throw new BadRequestError('Organization not found');
+  }
+
+  const defaultStore = await Store.findOne({ organizationId: schedule.organizationId, isActive: true });
+  let companyInfo;
+  if (defaultStore) {
+    try {
+      companyInfo = await templateMergerService.getMergedCompanyInfoForGeneration(schedule.organizationId, defaultStore._id, 'invoice');
+    } catch (error) {
+      console.error('Error getting merged company info:', error);
+    }
+  }
+
+  const items = schedule.items.map(item => ({
+    name: item.name,
+    description: item.description || '',
+    quantity: item.quantity,
+    unitPrice: item.unitPrice,
+    totalPrice: item.quantity * item.unitPrice,
+    taxRate: item.taxRate || 0,
+    taxClass: item.taxClass || 'standard'
+  }));
+
+  const taxFields = organization.taxSettings?.enabled
+    ? await computeInvoiceTaxes(organization, {
+      items,
+      discountAmount: schedule.discountAmount,
+      address: schedule.customerAddress || {},
+      customerVatNumber: schedule.customerVatNumber,
+      pricesIncludeTax: schedule.pricesIncludeTax
+    })
+    : null;
+
+  const issueDate = new Date();
+  const invoice = new Invoice({
+    customerId: schedule.customerId,
+    storeId: defaultStore?._id,
+    organizationId: schedule.organizationId,
+    userId: schedule.userId,
+    customerName: schedule.customerName,
+    customerEmail: schedule.customerEmail,
+    customerAddress: schedule.customerAddress,
+    items: taxFields ? taxFields.items : items,
+    taxAmount: taxFields ? taxFields.taxAmount : schedule.taxAmount,
+    discountAmount: schedule.discountAmount,
+    ...(taxFields && {
+      taxBreakdown: taxFields.taxBreakdown,
+      pricesIncludeTax: taxFields.pricesIncludeTax,
+      reverseCharge: taxFields.reverseCharge,
+      customerVatNumber: taxFields.customerVatNumber,
+      taxNote: taxFields.taxNote
+    }),
+    currency: schedule.currency,
+    issueDate,
+    dueDate: new Date(issueDate.getTime() + schedule.paymentTermsDays * DAY_MS),
+    notes: schedule.notes,
+    terms: schedule.terms,
+    type: 'recurring',
+    recurringInvoiceId: schedule._id,
+    templateId: organization.invoiceSettings?.defaultInvoiceTemplate,
+    companyInfo,
+    createdBy: schedule.userId,
+    updatedBy: schedule.userId
+  });
+  invoice.calculateTotals();
+  await invoice.save();
+  if (onInvoiceSaved) await onInvoiceSaved(invoice);
+
+  try {
+    await logEvent({
+      action: 'invoice_created',
+      user: schedule.userId,
+      resource: 'Invoice',
+      resourceId: invoice._id,
+      details: {
+        invoiceNumber: invoice.invoiceNumber,
+        customerName: invoice.customerName,
+        totalAmount: invoice.totalAmount,
+        currency: invoice.currency,
+        recurringInvoiceId: schedule._id
+      },
+      organization: schedule.organizationId
+    });
+  } catch (logError) {
+    console.error('Error logging recurring invoice:', logError);
+  }
+
+  let emailed = false;
+  let emailError = null;
+  if (schedule.autoSend) {
+    try {
+      const result = await sendInvoiceEmail(invoice, organization, { userId: schedule.userId });
+      emailed = result.success;
+      emailError = result.success ? null : result.error;
+      if (emailed) {
+        invoice.status = 'sent';
+        await invoice.save();
+      }
+    } catch (sendError) {
+      console.error('Error emailing recurring invoice:', sendError);
+      emailError = sendError.message;
+    }
+  }
+
+  try {
+    await sendNotificationToAdmins(schedule.organizationId, {
+      type: 'invoice_created',
+      title: 'Recurring Invoice Generated',
+      message: `Invoice ${invoice.invoiceNumber} was generated for ${invoice.customerName} from "${schedule.name}"${emailError ? ' but could not be emailed' : ''}`,
+      data: { invoiceId: invoice._id, invoiceNumber: invoice.invoiceNumber, recurringInvoiceId: schedule._id }
+    });
+  } catch (notificationError) {
+    console.error('Notification error:', notificationError);
+  }
+
+  return { invoice, emailed, emailError };
+};
+
+/**
+ * Run a schedule that is due: claim the run by moving nextRunAt forward (so overlapping
+ * workers cannot both generate it), then generate. Runs missed while the server was down
+ * are not made up; the schedule moves on to its next run after now.
+ * @param {Object} schedule - RecurringInvoice document due to run
+ * @param {Date} [now]
+ * @returns {Object|null} generateScheduledInvoice result, or null when another worker claimed the run
+ */
+const runRecurringInvoice = async (schedule, now = new Date()) => {
+  const dueRun = schedule.nextRunAt;
+  let nextRunAt = computeNextRunAt(schedule, dueRun);
+  while (nextRunAt <= now) nextRunAt = computeNextRunAt(schedule, nextRunAt);
+
+  const claimed = await RecurringInvoice.findOneAndUpdate(
+    { _id: schedule._id, status: 'active', nextRunAt: dueRun },
+    { $set: { nextRunAt, lastRunAt: now } },
+    { new: true }
+  );
+  if (!claimed) return null;
+
+  let invoiceSaved = false;
+  try {
+    const result = await generateScheduledInvoice(claimed, {
+      // Record the invoice before it is emailed, so the run is done even if a later step fails
+      onInvoiceSaved: async (invoice) => {
+        invoiceSaved = true;
+        claimed.occurrences += 1;
+        claimed.lastInvoiceId = invoice._id;
+        claimed.lastError = null;
+        claimed.failureCount = 0;
+        if (isScheduleFinished(claimed)) claimed.status = 'completed';
+        await claimed.save();
+      }
+    });
+    if (result.emailError) {
+      claimed.lastError = `Invoice generated but not emailed: ${result.emailError}`;
+      await claimed.save();
+    }
+    return result;
+  } catch (error) {
+    // Once this run's invoice exists, rolling back would generate it a second time
+    if (invoiceSaved) throw error;
+
+    // Try the same run again on the next pass
+    claimed.nextRunAt = dueRun;
+    claimed.lastError = error.message;
+    claimed.failureCount += 1;
+    if (claimed.failureCount >= MAX_CONSECUTIVE_FAILURES) claimed.status = 'paused';
+    await claimed.save();
+    throw error;
+  }
+};
+
+/**
+ * Generate every active schedule whose next run has come
+ * @param {Date} [now]
+ * @returns {Object} { due, generated, failed }
+ */
+const runDueRecurringInvoices = async (now = new Date()) => {
+  const schedules = await RecurringInvoice.find({ status: 'active', nextRunAt: { $lte: now } }).sort({ nextRunAt: 1 });
+
+  const summary = { due: schedules.length, generated: 0, failed: 0 };
+  for (const schedule of schedules) {
+    try {
+      if (await runRecurringInvoice(schedule, now)) summary.generated += 1;
+    } catch (error) {
+      summary.failed += 1;
+      console.error(`❌ Recurring invoice "${schedule.name}" (${schedule._id}) failed:`, error.message);
+    }
+  }
+  return summary;
+};
+
+// Flag to prevent overlapping runs
+let isRunningRecurringInvoices = false;
+
+// Check for due recurring invoices every hour
+const scheduleRecurringInvoices = () => {
+  cron.schedule('5 * * * *', async () => {
+    if (isRunningRecurringInvoices) {
+      console.log('🧾 Recurring invoice run already in progress, skipping...');
+      return;
+    }
+
+    isRunningRecurringInvoices = true;
+    try {
+      const summary = await runDueRecurringInvoices();
+      if (summary.due > 0) {
+        console.log(`🧾 Recurring invoices: ${summary.generated} generated, ${summary.failed} failed`);
+      }
+    } catch (error) {
+      console.error('❌ Error in recurring invoice run:', error.message);
+    } finally {
+      isRunningRecurringInvoices = false;
+    }
+  });
+};
+
+module.exports = {
+  computeNextRunAt,
+  isScheduleFinished,
+  generateScheduledInvoice,
+  runRecurringInvoice,
+  runDueRecurringInvoices,
+  scheduleRecurringInvoices
+};
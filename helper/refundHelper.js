@@ -0,0 +1,361 @@
+const Inventory = require('../models/inventory');
+const Order = require('../models/order');
+const Receipt = require('../models/Receipt');
+const Refund = require('../models/refund');
+const Store = require('../models/store');
+const { getCommerceAdapter } = require('../services/commerceAdapterRegistry');
+const { orderNotificationHelper } = require('../helpers/orderNotificationHelper');
+const { adjustProductStock } = require('./stockLedgerHelper');
+const { usesStockLocations, changeLocationStock, syncProductLocationStock } = require('./warehouseStockHelper');
+const { BadRequestError, ConflictError } = require('../utils/errors');
+const { roundMoney } = require('../utils/moneyUtils');
+
+// Rounding slack when comparing money amounts
+const AMOUNT_TOLERANCE = 0.005;
+
+const toAmount = (value, field) => {
+  if (value === undefined || value === null || value === '') return null;
+  const amount = Number(value);
+  if (!Number.isFinite(amount) || amount < 0) {
+    throw new BadRequestError(`${field} must be a non-negative number`);
+  }
+  return roundMoney(amount);
+};
+
+// Refund amounts are in the store's currency, which is what the order's line totals use
+const getOrderTotal = (order) => parseFloat(order.originalTotal ?? order.total) || 0;
+const getOrderCurrency = (order) => order.originalCurrency || order.currency || null;
+
+const findOrderLine = (order, lineItemId) => (order.line_items || []).find(line =>
+  line._id.toString() === String(lineItemId) || (line.id != null && String(line.id) === String(lineItemId))
+);
+
+/**
+ * What has already been refunded on an order, counting only refunds that took effect
+ * @param {string} orderId - Order ID
+ * @returns {Object} { amount, shippingAmount, shippingTaxAmount, lines: Map(line _id -> { quantity, amount, taxAmount }) }
+ */
+const getRefundedTotals = async (orderId) => {
+  const refunds = await Refund.find({ orderId, syncStatus: { $in: Refund.EFFECTIVE_STATUSES } });
+  const totals = { amount: 0, shippingAmount: 0, shippingTaxAmount: 0, lines: new Map() };
+
+  refunds.forEach(refund => {
+    totals.amount += refund.amount;
+    totals.shippingAmount += refund.shippingAmount;
+    totals.shippingTaxAmount += refund.shippingTaxAmount;
+    refund.lineItems.forEach(item => {
+      const key = item.lineItemId.toString();
+      const line = totals.lines.get(key) || { quantity: 0, amount: 0, taxAmount: 0 };
+      line.quantity += item.quantity;
+      line.amount += item.amount;
+      line.taxAmount += item.taxAmount;
+      totals.lines.set(key, line);
+    });
+  });
+
+  totals.amount = roundMoney(totals.amount);
+  return totals;
+};
+
+/**
+ * Refunded and still refundable amounts and quantities of an order
+ * @param {Object} order - Order document
+ * @returns {Object} Totals for the order and for each line item
+ */
+const getRefundSummary = async (order) => {
+  const refunded = await getRefundedTotals(order._id);
+  const total = getOrderTotal(order);
+
+  return {
+    currency: getOrderCurrency(order),
+    total,
+    refunded: refunded.amount,
+    remaining: roundMoney(Math.max(0, total - refunded.amount)),
+    shipping: {
+      total: parseFloat(order.shipping_total) || 0,
+      refunded: roundMoney(refunded.shippingAmount)
+    },
+    lineItems: (order.line_items || []).map(line => {
+      const lineRefund = refunded.lines.get(line._id.toString()) || { quantity: 0, amount: 0 };
+      return {
+        lineItemId: line._id,
+        name: line.name,
+        quantity: line.quantity,
+        refundedQuantity: lineRefund.quantity,
+        remainingQuantity: Math.max(0, line.quantity - lineRefund.quantity),
+        total: Number(line.total) || 0,
+        refundedAmount: roundMoney(lineRefund.amount)
+      };
+    })
+  };
+};
+
+/**
+ * Check a refund request against the order and what was already refunded, and work out
+ * the line, shipping and tax portions. Lines default to their unit price and unit tax
+ * times the quantity; the total defaults to the sum of the portions, or to everything
+ * still refundable when no portions are given.
+ * @returns {Object} Refund fields
+ */
+const buildRefund = (order, input, refunded) => {
+  const lineItems = (input.lineItems || []).map(requested => {
+    const line = findOrderLine(order, requested.lineItemId);
+    if (!line) {
+      throw new BadRequestError(`Line item ${requested.lineItemId} is not on this order`);
+    }
+
+    const quantity = Number(requested.quantity ?? 0);
+    if (!Number.isInteger(quantity) || quantity < 0) {
+      throw new BadRequestError(`Refund quantity for ${line.name} must be a whole number`);
+    }
+
+    const already = refunded.lines.get(line._id.toString()) || { quantity: 0, amount: 0, taxAmount: 0 };
+    if (quantity > line.quantity - already.quantity) {
+      throw new BadRequestError(`Only ${line.quantity - already.quantity} of ${line.name} can still be refunded`);
+    }
+
+    const lineTotal = Number(line.total) || 0;
+    const lineTax = Number(line.total_tax) || 0;
+    const amount = toAmount(requested.amount, 'Line item amount') ?? roundMoney(lineTotal / line.quantity * quantity);
+    const taxAmount = toAmount(requested.taxAmount, 'Line item tax') ?? roundMoney(lineTax / line.quantity * quantity);
+
+    if (amount + already.amount > lineTotal + AMOUNT_TOLERANCE) {
+      throw new BadRequestError(`Refund for ${line.name} exceeds the line total`);
+    }
+    if (line.total_tax != null && taxAmount + already.taxAmount > lineTax + AMOUNT_TOLERANCE) {
+      throw new BadRequestError(`Tax refund for ${line.name} exceeds the line tax`);
+    }
+    if (quantity === 0 && amount === 0 && taxAmount === 0) {
+      throw new BadRequestError(`Nothing to refund for ${line.name}`);
+    }
+
+    return {
+      lineItemId: line._id,
+      remoteLineItemId: line.id || null,
+      product_id: line.product_id || null,
+      inventoryId: line.inventoryId || null,
+      name: line.name,
+      quantity,
+      amount,
+      taxAmount
+    };
+  });
+
+  const shippingAmount = toAmount(input.shippingAmount, 'Shipping amount') || 0;
+  const shippingTaxAmount = toAmount(input.shippingTaxAmount, 'Shipping tax amount') || 0;
+  if (shippingAmount + refunded.shippingAmount > (parseFloat(order.shipping_total) || 0) + AMOUNT_TOLERANCE) {
+    throw new BadRequestError('Shipping refund exceeds the shipping charged');
+  }
+  if (shippingTaxAmount + refunded.shippingTaxAmount > (parseFloat(order.shipping_tax) || 0) + AMOUNT_TOLERANCE) {
+    throw new BadRequestError('Shipping tax refund exceeds the shipping tax charged');
+  }
+
+  const taxAmount = roundMoney(lineItems.reduce((sum, item) => sum + item.taxAmount, 0) + shippingTaxAmount);
+  const portions = roundMoney(lineItems.reduce((sum, item) => sum + item.amount, 0) + shippingAmount + taxAmount);
+  const remaining = roundMoney(getOrderTotal(order) - refunded.amount);
+
+  let amount = toAmount(input.amount, 'Refund amount');
+  if (amount === null) {
+    amount = lineItems.length || shippingAmount || shippingTaxAmount ? portions : remaining;
+  } else if (amount + AMOUNT_TOLERANCE < portions) {
+    throw new BadRequestError(`Refund amount is less than the refunded lines, shipping and tax (${portions})`);
+  }
+  if (amount <= 0) {
+    throw new BadRequestError(remaining <= 0 ? 'Order has already been fully refunded' : 'Refund amount must be greater than zero');
+  }
+  if (amount > remaining + AMOUNT_TOLERANCE) {
+    throw new BadRequestError(`Refund amount exceeds the ${remaining} still refundable on this order`);
+  }
+
+  const shippingLine = (order.shipping_lines || [])[0];
+  const taxLine = (order.tax_lines || [])[0];
+  return {
+    lineItems,
+    shippingAmount,
+    shippingTaxAmount,
+    remoteShippingLineId: shippingLine?.id || null,
+    taxRateId: input.taxRateId || taxLine?.rate_id || null,
+    taxAmount,
+    amount
+  };
+};
+
+// Put refunded quantities back, at a warehouse for location-fed stores
+const restockRefund = async (refund, order, store, userId) => {
+  const reference = `Order #${order.number || order.order_id || order._id}`;
+  const note = `Refund${refund.reason ? `: ${refund.reason}` : ''}`;
+
+  for (const item of refund.lineItems) {
+    if (!item.inventoryId || item.quantity <= 0) continue;
+    try {
+      if (refund.restockWarehouseId) {
+        const product = await Inventory.findById(item.inventoryId);
+        if (!product) continue;
+        await changeLocationStock({
+          product,
+          warehouseId: refund.restockWarehouseId,
+          delta: item.quantity,
+          type: 'return',
+          userId,
+          reference,
+          note
+        });
+        await syncProductLocationStock(product, {
+          syncToWooCommerce: !!order.wooCommerceId,
+          store,
+          ledger: { source: 'refund', userId, reference, note }
+        });
+      } else {
+        await adjustProductStock(item.inventoryId, item.quantity, { source: 'refund', userId, reference, note });
+      }
+    } catch (error) {
+      console.error(`Error restocking ${item.name} for refund ${refund._id}:`, error.message);
+    }
+  }
+};
+
+// Receipts for the order show the same share of their total as refunded
+const updateOrderReceipts = async (order, refundedTotal, refund, userId) => {
+  const orderTotal = getOrderTotal(order);
+  const share = orderTotal > 0 ? Math.min(1, refundedTotal / orderTotal) : 1;
+  const receipts = await Receipt.find({ orderId: order._id, status: { $in: ['completed', 'partially_refunded'] } });
+
+  for (const receipt of receipts) {
+    receipt.refundAmount = roundMoney(receipt.totalAmount * share);
+    receipt.status = share >= 1 ? 'refunded' : 'partially_refunded';
+    receipt.refundDate = refund.createdAt;
+    receipt.refundReason = refund.reason;
+    receipt.updatedBy = userId;
+    await receipt.save();
+  }
+};
+
+/**
+ * Claim an amount against the order's refund_amount, guarded by the order total, so
+ * concurrent refunds cannot together refund more than the order
+ * @returns {Object|null} The order's updated refund_amount, or null when it would exceed the total
+ */
+const claimRefundAmount = (order, amount) => Order.findOneAndUpdate(
+  {
+    _id: order._id,
+    $expr: { $lte: [{ $add: [{ $ifNull: ['$refund_amount', 0] }, amount] }, getOrderTotal(order) + AMOUNT_TOLERANCE] }
+  },
+  { $inc: { refund_amount: amount } },
+  { new: true, projection: { refund_amount: 1 } }
+);
+
+const releaseRefundAmount = (order, amount) => Order.updateOne({ _id: order._id }, { $inc: { refund_amount: -amount } });
+
+const refundSyncError = (error, fallback) =>
+  typeof error === 'string' ? error : error?.message || fallback;
+
+/**
+ * Refund an order: claim the amount on the order, record the refund, create it in the
+ * store through the order refunds API, then restock, update the order and its receipts
+ * and notify the customer. A refund the store rejects, or whose store call fails, is
+ * kept with syncStatus 'failed', releases its claim and changes nothing locally.
+ * @param {Object} order - Order document
+ * @param {Object} input - lineItems [{ lineItemId, quantity, amount?, taxAmount? }], shippingAmount,
+ *   shippingTaxAmount, amount, reason, restock, restockWarehouseId, refundPayment, taxRateId
+ * @param {Object} [options] - userId, receiptId
+ * @returns {Object} Saved Refund document
+ */
+const createOrderRefund = async (order, input = {}, { userId = null, receiptId = null } = {}) => {
+  const store = await Store.findById(order.storeId);
+  const refunded = await getRefundedTotals(order._id);
+  const portions = buildRefund(order, input, refunded);
+
+  // Location-fed stores restock at a warehouse and push the new total, rather than letting the store restock
+  const restock = !!input.restock;
+  let restockWarehouseId = null;
+  if (restock && usesStockLocations(store)) {
+    restockWarehouseId = input.restockWarehouseId || store.stockLocations[0];
+    if (!store.stockLocations.some(id => id.toString() === String(restockWarehouseId))) {
+      throw new BadRequestError('Restock warehouse is not one of the store\'s stock locations');
+    }
+  }
+
+  const refund = new Refund({
+    ...portions,
+    organizationId: order.organizationId,
+    storeId: order.storeId,
+    orderId: order._id,
+    receiptId,
+    currency: getOrderCurrency(order),
+    reason: input.reason || '',
+    restock,
+    restockWarehouseId,
+    refundPayment: !!input.refundPayment,
+    userId,
+    syncStatus: order.wooCommerceId && store ? 'pending' : 'not_synced'
+  });
+
+  const claimed = await claimRefundAmount(order, refund.amount);
+  if (!claimed) {
+    throw new ConflictError('Refund exceeds the amount still refundable on this order');
+  }
+  try {
+    await refund.save();
+  } catch (error) {
+    await releaseRefundAmount(order, refund.amount);
+    throw error;
+  }
+
+  if (refund.syncStatus === 'pending') {
+    let result;
+    try {
+      const adapter = getCommerceAdapter(store);
+      result = await adapter.createOrderRefund(order.wooCommerceId, {
+        ...refund.toObject(),
+        restock: restock && !restockWarehouseId
+      });
+    } catch (error) {
+      result = { success: false, error: refundSyncError(error, 'Refund could not be sent to the store') };
+    }
+
+    if (!result.success) {
+      refund.syncStatus = 'failed';
+      refund.syncError = refundSyncError(result.error, 'Refund was rejected by the store');
+      await refund.save();
+      await releaseRefundAmount(order, refund.amount);
+      return refund;
+    }
+    refund.wooCommerceId = Number(result.data.id);
+    refund.lastWooCommerceSync = new Date();
+    refund.syncStatus = 'synced';
+  }
+
+  if (restock) {
+    await restockRefund(refund, order, store, userId);
+    refund.restocked = true;
+  }
+  await refund.save();
+
+  // refund_amount already holds this refund from the claim
+  const refundedTotal = roundMoney(claimed.refund_amount);
+  const update = { refund_reason: refund.reason };
+  if (refundedTotal + AMOUNT_TOLERANCE >= getOrderTotal(order)) {
+    update.status = 'refunded';
+  }
+  const refundEntry = { id: refund.wooCommerceId || refund._id.toString(), reason: refund.reason, total: `-${refund.amount.toFixed(2)}` };
+  await Order.updateOne({ _id: order._id }, { $set: update, $push: { refunds: refundEntry } });
+  order.set({ ...update, refund_amount: refundedTotal });
+  order.refunds = [...(order.refunds || []), refundEntry];
+
+  await updateOrderReceipts(order, refundedTotal, refund, userId);
+
+  await orderNotificationHelper.notifyRefundProcessed(
+    { ...order.toObject(), currency: refund.currency || order.currency },
+    { amount: refund.amount.toFixed(2), reason: refund.reason || undefined, date: refund.createdAt.toLocaleDateString() }
+  );
+
+  return refund;
+};
+
+module.exports = {
+  getOrderTotal,
+  getRefundedTotals,
+  getRefundSummary,
+  buildRefund,
+  createOrderRefund
+};
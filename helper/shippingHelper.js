@@ -0,0 +1,323 @@
+const mongoose = require('mongoose');
+const Inventory = require('../models/inventory');
+const CarrierAccount = require('../models/carrierAccount');
+const ShippingLabel = require('../models/shippingLabel');
+const { getCarrierAdapter } = require('../services/carrierAdapterRegistry');
+const { AppError, BadRequestError, ConflictError } = require('../utils/errors');
+
+// Store weight and dimension units converted to the ounces and inches carriers quote in
+const OUNCES_PER_UNIT = { oz: 1, lbs: 16, g: 0.035274, kg: 35.274 };
+const INCHES_PER_UNIT = { in: 1, cm: 0.393701, mm: 0.0393701, m: 39.3701 };
+
+const DEFAULT_PARCEL = { weight: 16, length: 12, width: 8, height: 6 };
+const REQUIRED_ADDRESS_FIELDS = ['address1', 'city', 'postalCode', 'country'];
+// A reservation older than this is from a purchase that never finished
+const PENDING_LABEL_TTL_MS = 10 * 60 * 1000;
+
+const roundTo = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+const errorMessage = (error) => (typeof error === 'string' ? error : error?.message || JSON.stringify(error));
+
+const getShipFromAddress = (store) => {
+  const address = store?.shippingSettings?.shipFromAddress || {};
+  const missing = REQUIRED_ADDRESS_FIELDS.filter(field => !address[field]);
+  if (missing.length > 0) {
+    throw new BadRequestError(`Store has no complete ship-from address (missing ${missing.join(', ')})`);
+  }
+
+  return {
+    name: address.name || store.name,
+    company: address.company || store.name,
+    address1: address.address1,
+    address2: address.address2 || '',
+    city: address.city,
+    state: address.state || '',
+    postalCode: address.postalCode,
+    country: address.country,
+    phone: address.phone || '',
+    email: address.email || ''
+  };
+};
+
+// Orders without a shipping address ship to the billing address
+const getShipToAddress = (order) => {
+  const address = order.shipping?.address_1 ? order.shipping : (order.billing || {});
+  return {
+    name: `${address.first_name || ''} ${address.last_name || ''}`.trim(),
+    company: address.company || '',
+    address1: address.address_1 || '',
+    address2: address.address_2 || '',
+    city: address.city || '',
+    state: address.state || '',
+    postalCode: address.postcode || '',
+    country: address.country || '',
+    phone: address.phone || order.billing?.phone || '',
+    email: order.billing?.email || ''
+  };
+};
+
+/**
+ * Parcel for an order, in ounces and inches. Weight is the sum of the products' weights;
+ * length and width are the largest product's and heights stack. Anything the products
+ * do not say comes from the store's default parcel, and `override` wins over both.
+ * @param {Object} order - Order document
+ * @param {Object} store - The order's Store
+ * @param {Object} [override] - weight, length, width, height given by the caller
+ * @returns {Object} { weight, length, width, height }
+ */
+const buildParcel = async (order, store, override = {}) => {
+  const settings = store?.shippingSettings || {};
+  const defaults = { ...DEFAULT_PARCEL, ...(settings.defaultParcel?.toObject?.() || settings.defaultParcel || {}) };
+  const ounces = OUNCES_PER_UNIT[settings.weightUnit] || OUNCES_PER_UNIT.kg;
+  const inches = INCHES_PER_UNIT[settings.dimensionUnit] || INCHES_PER_UNIT.cm;
+
+  const inventoryIds = (order.line_items || []).map(item => item.inventoryId).filter(Boolean);
+  const products = new Map(
+    (await Inventory.find({ _id: { $in: inventoryIds } }).select('weight dimensions'))
+      .map(product => [product._id.toString(), product])
+  );
+
+  const measured = { weight: 0, length: 0, width: 0, height: 0 };
+  (order.line_items || []).forEach(item => {
+    const product = item.inventoryId && products.get(item.inventoryId.toString());
+    if (!product) return;
+    const quantity = item.quantity || 1;
+    measured.weight += (parseFloat(product.weight) || 0) * ounces * quantity;
+
+    const [length, width, height] = ['length', 'width', 'height'].map(side => (parseFloat(product.dimensions?.[side]) || 0) * inches);
+    if (length > 0 && width > 0 && height > 0) {
+      measured.length = Math.max(measured.length, length);
+      measured.width = Math.max(measured.width, width);
+      measured.height += height * quantity;
+    }
+  });
+
+  return Object.keys(DEFAULT_PARCEL).reduce((parcel, key) => {
+    const requested = Number(override?.[key]);
+    parcel[key] = requested > 0 ? requested : (measured[key] > 0 ? roundTo(measured[key], 1) : defaults[key]);
+    return parcel;
+  }, {});
+};
+
+const buildShipment = async (order, store, parcelOverride) => ({
+  fromAddress: getShipFromAddress(store),
+  toAddress: getShipToAddress(order),
+  parcel: await buildParcel(order, store, parcelOverride),
+  reference: `Order #${order.number || order._id}`
+});
+
+const getCarrierAccounts = async (organizationId, carrierAccountId = null) => {
+  const filter = { organizationId, isActive: true };
+  if (carrierAccountId) filter._id = carrierAccountId;
+
+  const accounts = await CarrierAccount.find(filter).select('+apiKey');
+  if (accounts.length === 0) {
+    throw new BadRequestError(carrierAccountId
+      ? 'Carrier account not found or inactive'
+      : 'No active carrier account is configured for this organization');
+  }
+  return accounts;
+};
+
+/**
+ * Quote a shipment with every active carrier account of the organization (or one of them)
+ * @param {string} organizationId - Organization ID
+ * @param {Object} shipment - { fromAddress, toAddress, parcel, reference }
+ * @param {Object} [options] - carrierAccountId to quote a single account
+ * @returns {Object} { rates (cheapest first), errors (per account that failed to quote) }
+ */
+const quoteRates = async (organizationId, shipment, { carrierAccountId = null } = {}) => {
+  const accounts = await getCarrierAccounts(organizationId, carrierAccountId);
+  const rates = [];
+  const errors = [];
+
+  for (const account of accounts) {
+    const source = { carrierAccountId: account._id, provider: account.provider, accountName: account.name };
+    try {
+      const result = await getCarrierAdapter(account).getRates(shipment);
+      if (result.success) {
+        rates.push(...result.data.map(rate => ({ ...rate, ...source })));
+      } else {
+        errors.push({ ...source, error: errorMessage(result.error) });
+      }
+    } catch (error) {
+      errors.push({ ...source, error: error.message });
+    }
+  }
+
+  rates.sort((a, b) => a.amount - b.amount);
+  return { rates, errors };
+};
+
+// The order's current label; voided labels stay on record but no longer count
+const findActiveLabel = (orderId) => ShippingLabel.findOne({ orderId, status: { $ne: 'voided' } }).sort({ createdAt: -1 });
+
+const matchesName = (value, wanted) => !wanted || String(value).toLowerCase() === String(wanted).toLowerCase();
+
+/**
+ * Hold the order with a pending label before any postage is bought. The unique index on
+ * activeOrderId lets only one request through per order.
+ * @param {Object} order - Order document
+ * @param {Object} rate - Rate about to be bought
+ * @returns {Object} The pending ShippingLabel
+ */
+const reserveOrderLabel = async (order, rate) => {
+  await ShippingLabel.deleteMany({ orderId: order._id, status: 'pending', createdAt: { $lt: new Date(Date.now() - PENDING_LABEL_TTL_MS) } });
+
+  const reservationId = new mongoose.Types.ObjectId();
+  try {
+    return await ShippingLabel.create({
+      _id: reservationId,
+      orderId: order._id,
+      activeOrderId: order._id,
+      organizationId: order.organizationId,
+      storeId: order.storeId,
+      trackingNumber: `PENDING-${reservationId}`,
+      carrier: rate.carrier || 'pending',
+      serviceType: rate.service || 'pending',
+      carrierAccountId: rate.carrierAccountId,
+      status: 'pending'
+    });
+  } catch (error) {
+    if (error.code === 11000) {
+      throw new ConflictError('Shipping label already exists for this order');
+    }
+    throw error;
+  }
+};
+
+/**
+ * Buy a shipping label for an order. With a rateId the quoted rate is bought; otherwise
+ * the order is quoted and the cheapest rate is bought, optionally limited to a carrier
+ * and service name. The order is reserved first, so concurrent requests buy one label.
+ * @param {Object} order - Order document
+ * @param {Object} store - The order's Store
+ * @param {Object} [options] - carrierAccountId, shipmentId, rateId, carrier, serviceType, parcel
+ * @returns {Object} Saved ShippingLabel
+ */
+const purchaseOrderLabel = async (order, store, options = {}) => {
+  if (await findActiveLabel(order._id)) {
+    throw new ConflictError('Shipping label already exists for this order');
+  }
+
+  const shipment = await buildShipment(order, store, options.parcel);
+
+  let rate;
+  if (options.rateId) {
+    if (!options.carrierAccountId || !options.shipmentId) {
+      throw new BadRequestError('carrierAccountId and shipmentId are required to buy a quoted rate');
+    }
+    rate = { carrierAccountId: options.carrierAccountId, shipmentId: options.shipmentId, rateId: options.rateId };
+  } else {
+    const { rates, errors } = await quoteRates(order.organizationId, shipment, { carrierAccountId: options.carrierAccountId });
+    rate = rates.find(candidate => matchesName(candidate.carrier, options.carrier) && matchesName(candidate.service, options.serviceType));
+    if (!rate) {
+      throw new BadRequestError(rates.length === 0 && errors.length > 0
+        ? `No rates available: ${errors.map(error => error.error).join('; ')}`
+        : 'No rate matches the requested carrier and service');
+    }
+  }
+
+  const [account] = await getCarrierAccounts(order.organizationId, rate.carrierAccountId);
+  const pending = await reserveOrderLabel(order, rate);
+
+  let result;
+  try {
+    result = await getCarrierAdapter(account).purchaseLabel(rate.shipmentId, rate.rateId);
+  } catch (error) {
+    await ShippingLabel.deleteOne({ _id: pending._id });
+    throw error;
+  }
+  if (!result.success) {
+    await ShippingLabel.deleteOne({ _id: pending._id });
+    throw new AppError(`Label purchase failed: ${errorMessage(result.error)}`, 502);
+  }
+
+  const label = result.data;
+  pending.set({
+    status: 'created',
+    trackingNumber: label.trackingNumber,
+    carrier: label.carrier,
+    serviceType: label.service,
+    carrierAccountId: account._id,
+    provider: account.provider,
+    shipmentId: label.shipmentId,
+    carrierLabelId: label.labelId,
+    labelData: {
+      fromAddress: shipment.fromAddress,
+      toAddress: shipment.toAddress,
+      packageDetails: {
+        weight: shipment.parcel.weight,
+        dimensions: { length: shipment.parcel.length, width: shipment.parcel.width, height: shipment.parcel.height }
+      }
+    },
+    labelUrl: label.labelUrl,
+    labelFile: label.labelFile,
+    trackingUrl: label.trackingUrl,
+    shippingCost: label.amount,
+    currency: label.currency,
+    estimatedDelivery: rate.estimatedDays ? new Date(Date.now() + rate.estimatedDays * 24 * 60 * 60 * 1000) : undefined,
+    createdAt: new Date(),
+    updatedAt: new Date()
+  });
+  return await pending.save();
+};
+
+/**
+ * Void an unused label and ask the carrier for the postage back. Labels made before
+ * carrier accounts existed are only marked voided.
+ * @param {Object} label - ShippingLabel document
+ * @returns {Object} The updated label
+ */
+const voidShippingLabel = async (label) => {
+  if (label.status === 'voided') {
+    throw new ConflictError('Shipping label has already been voided');
+  }
+  if (label.status === 'pending') {
+    throw new ConflictError('Shipping label is still being bought');
+  }
+  if (['shipped', 'delivered'].includes(label.status)) {
+    throw new ConflictError('Only labels that have not been shipped can be voided');
+  }
+
+  if (label.carrierAccountId) {
+    const account = await CarrierAccount.findOne({ _id: label.carrierAccountId, organizationId: label.organizationId }).select('+apiKey');
+    if (!account) {
+      throw new BadRequestError('The carrier account this label was bought through no longer exists');
+    }
+
+    const result = await getCarrierAdapter(account).voidLabel({
+      shipmentId: label.shipmentId,
+      labelId: label.carrierLabelId,
+      trackingNumber: label.trackingNumber,
+      status: label.status
+    });
+    if (!result.success) {
+      throw new AppError(`Voiding the label failed: ${errorMessage(result.error)}`, 502);
+    }
+    if (result.data.refundStatus === 'rejected') {
+      throw new ConflictError('The carrier would not refund this label');
+    }
+    label.refundStatus = result.data.refundStatus;
+  }
+
+  label.status = 'voided';
+  label.activeOrderId = undefined;
+  label.voidedAt = new Date();
+  label.updatedAt = new Date();
+  await label.save();
+  return label;
+};
+
+module.exports = {
+  OUNCES_PER_UNIT,
+  INCHES_PER_UNIT,
+  getShipFromAddress,
+  getShipToAddress,
+  buildParcel,
+  buildShipment,
+  quoteRates,
+  findActiveLabel,
+  purchaseOrderLabel,
+  voidShippingLabel
+};
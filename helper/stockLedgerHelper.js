@@ -0,0 +1,205 @@
+const mongoose = require('mongoose');
+const Inventory = require('../models/inventory');
+const StockMovement = require('../models/stockMovement');
+
+// Order statuses in which the store has taken the items out of stock
+const SALE_STATUSES = ['processing', 'completed', 'on-hold'];
+
+const toQuantity = (value) => parseInt(value, 10) || 0;
+
+/**
+ * What an order update means for stock: 'reduce' when it enters a sale status and its items
+ * have not been taken out yet, 'restore' when a reduced order is cancelled or fails
+ * @param {Object} order - Order document after the update
+ * @param {string|null} previousStatus - Status before the update (null for a new order)
+ * @returns {string|null} 'reduce', 'restore' or null
+ */
+const getOrderStockChange = (order, previousStatus) => {
+  if (SALE_STATUSES.includes(order.status) && !SALE_STATUSES.includes(previousStatus) && !order.stockReduced) return 'reduce';
+  if (['cancelled', 'failed'].includes(order.status) && order.stockReduced) return 'restore';
+  return null;
+};
+
+/**
+ * Append a ledger entry for a change to a product's stock_quantity. Unchanged
+ * quantities are not recorded. Failures are logged, never thrown, so recording
+ * cannot break the change it describes.
+ * @param {Object} options
+ * @param {Object} options.product - Inventory document (after the change)
+ * @param {number} options.previousQuantity - Quantity before the change
+ * @param {number} options.newQuantity - Quantity after the change
+ * @param {string} options.source - manual, webhook, sync, order, refund, purchase, transfer or reconciliation
+ * @param {string} [options.userId] - User behind the change, if any
+ * @param {string} [options.reference] - Order number, PO number or similar
+ * @param {string} [options.note] - Free text reason
+ * @returns {Object|null} Saved StockMovement
+ */
+const recordStockChange = async ({ product, previousQuantity, newQuantity, source, userId = null, reference = null, note = null }) => {
+  try {
+    const delta = toQuantity(newQuantity) - toQuantity(previousQuantity);
+    if (!product || delta === 0) return null;
+
+    return await StockMovement.create({
+      organizationId: product.organizationId,
+      productId: product._id,
+      warehouseId: null,
+      type: 'adjustment',
+      source,
+      delta,
+      balance: toQuantity(newQuantity),
+      userId,
+      reference,
+      note
+    });
+  } catch (error) {
+    console.error(`Error recording stock movement for product ${product?._id}:`, error.message);
+    return null;
+  }
+};
+
+/**
+ * Change a product's stock_quantity by a delta and record it
+ * @param {string} productId - Inventory product ID
+ * @param {number} delta - Units to add (negative to remove)
+ * @param {Object} entry - source, userId, reference, note for the ledger
+ * @returns {Object|null} Updated Inventory document, or null if the product does not track stock
+ */
+const adjustProductStock = async (productId, delta, entry) => {
+  const updated = await Inventory.findOneAndUpdate(
+    { _id: productId, manage_stock: true },
+    { $inc: { stock_quantity: delta } },
+    { new: true }
+  );
+  if (!updated) return null;
+
+  const quantity = toQuantity(updated.stock_quantity);
+  const stockStatus = quantity > 0 ? 'instock' : (updated.backorders && updated.backorders !== 'no' ? 'onbackorder' : 'outofstock');
+  if (updated.stock_status !== stockStatus) {
+    updated.stock_status = stockStatus;
+    await Inventory.updateOne({ _id: updated._id }, { $set: { stock_status: stockStatus } });
+  }
+
+  await recordStockChange({ ...entry, product: updated, previousQuantity: quantity - delta, newQuantity: quantity });
+  return updated;
+};
+
+/**
+ * When an order enters a sale status, or a reduced order is cancelled or fails, bring its
+ * products' stock in line with the store and record the change against the order.
+ * Quantities are read back from the store rather than subtracted locally, so a product
+ * webhook for the same sale arriving before or after the order is never counted twice.
+ * Warehouse-fed stores go through applyOrderLocationStock instead.
+ * @param {Object} order - Order document after the update
+ * @param {string|null} previousStatus - Status before the update (null for a new order)
+ * @param {Object} adapter - Commerce adapter for the order's store
+ * @returns {number} Products whose stock changed
+ */
+const applyOrderStock = async (order, previousStatus, adapter) => {
+  const change = getOrderStockChange(order, previousStatus);
+  if (!change) return 0;
+  const leavingSale = change === 'restore';
+
+  const reference = `Order #${order.number || order.order_id}`;
+  let adjusted = 0;
+  for (const item of order.line_items || []) {
+    if (!item.inventoryId || !item.product_id) continue;
+    try {
+      const product = await Inventory.findOne({ _id: item.inventoryId, manage_stock: true });
+      if (!product) continue;
+
+      const remote = await adapter.getProduct(item.product_id);
+      if (!remote.success || remote.data.stock_quantity == null) continue;
+
+      const quantity = toQuantity(remote.data.stock_quantity);
+      if (quantity === toQuantity(product.stock_quantity)) continue;
+
+      await Inventory.updateOne(
+        { _id: product._id },
+        { $set: { stock_quantity: quantity, stock_status: remote.data.stock_status || product.stock_status } }
+      );
+      await recordStockChange({
+        product,
+        previousQuantity: product.stock_quantity,
+        newQuantity: quantity,
+        source: 'order',
+        reference,
+        note: `Order ${order.status}`
+      });
+      adjusted++;
+    } catch (error) {
+      console.error(`Error updating stock for ${reference}, product ${item.product_id}:`, error.message);
+    }
+  }
+
+  order.stockReduced = !leavingSale;
+  await order.constructor.updateOne({ _id: order._id }, { $set: { stockReduced: order.stockReduced } });
+  return adjusted;
+};
+
+/**
+ * Stock ledger of a product, newest first
+ * @param {string} productId - Inventory product ID
+ * @param {Object} [filters] - from, to, source, warehouseId, limit
+ * @returns {Array} StockMovements
+ */
+const getStockHistory = async (productId, { from, to, source, warehouseId = null, limit = 100 } = {}) => {
+  const filter = { productId, warehouseId };
+  if (source) filter.source = source;
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = new Date(from);
+    if (to) filter.createdAt.$lte = new Date(to);
+  }
+
+  return StockMovement.find(filter)
+    .sort({ createdAt: -1, _id: -1 })
+    .limit(limit)
+    .populate('userId', 'firstName lastName email')
+    .populate('warehouseId', 'name code');
+};
+
+/**
+ * Rebuild a product's stock_quantity as it was at a point in time by undoing every
+ * recorded change after it. Also reports the balance the ledger itself recorded and any
+ * drift between the current quantity and the last entry (changes made outside the ledger).
+ * @param {Object} product - Inventory document
+ * @param {Date} date - Point in time
+ * @returns {Object} Rebuilt quantity and ledger details
+ */
+const getQuantityAsOf = async (product, date) => {
+  const productId = new mongoose.Types.ObjectId(String(product._id));
+  const productLevel = { productId, warehouseId: null };
+
+  const [[later], lastBefore, latest, first] = await Promise.all([
+    StockMovement.aggregate([
+      { $match: { ...productLevel, createdAt: { $gt: date } } },
+      { $group: { _id: null, delta: { $sum: '$delta' }, count: { $sum: 1 } } }
+    ]),
+    StockMovement.findOne({ ...productLevel, createdAt: { $lte: date } }).sort({ createdAt: -1, _id: -1 }),
+    StockMovement.findOne(productLevel).sort({ createdAt: -1, _id: -1 }),
+    StockMovement.findOne(productLevel).sort({ createdAt: 1, _id: 1 })
+  ]);
+
+  const currentQuantity = toQuantity(product.stock_quantity);
+  return {
+    date,
+    quantity: currentQuantity - (later?.delta || 0),
+    currentQuantity,
+    changesSince: later?.count || 0,
+    recordedBalance: lastBefore ? lastBefore.balance : null,
+    unrecordedDrift: latest ? currentQuantity - latest.balance : null,
+    ledgerStartsAt: first ? first.createdAt : null,
+    // Before the first entry the rebuilt number assumes nothing changed unrecorded
+    complete: Boolean(first && first.createdAt <= date)
+  };
+};
+
+module.exports = {
+  SALE_STATUSES,
+  getOrderStockChange,
+  recordStockChange,
+  adjustProductStock,
+  applyOrderStock,
+  getStockHistory,
+  getQuantityAsOf
+};
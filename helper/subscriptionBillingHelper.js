@@ -0,0 +1,485 @@
+const cron = require('node-cron');
+const { v4: uuidv4 } = require('uuid');
+const Subscription = require('../models/subscriptions');
+const SubscriptionPlan = require('../models/subscriptionPlans');
+const Payment = require('../models/payment');
+const PaymentGatewayKey = require('../models/paymentGatewayKey');
+const logEvent = require('./logEvent');
+const { getRenewalDiscount } = require('./couponHelper');
+const { chargeGatewayAuthorization } = require('./paymentGatewayHelper');
+const { roundMoney } = require('../utils/moneyUtils');
+const { BadRequestError, NotFoundError } = require('../utils/errors');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const INTERVAL_MONTHS = { monthly: 1, quarterly: 3, yearly: 12 };
+// Subscriptions the renewal run charges
+const BILLABLE_STATUSES = ['active', 'past_due'];
+// Days after the renewal date that a failed renewal keeps access
+const GRACE_PERIOD_DAYS = Number(process.env.SUBSCRIPTION_GRACE_DAYS) || 7;
+// Days to wait after the 1st, 2nd, 3rd... failed charge before trying again
+const RETRY_DELAYS_DAYS = [1, 3, 3];
+const MAX_RENEWAL_ATTEMPTS = RETRY_DELAYS_DAYS.length + 1;
+// How long a claimed renewal is held so overlapping runs do not charge it twice
+const CLAIM_LEASE_MS = 60 * 60 * 1000;
+
+// Plans store 'Quarterly' as well as 'quarterly'
+const normalizeInterval = (interval) => String(interval || 'monthly').toLowerCase();
+
+// Periods end on the same day of the month, or the month's last day when it is shorter
+const addInterval = (date, interval) => {
+  const next = new Date(date);
+  next.setDate(1);
+  next.setMonth(next.getMonth() + INTERVAL_MONTHS[normalizeInterval(interval)]);
+  const lastDay = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate();
+  next.setDate(Math.min(new Date(date).getDate(), lastDay));
+  return next;
+};
+
+/**
+ * Price of one billing period of a plan. Plans are priced for their own interval; other
+ * intervals are charged pro rata by month (a yearly subscription to a monthly plan costs 12 times).
+ * @param {Object} plan - SubscriptionPlan
+ * @param {string} interval - Subscription billing interval
+ * @returns {number} Period price in the plan's currency
+ */
+const getPeriodPrice = (plan, interval) => {
+  const planMonths = INTERVAL_MONTHS[normalizeInterval(plan.billingInterval)] || 1;
+  return roundMoney((plan.price || 0) * INTERVAL_MONTHS[normalizeInterval(interval)] / planMonths);
+};
+
+// Where each gateway returns a reusable authorization on a successful charge
+const GATEWAY_AUTHORIZATIONS = {
+  paystack: (data) => data.authorization?.reusable && data.authorization.authorization_code && {
+    authorizationCode: data.authorization.authorization_code,
+    email: data.customer?.email,
+    last4: data.authorization.last4,
+    brand: data.authorization.brand
+  },
+  flutterwave: (data) => data.card?.token && {
+    authorizationCode: data.card.token,
+    email: data.customer?.email,
+    last4: data.card.last_4digits,
+    brand: data.card.type
+  },
+  squad: (data) => {
+    const tokenId = data.token_id || data.payment_information?.token_id;
+    return tokenId && {
+      authorizationCode: tokenId,
+      email: data.email,
+      last4: data.payment_information?.pan?.slice(-4),
+      brand: data.payment_information?.card_type
+    };
+  }
+};
+
+/**
+ * Keep the reusable authorization from a successful charge on the subscription, for renewals.
+ * Only call this with data from a signed gateway webhook; a client could send anyone's code.
+ * @param {Object} subscription - Subscription document (not saved)
+ * @param {string} gateway - Gateway type
+ * @param {Object} data - Charge data from the webhook
+ * @returns {boolean} Whether an authorization was stored
+ */
+const rememberPaymentAuthorization = (subscription, gateway, data = {}) => {
+  const authorization = GATEWAY_AUTHORIZATIONS[gateway]?.(data);
+  if (!authorization) return false;
+  subscription.paymentAuthorization = { gateway, ...authorization, capturedAt: new Date() };
+  return true;
+};
+
+/**
+ * Record a successful renewal or proration payment on its subscription: a renewal starts the
+ * period it paid for and clears the failed-renewal state; a proration payment settles the
+ * amount owed from a plan change.
+ * @param {Object} subscription - Subscription document (not saved)
+ * @param {Object} payment - Successful Payment
+ */
+const applyBillingPayment = (subscription, payment) => {
+  if (payment.purpose === 'proration') {
+    subscription.accountBalance = roundMoney((subscription.accountBalance || 0) + payment.amount);
+    return;
+  }
+  if (payment.purpose !== 'renewal') return;
+
+  // A late confirmation must not move a later period back
+  const currentEnd = subscription.renewalDate || subscription.endDate;
+  if (!currentEnd || payment.periodEnd > currentEnd) {
+    subscription.currentPeriodStart = payment.periodStart;
+    subscription.endDate = payment.periodEnd;
+    subscription.renewalDate = payment.periodEnd;
+  }
+  subscription.accountBalance = roundMoney((subscription.accountBalance || 0) - (payment.balanceApplied || 0));
+  subscription.status = 'active';
+  subscription.isActive = true;
+  subscription.paymentStatus = 'Paid';
+  subscription.payment = payment._id;
+  subscription.renewalAttempts = 0;
+  subscription.nextRenewalAttemptAt = undefined;
+  subscription.gracePeriodEndsAt = undefined;
+  subscription.lastRenewalError = undefined;
+  if (subscription.isTrial) {
+    subscription.isTrial = false;
+    subscription.trialConverted = true;
+  }
+};
+
+/**
+ * Charge a billing payment to the subscription's stored authorization
+ * @param {Object} subscription - Subscription (user populated for the email fallback)
+ * @param {Object} payment - Pending Payment to charge
+ * @returns {Object} { status: 'success'|'pending'|'failed', data, message }
+ */
+const chargeStoredAuthorization = async (subscription, payment) => {
+  const authorization = subscription.paymentAuthorization;
+  if (!authorization?.authorizationCode) {
+    return { status: 'failed', message: 'No saved card to charge' };
+  }
+  const key = await PaymentGatewayKey.findOne({ type: authorization.gateway, isActive: true });
+  if (!key) return { status: 'failed', message: `${authorization.gateway} payments are not available` };
+
+  try {
+    return await chargeGatewayAuthorization(authorization.gateway, key, {
+      authorizationCode: authorization.authorizationCode,
+      email: authorization.email || subscription.user?.email,
+      amount: payment.amount,
+      currency: payment.currency,
+      reference: payment.reference
+    });
+  } catch (error) {
+    const message = error.response?.data?.message || error.message;
+    console.error(`❌ ${authorization.gateway} charge ${payment.reference} failed:`, message);
+    return { status: 'failed', message };
+  }
+};
+
+// Settle a charged payment and, when it succeeded, apply it to the subscription
+const settleCharge = async (subscription, payment, outcome) => {
+  if (outcome.status === 'pending') {
+    payment.paymentData = outcome.data || {};
+    await payment.save();
+    return;
+  }
+  payment.status = outcome.status;
+  payment.paymentData = outcome.data || {};
+  if (outcome.status === 'success') {
+    payment.verifiedAt = new Date();
+    applyBillingPayment(subscription, payment);
+  } else {
+    payment.failureReason = outcome.message;
+  }
+  await payment.save();
+};
+
+// A failed renewal is retried until the grace period ends, then the subscription expires
+const recordRenewalFailure = (subscription, message, dueDate, now) => {
+  subscription.renewalAttempts = (subscription.renewalAttempts || 0) + 1;
+  subscription.lastRenewalError = message;
+  subscription.paymentStatus = 'Failed';
+  if (!subscription.gracePeriodEndsAt) {
+    subscription.gracePeriodEndsAt = new Date(new Date(dueDate).getTime() + GRACE_PERIOD_DAYS * DAY_MS);
+  }
+
+  if (subscription.renewalAttempts >= MAX_RENEWAL_ATTEMPTS || now >= subscription.gracePeriodEndsAt) {
+    subscription.status = 'expired';
+    subscription.isActive = false;
+    subscription.nextRenewalAttemptAt = undefined;
+    return;
+  }
+  const delayDays = RETRY_DELAYS_DAYS[subscription.renewalAttempts - 1];
+  const retryAt = new Date(now.getTime() + delayDays * DAY_MS);
+  subscription.status = 'past_due';
+  subscription.nextRenewalAttemptAt = retryAt < subscription.gracePeriodEndsAt ? retryAt : subscription.gracePeriodEndsAt;
+};
+
+/**
+ * Bill the next period of a subscription whose renewal date has come: claim it, then charge the
+ * period price less any coupon still in effect and any account balance to the stored authorization. Failed charges move the
+ * subscription to past_due and are retried until the grace period ends.
+ * @param {Object} subscription - Subscription due for renewal
+ * @param {Object} [options] - now; force to retry before the next scheduled attempt
+ * @returns {Object|null} { status: 'renewed'|'pending'|'past_due'|'expired', payment }, or null
+ *   when another run claimed the renewal
+ */
+const renewSubscription = async (subscription, { now = new Date(), force = false } = {}) => {
+  const claimFilter = { _id: subscription._id, status: { $in: BILLABLE_STATUSES } };
+  if (!force) claimFilter.$or = [{ nextRenewalAttemptAt: null }, { nextRenewalAttemptAt: { $lte: now } }];
+  const claimed = await Subscription.findOneAndUpdate(
+    claimFilter,
+    { $set: { nextRenewalAttemptAt: new Date(now.getTime() + CLAIM_LEASE_MS), lastRenewalAttemptAt: now } },
+    { new: true }
+  ).populate('plan user');
+  if (!claimed) return null;
+
+  const dueDate = claimed.renewalDate || claimed.endDate || now;
+  let payment = null;
+  let outcome;
+
+  // A charge the gateway has not confirmed yet is not made again; its webhook settles it
+  const unconfirmed = await Payment.findOne({ subscription: claimed._id, purpose: 'renewal', status: 'pending' });
+  if (unconfirmed) {
+    payment = unconfirmed;
+    outcome = { status: 'failed', message: `Renewal charge ${unconfirmed.reference} is still awaiting confirmation` };
+  } else if (!claimed.plan) {
+    outcome = { status: 'failed', message: 'Subscription plan no longer exists' };
+  } else {
+    // Renewals missed by more than a period start from now rather than billing every missed period
+    const periodStart = addInterval(dueDate, claimed.billingInterval) > now ? dueDate : now;
+    const fullPrice = getPeriodPrice(claimed.plan, claimed.billingInterval);
+    // A repeating or forever coupon from checkout still applies to this period
+    const discountAmount = getRenewalDiscount(claimed, fullPrice, periodStart, claimed.plan.currency);
+    const price = roundMoney(fullPrice - discountAmount);
+    const amount = roundMoney(Math.max(0, price - (claimed.accountBalance || 0)));
+
+    payment = new Payment({
+      user: claimed.user?._id || claimed.user,
+      subscription: claimed._id,
+      plan: claimed.plan._id,
+      gateway: claimed.paymentAuthorization?.gateway || 'bank',
+      amount,
+      currency: claimed.plan.currency,
+      reference: `REN-${uuidv4()}`,
+      purpose: 'renewal',
+      periodStart,
+      periodEnd: addInterval(periodStart, claimed.billingInterval),
+      balanceApplied: roundMoney(price - amount),
+      coupon: discountAmount > 0 ? claimed.discount.coupon : undefined,
+      couponCode: discountAmount > 0 ? claimed.discount.code : undefined,
+      discountAmount
+    });
+
+    // Covered by credit from earlier plan changes: nothing to charge
+    outcome = amount > 0 ? await chargeStoredAuthorization(claimed, payment) : { status: 'success', data: { coveredByBalance: true } };
+    await settleCharge(claimed, payment, outcome);
+  }
+
+  let status;
+  if (outcome.status === 'success') {
+    status = 'renewed';
+  } else if (outcome.status === 'pending') {
+    status = 'pending';
+    // Check back once the gateway has had time to confirm
+    claimed.nextRenewalAttemptAt = new Date(now.getTime() + DAY_MS);
+  } else {
+    recordRenewalFailure(claimed, outcome.message, dueDate, now);
+    status = claimed.status;
+  }
+  await claimed.save();
+
+  await logEvent({
+    action: status === 'renewed' ? 'subscription_renewed' : `subscription_renewal_${status}`,
+    user: claimed.user?._id || claimed.user,
+    resource: 'Subscription',
+    resourceId: claimed._id,
+    details: {
+      paymentId: payment?._id,
+      amount: payment?.amount,
+      currency: payment?.currency,
+      attempts: claimed.renewalAttempts,
+      error: status === 'renewed' ? undefined : outcome.message,
+      renewalDate: claimed.renewalDate
+    }
+  });
+
+  return { status, payment };
+};
+
+/**
+ * Renew every subscription whose renewal date or retry time has come
+ * @param {Date} [now]
+ * @returns {Object} { due, renewed, pending, pastDue, expired, failed }
+ */
+const runDueRenewals = async (now = new Date()) => {
+  const subscriptions = await Subscription.find({
+    status: { $in: BILLABLE_STATUSES },
+    autoRenew: { $ne: false },
+    $and: [
+      { $or: [{ renewalDate: { $lte: now } }, { renewalDate: null, endDate: { $lte: now } }] },
+      { $or: [{ nextRenewalAttemptAt: null }, { nextRenewalAttemptAt: { $lte: now } }] }
+    ]
+  }).select('_id');
+
+  const summary = { due: subscriptions.length, renewed: 0, pending: 0, pastDue: 0, expired: 0, failed: 0 };
+  for (const subscription of subscriptions) {
+    try {
+      const result = await renewSubscription(subscription, { now });
+      if (result?.status === 'renewed') summary.renewed += 1;
+      else if (result?.status === 'pending') summary.pending += 1;
+      else if (result?.status === 'past_due') summary.pastDue += 1;
+      else if (result?.status === 'expired') summary.expired += 1;
+    } catch (error) {
+      summary.failed += 1;
+      console.error(`❌ Renewal of subscription ${subscription._id} failed:`, error.message);
+    }
+  }
+  return summary;
+};
+
+/**
+ * Work out what switching plan or billing interval now is worth. The unused part of the
+ * current period is credited; the new plan is charged for the rest of the period, or for a
+ * full new period when the interval changes (the new period starts now).
+ * @param {Object} subscription - Subscription
+ * @param {Object} currentPlan - Plan it is on
+ * @param {Object} newPlan - Plan it switches to
+ * @param {string} newInterval - Billing interval after the switch
+ * @param {Date} [now]
+ * @returns {Object} { credit, charge, net, currency, unusedFraction, periodStart, periodEnd }
+ */
+const calculateProration = (subscription, currentPlan, newPlan, newInterval, now = new Date()) => {
+  if (currentPlan.currency !== newPlan.currency) {
+    throw new BadRequestError('Plans priced in different currencies cannot be prorated');
+  }
+
+  const periodStart = subscription.currentPeriodStart || subscription.startDate || now;
+  const periodEnd = subscription.renewalDate || subscription.endDate || now;
+  const periodMs = periodEnd - periodStart;
+  const unusedFraction = periodMs > 0 ? Math.min(Math.max((periodEnd - now) / periodMs, 0), 1) : 0;
+
+  // Only a paid period leaves credit; trials and unpaid renewals do not
+  const paidPeriod = subscription.status === 'active' && !subscription.isTrial;
+  const credit = paidPeriod ? roundMoney(getPeriodPrice(currentPlan, subscription.billingInterval) * unusedFraction) : 0;
+
+  const intervalChanged = normalizeInterval(newInterval) !== normalizeInterval(subscription.billingInterval);
+  const newPrice = getPeriodPrice(newPlan, newInterval);
+  const charge = intervalChanged ? newPrice : roundMoney(newPrice * unusedFraction);
+
+  return {
+    credit,
+    charge,
+    net: roundMoney(charge - credit),
+    currency: newPlan.currency,
+    unusedFraction: Math.round(unusedFraction * 10000) / 10000,
+    periodStart: intervalChanged ? now : periodStart,
+    periodEnd: intervalChanged ? addInterval(now, newInterval) : periodEnd
+  };
+};
+
+// Load both plans of a switch; the new one must exist
+const loadPlanChange = async (subscription, planId) => {
+  const [currentPlan, newPlan] = await Promise.all([
+    SubscriptionPlan.findById(subscription.plan),
+    SubscriptionPlan.findById(planId || subscription.plan)
+  ]);
+  if (!newPlan) throw new NotFoundError('Subscription plan not found');
+  if (!currentPlan) throw new BadRequestError('The current plan no longer exists, so the switch cannot be prorated');
+  return { currentPlan, newPlan };
+};
+
+/**
+ * Preview a plan or interval switch without making it
+ * @param {Object} subscription - Subscription
+ * @param {Object} change - planId, billingInterval
+ * @returns {Object} calculateProration result plus the account balance after the switch
+ */
+const previewPlanChange = async (subscription, { planId, billingInterval }) => {
+  const { currentPlan, newPlan } = await loadPlanChange(subscription, planId);
+  const proration = calculateProration(subscription, currentPlan, newPlan, billingInterval || subscription.billingInterval);
+  return { ...proration, balanceAfter: roundMoney((subscription.accountBalance || 0) - proration.net) };
+};
+
+/**
+ * Switch a subscription's plan or billing interval. With proration the difference goes to the
+ * account balance; an amount owed is charged to the stored authorization straight away, and
+ * whatever is not collected now is added to the next renewal.
+ * @param {Object} subscription - Subscription document
+ * @param {Object} change - planId, billingInterval, prorate (default true)
+ * @param {string} userId - User making the change
+ * @returns {Object} { subscription, proration, payment }
+ */
+const changeSubscriptionPlan = async (subscription, { planId, billingInterval, prorate = true }, userId) => {
+  const newInterval = normalizeInterval(billingInterval || subscription.billingInterval);
+  if (!INTERVAL_MONTHS[newInterval]) {
+    throw new BadRequestError(`billingInterval must be one of: ${Object.keys(INTERVAL_MONTHS).join(', ')}`);
+  }
+  const { currentPlan, newPlan } = await loadPlanChange(subscription, planId);
+  const previous = { plan: subscription.plan, billingInterval: subscription.billingInterval };
+
+  let proration = null;
+  if (prorate) {
+    proration = calculateProration(subscription, currentPlan, newPlan, newInterval);
+    subscription.accountBalance = roundMoney((subscription.accountBalance || 0) - proration.net);
+  }
+  if (newInterval !== normalizeInterval(subscription.billingInterval)) {
+    subscription.currentPeriodStart = proration?.periodStart || new Date();
+    subscription.endDate = proration?.periodEnd || addInterval(subscription.currentPeriodStart, newInterval);
+    subscription.renewalDate = subscription.endDate;
+  }
+  subscription.plan = newPlan._id;
+  subscription.billingInterval = newInterval;
+  subscription.currency = newPlan.currency;
+
+  let payment = null;
+  if (proration?.net > 0 && subscription.accountBalance < 0 && subscription.paymentAuthorization?.authorizationCode) {
+    await subscription.populate('user');
+    payment = new Payment({
+      user: subscription.user?._id || subscription.user,
+      subscription: subscription._id,
+      plan: newPlan._id,
+      gateway: subscription.paymentAuthorization.gateway,
+      amount: roundMoney(-subscription.accountBalance),
+      currency: newPlan.currency,
+      reference: `PRO-${uuidv4()}`,
+      purpose: 'proration'
+    });
+    await settleCharge(subscription, payment, await chargeStoredAuthorization(subscription, payment));
+  }
+  await subscription.save();
+
+  await logEvent({
+    action: 'change_subscription_plan',
+    user: userId,
+    resource: 'Subscription',
+    resourceId: subscription._id,
+    details: {
+      from: previous,
+      to: { plan: newPlan._id, billingInterval: newInterval },
+      proration,
+      accountBalance: subscription.accountBalance,
+      paymentId: payment?._id,
+      paymentStatus: payment?.status
+    }
+  });
+
+  return { subscription, proration, payment };
+};
+
+// Flag to prevent overlapping runs
+let isRunningRenewals = false;
+
+// Bill due renewals and retries every hour
+const scheduleSubscriptionRenewals = () => {
+  cron.schedule('20 * * * *', async () => {
+    if (isRunningRenewals) {
+      console.log('🔁 Subscription renewal run already in progress, skipping...');
+      return;
+    }
+
+    isRunningRenewals = true;
+    try {
+      const summary = await runDueRenewals();
+      if (summary.due > 0) {
+        console.log(`🔁 Subscription renewals: ${summary.renewed} renewed, ${summary.pending} pending, ${summary.pastDue} past due, ${summary.expired} expired, ${summary.failed} failed`);
+      }
+    } catch (error) {
+      console.error('❌ Error in subscription renewal run:', error.message);
+    } finally {
+      isRunningRenewals = false;
+    }
+  });
+};
+
+module.exports = {
+  INTERVAL_MONTHS,
+  GRACE_PERIOD_DAYS,
+  addInterval,
+  getPeriodPrice,
+  rememberPaymentAuthorization,
+  applyBillingPayment,
+  renewSubscription,
+  runDueRenewals,
+  calculateProration,
+  previewPlanChange,
+  changeSubscriptionPlan,
+  scheduleSubscriptionRenewals
+};
@@ -1,38 +1,22 @@
 const { parentPort, workerData } = require('worker_threads');
 const Customer = require('../models/customers');
 const connectDB = require('./connectDB');
-const WooCommerceRestApi = require('@woocommerce/woocommerce-rest-api').default;
-const https = require('https');
 const StoreErrorHandler = require('../services/storeErrorHandler');
+const { getCommerceAdapter } = require('../services/commerceAdapterRegistry');
+const { getLatestModifiedDate, saveSyncWatermark } = require('./syncWatermarkHelper');
+const { createProgressReporter, addDeadLetter } = require('./syncJobHelper');
 
 const syncCustomerJob = async (jobData) => {
   try {
-    const { storeId, store, organizationId, userId } = workerData;
+    const { storeId, store, organizationId, userId, modifiedAfter } = workerData;
 
     // Connect to MongoDB
     connectDB();
 
-    // Create HTTPS agent configuration for SSL bypass (if needed)
-    let httpsAgent = null;
-    if (process.env.WOOCOMMERCE_BYPASS_SSL === 'true' || process.env.NODE_ENV === 'development') {
-      httpsAgent = new https.Agent({
-        rejectUnauthorized: false // WARNING: This bypasses SSL certificate validation
-      });
-    }
-
-    const wooCommerce = new WooCommerceRestApi({
-      url: store.url,
-      consumerKey: store.apiKey,
-      consumerSecret: store.secretKey,
-      version: 'wc/v3',
-      queryStringAuth: true, // Force Basic Authentication as query string
-      ...(httpsAgent && { httpsAgent }) // Only add httpsAgent if it's configured
-    });
-
-    const getAllCustomers = async (page = 1) => {
+    // Fetch all customers through the store's platform adapter (handles its own pagination)
+    const getAllCustomers = async () => {
       try {
-        const response = await wooCommerce.get('customers', { per_page: 100, page });
-        return response.data;
+        return await getCommerceAdapter(store).getAllCustomers(modifiedAfter ? { modified_after: modifiedAfter } : {});
       } catch (error) {
         // Parse the error using our error handler
         const errorInfo = StoreErrorHandler.parseStoreError(error, store, 'customer sync');
@@ -51,24 +35,17 @@ const syncCustomerJob = async (jobData) => {
       }
     };
 
-    let customers = [];
-    let page = 1;
-    let hasMore = true;
-
-    while (hasMore) {
-      const currentPageCustomers = await getAllCustomers(page);
-      if (currentPageCustomers.length === 0) hasMore = false;
-      else {
-        customers = [...customers, ...currentPageCustomers];
-        page++;
-      }
-    }
+    // Incremental runs only ask for customers modified since the last clean sync
+    console.log(modifiedAfter ? `Fetching customers modified after ${modifiedAfter}` : 'Fetching all customers (full sync)');
+    const customers = await getAllCustomers();
 
     // Sync statistics
     let created = 0;
     let updated = 0;
     let failed = 0;
     let skipped = 0;
+    const deadLetters = [];
+    const reportProgress = createProgressReporter(parentPort, customers.length);
 
     console.log(`Starting customer sync for store ${storeId}. Total customers to process: ${customers.length}`);
 
@@ -142,6 +119,7 @@ const syncCustomerJob = async (jobData) => {
         }
       } catch (error) {
         failed++;
+        addDeadLetter(deadLetters, customer, customer.email, error);
         console.error(`Failed to sync customer ${customer.email} (WooCommerce ID: ${customer.id}):`, error.message);
         
         // Log detailed error for debugging
@@ -152,6 +130,14 @@ const syncCustomerJob = async (jobData) => {
           error: error.message
         });
       }
+
+      reportProgress();
+    }
+
+    // Only advance the watermark when every record was stored, so failures are retried next run
+    const watermark = failed === 0 ? getLatestModifiedDate(customers, modifiedAfter) : null;
+    if (watermark) {
+      await saveSyncWatermark(storeId, 'customers', watermark);
     }
 
     const syncSummary = {
@@ -159,7 +145,11 @@ const syncCustomerJob = async (jobData) => {
       created,
       updated,
       failed,
-      skipped
+      skipped,
+      incremental: !!modifiedAfter,
+      modifiedAfter: modifiedAfter || null,
+      watermark: watermark ? watermark.toISOString() : modifiedAfter || null,
+      deadLetters
     };
 
     console.log('Customer sync completed:', syncSummary);
@@ -0,0 +1,56 @@
+// Cap on dead letters a single run reports, so one broken catalog cannot bloat the job record
+const MAX_DEAD_LETTERS = 500;
+
+// Share of the progress bar given to fetching records from the store
+const FETCH_PROGRESS = 5;
+
+/**
+ * Build a progress reporter for a sync worker. Each call marks one record as
+ * processed and posts { status: 'progress' } to the parent whenever the
+ * percentage moves by at least one point.
+ * @param {MessagePort} port - parentPort of the worker
+ * @param {number} total - Number of records to process
+ * @returns {Function} Call once per processed record
+ */
+const createProgressReporter = (port, total) => {
+  let processed = 0;
+  let lastReported = FETCH_PROGRESS;
+
+  port.postMessage({ status: 'progress', progress: FETCH_PROGRESS, processed, total });
+
+  return () => {
+    processed++;
+    const progress = total === 0
+      ? 100
+      : Math.floor(FETCH_PROGRESS + ((100 - FETCH_PROGRESS) * processed) / total);
+
+    if (progress > lastReported) {
+      lastReported = progress;
+      port.postMessage({ status: 'progress', progress, processed, total });
+    }
+  };
+};
+
+/**
+ * Record a record-level failure for the dead-letter list
+ * @param {Array} deadLetters - Collected failures
+ * @param {Object} record - Remote record that failed
+ * @param {string} reference - Human readable identifier (SKU, order number, email)
+ * @param {Error} error - Failure
+ */
+const addDeadLetter = (deadLetters, record, reference, error) => {
+  if (deadLetters.length >= MAX_DEAD_LETTERS) return;
+
+  deadLetters.push({
+    remoteId: record && record.id != null ? String(record.id) : null,
+    reference: reference || null,
+    error: error.message,
+    failedAt: new Date()
+  });
+};
+
+module.exports = {
+  MAX_DEAD_LETTERS,
+  createProgressReporter,
+  addDeadLetter
+};
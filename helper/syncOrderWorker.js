@@ -5,9 +5,11 @@ const Inventory = require('../models/inventory'); // Import Inventory model
 const User = require('../models/users');
 const Organization = require('../models/organization');
 const connectDB = require('./connectDB');
-const WooCommerceRestApi = require('@woocommerce/woocommerce-rest-api').default;
-const https = require('https');
 const StoreErrorHandler = require('../services/storeErrorHandler');
+const { getCommerceAdapter } = require('../services/commerceAdapterRegistry');
+const { getLatestModifiedDate, saveSyncWatermark } = require('./syncWatermarkHelper');
+const { createProgressReporter, addDeadLetter } = require('./syncJobHelper');
+const { usesStockLocations, applyOrderLocationStock } = require('./warehouseStockHelper');
 const currencyUtils = require('../utils/currencyUtils');
 
 // Get the customerId if customer exists, otherwise return null
@@ -36,7 +38,7 @@ const getInventoryIdByProductId = async (productId, sku, organizationId, storeId
 
 const syncOrderJob = async (jobData) => {
   try {
-    const { storeId, store, organizationId, userId } = workerData;
+    const { storeId, store, organizationId, userId, modifiedAfter } = workerData;
     connectDB();
 
     console.log('Starting order sync for store:', storeId);
@@ -49,27 +51,10 @@ const syncOrderJob = async (jobData) => {
     const targetCurrency = user?.displayCurrency || organization?.analyticsCurrency || organization?.defaultCurrency || 'USD';
     console.log(`💰 Target currency for conversion: ${targetCurrency}`);
 
-    // Create HTTPS agent configuration for SSL bypass (if needed)
-    let httpsAgent = null;
-    if (process.env.WOOCOMMERCE_BYPASS_SSL === 'true' || process.env.NODE_ENV === 'development') {
-      httpsAgent = new https.Agent({
-        rejectUnauthorized: false // WARNING: This bypasses SSL certificate validation
-      });
-    }
-
-    const wooCommerce = new WooCommerceRestApi({
-      url: store.url,
-      consumerKey: store.apiKey,
-      consumerSecret: store.secretKey,
-      version: 'wc/v3',
-      queryStringAuth: true, // Force Basic Authentication as query string
-      ...(httpsAgent && { httpsAgent }) // Only add httpsAgent if it's configured
-    });
-
-    const getAllOrders = async (page = 1) => {
+    // Fetch all orders through the store's platform adapter (handles its own pagination)
+    const getAllOrders = async () => {
       try {
-        const response = await wooCommerce.get('orders', { per_page: 100, page });
-        return response.data;
+        return await getCommerceAdapter(store).getAllOrders(modifiedAfter ? { modified_after: modifiedAfter } : {});
       } catch (error) {
         // Parse the error using our error handler
         const errorInfo = StoreErrorHandler.parseStoreError(error, store, 'order sync');
@@ -88,18 +73,9 @@ const syncOrderJob = async (jobData) => {
       }
     };
 
-    let orders = [];
-    let page = 1;
-    let hasMore = true;
-
-    while (hasMore) {
-      const currentPageOrders = await getAllOrders(page);
-      if (currentPageOrders.length === 0) hasMore = false;
-      else {
-        orders = [...orders, ...currentPageOrders];
-        page++;
-      }
-    }
+    // Incremental runs only ask for orders modified since the last clean sync
+    console.log(modifiedAfter ? `Fetching orders modified after ${modifiedAfter}` : 'Fetching all orders (full sync)');
+    const orders = await getAllOrders();
 
     console.log(`Total orders to sync: ${orders.length}`);
 
@@ -108,6 +84,8 @@ const syncOrderJob = async (jobData) => {
     let updated = 0;
     let failed = 0;
     let skipped = 0;
+    const deadLetters = [];
+    const reportProgress = createProgressReporter(parentPort, orders.length);
 
     for (const order of orders) {
       try {
@@ -238,9 +216,10 @@ const syncOrderJob = async (jobData) => {
           syncError: null
         };
 
+        let savedOrder;
         if (existingOrder) {
           // Update existing order
-          await Order.findOneAndUpdate(
+          savedOrder = await Order.findOneAndUpdate(
             { _id: existingOrder._id },
             { $set: orderData },
             { new: true, runValidators: true }
@@ -249,12 +228,20 @@ const syncOrderJob = async (jobData) => {
           console.log(`Updated order: ${order.id} (WooCommerce ID: ${wooCommerceId})`);
         } else {
           // Create new order
-          await Order.create(orderData);
+          savedOrder = await Order.create(orderData);
           created++;
           console.log(`Created order: ${order.id} (WooCommerce ID: ${wooCommerceId})`);
         }
+
+        // Warehouse-fed stores take sales off their locations, as the order webhook does. A first
+        // full import brings in past orders, whose stock the locations never held, so only status
+        // changes and orders new since the last sync count
+        if (savedOrder && usesStockLocations(store) && (existingOrder || modifiedAfter)) {
+          await applyOrderLocationStock(savedOrder, existingOrder ? existingOrder.status : null, store);
+        }
       } catch (error) {
         failed++;
+        addDeadLetter(deadLetters, order, order.number || order.order_key, error);
         console.error(`Failed to sync order ${order.id} (WooCommerce ID: ${order.id}):`, error.message);
         
         // Log detailed error for debugging
@@ -266,6 +253,14 @@ const syncOrderJob = async (jobData) => {
           error: error.message
         });
       }
+
+      reportProgress();
+    }
+
+    // Only advance the watermark when every record was stored, so failures are retried next run
+    const watermark = failed === 0 ? getLatestModifiedDate(orders, modifiedAfter) : null;
+    if (watermark) {
+      await saveSyncWatermark(storeId, 'orders', watermark);
     }
 
     const syncSummary = {
@@ -273,7 +268,11 @@ const syncOrderJob = async (jobData) => {
       created,
       updated,
       failed,
-      skipped
+      skipped,
+      incremental: !!modifiedAfter,
+      modifiedAfter: modifiedAfter || null,
+      watermark: watermark ? watermark.toISOString() : modifiedAfter || null,
+      deadLetters
     };
 
     console.log('Order sync completed:', syncSummary);
@@ -4,15 +4,19 @@ const Inventory = require('../models/inventory');
 const Store = require('../models/store');
 const Organization = require('../models/organization');
 const User = require('../models/users');
-const WooCommerceRestApi = require('@woocommerce/woocommerce-rest-api').default;
-const https = require('https');
 const connectDB = require('./connectDB');
 const StoreErrorHandler = require('../services/storeErrorHandler');
+const { getCommerceAdapter } = require('../services/commerceAdapterRegistry');
+const { getLatestModifiedDate, saveSyncWatermark } = require('./syncWatermarkHelper');
+const { createProgressReporter, addDeadLetter } = require('./syncJobHelper');
+const { pullProductVariations } = require('./productVariationHelper');
+const { usesStockLocations } = require('./warehouseStockHelper');
+const { recordStockChange } = require('./stockLedgerHelper');
 const currencyUtils = require('../utils/currencyUtils');
 
 const syncProductJob = async (jobData) => {
   try {
-    const { storeId, store, organizationId, userId } = workerData;
+    const { storeId, store, organizationId, userId, modifiedAfter } = workerData;
 
     console.log('Starting product sync for store:', storeId);
 
@@ -27,29 +31,12 @@ const syncProductJob = async (jobData) => {
     const targetCurrency = user?.displayCurrency || organization?.analyticsCurrency || organization?.defaultCurrency || 'USD';
     console.log(`💰 Target currency for conversion: ${targetCurrency}`);
 
-    // Create HTTPS agent configuration for SSL bypass (if needed)
-    let httpsAgent = null;
-    if (process.env.WOOCOMMERCE_BYPASS_SSL === 'true' || process.env.NODE_ENV === 'development') {
-      httpsAgent = new https.Agent({
-        rejectUnauthorized: false // WARNING: This bypasses SSL certificate validation
-      });
-    }
-
-    // Initialize WooCommerce API
-    const wooCommerce = new WooCommerceRestApi({
-      url: store.url,
-      consumerKey: store.apiKey,
-      consumerSecret: store.secretKey,
-      version: 'wc/v3',
-      queryStringAuth: true, // Force Basic Authentication as query string
-      ...(httpsAgent && { httpsAgent }) // Only add httpsAgent if it's configured
-    });
+    const commerceAdapter = getCommerceAdapter(store);
 
-    // Fetch all products from WooCommerce
-    const getAllProducts = async (page = 1) => {
+    // Fetch all products through the store's platform adapter (handles its own pagination)
+    const getAllProducts = async () => {
       try {
-        const response = await wooCommerce.get('products', { per_page: 100, page });
-        return response.data;
+        return await commerceAdapter.getAllProducts(modifiedAfter ? { modified_after: modifiedAfter } : {});
       } catch (error) {
         // Parse the error using our error handler
         const errorInfo = StoreErrorHandler.parseStoreError(error, store, 'product sync');
@@ -68,18 +55,9 @@ const syncProductJob = async (jobData) => {
       }
     };
 
-    let products = [];
-    let page = 1;
-    let hasMore = true;
-
-    while (hasMore) {
-      const currentPageProducts = await getAllProducts(page);
-      if (currentPageProducts.length === 0) hasMore = false;
-      else {
-        products = [...products, ...currentPageProducts];
-        page++;
-      }
-    }
+    // Incremental runs only ask for products modified since the last clean sync
+    console.log(modifiedAfter ? `Fetching products modified after ${modifiedAfter}` : 'Fetching all products (full sync)');
+    const products = await getAllProducts();
 
     console.log(`Total products to sync: ${products.length}`);
 
@@ -88,6 +66,9 @@ const syncProductJob = async (jobData) => {
     let updated = 0;
     let failed = 0;
     let skipped = 0;
+    let variations = 0;
+    const deadLetters = [];
+    const reportProgress = createProgressReporter(parentPort, products.length);
 
     // Process and sync products to the Inventory
     for (const product of products) {
@@ -206,6 +187,9 @@ const syncProductJob = async (jobData) => {
           purchase_note: product.purchase_note || '',
           sold_individually: product.sold_individually || false,
           grouped_products: product.grouped_products || [],
+          attributes: product.attributes || [],
+          default_attributes: product.default_attributes || [],
+          variations: product.variations || [],
           menu_order: product.menu_order || 0,
           date_created: new Date(product.date_created),
           date_modified: new Date(product.date_modified),
@@ -215,23 +199,49 @@ const syncProductJob = async (jobData) => {
           syncError: null
         };
 
+        // Warehouse-fed stores keep the location total rather than the store's number
+        if (existingProduct && usesStockLocations(store)) {
+          delete productData.stock_quantity;
+          delete productData.stock_status;
+        }
+
+        let savedProduct;
         if (existingProduct) {
           // Update existing product
-          await Inventory.findOneAndUpdate(
+          savedProduct = await Inventory.findOneAndUpdate(
             { _id: existingProduct._id },
             { $set: productData },
             { new: true, runValidators: true }
           );
+        } else {
+          // Create new product
+          savedProduct = await Inventory.create(productData);
+        }
+
+        await recordStockChange({
+          product: savedProduct,
+          previousQuantity: existingProduct ? existingProduct.stock_quantity : 0,
+          newQuantity: savedProduct.stock_quantity,
+          source: 'sync',
+          userId
+        });
+
+        // Variable products keep per-variation SKU, price and stock in ProductVariation
+        if (product.type === 'variable') {
+          const variationCounts = await pullProductVariations(commerceAdapter, savedProduct);
+          variations += variationCounts.created + variationCounts.updated;
+        }
+
+        if (existingProduct) {
           updated++;
           console.log(`Updated product: ${product.name} (WooCommerce ID: ${wooCommerceId})`);
         } else {
-          // Create new product
-          await Inventory.create(productData);
           created++;
           console.log(`Created product: ${product.name} (WooCommerce ID: ${wooCommerceId})`);
         }
       } catch (error) {
         failed++;
+        addDeadLetter(deadLetters, product, product.sku || product.name, error);
         console.error(`Failed to sync product ${product.name} (WooCommerce ID: ${product.id}):`, error.message);
         
         // Log detailed error for debugging
@@ -243,6 +253,14 @@ const syncProductJob = async (jobData) => {
           error: error.message
         });
       }
+
+      reportProgress();
+    }
+
+    // Only advance the watermark when every record was stored, so failures are retried next run
+    const watermark = failed === 0 ? getLatestModifiedDate(products, modifiedAfter) : null;
+    if (watermark) {
+      await saveSyncWatermark(storeId, 'products', watermark);
     }
 
     const syncSummary = {
@@ -250,7 +268,12 @@ const syncProductJob = async (jobData) => {
       created,
       updated,
       failed,
-      skipped
+      skipped,
+      variations,
+      incremental: !!modifiedAfter,
+      modifiedAfter: modifiedAfter || null,
+      watermark: watermark ? watermark.toISOString() : modifiedAfter || null,
+      deadLetters
     };
 
     console.log('Product sync completed:', syncSummary);
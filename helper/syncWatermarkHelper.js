@@ -0,0 +1,81 @@
+const Store = require('../models/store');
+
+const SYNC_RESOURCES = ['products', 'orders', 'customers'];
+
+/**
+ * Parse a remote modification date. WooCommerce *_gmt fields carry no
+ * timezone suffix, so they are read as UTC rather than server-local time.
+ * @param {string|Date} value - Remote date
+ * @returns {Date|null} Parsed date
+ */
+const parseRemoteDate = (value) => {
+  if (!value) return null;
+  if (value instanceof Date) return value;
+
+  const hasTimezone = /(Z|[+-]\d{2}:?\d{2})$/.test(value);
+  const date = new Date(hasTimezone ? value : `${value}Z`);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Work out where an incremental sync should start
+ * @param {Object} store - Store document
+ * @param {string} resource - products, orders or customers
+ * @param {boolean} fullResync - Ignore the watermark and pull everything
+ * @returns {string|null} ISO date to pass as modified_after, or null for a full pull
+ */
+const getSyncWatermark = (store, resource, fullResync = false) => {
+  if (fullResync) return null;
+  const watermark = store.syncWatermarks && store.syncWatermarks[resource];
+  return watermark ? new Date(watermark).toISOString() : null;
+};
+
+/**
+ * Newest modification date across synced records, falling back to the previous watermark
+ * @param {Array} records - WooCommerce-shaped records
+ * @param {string|null} previous - Watermark the sync started from
+ * @returns {Date|null} Next watermark
+ */
+const getLatestModifiedDate = (records, previous = null) => {
+  return records.reduce((latest, record) => {
+    const modified = parseRemoteDate(record.date_modified_gmt || record.date_modified);
+    return modified && (!latest || modified > latest) ? modified : latest;
+  }, parseRemoteDate(previous));
+};
+
+/**
+ * Persist the watermark for a resource after a clean sync
+ * @param {string} storeId - Store ID
+ * @param {string} resource - products, orders or customers
+ * @param {Date|null} watermark - Newest remote modification date
+ */
+const saveSyncWatermark = async (storeId, resource, watermark) => {
+  if (!SYNC_RESOURCES.includes(resource)) {
+    throw new Error(`Unknown sync resource: ${resource}`);
+  }
+  if (!watermark) return;
+
+  await Store.findByIdAndUpdate(storeId, { $set: { [`syncWatermarks.${resource}`]: watermark } });
+};
+
+/**
+ * Clear watermarks so the next sync of those resources is a full resync
+ * @param {string} storeId - Store ID
+ * @param {Array<string>} resources - Resources to reset (defaults to all)
+ */
+const resetSyncWatermarks = async (storeId, resources = SYNC_RESOURCES) => {
+  const update = {};
+  resources.forEach(resource => {
+    update[`syncWatermarks.${resource}`] = null;
+  });
+  await Store.findByIdAndUpdate(storeId, { $set: update });
+};
+
+module.exports = {
+  SYNC_RESOURCES,
+  parseRemoteDate,
+  getSyncWatermark,
+  getLatestModifiedDate,
+  saveSyncWatermark,
+  resetSyncWatermarks
+};
@@ -0,0 +1,263 @@
+const TaxRate = require('../models/taxRate');
+const { BadRequestError } = require('../utils/errors');
+const { roundMoney } = require('../utils/moneyUtils');
+
+// EU member states plus the UK (GB) and Northern Ireland (XI), which keep their own VAT numbers
+const EU_COUNTRIES = ['AT', 'BE', 'BG', 'CY', 'CZ', 'DE', 'DK', 'EE', 'ES', 'FI', 'FR', 'GR', 'HR', 'HU', 'IE', 'IT',
+  'LT', 'LU', 'LV', 'MT', 'NL', 'PL', 'PT', 'RO', 'SE', 'SI', 'SK'];
+const VAT_COUNTRIES = [...EU_COUNTRIES, 'GB', 'XI'];
+
+// VAT number formats after the country prefix (format only; this does not ask VIES/HMRC)
+const VAT_NUMBER_FORMATS = {
+  AT: /^U\d{8}$/,
+  BE: /^[01]\d{9}$/,
+  BG: /^\d{9,10}$/,
+  CY: /^\d{8}[A-Z]$/,
+  CZ: /^\d{8,10}$/,
+  DE: /^\d{9}$/,
+  DK: /^\d{8}$/,
+  EE: /^\d{9}$/,
+  ES: /^[A-Z0-9]\d{7}[A-Z0-9]$/,
+  FI: /^\d{8}$/,
+  FR: /^[A-HJ-NP-Z0-9]{2}\d{9}$/,
+  GR: /^\d{9}$/,
+  HR: /^\d{11}$/,
+  HU: /^\d{8}$/,
+  IE: /^(\d{7}[A-W][A-IW]?|\d[A-Z+*]\d{5}[A-W])$/,
+  IT: /^\d{11}$/,
+  LT: /^(\d{9}|\d{12})$/,
+  LU: /^\d{8}$/,
+  LV: /^\d{11}$/,
+  MT: /^\d{8}$/,
+  NL: /^\d{9}B\d{2}$/,
+  PL: /^\d{10}$/,
+  PT: /^\d{9}$/,
+  RO: /^\d{2,10}$/,
+  SE: /^\d{12}$/,
+  SI: /^\d{8}$/,
+  SK: /^\d{10}$/,
+  GB: /^(\d{9}|\d{12}|GD[0-4]\d{2}|HA[5-9]\d{2})$/,
+  XI: /^(\d{9}|\d{12}|GD[0-4]\d{2}|HA[5-9]\d{2})$/
+};
+// Greek VAT numbers are prefixed EL rather than the ISO code
+const VAT_PREFIX_COUNTRIES = { EL: 'GR' };
+
+// Country names as Intl knows them, so addresses typed as "Germany" still match DE
+let countryCodesByName = null;
+const getCountryCodesByName = () => {
+  if (countryCodesByName) return countryCodesByName;
+  countryCodesByName = new Map();
+  try {
+    const names = new Intl.DisplayNames(['en'], { type: 'region' });
+    for (let first = 65; first <= 90; first++) {
+      for (let second = 65; second <= 90; second++) {
+        const code = String.fromCharCode(first, second);
+        const name = names.of(code);
+        if (name && name !== code) countryCodesByName.set(name.toLowerCase(), code);
+      }
+    }
+  } catch (error) {
+    console.error('Country names unavailable:', error.message);
+  }
+  ['united states of america', 'usa'].forEach(name => countryCodesByName.set(name, 'US'));
+  ['great britain', 'england', 'scotland', 'wales', 'uk'].forEach(name => countryCodesByName.set(name, 'GB'));
+  return countryCodesByName;
+};
+
+// ISO code for a country code or name; null when it cannot be told
+const normalizeCountry = (country) => {
+  if (!country) return null;
+  const value = String(country).trim();
+  if (/^[A-Za-z]{2}$/.test(value)) return value.toUpperCase();
+  return getCountryCodesByName().get(value.toLowerCase()) || null;
+};
+
+/**
+ * Check a VAT number's format for its country
+ * @param {string} vatNumber - VAT number with its country prefix (spaces, dots and dashes are ignored)
+ * @returns {Object} { valid, vatNumber (normalized), country }
+ */
+const validateVatNumber = (vatNumber) => {
+  const normalized = String(vatNumber || '').toUpperCase().replace(/[\s.\-]/g, '');
+  const prefix = normalized.slice(0, 2);
+  const country = VAT_PREFIX_COUNTRIES[prefix] || prefix;
+  const format = VAT_NUMBER_FORMATS[country];
+  return {
+    valid: Boolean(format && format.test(normalized.slice(2))),
+    vatNumber: normalized || null,
+    country: format ? country : null
+  };
+};
+
+/**
+ * Whether a sale is reverse charged: the organization charges VAT from an EU country or
+ * the UK, and the customer gives a valid-format VAT number of another EU country or the UK.
+ * The customer then accounts for the VAT and the invoice carries none.
+ * @param {Object} taxSettings - Organization taxSettings
+ * @param {string} customerVatNumber - Customer VAT number
+ * @returns {Object} { reverseCharge, vatNumber, country }
+ */
+const checkReverseCharge = (taxSettings = {}, customerVatNumber) => {
+  const vat = validateVatNumber(customerVatNumber);
+  const origin = normalizeCountry(taxSettings.originCountry);
+  const reverseCharge = Boolean(
+    customerVatNumber &&
+    taxSettings.reverseChargeEnabled !== false &&
+    vat.valid &&
+    VAT_COUNTRIES.includes(origin) &&
+    vat.country !== origin
+  );
+  return { reverseCharge, vatNumber: vat.vatNumber, country: vat.country, valid: vat.valid };
+};
+
+// Rates of a country, countrywide or for the state
+const findJurisdictionRates = async (organizationId, { country, state }) => {
+  if (!country) return [];
+  return TaxRate.find({
+    organizationId,
+    isActive: true,
+    country,
+    $or: [{ state: null }, { state: '' }, ...(state ? [{ state: String(state).toUpperCase() }] : [])]
+  });
+};
+
+// Rates that apply to one line: per priority the state rate beats the countrywide one;
+// non-compound rates come first, then compound rates in priority order
+const selectLineRates = (rates, { taxClass = 'standard', shipping = false }) => {
+  const eligible = rates.filter(rate => (rate.taxClass || 'standard') === (shipping ? 'standard' : taxClass) &&
+    (!shipping || rate.appliesToShipping !== false));
+
+  const byPriority = new Map();
+  eligible.forEach(rate => {
+    const current = byPriority.get(rate.priority);
+    if (!current || (rate.state && !current.state)) byPriority.set(rate.priority, rate);
+  });
+
+  return [...byPriority.values()].sort((a, b) => (a.compound - b.compound) || (a.priority - b.priority));
+};
+
+// Taxes on a net amount; compound taxes are charged on the amount plus the taxes before them
+const taxNetAmount = (net, lineRates) => {
+  const taxes = [];
+  lineRates.forEach(rate => {
+    const base = rate.compound ? net + taxes.reduce((sum, tax) => sum + tax.amount, 0) : net;
+    taxes.push({ rate, base, amount: base * rate.rate / 100 });
+  });
+  return taxes;
+};
+
+/**
+ * Compute line and invoice taxes. The discount is spread over the non-shipping lines by value
+ * before tax. With tax-inclusive prices the line amounts are gross and the net is backed out.
+ * @param {Array} lines - [{ amount, taxClass, shipping }]
+ * @param {Array} rates - TaxRate documents of the customer's jurisdiction
+ * @param {Object} [options] - discountAmount, pricesIncludeTax, reverseCharge
+ * @returns {Object} { lines: [{ netAmount, taxAmount, taxRate }], breakdown, taxTotal, netTotal }
+ */
+const calculateTaxes = (lines, rates, { discountAmount = 0, pricesIncludeTax = false, reverseCharge = false } = {}) => {
+  const discountable = lines.filter(line => !line.shipping).reduce((sum, line) => sum + line.amount, 0);
+  const breakdown = new Map();
+
+  const taxedLines = lines.map(line => {
+    const discountShare = !line.shipping && discountable > 0 ? discountAmount * line.amount / discountable : 0;
+    const amount = Math.max(line.amount - discountShare, 0);
+    const lineRates = reverseCharge ? [] : selectLineRates(rates, line);
+
+    let net = amount;
+    if (pricesIncludeTax && lineRates.length > 0) {
+      // Gross = net x (1 + simple rates) x (1 + each compound rate)
+      const simple = lineRates.filter(rate => !rate.compound).reduce((sum, rate) => sum + rate.rate / 100, 0);
+      const multiplier = lineRates.filter(rate => rate.compound).reduce((product, rate) => product * (1 + rate.rate / 100), 1 + simple);
+      net = amount / multiplier;
+    }
+
+    const taxes = taxNetAmount(net, lineRates).map(tax => ({ ...tax, amount: roundMoney(tax.amount) }));
+    const taxAmount = roundMoney(taxes.reduce((sum, tax) => sum + tax.amount, 0));
+    // Inclusive lines keep their gross exact; rounding lands on the net
+    const netAmount = pricesIncludeTax ? roundMoney(amount - taxAmount) : roundMoney(amount);
+
+    taxes.forEach(tax => {
+      const key = String(tax.rate._id);
+      const entry = breakdown.get(key) || {
+        taxRateId: tax.rate._id,
+        name: tax.rate.name,
+        country: tax.rate.country,
+        state: tax.rate.state || null,
+        rate: tax.rate.rate,
+        compound: tax.rate.compound,
+        taxableAmount: 0,
+        taxAmount: 0
+      };
+      entry.taxableAmount = roundMoney(entry.taxableAmount + tax.base);
+      entry.taxAmount = roundMoney(entry.taxAmount + tax.amount);
+      breakdown.set(key, entry);
+    });
+
+    return {
+      netAmount,
+      taxAmount,
+      taxRate: netAmount > 0 ? Math.round(taxAmount / netAmount * 10000) / 100 : 0
+    };
+  });
+
+  return {
+    lines: taxedLines,
+    breakdown: [...breakdown.values()],
+    taxTotal: roundMoney(taxedLines.reduce((sum, line) => sum + line.taxAmount, 0)),
+    netTotal: roundMoney(taxedLines.reduce((sum, line) => sum + line.netAmount, 0))
+  };
+};
+
+/**
+ * Taxes for an invoice of an organization with the tax engine enabled
+ * @param {Object} organization - Organization document (taxSettings)
+ * @param {Object} input - items [{ totalPrice, taxClass, shipping }], discountAmount, address { country, state },
+ *   customerVatNumber, pricesIncludeTax (defaults to the organization setting)
+ * @returns {Object} Invoice tax fields: items (with taxAmount and taxRate), taxAmount, taxBreakdown,
+ *   pricesIncludeTax, reverseCharge, customerVatNumber, taxNote, taxCountry, taxState
+ */
+const computeInvoiceTaxes = async (organization, { items, discountAmount = 0, address = {}, customerVatNumber, pricesIncludeTax }) => {
+  const settings = organization.taxSettings || {};
+  const includeTax = pricesIncludeTax !== undefined ? Boolean(pricesIncludeTax) : Boolean(settings.pricesIncludeTax);
+
+  const vat = customerVatNumber ? checkReverseCharge(settings, customerVatNumber) : { reverseCharge: false, vatNumber: null };
+  if (customerVatNumber && !vat.valid) {
+    throw new BadRequestError(`VAT number ${customerVatNumber} is not in a valid format`);
+  }
+
+  // Tax follows the customer: the address country, or the VAT number's country without one
+  const country = normalizeCountry(address.country) || vat.country || null;
+  const state = address.state ? String(address.state).trim().toUpperCase() : null;
+  const rates = vat.reverseCharge ? [] : await findJurisdictionRates(organization._id, { country, state });
+
+  const result = calculateTaxes(
+    items.map(item => ({ amount: Number(item.totalPrice) || 0, taxClass: item.taxClass || 'standard', shipping: Boolean(item.shipping) })),
+    rates,
+    { discountAmount: Number(discountAmount) || 0, pricesIncludeTax: includeTax, reverseCharge: vat.reverseCharge }
+  );
+
+  return {
+    items: items.map((item, index) => ({ ...item, taxAmount: result.lines[index].taxAmount, taxRate: result.lines[index].taxRate })),
+    taxAmount: result.taxTotal,
+    taxBreakdown: result.breakdown,
+    pricesIncludeTax: includeTax,
+    reverseCharge: vat.reverseCharge,
+    customerVatNumber: vat.vatNumber,
+    taxNote: vat.reverseCharge
+      ? `Reverse charge: VAT to be accounted for by the recipient (VAT No. ${vat.vatNumber})`
+      : null,
+    taxCountry: country,
+    taxState: state
+  };
+};
+
+module.exports = {
+  EU_COUNTRIES,
+  VAT_COUNTRIES,
+  normalizeCountry,
+  validateVatNumber,
+  checkReverseCharge,
+  findJurisdictionRates,
+  calculateTaxes,
+  computeInvoiceTaxes
+};
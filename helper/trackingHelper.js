@@ -0,0 +1,260 @@
+const cron = require('node-cron');
+const Order = require('../models/order');
+const Store = require('../models/store');
+const CarrierAccount = require('../models/carrierAccount');
+const ShippingLabel = require('../models/shippingLabel');
+const { getCarrierAdapter } = require('../services/carrierAdapterRegistry');
+const { getCommerceAdapter } = require('../services/commerceAdapterRegistry');
+const { orderNotificationHelper } = require('../helpers/orderNotificationHelper');
+const { AppError, BadRequestError, NotFoundError } = require('../utils/errors');
+
+// Carrier statuses that move a label forward; labels never move back
+const LABEL_STATUS_BY_TRACKING = { in_transit: 'shipped', out_for_delivery: 'shipped', delivered: 'delivered' };
+const LABEL_STATUS_RANK = { created: 0, printed: 1, shipped: 2, delivered: 3 };
+// Labels the poll keeps asking about
+const TRACKED_LABEL_STATUSES = ['created', 'printed', 'shipped'];
+// Orders that are already closed are not completed again on delivery
+const CLOSED_ORDER_STATUSES = ['completed', 'cancelled', 'refunded', 'failed', 'trash'];
+
+const eventKey = (event) => `${event.status}|${new Date(event.occurredAt).getTime()}|${event.description || ''}`;
+
+// Completes the order locally and in its store; a store that refuses only marks the order failed to sync
+const completeOrder = async (order) => {
+  if (CLOSED_ORDER_STATUSES.includes(order.status)) return false;
+
+  order.status = 'completed';
+  order.date_completed = new Date();
+  order.date_modified = new Date();
+
+  if (order.wooCommerceId && order.storeId) {
+    try {
+      const store = await Store.findById(order.storeId);
+      const result = store ? await getCommerceAdapter(store).updateOrder(order.wooCommerceId, order.toObject()) : null;
+      if (result?.success) {
+        order.syncStatus = 'synced';
+        order.syncError = null;
+        order.lastWooCommerceSync = new Date();
+      } else if (result) {
+        order.syncStatus = 'failed';
+        order.syncError = result.error?.message || String(result.error || 'Store sync failed');
+      }
+    } catch (error) {
+      order.syncStatus = 'failed';
+      order.syncError = error.message;
+    }
+  }
+
+  await order.save();
+  return true;
+};
+
+// Stamps the label and tells the customer when it first ships and when it is delivered
+const applyLabelTransition = async (label, previousStatus) => {
+  const wasShipped = LABEL_STATUS_RANK[previousStatus] >= LABEL_STATUS_RANK.shipped;
+  const shipped = !wasShipped && LABEL_STATUS_RANK[label.status] >= LABEL_STATUS_RANK.shipped;
+  const delivered = previousStatus !== 'delivered' && label.status === 'delivered';
+  if (!shipped && !delivered) return;
+
+  const order = await Order.findById(label.orderId);
+  if (shipped) {
+    label.shippedAt = label.shippedAt || new Date();
+    if (order) {
+      await orderNotificationHelper.notifyOrderShipped(order, {
+        trackingNumber: label.trackingNumber,
+        method: `${label.carrier} ${label.serviceType}`
+      });
+    }
+  }
+  if (delivered) {
+    label.deliveredAt = label.deliveredAt || new Date();
+    if (order) {
+      await completeOrder(order);
+      await orderNotificationHelper.notifyOrderDelivered(order, {
+        deliveryDate: label.deliveredAt.toLocaleDateString()
+      });
+    }
+  }
+  await label.save();
+};
+
+/**
+ * Merge carrier tracking into a label's timeline and move the label (and on delivery, its
+ * order) forward. Events already on the timeline are skipped, so polls and webhooks can
+ * repeat the whole history.
+ * @param {Object} label - ShippingLabel document
+ * @param {Object} tracking - { status, estimatedDelivery, events } as the carrier adapters return it
+ * @param {string} source - poll, webhook or manual
+ * @returns {Object} { label, added (number of new events) }
+ */
+const recordTrackingEvents = async (label, tracking, source) => {
+  if (['voided', 'cancelled'].includes(label.status)) {
+    return { label, added: 0 };
+  }
+
+  const previousStatus = label.status;
+  const known = new Set(label.trackingEvents.map(eventKey));
+  const incoming = (tracking.events || [])
+    .filter(event => event.status && event.occurredAt && !isNaN(new Date(event.occurredAt)))
+    .map(event => ({
+      status: event.status,
+      description: event.description,
+      location: event.location,
+      occurredAt: new Date(event.occurredAt),
+      source
+    }))
+    .filter(event => !known.has(eventKey(event)) && known.add(eventKey(event)));
+
+  const timeline = [...label.trackingEvents.map(event => event.toObject()), ...incoming]
+    .sort((a, b) => a.occurredAt - b.occurredAt);
+  label.trackingEvents = timeline;
+
+  const latest = tracking.status && tracking.status !== 'unknown'
+    ? tracking.status
+    : timeline[timeline.length - 1]?.status;
+  if (latest) label.trackingStatus = latest;
+  if (tracking.estimatedDelivery) label.estimatedDelivery = new Date(tracking.estimatedDelivery);
+
+  // Any event on the timeline can move the label forward, even if the latest is an exception
+  const reached = timeline
+    .map(event => LABEL_STATUS_BY_TRACKING[event.status])
+    .concat(LABEL_STATUS_BY_TRACKING[latest])
+    .filter(Boolean)
+    .reduce((best, status) => (LABEL_STATUS_RANK[status] > LABEL_STATUS_RANK[best] ? status : best), label.status);
+  label.status = reached;
+
+  label.lastTrackedAt = new Date();
+  label.lastTrackError = undefined;
+  label.updatedAt = new Date();
+  await label.save();
+  await applyLabelTransition(label, previousStatus);
+
+  return { label, added: incoming.length };
+};
+
+// A label status set by hand goes on the timeline like a carrier event
+const setLabelStatusManually = async (label, status) => {
+  const trackingStatus = { shipped: 'in_transit', delivered: 'delivered' }[status];
+  if (!trackingStatus) {
+    label.status = status;
+    label.updatedAt = new Date();
+    await label.save();
+    return label;
+  }
+
+  const event = { status: trackingStatus, description: `Marked ${status} manually`, occurredAt: new Date() };
+  await recordTrackingEvents(label, { status: trackingStatus, events: [event] }, 'manual');
+  return label;
+};
+
+/**
+ * Ask the label's carrier for its latest tracking
+ * @param {Object} label - ShippingLabel document bought through a carrier account
+ * @returns {Object} { label, added }
+ */
+const refreshLabelTracking = async (label) => {
+  if (!label.carrierAccountId) {
+    throw new BadRequestError('This label was not bought through a carrier account and cannot be tracked');
+  }
+
+  const account = await CarrierAccount.findById(label.carrierAccountId).select('+apiKey');
+  if (!account) {
+    throw new BadRequestError('The carrier account this label was bought through no longer exists');
+  }
+
+  const result = await getCarrierAdapter(account).getTracking(label);
+  if (!result.success) {
+    throw new AppError(`Tracking lookup failed: ${typeof result.error === 'string' ? result.error : JSON.stringify(result.error)}`, 502);
+  }
+
+  return await recordTrackingEvents(label, result.data, 'poll');
+};
+
+/**
+ * Apply a tracking webhook sent to a carrier account's webhook URL
+ * @param {string} webhookToken - Token from the webhook URL
+ * @param {Object} payload - Request body as the provider sent it
+ * @returns {Object} { label, added } or { ignored: true } for payloads that are not tracking updates
+ */
+const handleTrackingWebhook = async (webhookToken, payload) => {
+  const account = await CarrierAccount.findOne({ webhookToken }).select('+apiKey');
+  if (!account) {
+    throw new NotFoundError('Unknown tracking webhook');
+  }
+
+  const tracking = getCarrierAdapter(account).parseTrackingWebhook(payload);
+  if (!tracking) return { ignored: true };
+
+  const label = await ShippingLabel.findOne({ trackingNumber: tracking.trackingNumber, carrierAccountId: account._id });
+  if (!label) {
+    throw new NotFoundError(`No shipping label with tracking number ${tracking.trackingNumber}`);
+  }
+
+  return await recordTrackingEvents(label, tracking, 'webhook');
+};
+
+/**
+ * Poll every label still on its way that has not been tracked in the last `staleMinutes`
+ * @param {Object} [options] - staleMinutes (default 60), limit (default 200)
+ * @returns {Object} { checked, updated, failed }
+ */
+const pollActiveLabels = async ({ staleMinutes = 60, limit = 200 } = {}) => {
+  const staleBefore = new Date(Date.now() - staleMinutes * 60 * 1000);
+  const labels = await ShippingLabel.find({
+    status: { $in: TRACKED_LABEL_STATUSES },
+    carrierAccountId: { $ne: null },
+    $or: [{ lastTrackedAt: null }, { lastTrackedAt: { $lt: staleBefore } }]
+  })
+    .sort({ lastTrackedAt: 1 })
+    .limit(limit);
+
+  const summary = { checked: labels.length, updated: 0, failed: 0 };
+  for (const label of labels) {
+    try {
+      const { added } = await refreshLabelTracking(label);
+      if (added > 0) summary.updated += 1;
+    } catch (error) {
+      summary.failed += 1;
+      console.error(`❌ Tracking poll failed for ${label.trackingNumber}:`, error.message);
+      // Stamp failures too, so labels that keep failing move behind the rest of the queue
+      await ShippingLabel.updateOne(
+        { _id: label._id },
+        { $set: { lastTrackedAt: new Date(), lastTrackError: error.message } }
+      ).catch(stampError => console.error(`❌ Could not record tracking failure for ${label.trackingNumber}:`, stampError.message));
+    }
+  }
+  return summary;
+};
+
+// Flag to prevent overlapping polls
+let isPollingTracking = false;
+
+// Poll carriers for labels still on their way every 30 minutes
+const scheduleTrackingSync = () => {
+  cron.schedule('*/30 * * * *', async () => {
+    if (isPollingTracking) {
+      console.log('📦 Tracking poll already in progress, skipping...');
+      return;
+    }
+
+    isPollingTracking = true;
+    try {
+      const summary = await pollActiveLabels();
+      if (summary.checked > 0) {
+        console.log(`📦 Tracking poll: ${summary.checked} checked, ${summary.updated} updated, ${summary.failed} failed`);
+      }
+    } catch (error) {
+      console.error('❌ Error in tracking poll:', error.message);
+    } finally {
+      isPollingTracking = false;
+    }
+  });
+};
+
+module.exports = {
+  recordTrackingEvents,
+  setLabelStatusManually,
+  refreshLabelTracking,
+  handleTrackingWebhook,
+  pollActiveLabels,
+  scheduleTrackingSync
+};
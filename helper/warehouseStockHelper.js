@@ -0,0 +1,333 @@
+const mongoose = require('mongoose');
+const Inventory = require('../models/inventory');
+const Store = require('../models/store');
+const StockLevel = require('../models/stockLevel');
+const StockMovement = require('../models/stockMovement');
+const StockTransfer = require('../models/stockTransfer');
+const { getCommerceAdapter } = require('../services/commerceAdapterRegistry');
+const { pushFields } = require('./inventoryReconciliationHelper');
+const { getOrderStockChange, recordStockChange } = require('./stockLedgerHelper');
+const { BadRequestError } = require('../utils/errors');
+
+// Ledger source for each kind of location movement
+const MOVEMENT_SOURCES = {
+  adjustment: 'manual',
+  transfer_in: 'transfer',
+  transfer_out: 'transfer',
+  receipt: 'purchase',
+  return: 'refund',
+  sale: 'order'
+};
+
+// True when the store's synced quantity is the sum of its chosen warehouses
+const usesStockLocations = (store) => Array.isArray(store?.stockLocations) && store.stockLocations.length > 0;
+
+const toObjectId = (id) => new mongoose.Types.ObjectId(String(id));
+
+const toQuantity = (value) => parseInt(value, 10) || 0;
+
+/**
+ * Total stock of a product over the given warehouses
+ * @param {string} productId - Inventory product ID
+ * @param {Array} warehouseIds - Warehouses to include
+ * @returns {number} Summed quantity
+ */
+const getLocationTotal = async (productId, warehouseIds) => {
+  if (!warehouseIds || warehouseIds.length === 0) return 0;
+  const [row] = await StockLevel.aggregate([
+    { $match: { productId: toObjectId(productId), warehouseId: { $in: warehouseIds.map(toObjectId) } } },
+    { $group: { _id: null, total: { $sum: '$quantity' } } }
+  ]);
+  return row ? row.total : 0;
+};
+
+/**
+ * Add or remove stock at one warehouse and append the movement to the ledger.
+ * Removing more than the location holds is rejected, so balances never go negative.
+ * @param {Object} options
+ * @param {Object} options.product - Inventory document
+ * @param {string} options.warehouseId - Warehouse the stock is at
+ * @param {number} options.delta - Positive to add, negative to remove
+ * @param {string} options.type - StockMovement type
+ * @param {string} [options.userId] - User making the change
+ * @param {string} [options.note] - Free text reason
+ * @param {string} [options.transferId] - StockTransfer this movement belongs to
+ * @param {string} [options.purchaseOrderId] - PurchaseOrder whose receipt this is
+ * @param {string} [options.orderId] - Order a sale movement belongs to
+ * @param {string} [options.reference] - Human-readable reference for the ledger
+ * @param {string} [options.bin] - Bin location to record for the product at this warehouse
+ * @returns {Object} { level, movement }
+ */
+const changeLocationStock = async ({ product, warehouseId, delta, type, userId, note = null, transferId = null, purchaseOrderId = null, orderId = null, reference = null, bin }) => {
+  if (!Number.isInteger(delta) || delta === 0) {
+    throw new BadRequestError('Quantity change must be a non-zero whole number');
+  }
+
+  const filter = { productId: product._id, warehouseId };
+  const update = { $inc: { quantity: delta } };
+  if (bin !== undefined) update.$set = { bin };
+
+  let level;
+  if (delta < 0) {
+    level = await StockLevel.findOneAndUpdate(
+      { ...filter, quantity: { $gte: -delta } },
+      update,
+      { new: true }
+    );
+    if (!level) {
+      throw new BadRequestError(`Not enough stock at this location to remove ${-delta}`);
+    }
+  } else {
+    update.$setOnInsert = { organizationId: product.organizationId };
+    level = await StockLevel.findOneAndUpdate(filter, update, { new: true, upsert: true });
+  }
+
+  const movement = await StockMovement.create({
+    organizationId: product.organizationId,
+    productId: product._id,
+    warehouseId,
+    type,
+    source: MOVEMENT_SOURCES[type],
+    delta,
+    balance: level.quantity,
+    transferId,
+    purchaseOrderId,
+    orderId,
+    userId,
+    reference,
+    note
+  });
+
+  return { level, movement };
+};
+
+/**
+ * Move stock between two warehouses. If the receiving side fails after the stock
+ * left the source, the removal is reversed and the transfer is recorded as failed.
+ * @returns {Object} Saved StockTransfer
+ */
+const transferStock = async ({ product, fromWarehouseId, toWarehouseId, quantity, userId, note = null }) => {
+  if (String(fromWarehouseId) === String(toWarehouseId)) {
+    throw new BadRequestError('Source and destination warehouses must differ');
+  }
+  if (!Number.isInteger(quantity) || quantity <= 0) {
+    throw new BadRequestError('Transfer quantity must be a positive whole number');
+  }
+
+  const transfer = new StockTransfer({
+    organizationId: product.organizationId,
+    productId: product._id,
+    fromWarehouseId,
+    toWarehouseId,
+    quantity,
+    note,
+    userId
+  });
+
+  // Throws before anything is saved when the source is short
+  await changeLocationStock({
+    product, warehouseId: fromWarehouseId, delta: -quantity, type: 'transfer_out', userId, note, transferId: transfer._id
+  });
+
+  try {
+    await changeLocationStock({
+      product, warehouseId: toWarehouseId, delta: quantity, type: 'transfer_in', userId, note, transferId: transfer._id
+    });
+  } catch (error) {
+    await changeLocationStock({
+      product, warehouseId: fromWarehouseId, delta: quantity, type: 'adjustment', userId,
+      note: 'Reversal of failed transfer', transferId: transfer._id
+    });
+    transfer.status = 'failed';
+    transfer.errorMessage = error.message;
+  }
+
+  await transfer.save();
+  return transfer;
+};
+
+/**
+ * Send a product's quantity to its store
+ * @param {Object} store - Store document
+ * @param {Object} product - Inventory document
+ * @param {number} quantity - Quantity the store should show
+ * @returns {Object} { fields, wooCommerceSync } where fields are the sync fields to save on the product
+ */
+const pushStoreQuantity = async (store, product, quantity) => {
+  const remoteId = Number(product.wooCommerceId || product.product_Id) || null;
+  if (!remoteId) return { fields: {}, wooCommerceSync: null };
+
+  try {
+    const rejected = await pushFields(getCommerceAdapter(store), remoteId, [{ field: 'stock_quantity', local: quantity }]);
+    if (rejected.length > 0) {
+      throw new Error('Store did not accept the new quantity');
+    }
+    return {
+      fields: { syncStatus: 'synced', syncError: null, lastWooCommerceSync: new Date() },
+      wooCommerceSync: { synced: true, wooCommerceId: remoteId, error: null }
+    };
+  } catch (error) {
+    return {
+      fields: { syncStatus: 'failed', syncError: error.message },
+      wooCommerceSync: { synced: false, wooCommerceId: remoteId, error: error.message }
+    };
+  }
+};
+
+/**
+ * Set a product's stock_quantity to the sum over its store's chosen warehouses and
+ * optionally push that number to the store. Stores without stock locations are left alone.
+ * The sum replaces the store's own number, so sales must come off the locations first
+ * (applyOrderLocationStock, from the order webhook and order sync).
+ * @param {Object} product - Inventory document
+ * @param {Object} [options]
+ * @param {boolean} [options.syncToWooCommerce] - Also update the quantity in the store
+ * @param {Object} [options.store] - Store document, when the caller already has it
+ * @param {Object} [options.ledger] - source, userId, reference and note for the stock ledger entry
+ * @returns {Object|null} { quantity, wooCommerceSync } or null when the store does not use locations
+ */
+const syncProductLocationStock = async (product, { syncToWooCommerce = false, store = null, ledger = {} } = {}) => {
+  const productStore = store || await Store.findById(product.storeId);
+  if (!usesStockLocations(productStore)) return null;
+
+  const quantity = await getLocationTotal(product._id, productStore.stockLocations);
+  const update = {
+    stock_quantity: quantity,
+    manage_stock: true,
+    stock_status: quantity > 0 ? 'instock' : (product.backorders && product.backorders !== 'no' ? 'onbackorder' : 'outofstock')
+  };
+
+  let wooCommerceSync = null;
+  if (syncToWooCommerce) {
+    const pushed = await pushStoreQuantity(productStore, product, quantity);
+    Object.assign(update, pushed.fields);
+    wooCommerceSync = pushed.wooCommerceSync;
+  }
+
+  const previous = await Inventory.findByIdAndUpdate(product._id, { $set: update });
+  if (previous) {
+    await recordStockChange({
+      source: 'manual',
+      ...ledger,
+      product: previous,
+      previousQuantity: previous.stock_quantity,
+      newQuantity: quantity
+    });
+  }
+  return { quantity, wooCommerceSync };
+};
+
+// Take an order line's units off the store's locations, in the order the store lists them
+const takeOrderItemStock = async (order, item, product, store, reference) => {
+  let remaining = toQuantity(item.quantity);
+  for (const warehouseId of store.stockLocations) {
+    if (remaining <= 0) break;
+    const level = await StockLevel.findOne({ productId: product._id, warehouseId });
+    const take = Math.min(remaining, level ? level.quantity : 0);
+    if (take <= 0) continue;
+    try {
+      await changeLocationStock({
+        product, warehouseId, delta: -take, type: 'sale', orderId: order._id, reference, note: `Order ${order.status}`
+      });
+      remaining -= take;
+    } catch (error) {
+      // The location was emptied since it was read; carry on with the next one
+      console.error(`Error taking stock for ${reference} at warehouse ${warehouseId}:`, error.message);
+    }
+  }
+  if (remaining > 0) {
+    console.warn(`⚠️ ${reference}: ${remaining} of ${item.name} sold beyond the stock at the store's locations`);
+  }
+  return remaining < toQuantity(item.quantity);
+};
+
+// Give a cancelled order's units back to the locations they were taken from
+const returnOrderStock = async (order, reference) => {
+  const taken = await StockMovement.aggregate([
+    { $match: { orderId: toObjectId(order._id), type: 'sale' } },
+    { $group: { _id: { productId: '$productId', warehouseId: '$warehouseId' }, delta: { $sum: '$delta' } } }
+  ]);
+
+  const products = new Map();
+  for (const { _id, delta } of taken) {
+    if (delta >= 0) continue;
+    try {
+      const product = products.get(String(_id.productId)) || await Inventory.findById(_id.productId);
+      if (!product) continue;
+      await changeLocationStock({
+        product, warehouseId: _id.warehouseId, delta: -delta, type: 'sale', orderId: order._id, reference, note: `Order ${order.status}`
+      });
+      products.set(String(product._id), product);
+    } catch (error) {
+      console.error(`Error returning stock for ${reference}, product ${_id.productId}:`, error.message);
+    }
+  }
+  return Array.from(products.values());
+};
+
+/**
+ * applyOrderStock for warehouse-fed stores. When an order enters a sale status its units
+ * come off the store's stock locations, and when a reduced order is cancelled or fails they
+ * go back to the locations they came from; both are sale movements against the order. The
+ * new location totals are then saved on the products and pushed to the store, so the next
+ * location sync does not hand back units the store has sold.
+ * @param {Object} order - Order document after the update
+ * @param {string|null} previousStatus - Status before the update (null for a new order)
+ * @param {Object} store - Store document with stockLocations
+ * @returns {number} Products whose stock changed
+ */
+const applyOrderLocationStock = async (order, previousStatus, store) => {
+  const change = getOrderStockChange(order, previousStatus);
+  if (!change) return 0;
+
+  // Claim the change first, so a repeated or concurrent delivery cannot move the stock twice
+  const claimed = await order.constructor.updateOne(
+    { _id: order._id, stockReduced: change === 'reduce' ? { $ne: true } : true },
+    { $set: { stockReduced: change === 'reduce' } }
+  );
+  if (!claimed.modifiedCount) return 0;
+  order.stockReduced = change === 'reduce';
+
+  const reference = `Order #${order.number || order.order_id}`;
+  let products = [];
+  if (change === 'reduce') {
+    for (const item of order.line_items || []) {
+      if (!item.inventoryId || !(toQuantity(item.quantity) > 0)) continue;
+      try {
+        const product = await Inventory.findById(item.inventoryId);
+        if (product && await takeOrderItemStock(order, item, product, store, reference)) products.push(product);
+      } catch (error) {
+        console.error(`Error taking stock for ${reference}, product ${item.product_id}:`, error.message);
+      }
+    }
+  } else {
+    products = await returnOrderStock(order, reference);
+  }
+
+  for (const product of products) {
+    await syncProductLocationStock(product, {
+      syncToWooCommerce: true,
+      store,
+      ledger: { source: 'order', reference, note: `Order ${order.status}` }
+    });
+  }
+  return products.length;
+};
+
+// StockLevel query for the metrics endpoints when filtered to one warehouse
+const locationStockFilter = (organizationId, warehouseId, quantity) => ({
+  organizationId: toObjectId(organizationId),
+  warehouseId: toObjectId(warehouseId),
+  ...(quantity && { quantity })
+});
+
+module.exports = {
+  usesStockLocations,
+  getLocationTotal,
+  changeLocationStock,
+  transferStock,
+  pushStoreQuantity,
+  syncProductLocationStock,
+  applyOrderLocationStock,
+  locationStockFilter
+};
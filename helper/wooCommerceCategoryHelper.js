@@ -1,11 +1,26 @@
 const {
-  initializeWooCommerceAPI,
   handleWooCommerceError,
   validateWooCommerceResponse,
   logWooCommerceSync,
-  getStoreById,
-  executeWithRateLimit
+  getStoreById
 } = require('./wooCommerceSyncHelper');
+const { getCommerceAdapter } = require('../services/commerceAdapterRegistry');
+
+/**
+ * Unwrap an adapter { success, data } result into a response-like object,
+ * rethrowing failures in the shape handleWooCommerceError understands
+ * @param {Promise<Object>} adapterCall - Pending adapter result
+ * @returns {Object} Response with the normalized category in `data`
+ */
+const unwrapAdapterResult = async (adapterCall) => {
+  const result = await adapterCall;
+  if (!result.success) {
+    const error = new Error(typeof result.error === 'string' ? result.error : 'Store API request failed');
+    error.response = { status: result.statusCode, data: result.error };
+    throw error;
+  }
+  return { data: result.data };
+};
 
 /**
  * Create category in WooCommerce store
@@ -21,17 +36,12 @@ const createCategoryInWooCommerce = async (categoryData, storeId, userId, organi
     
     // Get store configuration
     const store = await getStoreById(storeId);
-    const api = initializeWooCommerceAPI(store);
+    const commerceAdapter = getCommerceAdapter(store);
 
-    // Map local category data to WooCommerce format
-    const wooCommerceData = mapCategoryToWooCommerce(categoryData);
+    console.log('📦 Category data for store:', commerceAdapter.mapCategoryToRemote(categoryData));
 
-    console.log('📦 Category data for WooCommerce:', wooCommerceData);
-
-    // Execute API call with rate limiting
-    const response = await executeWithRateLimit(() => 
-      api.post('products/categories', wooCommerceData)
-    );
+    // The adapter maps the category to its platform's format and retries rate-limited calls
+    const response = await unwrapAdapterResult(commerceAdapter.createCategory(categoryData));
 
     // Validate response
     const validation = validateWooCommerceResponse(response, 'createCategory');
@@ -100,16 +110,13 @@ const updateCategoryInWooCommerce = async (categoryData, storeId, userId, organi
 
     // Get store configuration
     const store = await getStoreById(storeId);
-    const api = initializeWooCommerceAPI(store);
-
-    // Map local category data to WooCommerce format
-    const wooCommerceData = mapCategoryToWooCommerce(categoryData);
+    const commerceAdapter = getCommerceAdapter(store);
 
-    console.log('📦 Category update data for WooCommerce:', wooCommerceData);
+    console.log('📦 Category update data for store:', commerceAdapter.mapCategoryToRemote(categoryData));
 
-    // Execute API call with rate limiting
-    const response = await executeWithRateLimit(() => 
-      api.put(`products/categories/${categoryData.wooCommerceId}`, wooCommerceData)
+    // The adapter maps the category to its platform's format and retries rate-limited calls
+    const response = await unwrapAdapterResult(
+      commerceAdapter.updateCategory(categoryData.wooCommerceId, categoryData)
     );
 
     // Validate response
@@ -175,12 +182,9 @@ const deleteCategoryInWooCommerce = async (wooCommerceId, storeId, userId, organ
     
     // Get store configuration
     const store = await getStoreById(storeId);
-    const api = initializeWooCommerceAPI(store);
+    const commerceAdapter = getCommerceAdapter(store);
 
-    // Execute API call with rate limiting
-    const response = await executeWithRateLimit(() => 
-      api.delete(`products/categories/${wooCommerceId}`, { force: true })
-    );
+    const response = await unwrapAdapterResult(commerceAdapter.deleteCategory(wooCommerceId));
 
     // Validate response
     const validation = validateWooCommerceResponse(response, 'deleteCategory');
@@ -240,15 +244,9 @@ const getWooCommerceCategories = async (storeId) => {
     
     // Get store configuration
     const store = await getStoreById(storeId);
-    const api = initializeWooCommerceAPI(store);
-
-    // Execute API call with rate limiting
-    const response = await executeWithRateLimit(() => 
-      api.get('products/categories', { per_page: 100 })
-    );
 
-    // For getCategories, the response.data is an array, not a single object
-    const categories = response.data || [];
+    // Walks every page, so stores with more than 100 categories are fetched in full
+    const categories = await getCommerceAdapter(store).getAllCategories();
     console.log(`✅ Fetched ${categories.length} categories from WooCommerce`);
 
     return {
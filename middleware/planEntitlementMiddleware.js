@@ -0,0 +1,79 @@
+const { assertWithinPlanLimit, assertPlanModule } = require('../helper/planEntitlementHelper');
+
+const isSuperAdmin = (req) => {
+  const role = req.userRoleName || (typeof req.user?.role === 'string' ? req.user.role : '');
+  return role.replace('_', '-') === 'super-admin';
+};
+
+const defaultOrganization = (req) => req.user?.organization;
+
+// Answer with the plan limit that was hit, or pass any other error on
+const handleEntitlementError = (error, res) => {
+  if (error.code === 'PLAN_LIMIT_REACHED') {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+      code: error.code,
+      ...error.details
+    });
+  }
+  console.error('Plan entitlement middleware error:', error);
+  return res.status(500).json({
+    success: false,
+    message: 'Could not check your plan limits'
+  });
+};
+
+/**
+ * Middleware to stop a request that would take the organization over a plan limit
+ * Use this on routes that create stores, add users or send campaign emails
+ * @param {string} limit - 'stores', 'users' or 'monthlyEmails'
+ * @param {Object} [options]
+ * @param {Function} [options.organization] - req => organization id; defaults to the user's organization
+ * @param {Function} [options.requested] - (async) req => how many the request adds; defaults to 1
+ */
+exports.enforcePlanLimit = (limit, { organization = defaultOrganization, requested = () => 1 } = {}) => async (req, res, next) => {
+  try {
+    if (isSuperAdmin(req)) return next();
+
+    const organizationId = organization(req);
+    if (!organizationId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Organization is required'
+      });
+    }
+
+    await assertWithinPlanLimit(organizationId, limit, await requested(req));
+    next();
+  } catch (error) {
+    return handleEntitlementError(error, res);
+  }
+};
+
+/**
+ * Middleware to require a module in the organization's plan
+ * @param {string} module - One of SubscriptionPlan.PLAN_MODULES
+ * @param {Object} [options]
+ * @param {Function} [options.organization] - req => organization id; defaults to the user's organization
+ */
+exports.requirePlanModule = (module, { organization = defaultOrganization } = {}) => async (req, res, next) => {
+  try {
+    if (isSuperAdmin(req)) return next();
+
+    const organizationId = organization(req);
+    if (!organizationId) {
+      return res.status(403).json({
+        success: false,
+        message: `The ${module} module requires an organization`,
+        code: 'PLAN_LIMIT_REACHED',
+        module
+      });
+    }
+
+    await assertPlanModule(organizationId, module);
+    next();
+  } catch (error) {
+    return handleEntitlementError(error, res);
+  }
+};
@@ -8,6 +8,16 @@ const bankAccountSchema = new mongoose.Schema(
 		accountNumber: { type: String, required: true, trim: true, unique: true },
 		accountType: { type: String, enum: ['current', 'savings', 'other'], default: 'current' },
 		isActive: { type: Boolean, default: true },
+		// Ledger account this bank account is booked to; imported lines are matched to its journal lines
+		ledgerAccount: { type: mongoose.Schema.Types.ObjectId, ref: 'Account', default: null },
+		// Balance before the first transaction, the starting point of the reconciled balance
+		openingBalance: { type: Number, default: 0 },
+		// How this bank's CSV statements are read, saved from an import so the next one can reuse it
+		statementMapping: {
+			columns: { type: Object, default: undefined },
+			dateFormat: { type: String },
+			delimiter: { type: String },
+		},
 		metadata: { type: Object, default: {} },
 		createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
 	},
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// One CSV or OFX statement file imported into a bank account, with what happened to its lines
+const bankStatementImportSchema = new mongoose.Schema(
+	{
+		bankAccount: { type: mongoose.Schema.Types.ObjectId, ref: 'BankAccount', required: true },
+		format: { type: String, enum: ['csv', 'ofx'], required: true },
+		fileName: { type: String, default: '' },
+		// CSV column mapping and date format the file was read with
+		columns: { type: Object, default: undefined },
+		dateFormat: { type: String },
+		statementStart: { type: Date },
+		statementEnd: { type: Date },
+		// Closing (ledger) balance printed on the statement, if it has one
+		closingBalance: { type: Number },
+		closingBalanceDate: { type: Date },
+		totalLines: { type: Number, default: 0 },
+		importedCount: { type: Number, default: 0 },
+		duplicateCount: { type: Number, default: 0 },
+		errorCount: { type: Number, default: 0 },
+		// Lines that could not be read, by 1-based line number in the file
+		lineErrors: [{ _id: false, line: Number, message: String }],
+		// Outcome of auto-matching the imported lines
+		reconciledCount: { type: Number, default: 0 },
+		suggestedCount: { type: Number, default: 0 },
+		unmatchedCount: { type: Number, default: 0 },
+		importedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+	},
+	{ timestamps: true }
+);
+
+bankStatementImportSchema.index({ bankAccount: 1, createdAt: -1 });
+
+const BankStatementImport = mongoose.model('BankStatementImport', bankStatementImportSchema);
+
+module.exports = BankStatementImport;
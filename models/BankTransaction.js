@@ -1,5 +1,8 @@
 const mongoose = require('mongoose');
 
+const RECONCILIATION_STATUSES = ['unreconciled', 'suggested', 'reconciled', 'excluded'];
+const MATCH_KINDS = ['journal_line', 'payment'];
+
 const bankTransactionSchema = new mongoose.Schema(
 	{
 		bankAccount: { type: mongoose.Schema.Types.ObjectId, ref: 'BankAccount', required: true },
@@ -10,12 +13,55 @@ const bankTransactionSchema = new mongoose.Schema(
 		currency: { type: String, default: 'NGN' },
 		reference: { type: String, default: '' },
 		source: { type: String, enum: ['manual', 'import', 'api'], default: 'manual' },
+		// Imported lines: the statement they came from, the bank's own id (OFX FITID) and the
+		// fingerprint that stops the same line being imported twice
+		statementImport: { type: mongoose.Schema.Types.ObjectId, ref: 'BankStatementImport' },
+		externalId: { type: String },
+		fingerprint: { type: String },
+		// Running balance printed on the statement
+		statementBalance: { type: Number },
+		// unreconciled and suggested lines wait in the review queue; excluded lines are left out of the reconciled balance
+		reconciliationStatus: {
+			type: String,
+			enum: RECONCILIATION_STATUSES,
+			default: 'unreconciled',
+		},
+		match: {
+			kind: { type: String, enum: MATCH_KINDS },
+			journalEntry: { type: mongoose.Schema.Types.ObjectId, ref: 'JournalEntry' },
+			journalLine: { type: mongoose.Schema.Types.ObjectId },
+			payment: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
+			score: { type: Number },
+			matchedBy: { type: String, enum: ['auto', 'manual'] },
+			matchedAt: { type: Date },
+			reconciledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+		},
+		// Possible matches when auto-matching could not pick one
+		suggestions: [
+			{
+				_id: false,
+				kind: { type: String, enum: MATCH_KINDS },
+				journalEntry: { type: mongoose.Schema.Types.ObjectId, ref: 'JournalEntry' },
+				journalLine: { type: mongoose.Schema.Types.ObjectId },
+				payment: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' },
+				score: { type: Number },
+				reasons: [{ type: String }],
+			},
+		],
+		excludedReason: { type: String },
 		createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
 	},
 	{ timestamps: true }
 );
 
 bankTransactionSchema.index({ bankAccount: 1, date: -1 });
+bankTransactionSchema.index({ bankAccount: 1, fingerprint: 1 }, { unique: true, partialFilterExpression: { fingerprint: { $type: 'string' } } });
+bankTransactionSchema.index({ bankAccount: 1, reconciliationStatus: 1, date: -1 });
+bankTransactionSchema.index({ 'match.journalLine': 1 }, { sparse: true });
+bankTransactionSchema.index({ 'match.payment': 1 }, { sparse: true });
+
+bankTransactionSchema.statics.RECONCILIATION_STATUSES = RECONCILIATION_STATUSES;
+bankTransactionSchema.statics.MATCH_KINDS = MATCH_KINDS;
 
 const BankTransaction = mongoose.model('BankTransaction', bankTransactionSchema);
 
@@ -1,12 +1,14 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const { numberedDocumentPlugin } = require('../helper/numberingSequenceHelper');
+const { roundMoney } = require('../utils/moneyUtils');
 
 const InvoiceSchema = new Schema({
   // Basic Information
+  // Assigned from the organization's invoice sequence on first save
   invoiceNumber: {
     type: String,
     required: true,
-    unique: true,
     trim: true
   },
   customerId: {
@@ -69,6 +71,20 @@ const InvoiceSchema = new Schema({
     required: true,
     default: 0
   },
+  // Sum of the issued credit notes against this invoice
+  creditedAmount: {
+    type: Number,
+    default: 0
+  },
+  // Sum of the payment allocations recorded against this invoice
+  amountPaid: {
+    type: Number,
+    default: 0
+  },
+  // What the customer still owes; kept up to date on every save
+  balanceDue: {
+    type: Number
+  },
   currency: {
     type: String,
     default: 'USD',
@@ -92,7 +108,7 @@ const InvoiceSchema = new Schema({
   // Status and Type
   status: {
     type: String,
-    enum: ['draft', 'sent', 'paid', 'overdue', 'cancelled'],
+    enum: ['draft', 'sent', 'partially_paid', 'paid', 'overpaid', 'overdue', 'cancelled'],
     default: 'draft'
   },
   type: {
@@ -124,9 +140,118 @@ const InvoiceSchema = new Schema({
     taxRate: {
       type: Number,
       default: 0
+    },
+    // Tax charged on the line and the class its rates are looked up by (tax engine)
+    taxAmount: {
+      type: Number,
+      default: 0
+    },
+    taxClass: {
+      type: String,
+      default: 'standard'
     }
   }],
 
+  // Tax engine results: one row per tax rate charged, and how the total was taxed
+  taxBreakdown: [{
+    taxRateId: {
+      type: Schema.Types.ObjectId,
+      ref: 'TaxRate'
+    },
+    name: String,
+    country: String,
+    state: String,
+    rate: Number,
+    compound: Boolean,
+    taxableAmount: Number,
+    taxAmount: Number,
+    _id: false
+  }],
+  pricesIncludeTax: {
+    type: Boolean,
+    default: false
+  },
+  reverseCharge: {
+    type: Boolean,
+    default: false
+  },
+  customerVatNumber: {
+    type: String,
+    trim: true,
+    uppercase: true
+  },
+  taxNote: {
+    type: String,
+    trim: true
+  },
+
+  // Schedule that generated this invoice
+  recurringInvoiceId: {
+    type: Schema.Types.ObjectId,
+    ref: 'RecurringInvoice'
+  },
+
+  // Payment reminders; offsetDays is negative before the due date and positive after
+  dunning: {
+    paused: {
+      type: Boolean,
+      default: false
+    },
+    remindersSent: [{
+      offsetDays: Number,
+      sentAt: Date,
+      status: {
+        type: String,
+        enum: ['sent', 'failed', 'skipped']
+      },
+      error: String,
+      _id: false
+    }]
+  },
+
+  // Public share links carry this version; raising it revokes every link sent so far
+  publicLinkVersion: {
+    type: Number,
+    default: 0
+  },
+  // Customer opens of the public invoice page, most recent last
+  views: [{
+    viewedAt: { type: Date, default: Date.now },
+    ip: String,
+    userAgent: String,
+    _id: false
+  }],
+  viewCount: {
+    type: Number,
+    default: 0
+  },
+  firstViewedAt: Date,
+  lastViewedAt: Date,
+  // Gateway payments started from the public page, settled by the gateway webhooks
+  checkouts: [{
+    gateway: {
+      type: String,
+      enum: ['paystack', 'flutterwave', 'squad']
+    },
+    reference: String,
+    amount: Number,
+    currency: String,
+    email: String,
+    checkoutUrl: String,
+    status: {
+      type: String,
+      enum: ['pending', 'completed', 'failed'],
+      default: 'pending'
+    },
+    createdAt: { type: Date, default: Date.now },
+    completedAt: Date,
+    invoicePaymentId: {
+      type: Schema.Types.ObjectId,
+      ref: 'InvoicePayment'
+    },
+    error: String
+  }],
+
   // Notes and Terms
   notes: {
     type: String,
@@ -222,43 +347,52 @@ const InvoiceSchema = new Schema({
 InvoiceSchema.index({ organizationId: 1, createdAt: -1 });
 InvoiceSchema.index({ customerId: 1, createdAt: -1 });
 InvoiceSchema.index({ status: 1 });
-InvoiceSchema.index({ invoiceNumber: 1 }, { unique: true });
+InvoiceSchema.index({ organizationId: 1, invoiceNumber: 1 }, { unique: true });
+
+InvoiceSchema.plugin(numberedDocumentPlugin, { documentType: 'invoice' });
 InvoiceSchema.index({ dueDate: 1 });
+InvoiceSchema.index({ status: 1, dueDate: 1 });
+InvoiceSchema.index({ 'checkouts.reference': 1 });
 
 // Pre-save middleware to update timestamps
 InvoiceSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
+  this.balanceDue = this.getBalanceDue();
   next();
 });
 
-// Generate invoice number
-InvoiceSchema.statics.generateInvoiceNumber = async function(organizationId) {
-  const year = new Date().getFullYear();
-  
-  // Use findOne with sort to get the latest invoice number
-  const latestInvoice = await this.findOne(
-    { 
-      organizationId,
-      invoiceNumber: { $regex: `^INV-${year}-` }
-    },
-    { invoiceNumber: 1 }
-  ).sort({ invoiceNumber: -1 });
-
-  let nextNumber = 1;
-  if (latestInvoice) {
-    const match = latestInvoice.invoiceNumber.match(new RegExp(`^INV-${year}-(\\d+)$`));
-    if (match) {
-      nextNumber = parseInt(match[1]) + 1;
-    }
-  }
+// Calculate totals; with tax-inclusive prices the subtotal is the item total less its tax
+InvoiceSchema.methods.calculateTotals = function() {
+  const itemsTotal = this.items.reduce((sum, item) => sum + item.totalPrice, 0);
+  this.subtotal = this.pricesIncludeTax ? roundMoney(itemsTotal - this.taxAmount) : itemsTotal;
+  this.totalAmount = this.subtotal + this.taxAmount - this.discountAmount;
+  return this;
+};
 
-  return `INV-${year}-${String(nextNumber).padStart(4, '0')}`;
+// Outstanding balance: the total less credit notes and payments, and nothing once the invoice is paid or cancelled
+InvoiceSchema.methods.getBalanceDue = function() {
+  if (['paid', 'overpaid', 'cancelled'].includes(this.status)) return 0;
+  const balance = roundMoney((this.totalAmount || 0) - (this.creditedAmount || 0) - (this.amountPaid || 0));
+  return Math.max(balance, 0);
 };
 
-// Calculate totals
-InvoiceSchema.methods.calculateTotals = function() {
-  this.subtotal = this.items.reduce((sum, item) => sum + item.totalPrice, 0);
-  this.totalAmount = this.subtotal + this.taxAmount - this.discountAmount;
+// Set the status from what has been paid against what is owed after credit notes.
+// Drafts and cancelled invoices keep their status.
+InvoiceSchema.methods.updatePaymentStatus = function(paidDate = new Date()) {
+  if (['draft', 'cancelled'].includes(this.status)) return this;
+
+  const owed = roundMoney((this.totalAmount || 0) - (this.creditedAmount || 0));
+  const paid = roundMoney(this.amountPaid);
+  if (paid <= 0) {
+    this.status = this.dueDate < new Date() ? 'overdue' : 'sent';
+    this.paidDate = undefined;
+  } else if (paid < owed) {
+    this.status = 'partially_paid';
+    this.paidDate = undefined;
+  } else {
+    this.status = paid > owed ? 'overpaid' : 'paid';
+    this.paidDate = this.paidDate || paidDate;
+  }
   return this;
 };
 
@@ -1,12 +1,13 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const { numberedDocumentPlugin } = require('../helper/numberingSequenceHelper');
 
 const ReceiptSchema = new Schema({
   // Basic Information
+  // Assigned from the organization's receipt sequence on first save
   receiptNumber: {
     type: String,
     required: true,
-    unique: true,
     trim: true
   },
   customerId: {
@@ -58,6 +59,13 @@ const ReceiptSchema = new Schema({
     country: String
   },
 
+  // Order-specific fields
+  orderId: {
+    type: Schema.Types.ObjectId,
+    ref: 'Order',
+    required: false
+  },
+
   // Subscription-specific fields
   subscriptionId: {
     type: Schema.Types.ObjectId,
@@ -88,6 +96,11 @@ const ReceiptSchema = new Schema({
     type: Number,
     default: 0
   },
+  // Coupon the discount came from, for subscription payments
+  couponCode: {
+    type: String,
+    trim: true
+  },
   totalAmount: {
     type: Number,
     required: true,
@@ -155,7 +168,7 @@ const ReceiptSchema = new Schema({
   // Status and Type
   status: {
     type: String,
-    enum: ['completed', 'refunded', 'pending', 'failed'],
+    enum: ['completed', 'partially_refunded', 'refunded', 'pending', 'failed'],
     default: 'completed'
   },
   type: {
@@ -233,6 +246,12 @@ const ReceiptSchema = new Schema({
     }
   },
 
+  // Public share links carry this version; raising it revokes every link sent so far
+  publicLinkVersion: {
+    type: Number,
+    default: 0
+  },
+
   // Email and Communication
   emailSent: {
     type: Boolean,
@@ -291,23 +310,18 @@ ReceiptSchema.index({ subscriptionId: 1, createdAt: -1 });
 ReceiptSchema.index({ paymentId: 1, createdAt: -1 });
 ReceiptSchema.index({ scenario: 1 });
 ReceiptSchema.index({ status: 1 });
-ReceiptSchema.index({ receiptNumber: 1 }, { unique: true });
+ReceiptSchema.index({ organizationId: 1, receiptNumber: 1 }, { unique: true });
 ReceiptSchema.index({ transactionDate: 1 });
 ReceiptSchema.index({ transactionId: 1 });
 
+ReceiptSchema.plugin(numberedDocumentPlugin, { documentType: 'receipt' });
+
 // Pre-save middleware to update timestamps
 ReceiptSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
   next();
 });
 
-// Generate receipt number
-ReceiptSchema.statics.generateReceiptNumber = async function(organizationId) {
-  const count = await this.countDocuments({ organizationId });
-  const year = new Date().getFullYear();
-  return `REC-${year}-${String(count + 1).padStart(4, '0')}`;
-};
-
 // Calculate totals
 ReceiptSchema.methods.calculateTotals = function() {
   this.subtotal = this.items.reduce((sum, item) => sum + item.totalPrice, 0);
@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// An organization's account with a shipping provider (EasyPost, Shippo or the local stub)
+const CarrierAccountSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  provider: {
+    type: String,
+    enum: ['easypost', 'shippo', 'stub'],
+    required: true
+  },
+  // Provider API key; never returned by default
+  apiKey: {
+    type: String,
+    select: false,
+    default: null
+  },
+  // Secret path segment of the tracking webhook URL given to the provider
+  webhookToken: {
+    type: String,
+    default: () => crypto.randomBytes(24).toString('hex')
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+CarrierAccountSchema.index({ organizationId: 1, isActive: 1 });
+CarrierAccountSchema.index({ webhookToken: 1 }, { unique: true });
+
+module.exports = mongoose.model('CarrierAccount', CarrierAccountSchema);
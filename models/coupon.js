@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+const DISCOUNT_TYPES = ['percentage', 'fixed'];
+// once: the first payment only; repeating: payments in the first durationInMonths months; forever: every payment
+const COUPON_DURATIONS = ['once', 'repeating', 'forever'];
+
+// Promotional code taken off the price of a subscription at checkout
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    uppercase: true,
+    match: [/^[A-Z0-9_-]{3,40}$/, 'Codes are 3 to 40 letters, digits, dashes or underscores'],
+  },
+  name: {
+    type: String,
+    trim: true,
+  },
+  discountType: {
+    type: String,
+    enum: DISCOUNT_TYPES,
+    required: true,
+  },
+  // Percent off (0-100) or amount off in `currency`
+  value: {
+    type: Number,
+    required: true,
+    min: 0,
+    validate: {
+      validator: function (value) {
+        return this.discountType !== 'percentage' || value <= 100;
+      },
+      message: 'A percentage discount cannot be more than 100',
+    },
+  },
+  // Fixed discounts only apply to checkouts in this currency
+  currency: {
+    type: String,
+    enum: ['USD', 'NGN', 'EUR', 'GBP'],
+    required: function () {
+      return this.discountType === 'fixed';
+    },
+  },
+  duration: {
+    type: String,
+    enum: COUPON_DURATIONS,
+    default: 'once',
+  },
+  durationInMonths: {
+    type: Number,
+    min: 1,
+    required: function () {
+      return this.duration === 'repeating';
+    },
+  },
+  // Plans the code can be used on; empty means every plan
+  applicablePlans: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SubscriptionPlan',
+  }],
+  // Total checkouts the code can be used on; unset is unlimited
+  maxRedemptions: {
+    type: Number,
+    min: 1,
+  },
+  // Checkouts one user can use the code on; unset is unlimited
+  maxRedemptionsPerUser: {
+    type: Number,
+    min: 1,
+  },
+  timesRedeemed: {
+    type: Number,
+    default: 0,
+  },
+  startsAt: {
+    type: Date,
+  },
+  expiresAt: {
+    type: Date,
+  },
+  isActive: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now,
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now,
+  },
+});
+
+couponSchema.statics.DISCOUNT_TYPES = DISCOUNT_TYPES;
+couponSchema.statics.COUPON_DURATIONS = COUPON_DURATIONS;
+
+couponSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+const Coupon = mongoose.model('Coupon', couponSchema);
+
+module.exports = Coupon;
@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const { numberedDocumentPlugin } = require('../helper/numberingSequenceHelper');
+
+// Part of an invoice line being credited
+const CreditNoteItemSchema = new Schema({
+  // Invoice line this credits
+  invoiceItemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  name: { type: String, required: true },
+  description: String,
+  quantity: { type: Number, required: true, min: 0 },
+  unitPrice: { type: Number, required: true },
+  // Amount as the invoice priced it (tax included when the invoice's prices include tax)
+  totalPrice: { type: Number, required: true },
+  taxRate: { type: Number, default: 0 },
+  taxAmount: { type: Number, default: 0 },
+  // Share of the invoice discount given back with this line
+  discountAmount: { type: Number, default: 0 }
+}, { _id: false });
+
+// Reduces what the customer owes on an invoice, in whole or in part
+const CreditNoteSchema = new Schema({
+  creditNoteNumber: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: true
+  },
+  // Kept with the note so it still reads correctly if the invoice is renumbered or removed
+  invoiceNumber: {
+    type: String,
+    required: true
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer'
+  },
+  customerName: String,
+  customerEmail: {
+    type: String,
+    trim: true,
+    lowercase: true
+  },
+  status: {
+    type: String,
+    enum: ['issued', 'void'],
+    default: 'issued'
+  },
+  reason: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  issueDate: {
+    type: Date,
+    default: Date.now
+  },
+  items: {
+    type: [CreditNoteItemSchema],
+    validate: [items => items.length > 0, 'A credit note needs at least one line']
+  },
+  pricesIncludeTax: { type: Boolean, default: false },
+  subtotal: { type: Number, required: true, default: 0 },
+  taxAmount: { type: Number, default: 0 },
+  discountAmount: { type: Number, default: 0 },
+  totalAmount: { type: Number, required: true, default: 0 },
+  currency: {
+    type: String,
+    default: 'USD',
+    uppercase: true
+  },
+  // Printed on the note: the supplier's VAT number and any reverse-charge wording from the invoice
+  vatNumber: { type: String, default: null },
+  taxNote: { type: String, default: null },
+  // Invoice status before this note credited it in full, restored if the note is voided
+  invoiceStatusBefore: { type: String, default: null },
+  voidedAt: { type: Date, default: null },
+  voidReason: { type: String, default: null },
+
+  // Email and Communication
+  emailSent: {
+    type: Boolean,
+    default: false
+  },
+  emailSentDate: Date,
+  emailRecipients: [{
+    email: String,
+    sentAt: Date,
+    status: {
+      type: String,
+      enum: ['pending', 'sent', 'failed'],
+      default: 'pending'
+    },
+    error: String
+  }],
+
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+CreditNoteSchema.index({ organizationId: 1, creditNoteNumber: 1 }, { unique: true });
+CreditNoteSchema.index({ organizationId: 1, createdAt: -1 });
+CreditNoteSchema.index({ invoiceId: 1, status: 1 });
+
+// Credit notes are numbered separately from invoices: CN-2025-0001 by default
+CreditNoteSchema.plugin(numberedDocumentPlugin, { documentType: 'credit_note' });
+
+module.exports = mongoose.model('CreditNote', CreditNoteSchema);
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const { numberedDocumentPlugin } = require('../helper/numberingSequenceHelper');
+
+const BatchOrderSchema = new Schema({
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store'
+  },
+  number: { type: String, default: null },
+  // Order status before the batch was packed
+  previousStatus: { type: String, default: null }
+}, { _id: false });
+
+const PickListOrderSchema = new Schema({
+  orderId: { type: mongoose.Schema.Types.ObjectId, ref: 'Order' },
+  number: { type: String, default: null },
+  quantity: { type: Number, required: true }
+}, { _id: false });
+
+// Units of one SKU to take from one bin, across every order in the batch
+const PickListLineSchema = new Schema({
+  productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Inventory', default: null },
+  sku: { type: String, default: null },
+  name: { type: String, required: true },
+  warehouseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Warehouse', default: null },
+  warehouseCode: { type: String, default: null },
+  bin: { type: String, default: null },
+  quantity: { type: Number, required: true },
+  orders: [PickListOrderSchema]
+}, { _id: false });
+
+// Processing orders picked and packed together on the warehouse floor
+const FulfillmentBatchSchema = new Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  batchNumber: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'packed', 'cancelled'],
+    default: 'open'
+  },
+  // Warehouse to pick from; when empty each product is picked where its store holds the most
+  warehouseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    default: null
+  },
+  orders: {
+    type: [BatchOrderSchema],
+    validate: [orders => orders.length > 0, 'A fulfillment batch needs at least one order']
+  },
+  pickList: [PickListLineSchema],
+  totalUnits: { type: Number, default: 0 },
+  packedAt: { type: Date, default: null },
+  packedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  cancelledAt: { type: Date, default: null },
+  notes: { type: String, default: null }
+}, {
+  timestamps: true
+});
+
+FulfillmentBatchSchema.index({ organizationId: 1, batchNumber: 1 }, { unique: true });
+FulfillmentBatchSchema.index({ organizationId: 1, status: 1, createdAt: -1 });
+FulfillmentBatchSchema.index({ 'orders.orderId': 1, status: 1 });
+
+FulfillmentBatchSchema.plugin(numberedDocumentPlugin, { documentType: 'fulfillment_batch' });
+
+module.exports = mongoose.model('FulfillmentBatch', FulfillmentBatchSchema);
@@ -51,6 +51,10 @@ const InventorySchema = new Schema({
   backorders: { type: String, default: "no" },
   backorders_allowed: { type: Boolean, default: false },
 
+  // Purchasing: weighted average landed cost per unit from received purchase orders
+  average_cost: { type: Number, default: null },
+  cost_currency: { type: String, default: null },
+
   // Shipping Information
   weight: { type: String, default: null },
   dimensions: {
@@ -95,6 +99,23 @@ const InventorySchema = new Schema({
   external_url: { type: String, default: "" },
   button_text: { type: String, default: "" },
 
+  // Product Attributes (variable products vary on the attributes flagged `variation`)
+  attributes: [{
+    id: { type: Number, default: 0 },
+    name: { type: String, required: true },
+    position: { type: Number, default: 0 },
+    visible: { type: Boolean, default: true },
+    variation: { type: Boolean, default: false },
+    options: [{ type: String }]
+  }],
+  default_attributes: [{
+    id: { type: Number, default: 0 },
+    name: { type: String, required: true },
+    option: { type: String, required: true }
+  }],
+  // Remote IDs of the variations (the variations themselves live in ProductVariation)
+  variations: [{ type: Number }],
+
   // Related Products
   upsell_ids: [{ type: Number, default: null }],
   cross_sell_ids: [{ type: Number, default: null }],
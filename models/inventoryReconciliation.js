@@ -0,0 +1,125 @@
+const mongoose = require('mongoose');
+
+// One field that disagrees between the local inventory record and the store
+const fieldDiffSchema = new mongoose.Schema({
+  field: {
+    type: String,
+    enum: ['stock_quantity', 'price', 'status', 'sku'],
+    required: true
+  },
+  local: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  remote: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  // How the difference was fixed, once applied
+  resolution: {
+    direction: {
+      type: String,
+      enum: ['push', 'pull']
+    },
+    status: {
+      type: String,
+      enum: ['applied', 'failed']
+    },
+    error: {
+      type: String
+    },
+    appliedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    appliedAt: {
+      type: Date
+    }
+  }
+}, { _id: false });
+
+const reconciliationItemSchema = new mongoose.Schema({
+  inventoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory'
+  },
+  remoteId: {
+    type: Number
+  },
+  name: {
+    type: String
+  },
+  sku: {
+    type: String
+  },
+  // mismatch: both sides exist and differ; missing_remote / missing_local: only one side exists
+  issue: {
+    type: String,
+    enum: ['mismatch', 'missing_remote', 'missing_local'],
+    required: true
+  },
+  fields: [fieldDiffSchema]
+});
+
+const inventoryReconciliationSchema = new mongoose.Schema({
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  platformType: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['reported', 'partially_applied', 'applied', 'failed'],
+    default: 'reported'
+  },
+  summary: {
+    localProducts: { type: Number, default: 0 },
+    remoteProducts: { type: Number, default: 0 },
+    matched: { type: Number, default: 0 },
+    mismatched: { type: Number, default: 0 },
+    missingRemote: { type: Number, default: 0 },
+    missingLocal: { type: Number, default: 0 },
+    fieldDiffs: { type: Number, default: 0 }
+  },
+  items: [reconciliationItemSchema],
+  // Every apply request against this report, for the audit trail
+  applications: [{
+    appliedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    appliedAt: {
+      type: Date,
+      default: Date.now
+    },
+    directions: {
+      type: mongoose.Schema.Types.Mixed
+    },
+    applied: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  }],
+  errorMessage: {
+    type: String
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+inventoryReconciliationSchema.index({ storeId: 1, createdAt: -1 });
+inventoryReconciliationSchema.index({ organizationId: 1, createdAt: -1 });
+
+// Fields the reconciliation compares
+inventoryReconciliationSchema.statics.FIELDS = ['stock_quantity', 'price', 'status', 'sku'];
+
+module.exports = mongoose.model('InventoryReconciliation', inventoryReconciliationSchema);
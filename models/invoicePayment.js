@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Part of a payment applied to one invoice
+const AllocationSchema = new Schema({
+  invoiceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice',
+    required: true
+  },
+  invoiceNumber: { type: String, required: true },
+  amount: { type: Number, required: true, min: 0.01 },
+  allocatedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+// Money received from a customer, applied to one or more of their invoices.
+// Anything not yet applied stays on the payment as unallocatedAmount.
+const InvoicePaymentSchema = new Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    default: null
+  },
+  customerName: { type: String, default: null },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  currency: {
+    type: String,
+    required: true,
+    uppercase: true
+  },
+  method: {
+    type: String,
+    enum: ['bank_transfer', 'cash', 'card', 'cheque', 'mobile_money', 'paystack', 'flutterwave', 'squad', 'other'],
+    required: true
+  },
+  paymentDate: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+  // Bank or gateway reference, cheque number, etc.
+  reference: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  notes: {
+    type: String,
+    trim: true
+  },
+  allocations: [AllocationSchema],
+  unallocatedAmount: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['recorded', 'void'],
+    default: 'recorded'
+  },
+  // Posted when deposit and receivable accounts are given
+  journalEntryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'JournalEntry',
+    default: null
+  },
+  voidedAt: { type: Date, default: null },
+  voidReason: { type: String, default: null },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+InvoicePaymentSchema.index({ organizationId: 1, paymentDate: -1 });
+InvoicePaymentSchema.index({ 'allocations.invoiceId': 1, status: 1 });
+InvoicePaymentSchema.index({ organizationId: 1, customerId: 1, status: 1 });
+InvoicePaymentSchema.index({ organizationId: 1, reference: 1 });
+
+module.exports = mongoose.model('InvoicePayment', InvoicePaymentSchema);
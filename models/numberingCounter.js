@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// The last number issued in a sequence period: the year when the sequence resets
+// yearly, otherwise 'all'. Only ever changed with atomic updates.
+const NumberingCounterSchema = new Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    default: null
+  },
+  documentType: {
+    type: String,
+    required: true
+  },
+  period: {
+    type: String,
+    required: true
+  },
+  lastNumber: {
+    type: Number,
+    default: 0
+  },
+  // Numbers handed out for documents that then failed to save, reissued first
+  released: {
+    type: [Number],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+NumberingCounterSchema.index({ organizationId: 1, documentType: 1, period: 1 }, { unique: true });
+
+module.exports = mongoose.model('NumberingCounter', NumberingCounterSchema);
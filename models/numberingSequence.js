@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const DOCUMENT_TYPES = ['invoice', 'receipt', 'credit_note', 'purchase_order', 'fulfillment_batch'];
+
+// How an organization numbers one type of document. Without a saved sequence the
+// defaults in numberingSequenceHelper apply. {YYYY} and {YY} in the prefix or suffix
+// are replaced with the year the number was issued.
+const NumberingSequenceSchema = new Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  documentType: {
+    type: String,
+    enum: DOCUMENT_TYPES,
+    required: true
+  },
+  prefix: {
+    type: String,
+    trim: true,
+    maxlength: 30,
+    default: ''
+  },
+  suffix: {
+    type: String,
+    trim: true,
+    maxlength: 30,
+    default: ''
+  },
+  // Minimum digits; longer numbers are never truncated
+  padding: {
+    type: Number,
+    min: 1,
+    max: 12,
+    default: 4
+  },
+  // Start again from 1 each calendar year
+  resetYearly: {
+    type: Boolean,
+    default: true
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+NumberingSequenceSchema.index({ organizationId: 1, documentType: 1 }, { unique: true });
+
+NumberingSequenceSchema.statics.DOCUMENT_TYPES = DOCUMENT_TYPES;
+
+module.exports = mongoose.model('NumberingSequence', NumberingSequenceSchema);
@@ -189,6 +189,10 @@ const orderSchema = new mongoose.Schema({
     },
   }],
   line_items: [{
+    // Line item ID in the store, used to itemize refunds
+    id: {
+      type: Number,
+    },
     product_id: {
       type: String,
     },
@@ -226,8 +230,14 @@ const orderSchema = new mongoose.Schema({
       type: String,
       required: true,
     },
+    total_tax: {
+      type: Number,
+    },
   }],
   shipping_lines: [{
+    id: {
+      type: Number,
+    },
     method_title: {
       type: String,
     },
@@ -247,6 +257,14 @@ const orderSchema = new mongoose.Schema({
   refunds: [{
     type: mongoose.Schema.Types.Mixed,
   }],
+  // Running total of Refund records against this order, and the latest reason
+  refund_amount: {
+    type: Number,
+    default: 0,
+  },
+  refund_reason: {
+    type: String,
+  },
   payment_url: {
     type: String,
   },
@@ -305,6 +323,21 @@ const orderSchema = new mongoose.Schema({
   syncError: {
     type: String,
     default: null
+  },
+  // Whether this order's items have been taken out of local stock
+  stockReduced: {
+    type: Boolean,
+    default: false
+  },
+  // Set when a fulfillment batch packs the order; the status stays what the store says
+  packedAt: {
+    type: Date,
+    default: null
+  },
+  fulfillmentBatchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'FulfillmentBatch',
+    default: null
   }
 });
 
@@ -95,6 +95,53 @@ const OrganizationSchema = new Schema({
     }
   },
 
+  // Tax engine: when enabled, invoice taxes are computed from the organization's tax rates
+  taxSettings: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Whether item prices entered on invoices already include tax
+    pricesIncludeTax: {
+      type: Boolean,
+      default: false
+    },
+    // Where the organization charges VAT from (ISO code); needed for reverse charge
+    originCountry: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: null
+    },
+    vatNumber: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      default: null
+    },
+    // Zero-rate cross-border EU/UK business sales to customers with a VAT number
+    reverseChargeEnabled: {
+      type: Boolean,
+      default: true
+    }
+  },
+
+  // Reminder emails for unpaid invoices, sent the given number of days around the due date
+  dunningSettings: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    daysBefore: {
+      type: [Number],
+      default: [3]
+    },
+    daysAfter: {
+      type: [Number],
+      default: [1, 7, 14]
+    }
+  },
+
   // Receipt template preferences
   receiptSettings: {
     defaultOrderTemplate: {
@@ -45,6 +45,42 @@ const paymentSchema = new mongoose.Schema({
   screenshotUrl: {
     type: String, // For bank transfer screenshot
   },
+  // What the payment is for: the first subscription payment, a renewal, or a prorated plan change
+  purpose: {
+    type: String,
+    enum: ['subscription', 'renewal', 'proration'],
+    default: 'subscription',
+  },
+  // Billing period a renewal pays for
+  periodStart: {
+    type: Date,
+  },
+  periodEnd: {
+    type: Date,
+  },
+  // Part of the period price covered by (positive) or added from (negative) the subscription's account balance
+  balanceApplied: {
+    type: Number,
+    default: 0,
+  },
+  // Coupon taken off the price; amount is what is left to pay
+  coupon: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+  },
+  couponCode: {
+    type: String,
+  },
+  discountAmount: {
+    type: Number,
+    default: 0,
+  },
+  failureReason: {
+    type: String,
+  },
+  verifiedAt: {
+    type: Date,
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -55,6 +91,9 @@ const paymentSchema = new mongoose.Schema({
   },
 });
 
+paymentSchema.index({ subscription: 1, purpose: 1, status: 1 });
+paymentSchema.index({ coupon: 1, user: 1 });
+
 paymentSchema.pre('save', function (next) {
   this.updatedAt = Date.now();
   next();
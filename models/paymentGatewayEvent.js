@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+// Every webhook call received from a payment gateway, kept as it arrived with what became of it
+const paymentGatewayEventSchema = new mongoose.Schema({
+  gateway: {
+    type: String,
+    enum: ['paystack', 'flutterwave', 'squad'],
+    required: true
+  },
+  // Gateway event type + transaction id; a verified event is processed once however often it is sent
+  eventId: {
+    type: String,
+    required: true
+  },
+  eventType: {
+    type: String
+  },
+  reference: {
+    type: String
+  },
+  // False when the signature was missing or wrong; such events are stored but never processed
+  verified: {
+    type: Boolean,
+    default: false
+  },
+  rawBody: {
+    type: String
+  },
+  headers: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  status: {
+    type: String,
+    enum: ['rejected', 'processing', 'processed', 'ignored', 'failed'],
+    default: 'processing'
+  },
+  // What processing did, e.g. subscription_payment_confirmed
+  outcome: {
+    type: String
+  },
+  errorMessage: {
+    type: String
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  processedAt: {
+    type: Date
+  },
+  // Redeliveries of an event already received
+  duplicateCount: {
+    type: Number,
+    default: 0
+  },
+  lastDuplicateAt: {
+    type: Date
+  },
+  // Manual re-processing of the stored payload
+  replayCount: {
+    type: Number,
+    default: 0
+  },
+  lastReplayedAt: {
+    type: Date
+  },
+  lastReplayedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+paymentGatewayEventSchema.index({ gateway: 1, createdAt: -1 });
+paymentGatewayEventSchema.index({ status: 1, createdAt: -1 });
+paymentGatewayEventSchema.index({ reference: 1 });
+// Rejected events do not claim their id, so a forged call cannot block the real one
+paymentGatewayEventSchema.index(
+  { gateway: 1, eventId: 1 },
+  { unique: true, partialFilterExpression: { verified: true } }
+);
+
+// The parsed payload, from the body exactly as the gateway signed it
+paymentGatewayEventSchema.methods.getPayload = function () {
+  try {
+    return JSON.parse(this.rawBody);
+  } catch (error) {
+    return null;
+  }
+};
+
+module.exports = mongoose.model('PaymentGatewayEvent', paymentGatewayEventSchema);
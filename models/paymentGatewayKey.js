@@ -25,6 +25,10 @@ const paymentGatewayKeySchema = new mongoose.Schema({
     type: String,
     required: true,
   },
+  // Secret hash set on the gateway dashboard and sent back on webhooks (Flutterwave verif-hash)
+  webhookSecret: {
+    type: String,
+  },
   isActive: {
     type: Boolean,
     default: true,
@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A variation of a variable inventory product (one size/colour combination).
+// Each variation has its own SKU, price and stock; the parent keeps the shared details.
+const ProductVariationSchema = new Schema({
+  parentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory',
+    required: true
+  },
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  sku: { type: String, default: null },
+  description: { type: String, default: '' },
+  status: { type: String, default: 'publish' }, // publish, private, draft
+  menu_order: { type: Number, default: 0 },
+
+  // Pricing, in the store's currency
+  price: { type: Number, default: null },
+  regular_price: { type: Number, default: null },
+  sale_price: { type: Number, default: null },
+  on_sale: { type: Boolean, default: false },
+  currency: { type: String, default: null },
+
+  // Stock Management
+  manage_stock: { type: Boolean, default: false },
+  stock_quantity: { type: Number, default: null },
+  stock_status: { type: String, default: 'instock' },
+  backorders: { type: String, default: 'no' },
+
+  // The attribute options that identify this variation, e.g. [{ name: 'Size', option: 'M' }]
+  attributes: [{
+    id: { type: Number, default: 0 },
+    name: { type: String, required: true },
+    option: { type: String, required: true }
+  }],
+
+  weight: { type: String, default: null },
+  dimensions: {
+    length: { type: String, default: null },
+    width: { type: String, default: null },
+    height: { type: String, default: null }
+  },
+  image: {
+    id: { type: Number, default: null },
+    src: { type: String, default: null },
+    alt: { type: String, default: null }
+  },
+
+  date_created: { type: Date, default: Date.now },
+  date_modified: { type: Date, default: Date.now },
+
+  // WooCommerce Sync Fields
+  wooCommerceId: {
+    type: Number,
+    default: null
+  },
+  parentWooCommerceId: {
+    type: Number,
+    default: null
+  },
+  lastWooCommerceSync: {
+    type: Date,
+    default: null
+  },
+  syncStatus: {
+    type: String,
+    enum: ['pending', 'synced', 'failed', 'not_synced'],
+    default: 'pending'
+  },
+  syncError: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+ProductVariationSchema.index({ parentId: 1, menu_order: 1 });
+ProductVariationSchema.index({ organizationId: 1, stock_quantity: 1 });
+ProductVariationSchema.index(
+  { parentId: 1, wooCommerceId: 1 },
+  { unique: true, partialFilterExpression: { wooCommerceId: { $type: 'number' } } }
+);
+
+module.exports = mongoose.model('ProductVariation', ProductVariationSchema);
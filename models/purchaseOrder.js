@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+const { numberedDocumentPlugin } = require('../helper/numberingSequenceHelper');
+const { roundMoney } = require('../utils/moneyUtils');
+
+const PurchaseOrderLineSchema = new Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory',
+    required: true
+  },
+  sku: { type: String, default: null },
+  name: { type: String, required: true },
+  supplierSku: { type: String, default: null },
+  quantityOrdered: { type: Number, required: true, min: 1 },
+  quantityReceived: { type: Number, default: 0, min: 0 },
+  unitCost: { type: Number, required: true, min: 0 },
+  // Unit cost plus this line's share of the landed costs
+  landedUnitCost: { type: Number, default: null }
+});
+
+// Freight, duty, insurance and similar costs spread over the lines
+const LandedCostSchema = new Schema({
+  type: {
+    type: String,
+    enum: ['freight', 'duty', 'insurance', 'handling', 'other'],
+    default: 'other'
+  },
+  description: { type: String, default: null },
+  amount: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+const ReceiptLineSchema = new Schema({
+  lineId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Inventory' },
+  quantity: { type: Number, required: true, min: 1 },
+  landedUnitCost: { type: Number, default: null }
+}, { _id: false });
+
+const PurchaseOrderReceiptSchema = new Schema({
+  receivedAt: { type: Date, default: Date.now },
+  receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  warehouseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Warehouse', default: null },
+  lines: [ReceiptLineSchema],
+  note: { type: String, default: null }
+});
+
+const PurchaseOrderSchema = new Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  supplierId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Supplier',
+    required: true
+  },
+  poNumber: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['draft', 'ordered', 'partially_received', 'received', 'cancelled'],
+    default: 'draft'
+  },
+  currency: { type: String, default: 'USD' },
+  // Default warehouse for receipts; required when the products' store is warehouse-fed
+  warehouseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    default: null
+  },
+  lineItems: {
+    type: [PurchaseOrderLineSchema],
+    validate: [items => items.length > 0, 'A purchase order needs at least one line item']
+  },
+  landedCosts: [LandedCostSchema],
+  // How landed costs are spread: by line value or by units
+  allocationMethod: {
+    type: String,
+    enum: ['value', 'quantity'],
+    default: 'value'
+  },
+  subtotal: { type: Number, default: 0 },
+  landedCostTotal: { type: Number, default: 0 },
+  total: { type: Number, default: 0 },
+  receipts: [PurchaseOrderReceiptSchema],
+  expectedAt: { type: Date, default: null },
+  orderedAt: { type: Date, default: null },
+  receivedAt: { type: Date, default: null },
+  cancelledAt: { type: Date, default: null },
+  notes: { type: String, default: null }
+}, {
+  timestamps: true
+});
+
+PurchaseOrderSchema.index({ organizationId: 1, poNumber: 1 }, { unique: true });
+PurchaseOrderSchema.index({ organizationId: 1, status: 1, createdAt: -1 });
+PurchaseOrderSchema.index({ 'lineItems.productId': 1, status: 1 });
+
+// Statuses whose unreceived quantities count as stock on order
+PurchaseOrderSchema.statics.OPEN_STATUSES = ['ordered', 'partially_received'];
+
+PurchaseOrderSchema.plugin(numberedDocumentPlugin, { documentType: 'purchase_order' });
+
+// Totals and each line's landed unit cost
+PurchaseOrderSchema.methods.calculateTotals = function() {
+  const lineValue = (line) => line.quantityOrdered * line.unitCost;
+  const units = this.lineItems.reduce((sum, line) => sum + line.quantityOrdered, 0);
+
+  this.subtotal = roundMoney(this.lineItems.reduce((sum, line) => sum + lineValue(line), 0));
+  this.landedCostTotal = roundMoney(this.landedCosts.reduce((sum, cost) => sum + cost.amount, 0));
+  this.total = roundMoney(this.subtotal + this.landedCostTotal);
+
+  // Fall back to spreading by units when every line is free
+  const byValue = this.allocationMethod === 'value' && this.subtotal > 0;
+  this.lineItems.forEach(line => {
+    const share = byValue ? lineValue(line) / this.subtotal : line.quantityOrdered / units;
+    const allocated = this.landedCostTotal * share;
+    line.landedUnitCost = Math.round((line.unitCost + allocated / line.quantityOrdered) * 10000) / 10000;
+  });
+  return this;
+};
+
+PurchaseOrderSchema.methods.updateReceivingStatus = function() {
+  const received = this.lineItems.reduce((sum, line) => sum + line.quantityReceived, 0);
+  const fullyReceived = this.lineItems.every(line => line.quantityReceived >= line.quantityOrdered);
+
+  if (fullyReceived) {
+    this.status = 'received';
+    this.receivedAt = this.receivedAt || new Date();
+  } else if (received > 0) {
+    this.status = 'partially_received';
+  }
+  return this;
+};
+
+module.exports = mongoose.model('PurchaseOrder', PurchaseOrderSchema);
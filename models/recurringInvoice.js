@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const TemplateItemSchema = new Schema({
+  name: { type: String, required: true },
+  description: String,
+  quantity: { type: Number, required: true, min: 0 },
+  unitPrice: { type: Number, required: true },
+  taxRate: { type: Number, default: 0 },
+  taxClass: { type: String, default: 'standard' }
+}, { _id: false });
+
+// Generates the same invoice for a customer on a weekly, monthly or custom cadence
+const RecurringInvoiceSchema = new Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: ['active', 'paused', 'completed', 'cancelled'],
+    default: 'active'
+  },
+
+  // Customer the invoices are made out to
+  customerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Customer',
+    required: true
+  },
+  customerName: { type: String, required: true, trim: true },
+  customerEmail: { type: String, required: true, trim: true, lowercase: true },
+  customerAddress: {
+    street: String,
+    city: String,
+    state: String,
+    zipCode: String,
+    country: String
+  },
+  customerVatNumber: { type: String, default: null },
+
+  // Invoice template; taxAmount is only used when the organization's tax engine is off
+  items: {
+    type: [TemplateItemSchema],
+    validate: [items => items.length > 0, 'A recurring invoice needs at least one item']
+  },
+  taxAmount: { type: Number, default: 0 },
+  discountAmount: { type: Number, default: 0 },
+  pricesIncludeTax: { type: Boolean, default: undefined },
+  currency: { type: String, default: 'USD', uppercase: true },
+  notes: String,
+  terms: String,
+  // Days from generation to the due date
+  paymentTermsDays: { type: Number, default: 30, min: 0 },
+
+  // Cadence: every `interval` weeks or months, or every `interval` days for custom
+  frequency: {
+    type: String,
+    enum: ['weekly', 'monthly', 'custom'],
+    required: true
+  },
+  interval: { type: Number, default: 1, min: 1 },
+  startDate: { type: Date, required: true },
+  // Day of the month monthly schedules return to after a short month
+  anchorDay: { type: Number, min: 1, max: 31 },
+  nextRunAt: { type: Date, required: true },
+  endDate: { type: Date, default: null },
+  maxOccurrences: { type: Number, default: null, min: 1 },
+  occurrences: { type: Number, default: 0 },
+
+  // Email each generated invoice to the customer
+  autoSend: { type: Boolean, default: true },
+
+  lastRunAt: { type: Date, default: null },
+  lastInvoiceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice', default: null },
+  lastError: { type: String, default: null },
+  failureCount: { type: Number, default: 0 }
+}, {
+  timestamps: true
+});
+
+RecurringInvoiceSchema.index({ status: 1, nextRunAt: 1 });
+RecurringInvoiceSchema.index({ organizationId: 1, createdAt: -1 });
+RecurringInvoiceSchema.index({ organizationId: 1, customerId: 1 });
+
+module.exports = mongoose.model('RecurringInvoice', RecurringInvoiceSchema);
@@ -0,0 +1,162 @@
+const mongoose = require('mongoose');
+
+// One refunded order line. Amounts are in the order's store currency.
+const RefundLineItemSchema = new mongoose.Schema({
+  // _id of the line in Order.line_items
+  lineItemId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  // Line item ID in the store (needed to itemize the refund remotely)
+  remoteLineItemId: {
+    type: Number,
+    default: null
+  },
+  product_id: {
+    type: String,
+    default: null
+  },
+  inventoryId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory',
+    default: null
+  },
+  name: {
+    type: String,
+    trim: true
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  amount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  taxAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  }
+}, { _id: false });
+
+const RefundSchema = new mongoose.Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  },
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    required: true
+  },
+  // Set when the refund was raised from a receipt
+  receiptId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Receipt',
+    default: null
+  },
+  lineItems: [RefundLineItemSchema],
+  shippingAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  shippingTaxAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Shipping line ID in the store
+  remoteShippingLineId: {
+    type: Number,
+    default: null
+  },
+  // Store tax rate the tax portions are refunded against
+  taxRateId: {
+    type: Number,
+    default: null
+  },
+  // Line item tax plus shipping tax
+  taxAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Total refunded, including any amount not tied to a line or shipping
+  amount: {
+    type: Number,
+    required: true,
+    min: 0.01
+  },
+  currency: {
+    type: String,
+    default: null
+  },
+  reason: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  // Put the refunded quantities back into stock
+  restock: {
+    type: Boolean,
+    default: false
+  },
+  // Warehouse the items go back to, for stores fed from stock locations
+  restockWarehouseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    default: null
+  },
+  restocked: {
+    type: Boolean,
+    default: false
+  },
+  // Ask the store to return the money through the payment gateway
+  refundPayment: {
+    type: Boolean,
+    default: false
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+
+  // WooCommerce Sync Fields
+  wooCommerceId: {
+    type: Number,
+    default: null
+  },
+  lastWooCommerceSync: {
+    type: Date,
+    default: null
+  },
+  syncStatus: {
+    type: String,
+    enum: ['pending', 'synced', 'failed', 'not_synced'],
+    default: 'pending'
+  },
+  syncError: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+RefundSchema.index({ orderId: 1, createdAt: -1 });
+RefundSchema.index({ organizationId: 1, createdAt: -1 });
+
+// Refunds that count against the order (a refund the store rejected never happened)
+RefundSchema.statics.EFFECTIVE_STATUSES = ['synced', 'not_synced'];
+
+module.exports = mongoose.model('Refund', RefundSchema);
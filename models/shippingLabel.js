@@ -1,5 +1,29 @@
 const mongoose = require('mongoose');
 
+// One carrier scan or status change; `source` says whether it was polled, pushed or set by hand
+const trackingEventSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['pre_transit', 'in_transit', 'out_for_delivery', 'delivered', 'returned', 'failure', 'unknown'],
+    required: true,
+  },
+  description: String,
+  location: String,
+  occurredAt: {
+    type: Date,
+    required: true,
+  },
+  source: {
+    type: String,
+    enum: ['poll', 'webhook', 'manual'],
+    default: 'poll',
+  },
+  recordedAt: {
+    type: Date,
+    default: Date.now,
+  },
+}, { _id: false });
+
 const shippingLabelSchema = new mongoose.Schema({
   orderId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -21,16 +45,28 @@ const shippingLabelSchema = new mongoose.Schema({
     required: true,
     unique: true,
   },
+  // Carrier and service names as the shipping provider reports them (e.g. USPS / Priority)
   carrier: {
     type: String,
     required: true,
-    enum: ['USPS', 'FedEx', 'UPS', 'DHL'],
   },
   serviceType: {
     type: String,
     required: true,
-    enum: ['Priority', 'Express', 'Ground', 'First Class', 'Standard'],
   },
+  // Shipping provider account the label was bought through
+  carrierAccountId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CarrierAccount',
+    default: null,
+  },
+  provider: {
+    type: String,
+    enum: ['easypost', 'shippo', 'stub'],
+  },
+  // Provider IDs needed to void the label
+  shipmentId: String,
+  carrierLabelId: String,
   labelData: {
     fromAddress: {
       name: String,
@@ -63,14 +99,45 @@ const shippingLabelSchema = new mongoose.Schema({
       },
     },
   },
+  // `pending` holds the order while postage is being bought
   status: {
     type: String,
-    enum: ['created', 'printed', 'shipped', 'delivered', 'cancelled'],
+    enum: ['pending', 'created', 'printed', 'shipped', 'delivered', 'cancelled', 'voided'],
     default: 'created',
   },
+  // The order while this label is its current one; unset once voided, so each order has one
+  activeOrderId: {
+    type: mongoose.Schema.Types.ObjectId,
+  },
   labelUrl: String, // URL to generated label PDF
+  // Label PDF as bought from the carrier (not returned by default)
+  labelFile: {
+    type: Buffer,
+    select: false,
+  },
   trackingUrl: String, // URL to tracking page
+  // Latest carrier status and the timeline of tracking events, oldest first
+  trackingStatus: {
+    type: String,
+    enum: ['pre_transit', 'in_transit', 'out_for_delivery', 'delivered', 'returned', 'failure', 'unknown'],
+  },
+  trackingEvents: {
+    type: [trackingEventSchema],
+    default: [],
+  },
+  lastTrackedAt: Date,
+  // Why the last tracking poll failed; cleared by the next successful one
+  lastTrackError: String,
+  shippedAt: Date,
+  deliveredAt: Date,
   shippingCost: Number,
+  currency: String,
+  // Postage refund for a voided label
+  refundStatus: {
+    type: String,
+    enum: ['submitted', 'refunded', 'rejected'],
+  },
+  voidedAt: Date,
   estimatedDelivery: Date,
   createdAt: {
     type: Date,
@@ -82,10 +149,22 @@ const shippingLabelSchema = new mongoose.Schema({
   },
 });
 
+// The label file is served by the PDF endpoint, never inside JSON responses
+shippingLabelSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.labelFile;
+    return ret;
+  },
+});
+
 // Indexes
-shippingLabelSchema.index({ orderId: 1 }, { unique: true });
+// An order can have voided labels besides its current one
+shippingLabelSchema.index({ orderId: 1 });
+shippingLabelSchema.index({ activeOrderId: 1 }, { unique: true, partialFilterExpression: { activeOrderId: { $exists: true } } });
 shippingLabelSchema.index({ trackingNumber: 1 }, { unique: true });
 shippingLabelSchema.index({ organizationId: 1 });
 shippingLabelSchema.index({ storeId: 1 });
+// Tracking poll: labels still on their way
+shippingLabelSchema.index({ status: 1, lastTrackedAt: 1 });
 
 module.exports = mongoose.model('ShippingLabel', shippingLabelSchema); 
\ No newline at end of file
@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Quantity of one inventory product held at one warehouse
+const StockLevelSchema = new Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory',
+    required: true
+  },
+  warehouseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    required: true
+  },
+  quantity: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Shelf/bin the product is picked from at this location
+  bin: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+StockLevelSchema.index({ productId: 1, warehouseId: 1 }, { unique: true });
+StockLevelSchema.index({ organizationId: 1, warehouseId: 1, quantity: 1 });
+
+module.exports = mongoose.model('StockLevel', StockLevelSchema);
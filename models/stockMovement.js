@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// One change to a product's stock. Entries are only ever appended.
+// With a warehouseId the entry is a location movement and balance is the location
+// quantity after it; without one it is a change to the product's stock_quantity.
+const StockMovementSchema = new Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory',
+    required: true
+  },
+  warehouseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse',
+    default: null
+  },
+  type: {
+    type: String,
+    enum: ['adjustment', 'transfer_in', 'transfer_out', 'receipt', 'return', 'sale'],
+    required: true
+  },
+  // What caused the change
+  source: {
+    type: String,
+    enum: ['manual', 'webhook', 'sync', 'order', 'refund', 'purchase', 'transfer', 'reconciliation'],
+    default: 'manual'
+  },
+  delta: {
+    type: Number,
+    required: true
+  },
+  balance: {
+    type: Number,
+    required: true
+  },
+  transferId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StockTransfer',
+    default: null
+  },
+  purchaseOrderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'PurchaseOrder',
+    default: null
+  },
+  // Order a sale movement took stock for (or gave back on cancellation)
+  orderId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Order',
+    default: null
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Order number, PO number or webhook delivery the change came from
+  reference: {
+    type: String,
+    default: null
+  },
+  note: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+StockMovementSchema.index({ productId: 1, warehouseId: 1, createdAt: -1 });
+StockMovementSchema.index({ organizationId: 1, warehouseId: 1, createdAt: -1 });
+StockMovementSchema.index({ orderId: 1 }, { sparse: true });
+
+// The ledger explains past quantities, so entries cannot be changed or removed
+const rejectChange = function(next) {
+  next(new Error('Stock movements are append-only'));
+};
+StockMovementSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace'], rejectChange);
+StockMovementSchema.pre(['deleteOne', 'deleteMany', 'findOneAndDelete'], rejectChange);
+StockMovementSchema.pre('save', function(next) {
+  if (!this.isNew) return rejectChange(next);
+  next();
+});
+
+module.exports = mongoose.model('StockMovement', StockMovementSchema);
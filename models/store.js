@@ -25,7 +25,7 @@ const StoreSchema = new Schema({
   },
   platformType: {
     type: String,
-    enum: ['woocommerce', 'shopify', 'magento', 'bigcommerce', 'custom'], // Allowed values
+    enum: ['woocommerce', 'shopify', 'magento', 'bigcommerce', 'custom', 'memory'], // Allowed values ('memory' is the in-memory test shop)
     default: 'woocommerce', // Default to WooCommerce for now
     required: true,
   },
@@ -122,6 +122,64 @@ const StoreSchema = new Schema({
     }
   },
   
+  // Warehouses whose stock is summed into the quantity synced to this store.
+  // Empty means the store's products keep a single stock number.
+  stockLocations: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Warehouse'
+  }],
+
+  // Shipping labels: where parcels ship from, the units the store's product weights and
+  // dimensions are in, and the parcel used when products carry no measurements
+  shippingSettings: {
+    shipFromAddress: {
+      name: String,
+      company: String,
+      address1: String,
+      address2: String,
+      city: String,
+      state: String,
+      postalCode: String,
+      country: String,
+      phone: String,
+      email: String
+    },
+    weightUnit: {
+      type: String,
+      enum: ['oz', 'lbs', 'g', 'kg'],
+      default: 'kg'
+    },
+    dimensionUnit: {
+      type: String,
+      enum: ['in', 'cm', 'mm', 'm'],
+      default: 'cm'
+    },
+    // Ounces and inches
+    defaultParcel: {
+      weight: { type: Number, default: 16 },
+      length: { type: Number, default: 12 },
+      width: { type: Number, default: 8 },
+      height: { type: Number, default: 6 }
+    }
+  },
+
+  // Incremental sync cursors: the newest remote date_modified (GMT) seen by the last
+  // clean sync of each resource. null means the next sync pulls everything.
+  syncWatermarks: {
+    products: {
+      type: Date,
+      default: null
+    },
+    orders: {
+      type: Date,
+      default: null
+    },
+    customers: {
+      type: Date,
+      default: null
+    }
+  },
+  
   // Sync status tracking
   syncStatus: {
     categories: {
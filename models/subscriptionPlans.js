@@ -1,5 +1,8 @@
 const mongoose = require("mongoose");
 
+// Optional product areas a plan can include
+const PLAN_MODULES = ['hr', 'affiliates'];
+
 const subscriptionPlanSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -33,6 +36,30 @@ const subscriptionPlanSchema = new mongoose.Schema({
     type: Boolean,
     default: false,
   },
+  // What organizations on the plan may use; an unset limit is unlimited
+  entitlements: {
+    stores: {
+      type: Number,
+      min: 0,
+    },
+    users: {
+      type: Number,
+      min: 0,
+    },
+    // Campaign emails per calendar month
+    monthlyEmails: {
+      type: Number,
+      min: 0,
+    },
+    // Modules the plan includes; unset includes every module
+    modules: {
+      type: [{
+        type: String,
+        enum: PLAN_MODULES,
+      }],
+      default: undefined,
+    },
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -43,6 +70,8 @@ const subscriptionPlanSchema = new mongoose.Schema({
   },
 });
 
+subscriptionPlanSchema.statics.PLAN_MODULES = PLAN_MODULES;
+
 subscriptionPlanSchema.pre('save', function (next) {
   this.updatedAt = Date.now();
   next();
@@ -28,7 +28,7 @@ const subscriptionSchema = new mongoose.Schema({
   },
   billingInterval: {
     type: String,
-    enum: ['monthly', 'yearly'],
+    enum: ['monthly', 'quarterly', 'yearly'],
     required: true,
     default: 'monthly',
   },
@@ -59,7 +59,8 @@ const subscriptionSchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['active', 'pending', 'canceled', 'expired'],
+    // past_due: the renewal charge failed and is being retried; access continues until the grace period ends
+    enum: ['active', 'pending', 'past_due', 'canceled', 'expired'],
     default: 'active',
   },
   payment: {
@@ -69,6 +70,91 @@ const subscriptionSchema = new mongoose.Schema({
   canceledAt: {
     type: Date,
   },
+  // Renewal billing
+  autoRenew: {
+    type: Boolean,
+    default: true,
+  },
+  currentPeriodStart: {
+    type: Date,
+  },
+  // Reusable card authorization from a signed gateway webhook, charged on renewals
+  paymentAuthorization: {
+    gateway: {
+      type: String,
+      enum: ['flutterwave', 'paystack', 'squad'],
+    },
+    authorizationCode: {
+      type: String,
+    },
+    email: {
+      type: String,
+    },
+    last4: {
+      type: String,
+    },
+    brand: {
+      type: String,
+    },
+    capturedAt: {
+      type: Date,
+    },
+  },
+  // Credit (positive) or amount owed (negative) from prorated plan changes, settled on the next charge
+  accountBalance: {
+    type: Number,
+    default: 0,
+  },
+  renewalAttempts: {
+    type: Number,
+    default: 0,
+  },
+  nextRenewalAttemptAt: {
+    type: Date,
+  },
+  lastRenewalAttemptAt: {
+    type: Date,
+  },
+  lastRenewalError: {
+    type: String,
+  },
+  gracePeriodEndsAt: {
+    type: Date,
+  },
+  // Coupon applied at checkout, copied from the coupon; renewals apply it for its duration
+  discount: {
+    coupon: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Coupon',
+    },
+    code: {
+      type: String,
+    },
+    discountType: {
+      type: String,
+      enum: ['percentage', 'fixed'],
+    },
+    value: {
+      type: Number,
+    },
+    currency: {
+      type: String,
+    },
+    duration: {
+      type: String,
+      enum: ['once', 'repeating', 'forever'],
+    },
+    durationInMonths: {
+      type: Number,
+    },
+    appliedAt: {
+      type: Date,
+    },
+    // End of a repeating discount; periods starting after it are charged in full
+    endsAt: {
+      type: Date,
+    },
+  },
   createdAt: {
     type: Date,
     default: Date.now,
@@ -79,6 +165,9 @@ const subscriptionSchema = new mongoose.Schema({
   },
 });
 
+subscriptionSchema.index({ status: 1, renewalDate: 1 });
+subscriptionSchema.index({ status: 1, nextRenewalAttemptAt: 1 });
+
 subscriptionSchema.pre('save', function (next) {
   this.updatedAt = Date.now();
   next();
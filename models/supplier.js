@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A product this supplier sells to us, with our usual buying terms
+const SupplierProductSchema = new Schema({
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Inventory',
+    required: true
+  },
+  supplierSku: { type: String, default: null },
+  unitCost: { type: Number, default: null, min: 0 },
+  minOrderQuantity: { type: Number, default: 1, min: 1 },
+  packSize: { type: Number, default: 1, min: 1 }
+}, { _id: false });
+
+const SupplierSchema = new Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  contactName: { type: String, default: null },
+  email: { type: String, default: null, lowercase: true, trim: true },
+  phone: { type: String, default: null },
+  address: {
+    line1: { type: String, default: null },
+    line2: { type: String, default: null },
+    city: { type: String, default: null },
+    state: { type: String, default: null },
+    postcode: { type: String, default: null },
+    country: { type: String, default: null }
+  },
+  currency: { type: String, default: 'USD' },
+  // Days between ordering and receiving, used for reorder suggestions
+  leadTimeDays: { type: Number, default: 7, min: 0 },
+  paymentTerms: { type: String, default: null }, // e.g. "Net 30"
+  products: [SupplierProductSchema],
+  notes: { type: String, default: null },
+  isActive: { type: Boolean, default: true }
+}, {
+  timestamps: true
+});
+
+SupplierSchema.index({ organizationId: 1, name: 1 });
+SupplierSchema.index({ 'products.productId': 1 });
+
+module.exports = mongoose.model('Supplier', SupplierSchema);
@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+// A record that failed to import during a sync run
+const deadLetterSchema = new mongoose.Schema({
+  remoteId: {
+    type: String
+  },
+  reference: {
+    type: String // SKU, order number or email - whatever identifies the record to a person
+  },
+  error: {
+    type: String,
+    required: true
+  },
+  failedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const syncJobSchema = new mongoose.Schema({
+  storeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Store',
+    required: true
+  },
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  resource: {
+    type: String,
+    enum: ['products', 'orders', 'customers'],
+    required: true
+  },
+  // Bull job id in the resource's queue
+  queueJobId: {
+    type: String
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'active', 'retrying', 'completed', 'failed', 'cancelled'],
+    default: 'queued'
+  },
+  progress: {
+    type: Number,
+    min: 0,
+    max: 100,
+    default: 0
+  },
+  fullResync: {
+    type: Boolean,
+    default: false
+  },
+  modifiedAfter: {
+    type: Date,
+    default: null
+  },
+  attemptsMade: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5
+  },
+  nextRetryAt: {
+    type: Date
+  },
+  summary: {
+    total: { type: Number, default: 0 },
+    created: { type: Number, default: 0 },
+    updated: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+    skipped: { type: Number, default: 0 }
+  },
+  deadLetters: [deadLetterSchema],
+  errorMessage: {
+    type: String
+  },
+  errorType: {
+    type: String
+  },
+  suggestions: [{
+    type: String
+  }],
+  retryOf: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'SyncJob'
+  },
+  cancelledBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  startedAt: {
+    type: Date
+  },
+  finishedAt: {
+    type: Date
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+syncJobSchema.index({ storeId: 1, resource: 1, createdAt: -1 });
+syncJobSchema.index({ storeId: 1, status: 1 });
+syncJobSchema.index({ queueJobId: 1, resource: 1 });
+
+// Jobs that still hold a slot in the queue
+syncJobSchema.statics.OPEN_STATUSES = ['queued', 'active', 'retrying'];
+
+module.exports = mongoose.model('SyncJob', syncJobSchema);
@@ -0,0 +1,75 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A tax an organization charges in a jurisdiction (country, optionally narrowed to a state)
+const TaxRateSchema = new Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Label printed on invoices, e.g. "VAT", "GST", "CA State Tax"
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // ISO 3166-1 alpha-2 country code
+  country: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z]{2}$/, 'Country must be a two-letter ISO code']
+  },
+  // State or province code; empty applies countrywide
+  state: {
+    type: String,
+    uppercase: true,
+    trim: true,
+    default: null
+  },
+  // Percentage, e.g. 7.5 for 7.5%
+  rate: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  },
+  // Compound taxes are charged on the amount plus the taxes before them
+  compound: {
+    type: Boolean,
+    default: false
+  },
+  // Lower priorities are applied first; one rate per priority applies, the most specific location winning
+  priority: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // Items carry a tax class; 'standard' is used when they do not
+  taxClass: {
+    type: String,
+    trim: true,
+    lowercase: true,
+    default: 'standard'
+  },
+  appliesToShipping: {
+    type: Boolean,
+    default: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+TaxRateSchema.index({ organizationId: 1, country: 1, state: 1, isActive: 1 });
+
+module.exports = mongoose.model('TaxRate', TaxRateSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A stock location (warehouse, shop floor, 3PL) belonging to an organization
+const WarehouseSchema = new Schema({
+  organizationId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Organization',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Short code shown on pick lists and transfers, unique within the organization
+  code: {
+    type: String,
+    required: true,
+    trim: true,
+    uppercase: true
+  },
+  address: {
+    line1: { type: String, default: null },
+    line2: { type: String, default: null },
+    city: { type: String, default: null },
+    state: { type: String, default: null },
+    postcode: { type: String, default: null },
+    country: { type: String, default: null }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+WarehouseSchema.index({ organizationId: 1, code: 1 }, { unique: true });
+
+module.exports = mongoose.model('Warehouse', WarehouseSchema);
@@ -21,9 +21,23 @@ const webhookDeliverySchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // Handler the delivery was received on (e.g. order.updated), used when replaying it
+  eventType: {
+    type: String
+  },
+  // Delivery id + resource id + modification date; a key that already succeeded is not applied again
+  idempotencyKey: {
+    type: String
+  },
+  remoteResourceId: {
+    type: String
+  },
+  remoteModifiedAt: {
+    type: String
+  },
   status: {
     type: String,
-    enum: ['success', 'failed', 'pending'],
+    enum: ['success', 'failed', 'pending', 'processing'],
     default: 'pending'
   },
   responseCode: {
@@ -72,6 +86,26 @@ const webhookDeliverySchema = new mongoose.Schema({
   },
   processedAt: {
     type: Date
+  },
+  // Redeliveries of an already processed key
+  duplicateCount: {
+    type: Number,
+    default: 0
+  },
+  lastDuplicateAt: {
+    type: Date
+  },
+  // Manual re-processing of the stored payload
+  replayCount: {
+    type: Number,
+    default: 0
+  },
+  lastReplayedAt: {
+    type: Date
+  },
+  lastReplayedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }
 }, {
   timestamps: true
@@ -83,6 +117,10 @@ webhookDeliverySchema.index({ storeId: 1, createdAt: -1 });
 webhookDeliverySchema.index({ organizationId: 1, createdAt: -1 });
 webhookDeliverySchema.index({ status: 1 });
 webhookDeliverySchema.index({ nextRetryAt: 1 });
+webhookDeliverySchema.index(
+  { storeId: 1, idempotencyKey: 1 },
+  { unique: true, partialFilterExpression: { idempotencyKey: { $type: 'string' } } }
+);
 
 // Methods
 webhookDeliverySchema.methods.markAsSuccess = async function(responseCode, responseMessage, responseHeaders, responseBody, duration) {
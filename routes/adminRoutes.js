@@ -8,6 +8,7 @@ const adminAffiliate = require('../controllers/adminAffiliateController');
 const adminAnalytics = require('../controllers/adminAnalyticsController');
 const adminAccounting = require('../controllers/adminAccountingController');
 const adminBanking = require('../controllers/adminBankingController');
+const adminBankReconciliation = require('../controllers/adminBankReconciliationController');
 const adminReports = require('../controllers/adminReportsController');
 const adminHR = require('../controllers/adminHRController');
 const adminLeave = require('../controllers/adminLeaveController');
@@ -596,6 +597,16 @@ router.delete('/accounting/bank-accounts/:id', adminBanking.deleteBankAccount);
 router.get('/accounting/bank-accounts/:id/transactions', adminBanking.listBankTransactions);
 router.post('/accounting/bank-accounts/:id/transactions', adminBanking.createBankTransaction);
 
+// Banking - Statement import & reconciliation
+router.post('/accounting/bank-accounts/:id/statements/import', adminBankReconciliation.importStatement);
+router.get('/accounting/bank-accounts/:id/statements', adminBankReconciliation.listStatementImports);
+router.post('/accounting/bank-accounts/:id/reconciliation/auto-match', adminBankReconciliation.autoMatch);
+router.get('/accounting/bank-accounts/:id/reconciliation/queue', adminBankReconciliation.getReviewQueue);
+router.get('/accounting/bank-accounts/:id/reconciliation/report', adminBankReconciliation.getReconciliationReport);
+router.post('/accounting/bank-transactions/:transactionId/match', adminBankReconciliation.matchTransaction);
+router.post('/accounting/bank-transactions/:transactionId/unmatch', adminBankReconciliation.unmatchTransaction);
+router.post('/accounting/bank-transactions/:transactionId/exclude', adminBankReconciliation.excludeTransaction);
+
 // Accounting - Reports
 router.get('/accounting/reports/trial-balance', adminReports.getTrialBalance);
 router.get('/accounting/reports/income-statement', adminReports.getIncomeStatement);
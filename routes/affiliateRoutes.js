@@ -10,6 +10,7 @@ const router = express.Router();
 
 const { protect, restrictTo } = require('../middleware/authMiddleware');
 const { isAffiliate, hasAffiliatePermission } = require('../middleware/affiliateAuth');
+const { requirePlanModule } = require('../middleware/planEntitlementMiddleware');
 const affiliateController = require('../controllers/affiliateController');
 const referralController = require('../controllers/referralController');
 const commissionController = require('../controllers/commissionController');
@@ -21,6 +22,7 @@ router.use(protect); // All affiliate routes require authentication
 
 // Admin only routes
 router.use(restrictTo('admin')); // Restrict all affiliate management routes to admin only
+router.use(requirePlanModule('affiliates')); // The organization's plan must include affiliates
 
 // Affiliate CRUD routes
 router.route('/')
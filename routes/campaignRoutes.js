@@ -10,6 +10,8 @@ const router = express.Router();
 
 const campaignController = require('../controllers/campaignControllers');
 const { protect } = require('../middleware/authMiddleware');
+const { enforcePlanLimit } = require('../middleware/planEntitlementMiddleware');
+const Campaign = require('../models/campaigns');
 
 // CRUD routes
 
@@ -334,6 +336,12 @@ router.patch('/updateTargetCategories/:campaignId', protect, campaignController.
  */
 router.patch('/updateStatus/:campaignId', protect, campaignController.updateStatus);
 
+// Every target contact is one campaign email against the monthly allowance
+const campaignEmailCount = async (req) => {
+  const campaign = await Campaign.findById(req.params.campaignId).select('targetContacts');
+  return campaign?.targetContacts?.length || 0;
+};
+
 // Start campaign
 
 /**
@@ -360,10 +368,14 @@ router.patch('/updateStatus/:campaignId', protect, campaignController.updateStat
  *                   example: "Operation completed successfully"
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: Sending to every target contact would go over the plan's monthly campaign emails (code PLAN_LIMIT_REACHED)
  *       500:
  *         description: Server error
  */
-router.post('/start/:campaignId', protect, campaignController.startCampaign);
+router.post('/start/:campaignId', protect, enforcePlanLimit('monthlyEmails', {
+  requested: campaignEmailCount
+}), campaignController.startCampaign);
 
 // Stats routes for page overview
 
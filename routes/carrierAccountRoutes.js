@@ -0,0 +1,102 @@
+const express = require("express");
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Carrier Accounts
+ *     description: Shipping provider accounts used to quote rates and buy labels
+ */
+
+const carrierAccountController = require("../controllers/carrierAccountController");
+const { protect } = require("../middleware/authMiddleware");
+
+/**
+ * @swagger
+ * /api/carrier-accounts:
+ *   post:
+ *     summary: Connect a shipping provider account
+ *     tags: [Carrier Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, provider]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "EasyPost production"
+ *               provider:
+ *                 type: string
+ *                 enum: [easypost, shippo, stub]
+ *               apiKey:
+ *                 type: string
+ *                 description: Provider API key (not needed for the stub); never returned
+ *     responses:
+ *       201:
+ *         description: Carrier account created
+ *       400:
+ *         description: Missing name, unknown provider or missing API key
+ *   get:
+ *     summary: List carrier accounts
+ *     tags: [Carrier Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Carrier accounts and the supported providers
+ */
+router.post("/", protect, carrierAccountController.createCarrierAccount);
+router.get("/", protect, carrierAccountController.getCarrierAccounts);
+
+/**
+ * @swagger
+ * /api/carrier-accounts/{carrierAccountId}:
+ *   patch:
+ *     summary: Rename, re-key or (de)activate a carrier account
+ *     tags: [Carrier Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: carrierAccountId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Carrier account updated
+ *       400:
+ *         description: Provider cannot be changed
+ *       404:
+ *         description: Carrier account not found
+ *   delete:
+ *     summary: Delete a carrier account (deactivates it if it has bought labels)
+ *     tags: [Carrier Accounts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: carrierAccountId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Carrier account deleted or deactivated
+ *       404:
+ *         description: Carrier account not found
+ */
+router.patch("/:carrierAccountId", protect, carrierAccountController.updateCarrierAccount);
+router.delete("/:carrierAccountId", protect, carrierAccountController.deleteCarrierAccount);
+
+module.exports = router;
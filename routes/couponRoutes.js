@@ -0,0 +1,233 @@
+const express = require("express");
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Coupons
+ *     description: Promotional codes applied to subscription checkout
+ */
+
+const couponController = require("../controllers/couponController");
+const { protect, restrictTo } = require("../middleware/authMiddleware");
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/coupons/validate:
+ *   post:
+ *     summary: Check a coupon code against a checkout and preview the discount
+ *     description: Does not redeem the code; it is redeemed when the checkout is created.
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code, planId, amount, currency]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "LAUNCH20"
+ *               planId:
+ *                 type: string
+ *               amount:
+ *                 type: number
+ *                 description: Checkout amount before the discount
+ *                 example: 49.99
+ *               currency:
+ *                 type: string
+ *                 enum: [USD, NGN, EUR, GBP]
+ *     responses:
+ *       200:
+ *         description: The code applies; originalAmount, discountAmount and the amount left to pay are returned
+ *       400:
+ *         description: The code has expired, is used up, or does not apply to this plan, currency or user
+ *       404:
+ *         description: No active coupon with this code
+ */
+router.post("/validate", couponController.validateCoupon);
+
+// Managing coupons is platform-wide
+router.use(restrictTo("super-admin"));
+
+/**
+ * @swagger
+ * /api/coupons:
+ *   get:
+ *     summary: List coupons, newest first
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: isActive
+ *         schema:
+ *           type: boolean
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Part of the code
+ *       - in: query
+ *         name: planId
+ *         schema:
+ *           type: string
+ *         description: Coupons usable on this plan
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Coupons with pagination
+ *       403:
+ *         description: Super admins only
+ *   post:
+ *     summary: Create a coupon
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code, discountType, value]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 description: Stored upper-case; 3 to 40 letters, digits, dashes or underscores
+ *                 example: "LAUNCH20"
+ *               name:
+ *                 type: string
+ *                 example: "Launch week"
+ *               discountType:
+ *                 type: string
+ *                 enum: [percentage, fixed]
+ *               value:
+ *                 type: number
+ *                 description: Percent off (up to 100) or amount off in currency
+ *                 example: 20
+ *               currency:
+ *                 type: string
+ *                 enum: [USD, NGN, EUR, GBP]
+ *                 description: Required for fixed discounts, which only apply to payments in this currency
+ *               duration:
+ *                 type: string
+ *                 enum: [once, repeating, forever]
+ *                 default: once
+ *                 description: once covers the first payment; repeating covers renewals for durationInMonths; forever covers every renewal
+ *               durationInMonths:
+ *                 type: integer
+ *                 description: Required when duration is repeating
+ *               applicablePlans:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Plan IDs; empty for every plan
+ *               maxRedemptions:
+ *                 type: integer
+ *                 description: Total checkouts; leave out for unlimited
+ *               maxRedemptionsPerUser:
+ *                 type: integer
+ *                 description: Checkouts per user; leave out for unlimited
+ *               startsAt:
+ *                 type: string
+ *                 format: date-time
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *               isActive:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       201:
+ *         description: Coupon created
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: A coupon with this code already exists
+ */
+router.get("/", couponController.getCoupons);
+router.post("/", couponController.createCoupon);
+
+/**
+ * @swagger
+ * /api/coupons/{id}:
+ *   get:
+ *     summary: Get a coupon
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Coupon with its redemption count
+ *       404:
+ *         description: Coupon not found
+ *   put:
+ *     summary: Update a coupon
+ *     description: >
+ *       Takes the same fields as create. Subscriptions keep the terms they were bought with, so
+ *       changes only affect new checkouts. The code of a redeemed coupon cannot be changed.
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *     responses:
+ *       200:
+ *         description: Coupon updated
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Coupon not found
+ *   delete:
+ *     summary: Delete a coupon, or deactivate it if it has been redeemed
+ *     tags: [Coupons]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Coupon deleted or deactivated
+ *       404:
+ *         description: Coupon not found
+ */
+router.get("/:id", couponController.getCoupon);
+router.put("/:id", couponController.updateCoupon);
+router.delete("/:id", couponController.deleteCoupon);
+
+module.exports = router;
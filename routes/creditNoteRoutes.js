@@ -0,0 +1,211 @@
+const express = require("express");
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Credit Notes
+ *     description: Full and partial credits against issued invoices
+ */
+
+const creditNoteController = require("../controllers/creditNoteController");
+const { protect } = require("../middleware/authMiddleware");
+
+/**
+ * @swagger
+ * /api/credit-notes:
+ *   post:
+ *     summary: Issue a credit note against an invoice
+ *     description: Each line credits part of an invoice line by quantity or by amount; tax and the invoice discount are credited in proportion. Without items, everything not yet credited is credited and the invoice is cancelled. The invoice's balance due drops by the credit note total.
+ *     tags: [Credit Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [invoiceId, reason]
+ *             properties:
+ *               invoiceId:
+ *                 type: string
+ *               reason:
+ *                 type: string
+ *                 example: "Two units returned damaged"
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [itemId]
+ *                   properties:
+ *                     itemId:
+ *                       type: string
+ *                       description: Invoice line ID
+ *                     quantity:
+ *                       type: number
+ *                       description: Units to credit
+ *                     amount:
+ *                       type: number
+ *                       description: Amount to credit instead of whole units (price adjustment)
+ *     responses:
+ *       201:
+ *         description: Credit note issued; returns the note and the updated invoice
+ *       400:
+ *         description: Missing reason, unknown line or credit larger than what is left
+ *       404:
+ *         description: Invoice not found
+ *       409:
+ *         description: Invoice is a draft, cancelled or already fully credited
+ *   get:
+ *     summary: List credit notes
+ *     tags: [Credit Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: invoiceId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: customerId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [issued, void]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Credit notes
+ */
+router.post("/", protect, creditNoteController.createCreditNote);
+router.get("/", protect, creditNoteController.getCreditNotes);
+
+/**
+ * @swagger
+ * /api/credit-notes/{creditNoteId}:
+ *   get:
+ *     summary: Get a credit note with its invoice's balance
+ *     tags: [Credit Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: creditNoteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Credit note
+ *       404:
+ *         description: Credit note not found
+ */
+router.get("/:creditNoteId", protect, creditNoteController.getCreditNote);
+
+/**
+ * @swagger
+ * /api/credit-notes/{creditNoteId}/pdf:
+ *   get:
+ *     summary: Download a credit note as PDF
+ *     tags: [Credit Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: creditNoteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: PDF file download
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Credit note not found
+ */
+router.get("/:creditNoteId/pdf", protect, creditNoteController.downloadCreditNote);
+
+/**
+ * @swagger
+ * /api/credit-notes/{creditNoteId}/email:
+ *   post:
+ *     summary: Email a credit note with its PDF attached
+ *     tags: [Credit Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: creditNoteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               recipientEmail:
+ *                 type: string
+ *                 format: email
+ *                 description: Defaults to the customer's email
+ *     responses:
+ *       200:
+ *         description: Credit note sent
+ *       404:
+ *         description: Credit note not found
+ *       502:
+ *         description: The email could not be sent
+ */
+router.post("/:creditNoteId/email", protect, creditNoteController.sendCreditNoteEmail);
+
+/**
+ * @swagger
+ * /api/credit-notes/{creditNoteId}/void:
+ *   post:
+ *     summary: Void a credit note and restore the invoice balance
+ *     tags: [Credit Notes]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: creditNoteId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Credit note voided
+ *       404:
+ *         description: Credit note not found
+ *       409:
+ *         description: Credit note already voided
+ */
+router.post("/:creditNoteId/void", protect, creditNoteController.voidCreditNote);
+
+module.exports = router;
@@ -2,6 +2,7 @@ const express = require('express');
 const router = express.Router();
 const employeeSelfService = require('../controllers/employeeSelfServiceController');
 const { protect, restrictTo } = require('../middleware/authMiddleware');
+const { requirePlanModule } = require('../middleware/planEntitlementMiddleware');
 
 /**
  * @swagger
@@ -306,6 +307,7 @@ const { protect, restrictTo } = require('../middleware/authMiddleware');
 
 // Apply authentication middleware (employees can access their own data)
 router.use(protect);
+router.use(requirePlanModule('hr'));
 
 /**
  * @swagger
@@ -0,0 +1,213 @@
+const express = require("express");
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Fulfillment Batches
+ *     description: Picking and packing many orders at once on the warehouse floor
+ */
+
+const fulfillmentBatchController = require("../controllers/fulfillmentBatchController");
+const { protect } = require("../middleware/authMiddleware");
+
+/**
+ * @swagger
+ * /api/fulfillment-batches:
+ *   post:
+ *     summary: Batch processing orders across stores and build their pick list
+ *     description: Takes the listed orders, or else the oldest processing orders (optionally of some stores) up to limit. Orders already in an open batch are left out. The pick list groups every unit by SKU and bin.
+ *     tags: [Fulfillment Batches]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               orderIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               storeIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               limit:
+ *                 type: integer
+ *                 default: 50
+ *               warehouseId:
+ *                 type: string
+ *                 description: Pick everything from this warehouse; otherwise each product is picked from its store's fullest location
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Batch created with its pick list
+ *       400:
+ *         description: No processing orders, or listed orders that cannot be batched
+ *   get:
+ *     summary: List fulfillment batches
+ *     tags: [Fulfillment Batches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, packed, cancelled]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Batches, newest first
+ */
+router.post("/", protect, fulfillmentBatchController.createFulfillmentBatch);
+router.get("/", protect, fulfillmentBatchController.getFulfillmentBatches);
+
+/**
+ * @swagger
+ * /api/fulfillment-batches/{batchId}:
+ *   get:
+ *     summary: Get a fulfillment batch with its pick list
+ *     tags: [Fulfillment Batches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Fulfillment batch
+ *       404:
+ *         description: Fulfillment batch not found
+ */
+router.get("/:batchId", protect, fulfillmentBatchController.getFulfillmentBatchById);
+
+/**
+ * @swagger
+ * /api/fulfillment-batches/{batchId}/pick-list/pdf:
+ *   get:
+ *     summary: Download the consolidated pick list as a PDF
+ *     tags: [Fulfillment Batches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: PDF file
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Fulfillment batch not found
+ */
+router.get("/:batchId/pick-list/pdf", protect, fulfillmentBatchController.downloadPickList);
+
+/**
+ * @swagger
+ * /api/fulfillment-batches/{batchId}/packing-slips/pdf:
+ *   get:
+ *     summary: Download one packing slip page per order as a PDF
+ *     tags: [Fulfillment Batches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: PDF file
+ *         content:
+ *           application/pdf:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       404:
+ *         description: Fulfillment batch not found
+ */
+router.get("/:batchId/packing-slips/pdf", protect, fulfillmentBatchController.downloadPackingSlips);
+
+/**
+ * @swagger
+ * /api/fulfillment-batches/{batchId}/pack:
+ *   post:
+ *     summary: Mark a batch packed and update all of its orders at once
+ *     description: >
+ *       Orders still processing are stamped packed (packedAt) and keep their store status.
+ *       With orderStatus completed they are also completed in their store and the customer is notified.
+ *     tags: [Fulfillment Batches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               orderStatus:
+ *                 type: string
+ *                 enum: [packed, completed]
+ *                 default: packed
+ *     responses:
+ *       200:
+ *         description: Batch packed; orders no longer processing are listed as skipped
+ *       404:
+ *         description: Fulfillment batch not found
+ *       409:
+ *         description: Batch already packed or cancelled
+ */
+router.post("/:batchId/pack", protect, fulfillmentBatchController.packFulfillmentBatch);
+
+/**
+ * @swagger
+ * /api/fulfillment-batches/{batchId}/cancel:
+ *   post:
+ *     summary: Cancel an open batch so its orders can be batched again
+ *     tags: [Fulfillment Batches]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: batchId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Batch cancelled
+ *       404:
+ *         description: Fulfillment batch not found
+ *       409:
+ *         description: Batch already packed or cancelled
+ */
+router.post("/:batchId/cancel", protect, fulfillmentBatchController.cancelFulfillmentBatch);
+
+module.exports = router;
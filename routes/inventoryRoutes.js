@@ -9,6 +9,8 @@ const router = express.Router();
  */
 
 const inventoryController = require("../controllers/inventoryControllers");
+const reconciliationController = require("../controllers/inventoryReconciliationController");
+const variationController = require("../controllers/productVariationController");
 const { protect } = require("../middleware/authMiddleware");
 
 // Product CRUD Operations
@@ -216,30 +218,275 @@ router.delete("/:productId", protect, inventoryController.deleteProduct);
  */
 router.delete("/store/:storeId", protect, inventoryController.deleteAllProductsByStore);
 
+// Stock ledger routes
+
+/**
+ * @swagger
+ * /api/inventory/{productId}/stock-history:
+ *   get:
+ *     summary: Stock movement history of a product
+ *     description: Every recorded change to the product's stock quantity, newest first. Pass warehouseId for the movements at one warehouse instead.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [manual, webhook, sync, order, refund, purchase, transfer, reconciliation]
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: warehouseId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *     responses:
+ *       200:
+ *         description: Movements with source, user, delta and resulting balance
+ *       404:
+ *         description: Product not found
+ */
+router.get("/:productId/stock-history", protect, inventoryController.getProductStockHistory);
+
+/**
+ * @swagger
+ * /api/inventory/{productId}/stock-history/as-of:
+ *   get:
+ *     summary: Rebuild a product's stock quantity as of a date
+ *     description: Undoes every recorded change after the date. unrecordedDrift is the difference between the current quantity and the last ledger balance, i.e. changes made outside the ledger.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: date
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *     responses:
+ *       200:
+ *         description: Rebuilt quantity with the recorded balance at that date
+ *       400:
+ *         description: Invalid date
+ *       404:
+ *         description: Product not found
+ */
+router.get("/:productId/stock-history/as-of", protect, inventoryController.getProductStockAsOf);
+
+// Product variation routes
+
+/**
+ * @swagger
+ * /api/inventory/{productId}/variations:
+ *   get:
+ *     summary: List the variations of a variable product
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Variations ordered by menu_order
+ *       404:
+ *         description: Product not found
+ *   post:
+ *     summary: Add a variation to a product
+ *     description: The product becomes a variable product. With syncToWooCommerce the variation is also created in the store.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [attributes]
+ *             properties:
+ *               sku:
+ *                 type: string
+ *               regular_price:
+ *                 type: number
+ *               sale_price:
+ *                 type: number
+ *               manage_stock:
+ *                 type: boolean
+ *               stock_quantity:
+ *                 type: integer
+ *               attributes:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                       example: "Size"
+ *                     option:
+ *                       type: string
+ *                       example: "M"
+ *               syncToWooCommerce:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       201:
+ *         description: Variation created
+ *       400:
+ *         description: Missing attribute options
+ *       404:
+ *         description: Product not found
+ */
+router.get("/:productId/variations", protect, variationController.getProductVariations);
+router.post("/:productId/variations", protect, variationController.createProductVariation);
+
+/**
+ * @swagger
+ * /api/inventory/{productId}/variations/sync:
+ *   post:
+ *     summary: Sync a product's variations with its store
+ *     description: pull replaces local variations with the store's; push sends variations that are not synced yet.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               direction:
+ *                 type: string
+ *                 enum: [pull, push]
+ *                 default: pull
+ *     responses:
+ *       200:
+ *         description: Sync counts and the current variations
+ *       400:
+ *         description: Invalid direction or product not in the store yet
+ */
+router.post("/:productId/variations/sync", protect, variationController.syncProductVariations);
+
+/**
+ * @swagger
+ * /api/inventory/{productId}/variations/{variationId}:
+ *   patch:
+ *     summary: Update a variation
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: variationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Variation updated
+ *       404:
+ *         description: Product or variation not found
+ *   delete:
+ *     summary: Delete a variation
+ *     description: With syncToWooCommerce in the body the variation is also deleted in the store.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: variationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Variation deleted
+ *       404:
+ *         description: Product or variation not found
+ *       502:
+ *         description: The store refused the delete
+ */
+router.patch("/:productId/variations/:variationId", protect, variationController.updateProductVariation);
+router.delete("/:productId/variations/:variationId", protect, variationController.deleteProductVariation);
+
 // WooCommerce sync routes
 
 /**
  * @swagger
  * /api/inventory/woocommerce/sync-products/:storeId/:organizationId:
  *   post:
- *     summary: Create Sync-products
+ *     summary: Queue a product sync job
  *     tags: [Inventory]
  *     security:
  *       - bearerAuth: []
  *     responses:
- *       200:
- *         description: Success
+ *       202:
+ *         description: Product sync job queued
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 success:
- *                   type: boolean
- *                   example: true
  *                 message:
  *                   type: string
- *                   example: "Operation completed successfully"
+ *                   example: "Product synchronization queued"
+ *                 syncJobId:
+ *                   type: string
+ *                 status:
+ *                   type: string
+ *                   enum: [queued, active, retrying]
+ *       200:
+ *         description: A product sync job for this store is already queued or running; that job is returned
  *       401:
  *         description: Unauthorized
  *       500:
@@ -307,6 +554,135 @@ router.post("/woocommerce/sync/:productId", protect, inventoryController.syncPro
 //  */
 router.post("/woocommerce/retry-sync/:productId", protect, inventoryController.retryProductWooCommerceSync);
 
+// Stock reconciliation routes
+
+/**
+ * @swagger
+ * /api/inventory/reconciliation/{storeId}:
+ *   post:
+ *     summary: Compare local inventory with the live store
+ *     description: Diffs stock_quantity, price, status and sku of every product and saves the report.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: storeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: Reconciliation report
+ *       404:
+ *         description: Store not found
+ *       500:
+ *         description: Server error
+ *   get:
+ *     summary: List past reconciliations for a store
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: storeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Reconciliations, newest first, without their items
+ */
+router.post("/reconciliation/:storeId", protect, reconciliationController.createReconciliation);
+router.get("/reconciliation/:storeId", protect, reconciliationController.getReconciliations);
+
+/**
+ * @swagger
+ * /api/inventory/reconciliation/{storeId}/{reconciliationId}:
+ *   get:
+ *     summary: Get a reconciliation report with its per-field diffs
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: storeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: reconciliationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Reconciliation report
+ *       404:
+ *         description: Reconciliation not found
+ */
+router.get("/reconciliation/:storeId/:reconciliationId", protect, reconciliationController.getReconciliationById);
+
+/**
+ * @swagger
+ * /api/inventory/reconciliation/{storeId}/{reconciliationId}/apply:
+ *   post:
+ *     summary: Apply reconciliation fixes
+ *     description: push writes the local value to the store, pull copies the store value into inventory. Fields without a direction are left alone. Stores fed from warehouse locations cannot pull stock_quantity; those fields fail and the stock has to be adjusted at a warehouse.
+ *     tags: [Inventory]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: storeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: reconciliationId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               directions:
+ *                 type: object
+ *                 description: Default direction per field
+ *                 example: { "stock_quantity": "pull", "price": "push" }
+ *               overrides:
+ *                 type: array
+ *                 description: Per item exceptions to the defaults
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     itemId:
+ *                       type: string
+ *                     field:
+ *                       type: string
+ *                       enum: [stock_quantity, price, status, sku]
+ *                     direction:
+ *                       type: string
+ *                       enum: [push, pull]
+ *     responses:
+ *       200:
+ *         description: Fixes applied; success is false when some fields failed
+ *       400:
+ *         description: Invalid directions
+ *       404:
+ *         description: Store or reconciliation not found
+ */
+router.post("/reconciliation/:storeId/:reconciliationId/apply", protect, reconciliationController.applyReconciliation);
+
 // Metrics routes
 
 /**
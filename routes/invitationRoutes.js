@@ -9,6 +9,7 @@ const router = express.Router();
  */
 
 const { protect: authenticateUser } = require('../middleware/authMiddleware');
+const { enforcePlanLimit } = require('../middleware/planEntitlementMiddleware');
 const {
   createInvitation,
   getInvitations,
@@ -109,10 +110,14 @@ router.use(authenticateUser);
  *                   example: "Operation completed successfully"
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: The organization's plan has no user seats left; pending invitations count as seats (code PLAN_LIMIT_REACHED)
  *       500:
  *         description: Server error
  */
-router.post('/', createInvitation);
+router.post('/', enforcePlanLimit('users', {
+  organization: (req) => req.body.organization || req.user.organization
+}), createInvitation);
 
 /**
  * @swagger
@@ -0,0 +1,300 @@
+const express = require("express");
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Invoice Payments
+ *     description: Payments received against invoices, their allocation and accounts-receivable aging
+ */
+
+const invoicePaymentController = require("../controllers/invoicePaymentController");
+const { protect } = require("../middleware/authMiddleware");
+
+/**
+ * @swagger
+ * /api/invoice-payments:
+ *   post:
+ *     summary: Record a payment against one or more invoices
+ *     description: >
+ *       Each invoice's status follows its payments: partially_paid while a balance remains,
+ *       paid when settled and overpaid when more than the balance was applied.
+ *       Give explicit `allocations`, a single `invoiceId` (the whole amount goes to it),
+ *       or `invoiceIds` (applied oldest due first, each up to its balance). Whatever is
+ *       not allocated stays on the payment and can be allocated later.
+ *     tags: [Invoice Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [amount, currency, method]
+ *             properties:
+ *               amount:
+ *                 type: number
+ *                 example: 250
+ *               currency:
+ *                 type: string
+ *                 example: "NGN"
+ *                 description: Must match the currency of every invoice paid
+ *               method:
+ *                 type: string
+ *                 enum: [bank_transfer, cash, card, cheque, mobile_money, paystack, flutterwave, squad, other]
+ *               paymentDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now
+ *               reference:
+ *                 type: string
+ *                 description: Bank or gateway reference, cheque number
+ *               notes:
+ *                 type: string
+ *               customerId:
+ *                 type: string
+ *                 description: Needed only for a payment received on account, without invoices
+ *               allocations:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [invoiceId, amount]
+ *                   properties:
+ *                     invoiceId:
+ *                       type: string
+ *                     amount:
+ *                       type: number
+ *               invoiceId:
+ *                 type: string
+ *               invoiceIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               depositAccountId:
+ *                 type: string
+ *                 description: Account to debit (e.g. Cash/Bank); with receivableAccountId a journal entry is posted
+ *               receivableAccountId:
+ *                 type: string
+ *                 description: Account to credit (e.g. Accounts Receivable)
+ *               description:
+ *                 type: string
+ *                 description: Journal entry description
+ *     responses:
+ *       201:
+ *         description: Payment recorded with the updated invoices
+ *       400:
+ *         description: Invalid amount, currency mismatch, allocations above the amount or invoices of several customers
+ *       404:
+ *         description: Invoice not found
+ *       409:
+ *         description: An invoice is a draft or cancelled
+ *   get:
+ *     summary: List payments
+ *     tags: [Invoice Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: invoiceId
+ *         schema:
+ *           type: string
+ *         description: Payments applied to this invoice
+ *       - in: query
+ *         name: customerId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: method
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [recorded, void]
+ *       - in: query
+ *         name: unallocated
+ *         schema:
+ *           type: boolean
+ *         description: Only payments with an amount still to allocate
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Payments, most recent first
+ */
+router.post("/", protect, invoicePaymentController.recordPayment);
+router.get("/", protect, invoicePaymentController.getPayments);
+
+/**
+ * @swagger
+ * /api/invoice-payments/reports/aging:
+ *   get:
+ *     summary: Accounts-receivable aging per customer and for the organization
+ *     description: >
+ *       Outstanding balances in 0-30, 31-60, 61-90 and 90+ day buckets, per customer and currency,
+ *       with organization totals per currency. Invoices not yet due are reported as notYetDue; by
+ *       due date they are in no bucket, by invoice date they are also bucketed by their age.
+ *       Balances are rebuilt from payments and credit notes dated on or before asOf.
+ *     tags: [Invoice Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: asOf
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to today
+ *       - in: query
+ *         name: basis
+ *         schema:
+ *           type: string
+ *           enum: [dueDate, issueDate]
+ *           default: dueDate
+ *         description: Age from the due date (days overdue) or from the invoice date
+ *       - in: query
+ *         name: customerId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: currency
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeInvoices
+ *         schema:
+ *           type: boolean
+ *         description: List each customer's outstanding invoices
+ *     responses:
+ *       200:
+ *         description: Aging report
+ *       400:
+ *         description: Invalid date, basis or customerId
+ */
+router.get("/reports/aging", protect, invoicePaymentController.getAgingReport);
+
+/**
+ * @swagger
+ * /api/invoice-payments/{paymentId}:
+ *   get:
+ *     summary: Get a payment with its allocations
+ *     tags: [Invoice Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Payment
+ *       404:
+ *         description: Payment not found
+ */
+router.get("/:paymentId", protect, invoicePaymentController.getPayment);
+
+/**
+ * @swagger
+ * /api/invoice-payments/{paymentId}/allocate:
+ *   post:
+ *     summary: Allocate the unallocated part of a payment to invoices
+ *     tags: [Invoice Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             description: One of allocations, invoiceId or invoiceIds, as when recording a payment
+ *             properties:
+ *               allocations:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     invoiceId:
+ *                       type: string
+ *                     amount:
+ *                       type: number
+ *               invoiceId:
+ *                 type: string
+ *               invoiceIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Payment allocated with the updated invoices
+ *       400:
+ *         description: Allocations above the unallocated amount or another customer's invoices
+ *       404:
+ *         description: Payment or invoice not found
+ *       409:
+ *         description: Payment is void or fully allocated
+ */
+router.post("/:paymentId/allocate", protect, invoicePaymentController.allocatePayment);
+
+/**
+ * @swagger
+ * /api/invoice-payments/{paymentId}/void:
+ *   post:
+ *     summary: Void a payment
+ *     description: Removes the payment from every invoice it was applied to and reverses its journal entry.
+ *     tags: [Invoice Payments]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: paymentId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Payment voided
+ *       404:
+ *         description: Payment not found
+ *       409:
+ *         description: Payment already voided
+ */
+router.post("/:paymentId/void", protect, invoicePaymentController.voidPayment);
+
+module.exports = router;
@@ -9,6 +9,7 @@ const router = express.Router();
  */
 
 const invoiceControllers = require('../controllers/invoiceControllers');
+const publicDocumentController = require('../controllers/publicDocumentController');
 const { protect } = require('../middleware/authMiddleware');
 
 
@@ -46,6 +47,10 @@ const { protect } = require('../middleware/authMiddleware');
  */
 router.post('/create', protect, invoiceControllers.createInvoice);
 
+// Payment reminder (dunning) settings
+router.get('/dunning/settings', protect, invoiceControllers.getDunningSettings);
+router.put('/dunning/settings', protect, invoiceControllers.updateDunningSettings);
+
 // GET all invoices with filters
 
 /**
@@ -232,6 +237,63 @@ router.get('/:id/download', protect, invoiceControllers.downloadInvoice);
  */
 router.post('/:id/email', protect, invoiceControllers.emailInvoice);
 
+// Pause or resume payment reminders for an invoice
+router.patch('/:id/dunning', protect, invoiceControllers.updateInvoiceDunning);
+
+// SHARE invoice through a public link
+
+/**
+ * @swagger
+ * /api/invoices/{id}/share-link:
+ *   post:
+ *     summary: Create a signed, expiring link to the invoice's public page
+ *     description: Customers can view, download and pay the invoice there without logging in. Opening the page is recorded on the invoice (views, viewCount, firstViewedAt, lastViewedAt).
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expiresInDays:
+ *                 type: number
+ *                 default: 30
+ *                 maximum: 365
+ *     responses:
+ *       201:
+ *         description: Link created (url, expiresAt)
+ *       404:
+ *         description: Invoice not found
+ *       409:
+ *         description: Draft invoices cannot be shared
+ *   delete:
+ *     summary: Revoke every public link issued for the invoice
+ *     tags: [Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Links revoked
+ *       404:
+ *         description: Invoice not found
+ */
+router.post('/:id/share-link', protect, publicDocumentController.createInvoiceShareLink);
+router.delete('/:id/share-link', protect, publicDocumentController.revokeInvoiceShareLinks);
+
 // BULK generate invoices from orders
 
 /**
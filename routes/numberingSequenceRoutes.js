@@ -0,0 +1,80 @@
+const express = require("express");
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Numbering Sequences
+ *     description: Consecutive, gap-free document numbers per organization and document type
+ */
+
+const numberingSequenceController = require("../controllers/numberingSequenceController");
+const { protect } = require("../middleware/authMiddleware");
+
+/**
+ * @swagger
+ * /api/numbering-sequences:
+ *   get:
+ *     summary: List the organization's numbering sequences with the next number of each
+ *     description: >
+ *       Invoices, receipts, credit notes, purchase orders and fulfillment batches are numbered
+ *       when first saved. A number whose document fails to save is reissued to the next
+ *       document, so numbers stay consecutive.
+ *     tags: [Numbering Sequences]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: One entry per document type
+ */
+router.get("/", protect, numberingSequenceController.getNumberingSequences);
+
+/**
+ * @swagger
+ * /api/numbering-sequences/{documentType}:
+ *   put:
+ *     summary: Change how a document type is numbered
+ *     description: >
+ *       Documents already issued keep their numbers. The count continues from the last number
+ *       issued this period, so a format change does not restart it.
+ *     tags: [Numbering Sequences]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: documentType
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [invoice, receipt, credit_note, purchase_order, fulfillment_batch]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               prefix:
+ *                 type: string
+ *                 example: "INV-{YYYY}-"
+ *                 description: "{YYYY} and {YY} are replaced with the year of issue"
+ *               suffix:
+ *                 type: string
+ *                 example: "/LAG"
+ *               padding:
+ *                 type: integer
+ *                 minimum: 1
+ *                 maximum: 12
+ *                 example: 4
+ *               resetYearly:
+ *                 type: boolean
+ *                 description: Restart from 1 each year; needs {YYYY} or {YY} in the prefix or suffix
+ *     responses:
+ *       200:
+ *         description: Sequence updated, with the next number it will issue
+ *       400:
+ *         description: Unknown document type or invalid format
+ */
+router.put("/:documentType", protect, numberingSequenceController.updateNumberingSequence);
+
+module.exports = router;
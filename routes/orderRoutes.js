@@ -1,6 +1,7 @@
 const express = require("express");
 const router = express.Router();
 const orderController = require("../controllers/orderControllers");
+const { protect } = require("../middleware/authMiddleware");
 
 /**
  * @swagger
@@ -108,6 +109,10 @@ router.patch("/update/:orderId", orderController.updateOrder);
 // DELETE an order by ID
 router.delete("/delete/:orderId", orderController.deleteOrder);
 
+// REFUND an order (full or partial) and list its refunds
+router.post("/refund/:orderId", protect, orderController.refundOrder);
+router.get("/refunds/:orderId", protect, orderController.getOrderRefunds);
+
 // SYNC orders for a specific store and organization
 router.post("/sync/:storeId/:organizationId", orderController.syncOrders);
 
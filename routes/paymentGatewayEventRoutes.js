@@ -0,0 +1,139 @@
+const express = require("express");
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Payment Gateway Events
+ *     description: Webhook calls received from Paystack, Flutterwave and Squad, with their signature check and processing outcome
+ */
+
+const paymentGatewayEventController = require("../controllers/paymentGatewayEventController");
+const { protect, restrictTo } = require("../middleware/authMiddleware");
+
+// Gateway keys and their events are platform-wide
+router.use(protect, restrictTo("super-admin"));
+
+/**
+ * @swagger
+ * /api/payment-gateway-events:
+ *   get:
+ *     summary: List received gateway events, newest first
+ *     tags: [Payment Gateway Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: gateway
+ *         schema:
+ *           type: string
+ *           enum: [paystack, flutterwave, squad]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [rejected, processing, processed, ignored, failed]
+ *       - in: query
+ *         name: eventType
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: reference
+ *         schema:
+ *           type: string
+ *         description: Payment or checkout reference
+ *       - in: query
+ *         name: verified
+ *         schema:
+ *           type: boolean
+ *         description: false lists events whose signature check failed
+ *       - in: query
+ *         name: startDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: endDate
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Events without their raw body, with pagination
+ *       403:
+ *         description: Super admins only
+ */
+router.get("/", paymentGatewayEventController.getGatewayEvents);
+
+/**
+ * @swagger
+ * /api/payment-gateway-events/{eventId}:
+ *   get:
+ *     summary: Get a gateway event with its raw body and parsed payload
+ *     tags: [Payment Gateway Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: PaymentGatewayEvent ID
+ *     responses:
+ *       200:
+ *         description: Event
+ *       404:
+ *         description: Event not found
+ */
+router.get("/:eventId", paymentGatewayEventController.getGatewayEvent);
+
+/**
+ * @swagger
+ * /api/payment-gateway-events/{eventId}/replay:
+ *   post:
+ *     summary: Process a stored gateway event again
+ *     description: >
+ *       Re-runs the stored body through the same processing as the webhook. Confirming a payment
+ *       or settling a checkout twice has no further effect. Events that failed the signature
+ *       check cannot be replayed.
+ *     tags: [Payment Gateway Events]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: eventId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: PaymentGatewayEvent ID
+ *       - in: query
+ *         name: force
+ *         schema:
+ *           type: boolean
+ *         description: Replay an event that was already processed or ignored
+ *     responses:
+ *       200:
+ *         description: Event replayed; its new status and outcome are returned
+ *       400:
+ *         description: The event failed signature verification
+ *       404:
+ *         description: Event not found
+ *       409:
+ *         description: Event already processed or is being processed
+ *       500:
+ *         description: Replay failed; the error is stored on the event
+ */
+router.post("/:eventId/replay", paymentGatewayEventController.replayGatewayEvent);
+
+module.exports = router;
@@ -0,0 +1,86 @@
+const express = require("express");
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Plan Entitlements
+ *     description: What the organization's subscription plan allows and how much of it is used
+ */
+
+const planEntitlementController = require("../controllers/planEntitlementController");
+const { protect } = require("../middleware/authMiddleware");
+
+router.use(protect);
+
+/**
+ * @swagger
+ * /api/entitlements/usage:
+ *   get:
+ *     summary: Get the organization's usage against its plan limits
+ *     description: >
+ *       Limits come from the plan of the organization's active or past-due subscription, or the
+ *       free allowance without one. A null limit is unlimited. Pending invitations count as users;
+ *       campaign emails are counted for the current calendar month.
+ *     tags: [Plan Entitlements]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: organizationId
+ *         schema:
+ *           type: string
+ *         description: Super admins only; defaults to the user's organization
+ *     responses:
+ *       200:
+ *         description: Usage
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   example: true
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     plan:
+ *                       type: object
+ *                       nullable: true
+ *                     subscription:
+ *                       type: object
+ *                       nullable: true
+ *                     usage:
+ *                       type: object
+ *                       example:
+ *                         stores: { used: 2, limit: 3, remaining: 1 }
+ *                         users: { used: 4, limit: null, remaining: null }
+ *                         monthlyEmails: { used: 1200, limit: 5000, remaining: 3800 }
+ *                     modules:
+ *                       type: array
+ *                       items:
+ *                         type: object
+ *                         properties:
+ *                           module:
+ *                             type: string
+ *                             enum: [hr, affiliates]
+ *                           enabled:
+ *                             type: boolean
+ *                     emailPeriod:
+ *                       type: object
+ *                       properties:
+ *                         start:
+ *                           type: string
+ *                           format: date-time
+ *                         end:
+ *                           type: string
+ *                           format: date-time
+ *       400:
+ *         description: The user has no organization
+ *       401:
+ *         description: Unauthorized
+ */
+router.get("/usage", planEntitlementController.getUsage);
+
+module.exports = router;
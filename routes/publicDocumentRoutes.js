@@ -0,0 +1,153 @@
+const express = require("express");
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Public Documents
+ *     description: Hosted invoice and receipt pages opened from signed share links, without logging in
+ */
+
+const publicDocumentController = require("../controllers/publicDocumentController");
+
+/**
+ * @swagger
+ * /api/public/invoices/{token}:
+ *   get:
+ *     summary: Hosted invoice page with its payment status and online payment
+ *     description: Each opening is recorded on the invoice. Gateways send the customer back here with the checkout reference, which settles the payment if the gateway confirms it.
+ *     tags: [Public Documents]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: checkout
+ *         schema:
+ *           type: string
+ *         description: Checkout reference, when returning from a gateway
+ *     responses:
+ *       200:
+ *         description: HTML page
+ *       404:
+ *         description: Unknown link
+ *       410:
+ *         description: Link expired or revoked
+ */
+router.get("/invoices/:token", publicDocumentController.viewInvoice);
+
+/**
+ * @swagger
+ * /api/public/invoices/{token}/pdf:
+ *   get:
+ *     summary: Download the invoice PDF
+ *     tags: [Public Documents]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: PDF file
+ *       404:
+ *         description: Unknown link
+ *       410:
+ *         description: Link expired or revoked
+ */
+router.get("/invoices/:token/pdf", publicDocumentController.downloadInvoice);
+
+/**
+ * @swagger
+ * /api/public/invoices/{token}/checkout:
+ *   post:
+ *     summary: Start paying the invoice through Paystack, Flutterwave or Squad
+ *     description: The page's form post is redirected to the gateway; JSON requests get the checkout URL back.
+ *     tags: [Public Documents]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [gateway]
+ *             properties:
+ *               gateway:
+ *                 type: string
+ *                 enum: [paystack, flutterwave, squad]
+ *               amount:
+ *                 type: number
+ *                 description: Defaults to the balance due; can be less to pay in part
+ *               email:
+ *                 type: string
+ *                 description: Needed when the invoice has no customer email
+ *     responses:
+ *       201:
+ *         description: Checkout started (checkoutUrl, reference)
+ *       303:
+ *         description: Redirect to the gateway (form posts)
+ *       400:
+ *         description: Unknown gateway, invalid amount or missing email
+ *       409:
+ *         description: The invoice has nothing to pay
+ *       410:
+ *         description: Link expired or revoked
+ *       502:
+ *         description: The gateway did not start the payment
+ */
+router.post("/invoices/:token/checkout", publicDocumentController.startInvoiceCheckout);
+
+/**
+ * @swagger
+ * /api/public/receipts/{token}:
+ *   get:
+ *     summary: Hosted receipt page
+ *     tags: [Public Documents]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: HTML page
+ *       404:
+ *         description: Unknown link
+ *       410:
+ *         description: Link expired or revoked
+ */
+router.get("/receipts/:token", publicDocumentController.viewReceipt);
+
+/**
+ * @swagger
+ * /api/public/receipts/{token}/pdf:
+ *   get:
+ *     summary: Download the receipt PDF
+ *     tags: [Public Documents]
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: PDF file
+ *       404:
+ *         description: Unknown link
+ *       410:
+ *         description: Link expired or revoked
+ */
+router.get("/receipts/:token/pdf", publicDocumentController.downloadReceipt);
+
+module.exports = router;
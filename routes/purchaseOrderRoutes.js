@@ -0,0 +1,279 @@
+const express = require("express");
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Purchase Orders
+ *     description: Restocking from suppliers, receiving and reorder suggestions
+ */
+
+const purchaseOrderController = require("../controllers/purchaseOrderController");
+const { protect } = require("../middleware/authMiddleware");
+
+/**
+ * @swagger
+ * /api/purchase-orders/suggested-reorder:
+ *   get:
+ *     summary: Suggested reorders from sales velocity and the low-stock threshold
+ *     description: A product is suggested when stock plus units on order is at or below the larger of the threshold and the sales expected over the supplier's lead time. The quantity covers lead time plus coverDays of sales, rounded up to the supplier's pack size.
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *         description: Sales history window
+ *       - in: query
+ *         name: coverDays
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *       - in: query
+ *         name: threshold
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: supplierId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Suggestions grouped by supplier, most urgent first
+ */
+router.get("/suggested-reorder", protect, purchaseOrderController.getSuggestedReorders);
+
+/**
+ * @swagger
+ * /api/purchase-orders:
+ *   post:
+ *     summary: Create a draft purchase order
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [supplierId, lineItems]
+ *             properties:
+ *               supplierId:
+ *                 type: string
+ *               lineItems:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                     unitCost:
+ *                       type: number
+ *                       description: Defaults to the supplier's listed cost
+ *               landedCosts:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     type:
+ *                       type: string
+ *                       enum: [freight, duty, insurance, handling, other]
+ *                     description:
+ *                       type: string
+ *                     amount:
+ *                       type: number
+ *               allocationMethod:
+ *                 type: string
+ *                 enum: [value, quantity]
+ *                 default: value
+ *               warehouseId:
+ *                 type: string
+ *                 description: Default warehouse to receive into
+ *               currency:
+ *                 type: string
+ *               expectedAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       201:
+ *         description: Purchase order created with landed unit costs per line
+ *       400:
+ *         description: Invalid line items
+ *       404:
+ *         description: Supplier not found
+ *   get:
+ *     summary: List purchase orders
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, ordered, partially_received, received, cancelled]
+ *       - in: query
+ *         name: supplierId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: productId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       200:
+ *         description: Purchase orders
+ */
+router.post("/", protect, purchaseOrderController.createPurchaseOrder);
+router.get("/", protect, purchaseOrderController.getPurchaseOrders);
+
+/**
+ * @swagger
+ * /api/purchase-orders/{purchaseOrderId}:
+ *   get:
+ *     summary: Get a purchase order with its receipts
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: purchaseOrderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Purchase order
+ *       404:
+ *         description: Purchase order not found
+ *   patch:
+ *     summary: Update a purchase order
+ *     description: Line items can change while it is a draft; landed costs until stock is first received.
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: purchaseOrderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Purchase order updated
+ *       409:
+ *         description: The change is no longer allowed
+ */
+router.get("/:purchaseOrderId", protect, purchaseOrderController.getPurchaseOrderById);
+router.patch("/:purchaseOrderId", protect, purchaseOrderController.updatePurchaseOrder);
+
+/**
+ * @swagger
+ * /api/purchase-orders/{purchaseOrderId}/order:
+ *   post:
+ *     summary: Mark a draft as sent to the supplier
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: purchaseOrderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Purchase order is now ordered
+ *       409:
+ *         description: Not a draft
+ */
+router.post("/:purchaseOrderId/order", protect, purchaseOrderController.markPurchaseOrderOrdered);
+
+/**
+ * @swagger
+ * /api/purchase-orders/{purchaseOrderId}/receive:
+ *   post:
+ *     summary: Receive some or all outstanding units
+ *     description: Each received line raises stock (at the warehouse for warehouse-fed stores) and updates the product's average landed cost.
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: purchaseOrderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [lines]
+ *             properties:
+ *               lines:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     lineId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *               warehouseId:
+ *                 type: string
+ *                 description: Overrides the purchase order's warehouse
+ *               note:
+ *                 type: string
+ *               syncToWooCommerce:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Stock received
+ *       400:
+ *         description: Quantity exceeds what is outstanding, or a warehouse is needed
+ *       409:
+ *         description: Purchase order is not open
+ */
+router.post("/:purchaseOrderId/receive", protect, purchaseOrderController.receivePurchaseOrder);
+
+/**
+ * @swagger
+ * /api/purchase-orders/{purchaseOrderId}/cancel:
+ *   post:
+ *     summary: Cancel the unreceived part of a purchase order
+ *     tags: [Purchase Orders]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: purchaseOrderId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Purchase order cancelled
+ *       409:
+ *         description: Already received or cancelled
+ */
+router.post("/:purchaseOrderId/cancel", protect, purchaseOrderController.cancelPurchaseOrder);
+
+module.exports = router;
@@ -9,6 +9,7 @@ const router = express.Router();
  */
 
 const receiptControllers = require('../controllers/receiptControllers');
+const publicDocumentController = require('../controllers/publicDocumentController');
 const { authenticateToken } = require('../middleware/authMiddleware');
 
 // Apply authentication middleware to all routes
@@ -262,6 +263,57 @@ router.get('/:id/download', receiptControllers.downloadReceipt);
  */
 router.post('/:id/email', receiptControllers.emailReceipt);
 
+// SHARE receipt through a public link
+
+/**
+ * @swagger
+ * /api/receipts/{id}/share-link:
+ *   post:
+ *     summary: Create a signed, expiring link to the receipt's public page
+ *     tags: [Receipts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               expiresInDays:
+ *                 type: number
+ *                 default: 30
+ *                 maximum: 365
+ *     responses:
+ *       201:
+ *         description: Link created (url, expiresAt)
+ *       404:
+ *         description: Receipt not found
+ *   delete:
+ *     summary: Revoke every public link issued for the receipt
+ *     tags: [Receipts]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Links revoked
+ *       404:
+ *         description: Receipt not found
+ */
+router.post('/:id/share-link', publicDocumentController.createReceiptShareLink);
+router.delete('/:id/share-link', publicDocumentController.revokeReceiptShareLinks);
+
 // PROCESS refund
 
 /**
@@ -269,9 +321,34 @@ router.post('/:id/email', receiptControllers.emailReceipt);
  * /api/receipts/:id/refund:
  *   post:
  *     summary: Create Refund
+ *     description: For a receipt generated from an order, the order is refunded through the store (see POST /api/orders/refund/{orderId}) and the receipt becomes partially_refunded or refunded.
  *     tags: [Receipts]
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refundAmount:
+ *                 type: number
+ *                 description: Amount in the receipt's currency (defaults to the full remaining amount)
+ *               refundReason:
+ *                 type: string
+ *               lineItems:
+ *                 type: array
+ *                 description: Order lines to refund, as for order refunds
+ *                 items:
+ *                   type: object
+ *               shippingAmount:
+ *                 type: number
+ *               restock:
+ *                 type: boolean
+ *               restockWarehouseId:
+ *                 type: string
+ *               refundPayment:
+ *                 type: boolean
  *     responses:
  *       200:
  *         description: Success
@@ -0,0 +1,237 @@
+const express = require("express");
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Recurring Invoices
+ *     description: Invoices generated and emailed on a weekly, monthly or custom schedule
+ */
+
+const recurringInvoiceController = require("../controllers/recurringInvoiceController");
+const { protect } = require("../middleware/authMiddleware");
+
+/**
+ * @swagger
+ * /api/recurring-invoices:
+ *   post:
+ *     summary: Create a recurring invoice schedule
+ *     tags: [Recurring Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, customerId, frequency, items]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Acme Ltd monthly retainer"
+ *               customerId:
+ *                 type: string
+ *               customerName:
+ *                 type: string
+ *                 description: Defaults to the customer's name
+ *               customerEmail:
+ *                 type: string
+ *                 description: Defaults to the customer's email
+ *               customerAddress:
+ *                 type: object
+ *                 description: Defaults to the customer's billing address
+ *               customerVatNumber:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [name, quantity, unitPrice]
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     description:
+ *                       type: string
+ *                     quantity:
+ *                       type: number
+ *                     unitPrice:
+ *                       type: number
+ *                     taxClass:
+ *                       type: string
+ *               taxAmount:
+ *                 type: number
+ *                 description: Used only when the organization's tax engine is off
+ *               discountAmount:
+ *                 type: number
+ *               currency:
+ *                 type: string
+ *                 example: "GBP"
+ *               notes:
+ *                 type: string
+ *               terms:
+ *                 type: string
+ *               paymentTermsDays:
+ *                 type: integer
+ *                 default: 30
+ *               frequency:
+ *                 type: string
+ *                 enum: [weekly, monthly, custom]
+ *               interval:
+ *                 type: integer
+ *                 default: 1
+ *                 description: Every N weeks or months; for custom, every N days
+ *               startDate:
+ *                 type: string
+ *                 format: date-time
+ *                 description: First run (default now); monthly runs keep its day of the month
+ *               endDate:
+ *                 type: string
+ *                 format: date-time
+ *               maxOccurrences:
+ *                 type: integer
+ *               autoSend:
+ *                 type: boolean
+ *                 default: true
+ *                 description: Email each generated invoice; unsent invoices stay drafts
+ *     responses:
+ *       201:
+ *         description: Recurring invoice created with its first run
+ *       400:
+ *         description: Missing or invalid fields
+ *       404:
+ *         description: Customer not found
+ *   get:
+ *     summary: List recurring invoice schedules
+ *     tags: [Recurring Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, paused, completed, cancelled]
+ *       - in: query
+ *         name: customerId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Recurring invoices, soonest run first
+ */
+router.post("/", protect, recurringInvoiceController.createRecurringInvoice);
+router.get("/", protect, recurringInvoiceController.getRecurringInvoices);
+
+/**
+ * @swagger
+ * /api/recurring-invoices/{recurringInvoiceId}:
+ *   get:
+ *     summary: Get a recurring invoice schedule with the invoices it generated
+ *     tags: [Recurring Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: recurringInvoiceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Recurring invoice
+ *       404:
+ *         description: Recurring invoice not found
+ *   patch:
+ *     summary: Update a recurring invoice's template or cadence
+ *     description: Changing the frequency, interval or start date recalculates the next run. Invoices already generated are not changed.
+ *     tags: [Recurring Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: recurringInvoiceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Recurring invoice updated
+ *       400:
+ *         description: Invalid items or a different customer
+ *       404:
+ *         description: Recurring invoice not found
+ *       409:
+ *         description: The schedule is completed or cancelled
+ */
+router.get("/:recurringInvoiceId", protect, recurringInvoiceController.getRecurringInvoice);
+router.patch("/:recurringInvoiceId", protect, recurringInvoiceController.updateRecurringInvoice);
+
+/**
+ * @swagger
+ * /api/recurring-invoices/{recurringInvoiceId}/{action}:
+ *   post:
+ *     summary: Pause, resume or cancel a recurring invoice
+ *     tags: [Recurring Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: recurringInvoiceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: action
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [pause, resume, cancel]
+ *     responses:
+ *       200:
+ *         description: Status changed; resuming skips runs missed while paused
+ *       404:
+ *         description: Recurring invoice not found
+ *       409:
+ *         description: The change is not allowed from the current status
+ */
+router.post("/:recurringInvoiceId/pause", protect, recurringInvoiceController.pauseRecurringInvoice);
+router.post("/:recurringInvoiceId/resume", protect, recurringInvoiceController.resumeRecurringInvoice);
+router.post("/:recurringInvoiceId/cancel", protect, recurringInvoiceController.cancelRecurringInvoice);
+
+/**
+ * @swagger
+ * /api/recurring-invoices/{recurringInvoiceId}/run:
+ *   post:
+ *     summary: Generate (and email) an invoice from the schedule now
+ *     description: The generated invoice counts as an occurrence; the regular next run is unchanged.
+ *     tags: [Recurring Invoices]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: recurringInvoiceId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: Invoice generated
+ *       404:
+ *         description: Recurring invoice not found
+ *       409:
+ *         description: The schedule is completed or cancelled
+ */
+router.post("/:recurringInvoiceId/run", protect, recurringInvoiceController.runRecurringInvoiceNow);
+
+module.exports = router;
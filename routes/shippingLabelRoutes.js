@@ -45,6 +45,13 @@ router.use(authenticateToken);
  */
 router.post('/generate/:orderId', shippingLabelController.generateShippingLabel);
 
+// Compare carrier rates for an order (documented in the controller)
+router.post('/rates/:orderId', shippingLabelController.getShippingRates);
+
+// Store ship-from address and parcel defaults (documented in the controller)
+router.get('/stores/:storeId/settings', shippingLabelController.getStoreShippingSettings);
+router.put('/stores/:storeId/settings', shippingLabelController.updateStoreShippingSettings);
+
 // Get shipping label by order ID
 
 /**
@@ -176,9 +183,21 @@ router.get('/:labelId/pdf', shippingLabelController.generateShippingLabelPDF);
  * /api/shipping-labels/:labelId/status:
  *   patch:
  *     summary: Update Status
+ *     description: Shipped and delivered are added to the tracking timeline; voided voids the label with the carrier.
  *     tags: [Shipping Labels]
  *     security:
  *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [created, printed, shipped, delivered, cancelled, voided]
  *     responses:
  *       200:
  *         description: Success
@@ -193,13 +212,23 @@ router.get('/:labelId/pdf', shippingLabelController.generateShippingLabelPDF);
  *                 message:
  *                   type: string
  *                   example: "Operation completed successfully"
+ *       400:
+ *         description: Unknown status
  *       401:
  *         description: Unauthorized
+ *       409:
+ *         description: The label cannot be voided
  *       500:
  *         description: Server error
  */
 router.patch('/:labelId/status', shippingLabelController.updateShippingLabelStatus);
 
+// Void an unused label and request a postage refund (documented in the controller)
+router.post('/:labelId/void', shippingLabelController.voidShippingLabel);
+
+// Tracking timeline, optionally refreshed from the carrier (documented in the controller)
+router.get('/:labelId/tracking', shippingLabelController.getShippingLabelTracking);
+
 // Delete shipping label
 
 /**
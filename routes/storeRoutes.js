@@ -1,7 +1,9 @@
 const express = require("express");
 const router = express.Router();
 const { authenticateUser } = require('../middlewares/authMiddleware');
+const { enforcePlanLimit } = require('../middleware/planEntitlementMiddleware');
 const storeController = require("../controllers/storeControllers");
+const syncJobController = require("../controllers/syncJobController");
 
 /**
  * @swagger
@@ -66,10 +68,14 @@ const storeController = require("../controllers/storeControllers");
  *         description: Bad request
  *       401:
  *         description: Unauthorized
+ *       403:
+ *         description: The organization's plan allows no more stores (code PLAN_LIMIT_REACHED)
  *       500:
  *         description: Server error
  */
-router.post("/create", authenticateUser, storeController.createStore);
+router.post("/create", authenticateUser, enforcePlanLimit("stores", {
+  organization: (req) => req.body.organizationId || req.user.organization
+}), storeController.createStore);
 
 // GET all stores by organization
 router.get("/organization/:organizationId", authenticateUser, storeController.getStoresByOrganization);
@@ -96,6 +102,13 @@ router.get("/:storeId/error-notifications", authenticateUser, storeController.ge
 // Sync status endpoint
 router.get("/:storeId/sync-status", authenticateUser, storeController.getSyncStatus);
 
+// Sync jobs (products, orders, customers)
+router.get("/:storeId/sync-jobs", authenticateUser, syncJobController.listSyncJobs);
+router.get("/:storeId/sync-jobs/dead-letters", authenticateUser, syncJobController.listDeadLetters);
+router.get("/:storeId/sync-jobs/:jobId", authenticateUser, syncJobController.getSyncJob);
+router.post("/:storeId/sync-jobs/:jobId/retry", authenticateUser, syncJobController.retrySyncJob);
+router.post("/:storeId/sync-jobs/:jobId/cancel", authenticateUser, syncJobController.cancelSyncJob);
+
 // Store notifications endpoints
 router.get("/:storeId/notifications", authenticateUser, storeController.getStoreNotifications);
 router.post("/:storeId/test-notification", authenticateUser, storeController.sendTestNotification);
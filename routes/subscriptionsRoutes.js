@@ -9,6 +9,7 @@ const router = express.Router();
  */
 
 const subscriptionController = require('../controllers/subscriptionController');
+const { protect } = require('../middleware/authMiddleware');
 
 // CRUD
 
@@ -126,7 +127,7 @@ router.get('/:id', subscriptionController.getSubscriptionById);
  *       500:
  *         description: Server error
  */
-router.put('/:id', subscriptionController.updateSubscription);
+router.put('/:id', protect, subscriptionController.updateSubscription);
 
 /**
  * @swagger
@@ -279,4 +280,8 @@ router.post('/:id/renew', subscriptionController.renewSubscription);
  */
 router.post('/:id/cancel', subscriptionController.cancelSubscription);
 
+// Renewal billing (documented with the controller)
+router.get('/:id/proration', protect, subscriptionController.previewProration);
+router.post('/:id/retry-renewal', protect, subscriptionController.retryRenewal);
+
 module.exports = router; 
@@ -0,0 +1,145 @@
+const express = require("express");
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Suppliers
+ *     description: Suppliers and the products they sell to us
+ */
+
+const supplierController = require("../controllers/supplierController");
+const { protect } = require("../middleware/authMiddleware");
+
+/**
+ * @swagger
+ * /api/suppliers:
+ *   post:
+ *     summary: Create a supplier
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               currency:
+ *                 type: string
+ *                 example: "NGN"
+ *               leadTimeDays:
+ *                 type: integer
+ *                 default: 7
+ *               paymentTerms:
+ *                 type: string
+ *                 example: "Net 30"
+ *               products:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     productId:
+ *                       type: string
+ *                     supplierSku:
+ *                       type: string
+ *                     unitCost:
+ *                       type: number
+ *                     minOrderQuantity:
+ *                       type: integer
+ *                     packSize:
+ *                       type: integer
+ *     responses:
+ *       201:
+ *         description: Supplier created
+ *       400:
+ *         description: Missing name or unknown product
+ *   get:
+ *     summary: List suppliers
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: productId
+ *         schema:
+ *           type: string
+ *         description: Only suppliers that list this product
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Suppliers
+ */
+router.post("/", protect, supplierController.createSupplier);
+router.get("/", protect, supplierController.getSuppliers);
+
+/**
+ * @swagger
+ * /api/suppliers/{supplierId}:
+ *   get:
+ *     summary: Get a supplier with its product listings
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: supplierId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Supplier
+ *       404:
+ *         description: Supplier not found
+ *   patch:
+ *     summary: Update a supplier
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: supplierId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Supplier updated
+ *       404:
+ *         description: Supplier not found
+ *   delete:
+ *     summary: Delete a supplier (deactivates it if it has purchase orders)
+ *     tags: [Suppliers]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: supplierId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Supplier deleted or deactivated
+ *       404:
+ *         description: Supplier not found
+ */
+router.get("/:supplierId", protect, supplierController.getSupplierById);
+router.patch("/:supplierId", protect, supplierController.updateSupplier);
+router.delete("/:supplierId", protect, supplierController.deleteSupplier);
+
+module.exports = router;
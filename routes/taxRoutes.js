@@ -0,0 +1,247 @@
+const express = require("express");
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Tax
+ *     description: Organization tax rates by jurisdiction, tax settings and VAT reverse charge
+ */
+
+const taxController = require("../controllers/taxController");
+const { protect } = require("../middleware/authMiddleware");
+
+/**
+ * @swagger
+ * /api/tax/rates:
+ *   post:
+ *     summary: Add a tax rate for a country or state
+ *     tags: [Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, country, rate]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "GST"
+ *               country:
+ *                 type: string
+ *                 description: ISO country code or country name
+ *                 example: "CA"
+ *               state:
+ *                 type: string
+ *                 description: State or province code; leave empty for a countrywide rate
+ *                 example: "QC"
+ *               rate:
+ *                 type: number
+ *                 description: Percentage
+ *                 example: 5
+ *               compound:
+ *                 type: boolean
+ *                 description: Charge this tax on the amount plus the taxes of lower priorities
+ *               priority:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Lower priorities apply first; one rate applies per priority
+ *               taxClass:
+ *                 type: string
+ *                 example: "standard"
+ *               appliesToShipping:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Tax rate created
+ *       400:
+ *         description: Missing fields or unknown country
+ *   get:
+ *     summary: List tax rates
+ *     tags: [Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: country
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: taxClass
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Tax rates
+ */
+router.post("/rates", protect, taxController.createTaxRate);
+router.get("/rates", protect, taxController.getTaxRates);
+
+/**
+ * @swagger
+ * /api/tax/rates/{rateId}:
+ *   patch:
+ *     summary: Update a tax rate
+ *     tags: [Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: rateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tax rate updated
+ *       404:
+ *         description: Tax rate not found
+ *   delete:
+ *     summary: Delete a tax rate (issued invoices keep their breakdown)
+ *     tags: [Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: rateId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Tax rate deleted
+ *       404:
+ *         description: Tax rate not found
+ */
+router.patch("/rates/:rateId", protect, taxController.updateTaxRate);
+router.delete("/rates/:rateId", protect, taxController.deleteTaxRate);
+
+/**
+ * @swagger
+ * /api/tax/settings:
+ *   get:
+ *     summary: Get the organization's tax settings
+ *     tags: [Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Tax settings
+ *   put:
+ *     summary: Update the organization's tax settings
+ *     tags: [Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               enabled:
+ *                 type: boolean
+ *                 description: Compute invoice taxes with the tax engine
+ *               pricesIncludeTax:
+ *                 type: boolean
+ *                 description: Default for invoices whose item prices already include tax
+ *               originCountry:
+ *                 type: string
+ *                 example: "DE"
+ *               vatNumber:
+ *                 type: string
+ *                 example: "DE123456789"
+ *               reverseChargeEnabled:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Tax settings updated
+ *       400:
+ *         description: Unknown country or invalid VAT number
+ */
+router.get("/settings", protect, taxController.getTaxSettings);
+router.put("/settings", protect, taxController.updateTaxSettings);
+
+/**
+ * @swagger
+ * /api/tax/calculate:
+ *   post:
+ *     summary: Preview the taxes for a set of items without creating an invoice
+ *     tags: [Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [items]
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   properties:
+ *                     name:
+ *                       type: string
+ *                     totalPrice:
+ *                       type: number
+ *                     taxClass:
+ *                       type: string
+ *                     shipping:
+ *                       type: boolean
+ *               discountAmount:
+ *                 type: number
+ *               address:
+ *                 type: object
+ *                 properties:
+ *                   country:
+ *                     type: string
+ *                   state:
+ *                     type: string
+ *               customerVatNumber:
+ *                 type: string
+ *               pricesIncludeTax:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Per-item taxes, tax breakdown and totals
+ *       400:
+ *         description: Missing items or invalid VAT number
+ */
+router.post("/calculate", protect, taxController.calculateTax);
+
+/**
+ * @swagger
+ * /api/tax/validate-vat:
+ *   post:
+ *     summary: Check a VAT number's format and whether it triggers reverse charge
+ *     tags: [Tax]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [vatNumber]
+ *             properties:
+ *               vatNumber:
+ *                 type: string
+ *                 example: "FR40303265045"
+ *     responses:
+ *       200:
+ *         description: Validation result
+ */
+router.post("/validate-vat", protect, taxController.validateVat);
+
+module.exports = router;
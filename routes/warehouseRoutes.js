@@ -0,0 +1,306 @@
+const express = require("express");
+const router = express.Router();
+
+/**
+ * @swagger
+ * tags:
+ *   - name: Warehouses
+ *     description: Stock locations, per-location stock, transfers and the movement ledger
+ */
+
+const warehouseController = require("../controllers/warehouseController");
+const { protect } = require("../middleware/authMiddleware");
+
+/**
+ * @swagger
+ * /api/warehouses:
+ *   post:
+ *     summary: Create a warehouse for the user's organization
+ *     tags: [Warehouses]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, code]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "Lagos Main"
+ *               code:
+ *                 type: string
+ *                 example: "LOS1"
+ *               address:
+ *                 type: object
+ *     responses:
+ *       201:
+ *         description: Warehouse created
+ *       409:
+ *         description: A warehouse with this code already exists
+ *   get:
+ *     summary: List the organization's warehouses with units held
+ *     tags: [Warehouses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *     responses:
+ *       200:
+ *         description: Warehouses
+ */
+router.post("/", protect, warehouseController.createWarehouse);
+router.get("/", protect, warehouseController.getWarehouses);
+
+/**
+ * @swagger
+ * /api/warehouses/transfers:
+ *   post:
+ *     summary: Transfer a product's stock between two warehouses
+ *     tags: [Warehouses]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [productId, fromWarehouseId, toWarehouseId, quantity]
+ *             properties:
+ *               productId:
+ *                 type: string
+ *               fromWarehouseId:
+ *                 type: string
+ *               toWarehouseId:
+ *                 type: string
+ *               quantity:
+ *                 type: integer
+ *                 minimum: 1
+ *               note:
+ *                 type: string
+ *               syncToWooCommerce:
+ *                 type: boolean
+ *                 description: Push the new store quantity when the transfer changes it
+ *     responses:
+ *       201:
+ *         description: Stock transferred
+ *       400:
+ *         description: Not enough stock at the source, or invalid quantity
+ *       404:
+ *         description: Product or warehouse not found
+ *   get:
+ *     summary: List stock transfers, newest first
+ *     tags: [Warehouses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: productId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: warehouseId
+ *         schema:
+ *           type: string
+ *         description: Transfers into or out of this warehouse
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *     responses:
+ *       200:
+ *         description: Transfers
+ */
+router.post("/transfers", protect, warehouseController.createStockTransfer);
+router.get("/transfers", protect, warehouseController.getStockTransfers);
+
+/**
+ * @swagger
+ * /api/warehouses/movements:
+ *   get:
+ *     summary: Stock movement ledger, newest first
+ *     tags: [Warehouses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: productId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: warehouseId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [adjustment, transfer_in, transfer_out]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *     responses:
+ *       200:
+ *         description: Movements with delta and resulting location balance
+ */
+router.get("/movements", protect, warehouseController.getStockMovements);
+
+/**
+ * @swagger
+ * /api/warehouses/stock/{productId}:
+ *   get:
+ *     summary: Per-warehouse stock of a product
+ *     tags: [Warehouses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Stock levels and the store's chosen locations
+ *       404:
+ *         description: Product not found
+ */
+router.get("/stock/:productId", protect, warehouseController.getProductStockLevels);
+
+/**
+ * @swagger
+ * /api/warehouses/stock/{productId}/adjust:
+ *   post:
+ *     summary: Adjust a product's stock at one warehouse
+ *     description: Send delta to add or remove units, or quantity to set a counted amount. The product's store quantity is recalculated from the store's locations.
+ *     tags: [Warehouses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: productId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [warehouseId]
+ *             properties:
+ *               warehouseId:
+ *                 type: string
+ *               delta:
+ *                 type: integer
+ *                 example: -3
+ *               quantity:
+ *                 type: integer
+ *                 example: 40
+ *               bin:
+ *                 type: string
+ *                 example: "A-03-2"
+ *               note:
+ *                 type: string
+ *               syncToWooCommerce:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: New location level and store quantity
+ *       400:
+ *         description: Removing more than the location holds, or both/neither of delta and quantity given
+ *       404:
+ *         description: Product or warehouse not found
+ */
+router.post("/stock/:productId/adjust", protect, warehouseController.adjustProductStock);
+
+/**
+ * @swagger
+ * /api/warehouses/stores/{storeId}/locations:
+ *   put:
+ *     summary: Choose the warehouses whose stock is synced to a store
+ *     description: The store quantity of each product becomes the sum over these warehouses. Products with no location stock yet get their current quantity as an opening balance at the first warehouse. An empty list switches the store back to a single stock number.
+ *     tags: [Warehouses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: storeId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               warehouseIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               syncToWooCommerce:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       200:
+ *         description: Locations saved and product quantities recalculated
+ *       400:
+ *         description: Unknown warehouse
+ *       404:
+ *         description: Store not found
+ */
+router.put("/stores/:storeId/locations", protect, warehouseController.setStoreStockLocations);
+
+/**
+ * @swagger
+ * /api/warehouses/{warehouseId}:
+ *   patch:
+ *     summary: Update a warehouse
+ *     tags: [Warehouses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: warehouseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Warehouse updated
+ *       404:
+ *         description: Warehouse not found
+ *   delete:
+ *     summary: Delete an empty warehouse
+ *     tags: [Warehouses]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: warehouseId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Warehouse deleted
+ *       409:
+ *         description: Warehouse still holds stock
+ */
+router.patch("/:warehouseId", protect, warehouseController.updateWarehouse);
+router.delete("/:warehouseId", protect, warehouseController.deleteWarehouse);
+
+module.exports = router;
@@ -9,6 +9,8 @@ const router = express.Router();
  */
 
 const webhookController = require('../controllers/webhookController');
+const shippingLabelController = require('../controllers/shippingLabelController');
+const { authenticateUser } = require('../middlewares/authMiddleware');
 
 // Dynamic WooCommerce webhook endpoints with store identification
 
@@ -276,6 +278,50 @@ router.post('/woocommerce/:webhookIdentifier/product.updated', webhookController
  */
 router.post('/woocommerce/:webhookIdentifier/product.deleted', webhookController.handleProductDeleted);
 
+// Shopify webhook endpoints (payloads are normalized and share the WooCommerce handlers)
+
+/**
+ * @swagger
+ * /api/webhooks/shopify/{webhookIdentifier}/{topic}:
+ *   post:
+ *     summary: Receive a Shopify webhook delivery
+ *     description: Verifies the X-Shopify-Hmac-Sha256 signature, maps the Shopify payload and applies it to orders, customers or inventory.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: webhookIdentifier
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: topic
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [order.created, order.updated, order.deleted, customer.created, customer.updated, customer.deleted, product.created, product.updated, product.deleted]
+ *     responses:
+ *       200:
+ *         description: Success
+ *       401:
+ *         description: Invalid signature
+ *       404:
+ *         description: Store not found
+ *       500:
+ *         description: Server error
+ */
+router.post('/shopify/:webhookIdentifier/order.created', webhookController.handleOrderCreated);
+router.post('/shopify/:webhookIdentifier/order.updated', webhookController.handleOrderUpdated);
+router.post('/shopify/:webhookIdentifier/order.deleted', webhookController.handleOrderDeleted);
+router.post('/shopify/:webhookIdentifier/customer.created', webhookController.handleCustomerCreated);
+router.post('/shopify/:webhookIdentifier/customer.updated', webhookController.handleCustomerUpdated);
+router.post('/shopify/:webhookIdentifier/customer.deleted', webhookController.handleCustomerDeleted);
+router.post('/shopify/:webhookIdentifier/product.created', webhookController.handleProductCreated);
+router.post('/shopify/:webhookIdentifier/product.updated', webhookController.handleProductUpdated);
+router.post('/shopify/:webhookIdentifier/product.deleted', webhookController.handleProductDeleted);
+
+// Tracking updates pushed by shipping providers (documented in the shipping label controller)
+router.post('/carriers/:webhookToken/tracking', shippingLabelController.handleCarrierTrackingWebhook);
+
 // Webhook management endpoints
 
 /**
@@ -483,6 +529,88 @@ router.get('/:id/deliveries', webhookController.getWebhookDeliveries);
  */
 router.get('/:id/deliveries/:deliveryId', webhookController.getWebhookDelivery);
 
+// Delivery replay
+
+/**
+ * @swagger
+ * /api/webhooks/deliveries/replay:
+ *   post:
+ *     summary: Replay stored deliveries of a store received in a time range
+ *     description: Re-processes failed deliveries (and successful ones when force is true), oldest first. Deliveries whose payload is older than the local record are skipped unless force is true.
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - storeId
+ *               - from
+ *             properties:
+ *               storeId:
+ *                 type: string
+ *               from:
+ *                 type: string
+ *                 format: date-time
+ *               to:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Defaults to now
+ *               eventType:
+ *                 type: string
+ *                 example: "order.updated"
+ *               force:
+ *                 type: boolean
+ *                 default: false
+ *               limit:
+ *                 type: integer
+ *                 default: 100
+ *                 maximum: 500
+ *     responses:
+ *       200:
+ *         description: Replay results per delivery
+ *       400:
+ *         description: Missing store or invalid time range
+ *       404:
+ *         description: Store not found
+ */
+router.post('/deliveries/replay', authenticateUser, webhookController.bulkReplayWebhookDeliveries);
+
+/**
+ * @swagger
+ * /api/webhooks/deliveries/{deliveryRecordId}/replay:
+ *   post:
+ *     summary: Re-process the stored payload of one delivery
+ *     tags: [Webhooks]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: deliveryRecordId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: WebhookDelivery record ID
+ *       - in: query
+ *         name: force
+ *         schema:
+ *           type: boolean
+ *         description: Replay a delivery that already succeeded, or whose payload is older than the local record
+ *     responses:
+ *       200:
+ *         description: Delivery replayed
+ *       404:
+ *         description: Delivery not found
+ *       409:
+ *         description: Delivery already succeeded, is being processed, or its payload is older than the local record
+ *       500:
+ *         description: Replay failed; the error is stored on the delivery
+ */
+router.post('/deliveries/:deliveryRecordId/replay', authenticateUser, webhookController.replayWebhookDelivery);
+
 // Webhook testing
 
 /**
@@ -0,0 +1,56 @@
+/**
+ * Fix Document Number Indexes - Drop old unique indexes on invoice and receipt numbers
+ *
+ * Invoice and receipt numbers used to be unique across all organizations. They now come
+ * from each organization's own numbering sequence, so two organizations can both issue
+ * INV-2025-0001. The correct indexes are compound on (organizationId + number).
+ */
+
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const COLLECTIONS = [
+  { name: 'invoices', field: 'invoiceNumber' },
+  { name: 'receipts', field: 'receiptNumber' }
+];
+
+async function fixDocumentNumberIndexes() {
+  try {
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGO_URL);
+    console.log('✅ Connected to MongoDB');
+
+    const db = mongoose.connection.db;
+
+    for (const { name, field } of COLLECTIONS) {
+      const collection = db.collection(name);
+      const indexes = await collection.indexes();
+      const oldIndex = `${field}_1`;
+
+      if (indexes.some(idx => idx.name === oldIndex)) {
+        console.log(`\n🗑️  Dropping old unique index ${oldIndex} on ${name}`);
+        await collection.dropIndex(oldIndex);
+        console.log('✅ Successfully dropped old index');
+      } else {
+        console.log(`\n✅ No old ${oldIndex} index on ${name}`);
+      }
+
+      const compoundIndex = `organizationId_1_${field}_1`;
+      if (!indexes.some(idx => idx.name === compoundIndex)) {
+        console.log(`📋 Creating index ${compoundIndex}...`);
+        await collection.createIndex({ organizationId: 1, [field]: 1 }, { unique: true, name: compoundIndex });
+        console.log('✅ Compound index created');
+      }
+    }
+
+    console.log('\n🎉 Index fix complete!');
+  } catch (error) {
+    console.error('❌ Error fixing document number indexes:', error);
+  } finally {
+    await mongoose.connection.close();
+    console.log('\n🔌 Disconnected from MongoDB');
+  }
+}
+
+// Run the script
+fixDocumentNumberIndexes();
@@ -12,6 +12,7 @@ const Invoice = require('../models/Invoice');
 const Receipt = require('../models/Receipt');
 const User = require('../models/users');
 const templateMergerService = require('../services/templateMergerService');
+const { previewNextNumber } = require('../helper/numberingSequenceHelper');
 
 /**
  * Test script to generate actual invoices and receipts using pexashop organization data
@@ -86,13 +87,12 @@ async function testInvoiceReceiptGeneration() {
       console.error('❌ [TEST 1] Error getting merged company info:', error);
     }
 
-    // Generate invoice number
-    const invoiceNumber = await Invoice.generateInvoiceNumber(organization._id);
-    console.log('✅ [TEST 1] Generated invoice number:', invoiceNumber);
+    // The invoice number is assigned from the organization's sequence when it is saved
+    const nextInvoiceNumber = await previewNextNumber(organization._id, 'invoice');
+    console.log('✅ [TEST 1] Next invoice number:', nextInvoiceNumber || 'first of the year');
 
     // Create invoice from order
     const newInvoice = new Invoice({
-      invoiceNumber,
       customerId: order.customerId,
       storeId: order.storeId,
       organizationId: organization._id,
@@ -154,13 +154,12 @@ async function testInvoiceReceiptGeneration() {
       console.error('❌ [TEST 2] Error getting merged company info:', error);
     }
 
-    // Generate receipt number
-    const receiptNumber = await Receipt.generateReceiptNumber(organization._id);
-    console.log('✅ [TEST 2] Generated receipt number:', receiptNumber);
+    // The receipt number is assigned from the organization's sequence when it is saved
+    const nextReceiptNumber = await previewNextNumber(organization._id, 'receipt');
+    console.log('✅ [TEST 2] Next receipt number:', nextReceiptNumber || 'first of the year');
 
     // Create receipt from order
     const newReceipt = new Receipt({
-      receiptNumber,
       customerId: order.customerId,
       storeId: order.storeId,
       organizationId: organization._id,
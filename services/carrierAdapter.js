@@ -0,0 +1,58 @@
+const axios = require('axios');
+
+/**
+ * Carrier Adapter Base Class
+ *
+ * Every shipping provider adapter implements this contract so label flows can quote
+ * rates, buy labels and void them without knowing which provider an account uses.
+ *
+ * Conventions shared by all adapters:
+ *   - Methods resolve to { success, data } or { success: false, error, statusCode }
+ *   - Addresses use the ShippingLabel address shape (name, company, address1, address2,
+ *     city, state, postalCode, country, phone, email)
+ *   - Parcels are { weight (ounces), length, width, height (inches) }
+ *   - Rates are { shipmentId, rateId, carrier, service, amount, currency, estimatedDays }
+ *   - Purchased labels are { shipmentId, labelId, trackingNumber, trackingUrl, labelUrl,
+ *     labelFile (PDF Buffer), carrier, service, amount, currency }
+ *   - Tracking is { trackingNumber, status, estimatedDelivery, events }, each event being
+ *     { status, description, location, occurredAt }; statuses are one of TRACKING_STATUSES
+ */
+class CarrierAdapter {
+  constructor(account) {
+    this.account = account;
+  }
+
+  notImplemented(method) {
+    throw new Error(`${this.constructor.name} does not implement ${method}()`);
+  }
+
+  // Download a label so it is kept even if the provider's link expires. Returns null on failure.
+  async fetchLabelFile(labelUrl) {
+    if (!labelUrl) return null;
+    try {
+      const response = await axios.get(labelUrl, { responseType: 'arraybuffer', timeout: 30000 });
+      return Buffer.from(response.data);
+    } catch (error) {
+      console.error(`Error downloading label from ${labelUrl}:`, error.message);
+      return null;
+    }
+  }
+
+  // Quote every service the account can offer for a shipment ({ fromAddress, toAddress, parcel, reference })
+  async getRates(shipment) { this.notImplemented('getRates'); }
+  // Buy the label for a quoted rate
+  async purchaseLabel(shipmentId, rateId) { this.notImplemented('purchaseLabel'); }
+  // Void an unused label and ask for the postage back; data.refundStatus is submitted, refunded or rejected
+  async voidLabel(label) { this.notImplemented('voidLabel'); }
+  // Current tracking status and event history of a bought label
+  async getTracking(label) { this.notImplemented('getTracking'); }
+  // Tracking pushed by the provider's webhook, or null when the payload is not a tracking update
+  parseTrackingWebhook(payload) { return null; }
+}
+
+CarrierAdapter.TRACKING_STATUSES = ['pre_transit', 'in_transit', 'out_for_delivery', 'delivered', 'returned', 'failure', 'unknown'];
+
+// Method names every adapter must provide (checked when an adapter is registered)
+CarrierAdapter.CONTRACT = ['getRates', 'purchaseLabel', 'voidLabel', 'getTracking'];
+
+module.exports = CarrierAdapter;
@@ -0,0 +1,57 @@
+const CarrierAdapter = require('./carrierAdapter');
+const EasyPostService = require('./easyPostService');
+const ShippoService = require('./shippoService');
+const StubCarrierService = require('./stubCarrierService');
+const { BadRequestError } = require('../utils/errors');
+
+/**
+ * Carrier Adapter Registry
+ *
+ * Maps a carrier account's provider to the adapter class that talks to it. Further
+ * providers plug in with registerCarrierAdapter() once they implement the CarrierAdapter contract.
+ */
+const adapters = new Map();
+
+const registerCarrierAdapter = (provider, AdapterClass) => {
+  if (!(AdapterClass.prototype instanceof CarrierAdapter)) {
+    throw new Error(`Adapter for ${provider} must extend CarrierAdapter`);
+  }
+
+  const missing = CarrierAdapter.CONTRACT.filter(
+    method => AdapterClass.prototype[method] === CarrierAdapter.prototype[method]
+  );
+  if (missing.length > 0) {
+    throw new Error(`Adapter for ${provider} is missing: ${missing.join(', ')}`);
+  }
+
+  adapters.set(provider, AdapterClass);
+};
+
+const getSupportedCarrierProviders = () => Array.from(adapters.keys());
+
+// SHIPPING_CARRIER=stub routes every carrier account to the stub (local development and tests)
+const getCarrierAdapter = (account) => {
+  if (!account) {
+    throw new BadRequestError('Carrier account is required to create a carrier adapter');
+  }
+
+  const provider = process.env.SHIPPING_CARRIER || account.provider;
+  const AdapterClass = adapters.get(provider);
+  if (!AdapterClass) {
+    throw new BadRequestError(
+      `Carrier provider "${provider}" is not supported. Supported providers: ${getSupportedCarrierProviders().join(', ')}`
+    );
+  }
+
+  return new AdapterClass(account);
+};
+
+registerCarrierAdapter('easypost', EasyPostService);
+registerCarrierAdapter('shippo', ShippoService);
+registerCarrierAdapter('stub', StubCarrierService);
+
+module.exports = {
+  registerCarrierAdapter,
+  getCarrierAdapter,
+  getSupportedCarrierProviders
+};
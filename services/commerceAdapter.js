@@ -0,0 +1,99 @@
+/**
+ * Commerce Adapter Base Class
+ *
+ * Every store platform adapter implements this contract so controllers, sync
+ * workers and webhook handlers can work with a store without knowing its platform.
+ *
+ * Conventions shared by all adapters:
+ *   - Single-record methods resolve to { success, data } or { success: false, error, statusCode }
+ *   - getAll* methods resolve to an array and throw on API errors; every adapter
+ *     honours params.modified_after (ISO 8601, GMT) for incremental syncs
+ *   - Records returned in `data` and from getAll* use the WooCommerce REST shape,
+ *     which is what the local inventory, order, customer and category models are built on
+ *   - mapXToRemote converts a local record into the platform's request payload
+ *   - normalizeX converts a platform record into the WooCommerce REST shape
+ */
+class CommerceAdapter {
+  constructor(store) {
+    this.store = store;
+  }
+
+  notImplemented(method) {
+    throw new Error(`${this.constructor.name} does not implement ${method}()`);
+  }
+
+  // Product methods
+  async createProduct(productData) { this.notImplemented('createProduct'); }
+  async updateProduct(remoteId, productData) { this.notImplemented('updateProduct'); }
+  async deleteProduct(remoteId) { this.notImplemented('deleteProduct'); }
+  async getProduct(remoteId) { this.notImplemented('getProduct'); }
+  async getAllProducts(params) { this.notImplemented('getAllProducts'); }
+  // Change only the given fields (WooCommerce shape: regular_price, sale_price, sku, manage_stock, stock_quantity)
+  async updateProductFields(remoteId, fields) { this.notImplemented('updateProductFields'); }
+  mapProductToRemote(localProduct) { this.notImplemented('mapProductToRemote'); }
+  normalizeProduct(remoteProduct) { this.notImplemented('normalizeProduct'); }
+
+  // Product variation methods (children of a variable product)
+  async createProductVariation(productId, variationData) { this.notImplemented('createProductVariation'); }
+  async updateProductVariation(productId, variationId, variationData) { this.notImplemented('updateProductVariation'); }
+  async deleteProductVariation(productId, variationId) { this.notImplemented('deleteProductVariation'); }
+  async getProductVariation(productId, variationId) { this.notImplemented('getProductVariation'); }
+  async getAllProductVariations(productId, params) { this.notImplemented('getAllProductVariations'); }
+  mapVariationToRemote(localVariation) { this.notImplemented('mapVariationToRemote'); }
+  normalizeVariation(remoteVariation) { this.notImplemented('normalizeVariation'); }
+
+  // Customer methods
+  async createCustomer(customerData) { this.notImplemented('createCustomer'); }
+  async updateCustomer(remoteId, customerData) { this.notImplemented('updateCustomer'); }
+  async deleteCustomer(remoteId) { this.notImplemented('deleteCustomer'); }
+  async getCustomer(remoteId) { this.notImplemented('getCustomer'); }
+  async getAllCustomers(params) { this.notImplemented('getAllCustomers'); }
+  mapCustomerToRemote(localCustomer) { this.notImplemented('mapCustomerToRemote'); }
+  normalizeCustomer(remoteCustomer) { this.notImplemented('normalizeCustomer'); }
+
+  // Order methods
+  async createOrder(orderData) { this.notImplemented('createOrder'); }
+  async updateOrder(remoteId, orderData) { this.notImplemented('updateOrder'); }
+  async deleteOrder(remoteId) { this.notImplemented('deleteOrder'); }
+  async getOrder(remoteId) { this.notImplemented('getOrder'); }
+  async getAllOrders(params) { this.notImplemented('getAllOrders'); }
+  mapOrderToRemote(localOrder) { this.notImplemented('mapOrderToRemote'); }
+  normalizeOrder(remoteOrder) { this.notImplemented('normalizeOrder'); }
+
+  // Order refund methods (resolve to the created refund in the WooCommerce refund shape)
+  async createOrderRefund(orderId, refundData) { this.notImplemented('createOrderRefund'); }
+  mapRefundToRemote(localRefund) { this.notImplemented('mapRefundToRemote'); }
+
+  // Category methods
+  async createCategory(categoryData) { this.notImplemented('createCategory'); }
+  async updateCategory(remoteId, categoryData) { this.notImplemented('updateCategory'); }
+  async deleteCategory(remoteId) { this.notImplemented('deleteCategory'); }
+  async getCategory(remoteId) { this.notImplemented('getCategory'); }
+  async getAllCategories(params) { this.notImplemented('getAllCategories'); }
+  mapCategoryToRemote(localCategory) { this.notImplemented('mapCategoryToRemote'); }
+  normalizeCategory(remoteCategory) { this.notImplemented('normalizeCategory'); }
+}
+
+// Method names every adapter must provide (checked when an adapter is registered)
+CommerceAdapter.CONTRACT = ['Product', 'Customer', 'Order', 'Category'].reduce((methods, resource) => methods.concat([
+  `create${resource}`,
+  `update${resource}`,
+  `delete${resource}`,
+  `get${resource}`,
+  `getAll${resource === 'Category' ? 'Categories' : `${resource}s`}`,
+  `map${resource}ToRemote`,
+  `normalize${resource}`
+]), []).concat([
+  'updateProductFields',
+  'createProductVariation',
+  'updateProductVariation',
+  'deleteProductVariation',
+  'getProductVariation',
+  'getAllProductVariations',
+  'mapVariationToRemote',
+  'normalizeVariation',
+  'createOrderRefund',
+  'mapRefundToRemote'
+]);
+
+module.exports = CommerceAdapter;
@@ -0,0 +1,61 @@
+const CommerceAdapter = require('./commerceAdapter');
+const WooCommerceService = require('./wooCommerceService');
+const ShopifyService = require('./shopifyService');
+const InMemoryCommerceService = require('./inMemoryCommerceService');
+const { BadRequestError } = require('../utils/errors');
+
+/**
+ * Commerce Adapter Registry
+ *
+ * Maps store.platformType to the adapter class that talks to that platform.
+ * New platforms (Magento, BigCommerce, ...) plug in with registerCommerceAdapter()
+ * once they implement the CommerceAdapter contract.
+ */
+const adapters = new Map();
+
+const registerCommerceAdapter = (platformType, AdapterClass) => {
+  if (!(AdapterClass.prototype instanceof CommerceAdapter)) {
+    throw new Error(`Adapter for ${platformType} must extend CommerceAdapter`);
+  }
+
+  const missing = CommerceAdapter.CONTRACT.filter(
+    method => AdapterClass.prototype[method] === CommerceAdapter.prototype[method]
+  );
+  if (missing.length > 0) {
+    throw new Error(`Adapter for ${platformType} is missing: ${missing.join(', ')}`);
+  }
+
+  adapters.set(platformType, AdapterClass);
+};
+
+const isSupportedPlatform = (platformType) => adapters.has(platformType);
+
+const getSupportedPlatforms = () => Array.from(adapters.keys());
+
+// COMMERCE_ADAPTER=memory routes every store to the in-memory shop (local development and tests)
+const getCommerceAdapter = (store) => {
+  if (!store) {
+    throw new BadRequestError('Store is required to create a commerce adapter');
+  }
+
+  const platformType = process.env.COMMERCE_ADAPTER || store.platformType || 'woocommerce';
+  const AdapterClass = adapters.get(platformType);
+  if (!AdapterClass) {
+    throw new BadRequestError(
+      `Platform "${platformType}" is not supported yet. Supported platforms: ${getSupportedPlatforms().join(', ')}`
+    );
+  }
+
+  return new AdapterClass(store);
+};
+
+registerCommerceAdapter('woocommerce', WooCommerceService);
+registerCommerceAdapter('shopify', ShopifyService);
+registerCommerceAdapter('memory', InMemoryCommerceService);
+
+module.exports = {
+  registerCommerceAdapter,
+  getCommerceAdapter,
+  isSupportedPlatform,
+  getSupportedPlatforms
+};
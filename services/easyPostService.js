@@ -0,0 +1,153 @@
+const axios = require('axios');
+const CarrierAdapter = require('./carrierAdapter');
+
+const REFUND_STATUSES = { refunded: 'refunded', rejected: 'rejected', not_applicable: 'rejected' };
+const TRACKING_STATUSES = {
+  pre_transit: 'pre_transit',
+  in_transit: 'in_transit',
+  out_for_delivery: 'out_for_delivery',
+  available_for_pickup: 'out_for_delivery',
+  delivered: 'delivered',
+  return_to_sender: 'returned',
+  failure: 'failure',
+  error: 'failure',
+  cancelled: 'failure'
+};
+
+/**
+ * EasyPost API adapter
+ *
+ * A shipment is created per quote; its rates are bought with /shipments/{id}/buy and
+ * unused labels are voided with /shipments/{id}/refund. Tracking comes from the tracker
+ * EasyPost attaches to each bought shipment, polled or pushed as `tracker.updated` events.
+ * account.apiKey is the EasyPost API key (test keys buy test labels).
+ */
+class EasyPostService extends CarrierAdapter {
+  constructor(account) {
+    super(account);
+
+    this.api = axios.create({
+      baseURL: process.env.EASYPOST_API_URL || 'https://api.easypost.com/v2',
+      auth: { username: account.apiKey, password: '' },
+      headers: { 'Content-Type': 'application/json' },
+      timeout: 30000
+    });
+  }
+
+  // Same result shape as the commerce adapters; `normalize` maps the EasyPost body
+  async handleApiCall(apiCall, normalize = data => data) {
+    try {
+      const response = await apiCall();
+      return { success: true, data: normalize(response.data) };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.error?.message || error.response?.data || error.message,
+        statusCode: error.response?.status
+      };
+    }
+  }
+
+  mapAddress(address = {}) {
+    return {
+      name: address.name,
+      company: address.company || undefined,
+      street1: address.address1,
+      street2: address.address2 || undefined,
+      city: address.city,
+      state: address.state,
+      zip: address.postalCode,
+      country: address.country,
+      phone: address.phone || undefined,
+      email: address.email || undefined
+    };
+  }
+
+  normalizeRate(rate, shipmentId) {
+    return {
+      shipmentId,
+      rateId: rate.id,
+      carrier: rate.carrier,
+      service: rate.service,
+      amount: parseFloat(rate.rate) || 0,
+      currency: rate.currency,
+      estimatedDays: rate.delivery_days ?? rate.est_delivery_days ?? null
+    };
+  }
+
+  async getRates(shipment) {
+    const easyPostData = {
+      shipment: {
+        from_address: this.mapAddress(shipment.fromAddress),
+        to_address: this.mapAddress(shipment.toAddress),
+        parcel: shipment.parcel,
+        reference: shipment.reference,
+        options: { label_format: 'PDF' }
+      }
+    };
+    return await this.handleApiCall(
+      () => this.api.post('/shipments', easyPostData),
+      data => (data.rates || []).map(rate => this.normalizeRate(rate, data.id))
+    );
+  }
+
+  async purchaseLabel(shipmentId, rateId) {
+    const result = await this.handleApiCall(() => this.api.post(`/shipments/${shipmentId}/buy`, { rate: { id: rateId } }));
+    if (!result.success) return result;
+
+    const shipment = result.data;
+    const rate = this.normalizeRate(shipment.selected_rate || {}, shipment.id);
+    const labelUrl = shipment.postage_label?.label_pdf_url || shipment.postage_label?.label_url || null;
+    return {
+      success: true,
+      data: {
+        shipmentId: shipment.id,
+        labelId: shipment.id,
+        trackingNumber: shipment.tracking_code,
+        trackingUrl: shipment.tracker?.public_url || null,
+        labelUrl,
+        labelFile: await this.fetchLabelFile(labelUrl),
+        carrier: rate.carrier,
+        service: rate.service,
+        amount: rate.amount,
+        currency: rate.currency
+      }
+    };
+  }
+
+  async voidLabel(label) {
+    return await this.handleApiCall(
+      () => this.api.post(`/shipments/${label.shipmentId}/refund`),
+      data => ({ refundStatus: REFUND_STATUSES[data.refund_status] || 'submitted' })
+    );
+  }
+
+  normalizeTracker(tracker = {}) {
+    const location = (place = {}) => [place.city, place.state, place.zip, place.country].filter(Boolean).join(', ');
+    return {
+      trackingNumber: tracker.tracking_code,
+      status: TRACKING_STATUSES[tracker.status] || 'unknown',
+      estimatedDelivery: tracker.est_delivery_date || null,
+      events: (tracker.tracking_details || []).map(detail => ({
+        status: TRACKING_STATUSES[detail.status] || 'unknown',
+        description: detail.message || detail.description || detail.status,
+        location: location(detail.tracking_location),
+        occurredAt: detail.datetime
+      }))
+    };
+  }
+
+  async getTracking(label) {
+    return await this.handleApiCall(
+      () => this.api.get(`/shipments/${label.shipmentId}`),
+      data => this.normalizeTracker(data.tracker || { tracking_code: label.trackingNumber })
+    );
+  }
+
+  parseTrackingWebhook(payload) {
+    if (payload?.object !== 'Event' || !String(payload.description).startsWith('tracker.')) return null;
+    return this.normalizeTracker(payload.result);
+  }
+}
+
+module.exports = EasyPostService;
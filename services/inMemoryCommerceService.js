@@ -0,0 +1,298 @@
+const fs = require('fs');
+const CommerceAdapter = require('./commerceAdapter');
+const WooCommerceService = require('./wooCommerceService');
+
+// Shared across adapter instances so separate requests against one store see the same data.
+// State lives in the current process/thread only - sync workers start with an empty shop
+// unless COMMERCE_MEMORY_FIXTURES points at a JSON file to seed from.
+const shops = new Map();
+const RESOURCES = ['products', 'customers', 'orders', 'categories', 'variations'];
+
+const wooMappers = WooCommerceService.prototype;
+
+const storeKey = (store) => String(store._id || store.id || store.url || 'default');
+
+const createShop = () => ({
+  nextId: 1,
+  products: new Map(),
+  customers: new Map(),
+  orders: new Map(),
+  categories: new Map(),
+  variations: new Map()
+});
+
+const clone = (record) => JSON.parse(JSON.stringify(record));
+
+/**
+ * In-memory commerce adapter
+ *
+ * Behaves like a WooCommerce shop without any network access so store flows
+ * (create, sync, webhooks) can be exercised in tests and local development.
+ * Select it with store.platformType = 'memory' or COMMERCE_ADAPTER=memory.
+ */
+class InMemoryCommerceService extends CommerceAdapter {
+  constructor(store) {
+    super(store);
+
+    const key = storeKey(store);
+    if (!shops.has(key)) {
+      shops.set(key, createShop());
+      if (process.env.COMMERCE_MEMORY_FIXTURES) {
+        InMemoryCommerceService.seed(store, JSON.parse(fs.readFileSync(process.env.COMMERCE_MEMORY_FIXTURES, 'utf8')));
+      }
+    }
+    this.shop = shops.get(key);
+  }
+
+  // Clear every shop, or only the given store's shop
+  static reset(store) {
+    if (store) shops.delete(storeKey(store));
+    else shops.clear();
+  }
+
+  // Load WooCommerce-shaped records: { products: [...], customers: [...], orders: [...], categories: [...], variations: [...] }
+  // Variations need parent_id set to their product's id
+  static seed(store, fixtures = {}) {
+    const key = storeKey(store);
+    if (!shops.has(key)) shops.set(key, createShop());
+    const shop = shops.get(key);
+
+    RESOURCES.forEach(resource => {
+      (fixtures[resource] || []).forEach(record => {
+        const id = record.id || shop.nextId;
+        shop.nextId = Math.max(shop.nextId, id + 1);
+        shop[resource].set(id, clone({ ...record, id }));
+      });
+    });
+  }
+
+  notFound(resource, remoteId) {
+    return {
+      success: false,
+      error: { code: 'not_found', message: `No ${resource} with id ${remoteId}` },
+      statusCode: 404
+    };
+  }
+
+  insert(resource, data) {
+    const now = new Date().toISOString();
+    const record = { ...clone(data), id: this.shop.nextId++, date_created: now, date_modified: now, date_modified_gmt: now };
+    this.shop[resource].set(record.id, record);
+    return { success: true, data: clone(record) };
+  }
+
+  modify(resource, remoteId, data) {
+    const existing = this.shop[resource].get(Number(remoteId));
+    if (!existing) return this.notFound(resource, remoteId);
+
+    const now = new Date().toISOString();
+    const record = { ...existing, ...clone(data), id: existing.id, date_modified: now, date_modified_gmt: now };
+    this.shop[resource].set(existing.id, record);
+    return { success: true, data: clone(record) };
+  }
+
+  remove(resource, remoteId) {
+    const existing = this.shop[resource].get(Number(remoteId));
+    if (!existing) return this.notFound(resource, remoteId);
+
+    this.shop[resource].delete(existing.id);
+    return { success: true, data: clone(existing) };
+  }
+
+  find(resource, remoteId) {
+    const existing = this.shop[resource].get(Number(remoteId));
+    return existing ? { success: true, data: clone(existing) } : this.notFound(resource, remoteId);
+  }
+
+  list(resource, params = {}) {
+    let records = Array.from(this.shop[resource].values());
+    if (params.modified_after) {
+      const after = new Date(params.modified_after);
+      records = records.filter(record => new Date(record.date_modified_gmt || record.date_modified) > after);
+    }
+    return records.map(clone);
+  }
+
+  // Product methods
+  async createProduct(productData) {
+    const product = this.mapProductToRemote(productData);
+    return this.insert('products', { ...product, price: product.sale_price || product.regular_price });
+  }
+  async updateProduct(remoteId, productData) {
+    const product = this.mapProductToRemote(productData);
+    return this.modify('products', remoteId, { ...product, price: product.sale_price || product.regular_price });
+  }
+  async deleteProduct(remoteId) {
+    return this.remove('products', remoteId);
+  }
+  async getProduct(remoteId) {
+    return this.find('products', remoteId);
+  }
+  async updateProductFields(remoteId, fields) {
+    const existing = this.find('products', remoteId);
+    if (!existing.success) return existing;
+    const product = { ...existing.data, ...fields };
+    return this.modify('products', remoteId, { ...fields, price: product.sale_price || product.regular_price });
+  }
+  async getAllProducts(params = {}) {
+    return this.list('products', params);
+  }
+
+  // Product variation methods - variations are stored flat and filtered by parent_id
+  findVariation(productId, variationId) {
+    const variation = this.shop.variations.get(Number(variationId));
+    return variation && variation.parent_id === Number(productId) ? variation : null;
+  }
+  async createProductVariation(productId, variationData) {
+    const parent = this.shop.products.get(Number(productId));
+    if (!parent) return this.notFound('products', productId);
+
+    const variation = this.mapVariationToRemote(variationData);
+    const result = this.insert('variations', {
+      ...variation,
+      parent_id: parent.id,
+      price: variation.sale_price || variation.regular_price
+    });
+    parent.variations = [...(parent.variations || []), result.data.id];
+    return result;
+  }
+  async updateProductVariation(productId, variationId, variationData) {
+    if (!this.findVariation(productId, variationId)) return this.notFound('variations', variationId);
+
+    const variation = this.mapVariationToRemote(variationData);
+    return this.modify('variations', variationId, { ...variation, price: variation.sale_price || variation.regular_price });
+  }
+  async deleteProductVariation(productId, variationId) {
+    if (!this.findVariation(productId, variationId)) return this.notFound('variations', variationId);
+
+    const parent = this.shop.products.get(Number(productId));
+    if (parent) parent.variations = (parent.variations || []).filter(id => id !== Number(variationId));
+    return this.remove('variations', variationId);
+  }
+  async getProductVariation(productId, variationId) {
+    const variation = this.findVariation(productId, variationId);
+    return variation ? { success: true, data: clone(variation) } : this.notFound('variations', variationId);
+  }
+  async getAllProductVariations(productId, params = {}) {
+    return this.list('variations', params).filter(variation => variation.parent_id === Number(productId));
+  }
+
+  // Customer methods
+  async createCustomer(customerData) {
+    return this.insert('customers', this.mapCustomerToRemote(customerData));
+  }
+  async updateCustomer(remoteId, customerData) {
+    return this.modify('customers', remoteId, this.mapCustomerToRemote(customerData));
+  }
+  async deleteCustomer(remoteId) {
+    return this.remove('customers', remoteId);
+  }
+  async getCustomer(remoteId) {
+    return this.find('customers', remoteId);
+  }
+  async getAllCustomers(params = {}) {
+    return this.list('customers', params);
+  }
+
+  // Order methods
+  async createOrder(orderData) {
+    return this.insert('orders', this.mapOrderToRemote(orderData));
+  }
+  async updateOrder(remoteId, orderData) {
+    return this.modify('orders', remoteId, this.mapOrderToRemote(orderData));
+  }
+  async deleteOrder(remoteId) {
+    return this.remove('orders', remoteId);
+  }
+  async getOrder(remoteId) {
+    return this.find('orders', remoteId);
+  }
+  async getAllOrders(params = {}) {
+    return this.list('orders', params);
+  }
+
+  // Order refund methods - refunds are kept on the order, restocking adds back to its products
+  async createOrderRefund(orderId, refundData) {
+    const order = this.shop.orders.get(Number(orderId));
+    if (!order) return this.notFound('orders', orderId);
+
+    const remoteRefund = this.mapRefundToRemote(refundData);
+    const refund = {
+      id: this.shop.nextId++,
+      date_created: new Date().toISOString(),
+      amount: remoteRefund.amount,
+      reason: remoteRefund.reason,
+      line_items: remoteRefund.line_items
+    };
+
+    if (remoteRefund.api_restock) {
+      remoteRefund.line_items.forEach(refundLine => {
+        const orderLine = (order.line_items || []).find(line => line.id === refundLine.id);
+        const product = orderLine && this.shop.products.get(Number(orderLine.product_id));
+        if (product && product.manage_stock && refundLine.quantity) {
+          product.stock_quantity = (parseInt(product.stock_quantity, 10) || 0) + refundLine.quantity;
+        }
+      });
+    }
+
+    const now = new Date().toISOString();
+    order.refunds = [...(order.refunds || []), { id: refund.id, reason: refund.reason, total: `-${refund.amount}` }];
+    order.date_modified = now;
+    order.date_modified_gmt = now;
+    return { success: true, data: clone(refund) };
+  }
+
+  // Category methods
+  async createCategory(categoryData) {
+    return this.insert('categories', this.mapCategoryToRemote(categoryData));
+  }
+  async updateCategory(remoteId, categoryData) {
+    return this.modify('categories', remoteId, this.mapCategoryToRemote(categoryData));
+  }
+  async deleteCategory(remoteId) {
+    return this.remove('categories', remoteId);
+  }
+  async getCategory(remoteId) {
+    return this.find('categories', remoteId);
+  }
+  async getAllCategories(params = {}) {
+    return this.list('categories', params);
+  }
+
+  // Records are stored in the WooCommerce REST shape, so the WooCommerce mappers are reused
+  mapProductToRemote(localProduct) {
+    return wooMappers.mapProductToWooCommerce.call(this, localProduct);
+  }
+  mapCustomerToRemote(localCustomer) {
+    return wooMappers.mapCustomerToWooCommerce.call(this, localCustomer);
+  }
+  mapOrderToRemote(localOrder) {
+    return wooMappers.mapOrderToWooCommerce.call(this, localOrder);
+  }
+  mapCategoryToRemote(localCategory) {
+    return wooMappers.mapCategoryToWooCommerce.call(this, localCategory);
+  }
+  mapVariationToRemote(localVariation) {
+    return wooMappers.mapVariationToWooCommerce.call(this, localVariation);
+  }
+  mapRefundToRemote(localRefund) {
+    return wooMappers.mapRefundToWooCommerce.call(this, localRefund);
+  }
+  normalizeProduct(remoteProduct) {
+    return remoteProduct;
+  }
+  normalizeVariation(remoteVariation) {
+    return remoteVariation;
+  }
+  normalizeCustomer(remoteCustomer) {
+    return remoteCustomer;
+  }
+  normalizeOrder(remoteOrder) {
+    return remoteOrder;
+  }
+  normalizeCategory(remoteCategory) {
+    return remoteCategory;
+  }
+}
+
+module.exports = InMemoryCommerceService;
@@ -41,6 +41,11 @@ class SendGridService {
       if (emailData.replyTo) {
         msg.replyTo = emailData.replyTo;
       }
+
+      // Add attachments if provided ([{ content (base64), filename, type }])
+      if (emailData.attachments?.length) {
+        msg.attachments = emailData.attachments.map(attachment => ({ disposition: 'attachment', ...attachment }));
+      }
       
       // Send email via SendGrid
       const response = await sgMail.send(msg);
@@ -0,0 +1,170 @@
+const axios = require('axios');
+const CarrierAdapter = require('./carrierAdapter');
+
+const REFUND_STATUSES = { SUCCESS: 'refunded', ERROR: 'rejected' };
+const TRACKING_STATUSES = {
+  PRE_TRANSIT: 'pre_transit',
+  TRANSIT: 'in_transit',
+  DELIVERED: 'delivered',
+  RETURNED: 'returned',
+  FAILURE: 'failure'
+};
+
+/**
+ * Shippo API adapter
+ *
+ * Rates come from a synchronous shipment, a label is a transaction bought for one rate,
+ * and voiding a label is a refund of that transaction. Tracking is read from /tracks
+ * or pushed as `track_updated` webhooks. account.apiKey is the Shippo API token.
+ */
+class ShippoService extends CarrierAdapter {
+  constructor(account) {
+    super(account);
+
+    this.api = axios.create({
+      baseURL: process.env.SHIPPO_API_URL || 'https://api.goshippo.com',
+      headers: {
+        Authorization: `ShippoToken ${account.apiKey}`,
+        'Content-Type': 'application/json'
+      },
+      timeout: 30000
+    });
+  }
+
+  // Same result shape as the commerce adapters; `normalize` maps the Shippo body
+  async handleApiCall(apiCall, normalize = data => data) {
+    try {
+      const response = await apiCall();
+      return { success: true, data: normalize(response.data) };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data?.detail || error.response?.data || error.message,
+        statusCode: error.response?.status
+      };
+    }
+  }
+
+  mapAddress(address = {}) {
+    return {
+      name: address.name,
+      company: address.company || undefined,
+      street1: address.address1,
+      street2: address.address2 || undefined,
+      city: address.city,
+      state: address.state,
+      zip: address.postalCode,
+      country: address.country,
+      phone: address.phone || undefined,
+      email: address.email || undefined
+    };
+  }
+
+  normalizeRate(rate) {
+    return {
+      shipmentId: rate.shipment,
+      rateId: rate.object_id,
+      carrier: rate.provider,
+      service: rate.servicelevel?.name || rate.servicelevel?.token,
+      amount: parseFloat(rate.amount) || 0,
+      currency: rate.currency,
+      estimatedDays: rate.estimated_days ?? null
+    };
+  }
+
+  async getRates(shipment) {
+    const shippoData = {
+      address_from: this.mapAddress(shipment.fromAddress),
+      address_to: this.mapAddress(shipment.toAddress),
+      parcels: [{
+        length: String(shipment.parcel.length),
+        width: String(shipment.parcel.width),
+        height: String(shipment.parcel.height),
+        distance_unit: 'in',
+        weight: String(shipment.parcel.weight),
+        mass_unit: 'oz'
+      }],
+      metadata: shipment.reference,
+      async: false
+    };
+    return await this.handleApiCall(
+      () => this.api.post('/shipments/', shippoData),
+      data => (data.rates || []).map(rate => this.normalizeRate({ ...rate, shipment: rate.shipment || data.object_id }))
+    );
+  }
+
+  async purchaseLabel(shipmentId, rateId) {
+    const rate = await this.handleApiCall(() => this.api.get(`/rates/${rateId}`), data => this.normalizeRate(data));
+    if (!rate.success) return rate;
+
+    const result = await this.handleApiCall(() => this.api.post('/transactions/', { rate: rateId, label_file_type: 'PDF', async: false }));
+    if (!result.success) return result;
+
+    const transaction = result.data;
+    if (transaction.status !== 'SUCCESS') {
+      const messages = (transaction.messages || []).map(message => message.text).filter(Boolean);
+      return { success: false, error: messages.join('; ') || `Label purchase ${String(transaction.status).toLowerCase()}`, statusCode: 422 };
+    }
+
+    return {
+      success: true,
+      data: {
+        shipmentId: shipmentId || rate.data.shipmentId,
+        labelId: transaction.object_id,
+        trackingNumber: transaction.tracking_number,
+        trackingUrl: transaction.tracking_url_provider || null,
+        labelUrl: transaction.label_url,
+        labelFile: await this.fetchLabelFile(transaction.label_url),
+        carrier: rate.data.carrier,
+        service: rate.data.service,
+        amount: rate.data.amount,
+        currency: rate.data.currency
+      }
+    };
+  }
+
+  async voidLabel(label) {
+    return await this.handleApiCall(
+      () => this.api.post('/refunds/', { transaction: label.labelId, async: false }),
+      data => ({ refundStatus: REFUND_STATUSES[data.status] || 'submitted' })
+    );
+  }
+
+  normalizeTrackingEvent(event = {}) {
+    const place = event.location || {};
+    // Shippo reports "out for delivery" as a TRANSIT substatus
+    const status = event.substatus?.code === 'out_for_delivery' ? 'out_for_delivery' : (TRACKING_STATUSES[event.status] || 'unknown');
+    return {
+      status,
+      description: event.status_details || event.status,
+      location: [place.city, place.state, place.zip, place.country].filter(Boolean).join(', '),
+      occurredAt: event.status_date
+    };
+  }
+
+  normalizeTrack(track = {}) {
+    const current = track.tracking_status ? this.normalizeTrackingEvent(track.tracking_status) : null;
+    return {
+      trackingNumber: track.tracking_number,
+      status: current?.status || 'unknown',
+      estimatedDelivery: track.eta || null,
+      events: (track.tracking_history || []).map(event => this.normalizeTrackingEvent(event))
+    };
+  }
+
+  // Shippo carrier tokens are the lower-cased carrier names it reports on rates (usps, ups, fedex, ...)
+  async getTracking(label) {
+    const carrier = String(label.carrier || '').toLowerCase().replace(/\s+/g, '_');
+    return await this.handleApiCall(
+      () => this.api.get(`/tracks/${carrier}/${encodeURIComponent(label.trackingNumber)}`),
+      data => this.normalizeTrack(data)
+    );
+  }
+
+  parseTrackingWebhook(payload) {
+    if (payload?.event !== 'track_updated' || !payload.data) return null;
+    return this.normalizeTrack(payload.data);
+  }
+}
+
+module.exports = ShippoService;
@@ -0,0 +1,722 @@
+const axios = require('axios');
+const crypto = require('crypto');
+const CommerceAdapter = require('./commerceAdapter');
+
+const SHOPIFY_API_VERSION = process.env.SHOPIFY_API_VERSION || '2024-04';
+
+/**
+ * Shopify Admin REST API adapter
+ *
+ * Store credentials are reused as follows:
+ *   store.url       - https://{shop}.myshopify.com
+ *   store.apiKey    - Admin API access token
+ *   store.secretKey - App API secret key (used to sign webhooks)
+ *
+ * Remote records are normalized into the WooCommerce REST shape so the existing
+ * sync workers and webhook processors can store them without a second code path.
+ * Custom collections stand in for WooCommerce product categories.
+ */
+class ShopifyService extends CommerceAdapter {
+  constructor(store) {
+    super(store);
+
+    const shopUrl = (store.url || '').replace(/\/+$/, '');
+    this.shopUrl = /^https?:\/\//.test(shopUrl) ? shopUrl : `https://${shopUrl}`;
+
+    this.api = axios.create({
+      baseURL: `${this.shopUrl}/admin/api/${SHOPIFY_API_VERSION}`,
+      headers: {
+        'X-Shopify-Access-Token': store.apiKey,
+        'Content-Type': 'application/json'
+      },
+      timeout: 30000
+    });
+  }
+
+  // Helper method to handle API errors (same result shape as WooCommerceService)
+  // `normalize` unwraps Shopify's { product: {...} } envelopes into the shared record shape
+  async handleApiCall(apiCall, normalize = data => data) {
+    try {
+      const response = await apiCall();
+      return { success: true, data: normalize(response.data) };
+    } catch (error) {
+      return {
+        success: false,
+        error: error.response?.data || error.message,
+        statusCode: error.response?.status
+      };
+    }
+  }
+
+  // Extract the cursor for the next page from Shopify's Link header
+  getNextPageInfo(linkHeader) {
+    if (!linkHeader) return null;
+    const nextLink = linkHeader.split(',').find(part => part.includes('rel="next"'));
+    if (!nextLink) return null;
+    const match = nextLink.match(/page_info=([^&>]+)/);
+    return match ? match[1] : null;
+  }
+
+  // Fetch every page of a resource. Throws on API errors so callers can report them.
+  async fetchAll(resource, params = {}) {
+    const records = [];
+    let pageInfo = null;
+
+    do {
+      // Shopify rejects filter params once a page_info cursor is supplied
+      const query = pageInfo ? { limit: 250, page_info: pageInfo } : { limit: 250, ...params };
+      const response = await this.api.get(`${resource}.json`, { params: query });
+      records.push(...(response.data[resource] || []));
+      pageInfo = this.getNextPageInfo(response.headers?.link);
+    } while (pageInfo);
+
+    return records;
+  }
+
+  async getShop() {
+    const response = await this.api.get('shop.json');
+    return response.data.shop;
+  }
+
+  // Translate the shared modified_after filter into Shopify's updated_at_min
+  toShopifyParams(params = {}) {
+    const { modified_after: modifiedAfter, ...query } = params;
+    return modifiedAfter ? { ...query, updated_at_min: modifiedAfter } : query;
+  }
+
+  // Bulk fetch methods used by the sync workers (WooCommerce-shaped results)
+  async getAllProducts(params = {}) {
+    const shop = await this.getShop();
+    const products = await this.fetchAll('products', this.toShopifyParams(params));
+    return products.map(product => this.mapShopifyProductToWooCommerce(product, shop.currency));
+  }
+  async getAllCustomers(params = {}) {
+    const customers = await this.fetchAll('customers', this.toShopifyParams(params));
+    return customers.map(customer => this.mapShopifyCustomerToWooCommerce(customer));
+  }
+  async getAllOrders(params = {}) {
+    const orders = await this.fetchAll('orders', { status: 'any', ...this.toShopifyParams(params) });
+    return orders.map(order => this.mapShopifyOrderToWooCommerce(order));
+  }
+
+  async getAllCategories(params = {}) {
+    const collections = await this.fetchAll('custom_collections', this.toShopifyParams(params));
+    return collections.map(collection => this.mapShopifyCollectionToWooCommerce(collection));
+  }
+  // Variants come with their product, which also carries the option names
+  async getAllProductVariations(productId, params = {}) {
+    const response = await this.api.get(`products/${productId}.json`);
+    const product = response.data.product;
+    let variants = product.variants || [];
+    if (params.modified_after) {
+      const since = new Date(params.modified_after);
+      variants = variants.filter(variant => new Date(variant.updated_at) > since);
+    }
+    return variants.map(variant => this.mapShopifyVariantToWooCommerce(variant, product.options));
+  }
+
+  // Product methods
+  async createProduct(productData) {
+    const shopifyData = this.mapProductToShopify(productData);
+    return await this.handleApiCall(() => this.api.post('products.json', shopifyData), data => this.mapShopifyProductToWooCommerce(data.product));
+  }
+  // `variants` and `images` lists without ids replace what the product has, so the product PUT
+  // carries neither. Price, SKU and weight go to the existing variant by id; variable products
+  // keep their variants' own values, which are pushed as variations.
+  async updateProduct(shopifyId, productData) {
+    const { product: { variants: [variantData], images, ...productFields } } = this.mapProductToShopify(productData);
+
+    if (productData.type !== 'variable') {
+      const current = await this.handleApiCall(() => this.api.get(`products/${shopifyId}.json`), data => data.product);
+      if (!current.success) return current;
+      const variants = current.data.variants || [];
+      if (variants.length === 1) {
+        const result = await this.handleApiCall(() => this.api.put(`variants/${variants[0].id}.json`, { variant: { id: variants[0].id, ...variantData } }));
+        if (!result.success) return result;
+      }
+    }
+
+    return await this.handleApiCall(() => this.api.put(`products/${shopifyId}.json`, { product: { id: shopifyId, ...productFields } }), data => this.mapShopifyProductToWooCommerce(data.product));
+  }
+  async deleteProduct(shopifyId) {
+    return await this.handleApiCall(() => this.api.delete(`products/${shopifyId}.json`), () => ({ id: shopifyId }));
+  }
+  async getProduct(shopifyId) {
+    return await this.handleApiCall(() => this.api.get(`products/${shopifyId}.json`), data => this.mapShopifyProductToWooCommerce(data.product));
+  }
+  // Price, SKU and stock tracking live on the first variant. Stock levels are per location
+  // in Shopify and cannot be set through a variant, so stock_quantity is left out.
+  async updateProductFields(shopifyId, fields) {
+    const product = await this.handleApiCall(() => this.api.get(`products/${shopifyId}.json`), data => data.product);
+    if (!product.success) return product;
+    const variant = product.data.variants?.[0];
+    if (!variant) return { success: false, error: 'Product has no variant to update', statusCode: 422 };
+
+    const update = { id: variant.id };
+    if (fields.regular_price !== undefined || fields.sale_price !== undefined) {
+      const regularPrice = fields.regular_price ?? (variant.compare_at_price || variant.price);
+      update.price = String(fields.sale_price || regularPrice);
+      update.compare_at_price = fields.sale_price ? String(regularPrice) : null;
+    }
+    if (fields.sku !== undefined) update.sku = fields.sku;
+    if (fields.manage_stock !== undefined) update.inventory_management = fields.manage_stock ? 'shopify' : null;
+
+    if (Object.keys(update).length > 1) {
+      const result = await this.handleApiCall(() => this.api.put(`variants/${variant.id}.json`, { variant: update }));
+      if (!result.success) return result;
+    }
+    return await this.getProduct(shopifyId);
+  }
+
+  // Product variation methods (Shopify variants)
+  async createProductVariation(shopifyProductId, variationData) {
+    const shopifyData = this.mapVariationToShopify(variationData);
+    return await this.handleApiCall(() => this.api.post(`products/${shopifyProductId}/variants.json`, shopifyData), data => this.mapShopifyVariantToWooCommerce(data.variant));
+  }
+  async updateProductVariation(shopifyProductId, shopifyVariantId, variationData) {
+    const shopifyData = this.mapVariationToShopify(variationData);
+    return await this.handleApiCall(() => this.api.put(`variants/${shopifyVariantId}.json`, shopifyData), data => this.mapShopifyVariantToWooCommerce(data.variant));
+  }
+  async deleteProductVariation(shopifyProductId, shopifyVariantId) {
+    return await this.handleApiCall(() => this.api.delete(`products/${shopifyProductId}/variants/${shopifyVariantId}.json`), () => ({ id: shopifyVariantId, parent_id: shopifyProductId }));
+  }
+  async getProductVariation(shopifyProductId, shopifyVariantId) {
+    return await this.handleApiCall(() => this.api.get(`variants/${shopifyVariantId}.json`), data => this.mapShopifyVariantToWooCommerce(data.variant));
+  }
+
+  // Customer methods
+  async createCustomer(customerData) {
+    const shopifyData = this.mapCustomerToShopify(customerData);
+    return await this.handleApiCall(() => this.api.post('customers.json', shopifyData), data => this.mapShopifyCustomerToWooCommerce(data.customer));
+  }
+  async updateCustomer(shopifyId, customerData) {
+    const shopifyData = this.mapCustomerToShopify(customerData);
+    return await this.handleApiCall(() => this.api.put(`customers/${shopifyId}.json`, shopifyData), data => this.mapShopifyCustomerToWooCommerce(data.customer));
+  }
+  async deleteCustomer(shopifyId) {
+    return await this.handleApiCall(() => this.api.delete(`customers/${shopifyId}.json`), () => ({ id: shopifyId }));
+  }
+  async getCustomer(shopifyId) {
+    return await this.handleApiCall(() => this.api.get(`customers/${shopifyId}.json`), data => this.mapShopifyCustomerToWooCommerce(data.customer));
+  }
+
+  // Order methods
+  async createOrder(orderData) {
+    const shopifyData = this.mapOrderToShopify(orderData);
+    return await this.handleApiCall(() => this.api.post('orders.json', shopifyData), data => this.mapShopifyOrderToWooCommerce(data.order));
+  }
+  async updateOrder(shopifyId, orderData) {
+    // Shopify only allows a handful of order fields to change after creation
+    const { order } = this.mapOrderToShopify(orderData);
+    const shopifyData = { order: { id: shopifyId, email: order.email, note: order.note, tags: order.tags, shipping_address: order.shipping_address } };
+    return await this.handleApiCall(() => this.api.put(`orders/${shopifyId}.json`, shopifyData), data => this.mapShopifyOrderToWooCommerce(data.order));
+  }
+  async deleteOrder(shopifyId) {
+    return await this.handleApiCall(() => this.api.delete(`orders/${shopifyId}.json`), () => ({ id: shopifyId }));
+  }
+  async getOrder(shopifyId) {
+    return await this.handleApiCall(() => this.api.get(`orders/${shopifyId}.json`), data => this.mapShopifyOrderToWooCommerce(data.order));
+  }
+
+  // Order refund methods. Returning money needs the order's captured transaction as the parent.
+  async createOrderRefund(shopifyOrderId, refundData) {
+    let restockLocations = null;
+    if (refundData.restock) {
+      restockLocations = await this.getRestockLocations(shopifyOrderId);
+      if (!restockLocations.success) return restockLocations;
+      restockLocations = restockLocations.data;
+    }
+    const shopifyData = this.mapRefundToShopify(refundData, restockLocations);
+    if (refundData.refundPayment) {
+      const transactions = await this.handleApiCall(() => this.api.get(`orders/${shopifyOrderId}/transactions.json`), data => data.transactions || []);
+      if (!transactions.success) return transactions;
+
+      const parent = transactions.data.find(transaction => ['sale', 'capture'].includes(transaction.kind) && transaction.status === 'success');
+      if (!parent) {
+        return { success: false, error: 'Order has no captured payment to refund', statusCode: 422 };
+      }
+      shopifyData.refund.transactions = [{
+        parent_id: parent.id,
+        amount: (Number(refundData.amount) || 0).toFixed(2),
+        kind: 'refund',
+        gateway: parent.gateway
+      }];
+    }
+    return await this.handleApiCall(() => this.api.post(`orders/${shopifyOrderId}/refunds.json`, shopifyData), data => this.mapShopifyRefundToWooCommerce(data.refund));
+  }
+
+  // Returned items go back to the location that fulfilled them; unfulfilled ones to the shop's primary location
+  async getRestockLocations(shopifyOrderId) {
+    const fulfillments = await this.handleApiCall(() => this.api.get(`orders/${shopifyOrderId}/fulfillments.json`), data => data.fulfillments || []);
+    if (!fulfillments.success) return fulfillments;
+
+    const byLineItem = {};
+    fulfillments.data
+      .filter(fulfillment => fulfillment.location_id && fulfillment.status !== 'cancelled')
+      .forEach(fulfillment => (fulfillment.line_items || []).forEach(item => {
+        byLineItem[item.id] = fulfillment.location_id;
+      }));
+
+    const shop = await this.handleApiCall(() => this.api.get('shop.json', { params: { fields: 'primary_location_id' } }), data => data.shop || {});
+    if (!shop.success) return shop;
+    return { success: true, data: { byLineItem, defaultLocationId: shop.data.primary_location_id || null } };
+  }
+
+  // Category methods (custom collections)
+  async createCategory(categoryData) {
+    const shopifyData = this.mapCategoryToShopify(categoryData);
+    return await this.handleApiCall(() => this.api.post('custom_collections.json', shopifyData), data => this.mapShopifyCollectionToWooCommerce(data.custom_collection));
+  }
+  async updateCategory(shopifyId, categoryData) {
+    const shopifyData = this.mapCategoryToShopify(categoryData);
+    return await this.handleApiCall(() => this.api.put(`custom_collections/${shopifyId}.json`, shopifyData), data => this.mapShopifyCollectionToWooCommerce(data.custom_collection));
+  }
+  async deleteCategory(shopifyId) {
+    return await this.handleApiCall(() => this.api.delete(`custom_collections/${shopifyId}.json`), () => ({ id: shopifyId }));
+  }
+  async getCategory(shopifyId) {
+    return await this.handleApiCall(() => this.api.get(`custom_collections/${shopifyId}.json`), data => this.mapShopifyCollectionToWooCommerce(data.custom_collection));
+  }
+
+  // Adapter contract
+  mapProductToRemote(localProduct) {
+    return this.mapProductToShopify(localProduct);
+  }
+  mapCustomerToRemote(localCustomer) {
+    return this.mapCustomerToShopify(localCustomer);
+  }
+  mapOrderToRemote(localOrder) {
+    return this.mapOrderToShopify(localOrder);
+  }
+  mapCategoryToRemote(localCategory) {
+    return this.mapCategoryToShopify(localCategory);
+  }
+  mapVariationToRemote(localVariation) {
+    return this.mapVariationToShopify(localVariation);
+  }
+  mapRefundToRemote(localRefund, restockLocations) {
+    return this.mapRefundToShopify(localRefund, restockLocations);
+  }
+  normalizeProduct(shopifyProduct) {
+    return this.mapShopifyProductToWooCommerce(shopifyProduct, shopifyProduct.currency);
+  }
+  normalizeCustomer(shopifyCustomer) {
+    return this.mapShopifyCustomerToWooCommerce(shopifyCustomer);
+  }
+  normalizeOrder(shopifyOrder) {
+    return this.mapShopifyOrderToWooCommerce(shopifyOrder);
+  }
+  normalizeCategory(shopifyCollection) {
+    return this.mapShopifyCollectionToWooCommerce(shopifyCollection);
+  }
+  normalizeVariation(shopifyVariant) {
+    return this.mapShopifyVariantToWooCommerce(shopifyVariant);
+  }
+
+  // Webhook methods
+  async createWebhook(topic, address) {
+    return await this.handleApiCall(() => this.api.post('webhooks.json', {
+      webhook: { topic, address, format: 'json' }
+    }));
+  }
+  async deleteWebhook(shopifyWebhookId) {
+    return await this.handleApiCall(() => this.api.delete(`webhooks/${shopifyWebhookId}.json`));
+  }
+
+  // Data mapping methods - Local to Shopify
+  mapProductToShopify(localProduct) {
+    return {
+      product: {
+        title: localProduct.name,
+        body_html: localProduct.description || '',
+        handle: localProduct.slug || undefined,
+        product_type: localProduct.categories?.[0]?.name || '',
+        status: localProduct.status === 'publish' ? 'active' : 'draft',
+        tags: (localProduct.tags || []).map(tag => tag.name).filter(Boolean).join(', '),
+        variants: [{
+          sku: localProduct.sku || '',
+          price: localProduct.sale_price ? localProduct.sale_price.toString() : (localProduct.price ? localProduct.price.toString() : '0'),
+          compare_at_price: localProduct.sale_price && localProduct.regular_price ? localProduct.regular_price.toString() : null,
+          inventory_management: localProduct.manage_stock ? 'shopify' : null,
+          weight: localProduct.weight ? parseFloat(localProduct.weight) : undefined
+        }],
+        images: (localProduct.images || []).map(image => ({ src: image.src, alt: image.alt || undefined }))
+      }
+    };
+  }
+  // Shopify works out line and tax amounts itself from the refunded quantities.
+  // Restocked lines need a location; `restockLocations` comes from getRestockLocations.
+  mapRefundToShopify(localRefund, restockLocations = null) {
+    return {
+      refund: {
+        note: localRefund.reason || '',
+        notify: false,
+        shipping: localRefund.shippingAmount > 0 ? { amount: Number(localRefund.shippingAmount).toFixed(2) } : undefined,
+        refund_line_items: (localRefund.lineItems || [])
+          .filter(item => item.remoteLineItemId && item.quantity > 0)
+          .map(item => ({
+            line_item_id: item.remoteLineItemId,
+            quantity: item.quantity,
+            restock_type: localRefund.restock ? 'return' : 'no_restock',
+            location_id: localRefund.restock
+              ? restockLocations?.byLineItem?.[item.remoteLineItemId] || restockLocations?.defaultLocationId || undefined
+              : undefined
+          })),
+        transactions: []
+      }
+    };
+  }
+  // Attributes map onto option1..option3 in order
+  mapVariationToShopify(localVariation) {
+    const regularPrice = localVariation.regular_price ?? localVariation.price;
+    const options = (localVariation.attributes || []).slice(0, 3).reduce((result, attribute, index) => ({
+      ...result,
+      [`option${index + 1}`]: attribute.option
+    }), {});
+
+    return {
+      variant: {
+        ...options,
+        sku: localVariation.sku || '',
+        price: localVariation.sale_price ? localVariation.sale_price.toString() : (regularPrice != null ? regularPrice.toString() : '0'),
+        compare_at_price: localVariation.sale_price && regularPrice ? regularPrice.toString() : null,
+        inventory_management: localVariation.manage_stock ? 'shopify' : null,
+        inventory_policy: localVariation.backorders && localVariation.backorders !== 'no' ? 'continue' : 'deny',
+        weight: localVariation.weight ? parseFloat(localVariation.weight) : undefined,
+        position: localVariation.menu_order || undefined
+      }
+    };
+  }
+  mapCustomerToShopify(localCustomer) {
+    return {
+      customer: {
+        email: localCustomer.email,
+        first_name: localCustomer.first_name || '',
+        last_name: localCustomer.last_name || '',
+        phone: localCustomer.billing?.phone || undefined,
+        addresses: localCustomer.billing?.address_1 ? [this.mapAddressToShopify(localCustomer.billing)] : []
+      }
+    };
+  }
+  mapOrderToShopify(localOrder) {
+    return {
+      order: {
+        email: localOrder.billing?.email || undefined,
+        currency: localOrder.currency || 'USD',
+        financial_status: localOrder.date_paid ? 'paid' : 'pending',
+        note: localOrder.customer_note || '',
+        tags: '',
+        billing_address: localOrder.billing ? this.mapAddressToShopify(localOrder.billing) : undefined,
+        shipping_address: localOrder.shipping ? this.mapAddressToShopify(localOrder.shipping) : undefined,
+        line_items: (localOrder.line_items || []).map(item => ({
+          title: item.name,
+          quantity: item.quantity,
+          price: item.price?.toString() || '0',
+          sku: item.sku || undefined
+        })),
+        shipping_lines: (localOrder.shipping_lines || []).map(line => ({
+          title: line.method_title,
+          price: line.total
+        }))
+      }
+    };
+  }
+  mapCategoryToShopify(localCategory) {
+    return {
+      custom_collection: {
+        title: localCategory.name,
+        body_html: localCategory.description || '',
+        image: localCategory.image && localCategory.image.src ? {
+          src: localCategory.image.src,
+          alt: localCategory.image.alt || localCategory.name
+        } : undefined,
+        sort_order: 'manual'
+      }
+    };
+  }
+  mapAddressToShopify(address) {
+    return {
+      first_name: address.first_name || '',
+      last_name: address.last_name || '',
+      company: address.company || '',
+      address1: address.address_1 || '',
+      address2: address.address_2 || '',
+      city: address.city || '',
+      province_code: address.state || '',
+      zip: address.postcode || '',
+      country_code: address.country || '',
+      phone: address.phone || ''
+    };
+  }
+
+  // Data mapping methods - Shopify to WooCommerce shape
+  mapAddressToWooCommerce(address, email) {
+    const mapped = {
+      first_name: address?.first_name || '',
+      last_name: address?.last_name || '',
+      company: address?.company || '',
+      address_1: address?.address1 || '',
+      address_2: address?.address2 || '',
+      city: address?.city || '',
+      state: address?.province_code || address?.province || '',
+      postcode: address?.zip || '',
+      country: address?.country_code || '',
+      phone: address?.phone || ''
+    };
+    if (email !== undefined) mapped.email = email || '';
+    return mapped;
+  }
+  mapShopifyStatusToWooCommerce(shopifyOrder) {
+    if (shopifyOrder.cancelled_at) return 'cancelled';
+    if (shopifyOrder.financial_status === 'refunded') return 'refunded';
+    if (shopifyOrder.fulfillment_status === 'fulfilled') return 'completed';
+    if (['paid', 'partially_paid', 'partially_refunded'].includes(shopifyOrder.financial_status)) return 'processing';
+    if (['pending', 'authorized'].includes(shopifyOrder.financial_status)) return 'pending';
+    return 'on-hold';
+  }
+  mapShopifyProductToWooCommerce(shopifyProduct, currency) {
+    const variants = shopifyProduct.variants || [];
+    const firstVariant = variants[0] || {};
+    const manageStock = variants.some(variant => variant.inventory_management === 'shopify');
+    const stockQuantity = variants.reduce((sum, variant) => sum + (Number(variant.inventory_quantity) || 0), 0);
+    const onSale = !!firstVariant.compare_at_price && parseFloat(firstVariant.compare_at_price) > parseFloat(firstVariant.price);
+    const statusMap = { active: 'publish', draft: 'draft', archived: 'private' };
+
+    return {
+      id: shopifyProduct.id,
+      name: shopifyProduct.title,
+      slug: shopifyProduct.handle,
+      permalink: `${this.shopUrl}/products/${shopifyProduct.handle}`,
+      date_created: shopifyProduct.created_at,
+      date_modified: shopifyProduct.updated_at,
+      date_modified_gmt: shopifyProduct.updated_at,
+      type: variants.length > 1 ? 'variable' : 'simple',
+      status: statusMap[shopifyProduct.status] || 'draft',
+      featured: false,
+      catalog_visibility: shopifyProduct.published_at ? 'visible' : 'hidden',
+      description: shopifyProduct.body_html || '',
+      short_description: '',
+      sku: firstVariant.sku || '',
+      price: firstVariant.price,
+      regular_price: onSale ? firstVariant.compare_at_price : firstVariant.price,
+      sale_price: onSale ? firstVariant.price : '',
+      on_sale: onSale,
+      purchasable: shopifyProduct.status === 'active',
+      currency,
+      manage_stock: manageStock,
+      stock_quantity: manageStock ? stockQuantity : null,
+      stock_status: !manageStock || stockQuantity > 0 ? 'instock' : 'outofstock',
+      backorders: variants.some(variant => variant.inventory_policy === 'continue') ? 'yes' : 'no',
+      backorders_allowed: variants.some(variant => variant.inventory_policy === 'continue'),
+      weight: firstVariant.weight != null ? firstVariant.weight.toString() : null,
+      dimensions: { length: null, width: null, height: null },
+      shipping_required: firstVariant.requires_shipping !== false,
+      shipping_taxable: firstVariant.taxable !== false,
+      categories: shopifyProduct.product_type ? [{
+        id: 0,
+        name: shopifyProduct.product_type,
+        slug: shopifyProduct.product_type.toLowerCase().replace(/[^a-z0-9]+/g, '-')
+      }] : [],
+      tags: (shopifyProduct.tags || '').split(',').map(tag => tag.trim()).filter(Boolean).map(name => ({ name })),
+      images: (shopifyProduct.images || []).map(image => ({
+        id: image.id,
+        date_created: image.created_at,
+        src: image.src,
+        alt: image.alt || null
+      })),
+      attributes: (shopifyProduct.options || []).map(option => ({
+        id: option.id,
+        name: option.name,
+        position: option.position,
+        variation: variants.length > 1,
+        options: option.values
+      })),
+      variations: variants.map(variant => variant.id),
+      meta_data: [{ key: '_shopify_vendor', value: shopifyProduct.vendor || '' }]
+    };
+  }
+  // `options` are the product's option definitions; without them attributes are named Option 1..3
+  mapShopifyVariantToWooCommerce(shopifyVariant, options = []) {
+    const manageStock = shopifyVariant.inventory_management === 'shopify';
+    const stockQuantity = Number(shopifyVariant.inventory_quantity) || 0;
+    const onSale = !!shopifyVariant.compare_at_price && parseFloat(shopifyVariant.compare_at_price) > parseFloat(shopifyVariant.price);
+
+    return {
+      id: shopifyVariant.id,
+      parent_id: shopifyVariant.product_id,
+      date_created: shopifyVariant.created_at,
+      date_modified: shopifyVariant.updated_at,
+      date_modified_gmt: shopifyVariant.updated_at,
+      description: '',
+      sku: shopifyVariant.sku || '',
+      price: shopifyVariant.price,
+      regular_price: onSale ? shopifyVariant.compare_at_price : shopifyVariant.price,
+      sale_price: onSale ? shopifyVariant.price : '',
+      on_sale: onSale,
+      status: 'publish',
+      manage_stock: manageStock,
+      stock_quantity: manageStock ? stockQuantity : null,
+      stock_status: !manageStock || stockQuantity > 0 ? 'instock' : 'outofstock',
+      backorders: shopifyVariant.inventory_policy === 'continue' ? 'yes' : 'no',
+      weight: shopifyVariant.weight != null ? shopifyVariant.weight.toString() : null,
+      dimensions: { length: null, width: null, height: null },
+      image: shopifyVariant.image_id ? { id: shopifyVariant.image_id } : null,
+      attributes: [1, 2, 3]
+        .filter(position => shopifyVariant[`option${position}`] != null)
+        .map(position => {
+          const option = options.find(candidate => candidate.position === position);
+          return {
+            id: option ? option.id : 0,
+            name: option ? option.name : `Option ${position}`,
+            option: shopifyVariant[`option${position}`]
+          };
+        }),
+      menu_order: shopifyVariant.position || 0
+    };
+  }
+  mapShopifyCollectionToWooCommerce(shopifyCollection) {
+    return {
+      id: shopifyCollection.id,
+      name: shopifyCollection.title,
+      slug: shopifyCollection.handle,
+      parent: 0,
+      description: shopifyCollection.body_html || '',
+      display: 'default',
+      image: shopifyCollection.image ? {
+        src: shopifyCollection.image.src,
+        alt: shopifyCollection.image.alt || shopifyCollection.title
+      } : null,
+      menu_order: 0,
+      count: shopifyCollection.products_count || 0,
+      date_modified_gmt: shopifyCollection.updated_at
+    };
+  }
+  mapShopifyCustomerToWooCommerce(shopifyCustomer) {
+    const address = shopifyCustomer.default_address || {};
+    return {
+      id: shopifyCustomer.id,
+      date_created: shopifyCustomer.created_at,
+      date_created_gmt: shopifyCustomer.created_at,
+      date_modified: shopifyCustomer.updated_at,
+      date_modified_gmt: shopifyCustomer.updated_at,
+      email: shopifyCustomer.email,
+      first_name: shopifyCustomer.first_name || '',
+      last_name: shopifyCustomer.last_name || '',
+      role: 'customer',
+      username: shopifyCustomer.email || '',
+      billing: this.mapAddressToWooCommerce({ phone: shopifyCustomer.phone, ...address }, shopifyCustomer.email),
+      shipping: this.mapAddressToWooCommerce(address),
+      is_paying_customer: Number(shopifyCustomer.orders_count) > 0,
+      avatar_url: '',
+      meta_data: [{ key: '_shopify_tags', value: shopifyCustomer.tags || '' }]
+    };
+  }
+  mapShopifyOrderToWooCommerce(shopifyOrder) {
+    const shippingLines = shopifyOrder.shipping_lines || [];
+    const shippingTotal = shippingLines.reduce((sum, line) => sum + (parseFloat(line.price) || 0), 0);
+
+    return {
+      id: shopifyOrder.id,
+      parent_id: 0,
+      number: shopifyOrder.order_number?.toString(),
+      order_key: shopifyOrder.token,
+      status: this.mapShopifyStatusToWooCommerce(shopifyOrder),
+      currency: shopifyOrder.currency,
+      prices_include_tax: !!shopifyOrder.taxes_included,
+      date_created: shopifyOrder.created_at,
+      date_created_gmt: shopifyOrder.created_at,
+      date_modified: shopifyOrder.updated_at,
+      date_modified_gmt: shopifyOrder.updated_at,
+      discount_total: shopifyOrder.total_discounts || '0.00',
+      discount_tax: '0.00',
+      shipping_total: shippingTotal.toFixed(2),
+      shipping_tax: '0.00',
+      cart_tax: shopifyOrder.total_tax || '0.00',
+      total: shopifyOrder.total_price || '0.00',
+      total_tax: shopifyOrder.total_tax || '0.00',
+      customer_id: shopifyOrder.customer ? shopifyOrder.customer.id : 0,
+      billing: this.mapAddressToWooCommerce(shopifyOrder.billing_address, shopifyOrder.email),
+      shipping: this.mapAddressToWooCommerce(shopifyOrder.shipping_address),
+      payment_method: (shopifyOrder.payment_gateway_names || [])[0] || '',
+      payment_method_title: (shopifyOrder.payment_gateway_names || [])[0] || '',
+      transaction_id: '',
+      customer_ip_address: shopifyOrder.browser_ip || '',
+      customer_user_agent: shopifyOrder.client_details?.user_agent || '',
+      created_via: shopifyOrder.source_name || 'shopify',
+      customer_note: shopifyOrder.note || '',
+      date_completed: shopifyOrder.closed_at || null,
+      date_paid: shopifyOrder.financial_status === 'paid' ? shopifyOrder.processed_at : null,
+      cart_hash: shopifyOrder.cart_token || '',
+      meta_data: (shopifyOrder.note_attributes || []).map(attribute => ({ key: attribute.name, value: attribute.value })),
+      line_items: (shopifyOrder.line_items || []).map(item => {
+        const subtotal = (parseFloat(item.price) || 0) * (item.quantity || 0);
+        return {
+          id: item.id,
+          name: item.title || item.name,
+          product_id: item.product_id || 0,
+          variation_id: item.variant_id || 0,
+          quantity: item.quantity,
+          sku: item.sku || '',
+          price: item.price,
+          subtotal: subtotal.toFixed(2),
+          total: (subtotal - (parseFloat(item.total_discount) || 0)).toFixed(2),
+          meta_data: []
+        };
+      }),
+      shipping_lines: shippingLines.map(line => ({ method_title: line.title, total: line.price })),
+      fee_lines: [],
+      coupon_lines: (shopifyOrder.discount_codes || []).map(discount => ({ code: discount.code, discount: discount.amount })),
+      refunds: (shopifyOrder.refunds || []).map(refund => ({
+        id: refund.id,
+        reason: refund.note || '',
+        total: `-${(refund.transactions || []).reduce((sum, transaction) => sum + (parseFloat(transaction.amount) || 0), 0).toFixed(2)}`
+      }))
+    };
+  }
+
+  mapShopifyRefundToWooCommerce(shopifyRefund) {
+    const amount = (shopifyRefund.transactions || []).reduce((sum, transaction) => sum + (parseFloat(transaction.amount) || 0), 0);
+    return {
+      id: shopifyRefund.id,
+      date_created: shopifyRefund.created_at,
+      amount: amount.toFixed(2),
+      reason: shopifyRefund.note || '',
+      line_items: (shopifyRefund.refund_line_items || []).map(item => ({
+        id: item.line_item_id,
+        quantity: item.quantity,
+        total: (parseFloat(item.subtotal) || 0).toFixed(2),
+        total_tax: (parseFloat(item.total_tax) || 0).toFixed(2)
+      }))
+    };
+  }
+
+  /**
+   * Verify a Shopify webhook delivery
+   * @param {Buffer|string} payload - Raw request body, exactly as Shopify sent it
+   * @param {string} hmacHeader - Value of the X-Shopify-Hmac-Sha256 header
+   * @param {string} secret - App API secret key
+   * @returns {boolean} Whether the signature matches
+   */
+  static verifyWebhookSignature(payload, hmacHeader, secret) {
+    if (!hmacHeader || !secret) return false;
+    const expected = crypto.createHmac('sha256', secret).update(payload, 'utf8').digest('base64');
+    const received = Buffer.from(hmacHeader);
+    const computed = Buffer.from(expected);
+    return received.length === computed.length && crypto.timingSafeEqual(received, computed);
+  }
+}
+
+// Our dotted webhook topics mapped to Shopify topic names
+ShopifyService.WEBHOOK_TOPICS = {
+  'order.created': 'orders/create',
+  'order.updated': 'orders/updated',
+  'order.deleted': 'orders/delete',
+  'customer.created': 'customers/create',
+  'customer.updated': 'customers/update',
+  'customer.deleted': 'customers/delete',
+  'product.created': 'products/create',
+  'product.updated': 'products/update',
+  'product.deleted': 'products/delete'
+};
+
+module.exports = ShopifyService;
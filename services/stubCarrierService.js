@@ -0,0 +1,177 @@
+const PDFDocument = require('pdfkit');
+const CarrierAdapter = require('./carrierAdapter');
+
+// Services the stub quotes: a base price plus a price per started pound
+const SERVICES = [
+  { carrier: 'USPS', service: 'Ground Advantage', base: 5.25, perPound: 0.6, days: 5 },
+  { carrier: 'USPS', service: 'Priority', base: 7.5, perPound: 0.9, days: 2 },
+  { carrier: 'UPS', service: 'Ground', base: 9.1, perPound: 0.7, days: 4 },
+  { carrier: 'FedEx', service: 'Express', base: 24, perPound: 1.8, days: 1 }
+];
+
+// Tracking events advanceTracking() plays back, one per call
+const TRACKING_SCRIPT = [
+  { status: 'pre_transit', description: 'Shipping label created', location: '' },
+  { status: 'in_transit', description: 'Accepted at origin facility', location: 'Origin facility' },
+  { status: 'out_for_delivery', description: 'Out for delivery', location: 'Destination facility' },
+  { status: 'delivered', description: 'Delivered', location: 'Front door' }
+];
+
+// Quoted shipments, bought labels and tracking feeds, shared across adapter instances in this process
+const shipments = new Map();
+const trackingFeeds = new Map();
+let sequence = 0;
+
+const nextId = (prefix) => `${prefix}_stub_${Date.now().toString(36)}${(++sequence).toString(36)}`;
+
+const renderLabel = (shipment, rate, trackingNumber) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: [288, 432], margin: 18 });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  const from = shipment.fromAddress;
+  const to = shipment.toAddress;
+  doc.fontSize(14).text(`${rate.carrier} ${rate.service}`);
+  doc.fontSize(8).text('TEST LABEL - NOT VALID FOR POSTAGE');
+  doc.moveDown();
+  doc.fontSize(9).text([from.name, from.address1, `${from.city}, ${from.state} ${from.postalCode}`, from.country].filter(Boolean).join('\n'));
+  doc.moveDown();
+  doc.fontSize(12).text([to.name, to.address1, to.address2, `${to.city}, ${to.state} ${to.postalCode}`, to.country].filter(Boolean).join('\n'));
+  doc.moveDown();
+  doc.fontSize(14).text(trackingNumber, { align: 'center' });
+  doc.end();
+});
+
+/**
+ * Local stub carrier
+ *
+ * Quotes fixed USPS, UPS and FedEx prices from the parcel weight and "buys" labels with
+ * STUB tracking numbers and a generated PDF, without any network access. Select it with
+ * a carrier account whose provider is 'stub', or SHIPPING_CARRIER=stub for every account.
+ * Tracking is a local feed: pushTrackingEvent() adds any event and advanceTracking() plays
+ * the next step from label created to delivered; polls and webhooks then read the feed.
+ */
+class StubCarrierService extends CarrierAdapter {
+  static reset() {
+    shipments.clear();
+    trackingFeeds.clear();
+  }
+
+  static pushTrackingEvent(trackingNumber, event) {
+    const feed = trackingFeeds.get(trackingNumber) || [];
+    const entry = {
+      status: event.status,
+      description: event.description || event.status,
+      location: event.location || '',
+      occurredAt: event.occurredAt ? new Date(event.occurredAt) : new Date()
+    };
+    feed.push(entry);
+    trackingFeeds.set(trackingNumber, feed);
+    return entry;
+  }
+
+  // Returns the event played, or null once the parcel has been delivered
+  static advanceTracking(trackingNumber) {
+    const played = (trackingFeeds.get(trackingNumber) || []).length;
+    if (played >= TRACKING_SCRIPT.length) return null;
+    return StubCarrierService.pushTrackingEvent(trackingNumber, TRACKING_SCRIPT[played]);
+  }
+
+  // Webhook body the stub "sends" for a tracking number, for tests of the webhook endpoint
+  static buildTrackingWebhook(trackingNumber) {
+    return { event: 'tracking_updated', trackingNumber, events: trackingFeeds.get(trackingNumber) || [] };
+  }
+
+  static feedToTracking(trackingNumber) {
+    const events = trackingFeeds.get(trackingNumber) || [];
+    return {
+      trackingNumber,
+      status: events.length > 0 ? events[events.length - 1].status : 'pre_transit',
+      estimatedDelivery: null,
+      events
+    };
+  }
+
+  async getRates(shipment) {
+    const { toAddress = {}, parcel = {} } = shipment;
+    if (!toAddress.address1 || !toAddress.postalCode || !toAddress.country) {
+      return { success: false, error: 'Destination address is incomplete', statusCode: 422 };
+    }
+    if (!(parcel.weight > 0)) {
+      return { success: false, error: 'Parcel weight must be greater than zero', statusCode: 422 };
+    }
+
+    const shipmentId = nextId('shp');
+    const pounds = Math.ceil(parcel.weight / 16);
+    const rates = SERVICES.map((service, index) => ({
+      shipmentId,
+      rateId: `${shipmentId}_rate${index}`,
+      carrier: service.carrier,
+      service: service.service,
+      amount: Math.round((service.base + service.perPound * pounds) * 100) / 100,
+      currency: 'USD',
+      estimatedDays: service.days
+    }));
+    shipments.set(shipmentId, { ...shipment, rates, label: null });
+
+    return { success: true, data: rates };
+  }
+
+  async purchaseLabel(shipmentId, rateId) {
+    const shipment = shipments.get(shipmentId);
+    const rate = shipment?.rates.find(candidate => candidate.rateId === rateId);
+    if (!rate) {
+      return { success: false, error: `No rate ${rateId} on shipment ${shipmentId}`, statusCode: 404 };
+    }
+    if (shipment.label) {
+      return { success: false, error: 'A label has already been bought for this shipment', statusCode: 409 };
+    }
+
+    const trackingNumber = `STUB${Date.now().toString().slice(-8)}${String(++sequence).padStart(4, '0')}`;
+    shipment.label = { trackingNumber, voided: false };
+
+    return {
+      success: true,
+      data: {
+        shipmentId,
+        labelId: shipmentId,
+        trackingNumber,
+        trackingUrl: null,
+        labelUrl: null,
+        labelFile: await renderLabel(shipment, rate, trackingNumber),
+        carrier: rate.carrier,
+        service: rate.service,
+        amount: rate.amount,
+        currency: rate.currency
+      }
+    };
+  }
+
+  // Labels that have been scanned by the carrier cannot be refunded
+  async voidLabel(label) {
+    if (['shipped', 'delivered'].includes(label.status)) {
+      return { success: true, data: { refundStatus: 'rejected' } };
+    }
+    const shipment = shipments.get(label.shipmentId);
+    if (shipment?.label) shipment.label.voided = true;
+    return { success: true, data: { refundStatus: 'refunded' } };
+  }
+
+  async getTracking(label) {
+    return { success: true, data: StubCarrierService.feedToTracking(label.trackingNumber) };
+  }
+
+  parseTrackingWebhook(payload) {
+    if (payload?.event !== 'tracking_updated' || !payload.trackingNumber) return null;
+    return {
+      trackingNumber: payload.trackingNumber,
+      status: payload.status || payload.events?.[payload.events.length - 1]?.status || 'unknown',
+      estimatedDelivery: payload.estimatedDelivery || null,
+      events: payload.events || []
+    };
+  }
+}
+
+module.exports = StubCarrierService;
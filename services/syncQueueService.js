@@ -0,0 +1,429 @@
+/**
+ * Sync Queue Service
+ *
+ * Runs product, order and customer syncs as durable Bull jobs (one queue per
+ * resource). Each job executes the existing sync worker thread, streams its
+ * progress into the SyncJob record, retries with exponential backoff when the
+ * store API fails, and keeps the records that could not be imported as dead letters.
+ *
+ * Redis is configured with REDIS_URL, or REDIS_HOST / REDIS_PORT / REDIS_PASSWORD.
+ */
+
+const Bull = require('bull');
+const path = require('path');
+const { Worker } = require('worker_threads');
+const SyncJob = require('../models/syncJob');
+const Store = require('../models/store');
+const { getSyncWatermark, resetSyncWatermarks } = require('../helper/syncWatermarkHelper');
+
+const WORKER_FILES = {
+  products: 'syncProductWorker.js',
+  orders: 'syncOrderWorker.js',
+  customers: 'syncCustomerWorker.js'
+};
+
+const SYNC_JOB_ATTEMPTS = parseInt(process.env.SYNC_JOB_ATTEMPTS, 10) || 5;
+const SYNC_JOB_BACKOFF_DELAY = parseInt(process.env.SYNC_JOB_BACKOFF_DELAY, 10) || 30000; // 30 seconds, doubled per attempt
+const SYNC_JOB_CONCURRENCY = parseInt(process.env.SYNC_JOB_CONCURRENCY, 10) || 2;
+const SYNC_JOB_WAIT_TIMEOUT = parseInt(process.env.SYNC_JOB_WAIT_TIMEOUT, 10) || 2 * 60 * 60 * 1000; // 2 hours
+
+const getRedisConfig = () => {
+  if (process.env.REDIS_URL) return process.env.REDIS_URL;
+  return {
+    host: process.env.REDIS_HOST || '127.0.0.1',
+    port: parseInt(process.env.REDIS_PORT, 10) || 6379,
+    password: process.env.REDIS_PASSWORD || undefined,
+    maxRetriesPerRequest: null,
+    enableReadyCheck: false
+  };
+};
+
+class SyncCancelledError extends Error {
+  constructor(message = 'Sync job was cancelled') {
+    super(message);
+    this.name = 'SyncCancelledError';
+  }
+}
+
+class SyncWaitTimeoutError extends Error {
+  constructor(message = 'Timed out waiting for the sync job') {
+    super(message);
+    this.name = 'SyncWaitTimeoutError';
+  }
+}
+
+class SyncQueueService {
+  constructor() {
+    this.queues = {};
+    this.runningWorkers = new Map(); // SyncJob id -> worker thread running in this process
+    this.isInitialized = false;
+  }
+
+  // Queues are created lazily so requiring this module does not open Redis connections
+  getQueue(resource) {
+    if (!WORKER_FILES[resource]) {
+      throw new Error(`Unknown sync resource: ${resource}`);
+    }
+
+    if (!this.queues[resource]) {
+      const redis = getRedisConfig();
+      const name = `sync-${resource}`;
+      this.queues[resource] = typeof redis === 'string'
+        ? new Bull(name, redis)
+        : new Bull(name, { redis });
+    }
+    return this.queues[resource];
+  }
+
+  /**
+   * Start processing jobs for every resource queue
+   */
+  async initialize() {
+    if (this.isInitialized) return;
+
+    console.log('🔄 Initializing Sync Queue Service...');
+    Object.keys(WORKER_FILES).forEach(resource => {
+      const queue = this.getQueue(resource);
+
+      queue.process(SYNC_JOB_CONCURRENCY, job => this.processJob(resource, job));
+
+      queue.on('failed', (job, error) => {
+        this.handleFailedAttempt(job, error).catch(updateError => {
+          console.error(`❌ Failed to record sync job failure for ${resource}:`, updateError.message);
+        });
+      });
+
+      queue.on('stalled', job => {
+        console.warn(`⚠️  Sync job ${job.id} in ${queue.name} stalled and will be re-run`);
+      });
+
+      queue.on('error', error => {
+        console.error(`❌ Sync queue ${queue.name} error:`, error.message);
+      });
+    });
+
+    this.isInitialized = true;
+    console.log('✅ Sync Queue Service initialized');
+  }
+
+  /**
+   * Queue a sync for one resource of a store. If a job for the same store and
+   * resource is still queued or running, that job is returned instead.
+   * @param {Object} options
+   * @param {Object} options.store - Store document
+   * @param {string} options.resource - products, orders or customers
+   * @param {string} options.organizationId - Organization ID
+   * @param {string} options.userId - User who requested the sync
+   * @param {boolean} options.fullResync - Reset the resource watermark first
+   * @param {string} options.retryOf - SyncJob this run retries
+   * @returns {Object} { syncJob, created }
+   */
+  async enqueue({ store, resource, organizationId, userId, fullResync = false, retryOf = null }) {
+    const queue = this.getQueue(resource);
+
+    const openJob = await SyncJob.findOne({
+      storeId: store._id,
+      resource,
+      status: { $in: SyncJob.OPEN_STATUSES }
+    }).sort({ createdAt: -1 });
+    if (openJob) {
+      return { syncJob: openJob, created: false };
+    }
+
+    if (fullResync) {
+      await resetSyncWatermarks(store._id, [resource]);
+    }
+
+    const syncJob = await SyncJob.create({
+      storeId: store._id,
+      organizationId: organizationId || store.organizationId,
+      userId,
+      resource,
+      fullResync,
+      retryOf,
+      maxAttempts: SYNC_JOB_ATTEMPTS
+    });
+
+    const job = await queue.add({
+      syncJobId: syncJob._id.toString(),
+      storeId: store._id.toString(),
+      organizationId: syncJob.organizationId.toString(),
+      userId: userId ? userId.toString() : null,
+      resource,
+      fullResync
+    }, {
+      attempts: SYNC_JOB_ATTEMPTS,
+      backoff: { type: 'exponential', delay: SYNC_JOB_BACKOFF_DELAY },
+      removeOnComplete: 100,
+      removeOnFail: 100
+    });
+
+    syncJob.queueJobId = String(job.id);
+    await syncJob.save();
+
+    return { syncJob, created: true };
+  }
+
+  /**
+   * Resolve once the job has completed, or reject once it has failed for good, was
+   * cancelled, or is still queued or running when the timeout runs out (the job itself
+   * carries on). Polls the SyncJob record so it works whichever process runs the job.
+   * @param {Object} syncJob - SyncJob document
+   * @param {Object} [options] - pollInterval and timeout, in milliseconds
+   * @returns {Object} Sync summary
+   */
+  async waitForCompletion(syncJob, { pollInterval = 3000, timeout = SYNC_JOB_WAIT_TIMEOUT } = {}) {
+    const deadline = Date.now() + timeout;
+    for (;;) {
+      const current = await SyncJob.findById(syncJob._id).select('status summary errorMessage');
+      if (!current) {
+        throw new Error('Sync job no longer exists');
+      }
+      if (current.status === 'completed') {
+        return current.summary;
+      }
+      if (current.status === 'failed' || current.status === 'cancelled') {
+        throw new Error(current.errorMessage || `Sync job was ${current.status}`);
+      }
+      if (Date.now() >= deadline) {
+        throw new SyncWaitTimeoutError(`Sync job ${syncJob._id} is still ${current.status} after ${Math.round(timeout / 60000)} minutes`);
+      }
+      await new Promise(resolve => setTimeout(resolve, Math.min(pollInterval, Math.max(deadline - Date.now(), 0))));
+    }
+  }
+
+  /**
+   * Cancel a queued, retrying or running job
+   * @param {Object} syncJob - SyncJob document
+   * @param {string} userId - User cancelling the job
+   * @returns {Object} Updated SyncJob
+   */
+  async cancel(syncJob, userId) {
+    const job = syncJob.queueJobId ? await this.getQueue(syncJob.resource).getJob(syncJob.queueJobId) : null;
+    const state = job ? await job.getState() : null;
+
+    // Mark first so a worker in another process stops at its next progress update
+    const cancelled = await SyncJob.findOneAndUpdate(
+      { _id: syncJob._id, status: { $in: SyncJob.OPEN_STATUSES } },
+      { $set: { status: 'cancelled', cancelledBy: userId, finishedAt: new Date(), nextRetryAt: null } },
+      { new: true }
+    );
+    if (!cancelled) {
+      return null;
+    }
+
+    if (job && ['waiting', 'delayed', 'paused'].includes(state)) {
+      await job.remove();
+    }
+
+    const worker = this.runningWorkers.get(syncJob._id.toString());
+    if (worker) {
+      await worker.terminate();
+    }
+
+    return cancelled;
+  }
+
+  /**
+   * Queue a fresh run of a finished job. The resource watermark only advances
+   * after a clean run, so the new job picks up the dead letters of the old one.
+   * @param {Object} syncJob - SyncJob document
+   * @param {string} userId - User retrying the job
+   * @returns {Object} { syncJob, created }
+   */
+  async retry(syncJob, userId) {
+    const store = await Store.findById(syncJob.storeId);
+    if (!store) {
+      throw new Error('Store not found for sync job');
+    }
+
+    return this.enqueue({
+      store,
+      resource: syncJob.resource,
+      organizationId: syncJob.organizationId,
+      userId: userId || syncJob.userId,
+      fullResync: syncJob.fullResync,
+      retryOf: syncJob._id
+    });
+  }
+
+  // Bull processor - runs one attempt of a sync job
+  async processJob(resource, job) {
+    const { syncJobId, storeId, organizationId, userId } = job.data;
+
+    const syncJob = await SyncJob.findOneAndUpdate(
+      { _id: syncJobId, status: { $in: SyncJob.OPEN_STATUSES } },
+      { $set: { status: 'active', attemptsMade: job.attemptsMade, nextRetryAt: null } },
+      { new: true }
+    );
+    if (!syncJob) {
+      job.discard();
+      throw new SyncCancelledError();
+    }
+    if (!syncJob.startedAt) {
+      syncJob.startedAt = new Date();
+    }
+
+    const store = await Store.findById(storeId);
+    if (!store) {
+      job.discard();
+      throw new Error('Store not found for sync job');
+    }
+
+    // Resolved per attempt (a full resync already cleared the watermark when it was queued)
+    const modifiedAfter = getSyncWatermark(store, resource);
+    syncJob.modifiedAfter = modifiedAfter;
+    await syncJob.save();
+
+    // Extract only serializable properties from the store document
+    const storeData = {
+      _id: store._id.toString(),
+      name: store.name,
+      url: store.url,
+      apiKey: store.apiKey,
+      secretKey: store.secretKey,
+      platformType: store.platformType,
+      isActive: store.isActive,
+      stockLocations: (store.stockLocations || []).map(String)
+    };
+
+    let summary;
+    try {
+      summary = await this.runWorker(resource, job, syncJobId, {
+        storeId,
+        store: storeData,
+        organizationId,
+        userId,
+        modifiedAfter
+      });
+    } catch (error) {
+      const current = await SyncJob.findById(syncJobId).select('status');
+      if (current && current.status === 'cancelled') {
+        job.discard();
+        throw new SyncCancelledError();
+      }
+      throw error;
+    }
+
+    const { deadLetters = [], ...counts } = summary || {};
+    await SyncJob.findByIdAndUpdate(syncJobId, {
+      $set: {
+        status: 'completed',
+        progress: 100,
+        summary: {
+          total: counts.total || 0,
+          created: counts.created || 0,
+          updated: counts.updated || 0,
+          failed: counts.failed || 0,
+          skipped: counts.skipped || 0
+        },
+        deadLetters,
+        errorMessage: null,
+        errorType: null,
+        suggestions: [],
+        attemptsMade: job.attemptsMade + 1,
+        finishedAt: new Date()
+      }
+    });
+
+    return { ...counts, deadLetters: deadLetters.length };
+  }
+
+  // Run the resource's worker thread and settle on its first success or error message
+  runWorker(resource, job, syncJobId, workerData) {
+    return new Promise((resolve, reject) => {
+      const worker = new Worker(path.resolve(__dirname, '../helper', WORKER_FILES[resource]), { workerData });
+      this.runningWorkers.set(syncJobId, worker);
+
+      let settled = false;
+      const settle = (callback, value) => {
+        if (settled) return;
+        settled = true;
+        this.runningWorkers.delete(syncJobId);
+        // Workers keep their database connection open, so stop them explicitly
+        worker.terminate().catch(() => {});
+        callback(value);
+      };
+
+      worker.on('message', async (message) => {
+        if (message.status === 'progress') {
+          job.progress(message.progress).catch(() => {});
+          const stillOpen = await SyncJob.findOneAndUpdate(
+            { _id: syncJobId, status: 'active' },
+            { $set: { progress: message.progress } }
+          ).catch(() => true);
+          if (!stillOpen) {
+            settle(reject, new SyncCancelledError());
+          }
+        } else if (message.status === 'success') {
+          settle(resolve, message.data);
+        } else if (message.status === 'error') {
+          const error = new Error(message.message);
+          error.errorType = message.errorType;
+          error.suggestions = message.suggestions;
+          settle(reject, error);
+        }
+      });
+
+      worker.on('error', error => settle(reject, error));
+
+      worker.on('exit', code => {
+        settle(reject, new Error(`Sync worker exited with code ${code} before reporting a result`));
+      });
+    });
+  }
+
+  // Runs after every failed attempt; Bull has already decided whether to retry
+  async handleFailedAttempt(job, error) {
+    const willRetry = job.attemptsMade < job.opts.attempts && !job._discarded;
+    const backoffDelay = job.opts.backoff?.delay || SYNC_JOB_BACKOFF_DELAY;
+
+    const update = willRetry
+      ? {
+          status: 'retrying',
+          nextRetryAt: new Date(Date.now() + (Math.pow(2, job.attemptsMade) - 1) * backoffDelay)
+        }
+      : { status: 'failed', nextRetryAt: null, finishedAt: new Date() };
+
+    await SyncJob.findOneAndUpdate(
+      { _id: job.data.syncJobId, status: { $ne: 'cancelled' } },
+      {
+        $set: {
+          ...update,
+          attemptsMade: job.attemptsMade,
+          errorMessage: error.message,
+          errorType: error.errorType || null,
+          suggestions: Array.isArray(error.suggestions) ? error.suggestions : []
+        }
+      }
+    );
+
+    console.error(`❌ Sync job ${job.id} (${job.data.resource}) attempt ${job.attemptsMade} failed: ${error.message}${willRetry ? ' - retrying' : ''}`);
+  }
+
+  /**
+   * Live Bull state for a job, when the queue still has it
+   * @param {Object} syncJob - SyncJob document
+   * @returns {Object|null} { state, progress, attemptsMade, failedReason }
+   */
+  async getQueueState(syncJob) {
+    if (!syncJob.queueJobId) return null;
+
+    const job = await this.getQueue(syncJob.resource).getJob(syncJob.queueJobId);
+    if (!job) return null;
+
+    return {
+      state: await job.getState(),
+      progress: job.progress(),
+      attemptsMade: job.attemptsMade,
+      failedReason: job.failedReason || null
+    };
+  }
+}
+
+// Create singleton instance
+const syncQueueService = new SyncQueueService();
+
+module.exports = syncQueueService;
+module.exports.SyncCancelledError = SyncCancelledError;
+module.exports.SyncWaitTimeoutError = SyncWaitTimeoutError;
@@ -2,6 +2,7 @@ const crypto = require('crypto');
 const WooCommerceRestApi = require('@woocommerce/woocommerce-rest-api').default;
 const Webhook = require('../models/webhook');
 const logEvent = require('../helper/logEvent');
+const ShopifyService = require('../services/shopifyService');
 
 /**
  * Default webhook topics to create for new stores
@@ -72,6 +73,10 @@ const initializeWooCommerceAPI = (store) => {
  * @returns {Object} Created webhook data
  */
 const createSingleWebhook = async (store, topic, userId) => {
+  if (store.platformType === 'shopify') {
+    return createSingleShopifyWebhook(store, topic, userId);
+  }
+
   try {
     // Generate unique webhook identifier
     const webhookIdentifier = `${store._id.toString()}-${topic.replace('.', '-')}-${Date.now()}`;
@@ -163,6 +168,97 @@ const createSingleWebhook = async (store, topic, userId) => {
   }
 };
 
+/**
+ * Create a single webhook for a Shopify store
+ * Shopify signs deliveries with the app secret, so the store's secretKey is kept as the webhook secret.
+ * @param {Object} store - Store object
+ * @param {string} topic - Webhook topic (dotted form, e.g. order.created)
+ * @param {string} userId - User ID for logging
+ * @returns {Object} Created webhook data
+ */
+const createSingleShopifyWebhook = async (store, topic, userId) => {
+  try {
+    const webhookIdentifier = `${store._id.toString()}-${topic.replace('.', '-')}-${Date.now()}`;
+    const baseUrl = process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 8800}`;
+    const deliveryUrl = `${baseUrl}/api/webhooks/shopify/${webhookIdentifier}/${topic}`;
+
+    const shopifyTopic = ShopifyService.WEBHOOK_TOPICS[topic];
+    if (!shopifyTopic) {
+      throw new Error(`Unsupported Shopify webhook topic: ${topic}`);
+    }
+
+    const shopify = new ShopifyService(store);
+    const response = await shopify.createWebhook(shopifyTopic, deliveryUrl);
+    if (!response.success) {
+      throw new Error(typeof response.error === 'string' ? response.error : JSON.stringify(response.error));
+    }
+    const shopifyWebhook = response.data.webhook;
+
+    const [resource, event] = topic.split('.');
+    const webhookConfig = WEBHOOK_TOPIC_CONFIG[topic];
+    const webhook = await Webhook.create({
+      storeId: store._id,
+      organizationId: store.organizationId,
+      wooCommerceId: shopifyWebhook.id, // Remote webhook ID on the store's platform
+      name: `${webhookConfig ? webhookConfig.name : topic} - ${store.name}`,
+      topic: topic,
+      status: 'active',
+      deliveryUrl: deliveryUrl,
+      secret: store.secretKey,
+      resource: resource,
+      event: event,
+      hooks: [shopifyTopic],
+      webhookIdentifier: webhookIdentifier
+    });
+
+    await logEvent({
+      action: 'webhook_auto_created',
+      user: userId,
+      resource: 'Webhook',
+      resourceId: webhook._id,
+      details: {
+        storeId: store._id,
+        storeName: store.name,
+        platformType: 'shopify',
+        topic: topic,
+        shopifyId: shopifyWebhook.id,
+        deliveryUrl: deliveryUrl
+      },
+      organization: store.organizationId
+    });
+
+    return {
+      success: true,
+      webhook: webhook,
+      wooCommerceId: shopifyWebhook.id,
+      deliveryUrl: deliveryUrl
+    };
+
+  } catch (error) {
+    console.error(`Error creating Shopify webhook for topic ${topic}:`, error);
+
+    await logEvent({
+      action: 'webhook_auto_creation_failed',
+      user: userId,
+      resource: 'Webhook',
+      details: {
+        storeId: store._id,
+        storeName: store.name,
+        platformType: 'shopify',
+        topic: topic,
+        error: error.message
+      },
+      organization: store.organizationId
+    });
+
+    return {
+      success: false,
+      error: error.message,
+      topic: topic
+    };
+  }
+};
+
 /**
  * Create default webhooks for a new store
  * @param {Object} store - Store object
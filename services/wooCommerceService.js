@@ -1,9 +1,12 @@
 const WooCommerceRestApi = require('@woocommerce/woocommerce-rest-api').default;
 const https = require('https');
+const CommerceAdapter = require('./commerceAdapter');
+const { executeWithRateLimit } = require('../helper/wooCommerceSyncHelper');
+const { parseRemoteDate } = require('../helper/syncWatermarkHelper');
 
-class WooCommerceService {
+class WooCommerceService extends CommerceAdapter {
   constructor(store) {
-    this.store = store;
+    super(store);
     
     // Create HTTPS agent configuration
     let httpsAgent = null;
@@ -78,10 +81,10 @@ class WooCommerceService {
     }
   }
 
-  // Helper method to handle API errors
+  // Helper method to handle API errors (429 responses are retried before giving up)
   async handleApiCall(apiCall) {
     try {
-      const response = await apiCall();
+      const response = await executeWithRateLimit(apiCall);
       return { success: true, data: response.data };
     } catch (error) {
       return {
@@ -107,6 +110,25 @@ class WooCommerceService {
   async getProduct(wooCommerceId) {
     return await this.handleApiCall(() => this.api.get(`products/${wooCommerceId}`));
   }
+  async updateProductFields(wooCommerceId, fields) {
+    return await this.handleApiCall(() => this.api.put(`products/${wooCommerceId}`, fields));
+  }
+
+  // Product variation methods
+  async createProductVariation(productId, variationData) {
+    const wooCommerceData = this.mapVariationToWooCommerce(variationData);
+    return await this.handleApiCall(() => this.api.post(`products/${productId}/variations`, wooCommerceData));
+  }
+  async updateProductVariation(productId, variationId, variationData) {
+    const wooCommerceData = this.mapVariationToWooCommerce(variationData);
+    return await this.handleApiCall(() => this.api.put(`products/${productId}/variations/${variationId}`, wooCommerceData));
+  }
+  async deleteProductVariation(productId, variationId) {
+    return await this.handleApiCall(() => this.api.delete(`products/${productId}/variations/${variationId}`, { force: true }));
+  }
+  async getProductVariation(productId, variationId) {
+    return await this.handleApiCall(() => this.api.get(`products/${productId}/variations/${variationId}`));
+  }
 
   // Customer methods
   async createCustomer(customerData) {
@@ -140,6 +162,108 @@ class WooCommerceService {
     return await this.handleApiCall(() => this.api.get(`orders/${wooCommerceId}`));
   }
 
+  // Order refund methods
+  async createOrderRefund(orderId, refundData) {
+    const wooCommerceData = this.mapRefundToWooCommerce(refundData);
+    return await this.handleApiCall(() => this.api.post(`orders/${orderId}/refunds`, wooCommerceData));
+  }
+
+  // Category methods
+  async createCategory(categoryData) {
+    const wooCommerceData = this.mapCategoryToWooCommerce(categoryData);
+    return await this.handleApiCall(() => this.api.post('products/categories', wooCommerceData));
+  }
+  async updateCategory(wooCommerceId, categoryData) {
+    const wooCommerceData = this.mapCategoryToWooCommerce(categoryData);
+    return await this.handleApiCall(() => this.api.put(`products/categories/${wooCommerceId}`, wooCommerceData));
+  }
+  async deleteCategory(wooCommerceId) {
+    return await this.handleApiCall(() => this.api.delete(`products/categories/${wooCommerceId}`, { force: true }));
+  }
+  async getCategory(wooCommerceId) {
+    return await this.handleApiCall(() => this.api.get(`products/categories/${wooCommerceId}`));
+  }
+
+  withGmtDates(params) {
+    return params.modified_after ? { ...params, dates_are_gmt: true } : params;
+  }
+
+  // Bulk fetch methods - walk every page and throw on API errors so callers can report them
+  async fetchAll(endpoint, params = {}) {
+    const records = [];
+    let page = 1;
+    let hasMore = true;
+
+    while (hasMore) {
+      const response = await executeWithRateLimit(() => this.api.get(endpoint, { per_page: 100, ...params, page }));
+      const currentPage = response.data || [];
+      if (currentPage.length === 0) hasMore = false;
+      else {
+        records.push(...currentPage);
+        page++;
+      }
+    }
+
+    return records;
+  }
+  // modified_after is compared against the GMT modification date
+  async getAllProducts(params = {}) {
+    return await this.fetchAll('products', this.withGmtDates(params));
+  }
+  async getAllCustomers(params = {}) {
+    // The customers endpoint has no modified_after filter, so it is applied to the fetched pages
+    const { modified_after: modifiedAfter, ...query } = params;
+    const customers = await this.fetchAll('customers', query);
+    if (!modifiedAfter) return customers;
+
+    const since = new Date(modifiedAfter);
+    return customers.filter(customer => parseRemoteDate(customer.date_modified_gmt) > since);
+  }
+  async getAllOrders(params = {}) {
+    return await this.fetchAll('orders', this.withGmtDates(params));
+  }
+  async getAllProductVariations(productId, params = {}) {
+    return await this.fetchAll(`products/${productId}/variations`, this.withGmtDates(params));
+  }
+  async getAllCategories(params = {}) {
+    return await this.fetchAll('products/categories', params);
+  }
+
+  // Adapter contract - WooCommerce records already use the shared REST shape
+  mapProductToRemote(localProduct) {
+    return this.mapProductToWooCommerce(localProduct);
+  }
+  mapCustomerToRemote(localCustomer) {
+    return this.mapCustomerToWooCommerce(localCustomer);
+  }
+  mapOrderToRemote(localOrder) {
+    return this.mapOrderToWooCommerce(localOrder);
+  }
+  mapCategoryToRemote(localCategory) {
+    return this.mapCategoryToWooCommerce(localCategory);
+  }
+  mapVariationToRemote(localVariation) {
+    return this.mapVariationToWooCommerce(localVariation);
+  }
+  mapRefundToRemote(localRefund) {
+    return this.mapRefundToWooCommerce(localRefund);
+  }
+  normalizeProduct(wooProduct) {
+    return wooProduct;
+  }
+  normalizeVariation(wooVariation) {
+    return wooVariation;
+  }
+  normalizeCustomer(wooCustomer) {
+    return wooCustomer;
+  }
+  normalizeOrder(wooOrder) {
+    return wooOrder;
+  }
+  normalizeCategory(wooCategory) {
+    return wooCategory;
+  }
+
   // Data mapping methods - Local to WooCommerce
   mapProductToWooCommerce(localProduct) {
     return {
@@ -151,7 +275,7 @@ class WooCommerceService {
       short_description: localProduct.short_description || '',
       sku: localProduct.sku || '',
       manage_stock: localProduct.manage_stock || false,
-      stock_quantity: localProduct.stock_quantity || null,
+      stock_quantity: localProduct.stock_quantity ?? null,
       stock_status: localProduct.stock_status || 'instock',
       status: localProduct.status || 'publish',
       featured: localProduct.featured || false,
@@ -169,6 +293,7 @@ class WooCommerceService {
       tags: localProduct.tags || [],
       images: localProduct.images || [],
       attributes: localProduct.attributes || [],
+      default_attributes: localProduct.default_attributes || [],
       upsell_ids: localProduct.upsell_ids || [],
       cross_sell_ids: localProduct.cross_sell_ids || [],
       purchase_note: localProduct.purchase_note || '',
@@ -176,6 +301,33 @@ class WooCommerceService {
       meta_data: localProduct.meta_data || []
     };
   }
+  mapVariationToWooCommerce(localVariation) {
+    const regularPrice = localVariation.regular_price ?? localVariation.price;
+    return {
+      sku: localVariation.sku || '',
+      description: localVariation.description || '',
+      regular_price: regularPrice != null ? regularPrice.toString() : '',
+      sale_price: localVariation.sale_price ? localVariation.sale_price.toString() : '',
+      status: localVariation.status || 'publish',
+      manage_stock: localVariation.manage_stock || false,
+      stock_quantity: localVariation.stock_quantity ?? null,
+      stock_status: localVariation.stock_status || 'instock',
+      backorders: localVariation.backorders || 'no',
+      weight: localVariation.weight || '',
+      dimensions: {
+        length: localVariation.dimensions?.length || '',
+        width: localVariation.dimensions?.width || '',
+        height: localVariation.dimensions?.height || ''
+      },
+      image: localVariation.image?.id ? { id: localVariation.image.id } : (localVariation.image?.src ? { src: localVariation.image.src } : undefined),
+      attributes: (localVariation.attributes || []).map(attribute => ({
+        id: attribute.id || 0,
+        name: attribute.name,
+        option: attribute.option
+      })),
+      menu_order: localVariation.menu_order || 0
+    };
+  }
   mapCustomerToWooCommerce(localCustomer) {
     return {
       email: localCustomer.email,
@@ -213,6 +365,48 @@ class WooCommerceService {
       meta_data: localOrder.meta_data || []
     };
   }
+  // Lines without a store line item ID cannot be itemized; their value still counts in `amount`
+  mapRefundToWooCommerce(localRefund) {
+    const refundTax = (taxAmount) => (taxAmount > 0 && localRefund.taxRateId
+      ? [{ id: localRefund.taxRateId, refund_total: Number(taxAmount).toFixed(2) }]
+      : []);
+    const lineItems = (localRefund.lineItems || [])
+      .filter(item => item.remoteLineItemId)
+      .map(item => ({
+        id: item.remoteLineItemId,
+        quantity: item.quantity,
+        refund_total: (Number(item.amount) || 0).toFixed(2),
+        refund_tax: refundTax(item.taxAmount)
+      }));
+    if (localRefund.remoteShippingLineId && (localRefund.shippingAmount > 0 || localRefund.shippingTaxAmount > 0)) {
+      lineItems.push({
+        id: localRefund.remoteShippingLineId,
+        refund_total: (Number(localRefund.shippingAmount) || 0).toFixed(2),
+        refund_tax: refundTax(localRefund.shippingTaxAmount)
+      });
+    }
+
+    return {
+      amount: (Number(localRefund.amount) || 0).toFixed(2),
+      reason: localRefund.reason || '',
+      line_items: lineItems,
+      api_refund: !!localRefund.refundPayment,
+      api_restock: !!localRefund.restock
+    };
+  }
+  mapCategoryToWooCommerce(localCategory) {
+    return {
+      name: localCategory.name,
+      description: localCategory.description || '',
+      image: localCategory.image && localCategory.image.src ? {
+        src: localCategory.image.src,
+        alt: localCategory.image.alt || localCategory.name
+      } : null,
+      parent: localCategory.parent || 0,
+      display: 'default',
+      menu_order: localCategory.menuOrder || 0
+    };
+  }
   // Data mapping methods - WooCommerce to Local
   mapWooCommerceToProduct(wooProduct) {
     return {
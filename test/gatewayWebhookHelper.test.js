@@ -0,0 +1,266 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+jest.mock('../helper/invoiceCheckoutHelper', () => ({ completeInvoiceCheckout: jest.fn() }));
+jest.mock('../helper/logEvent', () => jest.fn());
+
+const Payment = require('../models/payment');
+const PaymentGatewayKey = require('../models/paymentGatewayKey');
+const PaymentGatewayEvent = require('../models/paymentGatewayEvent');
+const { completeInvoiceCheckout } = require('../helper/invoiceCheckoutHelper');
+const {
+  verifyGatewaySignature,
+  describeGatewayEvent,
+  receiveGatewayEvent,
+  replayGatewayEvent
+} = require('../helper/gatewayWebhookHelper');
+
+// Bodies recorded from each gateway, read byte for byte as they were signed
+const loadSample = (name) => fs.readFileSync(path.join(__dirname, 'fixtures', 'gatewayWebhooks', `${name}.json`), 'utf8');
+
+const KEYS = {
+  paystack: { type: 'paystack', secretKey: 'sk_test_paystack_secret' },
+  flutterwave: { type: 'flutterwave', secretKey: 'FLWSECK_TEST-secret', webhookSecret: 'flw-secret-hash' },
+  squad: { type: 'squad', secretKey: 'sandbox_sk_squad_secret' }
+};
+
+const sign = {
+  paystack: (body) => ({ 'x-paystack-signature': crypto.createHmac('sha512', KEYS.paystack.secretKey).update(body).digest('hex') }),
+  flutterwave: () => ({ 'verif-hash': KEYS.flutterwave.webhookSecret }),
+  squad: (body) => ({ 'x-squad-encrypted-body': crypto.createHmac('sha512', KEYS.squad.secretKey).update(body).digest('hex').toUpperCase() })
+};
+
+const webhookRequest = (body, headers = {}) => ({
+  rawBody: Buffer.from(body),
+  headers: { 'content-type': 'application/json', ...headers }
+});
+
+const duplicateKeyError = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+describe('Gateway webhook helper', () => {
+  let storedEvents;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    completeInvoiceCheckout.mockReset();
+    storedEvents = [];
+
+    jest.spyOn(PaymentGatewayKey, 'findOne').mockImplementation(({ type }) => Promise.resolve(KEYS[type] || null));
+    jest.spyOn(PaymentGatewayEvent, 'create').mockImplementation((data) => {
+      const event = new PaymentGatewayEvent(data);
+      storedEvents.push(event);
+      return Promise.resolve(event);
+    });
+    jest.spyOn(PaymentGatewayEvent.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Payment, 'findOne').mockReturnValue({ populate: jest.fn().mockResolvedValue(null) });
+  });
+
+  describe('verifyGatewaySignature', () => {
+    test.each([
+      ['paystack', 'paystack-charge-success'],
+      ['flutterwave', 'flutterwave-charge-completed'],
+      ['squad', 'squad-payment-completed']
+    ])('accepts a %s sample signed with its key', (gateway, sample) => {
+      const body = loadSample(sample);
+      expect(verifyGatewaySignature(gateway, KEYS[gateway], body, sign[gateway](body))).toEqual({ verified: true });
+    });
+
+    test('rejects a Paystack body changed after signing', () => {
+      const body = loadSample('paystack-charge-success');
+      const headers = sign.paystack(body);
+      const tampered = body.replace('1500000', '1');
+      const result = verifyGatewaySignature('paystack', KEYS.paystack, tampered, headers);
+      expect(result.verified).toBe(false);
+      expect(result.reason).toContain('Invalid x-paystack-signature');
+    });
+
+    test('rejects a Squad body signed with another key', () => {
+      const body = loadSample('squad-payment-completed');
+      const headers = { 'x-squad-encrypted-body': crypto.createHmac('sha512', 'other').update(body).digest('hex') };
+      expect(verifyGatewaySignature('squad', KEYS.squad, body, headers).verified).toBe(false);
+    });
+
+    test('rejects a missing signature header', () => {
+      const body = loadSample('squad-payment-completed');
+      const result = verifyGatewaySignature('squad', KEYS.squad, body, {});
+      expect(result).toEqual({ verified: false, reason: 'Missing x-squad-encrypted-body header' });
+    });
+
+    test('rejects Flutterwave webhooks when no secret hash is configured', () => {
+      const body = loadSample('flutterwave-charge-completed');
+      const key = { ...KEYS.flutterwave, webhookSecret: undefined };
+      expect(verifyGatewaySignature('flutterwave', key, body, { 'verif-hash': 'anything' }).verified).toBe(false);
+    });
+
+    test('rejects webhooks for a gateway without keys', () => {
+      const body = loadSample('paystack-charge-success');
+      expect(verifyGatewaySignature('paystack', null, body, sign.paystack(body)).reason).toBe('No paystack keys are configured');
+    });
+  });
+
+  describe('describeGatewayEvent', () => {
+    test('identifies each sample by event type and transaction id', () => {
+      const paystack = loadSample('paystack-charge-success');
+      expect(describeGatewayEvent('paystack', JSON.parse(paystack), paystack)).toEqual({
+        eventId: 'charge.success:3856125471',
+        eventType: 'charge.success',
+        reference: 'SUB-7b1e9c2a-4f0d-4c55-9e0a-2d5f3b8a6c11'
+      });
+
+      const flutterwave = loadSample('flutterwave-charge-completed');
+      expect(describeGatewayEvent('flutterwave', JSON.parse(flutterwave), flutterwave).eventId).toBe('charge.completed:6729418305');
+
+      const squad = loadSample('squad-payment-completed');
+      expect(describeGatewayEvent('squad', JSON.parse(squad), squad).eventId).toBe('payment.completed:SQTEST6388451234');
+    });
+
+    test('falls back to a hash of the body when there is no id', () => {
+      const body = '{"event":"charge.success","data":{}}';
+      const { eventId } = describeGatewayEvent('paystack', JSON.parse(body), body);
+      expect(eventId).toBe(`sha256:${crypto.createHash('sha256').update(body).digest('hex')}`);
+    });
+  });
+
+  describe('receiveGatewayEvent', () => {
+    test('confirms a pending subscription payment from a signed Paystack charge', async () => {
+      const subscription = { save: jest.fn().mockResolvedValue() };
+      const payment = { _id: 'payment-1', status: 'pending', subscription, save: jest.fn().mockResolvedValue() };
+      Payment.findOne.mockReturnValue({ populate: jest.fn().mockResolvedValue(payment) });
+
+      const body = loadSample('paystack-charge-success');
+      const result = await receiveGatewayEvent('paystack', webhookRequest(body, sign.paystack(body)));
+
+      expect(result.statusCode).toBe(200);
+      expect(Payment.findOne).toHaveBeenCalledWith({ reference: 'SUB-7b1e9c2a-4f0d-4c55-9e0a-2d5f3b8a6c11' });
+      expect(payment.status).toBe('success');
+      expect(subscription.status).toBe('active');
+      expect(storedEvents).toHaveLength(1);
+      expect(storedEvents[0]).toMatchObject({
+        gateway: 'paystack',
+        eventId: 'charge.success:3856125471',
+        verified: true,
+        status: 'processed',
+        outcome: 'subscription_payment_confirmed',
+        rawBody: body
+      });
+    });
+
+    test('settles an invoice checkout from a Flutterwave charge', async () => {
+      completeInvoiceCheckout.mockResolvedValue({ _id: 'invoice-payment-1' });
+
+      const body = loadSample('flutterwave-charge-completed');
+      const result = await receiveGatewayEvent('flutterwave', webhookRequest(body, sign.flutterwave(body)));
+
+      expect(result.statusCode).toBe(200);
+      expect(completeInvoiceCheckout).toHaveBeenCalledWith('flutterwave', 'INV-3f6c1d8e-92ab-4e17-b5c0-8a4d2e71f9b3');
+      expect(storedEvents[0]).toMatchObject({ status: 'processed', outcome: 'invoice_checkout_settled' });
+    });
+
+    test('does not store the Flutterwave secret hash with the event', async () => {
+      const body = loadSample('flutterwave-charge-completed');
+      await receiveGatewayEvent('flutterwave', webhookRequest(body, sign.flutterwave(body)));
+      expect(storedEvents[0].headers).toEqual({ 'content-type': 'application/json' });
+    });
+
+    test('stores events it does not handle as ignored', async () => {
+      const body = loadSample('paystack-transfer-success');
+      const result = await receiveGatewayEvent('paystack', webhookRequest(body, sign.paystack(body)));
+
+      expect(result.statusCode).toBe(200);
+      expect(Payment.findOne).not.toHaveBeenCalled();
+      expect(storedEvents[0]).toMatchObject({ status: 'ignored', outcome: 'unhandled_event:transfer.success' });
+    });
+
+    test('stores but does not process a call with a bad signature', async () => {
+      const body = loadSample('squad-payment-completed');
+      const result = await receiveGatewayEvent('squad', webhookRequest(body, { 'x-squad-encrypted-body': 'FORGED' }));
+
+      expect(result.statusCode).toBe(401);
+      expect(Payment.findOne).not.toHaveBeenCalled();
+      expect(storedEvents[0]).toMatchObject({ verified: false, status: 'rejected', errorMessage: 'Invalid x-squad-encrypted-body signature' });
+    });
+
+    test('rejects a body that is not JSON', async () => {
+      const result = await receiveGatewayEvent('paystack', webhookRequest('not json', sign.paystack('not json')));
+      expect(result.statusCode).toBe(400);
+      expect(storedEvents[0]).toMatchObject({ verified: false, status: 'rejected' });
+    });
+
+    test('acknowledges a redelivered event without processing it again', async () => {
+      PaymentGatewayEvent.create.mockRejectedValue(duplicateKeyError());
+      jest.spyOn(PaymentGatewayEvent, 'findOneAndUpdate').mockResolvedValue(null);
+      const updateOne = jest.spyOn(PaymentGatewayEvent, 'updateOne').mockResolvedValue({});
+
+      const body = loadSample('paystack-charge-success');
+      const result = await receiveGatewayEvent('paystack', webhookRequest(body, sign.paystack(body)));
+
+      expect(result).toEqual({ statusCode: 200, body: { status: 'success', duplicate: true } });
+      expect(Payment.findOne).not.toHaveBeenCalled();
+      expect(updateOne).toHaveBeenCalledWith(
+        { gateway: 'paystack', eventId: 'charge.success:3856125471', verified: true },
+        expect.objectContaining({ $inc: { duplicateCount: 1 } })
+      );
+    });
+
+    test('retries a redelivered event whose processing failed', async () => {
+      const body = loadSample('squad-payment-completed');
+      const failed = new PaymentGatewayEvent({ gateway: 'squad', eventId: 'payment.completed:SQTEST6388451234', verified: true, status: 'processing', rawBody: body, attempts: 2 });
+      PaymentGatewayEvent.create.mockRejectedValue(duplicateKeyError());
+      const findOneAndUpdate = jest.spyOn(PaymentGatewayEvent, 'findOneAndUpdate').mockResolvedValue(failed);
+      completeInvoiceCheckout.mockResolvedValue(null);
+
+      const result = await receiveGatewayEvent('squad', webhookRequest(body, sign.squad(body)));
+
+      expect(findOneAndUpdate.mock.calls[0][0]).toMatchObject({ status: 'failed' });
+      expect(result.statusCode).toBe(200);
+      expect(failed).toMatchObject({ status: 'ignored', outcome: 'no_matching_payment' });
+    });
+
+    test('answers 500 so the gateway retries when processing fails', async () => {
+      Payment.findOne.mockReturnValue({ populate: jest.fn().mockRejectedValue(new Error('connection lost')) });
+
+      const body = loadSample('squad-payment-completed');
+      const result = await receiveGatewayEvent('squad', webhookRequest(body, sign.squad(body)));
+
+      expect(result.statusCode).toBe(500);
+      expect(storedEvents[0]).toMatchObject({ status: 'failed', errorMessage: 'connection lost' });
+    });
+  });
+
+  describe('replayGatewayEvent', () => {
+    const storedEvent = (fields) => new PaymentGatewayEvent({
+      gateway: 'paystack',
+      eventId: 'charge.success:3856125471',
+      rawBody: loadSample('paystack-charge-success'),
+      ...fields
+    });
+
+    test('re-processes a failed event', async () => {
+      const event = storedEvent({ verified: true, status: 'failed', errorMessage: 'connection lost' });
+      jest.spyOn(PaymentGatewayEvent, 'findById').mockResolvedValue(event);
+      jest.spyOn(PaymentGatewayEvent, 'findOneAndUpdate').mockImplementation(() => {
+        event.status = 'processing';
+        return Promise.resolve(event);
+      });
+      completeInvoiceCheckout.mockResolvedValue(null);
+
+      const replayed = await replayGatewayEvent(event._id, { userId: 'admin-1' });
+
+      expect(replayed).toMatchObject({ status: 'ignored', outcome: 'no_matching_payment' });
+      expect(replayed.errorMessage).toBeUndefined();
+    });
+
+    test('does not replay an event that failed signature verification', async () => {
+      jest.spyOn(PaymentGatewayEvent, 'findById').mockResolvedValue(storedEvent({ verified: false, status: 'rejected' }));
+      await expect(replayGatewayEvent('id', {})).rejects.toMatchObject({ statusCode: 400 });
+    });
+
+    test('only replays a processed event when forced', async () => {
+      jest.spyOn(PaymentGatewayEvent, 'findById').mockResolvedValue(storedEvent({ verified: true, status: 'processed' }));
+      await expect(replayGatewayEvent('id', {})).rejects.toMatchObject({ statusCode: 409 });
+    });
+  });
+});
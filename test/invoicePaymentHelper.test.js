@@ -0,0 +1,64 @@
+const mongoose = require('mongoose');
+
+const Invoice = require('../models/Invoice');
+const InvoicePayment = require('../models/invoicePayment');
+const CreditNote = require('../models/creditNote');
+const { buildAgingReport } = require('../helper/invoicePaymentHelper');
+
+const ORGANIZATION_ID = new mongoose.Types.ObjectId();
+const CUSTOMER_ID = new mongoose.Types.ObjectId();
+const AS_OF = '2026-03-31';
+
+const day = (date) => new Date(`${date}T12:00:00`);
+
+const invoice = (invoiceNumber, { issueDate, dueDate, totalAmount }) => ({
+  _id: new mongoose.Types.ObjectId(),
+  invoiceNumber,
+  customerId: CUSTOMER_ID,
+  customerName: 'Ada Okafor',
+  currency: 'NGN',
+  totalAmount,
+  amountPaid: 0,
+  status: 'sent',
+  issueDate: day(issueDate),
+  dueDate: day(dueDate)
+});
+
+describe('Accounts-receivable aging report', () => {
+  beforeEach(() => {
+    jest.restoreAllMocks();
+
+    const invoices = [
+      invoice('INV-001', { issueDate: '2026-02-01', dueDate: '2026-03-15', totalAmount: 300 }),
+      invoice('INV-002', { issueDate: '2026-03-20', dueDate: '2026-04-19', totalAmount: 500 })
+    ];
+    jest.spyOn(Invoice, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue(invoices) });
+    jest.spyOn(InvoicePayment, 'aggregate').mockResolvedValue([]);
+    jest.spyOn(CreditNote, 'aggregate').mockResolvedValue([]);
+  });
+
+  test('keeps invoices not yet due out of the overdue buckets', async () => {
+    const report = await buildAgingReport(ORGANIZATION_ID, { asOf: AS_OF, includeInvoices: true });
+
+    const [customer] = report.customers;
+    expect(customer['0-30']).toBe(300);
+    expect(customer.notYetDue).toBe(500);
+    expect(customer.total).toBe(800);
+    expect(customer.invoices.map(entry => [entry.invoiceNumber, entry.bucket])).toEqual([
+      ['INV-001', '0-30'],
+      ['INV-002', 'notYetDue']
+    ]);
+
+    const [totals] = report.totals;
+    expect(report.buckets.reduce((sum, bucket) => sum + totals[bucket], 0) + totals.notYetDue).toBe(totals.total);
+  });
+
+  test('buckets every open invoice by its age on the invoice date basis', async () => {
+    const report = await buildAgingReport(ORGANIZATION_ID, { asOf: AS_OF, basis: 'issueDate' });
+
+    const [customer] = report.customers;
+    expect(customer['0-30']).toBe(500);
+    expect(customer['31-60']).toBe(300);
+    expect(customer.notYetDue).toBe(500);
+  });
+});
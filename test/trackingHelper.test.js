@@ -0,0 +1,247 @@
+const mongoose = require('mongoose');
+
+jest.mock('../helpers/orderNotificationHelper', () => ({
+  orderNotificationHelper: {
+    notifyOrderShipped: jest.fn(),
+    notifyOrderDelivered: jest.fn()
+  }
+}));
+jest.mock('../services/commerceAdapterRegistry', () => ({ getCommerceAdapter: jest.fn() }));
+
+const Order = require('../models/order');
+const Store = require('../models/store');
+const CarrierAccount = require('../models/carrierAccount');
+const ShippingLabel = require('../models/shippingLabel');
+const StubCarrierService = require('../services/stubCarrierService');
+const { orderNotificationHelper } = require('../helpers/orderNotificationHelper');
+const { getCommerceAdapter } = require('../services/commerceAdapterRegistry');
+const {
+  recordTrackingEvents,
+  refreshLabelTracking,
+  handleTrackingWebhook,
+  pollActiveLabels
+} = require('../helper/trackingHelper');
+
+const TRACKING_NUMBER = 'STUB000000010001';
+
+const account = new CarrierAccount({
+  _id: new mongoose.Types.ObjectId(),
+  provider: 'stub',
+  apiKey: 'stub',
+  webhookToken: 'stub-webhook-token'
+});
+
+const at = (minutes) => new Date(Date.UTC(2026, 2, 1, 9, minutes));
+
+describe('Tracking helper driven by the stub carrier feed', () => {
+  let order;
+  let label;
+  let updateOrder;
+
+  beforeEach(() => {
+    jest.restoreAllMocks();
+    jest.clearAllMocks();
+    StubCarrierService.reset();
+
+    order = new Order({ _id: new mongoose.Types.ObjectId(), status: 'processing', wooCommerceId: 501, storeId: new mongoose.Types.ObjectId() });
+    label = new ShippingLabel({
+      _id: new mongoose.Types.ObjectId(),
+      orderId: order._id,
+      trackingNumber: TRACKING_NUMBER,
+      carrier: 'USPS',
+      serviceType: 'Priority',
+      carrierAccountId: account._id,
+      status: 'printed'
+    });
+
+    updateOrder = jest.fn().mockResolvedValue({ success: true });
+    getCommerceAdapter.mockReturnValue({ updateOrder });
+
+    jest.spyOn(ShippingLabel.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Order.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(Order, 'findById').mockImplementation(() => Promise.resolve(order));
+    jest.spyOn(Store, 'findById').mockResolvedValue({ _id: order.storeId, platformType: 'woocommerce' });
+    jest.spyOn(CarrierAccount, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(account) });
+    jest.spyOn(CarrierAccount, 'findOne').mockImplementation(({ webhookToken }) => ({
+      select: jest.fn().mockResolvedValue(webhookToken === account.webhookToken ? account : null)
+    }));
+    jest.spyOn(ShippingLabel, 'findOne').mockImplementation(({ trackingNumber }) => Promise.resolve(trackingNumber === TRACKING_NUMBER ? label : null));
+  });
+
+  describe('recordTrackingEvents', () => {
+    test('adds each carrier event to the timeline once, however often it is repeated', async () => {
+      const events = [
+        { status: 'pre_transit', description: 'Shipping label created', occurredAt: at(0) },
+        { status: 'in_transit', description: 'Accepted at origin facility', occurredAt: at(30) }
+      ];
+
+      const first = await recordTrackingEvents(label, { status: 'in_transit', events }, 'poll');
+      const second = await recordTrackingEvents(label, { status: 'in_transit', events: [...events].reverse() }, 'webhook');
+
+      expect(first.added).toBe(2);
+      expect(second.added).toBe(0);
+      expect(label.trackingEvents.map(event => event.status)).toEqual(['pre_transit', 'in_transit']);
+      expect(label.trackingEvents.every(event => event.source === 'poll')).toBe(true);
+    });
+
+    test('keeps the timeline in the order events happened when they arrive late', async () => {
+      await recordTrackingEvents(label, { events: [{ status: 'in_transit', description: 'Departed', occurredAt: at(30) }] }, 'poll');
+      await recordTrackingEvents(label, { events: [{ status: 'pre_transit', description: 'Label created', occurredAt: at(0) }] }, 'poll');
+
+      expect(label.trackingEvents.map(event => event.status)).toEqual(['pre_transit', 'in_transit']);
+      expect(label.status).toBe('shipped');
+    });
+
+    test('never moves a label back when the carrier reports an earlier status', async () => {
+      await recordTrackingEvents(label, { status: 'delivered', events: [{ status: 'delivered', description: 'Delivered', occurredAt: at(60) }] }, 'poll');
+      await recordTrackingEvents(label, { status: 'in_transit', events: [{ status: 'in_transit', description: 'Rescanned', occurredAt: at(90) }] }, 'poll');
+
+      expect(label.status).toBe('delivered');
+      expect(label.trackingStatus).toBe('in_transit');
+      expect(orderNotificationHelper.notifyOrderDelivered).toHaveBeenCalledTimes(1);
+    });
+
+    test('leaves voided labels alone', async () => {
+      label.status = 'voided';
+      const result = await recordTrackingEvents(label, { status: 'delivered', events: [{ status: 'delivered', occurredAt: at(60) }] }, 'webhook');
+
+      expect(result.added).toBe(0);
+      expect(label.status).toBe('voided');
+      expect(label.trackingEvents).toHaveLength(0);
+    });
+  });
+
+  describe('refreshLabelTracking', () => {
+    test('follows the stub feed from label created to delivered', async () => {
+      StubCarrierService.advanceTracking(TRACKING_NUMBER);
+      await refreshLabelTracking(label);
+      expect(label.status).toBe('printed');
+      expect(orderNotificationHelper.notifyOrderShipped).not.toHaveBeenCalled();
+
+      StubCarrierService.advanceTracking(TRACKING_NUMBER);
+      await refreshLabelTracking(label);
+      expect(label.status).toBe('shipped');
+      expect(label.shippedAt).toBeInstanceOf(Date);
+      expect(orderNotificationHelper.notifyOrderShipped).toHaveBeenCalledTimes(1);
+      expect(orderNotificationHelper.notifyOrderShipped).toHaveBeenCalledWith(order, {
+        trackingNumber: TRACKING_NUMBER,
+        method: 'USPS Priority'
+      });
+
+      StubCarrierService.advanceTracking(TRACKING_NUMBER);
+      await refreshLabelTracking(label);
+      expect(label.status).toBe('shipped');
+      expect(orderNotificationHelper.notifyOrderShipped).toHaveBeenCalledTimes(1);
+      expect(order.status).toBe('processing');
+
+      StubCarrierService.advanceTracking(TRACKING_NUMBER);
+      const { added } = await refreshLabelTracking(label);
+      expect(added).toBe(1);
+      expect(label.status).toBe('delivered');
+      expect(label.deliveredAt).toBeInstanceOf(Date);
+      expect(label.trackingEvents.map(event => event.status)).toEqual(['pre_transit', 'in_transit', 'out_for_delivery', 'delivered']);
+      expect(orderNotificationHelper.notifyOrderDelivered).toHaveBeenCalledTimes(1);
+      expect(orderNotificationHelper.notifyOrderDelivered).toHaveBeenCalledWith(order, expect.objectContaining({ deliveryDate: expect.any(String) }));
+    });
+
+    test('completes the order in the app and its store on delivery', async () => {
+      StubCarrierService.pushTrackingEvent(TRACKING_NUMBER, { status: 'delivered', occurredAt: at(60) });
+      await refreshLabelTracking(label);
+
+      expect(order.status).toBe('completed');
+      expect(order.date_completed).toBeInstanceOf(Date);
+      expect(order.syncStatus).toBe('synced');
+      expect(updateOrder).toHaveBeenCalledWith(501, expect.objectContaining({ status: 'completed' }));
+      // Delivery without a shipped scan still counts as shipping
+      expect(orderNotificationHelper.notifyOrderShipped).toHaveBeenCalledTimes(1);
+    });
+
+    test('does not reopen an order that was already closed', async () => {
+      order.status = 'refunded';
+      StubCarrierService.pushTrackingEvent(TRACKING_NUMBER, { status: 'delivered', occurredAt: at(60) });
+      await refreshLabelTracking(label);
+
+      expect(label.status).toBe('delivered');
+      expect(order.status).toBe('refunded');
+      expect(updateOrder).not.toHaveBeenCalled();
+    });
+
+    test('polling an unchanged feed adds nothing and notifies no one again', async () => {
+      StubCarrierService.advanceTracking(TRACKING_NUMBER);
+      StubCarrierService.advanceTracking(TRACKING_NUMBER);
+      await refreshLabelTracking(label);
+      const { added } = await refreshLabelTracking(label);
+
+      expect(added).toBe(0);
+      expect(label.trackingEvents).toHaveLength(2);
+      expect(orderNotificationHelper.notifyOrderShipped).toHaveBeenCalledTimes(1);
+    });
+
+    test('rejects labels that were not bought through a carrier account', async () => {
+      label.carrierAccountId = undefined;
+      await expect(refreshLabelTracking(label)).rejects.toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('handleTrackingWebhook', () => {
+    test('applies the stub webhook body and dedupes it against earlier polls', async () => {
+      StubCarrierService.advanceTracking(TRACKING_NUMBER);
+      StubCarrierService.advanceTracking(TRACKING_NUMBER);
+      await refreshLabelTracking(label);
+
+      StubCarrierService.advanceTracking(TRACKING_NUMBER);
+      StubCarrierService.advanceTracking(TRACKING_NUMBER);
+      const result = await handleTrackingWebhook(account.webhookToken, StubCarrierService.buildTrackingWebhook(TRACKING_NUMBER));
+
+      expect(result.added).toBe(2);
+      expect(label.trackingEvents.map(event => event.source)).toEqual(['poll', 'poll', 'webhook', 'webhook']);
+      expect(label.status).toBe('delivered');
+      expect(order.status).toBe('completed');
+      expect(orderNotificationHelper.notifyOrderShipped).toHaveBeenCalledTimes(1);
+      expect(orderNotificationHelper.notifyOrderDelivered).toHaveBeenCalledTimes(1);
+
+      const replay = await handleTrackingWebhook(account.webhookToken, StubCarrierService.buildTrackingWebhook(TRACKING_NUMBER));
+      expect(replay.added).toBe(0);
+      expect(orderNotificationHelper.notifyOrderDelivered).toHaveBeenCalledTimes(1);
+    });
+
+    test('ignores bodies that are not tracking updates', async () => {
+      await expect(handleTrackingWebhook(account.webhookToken, { event: 'batch_created' })).resolves.toEqual({ ignored: true });
+    });
+
+    test('rejects unknown webhook tokens and tracking numbers', async () => {
+      await expect(handleTrackingWebhook('unknown-token', StubCarrierService.buildTrackingWebhook(TRACKING_NUMBER)))
+        .rejects.toMatchObject({ statusCode: 404 });
+      await expect(handleTrackingWebhook(account.webhookToken, StubCarrierService.buildTrackingWebhook('STUB_UNKNOWN')))
+        .rejects.toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('pollActiveLabels', () => {
+    test('stamps labels whose lookup fails so they do not stay at the head of the queue', async () => {
+      const orphan = new ShippingLabel({ _id: new mongoose.Types.ObjectId(), trackingNumber: 'STUB_ORPHAN', carrierAccountId: new mongoose.Types.ObjectId(), status: 'shipped' });
+      StubCarrierService.advanceTracking(TRACKING_NUMBER);
+      jest.spyOn(ShippingLabel, 'find').mockReturnValue({
+        sort: jest.fn().mockReturnValue({ limit: jest.fn().mockResolvedValue([orphan, label]) })
+      });
+      jest.spyOn(CarrierAccount, 'findById').mockImplementation((id) => ({
+        select: jest.fn().mockResolvedValue(String(id) === String(account._id) ? account : null)
+      }));
+      const updateOne = jest.spyOn(ShippingLabel, 'updateOne').mockResolvedValue({ matchedCount: 1 });
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const summary = await pollActiveLabels();
+
+      expect(summary).toEqual({ checked: 2, updated: 1, failed: 1 });
+      expect(updateOne).toHaveBeenCalledWith(
+        { _id: orphan._id },
+        { $set: { lastTrackedAt: expect.any(Date), lastTrackError: expect.stringContaining('no longer exists') } }
+      );
+      expect(label.lastTrackedAt).toBeInstanceOf(Date);
+    });
+  });
+});
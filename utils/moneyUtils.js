@@ -0,0 +1,27 @@
+/**
+ * Round an amount to cents. Number.EPSILON keeps halves like 1.005 from rounding down,
+ * and missing or non-numeric amounts count as 0.
+ * @param {number|string} value - Amount in major units
+ * @returns {number} Amount rounded to two decimals
+ */
+const roundMoney = (value) => Math.round(((Number(value) || 0) + Number.EPSILON) * 100) / 100;
+
+/**
+ * Amount in the currency's minor unit (kobo, cents), as Paystack and Squad take it
+ * @param {number} amount - Amount in major units
+ * @returns {number} Whole minor units
+ */
+const toMinorUnits = (amount) => Math.round((Number(amount) || 0) * 100);
+
+/**
+ * Amount in major units from a gateway's minor-unit amount
+ * @param {number} amount - Amount in minor units
+ * @returns {number} Amount in major units
+ */
+const fromMinorUnits = (amount) => (Number(amount) || 0) / 100;
+
+module.exports = {
+  roundMoney,
+  toMinorUnits,
+  fromMinorUnits
+};